@@ -64,6 +64,10 @@ struct AdminReservation: Identifiable {
         return display.string(from: d)
     }
 
+    var statusDisplayName: String {
+        status == "no_show" ? "No-show" : status.capitalized
+    }
+
     /// Short date for list/notifications, e.g. "Feb 17", "Oct 3". Matches backend notification format.
     var formattedDateShort: String {
         let formatter = DateFormatter()
@@ -207,6 +211,11 @@ final class AdminReservationsViewModel: ObservableObject {
         updateStatus(id: id, status: "cancelled", onDone: onDone)
     }
 
+    /// Seated, completed or no_show (the server rejects moves the lifecycle doesn't allow).
+    func setStatus(id: String, status: String, onDone: @escaping (Bool) -> Void) {
+        updateStatus(id: id, status: status, onDone: onDone)
+    }
+
     func deleteReservation(id: String, onDone: @escaping (Bool) -> Void) {
         guard Auth.auth().currentUser != nil else {
             actionError = "Please sign in."
@@ -498,19 +507,17 @@ struct AdminReservationsView: View {
         return sortedKeys.map { (key: $0, list: grouped[$0] ?? []) }
     }
 
-    /// When filter is All: sections by status (Pending, Confirmed, Cancelled), each sorted by date; empty sections omitted.
+    /// When filter is All: sections by status (Pending, Confirmed, Seated, Completed, No-show, Cancelled), each sorted by date; empty sections omitted.
     private var reservationsByStatus: [(String, [AdminReservation])] {
-        let pending = viewModel.reservations.filter { $0.status == "pending" }
-            .sorted { ($0.date, $0.time) < ($1.date, $1.time) }
-        let confirmed = viewModel.reservations.filter { $0.status == "confirmed" }
-            .sorted { ($0.date, $0.time) < ($1.date, $1.time) }
-        let cancelled = viewModel.reservations.filter { $0.status == "cancelled" }
-            .sorted { ($0.date, $0.time) < ($1.date, $1.time) }
-        var result: [(String, [AdminReservation])] = []
-        if !pending.isEmpty { result.append(("Pending", pending)) }
-        if !confirmed.isEmpty { result.append(("Confirmed", confirmed)) }
-        if !cancelled.isEmpty { result.append(("Cancelled", cancelled)) }
-        return result
+        let sections = [
+            ("pending", "Pending"), ("confirmed", "Confirmed"), ("seated", "Seated"),
+            ("completed", "Completed"), ("no_show", "No-show"), ("cancelled", "Cancelled")
+        ]
+        return sections.compactMap { status, title in
+            let list = viewModel.reservations.filter { $0.status == status }
+                .sorted { ($0.date, $0.time) < ($1.date, $1.time) }
+            return list.isEmpty ? nil : (title, list)
+        }
     }
 
     private func sectionTitle(for dateStr: String) -> String {
@@ -784,7 +791,7 @@ struct ReservationRowView: View {
     }
 
     private var statusBadge: some View {
-        Text(reservation.status.capitalized)
+        Text(reservation.statusDisplayName)
             .font(.system(size: 12, weight: .bold, design: .rounded))
             .foregroundColor(statusColor)
             .padding(.horizontal, 10)
@@ -795,7 +802,9 @@ struct ReservationRowView: View {
     private var statusColor: Color {
         switch reservation.status {
         case "confirmed": return Theme.energyGreen
-        case "cancelled": return Theme.energyRed
+        case "seated": return Theme.energyBlue
+        case "completed": return Theme.modernSecondary
+        case "cancelled", "no_show": return Theme.energyRed
         default: return Theme.energyOrange
         }
     }
@@ -811,8 +820,10 @@ struct AdminReservationDetailSheet: View {
     @Environment(\.dismiss) private var envDismiss
     @State private var isConfirming = false
     @State private var isCancelling = false
+    @State private var isUpdatingStatus = false
     @State private var showConfirmAlert = false
     @State private var showCancelAlert = false
+    @State private var showNoShowAlert = false
 
     var body: some View {
         NavigationStack {
@@ -871,9 +882,44 @@ struct AdminReservationDetailSheet: View {
             } message: {
                 Text("Cancel this reservation? The customer will be notified by push notification.")
             }
+            .alert("Mark as No-show", isPresented: $showNoShowAlert) {
+                Button("Mark No-show", role: .destructive) {
+                    updateStatus("no_show", successMessage: "\(reservation.customerName) marked as a no-show")
+                }
+                Button("Go Back", role: .cancel) {}
+            } message: {
+                Text("Mark this party as a no-show? Repeat no-shows can stop the customer from booking online.")
+            }
         }
     }
 
+    private func updateStatus(_ status: String, successMessage: String) {
+        isUpdatingStatus = true
+        viewModel.setStatus(id: reservation.id, status: status) { success in
+            isUpdatingStatus = false
+            if success {
+                onSuccess(successMessage)
+                envDismiss()
+            }
+        }
+    }
+
+    private func lifecycleButton(_ title: String, icon: String, color: Color, action: @escaping () -> Void) -> some View {
+        Button(action: action) {
+            HStack(spacing: 10) {
+                Image(systemName: icon)
+                    .font(.system(size: 18))
+                Text(title)
+                    .font(.system(size: 17, weight: .semibold, design: .rounded))
+            }
+            .foregroundColor(.white)
+            .frame(maxWidth: .infinity)
+            .padding(.vertical, 16)
+            .background(RoundedRectangle(cornerRadius: 16).fill(color))
+        }
+        .disabled(isConfirming || isCancelling || isUpdatingStatus)
+    }
+
     private var heroCard: some View {
         VStack(alignment: .leading, spacing: 12) {
             HStack {
@@ -914,7 +960,7 @@ struct AdminReservationDetailSheet: View {
     }
 
     private var statusBadge: some View {
-        Text(reservation.status.capitalized)
+        Text(reservation.statusDisplayName)
             .font(.system(size: 13, weight: .bold, design: .rounded))
             .foregroundColor(detailStatusColor)
             .padding(.horizontal, 12)
@@ -925,7 +971,9 @@ struct AdminReservationDetailSheet: View {
     private var detailStatusColor: Color {
         switch reservation.status {
         case "confirmed": return Theme.energyGreen
-        case "cancelled": return Theme.energyRed
+        case "seated": return Theme.energyBlue
+        case "completed": return Theme.modernSecondary
+        case "cancelled", "no_show": return Theme.energyRed
         default: return Theme.energyOrange
         }
     }
@@ -1054,6 +1102,24 @@ struct AdminReservationDetailSheet: View {
                 .disabled(isConfirming || isCancelling)
             }
 
+            if reservation.status == "pending" || reservation.status == "confirmed" || reservation.status == "no_show" {
+                lifecycleButton("Mark seated", icon: "fork.knife", color: Theme.energyBlue) {
+                    updateStatus("seated", successMessage: "\(reservation.customerName) seated")
+                }
+            }
+
+            if reservation.status == "seated" {
+                lifecycleButton("Mark completed", icon: "checkmark.seal.fill", color: Theme.energyGreen) {
+                    updateStatus("completed", successMessage: "\(reservation.customerName)'s visit completed")
+                }
+            }
+
+            if reservation.status == "pending" || reservation.status == "confirmed" {
+                lifecycleButton("Mark no-show", icon: "person.fill.xmark", color: Theme.energyRed) {
+                    showNoShowAlert = true
+                }
+            }
+
             if !reservation.phone.isEmpty,
                let url = URL(string: "tel:\(reservation.phone.addingPercentEncoding(withAllowedCharacters: .urlQueryAllowed) ?? reservation.phone)") {
                 Button(action: { UIApplication.shared.open(url) }) {
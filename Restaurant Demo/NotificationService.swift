@@ -10,6 +10,7 @@ import FirebaseMessaging
 import FirebaseFirestore
 import FirebaseAuth
 import UserNotifications
+import UIKit
 
 /// Singleton service for managing push notifications and FCM tokens
 class NotificationService: NSObject, ObservableObject {
@@ -85,6 +86,12 @@ class NotificationService: NSObject, ObservableObject {
     
     // MARK: - FCM Token Management
     
+    /// Identifies this install in the server's device registry, so each of the user's
+    /// devices keeps its own token and a refreshed token replaces the old one.
+    private var deviceId: String? {
+        UIDevice.current.identifierForVendor?.uuidString
+    }
+    
     /// Store FCM token via server endpoint (enables deduplication across users)
     func storeFCMToken(_ token: String) {
         guard let user = Auth.auth().currentUser else {
@@ -114,7 +121,13 @@ class NotificationService: NSObject, ObservableObject {
             request.setValue("Bearer \(idToken)", forHTTPHeaderField: "Authorization")
             request.setValue("application/json", forHTTPHeaderField: "Content-Type")
             
-            let body: [String: Any] = ["fcmToken": token]
+            var body: [String: Any] = ["fcmToken": token, "platform": "ios"]
+            if let appVersion = Bundle.main.infoDictionary?["CFBundleShortVersionString"] as? String {
+                body["appVersion"] = appVersion
+            }
+            if let deviceId = self?.deviceId {
+                body["deviceId"] = deviceId
+            }
             request.httpBody = try? JSONSerialization.data(withJSONObject: body)
             
             URLSession.configured.dataTask(with: request) { data, response, error in
@@ -180,8 +193,11 @@ class NotificationService: NSObject, ObservableObject {
             request.setValue("Bearer \(idToken)", forHTTPHeaderField: "Authorization")
             request.setValue("application/json", forHTTPHeaderField: "Content-Type")
             
-            // Send null to clear the token
-            let body: [String: Any?] = ["fcmToken": nil]
+            // Send null to remove this device's token
+            var body: [String: Any] = ["fcmToken": NSNull()]
+            if let deviceId = self?.deviceId {
+                body["deviceId"] = deviceId
+            }
             request.httpBody = try? JSONSerialization.data(withJSONObject: body)
             
             URLSession.configured.dataTask(with: request) { data, response, error in
@@ -300,17 +316,16 @@ class NotificationService: NSObject, ObservableObject {
                         if hasUnread {
                             // Optimistically mark all as read locally
                             self?.notifications = allNotifications.map { notification in
-                                AppNotification(
-                                    id: notification.id,
-                                    data: [
-                                        "userId": notification.userId,
-                                        "title": notification.title,
-                                        "body": notification.body,
-                                        "createdAt": notification.createdAt,
-                                        "read": true,
-                                        "type": notification.type.rawValue
-                                    ]
-                                )
+                                var data: [String: Any] = [
+                                    "userId": notification.userId,
+                                    "title": notification.title,
+                                    "body": notification.body,
+                                    "createdAt": notification.createdAt,
+                                    "read": true,
+                                    "type": notification.type.rawValue
+                                ]
+                                if let sid = notification.sentNotificationId { data["sentNotificationId"] = sid }
+                                return AppNotification(id: notification.id, data: data)
                             }
                             // Also mark them as read in Firestore (fire-and-forget)
                             guard let self = self else { return }
@@ -371,6 +386,7 @@ class NotificationService: NSObject, ObservableObject {
                 ]
                 if let rid = notification.reservationId { data["reservationId"] = rid }
                 if let ph = notification.reservationPhone { data["phone"] = ph }
+                if let sid = notification.sentNotificationId { data["sentNotificationId"] = sid }
                 return AppNotification(id: notification.id, data: data)
             }
             // Set count to 0 immediately
@@ -457,6 +473,10 @@ class NotificationService: NSObject, ObservableObject {
         DebugLogger.debug("📱 NotificationService: Handling push notification tap", category: "Notifications")
         markAllNotificationsAsRead()
         
+        if let sentNotificationId = userInfo["sentNotificationId"] as? String {
+            reportNotificationOpened(id: sentNotificationId, source: "push")
+        }
+        
         // Handle reward gift navigation
         if let type = userInfo["type"] as? String, type == "reward_gift",
            let giftedRewardId = userInfo["giftedRewardId"] as? String {
@@ -495,6 +515,37 @@ class NotificationService: NSObject, ObservableObject {
         }
     }
     
+    // MARK: - Open Tracking
+    
+    /// Report that the user opened a notification (admin open-rate / click-through analytics).
+    /// - Parameters:
+    ///   - id: In-app notification id, or the push's sentNotificationId
+    ///   - source: "push" when the push itself was tapped, otherwise "in_app"
+    func reportNotificationOpened(id: String, source: String) {
+        guard let user = Auth.auth().currentUser else { return }
+        
+        user.getIDToken { idToken, error in
+            guard error == nil, let idToken = idToken,
+                  let url = URL(string: "\(Config.backendURL)/me/notifications/\(id)/opened") else {
+                return
+            }
+            
+            var request = URLRequest(url: url)
+            request.httpMethod = "POST"
+            request.setValue("Bearer \(idToken)", forHTTPHeaderField: "Authorization")
+            request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+            request.httpBody = try? JSONSerialization.data(withJSONObject: ["source": source])
+            
+            URLSession.configured.dataTask(with: request) { _, response, error in
+                if let error = error {
+                    DebugLogger.debug("⚠️ NotificationService: Failed to report notification open: \(error.localizedDescription)", category: "Notifications")
+                } else if let httpResponse = response as? HTTPURLResponse, httpResponse.statusCode != 200 {
+                    DebugLogger.debug("⚠️ NotificationService: Notification open report returned \(httpResponse.statusCode)", category: "Notifications")
+                }
+            }.resume()
+        }
+    }
+    
     // MARK: - App Badge Management
     
     /// Update the app icon badge number based on unread notification count
@@ -561,6 +612,8 @@ struct AppNotification: Identifiable, Codable {
     /// Set for reservation_new notifications; used for Confirm/Call actions.
     let reservationId: String?
     let reservationPhone: String?
+    /// Set for admin notifications; opens are reported for delivery analytics.
+    let sentNotificationId: String?
 
     enum NotificationType: String, Codable {
         case adminBroadcast = "admin_broadcast"
@@ -627,5 +680,6 @@ struct AppNotification: Identifiable, Codable {
 
         reservationId = data["reservationId"] as? String
         reservationPhone = data["phone"] as? String
+        sentNotificationId = data["sentNotificationId"] as? String
     }
 }
@@ -182,6 +182,9 @@ struct NotificationCard: View {
     }
     
     private func handleTap() {
+        if notification.sentNotificationId != nil {
+            NotificationService.shared.reportNotificationOpened(id: notification.id, source: "in_app")
+        }
         if notification.type == .rewardGift {
             // Post notification to navigate to rewards tab
             NotificationCenter.default.post(name: .navigateToRewardsTab, object: nil)
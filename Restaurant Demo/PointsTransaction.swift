@@ -11,6 +11,7 @@ enum PointsTransactionType: String, CaseIterable, Codable {
     case adminAdjustment = "admin_adjustment"
     case bonus = "bonus"
     case referral = "referral"
+    case pointsExpiration = "points_expiration"
     
     var displayName: String {
         switch self {
@@ -22,6 +23,7 @@ enum PointsTransactionType: String, CaseIterable, Codable {
         case .adminAdjustment: return "Points Adjustment"
         case .bonus: return "Bonus Points"
         case .referral: return "Referral Bonus"
+        case .pointsExpiration: return "Points Expired"
         }
     }
     
@@ -35,6 +37,7 @@ enum PointsTransactionType: String, CaseIterable, Codable {
         case .adminAdjustment: return "person.crop.circle.badge.checkmark"
         case .bonus: return "star.fill"
         case .referral: return "person.2.fill"
+        case .pointsExpiration: return "hourglass"
         }
     }
     
@@ -42,7 +45,7 @@ enum PointsTransactionType: String, CaseIterable, Codable {
         switch self {
         case .unknown: return "gray"
         case .welcome, .receiptScan, .bonus, .referral, .rewardExpirationRefund: return "green"
-        case .rewardRedeemed: return "red"
+        case .rewardRedeemed, .pointsExpiration: return "red"
         case .adminAdjustment: return "blue"
         }
     }
@@ -94,6 +97,7 @@ struct PointsTransaction: Identifiable {
         if type != .unknown { return type }
         let lower = description.lowercased()
         if lower.contains("refund") && lower.contains("expired") { return .rewardExpirationRefund }
+        if lower.contains("points expired") { return .pointsExpiration }
         if lower.contains("redeemed") { return .rewardRedeemed }
         if lower.contains("receipt") { return .receiptScan }
         if lower.contains("welcome") { return .welcome }
@@ -174,6 +174,8 @@ struct ReceiptResultView: View {
             return AnyView(systemHero("shield.lefthalf.filled"))
         case .rateLimited:
             return AnyView(systemHero("clock.fill"))
+        case .underReview:
+            return AnyView(systemHero("hourglass"))
         }
     }
 
@@ -202,6 +204,7 @@ struct ReceiptResultView: View {
         case .server: return "Server Issue"
         case .suspicious: return "Not Accepted"
         case .rateLimited: return "Rate Limited"
+        case .underReview: return "Under Review"
         case .success: return nil
         }
     }
@@ -223,6 +226,7 @@ struct ReceiptResultView: View {
         case .server: return "Please try again shortly."
         case .suspicious: return "This receipt cannot be processed at this time."
         case .rateLimited: return "Please wait a while and try again."
+        case .underReview: return "We're double-checking this receipt. We'll notify you when your points are added."
         case .success: return nil
         }
     }
@@ -241,6 +245,7 @@ struct ReceiptResultView: View {
         case .server: return "Retry"
         case .suspicious: return "Got It"
         case .rateLimited: return "Got It"
+        case .underReview: return "Got It"
         }
     }
 
@@ -287,6 +292,7 @@ struct ReceiptResultView: View {
         case .server: return "Server issue"
         case .suspicious: return "Receipt not accepted"
         case .rateLimited: return "Rate limited"
+        case .underReview: return "Receipt under review"
         }
     }
 
@@ -16,6 +16,8 @@ enum ReceiptScanOutcome: Equatable {
     case server
     case suspicious
     case rateLimited
+    /// Borderline receipt queued for a manual check; points arrive after approval.
+    case underReview
 }
 
 // Combo generation state for success screen
@@ -543,6 +543,15 @@ struct ReceiptScanView: View {
                     if self.interstitialTimedOut { return }
                     switch result {
                 case .success(let json):
+                    // Borderline receipts are queued for a manual check (202 { status: "needs_review" })
+                    if (json["status"] as? String) == "needs_review" {
+                        self.showCamera = false
+                        DispatchQueue.main.asyncAfter(deadline: .now() + 0.4) {
+                            self.presentOutcome(.underReview)
+                        }
+                        return
+                    }
+
                     // Check if the response contains an error
                     if let errorMessage = json["error"] as? String {
                         let errorCode = json["errorCode"] as? String
@@ -852,7 +861,7 @@ struct ReceiptScanView: View {
             DispatchQueue.main.asyncAfter(deadline: .now() + 0.3) {
                 self.checkCameraPermission()
             }
-        case .dailyLimitReached, .notFromRestaurant, .unreadable, .tooOld, .mismatch, .suspicious, .rateLimited:
+        case .dailyLimitReached, .notFromRestaurant, .unreadable, .tooOld, .mismatch, .suspicious, .rateLimited, .underReview:
             // Just dismiss (buttons now say "Got It")
             presentedOutcome = nil
         }
@@ -146,6 +146,7 @@ struct RedeemedReward: Identifiable, Codable {
 // MARK: - Reward Redemption Request
 struct RewardRedemptionRequest: Codable {
     let userId: String
+    let tierId: String?              // rewardTierItems doc ID; the server prices the reward from it
     let rewardTitle: String
     let rewardDescription: String
     let pointsRequired: Int
@@ -164,8 +165,9 @@ struct RewardRedemptionRequest: Codable {
     let iceLevel: String?            // Ice level (Normal, 75%, 50%, 25%, No Ice)
     let sugarLevel: String?          // Sugar level (Normal, 75%, 50%, 25%, No Sugar)
     
-    init(userId: String, rewardTitle: String, rewardDescription: String, pointsRequired: Int, rewardCategory: String, idempotencyKey: String? = nil, selectedItemId: String? = nil, selectedItemName: String? = nil, selectedToppingId: String? = nil, selectedToppingName: String? = nil, selectedItemId2: String? = nil, selectedItemName2: String? = nil, cookingMethod: String? = nil, drinkType: String? = nil, selectedDrinkItemId: String? = nil, selectedDrinkItemName: String? = nil, iceLevel: String? = nil, sugarLevel: String? = nil) {
+    init(userId: String, tierId: String? = nil, rewardTitle: String, rewardDescription: String, pointsRequired: Int, rewardCategory: String, idempotencyKey: String? = nil, selectedItemId: String? = nil, selectedItemName: String? = nil, selectedToppingId: String? = nil, selectedToppingName: String? = nil, selectedItemId2: String? = nil, selectedItemName2: String? = nil, cookingMethod: String? = nil, drinkType: String? = nil, selectedDrinkItemId: String? = nil, selectedDrinkItemName: String? = nil, iceLevel: String? = nil, sugarLevel: String? = nil) {
         self.userId = userId
+        self.tierId = tierId
         self.rewardTitle = rewardTitle
         self.rewardDescription = rewardDescription
         self.pointsRequired = pointsRequired
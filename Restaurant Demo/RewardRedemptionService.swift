@@ -98,6 +98,7 @@ class RewardRedemptionService: ObservableObject {
     // MARK: - Redeem Reward
     func redeemReward(
         userId: String,
+        tierId: String? = nil,
         rewardTitle: String,
         rewardDescription: String,
         pointsRequired: Int,
@@ -131,6 +132,7 @@ class RewardRedemptionService: ObservableObject {
             
             let request = RewardRedemptionRequest(
                 userId: userId,
+                tierId: tierId,
                 rewardTitle: rewardTitle,
                 rewardDescription: rewardDescription,
                 pointsRequired: pointsRequired,
@@ -981,6 +981,7 @@ struct RewardDetailView: View {
         
         let result = await redemptionService.redeemReward(
             userId: userId,
+            tierId: reward.rewardTierId,
             rewardTitle: reward.title,
             rewardDescription: reward.description,
             pointsRequired: reward.pointsRequired,
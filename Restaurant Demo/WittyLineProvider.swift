@@ -81,6 +81,12 @@ final class WittyLineProvider {
                 "Slow down there, speedster.",
                 "Hold up — try again in a bit."
             ])
+        case .underReview:
+            return pick([
+                "Quick double-check in progress.",
+                "A human is taking a look.",
+                "Almost there — hang tight."
+            ])
         }
     }
 
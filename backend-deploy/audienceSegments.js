@@ -0,0 +1,141 @@
+/**
+ * Audience Segments
+ *
+ * Saved groups of customers that admin notifications, campaigns and gifts can target
+ * instead of "all" or a hand-picked list. Stored in audienceSegments:
+ *
+ *   { name, description,
+ *     rules: { noReceiptInDays?, pointsMin?, pointsMax?, birthdayThisMonth?,
+ *              referralPending?, loyaltyTierIds? } }
+ *
+ * A user is in the segment when every rule present matches. Segments are evaluated
+ * each time they're used, so the audience is whoever matches at send time. Admins and
+ * employees are never part of a segment.
+ */
+
+const { DateTime } = require('luxon');
+const { currentTierOf } = require('./loyaltyTiers');
+const { toIsoString } = require('./timeValues');
+
+const AUDIENCE_SEGMENTS_COLLECTION = 'audienceSegments';
+
+// The iOS app stores birthdays as a medium-style date string ("Jan 5, 2000")
+const BIRTHDAY_FORMATS = ['LLL d, yyyy', 'LLLL d, yyyy', 'yyyy-LL-dd', 'LL/dd/yyyy'];
+
+/**
+ * Month (1-12) of a stored birthday string
+ * @param {string} birthday
+ * @returns {number|null} null when missing or unparseable
+ */
+function birthdayMonthOf(birthday) {
+  if (typeof birthday !== 'string' || !birthday.trim()) return null;
+  const value = birthday.trim();
+  for (const format of BIRTHDAY_FORMATS) {
+    const parsed = DateTime.fromFormat(value, format, { locale: 'en-US' });
+    if (parsed.isValid) return parsed.month;
+  }
+  const iso = DateTime.fromISO(value);
+  return iso.isValid ? iso.month : null;
+}
+
+/**
+ * Which per-send lookups a rule set needs (see server.js buildSegmentContext)
+ * @returns {{receipts: boolean, referrals: boolean, tiers: boolean}}
+ */
+function segmentLookupsFor(rules) {
+  return {
+    receipts: Number.isInteger(rules.noReceiptInDays),
+    referrals: rules.referralPending === true,
+    tiers: Array.isArray(rules.loyaltyTierIds) && rules.loyaltyTierIds.length > 0
+  };
+}
+
+/**
+ * Whether a user belongs to a segment
+ * @param {Object} userData - users document data
+ * @param {Object} rules - segment rules
+ * @param {Object} context - { month, recentReceiptUserIds?: Set, pendingReferralUserIds?: Set, tiersConfig? }
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function userMatchesSegment(userData, rules, context, userId) {
+  const data = userData || {};
+  if (data.isAdmin === true || data.isEmployee === true) return false;
+
+  if (Number.isInteger(rules.noReceiptInDays) && context.recentReceiptUserIds.has(userId)) {
+    return false;
+  }
+
+  const points = typeof data.points === 'number' ? data.points : (parseFloat(String(data.points ?? '')) || 0);
+  if (Number.isFinite(rules.pointsMin) && points < rules.pointsMin) return false;
+  if (Number.isFinite(rules.pointsMax) && points > rules.pointsMax) return false;
+
+  if (rules.birthdayThisMonth === true && birthdayMonthOf(data.birthday) !== context.month) {
+    return false;
+  }
+
+  if (rules.referralPending === true) {
+    if (!data.referredBy || !context.pendingReferralUserIds.has(userId)) return false;
+  }
+
+  if (Array.isArray(rules.loyaltyTierIds) && rules.loyaltyTierIds.length > 0) {
+    if (!rules.loyaltyTierIds.includes(currentTierOf(context.tiersConfig, data).id)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Human-readable summary of a segment's rules, for the admin list and previews
+ * @param {Object} rules
+ * @param {Object} [tiersConfig] - To show tier names instead of ids
+ * @returns {string[]}
+ */
+function describeSegmentRules(rules, tiersConfig) {
+  const parts = [];
+  if (Number.isInteger(rules.noReceiptInDays)) {
+    parts.push(`No receipt in ${rules.noReceiptInDays} days`);
+  }
+  const hasMin = Number.isFinite(rules.pointsMin);
+  const hasMax = Number.isFinite(rules.pointsMax);
+  if (hasMin && hasMax) parts.push(`Points between ${rules.pointsMin} and ${rules.pointsMax}`);
+  else if (hasMin) parts.push(`At least ${rules.pointsMin} points`);
+  else if (hasMax) parts.push(`At most ${rules.pointsMax} points`);
+  if (rules.birthdayThisMonth === true) parts.push('Birthday this month');
+  if (rules.referralPending === true) parts.push('Referred, referral reward not earned yet');
+  if (Array.isArray(rules.loyaltyTierIds) && rules.loyaltyTierIds.length > 0) {
+    const names = rules.loyaltyTierIds.map(id => tiersConfig?.tiers?.find(t => t.id === id)?.name || id);
+    parts.push(`Tier: ${names.join(' or ')}`);
+  }
+  return parts;
+}
+
+/**
+ * Segment as returned by the admin endpoints (timestamps as ISO strings)
+ * @param {string} id
+ * @param {Object} data - audienceSegments document data
+ * @returns {Object}
+ */
+function serializeSegment(id, data) {
+  return {
+    id,
+    name: data.name || '',
+    description: data.description || '',
+    rules: data.rules || {},
+    lastRecipientCount: typeof data.lastRecipientCount === 'number' ? data.lastRecipientCount : null,
+    lastPreviewedAt: toIsoString(data.lastPreviewedAt),
+    createdBy: data.createdBy || null,
+    createdAt: toIsoString(data.createdAt),
+    updatedBy: data.updatedBy || null,
+    updatedAt: toIsoString(data.updatedAt)
+  };
+}
+
+module.exports = {
+  AUDIENCE_SEGMENTS_COLLECTION,
+  birthdayMonthOf,
+  segmentLookupsFor,
+  userMatchesSegment,
+  describeSegmentRules,
+  serializeSegment
+};
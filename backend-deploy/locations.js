@@ -0,0 +1,168 @@
+/**
+ * Locations
+ *
+ * Each store is a doc in the `locations` collection with a receipt-validation
+ * profile, because receipts differ per store: the header text, the word the order
+ * number is printed under (the city on the original store's receipts), the POS
+ * order-number range, and the store's timezone for the 48-hour window and stats.
+ *
+ * The original store works without a doc: DEFAULT_LOCATION is used until an admin
+ * saves one, and receipts/reservations written before locations existed (no
+ * `locationId`) belong to it.
+ */
+
+const { DateTime } = require('luxon');
+
+const LOCATIONS_COLLECTION = 'locations';
+const DEFAULT_LOCATION_ID = 'nashville';
+
+// Matches the behavior that was hard-coded before locations existed
+const DEFAULT_RECEIPT_PROFILE = {
+  headerText: 'Dumpling House',
+  orderNumberAnchor: 'Nashville',
+  orderNumberMin: 1,
+  orderNumberMax: 400
+};
+
+const DEFAULT_LOCATION = {
+  id: DEFAULT_LOCATION_ID,
+  name: 'Dumpling House Nashville',
+  address: '2117 Belcourt Ave, Nashville, TN 37212',
+  timeZone: 'America/Chicago',
+  active: true,
+  receiptProfile: DEFAULT_RECEIPT_PROFILE
+};
+
+function toIntOr(value, fallback) {
+  const n = typeof value === 'number' ? value : parseInt(String(value ?? ''), 10);
+  return Number.isFinite(n) ? Math.floor(n) : fallback;
+}
+
+function nonEmptyString(value, fallback) {
+  return typeof value === 'string' && value.trim() ? value.trim() : fallback;
+}
+
+/**
+ * Merge a stored receipt profile over the defaults
+ * @param {Object|null} raw
+ * @returns {{headerText: string, orderNumberAnchor: string, orderNumberMin: number, orderNumberMax: number, orderNumberMaxDigits: number}}
+ */
+function normalizeReceiptProfile(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  const orderNumberMin = Math.max(0, toIntOr(data.orderNumberMin, DEFAULT_RECEIPT_PROFILE.orderNumberMin));
+  const orderNumberMax = Math.max(orderNumberMin, toIntOr(data.orderNumberMax, DEFAULT_RECEIPT_PROFILE.orderNumberMax));
+  return {
+    headerText: nonEmptyString(data.headerText, DEFAULT_RECEIPT_PROFILE.headerText),
+    orderNumberAnchor: nonEmptyString(data.orderNumberAnchor, DEFAULT_RECEIPT_PROFILE.orderNumberAnchor),
+    orderNumberMin,
+    orderNumberMax,
+    orderNumberMaxDigits: String(orderNumberMax).length
+  };
+}
+
+/**
+ * Merge a stored location doc over the defaults and coerce field types
+ * @param {string} id - Document id
+ * @param {Object|null} raw - Document data
+ * @param {Object} [overrides] - Defaults that depend on the environment (e.g. timeZone)
+ * @returns {Object} Normalized location
+ */
+function normalizeLocation(id, raw, overrides = {}) {
+  const base = id === DEFAULT_LOCATION_ID
+    ? { ...DEFAULT_LOCATION, ...overrides }
+    : { ...DEFAULT_LOCATION, name: id, address: null, ...overrides };
+  const data = raw && typeof raw === 'object' ? raw : {};
+
+  const timeZone = typeof data.timeZone === 'string' && DateTime.now().setZone(data.timeZone).isValid
+    ? data.timeZone
+    : base.timeZone;
+
+  return {
+    id,
+    name: nonEmptyString(data.name, base.name),
+    address: nonEmptyString(data.address, base.address),
+    timeZone,
+    active: data.active === undefined ? base.active : data.active === true,
+    receiptProfile: normalizeReceiptProfile(data.receiptProfile)
+  };
+}
+
+/**
+ * Build the location list from the collection, always including the default store
+ * @param {Array<{id: string, data: Object}>} docs
+ * @param {Object} [overrides]
+ * @returns {Object[]} Normalized locations, default first
+ */
+function buildLocationList(docs, overrides = {}) {
+  const byId = new Map();
+  for (const { id, data } of docs || []) {
+    byId.set(id, normalizeLocation(id, data, overrides));
+  }
+  if (!byId.has(DEFAULT_LOCATION_ID)) {
+    byId.set(DEFAULT_LOCATION_ID, normalizeLocation(DEFAULT_LOCATION_ID, null, overrides));
+  }
+  return [...byId.values()].sort((a, b) => {
+    if (a.id === DEFAULT_LOCATION_ID) return -1;
+    if (b.id === DEFAULT_LOCATION_ID) return 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Location a stored doc belongs to (docs written before locations existed have none)
+ * @param {Object} data - receipts / reservations document data
+ * @returns {string}
+ */
+function locationIdOf(data) {
+  return (data && typeof data.locationId === 'string' && data.locationId) || DEFAULT_LOCATION_ID;
+}
+
+/**
+ * Check an extracted order number against a location's POS range
+ * @param {*} value - orderNumber from the extraction
+ * @param {Object} profile - Normalized receipt profile
+ * @returns {string|null} User-facing problem, or null if valid
+ */
+function describeOrderNumberProblem(value, profile) {
+  const orderNumberStr = String(value ?? '').trim();
+  if (orderNumberStr.length > profile.orderNumberMaxDigits) {
+    return `Invalid order number format - must be ${profile.orderNumberMaxDigits} digits or less`;
+  }
+  const orderNumber = parseInt(orderNumberStr, 10);
+  if (isNaN(orderNumber)) {
+    return 'Invalid order number - must be a valid number';
+  }
+  if (orderNumber < profile.orderNumberMin) {
+    return `Invalid order number - must be at least ${profile.orderNumberMin}`;
+  }
+  if (orderNumber > profile.orderNumberMax) {
+    return `Invalid order number - must be ${profile.orderNumberMax} or less`;
+  }
+  return null;
+}
+
+/**
+ * Whether a menu item is sold at a location. Items list the stores that carry them
+ * in `locationIds`; no list (or an empty one) means every store.
+ * @param {Object} itemData - menu/{categoryId}/items document data
+ * @param {string|null} locationId - null = any location
+ * @returns {boolean}
+ */
+function isMenuItemOfferedAt(itemData, locationId) {
+  if (!locationId) return true;
+  const ids = itemData && Array.isArray(itemData.locationIds) ? itemData.locationIds : [];
+  return ids.length === 0 || ids.includes(locationId);
+}
+
+module.exports = {
+  LOCATIONS_COLLECTION,
+  DEFAULT_LOCATION_ID,
+  DEFAULT_LOCATION,
+  DEFAULT_RECEIPT_PROFILE,
+  normalizeReceiptProfile,
+  normalizeLocation,
+  buildLocationList,
+  locationIdOf,
+  describeOrderNumberProblem,
+  isMenuItemOfferedAt
+};
@@ -0,0 +1,174 @@
+/**
+ * Loyalty Tiers
+ *
+ * Membership tiers (Bronze/Silver/Gold by default) from the admin-editable config at
+ * config/loyaltyTiers. A user's tier is decided by their qualifying points:
+ *
+ *   qualifyingPoints = lifetimePoints - loyaltyTierPointsBaseline
+ *
+ * The baseline starts at 0, so new members qualify on lifetimePoints. Every
+ * requalificationMonths the requalification job resets the baseline so qualifying
+ * points equal what was earned in the trailing window, and the tier is renewed or
+ * lowered to match. Upgrades happen as soon as qualifying points cross a threshold.
+ *
+ * User fields: loyaltyTier (tier id), loyaltyTierQualifiedAt, loyaltyTierPointsBaseline.
+ */
+
+const { NON_EARNING_CREDIT_TYPES } = require('./pointsLedger');
+const { toDate } = require('./timeValues');
+
+const LOYALTY_TIERS_CONFIG_DOC = 'loyaltyTiers';
+
+const DEFAULT_LOYALTY_TIERS_CONFIG = {
+  requalificationMonths: 12,
+  tiers: [
+    { id: 'bronze', name: 'Bronze', threshold: 0, multiplier: 1 },
+    { id: 'silver', name: 'Silver', threshold: 1000, multiplier: 1.1 },
+    { id: 'gold', name: 'Gold', threshold: 2500, multiplier: 1.25 }
+  ]
+};
+
+function toNumberOr(value, fallback) {
+  const n = typeof value === 'number' ? value : parseFloat(String(value ?? ''));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Merge a stored config over the defaults. Tiers are sorted by threshold and the
+ * lowest one always starts at 0, so every user has a tier.
+ * @param {Object|null} raw - config/loyaltyTiers document data
+ * @returns {{requalificationMonths: number, tiers: Array<{id: string, name: string, threshold: number, multiplier: number}>}}
+ */
+function normalizeLoyaltyTiersConfig(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  const seen = new Set();
+  const tiers = (Array.isArray(data.tiers) ? data.tiers : [])
+    .filter(t => t && typeof t === 'object' && typeof t.id === 'string' && t.id.trim())
+    .map(t => ({
+      id: t.id.trim(),
+      name: typeof t.name === 'string' && t.name.trim() ? t.name.trim() : t.id.trim(),
+      threshold: Math.max(0, Math.floor(toNumberOr(t.threshold, 0))),
+      multiplier: Math.max(1, toNumberOr(t.multiplier, 1))
+    }))
+    .filter(t => (seen.has(t.id) ? false : seen.add(t.id)))
+    .sort((a, b) => a.threshold - b.threshold);
+
+  const normalizedTiers = tiers.length > 0
+    ? tiers.map((t, i) => (i === 0 ? { ...t, threshold: 0 } : t))
+    : DEFAULT_LOYALTY_TIERS_CONFIG.tiers.map(t => ({ ...t }));
+
+  return {
+    requalificationMonths: Math.max(1, Math.floor(toNumberOr(data.requalificationMonths, DEFAULT_LOYALTY_TIERS_CONFIG.requalificationMonths))),
+    tiers: normalizedTiers
+  };
+}
+
+/**
+ * Highest tier whose threshold the points meet
+ * @returns {Object} Tier from config.tiers
+ */
+function tierForPoints(config, points) {
+  let match = config.tiers[0];
+  for (const tier of config.tiers) {
+    if (points >= tier.threshold) match = tier;
+  }
+  return match;
+}
+
+/**
+ * Position of a tier id in the ladder (unknown ids rank as the lowest tier)
+ * @returns {number}
+ */
+function tierRank(config, tierId) {
+  const idx = config.tiers.findIndex(t => t.id === tierId);
+  return idx === -1 ? 0 : idx;
+}
+
+/**
+ * @param {Object} userData - users document data
+ * @returns {number}
+ */
+function qualifyingPointsOf(userData) {
+  const lifetime = typeof userData?.lifetimePoints === 'number'
+    ? userData.lifetimePoints
+    : (typeof userData?.points === 'number' ? userData.points : 0);
+  const baseline = typeof userData?.loyaltyTierPointsBaseline === 'number' ? userData.loyaltyTierPointsBaseline : 0;
+  return Math.max(0, lifetime - baseline);
+}
+
+/**
+ * The user's tier. Users who predate tiers (no loyaltyTier stored) are placed by
+ * their qualifying points; a stored tier that was removed from the config falls
+ * back to the same calculation.
+ * @returns {Object} Tier from config.tiers
+ */
+function currentTierOf(config, userData) {
+  const stored = config.tiers.find(t => t.id === userData?.loyaltyTier);
+  return stored || tierForPoints(config, qualifyingPointsOf(userData));
+}
+
+/**
+ * Tier the user moves up to if their lifetime points become newLifetimePoints
+ * @returns {{from: Object, to: Object}|null} null when the tier doesn't change
+ */
+function evaluateTierUpgrade(config, userData, newLifetimePoints) {
+  const from = currentTierOf(config, userData);
+  const to = tierForPoints(config, qualifyingPointsOf({ ...userData, lifetimePoints: newLifetimePoints }));
+  return tierRank(config, to.id) > tierRank(config, from.id) ? { from, to } : null;
+}
+
+/**
+ * Current tier plus progress toward the next one (for /me/tier)
+ * @returns {{tier: Object, qualifyingPoints: number, nextTier: Object|null, pointsToNextTier: number, progress: number}}
+ */
+function describeTierProgress(config, userData) {
+  const tier = currentTierOf(config, userData);
+  const qualifyingPoints = qualifyingPointsOf(userData);
+  const nextTier = config.tiers[tierRank(config, tier.id) + 1] || null;
+  if (!nextTier) {
+    return { tier, qualifyingPoints, nextTier: null, pointsToNextTier: 0, progress: 1 };
+  }
+  const span = nextTier.threshold - tier.threshold;
+  const progress = span > 0 ? (qualifyingPoints - tier.threshold) / span : 1;
+  return {
+    tier,
+    qualifyingPoints,
+    nextTier,
+    pointsToNextTier: Math.max(0, nextTier.threshold - qualifyingPoints),
+    progress: Math.min(1, Math.max(0, Math.round(progress * 1000) / 1000))
+  };
+}
+
+/**
+ * Points earned since a date, counted the way lifetimePoints is: credits except
+ * refunds, minus admin reversals of credits
+ * @param {Object[]} transactions - pointsTransactions document data (with timestamp)
+ * @param {Date} since
+ * @returns {number}
+ */
+function earnedPointsSince(transactions, since) {
+  const sinceMs = since.getTime();
+  let earned = 0;
+  for (const t of transactions || []) {
+    const at = toDate(t.timestamp) || toDate(t.createdAt);
+    if (!at || at.getTime() < sinceMs) continue;
+    const amount = typeof t.amount === 'number' ? Math.round(t.amount) : 0;
+    const isReversal = Boolean(t.metadata && t.metadata.reversalOf);
+    if (amount > 0 && !isReversal && !NON_EARNING_CREDIT_TYPES.has(t.type)) earned += amount;
+    if (amount < 0 && isReversal) earned += amount;
+  }
+  return Math.max(0, earned);
+}
+
+module.exports = {
+  LOYALTY_TIERS_CONFIG_DOC,
+  DEFAULT_LOYALTY_TIERS_CONFIG,
+  normalizeLoyaltyTiersConfig,
+  tierForPoints,
+  tierRank,
+  qualifyingPointsOf,
+  currentTierOf,
+  evaluateTierUpgrade,
+  describeTierProgress,
+  earnedPointsSince
+};
@@ -0,0 +1,157 @@
+/**
+ * Notification Analytics
+ *
+ * Outcome reporting for admin notifications (sentNotifications). Each send records
+ * its FCM results:
+ *
+ *   { totalTargeted (devices), successCount, failureCount, invalidTokenCount,
+ *     deliveredUserCount (users with at least one device reached), deferredCount,
+ *     totalInAppNotified }
+ *
+ * Deferred pushes add to these counts when POST /cron/deferred-pushes sends them.
+ * Every recipient's in-app notification carries sentNotificationId; the app reports
+ * opens through POST /me/notifications/:id/opened, which sets openedAt (and
+ * pushOpenedAt for taps on the push itself) on that notification. Rates:
+ *
+ *   openRate         = recipients who opened it at all / in-app recipients
+ *   clickThroughRate = recipients who tapped the push / recipients the push reached
+ *
+ * Receipt scan attribution compares how many recipients scanned a receipt in the
+ * SCAN_ATTRIBUTION_HOURS after the send, split by whether they opened it.
+ */
+
+const SCAN_ATTRIBUTION_HOURS = 48;
+const OPEN_SOURCES = ['push', 'in_app'];
+
+function rate(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function count(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Delivery and engagement numbers for one send (or a sum of sends)
+ * @param {Object} data - sentNotifications document data
+ * @param {{openCount?: number, pushOpenCount?: number}} [opens] - From the recipients' notifications
+ * @returns {Object}
+ */
+function summarizeDeliveryStats(data, opens = {}) {
+  const successCount = count(data.successCount);
+  const failureCount = count(data.failureCount);
+  const deliveredUserCount = count(data.deliveredUserCount);
+  const inAppCount = count(data.totalInAppNotified);
+  const openCount = count(opens.openCount);
+  const pushOpenCount = count(opens.pushOpenCount);
+  return {
+    totalTargeted: count(data.totalTargeted),
+    successCount,
+    failureCount,
+    invalidTokenCount: count(data.invalidTokenCount),
+    deferredCount: count(data.deferredCount),
+    deliveredUserCount,
+    inAppCount,
+    openCount,
+    pushOpenCount,
+    deliveryRate: rate(successCount, successCount + failureCount),
+    openRate: rate(openCount, inAppCount),
+    clickThroughRate: rate(pushOpenCount, deliveredUserCount)
+  };
+}
+
+/**
+ * Totals across several sends (e.g. every run of a campaign)
+ * @param {Array<Object>} summaries - From summarizeDeliveryStats
+ * @returns {Object} Same shape, with rates over the totals
+ */
+function aggregateDeliveryStats(summaries) {
+  const totals = {};
+  for (const key of ['totalTargeted', 'successCount', 'failureCount', 'invalidTokenCount', 'deferredCount',
+    'deliveredUserCount', 'inAppCount', 'openCount', 'pushOpenCount']) {
+    totals[key] = summaries.reduce((sum, summary) => sum + count(summary[key]), 0);
+  }
+  return summarizeDeliveryStats(
+    { ...totals, totalInAppNotified: totals.inAppCount },
+    { openCount: totals.openCount, pushOpenCount: totals.pushOpenCount }
+  );
+}
+
+/**
+ * Which recipients scanned a receipt in the window after a send
+ * @param {Object} params
+ * @param {Date} params.sentAt
+ * @param {Array<{userId: string, openedAt: Date|null}>} params.recipients - One per in-app notification
+ * @param {Array<{userId: string, createdAt: Date}>} params.scans - Receipts created in the window
+ * @param {Date} params.now
+ * @returns {Object}
+ */
+function attributeReceiptScans({ sentAt, recipients, scans, now }) {
+  const windowEndsAt = new Date(sentAt.getTime() + SCAN_ATTRIBUTION_HOURS * 60 * 60 * 1000);
+  const scannedUserIds = new Set();
+  for (const scan of scans) {
+    if (scan.createdAt >= sentAt && scan.createdAt < windowEndsAt) scannedUserIds.add(scan.userId);
+  }
+
+  const recipientIds = new Set();
+  const openedIds = new Set();
+  for (const recipient of recipients) {
+    recipientIds.add(recipient.userId);
+    if (recipient.openedAt) openedIds.add(recipient.userId);
+  }
+
+  let scannedCount = 0;
+  let openedScannedCount = 0;
+  for (const userId of recipientIds) {
+    if (!scannedUserIds.has(userId)) continue;
+    scannedCount += 1;
+    if (openedIds.has(userId)) openedScannedCount += 1;
+  }
+  const notOpenedCount = recipientIds.size - openedIds.size;
+
+  return {
+    windowHours: SCAN_ATTRIBUTION_HOURS,
+    windowEndsAt: windowEndsAt.toISOString(),
+    complete: now >= windowEndsAt,
+    recipientCount: recipientIds.size,
+    scannedCount,
+    scanRate: rate(scannedCount, recipientIds.size),
+    openedCount: openedIds.size,
+    openedScannedCount,
+    openedScanRate: rate(openedScannedCount, openedIds.size),
+    notOpenedScanRate: rate(scannedCount - openedScannedCount, notOpenedCount)
+  };
+}
+
+/**
+ * Sum the attribution of several sends (rates over the totals)
+ * @param {Array<Object>} attributions - From attributeReceiptScans
+ */
+function aggregateScanAttribution(attributions) {
+  const sum = key => attributions.reduce((total, item) => total + count(item[key]), 0);
+  const recipientCount = sum('recipientCount');
+  const scannedCount = sum('scannedCount');
+  const openedCount = sum('openedCount');
+  const openedScannedCount = sum('openedScannedCount');
+  return {
+    windowHours: SCAN_ATTRIBUTION_HOURS,
+    sendCount: attributions.length,
+    complete: attributions.every(item => item.complete),
+    recipientCount,
+    scannedCount,
+    scanRate: rate(scannedCount, recipientCount),
+    openedCount,
+    openedScannedCount,
+    openedScanRate: rate(openedScannedCount, openedCount),
+    notOpenedScanRate: rate(scannedCount - openedScannedCount, recipientCount - openedCount)
+  };
+}
+
+module.exports = {
+  SCAN_ATTRIBUTION_HOURS,
+  OPEN_SOURCES,
+  summarizeDeliveryStats,
+  aggregateDeliveryStats,
+  attributeReceiptScans,
+  aggregateScanAttribution
+};
@@ -0,0 +1,129 @@
+/**
+ * Notification Campaigns
+ *
+ * Admin push notifications scheduled for later, optionally repeating ("weekly specials").
+ * Stored in notificationCampaigns and sent by POST /cron/notification-campaigns:
+ *
+ *   { title, body, targetType, userIds, segmentId, includeAdmins, isPromotional,
+ *     sendAt: 'yyyy-LL-ddTHH:mm' (wall-clock time in timeZone), timeZone,
+ *     recurrence: null | { frequency: 'daily'|'weekly'|'monthly', interval, until?, maxRuns? },
+ *     status: 'scheduled'|'sending'|'completed'|'cancelled'|'failed',
+ *     nextRunAt, runCount, lastRunAt, lastResult, lastSentNotificationId }
+ *
+ * Repeats are counted from sendAt in the campaign's timezone, so a 10:00 Tuesday
+ * campaign stays at 10:00 local across DST changes and monthly runs on the 31st fall
+ * on the last day of shorter months. Runs missed while the cron was down are skipped,
+ * not sent in a burst.
+ */
+
+const { DateTime } = require('luxon');
+const { toIsoString } = require('./timeValues');
+
+const NOTIFICATION_CAMPAIGNS_COLLECTION = 'notificationCampaigns';
+const CAMPAIGN_STATUSES = ['scheduled', 'sending', 'completed', 'cancelled', 'failed'];
+const EDITABLE_CAMPAIGN_STATUSES = ['scheduled', 'failed'];
+const CAMPAIGN_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const FREQUENCY_UNITS = { daily: 'days', weekly: 'weeks', monthly: 'months' };
+
+/**
+ * @param {string} timeZone - IANA name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  return typeof timeZone === 'string' && DateTime.now().setZone(timeZone).isValid;
+}
+
+/**
+ * Parse a campaign's send time. Times without an offset are wall-clock times in timeZone.
+ * @param {string} sendAt - 'yyyy-LL-ddTHH:mm' or a full ISO timestamp
+ * @param {string} timeZone
+ * @returns {DateTime|null} In timeZone, or null when unparseable
+ */
+function parseCampaignSendAt(sendAt, timeZone) {
+  if (typeof sendAt !== 'string' || !sendAt.trim()) return null;
+  const parsed = DateTime.fromISO(sendAt.trim(), { zone: timeZone });
+  return parsed.isValid ? parsed.setZone(timeZone) : null;
+}
+
+/**
+ * When a campaign should next go out after a given moment
+ * @param {Object} campaign - { sendAt, timeZone, recurrence, runCount }
+ * @param {Date} after - Exclusive lower bound (usually now, or the run just sent)
+ * @returns {Date|null} null when the campaign has no more runs
+ */
+function nextCampaignRunAt(campaign, after) {
+  const anchor = parseCampaignSendAt(campaign.sendAt, campaign.timeZone);
+  if (!anchor) return null;
+
+  const afterMs = after.getTime();
+  const recurrence = campaign.recurrence;
+  if (!recurrence) {
+    return (campaign.runCount || 0) === 0 && anchor.toMillis() > afterMs ? anchor.toJSDate() : null;
+  }
+  if (recurrence.maxRuns && (campaign.runCount || 0) >= recurrence.maxRuns) return null;
+
+  const unit = FREQUENCY_UNITS[recurrence.frequency];
+  const interval = Math.max(1, recurrence.interval || 1);
+  if (!unit) return null;
+
+  // Jump close to `after`, then step to the first occurrence strictly after it
+  const elapsed = DateTime.fromMillis(afterMs, { zone: campaign.timeZone }).diff(anchor, unit).get(unit);
+  let n = Math.max(0, Math.floor(elapsed / interval) - 1);
+  let occurrence = anchor.plus({ [unit]: n * interval });
+  while (occurrence.toMillis() <= afterMs) {
+    n += 1;
+    occurrence = anchor.plus({ [unit]: n * interval });
+  }
+
+  if (recurrence.until) {
+    const lastDay = DateTime.fromISO(recurrence.until, { zone: campaign.timeZone }).endOf('day');
+    if (!lastDay.isValid || occurrence > lastDay) return null;
+  }
+  return occurrence.toJSDate();
+}
+
+/**
+ * Campaign as returned by the admin endpoints (timestamps as ISO strings)
+ * @param {string} id
+ * @param {Object} data - notificationCampaigns document data
+ * @returns {Object}
+ */
+function serializeCampaign(id, data) {
+  return {
+    id,
+    title: data.title || '',
+    body: data.body || '',
+    targetType: data.targetType || 'all',
+    userIds: data.userIds || null,
+    segmentId: data.segmentId || null,
+    includeAdmins: data.includeAdmins === true,
+    isPromotional: data.isPromotional !== false,
+    sendAt: data.sendAt || null,
+    timeZone: data.timeZone || null,
+    recurrence: data.recurrence || null,
+    status: data.status || 'scheduled',
+    nextRunAt: toIsoString(data.nextRunAt),
+    runCount: data.runCount || 0,
+    lastRunAt: toIsoString(data.lastRunAt),
+    lastResult: data.lastResult || null,
+    lastSentNotificationId: data.lastSentNotificationId || null,
+    lastError: data.lastError || null,
+    createdBy: data.createdBy || null,
+    createdAt: toIsoString(data.createdAt),
+    updatedBy: data.updatedBy || null,
+    updatedAt: toIsoString(data.updatedAt),
+    cancelledAt: toIsoString(data.cancelledAt)
+  };
+}
+
+module.exports = {
+  NOTIFICATION_CAMPAIGNS_COLLECTION,
+  CAMPAIGN_STATUSES,
+  EDITABLE_CAMPAIGN_STATUSES,
+  CAMPAIGN_FREQUENCIES,
+  isValidTimeZone,
+  parseCampaignSendAt,
+  nextCampaignRunAt,
+  serializeCampaign
+};
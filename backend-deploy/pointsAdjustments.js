@@ -0,0 +1,77 @@
+/**
+ * Points Adjustments
+ *
+ * Admin corrections to a user's balance are written as `admin_adjustment` entries in
+ * pointsTransactions with a reason code, the admin's uid and a note, so every change
+ * can be audited and undone.
+ *
+ * A reversal cancels an earlier credit (receipt scan, referral, welcome bonus, gift
+ * claim, or another adjustment) with an opposite entry. The two are linked both ways:
+ * the reversal carries `reversalOf`, and the original is stamped with `reversedBy`, so
+ * nothing can be reversed twice.
+ */
+
+const POINTS_ADJUSTMENT_TX_TYPE = 'admin_adjustment';
+
+const POINTS_ADJUSTMENT_REASON_CODES = {
+  goodwill: 'Goodwill / customer service credit',
+  missing_points: 'Points missing for a valid purchase',
+  receipt_fraud: 'Fraudulent or altered receipt',
+  duplicate_award: 'Points awarded twice for one purchase',
+  referral_abuse: 'Referral abuse',
+  system_error: 'Correction for a system error',
+  balance_correction: 'Manual balance correction',
+  other: 'Other (see note)'
+};
+
+// Transactions that credited the user and can be taken back
+const REVERSIBLE_TX_TYPES = new Set(['receipt_scan', 'referral', 'welcome', 'bonus', POINTS_ADJUSTMENT_TX_TYPE]);
+
+/**
+ * Gift claims are logged as 0-point reward_redeemed entries; reversing one revokes the reward
+ * @param {Object} tx - pointsTransactions document data
+ * @returns {boolean}
+ */
+function isGiftClaimTransaction(tx) {
+  return !!tx && tx.type === 'reward_redeemed' && tx.metadata?.isGiftedReward === true;
+}
+
+/**
+ * Why a transaction can't be reversed
+ * @param {Object} tx - pointsTransactions document data
+ * @returns {string|null} Admin-facing problem, or null if it can be reversed
+ */
+function describeReversalProblem(tx) {
+  if (!tx) return 'Transaction not found';
+  if (tx.reversedBy) return `Transaction was already reversed by ${tx.reversedBy}`;
+  if (tx.metadata?.reversalOf) return 'A reversal cannot itself be reversed; make a new adjustment instead';
+  if (isGiftClaimTransaction(tx)) return null;
+  if (!REVERSIBLE_TX_TYPES.has(tx.type)) return `Transactions of type "${tx.type || 'unknown'}" cannot be reversed`;
+  if (typeof tx.amount !== 'number' || tx.amount === 0) return 'Transaction has no points to reverse';
+  return null;
+}
+
+/**
+ * New balances after applying a signed delta
+ * @param {{points: number, lifetimePoints: number}} balances - Current user balances
+ * @param {number} delta - Signed points change
+ * @param {Object} options
+ * @param {boolean} options.affectsLifetime - true for new earnings and for taking back an
+ *   earned credit; false for deductions and for undoing a deduction
+ * @returns {{points: number, lifetimePoints: number}}
+ */
+function applyPointsDelta({ points, lifetimePoints }, delta, { affectsLifetime }) {
+  return {
+    points: points + delta,
+    lifetimePoints: affectsLifetime ? Math.max(0, lifetimePoints + delta) : lifetimePoints
+  };
+}
+
+module.exports = {
+  POINTS_ADJUSTMENT_TX_TYPE,
+  POINTS_ADJUSTMENT_REASON_CODES,
+  REVERSIBLE_TX_TYPES,
+  isGiftClaimTransaction,
+  describeReversalProblem,
+  applyPointsDelta
+};
@@ -0,0 +1,134 @@
+/**
+ * Points Ledger
+ *
+ * Rebuilds a user's balance from their pointsTransactions instead of trusting the
+ * mutable users.points / users.lifetimePoints fields, and tracks which earn "lots"
+ * are still unspent so unused points can expire oldest-first (FIFO).
+ *
+ * Lot model:
+ * - Every positive transaction opens a lot dated at its timestamp
+ * - Every negative transaction (redemption, admin deduction, expiration) consumes
+ *   the oldest open lots first
+ * - A refund opens a new lot dated at the refund, so refunded points get a fresh
+ *   expiration window
+ * - Admin reversals (metadata.reversalOf) mirror the stored balances: taking back a
+ *   credit lowers lifetime earnings, and undoing a deduction doesn't raise them
+ */
+
+const { DateTime } = require('luxon');
+const { toDate } = require('./timeValues');
+
+// Credits that give points back rather than earn them (don't count toward lifetimePoints)
+const NON_EARNING_CREDIT_TYPES = new Set(['reward_expiration_refund']);
+
+const POINTS_EXPIRATION_TX_TYPE = 'points_expiration';
+
+function toAmount(value) {
+  const n = typeof value === 'number' ? value : parseFloat(String(value ?? ''));
+  return Number.isFinite(n) ? Math.round(n) : 0;
+}
+
+/**
+ * Replay a user's transactions in time order
+ * @param {Array<{id: string, type?: string, amount: number, timestamp?: *, createdAt?: *, metadata?: Object}>} transactions
+ * @returns {{balance: number, lifetimeEarned: number, lots: Object[], unbackedDebit: number, transactionCount: number}}
+ *   lots are the still-open earn lots ({txId, type, earnedAt, amount, remaining}), oldest first.
+ *   unbackedDebit is how many debited points had no lot to consume (history older than the ledger).
+ */
+function replayLedger(transactions) {
+  const entries = (transactions || [])
+    .map(t => ({
+      id: String(t.id || ''),
+      type: t.type || null,
+      amount: toAmount(t.amount),
+      at: toDate(t.timestamp) || toDate(t.createdAt),
+      isReversal: Boolean(t.metadata && t.metadata.reversalOf)
+    }))
+    .filter(e => e.amount !== 0)
+    .sort((a, b) => {
+      // Undated entries sort first; ties broken by id for a stable replay
+      const ta = a.at ? a.at.getTime() : 0;
+      const tb = b.at ? b.at.getTime() : 0;
+      return ta - tb || a.id.localeCompare(b.id);
+    });
+
+  const lots = [];
+  let balance = 0;
+  let lifetimeEarned = 0;
+  let unbackedDebit = 0;
+
+  for (const entry of entries) {
+    balance += entry.amount;
+
+    if (entry.amount > 0) {
+      if (!NON_EARNING_CREDIT_TYPES.has(entry.type) && !entry.isReversal) lifetimeEarned += entry.amount;
+      lots.push({ txId: entry.id, type: entry.type, earnedAt: entry.at, amount: entry.amount, remaining: entry.amount });
+      continue;
+    }
+
+    if (entry.isReversal) lifetimeEarned = Math.max(0, lifetimeEarned + entry.amount);
+
+    let toConsume = -entry.amount;
+    for (const lot of lots) {
+      if (toConsume === 0) break;
+      if (lot.remaining === 0) continue;
+      const used = Math.min(lot.remaining, toConsume);
+      lot.remaining -= used;
+      toConsume -= used;
+    }
+    unbackedDebit += toConsume;
+  }
+
+  return {
+    balance,
+    lifetimeEarned,
+    lots: lots.filter(l => l.remaining > 0),
+    unbackedDebit,
+    transactionCount: entries.length
+  };
+}
+
+/**
+ * Split open lots into expired / expiring-soon buckets
+ * @param {Object[]} lots - Open lots from replayLedger
+ * @param {Object} options
+ * @param {number} options.expirationMonths - Lot lifetime in months
+ * @param {number} options.warningDays - How far ahead to warn
+ * @param {Date} [options.now]
+ * @returns {{expiredPoints: number, expiredLots: Object[], expiringPoints: number, expiringLots: Object[], nextExpiry: Date|null}}
+ */
+function summarizeExpiration(lots, { expirationMonths, warningDays, now = new Date() }) {
+  const nowMs = now.getTime();
+  const warnUntilMs = nowMs + Math.max(0, warningDays || 0) * 24 * 60 * 60 * 1000;
+  const expiredLots = [];
+  const expiringLots = [];
+  let nextExpiry = null;
+
+  for (const lot of lots) {
+    // Undated lots (legacy docs without a timestamp) never expire
+    if (!lot.earnedAt || !expirationMonths) continue;
+    const expiresAt = DateTime.fromJSDate(lot.earnedAt).plus({ months: expirationMonths }).toJSDate();
+    const withExpiry = { ...lot, expiresAt };
+    if (expiresAt.getTime() <= nowMs) {
+      expiredLots.push(withExpiry);
+    } else {
+      if (expiresAt.getTime() <= warnUntilMs) expiringLots.push(withExpiry);
+      if (!nextExpiry || expiresAt < nextExpiry) nextExpiry = expiresAt;
+    }
+  }
+
+  return {
+    expiredPoints: expiredLots.reduce((acc, l) => acc + l.remaining, 0),
+    expiredLots,
+    expiringPoints: expiringLots.reduce((acc, l) => acc + l.remaining, 0),
+    expiringLots,
+    nextExpiry
+  };
+}
+
+module.exports = {
+  POINTS_EXPIRATION_TX_TYPE,
+  NON_EARNING_CREDIT_TYPES,
+  replayLedger,
+  summarizeExpiration
+};
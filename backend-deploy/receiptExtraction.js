@@ -0,0 +1,710 @@
+/**
+ * Receipt Extraction Providers
+ *
+ * Pulls orderNumber / orderTotal / orderDate / orderTime (plus the totals-section
+ * amounts and visibility/tampering flags) out of a receipt. The validation pipeline
+ * in /analyze-receipt and /submit-receipt consumes the result and does not care
+ * which provider produced it.
+ *
+ * Providers (RECEIPT_EXTRACTION_PROVIDER):
+ * - openai   (default) Two independent gpt-4o-mini vision passes over the image
+ * - fixture  Deterministic results from a JSON file, keyed by image SHA-256
+ * - ocr_text Rule-based parser over OCR text sent with the upload (`ocrText` field)
+ *
+ * Every provider returns exactly two passes so the two-pass agreement check stays
+ * a single code path. Deterministic providers return the same result twice.
+ *
+ * Providers also implement extractLineItems() for the optional item-level pass;
+ * it runs only after a receipt has been accepted.
+ *
+ * The header text, order-number anchor and order-number range come from the
+ * store's receipt profile (see locations.js), passed to extract() and extractLineItems()
+ * as `profile`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { DEFAULT_RECEIPT_PROFILE, normalizeReceiptProfile } = require('./locations');
+
+const RECEIPT_EXTRACTION_PROVIDERS = ['openai', 'fixture', 'ocr_text'];
+
+// =============================================================================
+// Prompts
+// =============================================================================
+
+// Strict vision prompt used by /analyze-receipt (key fields + visibility/tampering flags)
+function buildAnalyzeReceiptPrompt(profile = DEFAULT_RECEIPT_PROFILE) {
+  const { headerText, orderNumberAnchor: anchor, orderNumberMin: min, orderNumberMax: max, orderNumberMaxDigits: maxDigits } = normalizeReceiptProfile(profile);
+  return `You are a receipt parser for ${headerText}. Follow these STRICT validation rules:
+
+VALIDATION RULES:
+1. If there are NO words stating "${headerText}" at the top of the receipt, return {"error": "Invalid receipt - must be from ${headerText}"}
+2. If there is anything covering up numbers or text on the receipt, and it affects the ORDER NUMBER, TOTAL, DATE, or TIME, treat this as tampering and do NOT accept the receipt.
+3. TAMPERING DETECTION: Look for signs of obvious tampering or manipulation, especially on the ORDER NUMBER, TOTAL, DATE, or TIME:
+   - If numbers appear to be digitally altered, edited, or photoshopped, return {"error": "Receipt appears to be tampered with - digital manipulation detected"}
+   - If you can see evidence this is a photo of a screen/monitor (pixel patterns, screen glare, moiré effect), return {"error": "Invalid - please scan the original physical receipt, not a photo of a screen"}
+   - If you can see this is a photo of another photo (edges of another photo visible, photo paper texture), return {"error": "Invalid - please scan the original receipt, not a photo of a photo"}
+   - If numbers appear to be written over, crossed out, scribbled on, whited-out, or manually changed on the ORDER NUMBER, TOTAL, DATE, or TIME, return {"error": "Receipt appears to be tampered with - numbers have been altered"}
+   - IMPORTANT: Employee checkmarks, circles, or handwritten notes on items are NORMAL and ALLOWED ONLY if they do NOT cover the digits of the ORDER NUMBER, TOTAL, DATE, or TIME. If any marking crosses through or obscures the digits of these key fields, treat it as tampering.
+   - If the receipt looks artificially brightened or enhanced to hide alterations, return {"error": "Receipt appears to be digitally modified"}
+4. CRITICAL LOCATION: The order number is ALWAYS directly underneath the word "${anchor}" on the receipt. Look for "${anchor}" and find the number immediately below it.
+5. For DINE-IN orders: The order number is the BIGGER number inside the black box with white text, located directly under "${anchor}". IGNORE any smaller numbers below the black box - those are NOT the order number.
+6. For PICKUP orders: The order number is found directly underneath the word "${anchor}" and may not be in a black box.
+7. The order number is NEVER found further down on the receipt - it's always in the top section under "${anchor}"
+8. PAID ONLINE RECEIPTS (NO BLACK BOX): On the rare chance that there is NO black box at all for the order number anywhere in the top section under "${anchor}", look to see if you can find that the receipt indicates it was paid online. This may appear as:
+   - "paid online"
+   - "customer paid online"
+   - "new customer paid online"
+   - or the words "paid" and "online" close together (even if split across lines).
+   - If you do NOT see the words "paid online" anywhere on the receipt, you MUST NOT guess the order number from anywhere else. In this case, return {"error": "No valid order number found in black box under ${anchor}"}.
+   - If you DO see "paid online" on the receipt, the ONLY valid order number is the number in bold font that appears immediately next to the label "Order:" on the ticket. You MUST:
+     * Read the number that is in bold font right next to "Order:".
+     * Treat this as the order number ONLY if it is clearly readable, not tampered with, and within the valid range (see below).
+     * NOT use any other numbers anywhere else on the receipt as the order number.
+   - If "paid online" is present but there is no clear bold number right next to "Order:", or that number is unclear, obscured, or tampered with, you MUST return {"error": "No valid order number found next to 'Order:' for paid online receipt"} and NOT guess from anywhere else.
+9. If the order number is more than ${maxDigits} digits, it cannot be the order number - look for a smaller number
+10. Order numbers CANNOT be greater than ${max} - if you see a number over ${max}, it's not the order number and should be ignored completely
+10. CRITICAL: If the receipt is faded, blurry, hard to read, or if ANY numbers in the ORDER NUMBER, TOTAL, DATE, or TIME are unclear or difficult to see, return {"error": "Receipt is too faded or unclear - please take a clearer photo"} - DO NOT attempt to guess or estimate any numbers
+11. If the image quality is poor and numbers (especially the ORDER NUMBER, TOTAL, DATE, or TIME) are blurry, unclear, or hard to read, return {"error": "Poor image quality - please take a clearer photo"}
+12. ALWAYS return the date as MM/DD format only (no year, no other format). If the receipt prints the date with a hyphen (MM-DD), convert it to MM/DD in your output.
+13. CRITICAL: You MUST double-check all extracted information before returning it. Verify that the order number, total, and date are accurate and match what you see on the receipt. This is essential for preventing system abuse and maintaining data integrity.
+
+EXTRACTION RULES:
+- orderNumber: CRITICAL - Find the number INSIDE the black box with white text that is located directly underneath the word "${anchor}" on the receipt. This black box is the ONLY valid source for the order number when a black box is present. On receipts where there is no such black box at all, you MUST follow the paid-online rules described above: only use the bold number immediately next to "Order:" on receipts that clearly say "paid online", and otherwise return an appropriate error without guessing from anywhere else on the receipt.
+- orderTotal: The total amount paid (as a number, e.g. 23.45)
+- orderDate: The date in MM/DD format only (e.g. "12/25")
+- orderTime: The time in HH:MM format only (e.g. "14:30"). This is always located to the right of the date on the receipt.
+
+VISIBILITY & TAMPERING FLAGS:
+- You MUST also return the following boolean flags describing the visibility and tampering status of each key field:
+  - totalVisibleAndClear: true if the TOTAL digits are fully visible, unobscured, and clearly readable. false if any part of the total is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
+  - orderNumberVisibleAndClear: true if the ORDER NUMBER digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
+  - dateVisibleAndClear: true if the DATE digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
+  - timeVisibleAndClear: true if the TIME digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
+- You MUST also return:
+  - keyFieldsTampered: true if you see ANY evidence of scribbles, crossings-out, overwriting, white-out, or manual changes on the ORDER NUMBER, TOTAL, DATE, or TIME. Otherwise false.
+  - tamperingReason: a short string explaining the tampering if keyFieldsTampered is true (for example: "date is scribbled over", "order number crossed out and rewritten", or "heavy marker drawn over total").
+  - orderNumberInBlackBox: true if and only if the orderNumber you returned was read from INSIDE the black box directly under "${anchor}". If there is no black box or no number inside it, set this to false.
+  - orderNumberDirectlyUnderAnchor: true if and only if the orderNumber you returned was read from the number immediately under the word "${anchor}" in the top section (pickup receipts may not show a black box). If you did NOT use that number, set this to false.
+  - paidOnlineReceipt: true if and only if the receipt clearly contains the words "paid online" and you are using the paid-online fallback path (bold number next to "Order:") described above. Otherwise false.
+  - orderNumberFromPaidOnlineSection: true if and only if the orderNumber you returned was read from the bold number immediately next to the label "Order:" on a paid-online receipt. Otherwise false.
+
+IMPORTANT: 
+- CRITICAL LOCATION: The only valid order number is the number inside the black box with white text directly underneath the word "${anchor}" on the receipt. Do not use any other number anywhere else on the receipt as the order number.
+- TIME LOCATION: The time is ALWAYS located to the right of the date on the receipt and must be in HH:MM format.
+- If you cannot clearly read the numbers due to poor image quality, DO NOT GUESS. Return an error instead.
+- If the receipt is faded, blurry, or any numbers are unclear, DO NOT ATTEMPT TO READ THEM. Return an error immediately.
+- Order numbers must be between ${min}-${max}. Any number over ${max} is completely invalid and should not be returned at all.
+- If the only numbers you see are over ${max}, return {"error": "No valid order number found - order numbers must be under ${max}"}
+- DOUBLE-CHECK REQUIREMENT: Before returning any data, carefully review the extracted order number, total, date, and time to ensure they are accurate and match the receipt. Also carefully review whether any part of these fields is obscured or tampered with, and set the visibility/tampering flags accordingly. This verification step is crucial for preventing fraud and maintaining system integrity.
+- SAFETY FIRST: It's better to reject a receipt and ask for a clearer photo than to guess and return incorrect information. If you are not highly confident about any of the key fields, treat the receipt as invalid and return an error message instead of guessing.
+
+Respond ONLY as a JSON object with this exact shape:
+{"orderNumber": "...", "orderTotal": ..., "orderDate": "...", "orderTime": "...", "totalVisibleAndClear": true/false, "orderNumberVisibleAndClear": true/false, "dateVisibleAndClear": true/false, "timeVisibleAndClear": true/false, "keyFieldsTampered": true/false, "tamperingReason": "...", "orderNumberInBlackBox": true/false, "orderNumberDirectlyUnderAnchor": true/false, "paidOnlineReceipt": true/false, "orderNumberFromPaidOnlineSection": true/false} 
+or {"error": "error message"}.
+If a field is missing, use null.`;
+}
+
+// /submit-receipt variant: same rules, plus the Subtotal/Tax/Total/Tip/Fee section for reconciliation
+function buildSubmitReceiptPrompt(profile = DEFAULT_RECEIPT_PROFILE) {
+  const { headerText, orderNumberAnchor: anchor, orderNumberMin: min, orderNumberMax: max, orderNumberMaxDigits: maxDigits } = normalizeReceiptProfile(profile);
+  return `You are a receipt parser for ${headerText}. Follow these STRICT validation rules:
+
+VALIDATION RULES:
+1. If there are NO words stating "${headerText}" at the top of the receipt, return {"error": "Invalid receipt - must be from ${headerText}"}
+2. If there is anything covering up numbers or text on the receipt, and it affects the ORDER NUMBER, TOTAL, DATE, or TIME, treat this as tampering and do NOT accept the receipt.
+3. TAMPERING DETECTION: Look for signs of obvious tampering or manipulation, especially on the ORDER NUMBER, TOTAL, DATE, or TIME:
+   - If numbers appear to be digitally altered, edited, or photoshopped, return {"error": "Receipt appears to be tampered with - digital manipulation detected"}
+   - If you can see evidence this is a photo of a screen/monitor (pixel patterns, screen glare, moiré effect), return {"error": "Invalid - please scan the original physical receipt, not a photo of a screen"}
+   - If you can see this is a photo of another photo (edges of another photo visible, photo paper texture), return {"error": "Invalid - please scan the original receipt, not a photo of a photo"}
+   - If numbers appear to be written over, crossed out, scribbled on, whited-out, or manually changed on the ORDER NUMBER, TOTAL, DATE, or TIME, return {"error": "Receipt appears to be tampered with - numbers have been altered"}
+   - IMPORTANT: Employee checkmarks, circles, or handwritten notes on items are NORMAL and ALLOWED ONLY if they do NOT cover the digits of the ORDER NUMBER, TOTAL, DATE, or TIME. If any marking crosses through or obscures the digits of these key fields, treat it as tampering.
+   - If the receipt looks artificially brightened or enhanced to hide alterations, return {"error": "Receipt appears to be digitally modified"}
+4. CRITICAL LOCATION: The order number is ALWAYS directly underneath the word "${anchor}" on the receipt. Look for "${anchor}" and find the number immediately below it.
+5. For DINE-IN orders: The order number is the BIGGER number inside the black box with white text, located directly under "${anchor}". IGNORE any smaller numbers below the black box - those are NOT the order number.
+6. For PICKUP orders: The order number is found directly underneath the word "${anchor}" and may not be in a black box.
+7. The order number is NEVER found further down on the receipt - it's always in the top section under "${anchor}"
+8. PAID ONLINE RECEIPTS (NO BLACK BOX): On the rare chance that there is NO black box at all for the order number anywhere in the top section under "${anchor}", look to see if you can find that the receipt indicates it was paid online. This may appear as:
+   - "paid online"
+   - "customer paid online"
+   - "new customer paid online"
+   - or the words "paid" and "online" close together (even if split across lines).
+   - If you do NOT see the words "paid online" anywhere on the receipt, you MUST NOT guess the order number from anywhere else. In this case, return {"error": "No valid order number found under ${anchor}"}.
+   - If you DO see "paid online" on the receipt, the ONLY valid order number is the number in bold font that appears immediately next to the label "Order:" on the ticket. You MUST:
+     * Read the number that is in bold font right next to "Order:".
+     * Treat this as the order number ONLY if it is clearly readable, not tampered with, and within the valid range (see below).
+     * NOT use any other numbers anywhere else on the receipt as the order number.
+   - If "paid online" is present but there is no clear bold number right next to "Order:", or that number is unclear, obscured, or tampered with, you MUST return {"error": "No valid order number found next to 'Order:' for paid online receipt"} and NOT guess from anywhere else on the receipt.
+9. If the order number is more than ${maxDigits} digits, it cannot be the order number - look for a smaller number
+10. Order numbers CANNOT be greater than ${max} - if you see a number over ${max}, it's not the order number and should be ignored completely
+10. CRITICAL: If the receipt is faded, blurry, hard to read, or if ANY numbers in the ORDER NUMBER, TOTAL, DATE, or TIME are unclear or difficult to see, return {"error": "Receipt is too faded or unclear - please take a clearer photo"} - DO NOT attempt to guess or estimate any numbers
+11. If the image quality is poor and numbers (especially the ORDER NUMBER, TOTAL, DATE, or TIME) are blurry, unclear, or hard to read, return {"error": "Poor image quality - please take a clearer photo"}
+12. ALWAYS return the date as MM/DD format only (no year, no other format). If the receipt prints the date with a hyphen (MM-DD), convert it to MM/DD in your output.
+13. CRITICAL: You MUST double-check all extracted information before returning it. Verify that the order number, total, and date are accurate and match what you see on the receipt. This is essential for preventing system abuse and maintaining data integrity.
+
+EXTRACTION RULES:
+- orderNumber: CRITICAL - Find the number INSIDE the black box with white text that is located directly underneath the word "${anchor}" on the receipt. This black box is the ONLY valid source for the order number when a black box is present. On pickup receipts, the order number may be directly under "${anchor}" without a black box. On receipts where there is no such black box at all, you MUST follow the paid-online rules described above: only use the bold number immediately next to "Order:" on receipts that clearly say "paid online", and otherwise return an appropriate error without guessing from anywhere else on the receipt.
+- orderTotal: The total amount paid (as a number, e.g. 23.45)
+- orderDate: The date in MM/DD format only (e.g. "12/25")
+- orderTime: The time in HH:MM format only (e.g. "14:30"). This is always located to the right of the date on the receipt.
+- subtotalAmount: The SUBTOTAL amount as a number (e.g. 15.95) or null if not visible.
+- taxAmount: The TAX amount as a number (e.g. 1.60) or null if not visible.
+- totalAmount: The TOTAL amount as a number (should match orderTotal) or null if not visible.
+- tipAmount: The TIP/GRATUITY amount as a number (e.g. 4.81) or null if not visible.
+- feeAmount: Any CONVENIENCE FEE, SERVICE FEE, DELIVERY FEE, or other additional fees as a number (e.g. 1.00) or null if not visible. Look for fees labeled as "Conv Fee", "Convenience Fee", "Service Fee", "Delivery Fee", or similar charges between tip and total.
+- subtotalLineVisible: true only if the Subtotal line (label + digits) is clearly visible. Otherwise false.
+- taxLineVisible: true only if the Tax line (label + digits) is clearly visible. Otherwise false.
+- totalLineVisible: true only if the Total line (label + digits) is clearly visible. Otherwise false.
+- tipLineVisible: true only if the Tip/Gratuity line (label + digits) is clearly visible. Otherwise false.
+- feeLineVisible: true only if a fee line (Conv Fee, Convenience Fee, Service Fee, Delivery Fee, etc. with label + digits) is clearly visible. Otherwise false.
+
+VISIBILITY & TAMPERING FLAGS:
+- You MUST also return the following boolean flags describing the visibility and tampering status of each key field:
+  - totalVisibleAndClear: true if the TOTAL digits are fully visible, unobscured, and clearly readable. false if any part of the total is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
+  - orderNumberVisibleAndClear: true if the ORDER NUMBER digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
+  - dateVisibleAndClear: true if the DATE digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
+  - timeVisibleAndClear: true if the TIME digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
+- You MUST also return:
+  - keyFieldsTampered: true if you see ANY evidence of scribbles, crossings-out, overwriting, white-out, or manual changes on the ORDER NUMBER, TOTAL, DATE, or TIME. Otherwise false.
+  - tamperingReason: a short string explaining the tampering if keyFieldsTampered is true (for example: "date is scribbled over", "order number crossed out and rewritten", or "heavy marker drawn over total").
+  - orderNumberInBlackBox: true if and only if the orderNumber you returned was read from INSIDE the black box directly under "${anchor}". If there is no black box or no number inside it, set this to false.
+  - orderNumberDirectlyUnderAnchor: true if and only if the orderNumber you returned was read from the number immediately under the word "${anchor}" in the top section (pickup receipts may not show a black box). If you did NOT use that number, set this to false.
+  - paidOnlineReceipt: true if and only if the receipt clearly contains the words "paid online" and you are using the paid-online fallback path (bold number next to "Order:") described above. Otherwise false.
+  - orderNumberFromPaidOnlineSection: true if and only if the orderNumber you returned was read from the bold number immediately next to the label "Order:" on a paid-online receipt. Otherwise false.
+
+IMPORTANT: 
+- CRITICAL LOCATION: The only valid order number is the number inside the black box with white text directly underneath the word "${anchor}" on the receipt, OR (for pickup) the number directly underneath "${anchor}", OR (paid online fallback) the bold number next to "Order:".
+- TIME LOCATION: The time is ALWAYS located to the right of the date on the receipt and must be in HH:MM format.
+- If you cannot clearly read the numbers due to poor image quality, DO NOT GUESS. Return an error instead.
+- If the receipt is faded, blurry, or any numbers are unclear, DO NOT ATTEMPT TO READ THEM. Return an error immediately.
+- Order numbers must be between ${min}-${max}. Any number over ${max} is completely invalid and should not be returned at all.
+- If the only numbers you see are over ${max}, return {"error": "No valid order number found - order numbers must be under ${max}"}
+- DOUBLE-CHECK REQUIREMENT: Before returning any data, carefully review the extracted order number, total, date, and time to ensure they are accurate and match the receipt. Also carefully review whether any part of these fields is obscured or tampered with, and set the visibility/tampering flags accordingly. This verification step is crucial for preventing fraud and maintaining system integrity.
+- SAFETY FIRST: It's better to reject a receipt and ask for a clearer photo than to guess and return incorrect information. If you are not highly confident about any of the key fields, treat the receipt as invalid and return an error message instead of guessing.
+
+Respond ONLY as a JSON object with this exact shape:
+{"orderNumber": "...", "orderTotal": ..., "orderDate": "...", "orderTime": "...", "subtotalAmount": ..., "taxAmount": ..., "totalAmount": ..., "tipAmount": ..., "feeAmount": ..., "subtotalLineVisible": true/false, "taxLineVisible": true/false, "totalLineVisible": true/false, "tipLineVisible": true/false, "feeLineVisible": true/false, "totalVisibleAndClear": true/false, "orderNumberVisibleAndClear": true/false, "dateVisibleAndClear": true/false, "timeVisibleAndClear": true/false, "keyFieldsTampered": true/false, "tamperingReason": "...", "orderNumberInBlackBox": true/false, "orderNumberDirectlyUnderAnchor": true/false, "paidOnlineReceipt": true/false, "orderNumberFromPaidOnlineSection": true/false} 
+or {"error": "error message"}.
+If a field is missing, use null.`;
+}
+
+// Prompts for the original store, kept for callers that don't deal with locations
+const ANALYZE_RECEIPT_PROMPT = buildAnalyzeReceiptPrompt();
+const SUBMIT_RECEIPT_PROMPT = buildSubmitReceiptPrompt();
+
+// Optional third pass (RECEIPT_LINE_ITEMS_ENABLED) that only reads the items section.
+// Kept separate from the validation prompts so it can never affect whether a receipt is accepted.
+function buildLineItemsPrompt(profile) {
+  const { headerText } = normalizeReceiptProfile(profile);
+  return `You are reading the ITEMS section of a ${headerText} receipt (the lines between the order header and the Subtotal line).
+
+RULES:
+- List every purchased item line in the order printed.
+- name: the item text exactly as printed, without the quantity or the price.
+- quantity: the quantity printed for the line as a whole number. Use 1 if no quantity is printed.
+- price: the amount printed at the right of the line as a number (e.g. 12.99), or null if it is unreadable.
+- Modifier lines printed under an item (for example "Less Ice", "50% Sugar", "+ Boba", "Oat Milk") belong to the item above: put them in that item's "modifiers" array instead of listing them as separate items.
+- Do NOT include Subtotal, Tax, Tip, Gratuity, Fees, Total, payment, card or change lines.
+- If the items section is unreadable, return {"items": []}. Do not guess item names.
+
+Respond ONLY as a JSON object with this exact shape:
+{"items": [{"name": "...", "quantity": 1, "price": 0.00, "modifiers": ["..."]}]}`;
+}
+
+const LINE_ITEMS_PROMPT = buildLineItemsPrompt();
+
+// =============================================================================
+// Normalization + Agreement
+// =============================================================================
+
+// Fields that must agree between the two passes, per endpoint.
+const ANALYZE_AGREEMENT_FIELDS = [
+  'orderNumber', 'orderTotal', 'tipAmount', 'tipLineVisible', 'orderDate', 'orderTime'
+];
+const SUBMIT_AGREEMENT_FIELDS = [
+  'orderNumber', 'orderTotal', 'orderDate', 'orderTime',
+  'subtotalAmount', 'taxAmount', 'totalAmount', 'tipAmount', 'feeAmount',
+  'subtotalLineVisible', 'taxLineVisible', 'totalLineVisible', 'tipLineVisible', 'feeLineVisible'
+];
+
+const normalizeOrderDate = (v) => (typeof v === 'string' ? v.trim().replace(/-/g, '/') : v);
+const normalizeOrderTime = (v) => (typeof v === 'string' ? v.trim() : v);
+const normalizeOrderNumber = (v) => {
+  if (v === null || v === undefined) return v;
+  const s = String(v).trim();
+  if (/^\d+$/.test(s)) return String(parseInt(s, 10));
+  return s;
+};
+const normalizeMoney = (v) => {
+  if (v === null || v === undefined) return v;
+  const n = typeof v === 'number' ? v : parseFloat(String(v).trim());
+  if (Number.isNaN(n)) return v;
+  return Math.round(n * 100) / 100;
+};
+
+/**
+ * Normalize a parsed receipt BEFORE comparing passes to reduce false mismatches
+ * (e.g., "12-21" vs "12/21", whitespace, numeric string formatting).
+ * @param {Object} d - Parsed receipt JSON from a provider pass
+ * @returns {Object} Normalized copy
+ */
+function normalizeParsedReceipt(d) {
+  return {
+    ...d,
+    orderNumber: normalizeOrderNumber(d.orderNumber),
+    orderTotal: normalizeMoney(d.orderTotal),
+    orderDate: normalizeOrderDate(d.orderDate),
+    orderTime: normalizeOrderTime(d.orderTime),
+    subtotalAmount: normalizeMoney(d.subtotalAmount),
+    taxAmount: normalizeMoney(d.taxAmount),
+    totalAmount: normalizeMoney(d.totalAmount),
+    tipAmount: normalizeMoney(d.tipAmount),
+    feeAmount: normalizeMoney(d.feeAmount),
+    // Older prompts/fixtures named this after the original store's anchor word
+    orderNumberDirectlyUnderAnchor: d.orderNumberDirectlyUnderAnchor ?? d.orderNumberDirectlyUnderNashville,
+  };
+}
+
+/**
+ * Check whether two normalized passes agree on every listed field
+ * @param {Object} a - First normalized pass
+ * @param {Object} b - Second normalized pass
+ * @param {string[]} fields - Field names that must match exactly
+ * @returns {boolean}
+ */
+function receiptPassesAgree(a, b, fields) {
+  return fields.every(field => a[field] === b[field]);
+}
+
+/**
+ * List the fields two normalized passes disagree on
+ * @param {Object} a - First normalized pass
+ * @param {Object} b - Second normalized pass
+ * @param {string[]} fields - Field names to compare
+ * @returns {string[]}
+ */
+function findDisagreeingFields(a, b, fields) {
+  return fields.filter(field => a[field] !== b[field]);
+}
+
+const MAX_LINE_ITEMS = 40;
+
+/**
+ * Clean up extracted line items (any provider) into a bounded, consistently typed list
+ * @param {Object|Array} raw - `{ items: [...] }` or a bare array
+ * @returns {Array<{name: string, quantity: number, price: number|null, modifiers: string[]}>}
+ */
+function normalizeLineItems(raw) {
+  const list = Array.isArray(raw) ? raw : (raw && Array.isArray(raw.items) ? raw.items : []);
+  const items = [];
+  for (const entry of list) {
+    if (!entry || typeof entry !== 'object') continue;
+    const name = typeof entry.name === 'string' ? entry.name.trim().replace(/\s+/g, ' ').slice(0, 120) : '';
+    if (!name) continue;
+    const qty = parseInt(entry.quantity, 10);
+    const price = normalizeMoney(entry.price);
+    items.push({
+      name,
+      quantity: Number.isInteger(qty) && qty > 0 ? Math.min(qty, 50) : 1,
+      price: typeof price === 'number' && Number.isFinite(price) && price >= 0 ? price : null,
+      modifiers: Array.isArray(entry.modifiers)
+        ? entry.modifiers.filter(m => typeof m === 'string' && m.trim()).map(m => m.trim().slice(0, 60)).slice(0, 10)
+        : []
+    });
+    if (items.length >= MAX_LINE_ITEMS) break;
+  }
+  return items;
+}
+
+// =============================================================================
+// Providers
+// =============================================================================
+
+function extractJson(text) {
+  if (typeof text !== 'string') return null;
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * OpenAI vision provider: two independent passes with the strict prompt.
+ */
+class OpenAIReceiptProvider {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createCompletion - (createOptions) => Promise<ChatCompletion>, already timeout-wrapped
+   * @param {Object} options.logger - Pino logger
+   * @param {string} [options.model] - Vision model name
+   */
+  constructor({ createCompletion, logger, model = 'gpt-4o-mini' }) {
+    this.name = 'openai';
+    this.createCompletion = createCompletion;
+    this.logger = logger;
+    this.model = model;
+  }
+
+  async runPass(prompt, imageBase64, maxTokens = 500) {
+    const response = await this.createCompletion({
+      model: this.model,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: prompt },
+            { type: "image_url", image_url: { url: `data:image/jpeg;base64,${imageBase64}` } }
+          ]
+        }
+      ],
+      max_tokens: maxTokens,
+      temperature: 0.1
+    });
+    return response.choices[0].message.content;
+  }
+
+  async extract({ imageBase64, mode, profile }) {
+    const prompt = mode === 'submit' ? buildSubmitReceiptPrompt(profile) : buildAnalyzeReceiptPrompt(profile);
+
+    this.logger.info(`🤖 Sending request to OpenAI for FIRST validation (${mode})...`);
+    const text1 = await this.runPass(prompt, imageBase64);
+    this.logger.info(`🤖 Sending request to OpenAI for SECOND validation (${mode})...`);
+    const text2 = await this.runPass(prompt, imageBase64);
+    this.logger.info('📝 Raw OpenAI responses:', text1, text2);
+
+    return {
+      provider: this.name,
+      passes: [extractJson(text1), extractJson(text2)],
+      raw: [text1, text2]
+    };
+  }
+
+  async extractLineItems({ imageBase64, profile }) {
+    this.logger.info('🤖 Sending request to OpenAI for line items...');
+    const text = await this.runPass(buildLineItemsPrompt(profile), imageBase64, 1200);
+    return { provider: this.name, items: normalizeLineItems(extractJson(text)) };
+  }
+}
+
+/**
+ * Fixture provider: deterministic results for tests and staging.
+ *
+ * The fixtures file is a JSON object keyed by the SHA-256 hex digest of the image
+ * bytes, with an optional "default" entry. An entry is either a single parsed
+ * receipt (returned for both passes) or `{ "passes": [first, second] }` to
+ * exercise the double-parse mismatch path.
+ */
+class FixtureReceiptProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.fixturesPath] - Path to the fixtures JSON file
+   * @param {Object} [options.fixtures] - Already-loaded fixtures (takes precedence)
+   */
+  constructor({ fixturesPath, fixtures } = {}) {
+    this.name = 'fixture';
+    this.fixtures = fixtures || (fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {});
+  }
+
+  async extract({ imageBase64 }) {
+    const imageHash = crypto.createHash('sha256')
+      .update(Buffer.from(imageBase64 || '', 'base64'))
+      .digest('hex');
+    const entry = this.fixtures[imageHash] || this.fixtures.default;
+    if (!entry) {
+      const miss = { error: `No receipt fixture registered for image ${imageHash.slice(0, 12)}` };
+      return { provider: this.name, passes: [miss, { ...miss }], raw: [null, null], imageHash };
+    }
+
+    // Deep copies so the pipeline can never mutate the loaded fixtures
+    const passes = Array.isArray(entry.passes)
+      ? [JSON.parse(JSON.stringify(entry.passes[0])), JSON.parse(JSON.stringify(entry.passes[1] || entry.passes[0]))]
+      : [JSON.parse(JSON.stringify(entry)), JSON.parse(JSON.stringify(entry))];
+    return { provider: this.name, passes, raw: [null, null], imageHash };
+  }
+
+  /**
+   * Line items come from the entry's `lineItems` array (or the first pass's, for `passes` entries)
+   */
+  async extractLineItems({ imageBase64 }) {
+    const imageHash = crypto.createHash('sha256')
+      .update(Buffer.from(imageBase64 || '', 'base64'))
+      .digest('hex');
+    const entry = this.fixtures[imageHash] || this.fixtures.default || {};
+    const lineItems = entry.lineItems || (Array.isArray(entry.passes) && entry.passes[0] ? entry.passes[0].lineItems : null);
+    return { provider: this.name, items: normalizeLineItems(lineItems || []) };
+  }
+}
+
+const MONEY_AT_END = /\$?\s*(\d{1,4}(?:,\d{3})*\.\d{2})\s*$/;
+
+function parseMoneyLine(line) {
+  const m = line.match(MONEY_AT_END);
+  if (!m) return null;
+  return parseFloat(m[1].replace(/,/g, ''));
+}
+
+function toTwentyFourHour(hours, minutes, meridiem) {
+  let h = parseInt(hours, 10);
+  if (meridiem) {
+    const pm = meridiem.toLowerCase() === 'pm';
+    if (h === 12) h = pm ? 12 : 0;
+    else if (pm) h += 12;
+  }
+  return `${String(h).padStart(2, '0')}:${minutes}`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Case-insensitive matchers for a profile's header and anchor lines (any run of spaces matches)
+ * @returns {{headerText: string, orderNumberAnchor: string, headerPattern: RegExp, anchorPattern: RegExp}}
+ */
+function receiptProfilePatterns(profile) {
+  const { headerText, orderNumberAnchor } = normalizeReceiptProfile(profile);
+  const toPattern = text => new RegExp(escapeRegExp(text).replace(/\s+/g, '\\s+'), 'i');
+  return { headerText, orderNumberAnchor, headerPattern: toPattern(headerText), anchorPattern: toPattern(orderNumberAnchor) };
+}
+
+/**
+ * Rule-based parser for plain OCR text of a store receipt.
+ * @param {string} text - OCR output, one receipt line per text line
+ * @param {Object} [profile] - Store receipt profile (header text + order-number anchor)
+ * @returns {Object} Parsed receipt in the same shape the vision prompt returns, or { error }
+ */
+function parseReceiptOcrText(text, profile = DEFAULT_RECEIPT_PROFILE) {
+  const { headerText, orderNumberAnchor, headerPattern, anchorPattern } = receiptProfilePatterns(profile);
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l.length > 0);
+
+  if (lines.length === 0) {
+    return { error: 'No OCR text supplied with receipt' };
+  }
+
+  // Header must name the store near the top
+  if (!lines.slice(0, 5).some(l => headerPattern.test(l))) {
+    return { error: `Invalid receipt - must be from ${headerText}` };
+  }
+
+  // Order number: the number directly under the anchor line; paid-online fallback is "Order: N"
+  let orderNumber = null;
+  let orderNumberDirectlyUnderAnchor = false;
+  let orderNumberFromPaidOnlineSection = false;
+  const anchorIdx = lines.findIndex(l => anchorPattern.test(l));
+  if (anchorIdx !== -1 && anchorIdx + 1 < lines.length) {
+    const m = lines[anchorIdx + 1].match(/^#?\s*(\d{1,4})$/);
+    if (m) {
+      orderNumber = m[1];
+      orderNumberDirectlyUnderAnchor = true;
+    }
+  }
+  const paidOnlineReceipt = /paid\s+online/i.test(lines.join(' '));
+  if (!orderNumber) {
+    if (!paidOnlineReceipt) {
+      return { error: `No valid order number found under ${orderNumberAnchor}` };
+    }
+    const orderLine = lines.find(l => /^order\s*:/i.test(l));
+    const m = orderLine ? orderLine.match(/^order\s*:\s*#?\s*(\d{1,4})\b/i) : null;
+    if (!m) {
+      return { error: "No valid order number found next to 'Order:' for paid online receipt" };
+    }
+    orderNumber = m[1];
+    orderNumberFromPaidOnlineSection = true;
+  }
+
+  // Date and time share a line (time is to the right of the date)
+  let orderDate = null;
+  let orderTime = null;
+  for (const line of lines) {
+    const m = line.match(/\b(\d{1,2})[/-](\d{1,2})(?:[/-]\d{2,4})?\s+(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?/);
+    if (m) {
+      orderDate = `${m[1].padStart(2, '0')}/${m[2].padStart(2, '0')}`;
+      orderTime = toTwentyFourHour(m[3], m[4], m[5]);
+      break;
+    }
+  }
+
+  // Totals section
+  let subtotalAmount = null;
+  let taxAmount = null;
+  let totalAmount = null;
+  let grandTotalAmount = null;
+  let tipAmount = null;
+  let feeAmount = null;
+  for (const line of lines) {
+    if (/^sub\s*-?\s*total\b/i.test(line)) {
+      subtotalAmount = parseMoneyLine(line);
+    } else if (/^(sales\s+)?tax\b/i.test(line)) {
+      taxAmount = parseMoneyLine(line);
+    } else if (/^(tip|gratuity)\b/i.test(line)) {
+      tipAmount = parseMoneyLine(line);
+    } else if (/(conv(enience)?\.?\s*fee|service\s+fee|delivery\s+fee)/i.test(line)) {
+      feeAmount = parseMoneyLine(line);
+    } else if (/^grand\s+total\b/i.test(line)) {
+      grandTotalAmount = parseMoneyLine(line);
+    } else if (/^total\b/i.test(line) && totalAmount === null) {
+      totalAmount = parseMoneyLine(line);
+    }
+  }
+  const orderTotal = grandTotalAmount !== null ? grandTotalAmount : totalAmount;
+
+  return {
+    orderNumber,
+    orderTotal,
+    orderDate,
+    orderTime,
+    subtotalAmount,
+    taxAmount,
+    totalAmount,
+    tipAmount,
+    feeAmount,
+    subtotalLineVisible: subtotalAmount !== null,
+    taxLineVisible: taxAmount !== null,
+    totalLineVisible: totalAmount !== null,
+    tipLineVisible: tipAmount !== null,
+    feeLineVisible: feeAmount !== null,
+    totalVisibleAndClear: orderTotal !== null,
+    orderNumberVisibleAndClear: orderNumber !== null,
+    dateVisibleAndClear: orderDate !== null,
+    timeVisibleAndClear: orderTime !== null,
+    keyFieldsTampered: false,
+    tamperingReason: null,
+    orderNumberInBlackBox: false,
+    orderNumberDirectlyUnderAnchor,
+    paidOnlineReceipt,
+    orderNumberFromPaidOnlineSection
+  };
+}
+
+const ITEM_LINE = /^(?:(\d{1,2})\s*[xX@]?\s+)?(.*?[A-Za-z].*?)\s+\$?(\d{1,4}\.\d{2})$/;
+const NON_ITEM_LINE = /^(sub\s*-?\s*total|(sales\s+)?tax|tip|gratuity|grand\s+total|total|balance|change|cash|visa|mastercard|amex|discover|card|payment|paid)\b|fee\b/i;
+
+/**
+ * Pull item lines out of OCR text: everything after the date/time line and before
+ * the totals section. Lines without a price directly under an item are modifiers.
+ * Without a readable date/time line, items start after the order number under the
+ * profile's anchor line, or after the header line.
+ * @param {string} text - OCR output, one receipt line per text line
+ * @param {Object} [profile] - Store receipt profile (header text + order-number anchor)
+ * @returns {Array<{name: string, quantity: number, price: number|null, modifiers: string[]}>}
+ */
+function parseReceiptOcrLineItems(text, profile = DEFAULT_RECEIPT_PROFILE) {
+  const { headerPattern, anchorPattern } = receiptProfilePatterns(profile);
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l.length > 0);
+
+  const dateTimeIdx = lines.findIndex(l => /\b\d{1,2}[/-]\d{1,2}(?:[/-]\d{2,4})?\s+\d{1,2}:\d{2}/.test(l));
+  const anchorIdx = lines.findIndex(l => anchorPattern.test(l));
+  const headerIdx = lines.findIndex(l => headerPattern.test(l));
+  let start = 0;
+  if (dateTimeIdx !== -1) start = dateTimeIdx + 1;
+  else if (anchorIdx !== -1) start = anchorIdx + 2;
+  else if (headerIdx !== -1) start = headerIdx + 1;
+
+  const items = [];
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^sub\s*-?\s*total\b/i.test(line) || /^total\b/i.test(line)) break;
+    if (NON_ITEM_LINE.test(line) || /^order\s*:/i.test(line) || /paid\s+online/i.test(line)) continue;
+
+    const m = line.match(ITEM_LINE);
+    if (m) {
+      items.push({ name: m[2], quantity: m[1] ? parseInt(m[1], 10) : 1, price: parseFloat(m[3]), modifiers: [] });
+    } else if (items.length > 0 && /[A-Za-z]/.test(line)) {
+      items[items.length - 1].modifiers.push(line.replace(/^[-+*>\s]+/, ''));
+    }
+  }
+  return normalizeLineItems(items);
+}
+
+/**
+ * OCR-text provider: parses text recognized on-device (or by a POS stand-in)
+ * instead of sending the image to a vision model.
+ */
+class OcrTextReceiptProvider {
+  constructor() {
+    this.name = 'ocr_text';
+  }
+
+  async extract({ ocrText, profile }) {
+    const parsed = parseReceiptOcrText(ocrText, profile);
+    return { provider: this.name, passes: [parsed, { ...parsed }], raw: [ocrText || null, ocrText || null] };
+  }
+
+  async extractLineItems({ ocrText, profile }) {
+    return { provider: this.name, items: parseReceiptOcrLineItems(ocrText, profile) };
+  }
+}
+
+// =============================================================================
+// Factory
+// =============================================================================
+
+/**
+ * Resolve the configured provider name (unknown values fall back to openai)
+ * @param {string} raw - Value of RECEIPT_EXTRACTION_PROVIDER
+ * @returns {string}
+ */
+function resolveReceiptExtractionProviderName(raw) {
+  const name = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  return RECEIPT_EXTRACTION_PROVIDERS.includes(name) ? name : 'openai';
+}
+
+/**
+ * Create the receipt extraction provider
+ * @param {Object} options
+ * @param {string} options.name - Provider name (see RECEIPT_EXTRACTION_PROVIDERS)
+ * @param {Function} [options.createCompletion] - Required for openai
+ * @param {Object} [options.logger] - Required for openai
+ * @param {string} [options.fixturesPath] - Used by fixture
+ * @returns {{name: string, extract: Function}}
+ */
+function createReceiptExtractionProvider({ name, createCompletion, logger, fixturesPath }) {
+  switch (resolveReceiptExtractionProviderName(name)) {
+    case 'fixture':
+      return new FixtureReceiptProvider({ fixturesPath });
+    case 'ocr_text':
+      return new OcrTextReceiptProvider();
+    default:
+      return new OpenAIReceiptProvider({ createCompletion, logger });
+  }
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+module.exports = {
+  RECEIPT_EXTRACTION_PROVIDERS,
+  ANALYZE_RECEIPT_PROMPT,
+  SUBMIT_RECEIPT_PROMPT,
+  LINE_ITEMS_PROMPT,
+  buildLineItemsPrompt,
+  buildAnalyzeReceiptPrompt,
+  buildSubmitReceiptPrompt,
+  ANALYZE_AGREEMENT_FIELDS,
+  SUBMIT_AGREEMENT_FIELDS,
+
+  // Providers
+  OpenAIReceiptProvider,
+  FixtureReceiptProvider,
+  OcrTextReceiptProvider,
+  resolveReceiptExtractionProviderName,
+  createReceiptExtractionProvider,
+
+  // Helpers
+  normalizeParsedReceipt,
+  receiptPassesAgree,
+  findDisagreeingFields,
+  normalizeLineItems,
+  parseReceiptOcrText,
+  parseReceiptOcrLineItems
+};
@@ -0,0 +1,173 @@
+/**
+ * Receipt Image Hashing
+ *
+ * Perceptual (difference) hash of an uploaded receipt photo, used to spot the same
+ * paper receipt submitted twice even when the extracted fields differ - e.g. two
+ * accounts photographing one receipt, or a re-cropped / re-compressed copy.
+ *
+ * The hash compares the brightness of neighbouring cells on a downscaled grayscale
+ * grid, so it survives resizing, recompression and small crops, but not rotation.
+ * Receipts all share one layout, so a 16x16 grid (256 bits) is used rather than the
+ * usual 8x8; coarser hashes make different receipts look alike.
+ *
+ * Decoding a photo takes hundreds of milliseconds, so the server hashes on a worker
+ * thread (computeImageHashInWorker). Images over DECODE_MAX_MEGAPIXELS aren't hashed;
+ * the app uploads at most 2000px on the long side (about 3 MP).
+ */
+
+const jpeg = require('jpeg-js');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const HASH_SIZE = 16;
+const HASH_BITS = HASH_SIZE * HASH_SIZE;
+
+// Bands are fixed 8-bit slices of the hash stored on the receipt for array-contains-any
+// lookups. Two hashes within (band count - 1) bits share at least one band exactly, so
+// every receipt within MAX_MATCH_DISTANCE is a candidate of the band query. The query is
+// capped (see checkReceiptImageHash), so when more receipts share a band than the cap,
+// a match can still be missed.
+const HASH_BAND_HEX_LENGTH = 2;
+const HASH_BAND_COUNT = HASH_BITS / 4 / HASH_BAND_HEX_LENGTH;
+
+// ~10% of bits; a small re-crop lands around 15, unrelated receipts near 100
+const MAX_MATCH_DISTANCE = 24;
+
+const DECODE_MAX_MEGAPIXELS = 8;
+const DECODE_MAX_MEMORY_MB = 96;
+const HASH_WORKER_TIMEOUT_MS = 5000;
+
+/**
+ * Downscale RGBA pixels to a (width x height) grayscale grid by box averaging
+ */
+function grayscaleGrid(pixels, srcWidth, srcHeight, width, height) {
+  const grid = new Float64Array(width * height);
+  for (let gy = 0; gy < height; gy++) {
+    const y0 = Math.floor((gy * srcHeight) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((gy + 1) * srcHeight) / height));
+    for (let gx = 0; gx < width; gx++) {
+      const x0 = Math.floor((gx * srcWidth) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((gx + 1) * srcWidth) / width));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        let i = (y * srcWidth + x0) * 4;
+        for (let x = x0; x < x1; x++, i += 4) {
+          sum += 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+        }
+      }
+      grid[gy * width + gx] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return grid;
+}
+
+/**
+ * Compute the difference hash of a JPEG image
+ * @param {Buffer} imageBuffer - Raw JPEG bytes
+ * @returns {string|null} 64-char hex hash, or null if the image can't be decoded
+ */
+function computeImageHash(imageBuffer) {
+  let decoded;
+  try {
+    decoded = jpeg.decode(imageBuffer, {
+      useTArray: true,
+      maxResolutionInMP: DECODE_MAX_MEGAPIXELS,
+      maxMemoryUsageInMB: DECODE_MAX_MEMORY_MB
+    });
+  } catch (err) {
+    return null;
+  }
+  if (!decoded || !decoded.width || !decoded.height) return null;
+
+  // One extra column so each row yields HASH_SIZE left/right comparisons
+  const gridWidth = HASH_SIZE + 1;
+  const grid = grayscaleGrid(decoded.data, decoded.width, decoded.height, gridWidth, HASH_SIZE);
+
+  let hex = '';
+  let nibble = 0;
+  let bitIndex = 0;
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      nibble = (nibble << 1) | (grid[y * gridWidth + x] > grid[y * gridWidth + x + 1] ? 1 : 0);
+      bitIndex++;
+      if (bitIndex % 4 === 0) {
+        hex += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+/**
+ * computeImageHash on a worker thread, so decoding doesn't block the event loop
+ * @param {Buffer} imageBuffer - Raw JPEG bytes
+ * @returns {Promise<string|null>} null if the image can't be decoded or hashing times out
+ */
+function computeImageHashInWorker(imageBuffer, { timeoutMs = HASH_WORKER_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    let worker;
+    try {
+      worker = new Worker(__filename, { workerData: { imageBuffer } });
+    } catch (err) {
+      resolve(null);
+      return;
+    }
+    let timer = null;
+    const finish = (hash) => {
+      clearTimeout(timer);
+      resolve(typeof hash === 'string' ? hash : null);
+    };
+    timer = setTimeout(() => {
+      worker.terminate();
+      finish(null);
+    }, timeoutMs);
+    worker.once('message', finish);
+    worker.once('error', () => finish(null));
+    worker.once('exit', () => finish(null));
+  });
+}
+
+/**
+ * Split a hash into its lookup bands ("<index>:<hex>")
+ * @param {string} hash
+ * @returns {string[]}
+ */
+function imageHashBands(hash) {
+  const bands = [];
+  for (let i = 0; i < HASH_BAND_COUNT; i++) {
+    bands.push(`${i}:${hash.slice(i * HASH_BAND_HEX_LENGTH, (i + 1) * HASH_BAND_HEX_LENGTH)}`);
+  }
+  return bands;
+}
+
+/**
+ * Number of differing bits between two hashes of equal length
+ * @returns {number} Infinity if the hashes aren't comparable
+ */
+function hammingDistance(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Worker entry point (see computeImageHashInWorker)
+if (!isMainThread && workerData && workerData.imageBuffer) {
+  parentPort.postMessage(computeImageHash(Buffer.from(workerData.imageBuffer)));
+}
+
+module.exports = {
+  HASH_BITS,
+  HASH_BAND_COUNT,
+  MAX_MATCH_DISTANCE,
+  computeImageHash,
+  computeImageHashInWorker,
+  imageHashBands,
+  hammingDistance
+};
@@ -0,0 +1,263 @@
+/**
+ * Receipt Item Analytics
+ *
+ * Matches extracted receipt line items to the menu/{categoryId}/items catalog and
+ * aggregates matched items into per-item stats (top items, attach rates, basket size).
+ *
+ * POS item names are abbreviated and emoji-free ("PORK CHIVE DUMP 12PC") while menu
+ * names are not ("Pork & Chive Dumplings 🥟"), so matching is fuzzy: the best of a
+ * token overlap and a character-bigram overlap, with a small boost when the line's
+ * unit price equals the menu price.
+ */
+
+// Below this score a line item is stored unmatched rather than guessed
+const MIN_MATCH_SCORE = 0.6;
+
+/**
+ * Lowercase, drop emoji/punctuation, and collapse whitespace
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeItemName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\p{Extended_Pictographic}/gu, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/(\d+)\s*(pcs?|piece|pieces)\b/g, '$1pc')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const grams = new Set();
+  for (let i = 0; i < compact.length - 1; i++) grams.add(compact.slice(i, i + 2));
+  return grams;
+}
+
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Precompute normalized names for the menu catalog
+ * @param {Array<{menuItemId: string, categoryId: string, name: string, price?: number}>} menuItems
+ * @returns {Object[]} Index entries
+ */
+function buildMenuIndex(menuItems) {
+  return (menuItems || [])
+    .filter(item => item && item.menuItemId && item.name)
+    .map(item => {
+      const normalized = normalizeItemName(item.name);
+      return {
+        ...item,
+        normalized,
+        tokens: new Set(normalized.split(' ').filter(Boolean)),
+        grams: bigrams(normalized)
+      };
+    })
+    .filter(item => item.normalized.length > 0);
+}
+
+/**
+ * Find the best menu match for one extracted line item
+ * @param {{name: string, quantity: number, price: number|null}} lineItem
+ * @param {Object[]} menuIndex - From buildMenuIndex
+ * @returns {{menuItemId: string, categoryId: string, menuItemName: string, matchScore: number}|null}
+ */
+function matchLineItem(lineItem, menuIndex) {
+  const normalized = normalizeItemName(lineItem.name);
+  if (!normalized) return null;
+  const tokens = new Set(normalized.split(' ').filter(Boolean));
+  const grams = bigrams(normalized);
+  const unitPrice = typeof lineItem.price === 'number' && lineItem.quantity > 0
+    ? Math.round((lineItem.price / lineItem.quantity) * 100) / 100
+    : null;
+
+  let best = null;
+  for (const entry of menuIndex) {
+    let score = entry.normalized === normalized ? 1 : Math.max(dice(tokens, entry.tokens), dice(grams, entry.grams));
+    if (score < 1 && unitPrice !== null && typeof entry.price === 'number' && Math.abs(entry.price - unitPrice) < 0.01) {
+      score = Math.min(1, score + 0.1);
+    }
+    if (!best || score > best.score) best = { entry, score };
+  }
+
+  if (!best || best.score < MIN_MATCH_SCORE) return null;
+  return {
+    menuItemId: best.entry.menuItemId,
+    categoryId: best.entry.categoryId,
+    menuItemName: best.entry.name,
+    matchScore: Math.round(best.score * 100) / 100
+  };
+}
+
+/**
+ * Attach menu matches to extracted line items (shape stored on receipts.lineItems)
+ * @param {Object[]} lineItems - From normalizeLineItems
+ * @param {Object[]} menuIndex - From buildMenuIndex
+ * @returns {Object[]}
+ */
+function matchLineItemsToMenu(lineItems, menuIndex) {
+  return (lineItems || []).map(item => {
+    const match = matchLineItem(item, menuIndex);
+    return {
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      modifiers: item.modifiers || [],
+      menuItemId: match ? match.menuItemId : null,
+      categoryId: match ? match.categoryId : null,
+      menuItemName: match ? match.menuItemName : null,
+      matchScore: match ? match.matchScore : null
+    };
+  });
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Aggregate item-level stats over receipts that have lineItems
+ * @param {Array<{userId: string, orderTotal: number, lineItems?: Object[]}>} receipts
+ * @param {Object} [options]
+ * @param {number} [options.topN=20] - Items to return in topItems
+ * @param {number} [options.pairAnchors=10] - Top items to compute co-purchase attach rates for
+ * @returns {Object} { receiptsScanned, receiptsWithItems, lineItemCount, matchRate, topItems, attachRates, averageBasket }
+ */
+function aggregateReceiptItemStats(receipts, { topN = 20, pairAnchors = 10 } = {}) {
+  const withItems = (receipts || []).filter(r => Array.isArray(r.lineItems) && r.lineItems.length > 0);
+  const items = new Map();
+  const categories = new Map();
+  const customers = new Map();
+  const baskets = [];
+  let lineItemCount = 0;
+  let matchedLineCount = 0;
+
+  for (const receipt of withItems) {
+    const keys = new Set();
+    let itemCount = 0;
+    for (const line of receipt.lineItems) {
+      lineItemCount++;
+      const quantity = Number.isInteger(line.quantity) && line.quantity > 0 ? line.quantity : 1;
+      itemCount += quantity;
+      if (line.menuItemId) matchedLineCount++;
+
+      // Unmatched lines still count, grouped by their printed name
+      const key = line.menuItemId ? `${line.categoryId}/${line.menuItemId}` : `unmatched:${normalizeItemName(line.name)}`;
+      const stat = items.get(key) || {
+        key,
+        menuItemId: line.menuItemId || null,
+        categoryId: line.categoryId || null,
+        name: line.menuItemName || line.name,
+        matched: !!line.menuItemId,
+        quantity: 0,
+        receiptCount: 0,
+        revenue: 0
+      };
+      stat.quantity += quantity;
+      if (typeof line.price === 'number') stat.revenue += line.price;
+      if (!keys.has(key)) stat.receiptCount++;
+      items.set(key, stat);
+      keys.add(key);
+
+      if (line.categoryId) {
+        const cat = categories.get(line.categoryId) || { categoryId: line.categoryId, receipts: new Set() };
+        cat.receipts.add(receipt);
+        categories.set(line.categoryId, cat);
+      }
+    }
+
+    baskets.push({ keys, orderTotal: typeof receipt.orderTotal === 'number' ? receipt.orderTotal : 0, itemCount });
+    const customer = customers.get(receipt.userId) || { receipts: 0, spend: 0, items: 0 };
+    customer.receipts++;
+    customer.spend += typeof receipt.orderTotal === 'number' ? receipt.orderTotal : 0;
+    customer.items += itemCount;
+    customers.set(receipt.userId, customer);
+  }
+
+  const receiptsWithItems = withItems.length;
+  const ranked = [...items.values()].sort((a, b) => b.quantity - a.quantity || b.receiptCount - a.receiptCount);
+  const topItems = ranked.slice(0, topN).map(stat => ({
+    menuItemId: stat.menuItemId,
+    categoryId: stat.categoryId,
+    name: stat.name,
+    matched: stat.matched,
+    quantity: stat.quantity,
+    receiptCount: stat.receiptCount,
+    revenue: round2(stat.revenue),
+    // Share of baskets containing this item
+    attachRate: receiptsWithItems ? round2(stat.receiptCount / receiptsWithItems) : 0
+  }));
+
+  // "Customers who bought X also bought Y": P(Y in basket | X in basket)
+  const pairs = [];
+  for (const anchor of ranked.filter(s => s.matched).slice(0, pairAnchors)) {
+    const anchorBaskets = baskets.filter(b => b.keys.has(anchor.key));
+    const companions = new Map();
+    for (const basket of anchorBaskets) {
+      for (const key of basket.keys) {
+        if (key === anchor.key || key.startsWith('unmatched:')) continue;
+        companions.set(key, (companions.get(key) || 0) + 1);
+      }
+    }
+    const best = [...companions.entries()].sort((a, b) => b[1] - a[1]).slice(0, 3);
+    for (const [key, count] of best) {
+      pairs.push({
+        anchor: anchor.name,
+        anchorMenuItemId: anchor.menuItemId,
+        item: items.get(key).name,
+        itemMenuItemId: items.get(key).menuItemId,
+        count,
+        rate: round2(count / anchorBaskets.length)
+      });
+    }
+  }
+
+  const categoryRates = [...categories.values()]
+    .map(cat => ({
+      categoryId: cat.categoryId,
+      receiptCount: cat.receipts.size,
+      rate: receiptsWithItems ? round2(cat.receipts.size / receiptsWithItems) : 0
+    }))
+    .sort((a, b) => b.receiptCount - a.receiptCount);
+
+  const customerList = [...customers.values()];
+  const avg = (values) => (values.length ? round2(values.reduce((a, b) => a + b, 0) / values.length) : 0);
+
+  return {
+    receiptsScanned: (receipts || []).length,
+    receiptsWithItems,
+    lineItemCount,
+    matchRate: lineItemCount ? round2(matchedLineCount / lineItemCount) : 0,
+    topItems,
+    attachRates: {
+      categories: categoryRates,
+      pairs
+    },
+    averageBasket: {
+      orderTotal: avg(baskets.map(b => b.orderTotal)),
+      itemCount: avg(baskets.map(b => b.itemCount)),
+      // Each customer's own average first, so frequent scanners don't dominate
+      perCustomer: {
+        customers: customerList.length,
+        receiptsPerCustomer: avg(customerList.map(c => c.receipts)),
+        orderTotal: avg(customerList.map(c => c.spend / c.receipts)),
+        itemCount: avg(customerList.map(c => c.items / c.receipts))
+      }
+    }
+  };
+}
+
+module.exports = {
+  MIN_MATCH_SCORE,
+  normalizeItemName,
+  buildMenuIndex,
+  matchLineItem,
+  matchLineItemsToMenu,
+  aggregateReceiptItemStats
+};
@@ -0,0 +1,121 @@
+/**
+ * Receipt QR Tokens
+ *
+ * The POS (or a stand-in, see scripts/sign-receipt-qr.js) prints a QR code on each
+ * receipt holding a signed token, so a scan can award points without a vision call:
+ *
+ *   DHR1.<base64url(JSON payload)>.<base64url(HMAC-SHA256(secret, "DHR1.<payload>"))>
+ *
+ * Payload: { kid, loc, order, cents, date: "YYYY-MM-DD", time: "HH:MM" } where date/time
+ * are the store's local wall clock, as printed on the paper receipt.
+ *
+ * Secrets come from RECEIPT_QR_KEYS ("keyId:secret,keyId2:secret2"); the key id travels
+ * in the payload so keys can be rotated by adding the new one before retiring the old.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'DHR1';
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Parse RECEIPT_QR_KEYS into a keyId -> secret map (short or malformed entries are skipped)
+ * @param {string} raw
+ * @returns {Map<string, string>}
+ */
+function parseQrKeys(raw) {
+  const keys = new Map();
+  for (const entry of String(raw || '').split(',')) {
+    const idx = entry.indexOf(':');
+    if (idx <= 0) continue;
+    const keyId = entry.slice(0, idx).trim();
+    const secret = entry.slice(idx + 1).trim();
+    if (keyId && secret.length >= MIN_SECRET_LENGTH) keys.set(keyId, secret);
+  }
+  return keys;
+}
+
+function sign(secret, signedPart) {
+  return crypto.createHmac('sha256', secret).update(signedPart).digest('base64url');
+}
+
+/**
+ * Build a signed token (used by the POS stand-in script)
+ * @param {{orderNumber: string|number, orderTotal: number, date: string, time: string, locationId: string}} receipt
+ * @param {{keyId: string, secret: string}} key
+ * @returns {string}
+ */
+function signReceiptQrToken(receipt, { keyId, secret }) {
+  const payload = {
+    kid: keyId,
+    loc: receipt.locationId,
+    order: String(receipt.orderNumber),
+    cents: Math.round(Number(receipt.orderTotal) * 100),
+    date: receipt.date,
+    time: receipt.time
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signedPart = `${TOKEN_PREFIX}.${encoded}`;
+  return `${signedPart}.${sign(secret, signedPart)}`;
+}
+
+/**
+ * Verify a scanned token and return its receipt fields
+ * @param {string} token
+ * @param {Map<string, string>} keys - From parseQrKeys
+ * @returns {{ok: true, keyId: string, receipt: {orderNumber: string, orderTotal: number, date: string, time: string, locationId: string}} | {ok: false, reason: string}}
+ *   reason: MALFORMED | UNKNOWN_KEY | BAD_SIGNATURE | INVALID_FIELDS
+ */
+function verifyReceiptQrToken(token, keys) {
+  const parts = typeof token === 'string' ? token.trim().split('.') : [];
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX || !parts[1] || !parts[2]) {
+    return { ok: false, reason: 'MALFORMED' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    return { ok: false, reason: 'MALFORMED' };
+  }
+  if (!payload || typeof payload !== 'object') return { ok: false, reason: 'MALFORMED' };
+
+  const secret = keys.get(payload.kid);
+  if (!secret) return { ok: false, reason: 'UNKNOWN_KEY' };
+
+  const expected = Buffer.from(sign(secret, `${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: 'BAD_SIGNATURE' };
+  }
+
+  const { loc, order, cents, date, time } = payload;
+  if (
+    typeof loc !== 'string' || !loc ||
+    typeof order !== 'string' || !/^\d{1,6}$/.test(order) ||
+    !Number.isInteger(cents) || cents <= 0 ||
+    typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+    typeof time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)
+  ) {
+    return { ok: false, reason: 'INVALID_FIELDS' };
+  }
+
+  return {
+    ok: true,
+    keyId: payload.kid,
+    receipt: {
+      orderNumber: order,
+      orderTotal: cents / 100,
+      date,
+      time,
+      locationId: loc
+    }
+  };
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  parseQrKeys,
+  signReceiptQrToken,
+  verifyReceiptQrToken
+};
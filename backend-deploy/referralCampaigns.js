@@ -0,0 +1,236 @@
+/**
+ * Referral Campaigns
+ *
+ * Referral rewards come from campaigns stored at config/referralCampaigns:
+ *
+ *   { campaigns: [{ id, name, active, startsAt, endsAt, pointsThreshold, referrerReward,
+ *                   refereeReward, referrerGoal, qualifyWithinDays }] }
+ *
+ * A reward is { type: 'points', points } or a gift stored inline on the campaign:
+ * { type: 'gift', rewardTitle, rewardDescription, rewardCategory, imageName | imageURL,
+ * expiresInDays }. Earning one sends the customer their own giftedRewards doc: an imageName
+ * gift is an existing menu reward (claimed through item selection), an imageURL gift is a
+ * custom one, same as the two admin gift flows.
+ *
+ * A referral is accepted under the active campaign whose window (startsAt / endsAt, either
+ * open-ended) contains the accept time; if several overlap, the one that started last wins.
+ * With none running, the standard terms apply: 50 points, and each side gets
+ * config/pointsEarning referralBonusPoints. The terms are copied onto the referral doc,
+ * so editing a campaign later doesn't change referrals already made.
+ *
+ * The friend earns refereeReward on reaching pointsThreshold, within qualifyWithinDays of
+ * accepting if set (after that the referral expires). The referrer earns referrerReward
+ * for every referrerGoal friends who qualify under the same campaign, counted in
+ * referralCampaignProgress ("refer 3 friends in December" is referrerGoal: 3).
+ *
+ * functions/index.js (awardReferralOnPointsCross) awards through a copy of this module in
+ * functions/shared (see scripts/sync-functions-shared.js).
+ */
+
+const { toDate, toIsoString } = require('./timeValues');
+
+const REFERRAL_CAMPAIGNS_CONFIG_DOC = 'referralCampaigns';
+const REFERRAL_CAMPAIGN_PROGRESS_COLLECTION = 'referralCampaignProgress';
+const STANDARD_REFERRAL_CAMPAIGN_ID = 'standard';
+const DEFAULT_REFERRAL_POINTS_THRESHOLD = 50;
+const REFERRAL_REWARD_TYPES = ['points', 'gift'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function positiveIntOr(value, fallback) {
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function stringOrNull(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Reward with defaults filled in (anything unusable is 0 points)
+ * @param {Object|null} raw
+ */
+function normalizeReferralReward(raw) {
+  if (raw?.type === 'gift' && typeof raw.rewardTitle === 'string' && raw.rewardTitle.trim()) {
+    const imageName = stringOrNull(raw.imageName);
+    return {
+      type: 'gift',
+      rewardTitle: raw.rewardTitle.trim(),
+      rewardDescription: stringOrNull(raw.rewardDescription) || '',
+      rewardCategory: stringOrNull(raw.rewardCategory) || '',
+      imageName,
+      imageURL: imageName ? null : stringOrNull(raw.imageURL),
+      expiresInDays: positiveIntOr(raw.expiresInDays, null)
+    };
+  }
+  return { type: 'points', points: Number.isInteger(raw?.points) && raw.points > 0 ? raw.points : 0 };
+}
+
+function normalizeReferralCampaign(raw) {
+  return {
+    id: String(raw.id),
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : String(raw.id),
+    active: raw.active !== false,
+    startsAt: toIsoString(raw.startsAt),
+    endsAt: toIsoString(raw.endsAt),
+    pointsThreshold: positiveIntOr(raw.pointsThreshold, DEFAULT_REFERRAL_POINTS_THRESHOLD),
+    referrerReward: normalizeReferralReward(raw.referrerReward),
+    refereeReward: normalizeReferralReward(raw.refereeReward),
+    referrerGoal: positiveIntOr(raw.referrerGoal, 1),
+    qualifyWithinDays: positiveIntOr(raw.qualifyWithinDays, null)
+  };
+}
+
+/**
+ * Campaign list with defaults filled in
+ * @param {Object|null} raw - config/referralCampaigns data
+ * @returns {{campaigns: Array<Object>}}
+ */
+function normalizeReferralCampaignsConfig(raw) {
+  const campaigns = Array.isArray(raw?.campaigns) ? raw.campaigns : [];
+  return {
+    campaigns: campaigns
+      .filter(c => c && typeof c === 'object' && c.id && c.id !== STANDARD_REFERRAL_CAMPAIGN_ID)
+      .map(normalizeReferralCampaign)
+  };
+}
+
+/**
+ * The terms used when no campaign is running (and for referrals made before campaigns)
+ * @param {number} bonusPoints - config/pointsEarning referralBonusPoints
+ */
+function standardReferralCampaign(bonusPoints) {
+  const reward = { type: 'points', points: bonusPoints };
+  return {
+    id: STANDARD_REFERRAL_CAMPAIGN_ID,
+    name: 'Standard referral',
+    active: true,
+    startsAt: null,
+    endsAt: null,
+    pointsThreshold: DEFAULT_REFERRAL_POINTS_THRESHOLD,
+    referrerReward: reward,
+    refereeReward: reward,
+    referrerGoal: 1,
+    qualifyWithinDays: null
+  };
+}
+
+function campaignRunningAt(campaign, now) {
+  if (!campaign.active) return false;
+  if (campaign.startsAt && new Date(campaign.startsAt) > now) return false;
+  if (campaign.endsAt && new Date(campaign.endsAt) <= now) return false;
+  return true;
+}
+
+/**
+ * The campaign a referral accepted now falls under
+ * @param {{campaigns: Array<Object>}} config - Normalized
+ * @param {{now: Date, bonusPoints: number}} context
+ */
+function selectReferralCampaign(config, { now, bonusPoints }) {
+  const running = config.campaigns
+    .filter(campaign => campaignRunningAt(campaign, now))
+    .sort((a, b) => (b.startsAt || '').localeCompare(a.startsAt || ''));
+  return running[0] || standardReferralCampaign(bonusPoints);
+}
+
+/**
+ * Fields copied onto a new referral doc
+ * @param {Object} campaign - From selectReferralCampaign
+ * @param {Date} acceptedAt
+ * @returns {Object} qualifyBy is a Date, or null when there's no deadline
+ */
+function buildReferralTerms(campaign, acceptedAt) {
+  return {
+    campaignId: campaign.id,
+    campaignName: campaign.name,
+    pointsThreshold: campaign.pointsThreshold,
+    referrerReward: campaign.referrerReward,
+    refereeReward: campaign.refereeReward,
+    referrerGoal: campaign.referrerGoal,
+    qualifyBy: campaign.qualifyWithinDays ? new Date(acceptedAt.getTime() + campaign.qualifyWithinDays * DAY_MS) : null
+  };
+}
+
+/**
+ * The terms a referral was accepted under
+ * @param {Object} data - referrals document data
+ * @param {number} bonusPoints - Standard bonus, for referrals made before campaigns
+ */
+function referralTermsOf(data, bonusPoints) {
+  if (!data?.campaignId) {
+    return buildReferralTerms(standardReferralCampaign(bonusPoints), new Date());
+  }
+  return {
+    campaignId: data.campaignId,
+    campaignName: data.campaignName || data.campaignId,
+    pointsThreshold: positiveIntOr(data.pointsThreshold, DEFAULT_REFERRAL_POINTS_THRESHOLD),
+    referrerReward: normalizeReferralReward(data.referrerReward),
+    refereeReward: normalizeReferralReward(data.refereeReward),
+    referrerGoal: positiveIntOr(data.referrerGoal, 1),
+    qualifyBy: toDate(data.qualifyBy)
+  };
+}
+
+/** Whether the friend ran out of time to reach the threshold. */
+function referralExpired(terms, now) {
+  return Boolean(terms.qualifyBy) && now.getTime() > terms.qualifyBy.getTime();
+}
+
+/** Whether the referrer is rewarded now that `qualifiedCount` friends have qualified. */
+function referrerRewardDue(qualifiedCount, referrerGoal) {
+  return qualifiedCount > 0 && qualifiedCount % referrerGoal === 0;
+}
+
+/**
+ * giftedRewards doc for a referral gift
+ * @param {Object} reward - Normalized gift reward
+ * @param {Object} params - { userId, referralId, role: 'referrer'|'referred', campaignId, now: Date }
+ * @returns {Object} expiresAt is a Date or null
+ */
+function buildReferralGift(reward, { userId, referralId, role, campaignId, now }) {
+  return {
+    type: 'individual',
+    targetUserIds: [userId],
+    rewardTitle: reward.rewardTitle,
+    rewardDescription: reward.rewardDescription,
+    rewardCategory: reward.rewardCategory,
+    pointsRequired: 0,
+    imageName: reward.imageName,
+    imageURL: reward.imageURL,
+    isCustom: !reward.imageName,
+    sentByAdminId: 'system',
+    referralId,
+    referralRole: role,
+    referralCampaignId: campaignId,
+    expiresAt: reward.expiresInDays ? new Date(now.getTime() + reward.expiresInDays * DAY_MS) : null,
+    isActive: true
+  };
+}
+
+/**
+ * How a reward reads in a notification: "+50 bonus points" or 'the "Free Bao" reward'
+ * @param {Object} reward - Normalized
+ * @returns {string|null} null when there's nothing to award
+ */
+function describeReferralReward(reward) {
+  if (reward.type === 'gift') return `the "${reward.rewardTitle}" reward`;
+  return reward.points > 0 ? `+${reward.points} bonus points` : null;
+}
+
+module.exports = {
+  REFERRAL_CAMPAIGNS_CONFIG_DOC,
+  REFERRAL_CAMPAIGN_PROGRESS_COLLECTION,
+  STANDARD_REFERRAL_CAMPAIGN_ID,
+  DEFAULT_REFERRAL_POINTS_THRESHOLD,
+  REFERRAL_REWARD_TYPES,
+  normalizeReferralReward,
+  normalizeReferralCampaignsConfig,
+  standardReferralCampaign,
+  selectReferralCampaign,
+  buildReferralTerms,
+  referralTermsOf,
+  referralExpired,
+  referrerRewardDue,
+  buildReferralGift,
+  describeReferralReward
+};
@@ -0,0 +1,163 @@
+/**
+ * Reservation Calendar (iCalendar / .ics)
+ *
+ * GET /reservations/mine/:id/calendar.ics lets a customer add their table to a calendar,
+ * and admins can subscribe to a feed of upcoming reservations at a secret URL
+ * (GET /reservations/calendar-feed/:token/reservations.ics).
+ *
+ * Each reservation keeps the same UID in every export, and every status change bumps
+ * calendarSequence on the reservation (the SEQUENCE of the event), so calendar apps
+ * update the event they already have instead of adding a second one. Cancelled and
+ * no-show reservations are exported with STATUS:CANCELLED.
+ *
+ * The feed token is only stored hashed (config/reservationCalendarFeed); rotating it
+ * hands out a new URL and stops the old one working.
+ */
+
+const crypto = require('crypto');
+
+const RESERVATION_CALENDAR_FEED_CONFIG_DOC = 'reservationCalendarFeed';
+const RESERVATION_EVENT_MINUTES = 90;
+const FEED_PAST_DAYS = 1;
+const FEED_AHEAD_DAYS = 60;
+
+const UID_DOMAIN = 'reservations.dumplinghouse';
+const PRODUCT_ID = '-//Dumpling House//Reservations//EN';
+
+const EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  seated: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  no_show: 'CANCELLED'
+};
+
+/**
+ * Stable event UID for a reservation
+ * @param {string} reservationId
+ */
+function reservationEventUid(reservationId) {
+  return `reservation-${reservationId}@${UID_DOMAIN}`;
+}
+
+function escapeText(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, never inside a UTF-8 character (RFC 5545 §3.1)
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * VEVENT lines for one reservation
+ * @param {Object} params
+ * @param {string} params.id - Reservation id
+ * @param {Object} params.data - reservations document data
+ * @param {Date} params.startsAt
+ * @param {Object|null} params.location - From getLocations (name, address)
+ * @param {string} params.summary
+ * @param {string} [params.description]
+ * @param {Date|null} [params.updatedAt] - Last change (DTSTAMP / LAST-MODIFIED)
+ * @param {Date} params.now
+ * @returns {Array<string>}
+ */
+function buildReservationEvent({ id, data, startsAt, location, summary, description, updatedAt, now }) {
+  const endsAt = new Date(startsAt.getTime() + RESERVATION_EVENT_MINUTES * 60 * 1000);
+  const stamp = updatedAt || now;
+  const where = [location?.name, location?.address].filter(Boolean).join(', ');
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${reservationEventUid(id)}`,
+    `SEQUENCE:${Number.isInteger(data.calendarSequence) && data.calendarSequence > 0 ? data.calendarSequence : 0}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `LAST-MODIFIED:${formatUtc(stamp)}`,
+    `DTSTART:${formatUtc(startsAt)}`,
+    `DTEND:${formatUtc(endsAt)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${EVENT_STATUS[data.status] || 'TENTATIVE'}`
+  ];
+  if (where) lines.push(`LOCATION:${escapeText(where)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * A complete .ics document
+ * @param {Object} params
+ * @param {string} params.name - Calendar name shown by subscribing apps
+ * @param {Array<Array<string>>} params.events - From buildReservationEvent
+ * @returns {string}
+ */
+function buildCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/** A new random feed token (goes in the URL; only its hash is stored). */
+function createFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+/**
+ * Whether a token from a feed URL matches the stored hash
+ * @param {string} token
+ * @param {string|null} storedHash - config/reservationCalendarFeed tokenHash
+ */
+function feedTokenMatches(token, storedHash) {
+  if (!token || typeof storedHash !== 'string' || !storedHash) return false;
+  const expected = Buffer.from(storedHash);
+  const actual = Buffer.from(hashFeedToken(token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  RESERVATION_CALENDAR_FEED_CONFIG_DOC,
+  RESERVATION_EVENT_MINUTES,
+  FEED_PAST_DAYS,
+  FEED_AHEAD_DAYS,
+  reservationEventUid,
+  buildReservationEvent,
+  buildCalendar,
+  createFeedToken,
+  hashFeedToken,
+  feedTokenMatches
+};
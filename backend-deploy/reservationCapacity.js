@@ -0,0 +1,315 @@
+/**
+ * Reservation Capacity
+ *
+ * Seating limits per store, stored in reservationCapacity/{locationId} (the defaults
+ * below apply until an admin saves one):
+ *
+ *   { slotMinutes: 15|30, tablesPerSlot, coversPerSlot, maxPartySize,
+ *     minNoticeMinutes, maxAdvanceDays, lastSeatingMinutes,
+ *     weeklyHours: { monday: [{ open: 'HH:mm', close: 'HH:mm', tablesPerSlot?, coversPerSlot? }], ... },
+ *     closures: [{ date: 'YYYY-MM-DD', reason? }] }
+ *
+ * Capacity is paced per slot: each 15- or 30-minute slot seats at most tablesPerSlot
+ * new parties and coversPerSlot guests (a period can override both, e.g. a busier
+ * dinner service). Days left out of a saved weeklyHours are closed, and the last slot
+ * starts lastSeatingMinutes before close. Bookings are counted in
+ * reservationSlots/{locationId}_{date}_{HHmm} ({ tableCount, coverCount }), updated in
+ * the same transaction that creates or cancels the reservation. Dates and times are
+ * wall-clock values in the store's timezone; reservations also store the instant the
+ * slot starts (startsAt) and that timezone.
+ */
+
+const { DateTime } = require('luxon');
+const { HHMM, minutesOfDay } = require('./timeValues');
+
+const RESERVATION_CAPACITY_COLLECTION = 'reservationCapacity';
+const RESERVATION_SLOTS_COLLECTION = 'reservationSlots';
+const SLOT_MINUTE_OPTIONS = [15, 30];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DEFAULT_HOURS = [{ open: '11:00', close: '21:30' }];
+
+const DEFAULT_RESERVATION_CAPACITY = {
+  slotMinutes: 30,
+  tablesPerSlot: 4,
+  coversPerSlot: 16,
+  maxPartySize: 20,
+  minNoticeMinutes: 0,
+  maxAdvanceDays: 90,
+  lastSeatingMinutes: 60,
+  weeklyHours: Object.fromEntries(WEEKDAYS.map(day => [day, DEFAULT_HOURS])),
+  closures: []
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// The app sends "6:30 PM"; admin tools send "18:30"
+const TIME_FORMATS = ['h:mm a', 'h:mma', 'H:mm'];
+
+function hhmmOf(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function positiveIntOr(value, fallback, max) {
+  const n = typeof value === 'number' ? value : parseInt(String(value ?? ''), 10);
+  return Number.isFinite(n) && n >= 0 ? Math.min(Math.floor(n), max) : fallback;
+}
+
+function normalizePeriod(raw) {
+  if (!raw || !HHMM.test(raw.open) || !HHMM.test(raw.close) || minutesOfDay(raw.close) <= minutesOfDay(raw.open)) {
+    return null;
+  }
+  const period = { open: raw.open, close: raw.close };
+  if (raw.tablesPerSlot !== undefined && raw.tablesPerSlot !== null) period.tablesPerSlot = positiveIntOr(raw.tablesPerSlot, 0, 500);
+  if (raw.coversPerSlot !== undefined && raw.coversPerSlot !== null) period.coversPerSlot = positiveIntOr(raw.coversPerSlot, 0, 2000);
+  return period;
+}
+
+/**
+ * Merge a stored capacity doc over the defaults and coerce field types
+ * @param {Object|null} raw - reservationCapacity document data
+ * @returns {Object} Normalized config
+ */
+function normalizeReservationCapacity(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  const d = DEFAULT_RESERVATION_CAPACITY;
+
+  const weeklyHours = {};
+  const storedHours = data.weeklyHours && typeof data.weeklyHours === 'object' ? data.weeklyHours : null;
+  for (const day of WEEKDAYS) {
+    const periods = storedHours
+      ? (Array.isArray(storedHours[day]) ? storedHours[day] : [])
+      : d.weeklyHours[day];
+    weeklyHours[day] = periods
+      .map(normalizePeriod)
+      .filter(Boolean)
+      .sort((a, b) => minutesOfDay(a.open) - minutesOfDay(b.open));
+  }
+
+  const closures = (Array.isArray(data.closures) ? data.closures : [])
+    .filter(c => c && DATE.test(c.date))
+    .map(c => ({ date: c.date, reason: typeof c.reason === 'string' && c.reason.trim() ? c.reason.trim() : null }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    slotMinutes: SLOT_MINUTE_OPTIONS.includes(data.slotMinutes) ? data.slotMinutes : d.slotMinutes,
+    tablesPerSlot: positiveIntOr(data.tablesPerSlot, d.tablesPerSlot, 500),
+    coversPerSlot: positiveIntOr(data.coversPerSlot, d.coversPerSlot, 2000),
+    maxPartySize: Math.max(1, positiveIntOr(data.maxPartySize, d.maxPartySize, 100)),
+    minNoticeMinutes: positiveIntOr(data.minNoticeMinutes, d.minNoticeMinutes, 7 * 24 * 60),
+    maxAdvanceDays: Math.max(1, positiveIntOr(data.maxAdvanceDays, d.maxAdvanceDays, 365)),
+    lastSeatingMinutes: positiveIntOr(data.lastSeatingMinutes, d.lastSeatingMinutes, 240),
+    weeklyHours,
+    closures
+  };
+}
+
+/**
+ * Normalize a reservation time to 24h HH:mm
+ * @param {string} time - "6:30 PM" or "18:30"
+ * @returns {string|null} null when unparseable
+ */
+function parseReservationTime(time) {
+  if (typeof time !== 'string' || !time.trim()) return null;
+  const value = time.trim().toUpperCase();
+  for (const format of TIME_FORMATS) {
+    const parsed = DateTime.fromFormat(value, format, { locale: 'en-US' });
+    if (parsed.isValid) return parsed.toFormat('HH:mm');
+  }
+  return null;
+}
+
+/**
+ * "18:30" -> "6:30 PM" (the format the app shows and stores)
+ */
+function formatSlotLabel(hhmm) {
+  return DateTime.fromFormat(hhmm, 'HH:mm').toFormat('h:mm a');
+}
+
+/**
+ * reservationSlots document id for a slot
+ */
+function reservationSlotId(locationId, date, slotTime) {
+  return `${locationId}_${date}_${slotTime.replace(':', '')}`;
+}
+
+/**
+ * Bookable slots on a date (ignores notice/advance limits and current bookings)
+ * @param {Object} config - Normalized capacity config
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} timeZone - Store timezone
+ * @returns {{closed: boolean, reason: string|null, slots: Array<{time: string, tablesPerSlot: number, coversPerSlot: number}>}}
+ */
+function slotsForDate(config, date, timeZone) {
+  const day = DateTime.fromISO(date, { zone: timeZone });
+  const closure = config.closures.find(c => c.date === date);
+  if (closure) {
+    return { closed: true, reason: closure.reason, slots: [] };
+  }
+  const periods = config.weeklyHours[WEEKDAYS[day.weekday - 1]] || [];
+  if (periods.length === 0) {
+    return { closed: true, reason: null, slots: [] };
+  }
+
+  const slots = [];
+  const seen = new Set();
+  for (const period of periods) {
+    const lastStart = minutesOfDay(period.close) - config.lastSeatingMinutes;
+    for (let start = minutesOfDay(period.open); start <= lastStart; start += config.slotMinutes) {
+      const time = hhmmOf(start);
+      if (seen.has(time)) continue;
+      seen.add(time);
+      slots.push({
+        time,
+        tablesPerSlot: period.tablesPerSlot ?? config.tablesPerSlot,
+        coversPerSlot: period.coversPerSlot ?? config.coversPerSlot
+      });
+    }
+  }
+  return { closed: false, reason: null, slots };
+}
+
+/**
+ * Starting instant of a slot
+ * @returns {DateTime}
+ */
+function slotStart(date, slotTime, timeZone) {
+  return DateTime.fromISO(`${date}T${slotTime}`, { zone: timeZone });
+}
+
+/**
+ * The instant a reservation starts, from its stored local date and time (reservations
+ * made before startsAt was stored only have these)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - "6:30 PM" or "18:30"
+ * @param {string} timeZone - Store timezone
+ * @returns {Date|null} null when the date or time can't be parsed
+ */
+function reservationStartsAt(date, time, timeZone) {
+  const hhmm = parseReservationTime(time);
+  if (!hhmm || !DATE.test(date || '')) return null;
+  const start = slotStart(date, hhmm, timeZone);
+  return start.isValid ? start.toJSDate() : null;
+}
+
+/**
+ * Find the slot a requested date/time books, or why it can't be booked. Times between
+ * slot boundaries book the slot they fall in.
+ * @param {Object} config - Normalized capacity config
+ * @param {Object} params - { date: 'YYYY-MM-DD', time: 'HH:mm', timeZone, now: Date }
+ * @returns {{slot: Object} | {problem: {code: string, message: string}}}
+ */
+function resolveReservationSlot(config, { date, time, timeZone, now }) {
+  const day = DATE.test(date || '') ? DateTime.fromISO(date, { zone: timeZone }) : null;
+  if (!day || !day.isValid) {
+    return { problem: { code: 'INVALID_DATE', message: 'Invalid date format; use YYYY-MM-DD' } };
+  }
+  const today = DateTime.fromJSDate(now).setZone(timeZone).startOf('day');
+  if (day < today) {
+    return { problem: { code: 'DATE_IN_PAST', message: 'Reservation date must be today or in the future' } };
+  }
+  if (day > today.plus({ days: config.maxAdvanceDays })) {
+    return { problem: { code: 'TOO_FAR_AHEAD', message: `Reservations open ${config.maxAdvanceDays} days in advance` } };
+  }
+
+  const { closed, reason, slots } = slotsForDate(config, date, timeZone);
+  if (closed) {
+    return { problem: { code: 'CLOSED', message: reason ? `We're closed that day (${reason})` : "We're closed that day" } };
+  }
+
+  const requested = minutesOfDay(time);
+  const slot = slots.find(s => requested >= minutesOfDay(s.time) && requested < minutesOfDay(s.time) + config.slotMinutes);
+  if (!slot) {
+    return { problem: { code: 'OUTSIDE_HOURS', message: 'That time is outside our reservation hours' } };
+  }
+
+  const earliest = DateTime.fromJSDate(now).plus({ minutes: config.minNoticeMinutes });
+  if (slotStart(date, slot.time, timeZone) < earliest) {
+    return {
+      problem: config.minNoticeMinutes > 0
+        ? { code: 'TOO_SOON', message: `Reservations need at least ${config.minNoticeMinutes} minutes notice` }
+        : { code: 'TIME_PASSED', message: 'That time has already passed' }
+    };
+  }
+  return { slot };
+}
+
+/**
+ * Whether a party fits in a slot given what's already booked
+ * @param {Object} slot - From slotsForDate
+ * @param {{tableCount?: number, coverCount?: number}} usage - reservationSlots data
+ * @param {number} partySize
+ */
+function slotAvailability(slot, usage, partySize) {
+  const remainingTables = Math.max(0, slot.tablesPerSlot - (usage?.tableCount || 0));
+  const remainingCovers = Math.max(0, slot.coversPerSlot - (usage?.coverCount || 0));
+  return {
+    remainingTables,
+    remainingCovers,
+    available: remainingTables >= 1 && remainingCovers >= partySize
+  };
+}
+
+/**
+ * Every slot on a date with what's left, for GET /reservations/availability
+ * @param {Object} config - Normalized capacity config
+ * @param {Object} params - { date, partySize, timeZone, now: Date, usageBySlot: Map<'HH:mm', usage> }
+ * @returns {{closed: boolean, reason: string|null, slots: Array<Object>}}
+ */
+function describeAvailability(config, { date, partySize, timeZone, now, usageBySlot }) {
+  const { closed, reason, slots } = slotsForDate(config, date, timeZone);
+  const earliest = DateTime.fromJSDate(now).plus({ minutes: config.minNoticeMinutes });
+  const lastDay = DateTime.fromJSDate(now).setZone(timeZone).startOf('day').plus({ days: config.maxAdvanceDays });
+  const tooFarAhead = DateTime.fromISO(date, { zone: timeZone }) > lastDay;
+  return {
+    closed,
+    reason: !closed && tooFarAhead ? `Reservations open ${config.maxAdvanceDays} days in advance` : reason,
+    slots: slots.map(slot => {
+      const capacity = slotAvailability(slot, usageBySlot.get(slot.time), partySize);
+      const bookable = !tooFarAhead && slotStart(date, slot.time, timeZone) >= earliest && partySize <= config.maxPartySize;
+      return {
+        time: slot.time,
+        label: formatSlotLabel(slot.time),
+        available: bookable && capacity.available,
+        remainingTables: capacity.remainingTables,
+        remainingCovers: capacity.remainingCovers
+      };
+    })
+  };
+}
+
+/**
+ * Open slots closest to a requested time (offered when it's full)
+ * @param {Array<Object>} slots - From describeAvailability
+ * @param {string} time - HH:mm
+ * @param {number} [limit]
+ * @returns {Array<{time: string, label: string}>}
+ */
+function nearestOpenSlots(slots, time, limit = 3) {
+  const requested = minutesOfDay(time);
+  return slots
+    .filter(slot => slot.available)
+    .sort((a, b) => Math.abs(minutesOfDay(a.time) - requested) - Math.abs(minutesOfDay(b.time) - requested))
+    .slice(0, limit)
+    .sort((a, b) => minutesOfDay(a.time) - minutesOfDay(b.time))
+    .map(slot => ({ time: slot.time, label: slot.label }));
+}
+
+module.exports = {
+  RESERVATION_CAPACITY_COLLECTION,
+  RESERVATION_SLOTS_COLLECTION,
+  SLOT_MINUTE_OPTIONS,
+  WEEKDAYS,
+  DEFAULT_RESERVATION_CAPACITY,
+  normalizeReservationCapacity,
+  parseReservationTime,
+  formatSlotLabel,
+  reservationSlotId,
+  slotsForDate,
+  slotStart,
+  reservationStartsAt,
+  resolveReservationSlot,
+  slotAvailability,
+  describeAvailability,
+  nearestOpenSlots
+};
@@ -0,0 +1,140 @@
+/**
+ * Reservation Lifecycle
+ *
+ * Reservation statuses and the moves allowed between them:
+ *
+ *   pending → confirmed → seated → completed
+ *   pending | confirmed → cancelled | no_show
+ *   pending → seated          (walk-in before anyone confirmed it)
+ *   cancelled → confirmed     (reinstated by an admin)
+ *   no_show → seated          (the party turned up late)
+ *
+ * Each move stamps <status>At / <status>By on the reservation and appends
+ * { from, to, at, by } to statusHistory. "by" is a uid, or 'auto' for the auto-confirm cron.
+ *
+ * No-shows are counted on the user (users.reservationNoShowCount). The policy in
+ * config/reservationPolicy decides what happens to repeat offenders:
+ *
+ *   { noShowConfirmationThreshold, noShowBlockThreshold, attendancePoints }
+ *
+ * At the confirmation threshold their bookings are never auto-confirmed. At the block
+ * threshold they can't book or join the waitlist online (0 turns either off). A
+ * completed reservation credits attendancePoints to the customer (0 = off).
+ */
+
+const RESERVATION_POLICY_CONFIG_DOC = 'reservationPolicy';
+const ATTENDANCE_POINTS_TX_TYPE = 'reservation_attendance';
+
+const RESERVATION_STATUSES = ['pending', 'confirmed', 'seated', 'completed', 'cancelled', 'no_show'];
+const ACTIVE_RESERVATION_STATUSES = ['pending', 'confirmed', 'seated'];
+
+const RESERVATION_TRANSITIONS = {
+  pending: ['confirmed', 'seated', 'cancelled', 'no_show'],
+  confirmed: ['seated', 'cancelled', 'no_show'],
+  seated: ['completed'],
+  completed: [],
+  cancelled: ['confirmed'],
+  no_show: ['seated']
+};
+
+const STATUS_STAMP_FIELDS = {
+  confirmed: ['confirmedAt', 'confirmedBy'],
+  seated: ['seatedAt', 'seatedBy'],
+  completed: ['completedAt', 'completedBy'],
+  cancelled: ['cancelledAt', 'cancelledBy'],
+  no_show: ['noShowAt', 'noShowBy']
+};
+
+const DEFAULT_RESERVATION_POLICY = {
+  noShowConfirmationThreshold: 1,
+  noShowBlockThreshold: 3,
+  attendancePoints: 0
+};
+
+function statusLabel(status) {
+  return status === 'no_show' ? 'no-show' : status;
+}
+
+function nonNegativeIntOr(value, fallback) {
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Policy with defaults filled in
+ * @param {Object|null} raw - config/reservationPolicy data
+ */
+function normalizeReservationPolicy(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  return {
+    noShowConfirmationThreshold: nonNegativeIntOr(data.noShowConfirmationThreshold, DEFAULT_RESERVATION_POLICY.noShowConfirmationThreshold),
+    noShowBlockThreshold: nonNegativeIntOr(data.noShowBlockThreshold, DEFAULT_RESERVATION_POLICY.noShowBlockThreshold),
+    attendancePoints: nonNegativeIntOr(data.attendancePoints, DEFAULT_RESERVATION_POLICY.attendancePoints)
+  };
+}
+
+/**
+ * Why a reservation can't move between two statuses
+ * @param {string} from - Current status (missing = pending)
+ * @param {string} to
+ * @returns {string|null} null when the move is allowed
+ */
+function describeTransitionProblem(from, to) {
+  const current = from || 'pending';
+  if (!RESERVATION_STATUSES.includes(to)) {
+    return `status must be one of: ${RESERVATION_STATUSES.join(', ')}`;
+  }
+  if (current === to) {
+    return `Reservation is already ${statusLabel(to)}`;
+  }
+  if (!(RESERVATION_TRANSITIONS[current] || []).includes(to)) {
+    return `A ${statusLabel(current)} reservation can't be marked ${statusLabel(to)}`;
+  }
+  return null;
+}
+
+/**
+ * Fields to write for a status change
+ * @param {string} from
+ * @param {string} to
+ * @param {{by: string, at: *}} actor - Who made the change and when (a Firestore Timestamp)
+ * @returns {{fields: Object, historyEntry: Object}} historyEntry goes into statusHistory
+ */
+function buildStatusChange(from, to, { by, at }) {
+  const fields = { status: to };
+  const stamp = STATUS_STAMP_FIELDS[to];
+  if (stamp) {
+    fields[stamp[0]] = at;
+    fields[stamp[1]] = by;
+  }
+  return { fields, historyEntry: { from: from || 'pending', to, at, by } };
+}
+
+/**
+ * Where a user stands under the no-show policy
+ * @param {Object|null} userData
+ * @param {Object} policy - Normalized policy
+ * @returns {{noShowCount: number, standing: 'ok'|'confirmation_required'|'blocked'}}
+ */
+function noShowStanding(userData, policy) {
+  const noShowCount = nonNegativeIntOr(userData?.reservationNoShowCount, 0);
+  let standing = 'ok';
+  if (policy.noShowBlockThreshold > 0 && noShowCount >= policy.noShowBlockThreshold) {
+    standing = 'blocked';
+  } else if (policy.noShowConfirmationThreshold > 0 && noShowCount >= policy.noShowConfirmationThreshold) {
+    standing = 'confirmation_required';
+  }
+  return { noShowCount, standing };
+}
+
+module.exports = {
+  RESERVATION_POLICY_CONFIG_DOC,
+  ATTENDANCE_POINTS_TX_TYPE,
+  RESERVATION_STATUSES,
+  ACTIVE_RESERVATION_STATUSES,
+  RESERVATION_TRANSITIONS,
+  DEFAULT_RESERVATION_POLICY,
+  normalizeReservationPolicy,
+  describeTransitionProblem,
+  buildStatusChange,
+  noShowStanding
+};
@@ -0,0 +1,104 @@
+/**
+ * Reservation Reminders
+ *
+ * POST /cron/reservation-reminders sends a reminder at each offset before a
+ * reservation's startsAt (RESERVATION_REMINDER_OFFSETS, default "24h,2h"). Sent offsets
+ * are recorded on the reservation (remindersSent: [minutes]).
+ *
+ * If the cron falls behind and several reminders are due at once, only the latest one
+ * is sent. Reminders whose time had already passed when the table was booked are
+ * skipped, so a same-evening booking doesn't get a "24 hours to go" reminder.
+ * Wording ("today", "tomorrow") is worked out in the store's timezone.
+ */
+
+const { DateTime } = require('luxon');
+
+const DEFAULT_REMINDER_OFFSETS = '24h,2h';
+const OFFSET_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+// Reservations made before offsets were configurable recorded these two flags instead
+const LEGACY_DAY_BEFORE_MIN_OFFSET = 12 * 60;
+
+function offsetsFrom(text) {
+  const offsets = String(text || '')
+    .split(',')
+    .map(part => part.trim().toLowerCase().match(/^(\d+)\s*([mhd])$/))
+    .filter(Boolean)
+    .map(([, amount, unit]) => parseInt(amount, 10) * OFFSET_UNITS[unit])
+    .filter(minutes => minutes > 0);
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * Parse reminder offsets like "24h,2h" or "1d,90m" (the default when nothing usable is set)
+ * @param {string} [value]
+ * @returns {Array<number>} Minutes before the reservation, largest first
+ */
+function parseReminderOffsets(value) {
+  const offsets = offsetsFrom(value);
+  return offsets.length > 0 ? offsets : offsetsFrom(DEFAULT_REMINDER_OFFSETS);
+}
+
+/**
+ * Offsets already sent for a reservation, including the pre-offset flags
+ * @param {Object} data - reservations document data
+ * @param {Array<number>} offsets - Configured offsets
+ * @returns {Array<number>}
+ */
+function sentReminderOffsets(data, offsets) {
+  const sent = new Set(Array.isArray(data.remindersSent) ? data.remindersSent : []);
+  for (const offset of offsets) {
+    if (data.reminderDayBeforeSent === true && offset >= LEGACY_DAY_BEFORE_MIN_OFFSET) sent.add(offset);
+    if (data.reminderDayOfSent === true && offset < LEGACY_DAY_BEFORE_MIN_OFFSET) sent.add(offset);
+  }
+  return [...sent];
+}
+
+/**
+ * Which reminder to send for a reservation right now
+ * @param {Object} params
+ * @param {Date} params.startsAt
+ * @param {Date|null} params.createdAt
+ * @param {Array<number>} params.offsets - Minutes before startsAt
+ * @param {Array<number>} params.sentOffsets
+ * @param {Date} params.now
+ * @returns {{offset: number|null, markSent: Array<number>}|null} null when nothing is due;
+ *   offset is null when every due reminder should be skipped (marked sent without sending)
+ */
+function dueReminder({ startsAt, createdAt, offsets, sentOffsets, now }) {
+  const startMs = startsAt.getTime();
+  if (now.getTime() >= startMs) return null;
+
+  const due = offsets.filter(offset => !sentOffsets.includes(offset) && now.getTime() >= startMs - offset * 60 * 1000);
+  if (due.length === 0) return null;
+
+  const sendable = due.filter(offset => !createdAt || createdAt.getTime() < startMs - offset * 60 * 1000);
+  return {
+    offset: sendable.length > 0 ? Math.min(...sendable) : null,
+    markSent: due
+  };
+}
+
+/**
+ * "today at 6:30 PM", "tomorrow at 6:30 PM" or "Fri, Oct 23 at 6:30 PM"
+ * @param {Date} startsAt
+ * @param {string} timeZone - Store timezone
+ * @param {Date} now
+ */
+function describeReservationTiming(startsAt, timeZone, now) {
+  const start = DateTime.fromJSDate(startsAt).setZone(timeZone);
+  const today = DateTime.fromJSDate(now).setZone(timeZone).startOf('day');
+  const days = Math.round(start.startOf('day').diff(today, 'days').days);
+  const time = start.toFormat('h:mm a');
+  if (days === 0) return `today at ${time}`;
+  if (days === 1) return `tomorrow at ${time}`;
+  return `${start.toFormat('ccc, LLL d')} at ${time}`;
+}
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  parseReminderOffsets,
+  sentReminderOffsets,
+  dueReminder,
+  describeReservationTiming
+};
@@ -0,0 +1,82 @@
+/**
+ * Reservation Waitlist
+ *
+ * Parties can join the waitlist for a fully booked slot (POST /reservations/waitlist).
+ * Entries are stored in reservationWaitlist:
+ *
+ *   { userId, locationId, date, slotTime, slotId, partySize, customerName, phone, email,
+ *     specialRequests, status, createdAt, offeredAt, offerExpiresAt, reservationId }
+ *
+ * When a cancellation or deletion frees room in a slot, the earliest waiting party that
+ * fits is offered it. Their table is held (counted in reservationSlots like a booking)
+ * and they get a push. Accepting turns the hold into a pending reservation. Declining,
+ * or letting the hold run out (POST /cron/reservation-waitlist), releases the table
+ * and offers it to the next party. A hold never runs past the slot's start time.
+ */
+
+const { toIsoString } = require('./timeValues');
+
+const RESERVATION_WAITLIST_COLLECTION = 'reservationWaitlist';
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'declined', 'expired', 'cancelled'];
+const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+const DEFAULT_WAITLIST_HOLD_MINUTES = 30;
+
+/**
+ * The party to offer a freed slot to: the longest-waiting one that fits. Larger
+ * parties that don't fit keep their place for the next opening.
+ * @param {Array<{id: string, data: Object}>} entries - Waiting entries, oldest first
+ * @param {Object} slot - From slotsForDate
+ * @param {{tableCount?: number, coverCount?: number}|null} usage - reservationSlots data
+ * @returns {{id: string, data: Object}|null}
+ */
+function pickNextWaitlistEntry(entries, slot, usage) {
+  const remainingTables = slot.tablesPerSlot - (usage?.tableCount || 0);
+  const remainingCovers = slot.coversPerSlot - (usage?.coverCount || 0);
+  if (remainingTables < 1) return null;
+  return entries.find(entry => (entry.data.partySize || 0) <= remainingCovers) || null;
+}
+
+/**
+ * When an offer made at `now` stops being held
+ * @param {Object} params - { now: Date, holdMinutes: number, slotStartsAt: Date }
+ * @returns {Date|null} null when the slot has already started (too late to offer)
+ */
+function waitlistOfferExpiresAt({ now, holdMinutes, slotStartsAt }) {
+  if (slotStartsAt.getTime() <= now.getTime()) return null;
+  return new Date(Math.min(now.getTime() + holdMinutes * 60 * 1000, slotStartsAt.getTime()));
+}
+
+/**
+ * Waitlist entry as returned by the API
+ * @param {string} id
+ * @param {Object} data - reservationWaitlist document data
+ * @param {number|null} [position] - 1-based place in line while waiting
+ */
+function serializeWaitlistEntry(id, data, position = null) {
+  return {
+    id,
+    locationId: data.locationId || null,
+    date: data.date || null,
+    time: data.time || null,
+    slotTime: data.slotTime || null,
+    partySize: data.partySize || 0,
+    customerName: data.customerName || '',
+    phone: data.phone || '',
+    status: data.status || 'waiting',
+    position,
+    createdAt: toIsoString(data.createdAt),
+    offeredAt: toIsoString(data.offeredAt),
+    offerExpiresAt: toIsoString(data.offerExpiresAt),
+    reservationId: data.reservationId || null
+  };
+}
+
+module.exports = {
+  RESERVATION_WAITLIST_COLLECTION,
+  WAITLIST_STATUSES,
+  ACTIVE_WAITLIST_STATUSES,
+  DEFAULT_WAITLIST_HOLD_MINUTES,
+  pickNextWaitlistEntry,
+  waitlistOfferExpiresAt,
+  serializeWaitlistEntry
+};
@@ -0,0 +1,171 @@
+/**
+ * Reward Redemption Codes
+ *
+ * Settings for the redemption codes shown at the counter (admin-editable at
+ * config/rewardRedemption):
+ * - how long a code stays valid, per reward category
+ * - the "pause timer" a customer can use while still in line
+ * - the business day and shifts used to group the staff redemption log
+ *
+ * Each code also gets a signed QR payload for the staff app to scan, so staff don't
+ * have to type 8 digits and a guessed code can't be scanned in:
+ *
+ *   DHRW1.<base64url(JSON {rid, code, iat})>.<base64url(HMAC-SHA256(secret, "DHRW1.<payload>"))>
+ *
+ * The payload names the exact redeemedRewards doc; expiry is still checked on the doc,
+ * so pausing or extending a code doesn't invalidate the QR.
+ */
+
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const { HHMM, minutesOfDay } = require('./timeValues');
+
+const REWARD_REDEMPTION_CONFIG_DOC = 'rewardRedemption';
+const REDEMPTION_QR_PREFIX = 'DHRW1';
+
+const DEFAULT_REWARD_REDEMPTION_CONFIG = {
+  defaultTtlMinutes: 15,
+  // rewardCategory -> minutes (e.g. { "Drinks": 10 }); categories not listed use the default
+  categoryTtlMinutes: {},
+  pauseMinutes: 10,
+  maxPauses: 1,
+  // Redemptions before this time count toward the previous business day
+  businessDayStartTime: '04:00',
+  shifts: [
+    { id: 'lunch', name: 'Lunch', startTime: '04:00', endTime: '16:00' },
+    { id: 'dinner', name: 'Dinner', startTime: '16:00', endTime: '04:00' }
+  ]
+};
+
+function toIntOr(value, fallback) {
+  const n = typeof value === 'number' ? value : parseInt(String(value ?? ''), 10);
+  return Number.isFinite(n) ? Math.floor(n) : fallback;
+}
+
+/**
+ * Merge a stored config over the defaults and coerce field types
+ * @param {Object|null} raw - config/rewardRedemption document data
+ * @returns {Object} Normalized config
+ */
+function normalizeRewardRedemptionConfig(raw) {
+  const base = DEFAULT_REWARD_REDEMPTION_CONFIG;
+  const data = raw && typeof raw === 'object' ? raw : {};
+
+  const categoryTtlMinutes = {};
+  if (data.categoryTtlMinutes && typeof data.categoryTtlMinutes === 'object') {
+    for (const [category, minutes] of Object.entries(data.categoryTtlMinutes)) {
+      const n = toIntOr(minutes, 0);
+      if (category && n > 0) categoryTtlMinutes[category] = Math.min(n, 24 * 60);
+    }
+  }
+
+  const shifts = Array.isArray(data.shifts)
+    ? data.shifts
+      .filter(s => s && typeof s.id === 'string' && s.id.trim() && HHMM.test(s.startTime) && HHMM.test(s.endTime))
+      .map(s => ({ id: s.id.trim(), name: s.name || s.id.trim(), startTime: s.startTime, endTime: s.endTime }))
+    : base.shifts;
+
+  return {
+    defaultTtlMinutes: Math.min(Math.max(1, toIntOr(data.defaultTtlMinutes, base.defaultTtlMinutes)), 24 * 60),
+    categoryTtlMinutes,
+    pauseMinutes: Math.min(Math.max(0, toIntOr(data.pauseMinutes, base.pauseMinutes)), 60),
+    maxPauses: Math.min(Math.max(0, toIntOr(data.maxPauses, base.maxPauses)), 5),
+    businessDayStartTime: HHMM.test(data.businessDayStartTime) ? data.businessDayStartTime : base.businessDayStartTime,
+    shifts
+  };
+}
+
+/**
+ * How long a new code for this reward category stays valid
+ * @returns {number} Minutes
+ */
+function ttlMinutesFor(config, rewardCategory) {
+  return config.categoryTtlMinutes[rewardCategory] || config.defaultTtlMinutes;
+}
+
+/**
+ * Business day ("yyyy-LL-dd") a redemption belongs to; after-midnight redemptions
+ * before businessDayStartTime count toward the previous day
+ * @param {Date} at
+ * @param {string} timeZone - Store timezone
+ * @returns {string}
+ */
+function businessDayOf(config, at, timeZone) {
+  const offset = minutesOfDay(config.businessDayStartTime) || 0;
+  return DateTime.fromJSDate(at).setZone(timeZone).minus({ minutes: offset }).toFormat('yyyy-LL-dd');
+}
+
+/**
+ * Shift a redemption falls in (windows may wrap past midnight; end is exclusive)
+ * @returns {string|null} Shift id, or null if no shift covers that time
+ */
+function shiftOf(config, at, timeZone) {
+  const local = DateTime.fromJSDate(at).setZone(timeZone);
+  const now = local.hour * 60 + local.minute;
+  for (const shift of config.shifts) {
+    const start = minutesOfDay(shift.startTime);
+    const end = minutesOfDay(shift.endTime);
+    const inWindow = start <= end ? (now >= start && now < end) : (now >= start || now < end);
+    if (inWindow) return shift.id;
+  }
+  return null;
+}
+
+function sign(secret, signedPart) {
+  return crypto.createHmac('sha256', secret).update(signedPart).digest('base64url');
+}
+
+/**
+ * Build the signed QR payload for a redeemed reward
+ * @param {{rewardId: string, redemptionCode: string}} reward
+ * @param {string} secret - REDEMPTION_QR_SECRET
+ * @returns {string}
+ */
+function signRedemptionQr({ rewardId, redemptionCode }, secret) {
+  const payload = { rid: rewardId, code: redemptionCode, iat: Math.floor(Date.now() / 1000) };
+  const signedPart = `${REDEMPTION_QR_PREFIX}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+  return `${signedPart}.${sign(secret, signedPart)}`;
+}
+
+/**
+ * Verify a scanned redemption QR payload
+ * @param {string} token
+ * @param {string} secret
+ * @returns {{ok: true, rewardId: string, redemptionCode: string} | {ok: false, reason: string}}
+ *   reason: MALFORMED | BAD_SIGNATURE
+ */
+function verifyRedemptionQr(token, secret) {
+  const parts = typeof token === 'string' ? token.trim().split('.') : [];
+  if (parts.length !== 3 || parts[0] !== REDEMPTION_QR_PREFIX || !parts[1] || !parts[2]) {
+    return { ok: false, reason: 'MALFORMED' };
+  }
+
+  const expected = Buffer.from(sign(secret, `${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: 'BAD_SIGNATURE' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    return { ok: false, reason: 'MALFORMED' };
+  }
+  if (!payload || typeof payload.rid !== 'string' || !payload.rid || typeof payload.code !== 'string') {
+    return { ok: false, reason: 'MALFORMED' };
+  }
+  return { ok: true, rewardId: payload.rid, redemptionCode: payload.code };
+}
+
+module.exports = {
+  REWARD_REDEMPTION_CONFIG_DOC,
+  DEFAULT_REWARD_REDEMPTION_CONFIG,
+  REDEMPTION_QR_PREFIX,
+  normalizeRewardRedemptionConfig,
+  ttlMinutesFor,
+  businessDayOf,
+  shiftOf,
+  signRedemptionQr,
+  verifyRedemptionQr
+};
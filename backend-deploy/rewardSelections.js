@@ -0,0 +1,309 @@
+/**
+ * Reward Selections
+ *
+ * Resolves what a customer picked for a reward against the admin-managed
+ * rewardTierItems docs ({pointsRequired, tierName, rewardCategory, rewardDescription,
+ * eligibleItems, requiredLoyaltyTier}).
+ * The server decides the price and item names; the client only sends IDs and options:
+ *
+ * - the price is the tier's pointsRequired
+ * - every picked item (main, half-and-half second flavor, combo drink) must be eligible
+ *   in that tier or in a cheaper one; a Full Combo is built from the 12-piece and drink
+ *   tiers, and nobody gets a 450-point item from a 100-point tier
+ * - options must fit the item: toppings, ice, sugar and Lemonade/Soda only go on drinks
+ *   (toppings must exist in drinkToppings, drinkOptions or the menu's topping category),
+ *   cooking methods never on drinks, and nothing marked unavailable in the menu
+ *
+ * It also builds the lines of a reward cart: several tier items redeemed under one
+ * redemption code, with one points deduction and one redeemedRewards doc:
+ *
+ *   redeemedRewards/{id} { isCart: true, rewardCategory: 'Cart', pointsRequired: <sum>,
+ *     items: [{ lineId, tierId, tierName, pointsRequired, itemId, itemName, ..., isUsed }] }
+ *
+ * Staff can hand a cart over in one go or line by line; the doc becomes isUsed once
+ * every line is used (partiallyUsed until then).
+ */
+
+const MAX_CART_ITEMS = 10;
+const CART_REWARD_CATEGORY = 'Cart';
+
+// Values the app offers; anything else is rejected by the request schemas
+const REWARD_COOKING_METHODS = ['Boiled', 'Steamed', 'Pan-fried'];
+const REWARD_DRINK_TYPES = ['Lemonade', 'Soda'];
+const REWARD_ICE_LEVELS = ['Normal', '75%', '50%', '25%', 'No Ice'];
+const REWARD_SUGAR_LEVELS = ['Normal', '75%', '50%', '25%', 'No Sugar'];
+
+/**
+ * @param {Object} tierData - rewardTierItems document data
+ * @param {string} itemId
+ * @returns {Object|null} The eligibleItems entry
+ */
+function findEligibleItem(tierData, itemId) {
+  const items = Array.isArray(tierData?.eligibleItems) ? tierData.eligibleItems : [];
+  return (itemId && items.find(item => item && item.itemId === itemId)) || null;
+}
+
+/**
+ * Find an item in a tier or, failing that, in any tier that costs no more
+ * @param {Map<string, Object>} tiersById - rewardTierItems doc id -> data
+ * @returns {Object|null} The eligibleItems entry
+ */
+function findEligibleItemUpTo(tiersById, tierData, itemId) {
+  const own = findEligibleItem(tierData, itemId);
+  if (own || !itemId) return own;
+  for (const other of tiersById.values()) {
+    if (other && Number(other.pointsRequired) <= Number(tierData.pointsRequired)) {
+      const match = findEligibleItem(other, itemId);
+      if (match) return match;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tier for a request without a tierId (older app versions), found by the picked item.
+ * Only tiers that list the item qualify; the client's price just picks between several
+ * of them, and is never charged itself.
+ * @param {Map<string, Object>} tiersById
+ * @param {string} itemId
+ * @param {number} pointsRequired - Client-sent price
+ * @returns {string|null} rewardTierItems doc id, or null if no tier (or no single tier) fits
+ */
+function findTierIdForItem(tiersById, itemId, pointsRequired) {
+  const listing = [...tiersById].filter(([, tierData]) => findEligibleItem(tierData, itemId));
+  if (listing.length === 1) return listing[0][0];
+  const priced = listing.find(([, tierData]) => Number(tierData.pointsRequired) === pointsRequired);
+  return priced ? priced[0] : null;
+}
+
+/**
+ * Index the menu and topping collections for selection checks
+ * @param {Object} sources
+ * @param {Array<{id: string, data: Object, items: Array<{id: string, data: Object}>}>} sources.menuCategories - menu/{categoryId} with its items
+ * @param {Array<{id: string, data: Object}>} sources.drinkToppings
+ * @param {Array<{id: string, data: Object}>} sources.drinkOptions - milk subs are skipped
+ * @returns {{menuItems: Map<string, Object[]>, toppings: Map<string, Object>}}
+ */
+function buildSelectionCatalog({ menuCategories = [], drinkToppings = [], drinkOptions = [] }) {
+  const menuItems = new Map();
+  const toppings = new Map();
+  const addMenuItem = (key, entry) => {
+    if (!key) return;
+    if (!menuItems.has(key)) menuItems.set(key, []);
+    menuItems.get(key).push(entry);
+  };
+
+  for (const category of menuCategories) {
+    const categoryData = category.data || {};
+    for (const item of category.items || []) {
+      const data = item.data || {};
+      const entry = {
+        categoryId: category.id,
+        name: data.id || item.id,
+        isAvailable: data.isAvailable !== false,
+        isDrink: categoryData.isDrinks === true || categoryData.lemonadeSodaEnabled === true,
+        lemonadeSodaEnabled: categoryData.lemonadeSodaEnabled === true,
+        toppingIds: data.toppingModifiersEnabled === true && Array.isArray(data.availableToppingIDs)
+          ? data.availableToppingIDs
+          : null
+      };
+      addMenuItem(item.id, entry);
+      if (data.id && data.id !== item.id) addMenuItem(data.id, entry);
+      if (categoryData.isToppingCategory === true) {
+        const topping = { name: data.id || item.id, isAvailable: entry.isAvailable, source: 'menu' };
+        toppings.set(item.id, topping);
+        if (data.id) toppings.set(data.id, topping);
+      }
+    }
+  }
+  for (const doc of drinkToppings) {
+    const data = doc.data || {};
+    toppings.set(doc.id, { name: data.name || doc.id, isAvailable: data.isAvailable !== false, source: 'drinkToppings' });
+  }
+  for (const doc of drinkOptions) {
+    const data = doc.data || {};
+    if (data.isMilkSub === true) continue;
+    toppings.set(doc.id, { name: data.name || doc.id, isAvailable: data.isAvailable !== false, source: 'drinkOptions' });
+  }
+  return { menuItems, toppings };
+}
+
+function findMenuItem(catalog, item) {
+  const matches = catalog.menuItems.get(item.itemId) || [];
+  return matches.find(m => m.categoryId === item.categoryId) || matches[0] || null;
+}
+
+function rejection(code, message) {
+  return { ok: false, code, message };
+}
+
+/**
+ * Check a reward selection against its tier and the menu, and fill in the
+ * server-side names and price
+ * @param {Object} request - { itemId?, selectedItemId2?, selectedToppingId?, cookingMethod?,
+ *   drinkType?, selectedDrinkItemId?, iceLevel?, sugarLevel? }
+ * @param {Object|null} tierData - rewardTierItems doc data for the reward being redeemed
+ * @param {Map<string, Object>} tiersById - all rewardTierItems docs
+ * @param {Object} catalog - from buildSelectionCatalog
+ * @returns {{ok: true, pointsRequired: number, selection: Object} | {ok: false, code: string, message: string}}
+ *   code: TIER_NOT_FOUND | ITEM_NOT_ELIGIBLE | ITEM_UNAVAILABLE | TOPPING_NOT_FOUND |
+ *   TOPPING_UNAVAILABLE | INVALID_COMBINATION
+ */
+function resolveRewardSelection(request, tierData, tiersById, catalog) {
+  const pointsRequired = Number(tierData?.pointsRequired);
+  if (!tierData || !Number.isInteger(pointsRequired) || pointsRequired <= 0) {
+    return rejection('TIER_NOT_FOUND', 'Reward tier not found');
+  }
+
+  const picks = {};
+  for (const [key, itemId] of [['item', request.itemId], ['item2', request.selectedItemId2], ['drink', request.selectedDrinkItemId]]) {
+    if (!itemId) continue;
+    const eligible = findEligibleItemUpTo(tiersById, tierData, itemId);
+    if (!eligible) return rejection('ITEM_NOT_ELIGIBLE', `Item ${itemId} is not eligible for this reward`);
+    const menuItem = findMenuItem(catalog, eligible);
+    if (menuItem && !menuItem.isAvailable) {
+      return rejection('ITEM_UNAVAILABLE', `${eligible.itemName || itemId} is currently unavailable`);
+    }
+    picks[key] = { eligible, menuItem };
+  }
+
+  const { item, item2, drink } = picks;
+  if (item2 && (!item || item2.eligible.itemId === item.eligible.itemId)) {
+    return rejection('INVALID_COMBINATION', 'Half and half needs two different items');
+  }
+
+  if (request.cookingMethod) {
+    const dumplings = [item, item2].filter(Boolean);
+    if (dumplings.length === 0 || dumplings.some(p => p.menuItem && p.menuItem.isDrink)) {
+      return rejection('INVALID_COMBINATION', 'A cooking method can only be chosen for food items');
+    }
+  }
+
+  // Drink options apply to the combo drink, or to the item itself for drink rewards
+  const drinkPick = drink || item;
+  const drinkMenuItem = drinkPick?.menuItem || null;
+  const hasDrinkOptions = request.selectedToppingId || request.drinkType || request.iceLevel || request.sugarLevel;
+  if (hasDrinkOptions && (!drinkPick || (drinkMenuItem && !drinkMenuItem.isDrink))) {
+    return rejection('INVALID_COMBINATION', 'Toppings, ice, sugar and drink type can only be chosen for drinks');
+  }
+  if (request.drinkType && drinkMenuItem && !drinkMenuItem.lemonadeSodaEnabled) {
+    return rejection('INVALID_COMBINATION', `${drinkPick.eligible.itemName || drinkPick.eligible.itemId} doesn't come as Lemonade or Soda`);
+  }
+
+  let topping = null;
+  if (request.selectedToppingId) {
+    topping = catalog.toppings.get(request.selectedToppingId) || null;
+    if (!topping) return rejection('TOPPING_NOT_FOUND', `Topping ${request.selectedToppingId} not found`);
+    if (!topping.isAvailable) return rejection('TOPPING_UNAVAILABLE', `${topping.name} is currently unavailable`);
+    if (topping.source === 'drinkOptions' && drinkMenuItem?.toppingIds && !drinkMenuItem.toppingIds.includes(request.selectedToppingId)) {
+      return rejection('INVALID_COMBINATION', `${topping.name} isn't offered on this drink`);
+    }
+  }
+
+  const nameOf = p => p.eligible.itemName || p.eligible.itemId;
+  return {
+    ok: true,
+    pointsRequired,
+    selection: {
+      ...(item && {
+        itemId: item.eligible.itemId,
+        itemName: nameOf(item),
+        categoryId: item.eligible.categoryId || null,
+        ...(item.eligible.imageURL && { imageURL: item.eligible.imageURL })
+      }),
+      ...(item2 && { selectedItemId2: item2.eligible.itemId, selectedItemName2: nameOf(item2) }),
+      ...(topping && { selectedToppingId: request.selectedToppingId, selectedToppingName: topping.name }),
+      ...(request.cookingMethod && { cookingMethod: request.cookingMethod }),
+      ...(request.drinkType && { drinkType: request.drinkType }),
+      ...(drink && { selectedDrinkItemId: drink.eligible.itemId, selectedDrinkItemName: nameOf(drink) }),
+      ...(request.iceLevel && { iceLevel: request.iceLevel }),
+      ...(request.sugarLevel && { sugarLevel: request.sugarLevel })
+    }
+  };
+}
+
+/**
+ * Build a cart line from a requested item and its rewardTierItems doc
+ * @param {Object} request - { tierId, itemId, ...options }
+ * @param {Map<string, Object>} tiersById - all rewardTierItems docs
+ * @param {Object} catalog - from buildSelectionCatalog
+ * @param {string} lineId
+ * @returns {{ok: true, line: Object} | {ok: false, code: string, message: string}}
+ */
+function buildCartLine(request, tiersById, catalog, lineId) {
+  const tierData = tiersById.get(request.tierId) || null;
+  const resolved = resolveRewardSelection(request, tierData, tiersById, catalog);
+  if (!resolved.ok) return resolved;
+  return {
+    ok: true,
+    line: {
+      lineId,
+      tierId: request.tierId,
+      tierName: tierData.tierName || null,
+      pointsRequired: resolved.pointsRequired,
+      ...resolved.selection,
+      isUsed: false
+    }
+  };
+}
+
+/**
+ * Human-readable summary of one selection ("Pork Dumplings with Boba",
+ * "Half and Half: Pork + Chicken (Steamed)")
+ * @param {Object} selection - cart line, or a redeemedRewards doc using selectedItemName
+ * @returns {string}
+ */
+function describeRewardSelection(selection) {
+  const itemName = selection.itemName || selection.selectedItemName || selection.rewardTitle || 'Reward';
+  if (selection.selectedItemName2) {
+    const cooking = selection.cookingMethod ? ` (${selection.cookingMethod})` : '';
+    return `Half and Half: ${itemName} + ${selection.selectedItemName2}${cooking}`;
+  }
+  return selection.selectedToppingName ? `${itemName} with ${selection.selectedToppingName}` : itemName;
+}
+
+/**
+ * Points still tied up in the unused lines of a cart (what an expiry refund returns)
+ * @param {Object} rewardData - redeemedRewards document data
+ * @returns {number}
+ */
+function unusedCartPoints(rewardData) {
+  const items = Array.isArray(rewardData?.items) ? rewardData.items : [];
+  return items
+    .filter(line => line && line.isUsed !== true)
+    .reduce((sum, line) => sum + (Number(line.pointsRequired) || 0), 0);
+}
+
+/**
+ * Cart lines as returned to staff and customers (timestamps as ISO strings)
+ * @param {Object} rewardData - redeemedRewards document data
+ * @returns {Object[]|null} null for single-item rewards
+ */
+function serializeCartItems(rewardData) {
+  if (rewardData?.isCart !== true || !Array.isArray(rewardData.items)) return null;
+  return rewardData.items.map(line => {
+    const usedAt = line.usedAt && typeof line.usedAt.toDate === 'function' ? line.usedAt.toDate() : line.usedAt;
+    return {
+      ...line,
+      isUsed: line.isUsed === true,
+      usedAt: usedAt instanceof Date ? usedAt.toISOString() : null
+    };
+  });
+}
+
+module.exports = {
+  MAX_CART_ITEMS,
+  CART_REWARD_CATEGORY,
+  REWARD_COOKING_METHODS,
+  REWARD_DRINK_TYPES,
+  REWARD_ICE_LEVELS,
+  REWARD_SUGAR_LEVELS,
+  findEligibleItem,
+  findTierIdForItem,
+  buildSelectionCatalog,
+  resolveRewardSelection,
+  buildCartLine,
+  describeRewardSelection,
+  unusedCartPoints,
+  serializeCartItems
+};
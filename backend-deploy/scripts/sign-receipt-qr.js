@@ -0,0 +1,54 @@
+/**
+ * Stand-in for a POS that prints receipt QR codes: prints a signed token for
+ * POST /submit-receipt-qr. Useful for testing, or for a register that can't sign.
+ *
+ * Run with:
+ *   node scripts/sign-receipt-qr.js --order 123 --total 25.40 [--date 2026-10-18] [--time 12:30]
+ *                                   [--location nashville] [--key <keyId>]
+ *
+ * Uses the first key in RECEIPT_QR_KEYS unless --key is given. Date/time default to
+ * now in STATS_TIMEZONE (the original store's timezone).
+ */
+
+// Try loading .env from current directory, then parent directory
+const path = require('path');
+require('dotenv').config();
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+const { DateTime } = require('luxon');
+const { parseQrKeys, signReceiptQrToken } = require('../receiptQrToken');
+const { DEFAULT_LOCATION_ID } = require('../locations');
+
+function readArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = readArgs(process.argv.slice(2));
+const keys = parseQrKeys(process.env.RECEIPT_QR_KEYS);
+const keyId = args.key || keys.keys().next().value;
+
+if (!keyId || !keys.has(keyId)) {
+  console.error('❌ No usable key. Set RECEIPT_QR_KEYS=keyId:secret (secret at least 16 chars) or pass a known --key.');
+  process.exit(1);
+}
+if (!args.order || !args.total) {
+  console.error('❌ --order and --total are required');
+  process.exit(1);
+}
+
+const now = DateTime.now().setZone(process.env.STATS_TIMEZONE || 'America/Chicago');
+const token = signReceiptQrToken({
+  orderNumber: args.order,
+  orderTotal: parseFloat(args.total),
+  date: args.date || now.toFormat('yyyy-MM-dd'),
+  time: args.time || now.toFormat('HH:mm'),
+  locationId: args.location || DEFAULT_LOCATION_ID
+}, { keyId, secret: keys.get(keyId) });
+
+console.log(token);
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Copy the backend modules Cloud Functions also use into functions/shared/.
+ *
+ * Firebase deploys only the functions/ directory, so it can't require backend-deploy
+ * directly. The copies are committed (so the emulator works from a fresh checkout),
+ * refreshed on every `firebase deploy --only functions` (predeploy in firebase.json),
+ * and test/functionsShared.test.js fails when one is out of date.
+ *
+ * Run with: node backend-deploy/scripts/sync-functions-shared.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Must stay dependency-free, or use only packages functions/package.json also lists
+const SHARED_MODULES = [
+  'notificationPreferences.js',
+  'pushDevices.js',
+  'pointsRules.js',
+  'pointsAdjustments.js',
+  'referralCampaigns.js',
+  'timeValues.js'
+];
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const FUNCTIONS_SHARED_DIR = path.join(__dirname, '..', '..', 'functions', 'shared');
+
+function syncFunctionsShared() {
+  fs.mkdirSync(FUNCTIONS_SHARED_DIR, { recursive: true });
+  for (const file of SHARED_MODULES) {
+    fs.copyFileSync(path.join(BACKEND_DIR, file), path.join(FUNCTIONS_SHARED_DIR, file));
+  }
+}
+
+if (require.main === module) {
+  syncFunctionsShared();
+  console.log(`✅ Copied ${SHARED_MODULES.join(', ')} to functions/shared/`);
+}
+
+module.exports = { SHARED_MODULES, BACKEND_DIR, FUNCTIONS_SHARED_DIR };
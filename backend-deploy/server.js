@@ -45,7 +45,280 @@ if (process.env.SENTRY_DSN) {
 }
 
 // Input validation schemas and middleware
-const { validate, chatSchema, comboSchema, referralAcceptSchema, adminUserUpdateSchema, redeemRewardSchema, dumplingHeroPostSchema, dumplingHeroCommentSchema, dumplingHeroCommentPreviewSchema } = require('./validation');
+const { validate, chatSchema, comboSchema, referralAcceptSchema, adminUserUpdateSchema, redeemRewardSchema, cartRedeemSchema, staffRewardLookupSchema, refundExpiredRewardSchema, fcmTokenSchema, emptyBodySchema, dumplingHeroPostSchema, dumplingHeroCommentSchema, dumplingHeroCommentPreviewSchema, pointsEarningConfigSchema, pointsEarningPreviewSchema, loyaltyTiersConfigSchema, referralCampaignsConfigSchema, rewardRedemptionConfigSchema, notificationCampaignSchema, notificationCampaignUpdateSchema, audienceSegmentSchema, audienceSegmentUpdateSchema, audienceSegmentPreviewSchema, notificationPreferencesSchema, notificationOpenedSchema, receiptReviewApproveSchema, receiptReviewRejectSchema, locationSchema, reservationCapacitySchema, reservationSchema, reservationWaitlistSchema, reservationCancelSchema, reservationStatusSchema, reservationPolicySchema, receiptQrSchema, pointsAdjustmentSchema, pointsReversalSchema, adminNotificationSendSchema, giftRewardSchema, customGiftRewardSchema, giftRevokeSchema, claimGiftSchema, rewardTierItemsSchema, rewardTierAddItemSchema, banUserSchema, banPhoneSchema, unbanNumberSchema, suspiciousFlagReviewSchema } = require('./validation');
+
+// Receipt extraction providers (openai | fixture | ocr_text)
+const { createReceiptExtractionProvider, resolveReceiptExtractionProviderName, normalizeParsedReceipt, receiptPassesAgree, findDisagreeingFields, ANALYZE_AGREEMENT_FIELDS, SUBMIT_AGREEMENT_FIELDS } = require('./receiptExtraction');
+const RECEIPT_EXTRACTION_PROVIDER = resolveReceiptExtractionProviderName(process.env.RECEIPT_EXTRACTION_PROVIDER);
+
+// Points earning rules (config/pointsEarning)
+const { POINTS_EARNING_CONFIG_DOC, normalizePointsEarningConfig, evaluateReceiptPoints } = require('./pointsRules');
+
+// Loyalty membership tiers (config/loyaltyTiers)
+const {
+  LOYALTY_TIERS_CONFIG_DOC,
+  normalizeLoyaltyTiersConfig,
+  tierForPoints,
+  tierRank,
+  qualifyingPointsOf,
+  currentTierOf,
+  evaluateTierUpgrade,
+  describeTierProgress,
+  earnedPointsSince
+} = require('./loyaltyTiers');
+
+// Receipt line items -> menu matching + item analytics
+const { buildMenuIndex, matchLineItemsToMenu, aggregateReceiptItemStats } = require('./receiptItemAnalytics');
+const RECEIPT_LINE_ITEMS_ENABLED = process.env.RECEIPT_LINE_ITEMS_ENABLED === 'true';
+
+// Points ledger replay (balance reconciliation + FIFO expiration)
+const { POINTS_EXPIRATION_TX_TYPE, replayLedger, summarizeExpiration } = require('./pointsLedger');
+const { toDate } = require('./timeValues');
+const {
+  POINTS_ADJUSTMENT_TX_TYPE,
+  POINTS_ADJUSTMENT_REASON_CODES,
+  isGiftClaimTransaction,
+  describeReversalProblem,
+  applyPointsDelta
+} = require('./pointsAdjustments');
+
+// Perceptual hashing of receipt photos (re-submitted / shared receipt detection)
+const { computeImageHashInWorker, imageHashBands, hammingDistance, MAX_MATCH_DISTANCE: MAX_IMAGE_HASH_DISTANCE } = require('./receiptImageHash');
+const RECEIPT_IMAGE_HASH_LOOKBACK_DAYS = parseInt(process.env.RECEIPT_IMAGE_HASH_LOOKBACK_DAYS || '60', 10);
+
+// Store locations (per-location receipt validation profile + timezone)
+const { parseQrKeys, verifyReceiptQrToken } = require('./receiptQrToken');
+const {
+  REWARD_REDEMPTION_CONFIG_DOC,
+  normalizeRewardRedemptionConfig,
+  ttlMinutesFor,
+  businessDayOf,
+  shiftOf,
+  signRedemptionQr,
+  verifyRedemptionQr
+} = require('./rewardRedemption');
+const { CART_REWARD_CATEGORY, buildSelectionCatalog, resolveRewardSelection, findTierIdForItem, buildCartLine, describeRewardSelection, unusedCartPoints, serializeCartItems } = require('./rewardSelections');
+const { NOTIFICATION_CAMPAIGNS_COLLECTION, CAMPAIGN_STATUSES, EDITABLE_CAMPAIGN_STATUSES, isValidTimeZone, parseCampaignSendAt, nextCampaignRunAt, serializeCampaign } = require('./notificationCampaigns');
+const { DEFERRED_PUSHES_COLLECTION, normalizeNotificationPreferences, quietHoursEndAt, evaluatePushDelivery } = require('./notificationPreferences');
+
+// Delivery, open and receipt-scan reporting for admin notifications
+const { SCAN_ATTRIBUTION_HOURS, summarizeDeliveryStats, aggregateDeliveryStats, attributeReceiptScans, aggregateScanAttribution } = require('./notificationAnalytics');
+const {
+  DEVICES_SUBCOLLECTION,
+  STALE_DEVICE_DAYS,
+  ACTIVE_DEVICE_DAYS,
+  deviceIdForToken,
+  normalizeDeviceId,
+  isPrunableTokenError,
+  summarizeDeviceHealth,
+  serializeDevice
+} = require('./pushDevices');
+const { AUDIENCE_SEGMENTS_COLLECTION, segmentLookupsFor, userMatchesSegment, describeSegmentRules, serializeSegment } = require('./audienceSegments');
+const { LOCATIONS_COLLECTION, DEFAULT_LOCATION_ID, buildLocationList, normalizeLocation, locationIdOf, describeOrderNumberProblem, isMenuItemOfferedAt } = require('./locations');
+
+// Reservation seating capacity, business hours and closures per store
+const {
+  RESERVATION_CAPACITY_COLLECTION,
+  RESERVATION_SLOTS_COLLECTION,
+  normalizeReservationCapacity,
+  parseReservationTime,
+  formatSlotLabel,
+  reservationSlotId,
+  slotsForDate,
+  slotStart,
+  reservationStartsAt,
+  resolveReservationSlot,
+  slotAvailability,
+  describeAvailability,
+  nearestOpenSlots
+} = require('./reservationCapacity');
+
+// Waitlist for fully booked reservation slots, promoted as tables free up
+const {
+  RESERVATION_WAITLIST_COLLECTION,
+  ACTIVE_WAITLIST_STATUSES,
+  DEFAULT_WAITLIST_HOLD_MINUTES,
+  pickNextWaitlistEntry,
+  waitlistOfferExpiresAt,
+  serializeWaitlistEntry
+} = require('./reservationWaitlist');
+const WAITLIST_HOLD_MINUTES = parseInt(process.env.RESERVATION_WAITLIST_HOLD_MINUTES, 10) || DEFAULT_WAITLIST_HOLD_MINUTES;
+
+// Reservation reminders at configurable offsets before the table time
+const { parseReminderOffsets, sentReminderOffsets, dueReminder, describeReservationTiming } = require('./reservationReminders');
+const RESERVATION_REMINDER_OFFSETS = parseReminderOffsets(process.env.RESERVATION_REMINDER_OFFSETS);
+
+// Reservation status lifecycle, no-show policy and attendance points (config/reservationPolicy)
+const {
+  RESERVATION_POLICY_CONFIG_DOC,
+  ATTENDANCE_POINTS_TX_TYPE,
+  RESERVATION_STATUSES,
+  ACTIVE_RESERVATION_STATUSES,
+  normalizeReservationPolicy,
+  describeTransitionProblem,
+  buildStatusChange,
+  noShowStanding
+} = require('./reservationLifecycle');
+
+// iCalendar export of reservations and the admin calendar feed (config/reservationCalendarFeed)
+const {
+  RESERVATION_CALENDAR_FEED_CONFIG_DOC,
+  FEED_PAST_DAYS,
+  FEED_AHEAD_DAYS,
+  buildReservationEvent,
+  buildCalendar,
+  createFeedToken,
+  hashFeedToken,
+  feedTokenMatches
+} = require('./reservationCalendar');
+
+// Referral campaigns: per-campaign threshold, rewards and expiry (config/referralCampaigns)
+const {
+  REFERRAL_CAMPAIGNS_CONFIG_DOC,
+  REFERRAL_CAMPAIGN_PROGRESS_COLLECTION,
+  normalizeReferralCampaignsConfig,
+  standardReferralCampaign,
+  selectReferralCampaign,
+  buildReferralTerms,
+  referralTermsOf,
+  referralExpired,
+  referrerRewardDue,
+  buildReferralGift,
+  describeReferralReward
+} = require('./referralCampaigns');
+
+// Cached briefly so every receipt scan doesn't re-read the config doc
+const POINTS_EARNING_CONFIG_TTL_MS = 60 * 1000;
+let pointsEarningConfigCache = { value: null, fetchedAt: 0 };
+
+function invalidatePointsEarningConfigCache() {
+  pointsEarningConfigCache = { value: null, fetchedAt: 0 };
+}
+
+/**
+ * Load the points earning config, falling back to the built-in defaults if the
+ * doc is missing or unreadable (earning should never fail because of config).
+ * @param {Firestore} db - Firestore database instance
+ * @returns {Promise<Object>} Normalized config (see pointsRules.js)
+ */
+async function getPointsEarningConfig(db) {
+  const now = Date.now();
+  if (pointsEarningConfigCache.value && now - pointsEarningConfigCache.fetchedAt < POINTS_EARNING_CONFIG_TTL_MS) {
+    return pointsEarningConfigCache.value;
+  }
+  const overrides = { timeZone: process.env.STATS_TIMEZONE || 'America/Chicago' };
+  try {
+    const doc = await db.collection('config').doc(POINTS_EARNING_CONFIG_DOC).get();
+    const value = normalizePointsEarningConfig(doc.exists ? doc.data() : null, overrides);
+    pointsEarningConfigCache = { value, fetchedAt: now };
+    return value;
+  } catch (error) {
+    logger.warn('⚠️ Failed to load points earning config, using defaults:', error.message);
+    return pointsEarningConfigCache.value || normalizePointsEarningConfig(null, overrides);
+  }
+}
+
+const LOYALTY_TIERS_CONFIG_TTL_MS = 60 * 1000;
+let loyaltyTiersConfigCache = { value: null, fetchedAt: 0 };
+
+function invalidateLoyaltyTiersConfigCache() {
+  loyaltyTiersConfigCache = { value: null, fetchedAt: 0 };
+}
+
+/**
+ * Load the loyalty tier config (defaults if the doc is missing or unreadable)
+ * @param {Firestore} db - Firestore database instance
+ * @returns {Promise<Object>} Normalized config (see loyaltyTiers.js)
+ */
+async function getLoyaltyTiersConfig(db) {
+  const now = Date.now();
+  if (loyaltyTiersConfigCache.value && now - loyaltyTiersConfigCache.fetchedAt < LOYALTY_TIERS_CONFIG_TTL_MS) {
+    return loyaltyTiersConfigCache.value;
+  }
+  try {
+    const doc = await db.collection('config').doc(LOYALTY_TIERS_CONFIG_DOC).get();
+    const value = normalizeLoyaltyTiersConfig(doc.exists ? doc.data() : null);
+    loyaltyTiersConfigCache = { value, fetchedAt: now };
+    return value;
+  } catch (error) {
+    logger.warn('⚠️ Failed to load loyalty tier config, using defaults:', error.message);
+    return loyaltyTiersConfigCache.value || normalizeLoyaltyTiersConfig(null);
+  }
+}
+
+const REWARD_REDEMPTION_CONFIG_TTL_MS = 60 * 1000;
+let rewardRedemptionConfigCache = { value: null, fetchedAt: 0 };
+
+function invalidateRewardRedemptionConfigCache() {
+  rewardRedemptionConfigCache = { value: null, fetchedAt: 0 };
+}
+
+/**
+ * Load the redemption code settings (defaults if the doc is missing or unreadable)
+ * @param {Firestore} db - Firestore database instance
+ * @returns {Promise<Object>} Normalized config (see rewardRedemption.js)
+ */
+async function getRewardRedemptionConfig(db) {
+  const now = Date.now();
+  if (rewardRedemptionConfigCache.value && now - rewardRedemptionConfigCache.fetchedAt < REWARD_REDEMPTION_CONFIG_TTL_MS) {
+    return rewardRedemptionConfigCache.value;
+  }
+  try {
+    const doc = await db.collection('config').doc(REWARD_REDEMPTION_CONFIG_DOC).get();
+    const value = normalizeRewardRedemptionConfig(doc.exists ? doc.data() : null);
+    rewardRedemptionConfigCache = { value, fetchedAt: now };
+    return value;
+  } catch (error) {
+    logger.warn('⚠️ Failed to load reward redemption config, using defaults:', error.message);
+    return rewardRedemptionConfigCache.value || normalizeRewardRedemptionConfig(null);
+  }
+}
+
+const LOCATIONS_TTL_MS = 5 * 60 * 1000;
+let locationsCache = { value: null, fetchedAt: 0 };
+
+function invalidateLocationsCache() {
+  locationsCache = { value: null, fetchedAt: 0 };
+}
+
+/**
+ * Load all store locations (active and inactive). The default store is always
+ * present, so a deploy without any location docs behaves as a single store.
+ * @param {Firestore} db - Firestore database instance
+ * @returns {Promise<Object[]>} Normalized locations (see locations.js), default first
+ */
+async function getLocations(db) {
+  const now = Date.now();
+  if (locationsCache.value && now - locationsCache.fetchedAt < LOCATIONS_TTL_MS) {
+    return locationsCache.value;
+  }
+  const overrides = { timeZone: process.env.STATS_TIMEZONE || 'America/Chicago' };
+  try {
+    const snap = await db.collection(LOCATIONS_COLLECTION).get();
+    const value = buildLocationList(snap.docs.map(doc => ({ id: doc.id, data: doc.data() })), overrides);
+    locationsCache = { value, fetchedAt: now };
+    return value;
+  } catch (error) {
+    logger.warn('⚠️ Failed to load locations, using defaults:', error.message);
+    return locationsCache.value || buildLocationList([], overrides);
+  }
+}
+
+/**
+ * Resolve the location a request is for. Clients that predate locations send
+ * nothing and get the default store.
+ * @param {Firestore} db
+ * @param {*} rawLocationId - From the body/query/header
+ * @param {Object} [options]
+ * @param {boolean} [options.allowInactive=false] - Admin views may target closed stores
+ * @returns {Promise<Object|null>} Location, or null if unknown/inactive
+ */
+async function resolveLocation(db, rawLocationId, { allowInactive = false } = {}) {
+  const locationId = typeof rawLocationId === 'string' && rawLocationId.trim() ? rawLocationId.trim() : DEFAULT_LOCATION_ID;
+  const location = (await getLocations(db)).find(l => l.id === locationId);
+  if (!location || (!location.active && !allowInactive)) return null;
+  return location;
+}
 
 // OpenAI timeout helper - wraps API calls with 30-second timeout to prevent hanging requests
 const OPENAI_TIMEOUT_MS = 30000;
@@ -230,7 +503,19 @@ function validateEnvironment() {
   const warnings = [];
   
   // Required environment variables
-  if (!process.env.OPENAI_API_KEY) missing.push('OPENAI_API_KEY');
+  // OPENAI_API_KEY is only hard-required when receipts are extracted by OpenAI;
+  // the fixture / ocr_text providers let staging run the receipt pipeline without it.
+  if (!process.env.OPENAI_API_KEY) {
+    if (RECEIPT_EXTRACTION_PROVIDER === 'openai') {
+      missing.push('OPENAI_API_KEY');
+    } else {
+      warnings.push(`⚠️  OPENAI_API_KEY not set - receipts use the "${RECEIPT_EXTRACTION_PROVIDER}" provider; chat, combo and Dumpling Hero return 503 AI_NOT_CONFIGURED`);
+    }
+  }
+  // Fixture and OCR-text results are not verified against the image, so they must never award real points
+  if (RECEIPT_EXTRACTION_PROVIDER !== 'openai' && process.env.NODE_ENV === 'production' && process.env.RECEIPT_EXTRACTION_ALLOW_IN_PRODUCTION !== 'true') {
+    missing.push(`RECEIPT_EXTRACTION_ALLOW_IN_PRODUCTION (required for RECEIPT_EXTRACTION_PROVIDER=${RECEIPT_EXTRACTION_PROVIDER})`);
+  }
   if (!firebaseInitialized && !admin.apps.length) missing.push('FIREBASE_AUTH');
 
   // Recommended environment variables
@@ -734,7 +1019,7 @@ const generalPerIpLimiter = createRateLimiter({
 });
 
 // Create or get referral code
-app.post('/referrals/create', requireFirebaseAuth, referralPerUserLimiter, referralPerIpLimiter, async (req, res) => {
+app.post('/referrals/create', requireFirebaseAuth, referralPerUserLimiter, referralPerIpLimiter, validate(emptyBodySchema), async (req, res) => {
   try {
     // Check if Firebase is initialized
     if (!admin.apps.length) {
@@ -902,10 +1187,14 @@ app.post('/referrals/accept', requireFirebaseAuth, referralPerUserLimiter, refer
       }
     }
 
-    // Create referral document
-    // Set initial pointsTowards50 based on current user points (clamped to 0-50)
+    // Create referral document under the campaign running now; its terms are copied onto the doc
+    const acceptedAt = new Date();
+    const terms = buildReferralTerms(await currentReferralCampaign(db, acceptedAt), acceptedAt);
+
+    // Set initial pointsTowards50 based on current user points (clamped to 0-pointsThreshold;
+    // the field keeps its name from when the threshold was always 50)
     const currentUserPoints = userData.points || 0;
-    const initialPointsTowards50 = Math.max(0, Math.min(50, currentUserPoints));
+    const initialPointsTowards50 = Math.max(0, Math.min(terms.pointsThreshold, currentUserPoints));
     
     const referralRef = await db.collection('referrals').add({
       referrerUserId: referrerId,
@@ -915,6 +1204,8 @@ app.post('/referrals/accept', requireFirebaseAuth, referralPerUserLimiter, refer
       referredFirstName,
       status: 'pending',
       pointsTowards50: initialPointsTowards50, // Set initial progress
+      ...terms,
+      qualifyBy: terms.qualifyBy ? admin.firestore.Timestamp.fromDate(terms.qualifyBy) : null,
       createdAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
@@ -955,12 +1246,12 @@ app.post('/referrals/accept', requireFirebaseAuth, referralPerUserLimiter, refer
     }
 
     // Check if user already has enough points for immediate award
-    if (currentUserPoints >= 50) {
+    if (currentUserPoints >= terms.pointsThreshold) {
       logger.info(`✅ User ${uid} already has ${currentUserPoints} points, awarding referral bonus immediately`);
       // Award points immediately using the shared helper function
       const awardResult = await awardReferralPoints(db, referralRef.id, referrerId, uid);
       if (awardResult.success) {
-        logger.info(`🎉 Referral ${referralRef.id} awarded immediately! Referrer: +${awardResult.referrerNewPoints !== null ? 50 : 0}, Referred: +50`);
+        logger.info(`🎉 Referral ${referralRef.id} awarded immediately! Referrer: +${awardResult.referrerBonus}, Referred: +${awardResult.referredBonus}`);
       } else {
         logger.warn(`⚠️ Failed to award referral immediately: ${awardResult.error}`);
         // Don't fail the accept request - the award-check endpoint will handle it later
@@ -1055,7 +1346,11 @@ app.post('/referrals/accept', requireFirebaseAuth, referralPerUserLimiter, refer
       referrerUserId: referrerId,
       referralId: referralRef.id,
       referrerFirstName,
-      referredFirstName
+      referredFirstName,
+      campaignId: terms.campaignId,
+      campaignName: terms.campaignName,
+      pointsThreshold: terms.pointsThreshold,
+      qualifyBy: terms.qualifyBy ? terms.qualifyBy.toISOString() : null
     });
   } catch (error) {
     logger.error('Error accepting referral:', error);
@@ -1069,6 +1364,7 @@ app.get('/referrals/mine', requireFirebaseAuth, generalPerUserLimiter, generalPe
     const uid = req.auth.uid;
 
     const db = admin.firestore();
+    const { referralBonusPoints } = await getPointsEarningConfig(db);
     
     // Get outbound (people I referred)
     const outboundSnap = await db.collection('referrals').where('referrerUserId', '==', uid).get();
@@ -1078,16 +1374,19 @@ app.get('/referrals/mine', requireFirebaseAuth, generalPerUserLimiter, generalPe
       const data = doc.data();
       // Use denormalized name from referral doc (avoids cross-user reads)
       const referredName = data.referredFirstName || 'Friend';
+      const terms = referralTermsOf(data, referralBonusPoints);
       // Read pointsTowards50 from referral doc (maintained by Cloud Function)
       const pointsTowards50 = typeof data.pointsTowards50 === 'number' 
-        ? Math.max(0, Math.min(50, data.pointsTowards50))
+        ? Math.max(0, Math.min(terms.pointsThreshold, data.pointsTowards50))
         : 0;
       
       outbound.push({
         referralId: doc.id,
         referredName: referredName,
         status: data.status || 'pending',
-        pointsTowards50: pointsTowards50
+        pointsTowards50: pointsTowards50,
+        pointsThreshold: terms.pointsThreshold,
+        campaignName: terms.campaignName
       });
     }
 
@@ -1100,17 +1399,21 @@ app.get('/referrals/mine', requireFirebaseAuth, generalPerUserLimiter, generalPe
       const data = doc.data();
       // Use denormalized name from referral doc (avoids cross-user reads)
       const referrerName = data.referrerFirstName || 'Friend';
+      const terms = referralTermsOf(data, referralBonusPoints);
       // Read pointsTowards50 from referral doc (maintained by Cloud Function)
       // For inbound, this represents the current user's own progress
       const pointsTowards50 = typeof data.pointsTowards50 === 'number' 
-        ? Math.max(0, Math.min(50, data.pointsTowards50))
+        ? Math.max(0, Math.min(terms.pointsThreshold, data.pointsTowards50))
         : 0;
       
       inbound = {
         referralId: doc.id,
         referrerName: referrerName,
         status: data.status || 'pending',
-        pointsTowards50: pointsTowards50
+        pointsTowards50: pointsTowards50,
+        pointsThreshold: terms.pointsThreshold,
+        campaignName: terms.campaignName,
+        qualifyBy: terms.qualifyBy ? terms.qualifyBy.toISOString() : null
       };
     }
 
@@ -1125,70 +1428,414 @@ app.get('/referrals/mine', requireFirebaseAuth, generalPerUserLimiter, generalPe
 });
 
 // ---------------------------------------------------------------------------
-// Referral Award System - Push Notification Helper
+// Menu Catalog + Receipt Item Popularity (cached)
 // ---------------------------------------------------------------------------
 
+const MENU_CATALOG_TTL_MS = 10 * 60 * 1000;
+let menuCatalogCache = { value: null, fetchedAt: 0 };
+
+/**
+ * Flattened menu/{categoryId}/items catalog, cached for matching receipt line items
+ * @param {Firestore} db - Firestore database instance
+ * @returns {Promise<Array<{menuItemId: string, categoryId: string, name: string, price: number, locationIds: string[]}>>}
+ */
+async function getMenuCatalog(db) {
+  const now = Date.now();
+  if (menuCatalogCache.value && now - menuCatalogCache.fetchedAt < MENU_CATALOG_TTL_MS) {
+    return menuCatalogCache.value;
+  }
+  const categoriesSnapshot = await db.collection('menu').get();
+  const itemSnapshots = await Promise.all(
+    categoriesSnapshot.docs.map(categoryDoc => categoryDoc.ref.collection('items').get())
+  );
+  const items = [];
+  itemSnapshots.forEach((itemsSnapshot, i) => {
+    const categoryId = categoriesSnapshot.docs[i].id;
+    for (const itemDoc of itemsSnapshot.docs) {
+      const itemData = itemDoc.data() || {};
+      items.push({
+        menuItemId: itemDoc.id,
+        categoryId,
+        name: itemData.id || itemDoc.id,
+        price: typeof itemData.price === 'number' ? itemData.price : parseFloat(itemData.price) || 0,
+        locationIds: Array.isArray(itemData.locationIds) ? itemData.locationIds : []
+      });
+    }
+  });
+  menuCatalogCache = { value: items, fetchedAt: now };
+  return items;
+}
+
+const REWARD_SELECTION_CATALOG_TTL_MS = 60 * 1000;
+let rewardSelectionCatalogCache = { value: null, fetchedAt: 0 };
+
 /**
- * Send a push notification to a single FCM token.
- * Returns { success: boolean, error?: string }
+ * Menu items and toppings used to check reward selections (see rewardSelections.js).
+ * Cached briefly so items marked unavailable stop being redeemable within a minute.
+ * @param {Firestore} db - Firestore database instance
+ * @returns {Promise<{menuItems: Map, toppings: Map}>}
  */
-async function sendPushNotificationToToken(fcmToken, title, body, data = {}) {
-  if (!fcmToken || typeof fcmToken !== 'string' || fcmToken.length === 0) {
-    return { success: false, error: 'Invalid or missing FCM token' };
+async function getRewardSelectionCatalog(db) {
+  const now = Date.now();
+  if (rewardSelectionCatalogCache.value && now - rewardSelectionCatalogCache.fetchedAt < REWARD_SELECTION_CATALOG_TTL_MS) {
+    return rewardSelectionCatalogCache.value;
   }
+  const [categoriesSnapshot, drinkToppingsSnapshot, drinkOptionsSnapshot] = await Promise.all([
+    db.collection('menu').get(),
+    db.collection('drinkToppings').get(),
+    db.collection('drinkOptions').get()
+  ]);
+  const itemSnapshots = await Promise.all(
+    categoriesSnapshot.docs.map(categoryDoc => categoryDoc.ref.collection('items').get())
+  );
+  const toEntries = snapshot => snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() || {} }));
+  const catalog = buildSelectionCatalog({
+    menuCategories: categoriesSnapshot.docs.map((categoryDoc, i) => ({
+      id: categoryDoc.id,
+      data: categoryDoc.data() || {},
+      items: toEntries(itemSnapshots[i])
+    })),
+    drinkToppings: toEntries(drinkToppingsSnapshot),
+    drinkOptions: toEntries(drinkOptionsSnapshot)
+  });
+  rewardSelectionCatalogCache = { value: catalog, fetchedAt: now };
+  return catalog;
+}
+
+/**
+ * All rewardTierItems docs by id. The collection is a handful of docs, so it's read
+ * fresh on every redemption and admin price changes apply immediately.
+ * @param {Firestore} db - Firestore database instance
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getRewardTiersById(db) {
+  const snapshot = await db.collection('rewardTierItems').get();
+  return new Map(snapshot.docs.map(doc => [doc.id, doc.data() || {}]));
+}
+
+const POPULAR_RECEIPT_ITEMS_TTL_MS = 6 * 60 * 60 * 1000;
+let popularReceiptItemsCache = { value: null, fetchedAt: 0 };
 
+/**
+ * Most-ordered menu items from the last 30 days of receipts with line items.
+ * Best-effort: returns [] when line items aren't collected or the query fails.
+ * @param {Firestore} db - Firestore database instance
+ * @returns {Promise<Array<{name: string, categoryId: string, quantity: number}>>}
+ */
+async function getPopularReceiptItems(db) {
+  const now = Date.now();
+  if (popularReceiptItemsCache.value && now - popularReceiptItemsCache.fetchedAt < POPULAR_RECEIPT_ITEMS_TTL_MS) {
+    return popularReceiptItemsCache.value;
+  }
   try {
-    // Use Firebase Admin SDK messaging method (handles auth automatically)
-    const message = {
-      token: fcmToken,
-      notification: {
-        title: title,
-        body: body
-      },
-      data: {
-        ...data,
-        timestamp: new Date().toISOString()
-      },
-      apns: {
-        payload: {
-          aps: {
-            alert: { title, body },
-            sound: 'default',
-            mutableContent: true
-          }
+    const since = new Date(now - 30 * 24 * 60 * 60 * 1000);
+    const snap = await db.collection('receipts')
+      .where('createdAt', '>=', since)
+      .orderBy('createdAt', 'desc')
+      .limit(1000)
+      .select('userId', 'orderTotal', 'lineItems')
+      .get();
+    const stats = aggregateReceiptItemStats(snap.docs.map(doc => doc.data()), { topN: 10, pairAnchors: 0 });
+    const value = stats.topItems
+      .filter(item => item.matched)
+      .map(item => ({ name: item.name, categoryId: item.categoryId, quantity: item.quantity }));
+    popularReceiptItemsCache = { value, fetchedAt: now };
+    return value;
+  } catch (error) {
+    logger.warn('⚠️ Failed to load popular receipt items:', error.message);
+    return popularReceiptItemsCache.value || [];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Push Notifications - device registry fan-out (see pushDevices.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * FCM message body shared by all pushes (add `token` or `tokens` to send)
+ */
+function buildPushMessage(title, body, data = {}) {
+  return {
+    notification: {
+      title: title,
+      body: body
+    },
+    data: {
+      ...data,
+      timestamp: new Date().toISOString()
+    },
+    apns: {
+      payload: {
+        aps: {
+          alert: { title, body },
+          sound: 'default',
+          mutableContent: true
         }
       }
-    };
+    }
+  };
+}
+
+/**
+ * A user's push targets: their registered devices, plus the legacy users.fcmToken when
+ * no device has it (apps from before the device registry).
+ * @param {Object} [userData] - The user's document data, when already loaded
+ * @returns {Promise<Array<{userId: string, deviceId: string|null, token: string}>>}
+ */
+async function getUserPushTargets(db, userId, userData = null) {
+  const [devicesSnap, legacyToken] = await Promise.all([
+    db.collection('users').doc(userId).collection(DEVICES_SUBCOLLECTION).get(),
+    userData
+      ? Promise.resolve(userData.fcmToken)
+      : db.collection('users').doc(userId).get().then(doc => (doc.exists ? doc.get('fcmToken') : null))
+  ]);
+  const targets = devicesSnap.docs
+    .filter(doc => typeof doc.get('token') === 'string' && doc.get('token'))
+    .map(doc => ({ userId, deviceId: doc.id, token: doc.get('token') }));
+  if (typeof legacyToken === 'string' && legacyToken && !targets.some(t => t.token === legacyToken)) {
+    targets.push({ userId, deviceId: null, token: legacyToken });
+  }
+  return targets;
+}
+
+/**
+ * Push targets for many users at once (30 users per devices query)
+ * @param {Array<{id: string, data: Object}>} users
+ * @returns {Promise<Map<string, Array<{userId, deviceId, token}>>>} userId -> targets
+ */
+async function getPushTargetsForUsers(db, users) {
+  const targetsByUser = new Map(users.map(user => [user.id, []]));
+  const chunkSize = 30;
+  for (let i = 0; i < users.length; i += chunkSize) {
+    const chunkIds = users.slice(i, i + chunkSize).map(user => user.id);
+    const devicesSnap = await db.collectionGroup(DEVICES_SUBCOLLECTION).where('userId', 'in', chunkIds).get();
+    for (const doc of devicesSnap.docs) {
+      const token = doc.get('token');
+      const targets = targetsByUser.get(doc.get('userId'));
+      if (targets && typeof token === 'string' && token) {
+        targets.push({ userId: doc.get('userId'), deviceId: doc.id, token });
+      }
+    }
+  }
+  for (const user of users) {
+    const legacyToken = user.data?.fcmToken;
+    const targets = targetsByUser.get(user.id);
+    if (typeof legacyToken === 'string' && legacyToken && !targets.some(t => t.token === legacyToken)) {
+      targets.push({ userId: user.id, deviceId: null, token: legacyToken });
+    }
+  }
+  return targetsByUser;
+}
+
+/**
+ * Point users.fcmToken / hasFcmToken at the most recently seen remaining device after
+ * tokens were removed. Leaves a legacy token alone unless it was one of the removed ones.
+ * @param {string[]} removedTokens
+ */
+async function syncUserFcmMirror(db, userId, removedTokens) {
+  const userRef = db.collection('users').doc(userId);
+  const [userDoc, latestSnap] = await Promise.all([
+    userRef.get(),
+    userRef.collection(DEVICES_SUBCOLLECTION).orderBy('lastSeenAt', 'desc').limit(1).get()
+  ]);
+  if (!userDoc.exists) return;
+  const currentToken = userDoc.get('fcmToken');
+  if (currentToken && !removedTokens.includes(currentToken)) return;
+
+  if (!latestSnap.empty) {
+    await userRef.update({ fcmToken: latestSnap.docs[0].get('token'), hasFcmToken: true });
+  } else {
+    await userRef.update({ fcmToken: admin.firestore.FieldValue.delete(), hasFcmToken: false });
+  }
+}
+
+/**
+ * Remove tokens FCM reported as unregistered. Never throws.
+ * @param {Array<{userId, deviceId, token}>} staleTargets
+ */
+async function pruneStalePushTargets(db, staleTargets) {
+  const byUser = new Map();
+  for (const target of staleTargets) {
+    if (!byUser.has(target.userId)) byUser.set(target.userId, []);
+    byUser.get(target.userId).push(target);
+  }
+  for (const [userId, targets] of byUser) {
+    try {
+      const devicesRef = db.collection('users').doc(userId).collection(DEVICES_SUBCOLLECTION);
+      await Promise.all(targets.filter(t => t.deviceId).map(t => devicesRef.doc(t.deviceId).delete()));
+      await syncUserFcmMirror(db, userId, targets.map(t => t.token));
+    } catch (pruneError) {
+      logger.warn(`⚠️ Failed to prune push tokens for ${userId}:`, pruneError.message);
+    }
+  }
+  logger.info(`🧹 Pruned ${staleTargets.length} unregistered push tokens (${byUser.size} users)`);
+}
+
+/**
+ * Send one message to many devices (FCM allows 500 tokens per call), pruning tokens FCM
+ * reports as unregistered. Never throws.
+ * @param {Array<{userId, deviceId, token}>} targets
+ * @param {Object} message - From buildPushMessage
+ * @returns {Promise<{successCount: number, failureCount: number, invalidTokenCount: number, deliveredUserCount: number}>}
+ *   Counts are per device except deliveredUserCount (users with at least one device reached)
+ */
+async function sendPushToTargets(db, targets, message) {
+  let successCount = 0;
+  let failureCount = 0;
+  const staleTargets = [];
+  const deliveredUserIds = new Set();
+
+  const fcmBatchSize = 500;
+  for (let i = 0; i < targets.length; i += fcmBatchSize) {
+    const batchTargets = targets.slice(i, i + fcmBatchSize);
+    try {
+      const response = await admin.messaging().sendEachForMulticast({
+        ...message,
+        tokens: batchTargets.map(t => t.token)
+      });
+      successCount += response.successCount;
+      failureCount += response.failureCount;
+
+      response.responses.forEach((resp, idx) => {
+        if (resp.success) {
+          deliveredUserIds.add(batchTargets[idx].userId);
+          return;
+        }
+        if (isPrunableTokenError(resp.error)) {
+          staleTargets.push(batchTargets[idx]);
+          return;
+        }
+        logger.warn(`FCM send failed for token index ${i + idx}:`, {
+          code: resp.error?.code,
+          message: resp.error?.message
+        });
+      });
+    } catch (fcmError) {
+      logger.error('❌ FCM batch send error:', fcmError);
+      failureCount += batchTargets.length;
+    }
+  }
+
+  if (staleTargets.length > 0) {
+    await pruneStalePushTargets(db, staleTargets);
+  }
+  return { successCount, failureCount, invalidTokenCount: staleTargets.length, deliveredUserCount: deliveredUserIds.size };
+}
 
-    const response = await admin.messaging().send(message);
-    logger.info(`✅ FCM push sent successfully:`, response);
-    return { success: true };
+/**
+ * Push to every device a user has registered (no preference checks; see sendUserPush).
+ * @param {Object} [userData] - The user's document data, when already loaded
+ * @returns {Promise<{success: boolean, successCount?: number, failureCount?: number, invalidTokenCount?: number, error?: string}>}
+ */
+async function sendPushToUserDevices(db, userId, title, body, data = {}, userData = null) {
+  try {
+    const targets = await getUserPushTargets(db, userId, userData);
+    if (targets.length === 0) {
+      return { success: false, error: 'No registered devices' };
+    }
+    const result = await sendPushToTargets(db, targets, buildPushMessage(title, body, data));
+    return { success: result.successCount > 0, ...result };
   } catch (error) {
     logger.warn(`❌ FCM push failed:`, error.message || error);
     return { success: false, error: error.message || 'Unknown error' };
   }
 }
 
+/**
+ * Queue pushes that landed in users' quiet hours; POST /cron/deferred-pushes sends them.
+ * @param {Array<{userId, title, body, data?, category?, deliverAt: Date}>} pushes
+ */
+async function deferUserPushes(db, pushes) {
+  const batchSize = 450;
+  for (let i = 0; i < pushes.length; i += batchSize) {
+    const batch = db.batch();
+    for (const push of pushes.slice(i, i + batchSize)) {
+      batch.set(db.collection(DEFERRED_PUSHES_COLLECTION).doc(), {
+        userId: push.userId,
+        title: push.title,
+        body: push.body,
+        data: push.data || {},
+        category: push.category || null,
+        deliverAt: admin.firestore.Timestamp.fromDate(push.deliverAt),
+        status: 'pending',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    await batch.commit();
+  }
+}
+
+/**
+ * Push to one user, honoring their notification preferences (see notificationPreferences.js):
+ * skipped if they turned the category off, deferred during their quiet hours.
+ * @param {Object} push - { title, body, data?, category?: string|null }
+ * @param {Object} [userData] - The user's document data, when already loaded
+ * @returns {Promise<{success: boolean, skipped?: string, deferredUntil?: Date, error?: string}>}
+ */
+async function sendUserPush(db, userId, { title, body, data = {}, category = null }, userData = null) {
+  let user = userData;
+  if (!user) {
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists) return { success: false, error: 'User not found' };
+    user = userDoc.data() || {};
+  }
+
+  const decision = evaluatePushDelivery(user, category, new Date(), process.env.STATS_TIMEZONE || 'America/Chicago');
+  if (decision.action === 'skip') {
+    return { success: false, skipped: decision.reason };
+  }
+  if (decision.action === 'defer') {
+    await deferUserPushes(db, [{ userId, title, body, data, category, deliverAt: decision.deliverAt }]);
+    return { success: false, deferredUntil: decision.deliverAt };
+  }
+  return sendPushToUserDevices(db, userId, title, body, data, user);
+}
+
 // ---------------------------------------------------------------------------
 // Referral Award Check Endpoint
 // ---------------------------------------------------------------------------
 
 /**
- * Helper function to award referral points to both referrer and referred user.
+ * The campaign a referral accepted now falls under; the standard terms if the campaigns
+ * config can't be read (accepting a referral should never fail because of config).
+ * @param {Firestore} db - Firestore database instance
+ * @param {Date} now
+ * @returns {Promise<Object>} Normalized campaign (see referralCampaigns.js)
+ */
+async function currentReferralCampaign(db, now) {
+  const { referralBonusPoints } = await getPointsEarningConfig(db);
+  try {
+    const doc = await db.collection('config').doc(REFERRAL_CAMPAIGNS_CONFIG_DOC).get();
+    const config = normalizeReferralCampaignsConfig(doc.exists ? doc.data() : null);
+    return selectReferralCampaign(config, { now, bonusPoints: referralBonusPoints });
+  } catch (error) {
+    logger.warn('⚠️ Failed to load referral campaigns, using standard terms:', error.message || error);
+    return standardReferralCampaign(referralBonusPoints);
+  }
+}
+
+/**
+ * Helper function to give the referrer and the referred user their referral rewards, on the
+ * terms of the campaign the referral was accepted under (points or a gift).
  * This is used by both /referrals/award-check and /referrals/accept endpoints.
  * 
+ * The referrer is only rewarded for every referrerGoal-th friend who qualifies under the
+ * campaign; the others just count towards it.
+ * 
  * @param {Firestore} db - Firestore database instance
  * @param {string} referralId - The referral document ID
  * @param {string} referrerId - The referrer's user ID
  * @param {string} referredUserId - The referred user's ID
- * @returns {Promise<{success: boolean, referrerNewPoints: number|null, referredNewPoints: number, error?: string}>}
+ * @returns {Promise<{success: boolean, campaignId: string, referrerBonus: number, referredBonus: number, referrerNewPoints: number|null, referredNewPoints: number, error?: string}>}
+ *   referrerBonus / referredBonus are points given (0 for a gift, or when the referrer's goal isn't reached yet)
  */
 async function awardReferralPoints(db, referralId, referrerId, referredUserId) {
-  const REFERRAL_BONUS = 50;
+  const { referralBonusPoints } = await getPointsEarningConfig(db);
   
   try {
     // Get the referral document
-    const referralDoc = await db.collection('referrals').doc(referralId).get();
+    const referralRef = db.collection('referrals').doc(referralId);
+    const referralDoc = await referralRef.get();
     if (!referralDoc.exists) {
       return { success: false, error: 'Referral not found' };
     }
@@ -1199,10 +1846,26 @@ async function awardReferralPoints(db, referralId, referrerId, referredUserId) {
     if (referralData.status === 'awarded') {
       return { success: false, error: 'ALREADY_AWARDED' };
     }
-    // Tombstoned (cancelled); do not award
+    // Tombstoned (cancelled) or out of time; do not award
     if (referralData.status === 'cancelled') {
       return { success: false, error: 'REFERRAL_CANCELLED' };
     }
+    if (referralData.status === 'expired') {
+      return { success: false, error: 'REFERRAL_EXPIRED' };
+    }
+    
+    const terms = referralTermsOf(referralData, referralBonusPoints);
+    const now = new Date();
+    
+    // The friend had until qualifyBy to reach the threshold
+    if (referralExpired(terms, now)) {
+      await referralRef.update({
+        status: 'expired',
+        expiredAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      logger.info(`⌛ Referral ${referralId} expired (${terms.campaignId} had to qualify by ${terms.qualifyBy.toISOString()})`);
+      return { success: false, error: 'REFERRAL_EXPIRED' };
+    }
     
     // Get the referred user's current points
     const referredUserRef = db.collection('users').doc(referredUserId);
@@ -1215,16 +1878,17 @@ async function awardReferralPoints(db, referralId, referrerId, referredUserId) {
     const referredUserData = referredUserDoc.data();
     const referredUserPoints = referredUserData.points || 0;
     
-    // Check if referred user has reached the 50-point threshold
-    if (referredUserPoints < 50) {
+    // Check if referred user has reached the campaign's threshold
+    if (referredUserPoints < terms.pointsThreshold) {
       return { 
         success: false, 
         error: 'THRESHOLD_NOT_MET',
-        currentPoints: referredUserPoints
+        currentPoints: referredUserPoints,
+        requiredPoints: terms.pointsThreshold
       };
     }
     
-    logger.info(`✅ User ${referredUserId} has ${referredUserPoints} points, eligible for referral bonus!`);
+    logger.info(`✅ User ${referredUserId} has ${referredUserPoints} points, eligible for referral bonus (${terms.campaignId})!`);
     
     // Get the referrer's document
     const referrerUserRef = db.collection('users').doc(referrerId);
@@ -1236,6 +1900,11 @@ async function awardReferralPoints(db, referralId, referrerId, referredUserId) {
     
     const referrerUserData = referrerUserDoc.exists ? referrerUserDoc.data() : null;
     
+    // Referrers working towards a multi-friend goal have a running count per campaign
+    const progressRef = referrerUserDoc.exists && terms.referrerGoal > 1
+      ? db.collection(REFERRAL_CAMPAIGN_PROGRESS_COLLECTION).doc(`${terms.campaignId}_${referrerId}`)
+      : null;
+    
     // Use a transaction to award points atomically
     let referrerNewPoints = null;
     let referredNewPoints = null;
@@ -1243,12 +1912,15 @@ async function awardReferralPoints(db, referralId, referrerId, referredUserId) {
     let referredFcmToken = null;
     let referrerName = 'Friend';
     let referredName = 'Friend';
+    let referrerGrant = null; // { bonus, text } once the referrer earned something
+    let referredGrant = null;
+    let referrerQualifiedCount = null;
     
     await db.runTransaction(async (tx) => {
       // STEP 1: All reads must happen first (Firestore transaction requirement)
       
       // Re-fetch the referral doc inside the transaction to ensure consistency
-      const txReferralDoc = await tx.get(db.collection('referrals').doc(referralId));
+      const txReferralDoc = await tx.get(referralRef);
       if (txReferralDoc.data().status === 'awarded') {
         throw new Error('ALREADY_AWARDED');
       }
@@ -1259,163 +1931,195 @@ async function awardReferralPoints(db, referralId, referrerId, referredUserId) {
         throw new Error('Referred user not found');
       }
       const txReferredData = txReferredUserDoc.data() || {};
-      const currentReferredPoints = txReferredData.points || 0;
-      const currentReferredLifetime = (typeof txReferredData.lifetimePoints === 'number') 
-        ? txReferredData.lifetimePoints 
-        : currentReferredPoints;
       referredFcmToken = txReferredData.fcmToken || null;
       referredName = txReferredData.firstName || 'Friend';
       
       // Re-fetch referrer user document inside transaction (BEFORE any writes)
-      let txReferrerUserDoc = null;
       let txReferrerData = null;
-      let referrerNewLifetime = null;
       if (referrerUserDoc.exists) {
-        txReferrerUserDoc = await tx.get(referrerUserRef);
+        const txReferrerUserDoc = await tx.get(referrerUserRef);
         if (txReferrerUserDoc.exists) {
           txReferrerData = txReferrerUserDoc.data() || {};
-          const currentReferrerPoints = txReferrerData.points || 0;
-          const currentReferrerLifetime = (typeof txReferrerData.lifetimePoints === 'number')
-            ? txReferrerData.lifetimePoints
-            : currentReferrerPoints;
           referrerFcmToken = txReferrerData.fcmToken || null;
           referrerName = txReferrerData.firstName || 'Friend';
-          
-          referrerNewPoints = currentReferrerPoints + REFERRAL_BONUS;
-          referrerNewLifetime = currentReferrerLifetime + REFERRAL_BONUS;
         }
       }
       
-      // STEP 2: Now do all writes (after all reads are complete)
-      
-      // Award +50 to referred user
-      referredNewPoints = currentReferredPoints + REFERRAL_BONUS;
-      const referredNewLifetime = currentReferredLifetime + REFERRAL_BONUS;
+      let referrerRewardEarned = Boolean(txReferrerData);
+      if (txReferrerData && progressRef) {
+        const progressDoc = await tx.get(progressRef);
+        referrerQualifiedCount = (progressDoc.exists ? progressDoc.data().qualifiedCount || 0 : 0) + 1;
+        referrerRewardEarned = referrerRewardDue(referrerQualifiedCount, terms.referrerGoal);
+      }
       
-      tx.update(referredUserRef, {
-        points: referredNewPoints,
-        lifetimePoints: referredNewLifetime
-      });
+      // STEP 2: Now do all writes (after all reads are complete)
       
-      // Create points transaction for referred user
-      const referredTxId = `referral_referred_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      tx.set(db.collection('pointsTransactions').doc(referredTxId), {
-        userId: referredUserId,
-        type: 'referral',
-        amount: REFERRAL_BONUS,
-        description: 'Referral bonus - reached 50 points!',
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        metadata: {
-          referralId: referralId,
-          role: 'referred'
+      const grant = (reward, { userId, userRef, userData, role, description }) => {
+        if (reward.type === 'gift') {
+          const gift = buildReferralGift(reward, {
+            userId,
+            referralId,
+            role,
+            campaignId: terms.campaignId,
+            now
+          });
+          tx.set(db.collection('giftedRewards').doc(`referral_${referralId}_${role}`), {
+            ...gift,
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            expiresAt: gift.expiresAt ? admin.firestore.Timestamp.fromDate(gift.expiresAt) : null
+          });
+          return { bonus: 0, newPoints: userData.points || 0, text: describeReferralReward(reward) };
         }
-      });
-      
-      // Award +50 to referrer if they exist
-      if (txReferrerUserDoc && txReferrerUserDoc.exists && txReferrerData) {
-        tx.update(referrerUserRef, {
-          points: referrerNewPoints,
-          lifetimePoints: referrerNewLifetime
-        });
         
-        // Create points transaction for referrer
-        const referrerTxId = `referral_referrer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        tx.set(db.collection('pointsTransactions').doc(referrerTxId), {
-          userId: referrerId,
+        const bonus = reward.points;
+        const currentPoints = userData.points || 0;
+        if (bonus <= 0) {
+          return { bonus: 0, newPoints: currentPoints, text: null };
+        }
+        const balances = applyPointsDelta(
+          {
+            points: currentPoints,
+            lifetimePoints: typeof userData.lifetimePoints === 'number' ? userData.lifetimePoints : currentPoints
+          },
+          bonus,
+          { affectsLifetime: true }
+        );
+        tx.update(userRef, balances);
+        
+        tx.set(db.collection('pointsTransactions').doc(`referral_${referralId}_${role}`), {
+          userId,
           type: 'referral',
-          amount: REFERRAL_BONUS,
-          description: `Referral bonus - ${referredName} reached 50 points!`,
+          amount: bonus,
+          description,
           timestamp: admin.firestore.FieldValue.serverTimestamp(),
           metadata: {
             referralId: referralId,
-            role: 'referrer',
-            referredUserId: referredUserId
+            role,
+            campaignId: terms.campaignId,
+            ...(role === 'referrer' && { referredUserId })
           }
         });
+        return { bonus, newPoints: balances.points, text: describeReferralReward({ type: 'points', points: bonus }) };
+      };
+      
+      referredGrant = grant(terms.refereeReward, {
+        userId: referredUserId,
+        userRef: referredUserRef,
+        userData: txReferredData,
+        role: 'referred',
+        description: `Referral bonus - reached ${terms.pointsThreshold} points!`
+      });
+      referredNewPoints = referredGrant.newPoints;
+      
+      if (txReferrerData) {
+        referrerNewPoints = txReferrerData.points || 0;
+        if (referrerRewardEarned) {
+          referrerGrant = grant(terms.referrerReward, {
+            userId: referrerId,
+            userRef: referrerUserRef,
+            userData: txReferrerData,
+            role: 'referrer',
+            description: terms.referrerGoal > 1
+              ? `Referral bonus - ${terms.referrerGoal} friends reached ${terms.pointsThreshold} points!`
+              : `Referral bonus - ${referredName} reached ${terms.pointsThreshold} points!`
+          });
+          referrerNewPoints = referrerGrant.newPoints;
+        }
       }
       
-      // Update referral status to 'awarded' and set progress to 50
-      tx.update(db.collection('referrals').doc(referralId), {
+      if (progressRef && referrerQualifiedCount !== null) {
+        tx.set(progressRef, {
+          campaignId: terms.campaignId,
+          referrerUserId: referrerId,
+          qualifiedCount: referrerQualifiedCount,
+          referralIds: admin.firestore.FieldValue.arrayUnion(referralId),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+      }
+      
+      // Update referral status to 'awarded' and set progress to the threshold
+      tx.update(referralRef, {
         status: 'awarded',
         awardedAt: admin.firestore.FieldValue.serverTimestamp(),
-        pointsTowards50: 50 // Set to 50 when awarded
+        pointsTowards50: terms.pointsThreshold,
+        referrerRewarded: referrerGrant !== null
       });
     });
     
-    logger.info(`🎉 Referral ${referralId} awarded! Referrer: +${referrerNewPoints !== null ? REFERRAL_BONUS : 0}, Referred: +${REFERRAL_BONUS}`);
+    const referrerBonus = referrerGrant ? referrerGrant.bonus : 0;
+    const referredBonus = referredGrant.bonus;
+    logger.info(`🎉 Referral ${referralId} awarded (${terms.campaignId})! Referrer: +${referrerBonus}, Referred: +${referredBonus}`);
     
-    // Create Firestore notification documents for both users
-    const notificationPromises = [];
-    
-    // Create notification for referrer
-    if (referrerId) {
-      const referrerNotifRef = db.collection('notifications').doc();
-      notificationPromises.push(
-        referrerNotifRef.set({
+    // What each side is told
+    const messages = [];
+    if (referrerId && referrerNewPoints !== null) {
+      if (referrerGrant?.text) {
+        messages.push({
           userId: referrerId,
+          token: referrerFcmToken,
+          role: 'referrer',
+          type: 'referral_awarded',
           title: 'Referral Bonus Awarded! 🎉',
-          body: `${referredName} reached 50 points! You earned +${REFERRAL_BONUS} bonus points.`,
-          type: 'referral',
-          read: false,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          metadata: {
-            referralId: referralId,
-            role: 'referrer'
-          }
-        })
-      );
+          body: terms.referrerGoal > 1
+            ? `${referredName} reached ${terms.pointsThreshold} points - that's ${terms.referrerGoal} friends! You earned ${referrerGrant.text}.`
+            : `${referredName} reached ${terms.pointsThreshold} points! You earned ${referrerGrant.text}.`
+        });
+      } else if (!referrerGrant && referrerQualifiedCount !== null) {
+        const towardsNext = referrerQualifiedCount % terms.referrerGoal;
+        messages.push({
+          userId: referrerId,
+          token: referrerFcmToken,
+          role: 'referrer',
+          type: 'referral_progress',
+          title: 'Referral Progress',
+          body: `${referredName} reached ${terms.pointsThreshold} points! ${towardsNext} of ${terms.referrerGoal} friends towards your next referral reward.`
+        });
+      }
     }
-    
-    // Create notification for referred user
-    const referredNotifRef = db.collection('notifications').doc();
-    notificationPromises.push(
-      referredNotifRef.set({
+    if (referredGrant.text) {
+      messages.push({
         userId: referredUserId,
+        token: referredFcmToken,
+        role: 'referred',
+        type: 'referral_awarded',
         title: 'Referral Bonus Awarded! 🎉',
-        body: `You reached 50 points! You and ${referrerName} each earned +${REFERRAL_BONUS} bonus points.`,
+        body: `You reached ${terms.pointsThreshold} points! You earned ${referredGrant.text} for joining through ${referrerName}.`
+      });
+    }
+    
+    // Create Firestore notification documents for both users
+    const notificationPromises = messages.map(message =>
+      db.collection('notifications').doc().set({
+        userId: message.userId,
+        title: message.title,
+        body: message.body,
         type: 'referral',
         read: false,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         metadata: {
           referralId: referralId,
-          role: 'referred'
+          role: message.role
         }
       })
     );
     
     // Send push notifications to both users (fire-and-forget, don't block response)
     const pushPromises = [];
-    
-    // Push to referrer
-    if (referrerFcmToken) {
-      pushPromises.push(
-        sendPushNotificationToToken(
-          referrerFcmToken,
-          'Referral Bonus Awarded! 🎉',
-          `${referredName} reached 50 points! You earned +${REFERRAL_BONUS} bonus points.`,
-          { type: 'referral_awarded', role: 'referrer', referralId }
-        ).then(result => {
-          logger.info(`📱 Referrer push result:`, result);
-        })
-      );
-    } else {
-      logger.info(`ℹ️ Referrer ${referrerId} has no FCM token, skipping push`);
-    }
-    
-    // Push to referred user
-    if (referredFcmToken) {
+    for (const message of messages) {
+      if (!message.token) {
+        logger.info(`ℹ️ ${message.role === 'referrer' ? 'Referrer' : 'Referred user'} ${message.userId} has no FCM token, skipping push`);
+        continue;
+      }
       pushPromises.push(
-        sendPushNotificationToToken(
-          referredFcmToken,
-          'Referral Bonus Awarded! 🎉',
-          `You reached 50 points! You and ${referrerName} each earned +${REFERRAL_BONUS} bonus points.`,
-          { type: 'referral_awarded', role: 'referred', referralId }
-        ).then(result => {
-          logger.info(`📱 Referred user push result:`, result);
+        sendUserPush(db, message.userId, {
+          title: message.title,
+          body: message.body,
+          data: { type: message.type, role: message.role, referralId },
+          category: 'referralUpdates'
+        }).then(result => {
+          logger.info(`📱 ${message.role === 'referrer' ? 'Referrer' : 'Referred user'} push result:`, result);
         })
       );
-    } else {
-      logger.info(`ℹ️ Referred user ${referredUserId} has no FCM token, skipping push`);
     }
     
     // Don't await push notifications - let them complete in background
@@ -1459,6 +2163,9 @@ async function awardReferralPoints(db, referralId, referrerId, referredUserId) {
     
     return {
       success: true,
+      campaignId: terms.campaignId,
+      referrerBonus,
+      referredBonus,
       referrerNewPoints,
       referredNewPoints
     };
@@ -1475,7 +2182,7 @@ async function awardReferralPoints(db, referralId, referrerId, referredUserId) {
  * POST /referrals/award-check
  * 
  * Called by the iOS app when a user's points cross the 50-point threshold.
- * Checks if the calling user is part of a pending referral and awards +50 bonus
+ * Checks if the calling user is part of a pending referral and awards the referral bonus
  * points to BOTH the referrer and the referred user.
  * 
  * Also sends push notifications to both users.
@@ -1511,8 +2218,6 @@ app.post('/referrals/award-check', requireFirebaseAuth, generalPerUserLimiter, g
 
     logger.info(`🎯 Referral award-check for user: ${uid}`);
 
-    const REFERRAL_BONUS = 50;
-
     // Find the referral document where this user is the referred person
     const referralSnap = await db.collection('referrals')
       .where('referredUserId', '==', uid)
@@ -1543,6 +2248,13 @@ app.post('/referrals/award-check', requireFirebaseAuth, generalPerUserLimiter, g
       return res.json({ status: 'not_eligible', reason: 'referral_cancelled' });
     }
 
+    if (referralData.status === 'expired') {
+      return res.json({ status: 'not_eligible', reason: 'referral_expired', referralId });
+    }
+
+    const { referralBonusPoints } = await getPointsEarningConfig(db);
+    const terms = referralTermsOf(referralData, referralBonusPoints);
+
     // Get the referred user's current points
     const referredUserRef = db.collection('users').doc(uid);
     const referredUserDoc = await referredUserRef.get();
@@ -1554,14 +2266,14 @@ app.post('/referrals/award-check', requireFirebaseAuth, generalPerUserLimiter, g
     const referredUserData = referredUserDoc.data();
     const referredUserPoints = referredUserData.points || 0;
 
-    // Check if referred user has reached the 50-point threshold
-    if (referredUserPoints < 50) {
-      logger.info(`ℹ️ User ${uid} has ${referredUserPoints} points, needs 50 for referral bonus`);
+    // Check if referred user has reached the campaign's threshold
+    if (referredUserPoints < terms.pointsThreshold && !referralExpired(terms, new Date())) {
+      logger.info(`ℹ️ User ${uid} has ${referredUserPoints} points, needs ${terms.pointsThreshold} for referral bonus`);
       return res.json({ 
         status: 'not_eligible', 
         reason: 'threshold_not_met',
         currentPoints: referredUserPoints,
-        requiredPoints: 50
+        requiredPoints: terms.pointsThreshold
       });
     }
 
@@ -1577,17 +2289,21 @@ app.post('/referrals/award-check', requireFirebaseAuth, generalPerUserLimiter, g
           status: 'not_eligible', 
           reason: 'threshold_not_met',
           currentPoints: awardResult.currentPoints,
-          requiredPoints: 50
+          requiredPoints: awardResult.requiredPoints
         });
       }
+      if (awardResult.error === 'REFERRAL_EXPIRED') {
+        return res.json({ status: 'not_eligible', reason: 'referral_expired', referralId });
+      }
       return res.status(500).json({ error: awardResult.error || 'Failed to award points' });
     }
 
     return res.json({
       status: 'awarded',
       referralId,
-      referrerBonus: awardResult.referrerNewPoints !== null ? REFERRAL_BONUS : 0,
-      referredBonus: REFERRAL_BONUS,
+      campaignId: awardResult.campaignId,
+      referrerBonus: awardResult.referrerBonus,
+      referredBonus: awardResult.referredBonus,
       referrerNewPoints: awardResult.referrerNewPoints,
       referredNewPoints: awardResult.referredNewPoints
     });
@@ -1885,6 +2601,14 @@ app.post('/generate-combo', requireFirebaseAuth, comboPerUserLimiter, comboPerIp
   try {
     logger.info('🤖 Received personalized combo request');
     logger.info('📥 Request body:', JSON.stringify(req.body, null, 2));
+
+    // Receipts can run on a non-OpenAI provider without a key; combos can't
+    if (!process.env.OPENAI_API_KEY) {
+      return res.status(503).json({
+        errorCode: 'AI_NOT_CONFIGURED',
+        error: 'Combo suggestions are unavailable: OPENAI_API_KEY is not configured'
+      });
+    }
     
     // Enforce a daily quota to prevent runaway OpenAI spend.
     if (admin.apps.length) {
@@ -2054,6 +2778,9 @@ app.post('/generate-combo', requireFirebaseAuth, comboPerUserLimiter, comboPerIp
         try {
           const db = admin.firestore();
           
+          // Only suggest items sold at the customer's store (no locationId = every item)
+          const comboLocationId = req.body.locationId || null;
+          
           // Get all menu categories
           const categoriesSnapshot = await db.collection('menu').get();
           
@@ -2067,6 +2794,7 @@ app.post('/generate-combo', requireFirebaseAuth, comboPerUserLimiter, comboPerIp
             for (const itemDoc of itemsSnapshot.docs) {
               try {
                 const itemData = itemDoc.data();
+                if (!isMenuItemOfferedAt(itemData, comboLocationId)) continue;
                 const menuItem = {
                   id: itemData.id || itemDoc.id,
                   description: itemData.description || '',
@@ -2169,8 +2897,18 @@ ${Object.entries(menuByCategory).map(([category, items]) => {
   return `[${categoryTitle}]:\n${itemsList}`;
 }).join('\n\n')}
     `.trim();
-    
 
+    // What loyalty members actually order (from receipt line items), as a soft signal
+    let popularItemsText = '';
+    if (admin.apps.length) {
+      const menuNames = new Set(allMenuItems.map(item => item.id));
+      const popularItems = (await getPopularReceiptItems(admin.firestore()))
+        .filter(item => menuNames.has(item.name))
+        .slice(0, 8);
+      if (popularItems.length > 0) {
+        popularItemsText = `POPULAR WITH REGULARS (most ordered on recent receipts): ${popularItems.map(item => item.name).join(', ')}. Use this as a hint for crowd-pleasers, but taste preferences and variety still come first.`;
+      }
+    }
     
     // Enhanced variety system with user-specific tracking
     const currentTime = new Date().toISOString();
@@ -2295,6 +3033,8 @@ ${preferencesStatusText}${restrictionsText}${spicePreference}${tastePreference}
 
 ${menuText}
 
+${popularItemsText}
+
 IMPORTANT: You must choose items from the EXACT menu above. Do not make up items. Please create a personalized combo for ${userName} with:
 1. One item from the "Dumplings" category (if available)
 2. ${appetizerSoupText}
@@ -2532,24 +3272,23 @@ Calculate the total price accurately. Keep the response warm and personal.`;
   }
 });
 
-// Check if OpenAI API key is configured
-if (!process.env.OPENAI_API_KEY) {
-  logger.error('❌ OPENAI_API_KEY environment variable is not set!');
-  app.get('/analyze-receipt', (req, res) => {
-    res.status(500).json({ 
-      error: 'Server configuration error: OPENAI_API_KEY not set',
-      message: 'Please configure the OpenAI API key in your environment variables'
-    });
-  });
-  
-  app.post('/chat', (req, res) => {
-    res.status(500).json({ 
-      error: 'Server configuration error: OPENAI_API_KEY not set',
-      message: 'Please configure the OpenAI API key in your environment variables'
-    });
+// Without OPENAI_API_KEY the AI routes answer 503 AI_NOT_CONFIGURED (receipt photo scans too
+// when they use the openai provider); everything else, POS QR receipts included, still works.
+const receiptPhotoScansUnconfigured = !process.env.OPENAI_API_KEY && RECEIPT_EXTRACTION_PROVIDER === 'openai';
+if (receiptPhotoScansUnconfigured) {
+  logger.error('❌ OPENAI_API_KEY environment variable is not set! Receipt photo scans are disabled.');
+}
+
+{
+  const openai = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
+
+  const receiptExtractionProvider = createReceiptExtractionProvider({
+    name: RECEIPT_EXTRACTION_PROVIDER,
+    createCompletion: (createOptions) => openaiWithTimeout(openai, createOptions),
+    logger,
+    fixturesPath: process.env.RECEIPT_FIXTURES_PATH
   });
-} else {
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  logger.info(`🧾 Receipt extraction provider: ${receiptExtractionProvider.name}`);
 
   // Standardized error response helper for observability + consistent client UX
   function sendError(res, httpStatus, errorCode, message, extra = {}) {
@@ -2560,6 +3299,24 @@ if (!process.env.OPENAI_API_KEY) {
   const RECEIPT_DAILY_SUCCESS_LIMIT = 2;
   const RECEIPT_DAILY_COUNTERS_COLLECTION = 'receiptDailyCounters';
 
+  // Manual review queue for borderline scans (see queueReceiptForReview)
+  const RECEIPT_REVIEWS_COLLECTION = 'receiptReviews';
+  const RECEIPT_REVIEW_ENABLED = process.env.RECEIPT_REVIEW_ENABLED !== 'false';
+  const RECEIPT_MAX_AUTO_TOTAL = 500;
+  // Totals at/above this are queued instead of auto-awarded ("near the limit")
+  const RECEIPT_REVIEW_TOTAL_MIN = parseFloat(process.env.RECEIPT_REVIEW_TOTAL_MIN || '450');
+  // Totals above the $500 auto limit up to this are queued instead of rejected
+  const RECEIPT_REVIEW_TOTAL_MAX = parseFloat(process.env.RECEIPT_REVIEW_TOTAL_MAX || '600');
+  // POS QR signing keys (keyId -> secret); /submit-receipt-qr is off while empty
+  const RECEIPT_QR_KEYS = parseQrKeys(process.env.RECEIPT_QR_KEYS);
+  // Signs the redemption QR codes staff scan; unset = codes are typed by hand only
+  const REDEMPTION_QR_SECRET = (process.env.REDEMPTION_QR_SECRET || '').length >= 16
+    ? process.env.REDEMPTION_QR_SECRET
+    : null;
+  const REWARD_REDEMPTION_LOG_COLLECTION = 'rewardRedemptionLog';
+  // Allowance for a POS clock running slightly ahead of the server
+  const RECEIPT_QR_CLOCK_SKEW_MINUTES = parseInt(process.env.RECEIPT_QR_CLOCK_SKEW_MINUTES || '15', 10);
+
   // Receipt scan rate limiting helpers
   async function checkReceiptScanRateLimit(userId, db) {
     if (!userId) return { allowed: true }; // No user = no rate limit (analyze-receipt endpoint)
@@ -2762,6 +3519,10 @@ if (!process.env.OPENAI_API_KEY) {
   app.post('/analyze-receipt', requireFirebaseAuth, receiptAnalyzePerUserLimiter, receiptAnalyzePerIpLimiter, upload.single('image'), async (req, res) => {
     try {
       logger.info('📥 Received receipt analysis request');
+
+      if (receiptPhotoScansUnconfigured) {
+        return sendError(res, 503, 'AI_NOT_CONFIGURED', 'Receipt scanning is unavailable: OPENAI_API_KEY is not configured');
+      }
       
       if (!req.file) {
         logger.info('❌ No image file received');
@@ -2774,146 +3535,43 @@ if (!process.env.OPENAI_API_KEY) {
       const imageData = await fsPromises.readFile(imagePath, { encoding: 'base64' });
       const db = admin.firestore();
 
-      const prompt = `You are a receipt parser for Dumpling House. Follow these STRICT validation rules:
-
-VALIDATION RULES:
-1. If there are NO words stating "Dumpling House" at the top of the receipt, return {"error": "Invalid receipt - must be from Dumpling House"}
-2. If there is anything covering up numbers or text on the receipt, and it affects the ORDER NUMBER, TOTAL, DATE, or TIME, treat this as tampering and do NOT accept the receipt.
-3. TAMPERING DETECTION: Look for signs of obvious tampering or manipulation, especially on the ORDER NUMBER, TOTAL, DATE, or TIME:
-   - If numbers appear to be digitally altered, edited, or photoshopped, return {"error": "Receipt appears to be tampered with - digital manipulation detected"}
-   - If you can see evidence this is a photo of a screen/monitor (pixel patterns, screen glare, moiré effect), return {"error": "Invalid - please scan the original physical receipt, not a photo of a screen"}
-   - If you can see this is a photo of another photo (edges of another photo visible, photo paper texture), return {"error": "Invalid - please scan the original receipt, not a photo of a photo"}
-   - If numbers appear to be written over, crossed out, scribbled on, whited-out, or manually changed on the ORDER NUMBER, TOTAL, DATE, or TIME, return {"error": "Receipt appears to be tampered with - numbers have been altered"}
-   - IMPORTANT: Employee checkmarks, circles, or handwritten notes on items are NORMAL and ALLOWED ONLY if they do NOT cover the digits of the ORDER NUMBER, TOTAL, DATE, or TIME. If any marking crosses through or obscures the digits of these key fields, treat it as tampering.
-   - If the receipt looks artificially brightened or enhanced to hide alterations, return {"error": "Receipt appears to be digitally modified"}
-4. CRITICAL LOCATION: The order number is ALWAYS directly underneath the word "Nashville" on the receipt. Look for "Nashville" and find the number immediately below it.
-5. For DINE-IN orders: The order number is the BIGGER number inside the black box with white text, located directly under "Nashville". IGNORE any smaller numbers below the black box - those are NOT the order number.
-6. For PICKUP orders: The order number is found directly underneath the word "Nashville" and may not be in a black box.
-7. The order number is NEVER found further down on the receipt - it's always in the top section under "Nashville"
-8. PAID ONLINE RECEIPTS (NO BLACK BOX): On the rare chance that there is NO black box at all for the order number anywhere in the top section under "Nashville", look to see if you can find that the receipt indicates it was paid online. This may appear as:
-   - "paid online"
-   - "customer paid online"
-   - "new customer paid online"
-   - or the words "paid" and "online" close together (even if split across lines).
-   - If you do NOT see the words "paid online" anywhere on the receipt, you MUST NOT guess the order number from anywhere else. In this case, return {"error": "No valid order number found in black box under Nashville"}.
-   - If you DO see "paid online" on the receipt, the ONLY valid order number is the number in bold font that appears immediately next to the label "Order:" on the ticket. You MUST:
-     * Read the number that is in bold font right next to "Order:".
-     * Treat this as the order number ONLY if it is clearly readable, not tampered with, and within the valid range (see below).
-     * NOT use any other numbers anywhere else on the receipt as the order number.
-   - If "paid online" is present but there is no clear bold number right next to "Order:", or that number is unclear, obscured, or tampered with, you MUST return {"error": "No valid order number found next to 'Order:' for paid online receipt"} and NOT guess from anywhere else.
-9. If the order number is more than 3 digits, it cannot be the order number - look for a smaller number
-10. Order numbers CANNOT be greater than 400 - if you see a number over 400, it's not the order number and should be ignored completely
-10. CRITICAL: If the receipt is faded, blurry, hard to read, or if ANY numbers in the ORDER NUMBER, TOTAL, DATE, or TIME are unclear or difficult to see, return {"error": "Receipt is too faded or unclear - please take a clearer photo"} - DO NOT attempt to guess or estimate any numbers
-11. If the image quality is poor and numbers (especially the ORDER NUMBER, TOTAL, DATE, or TIME) are blurry, unclear, or hard to read, return {"error": "Poor image quality - please take a clearer photo"}
-12. ALWAYS return the date as MM/DD format only (no year, no other format). If the receipt prints the date with a hyphen (MM-DD), convert it to MM/DD in your output.
-13. CRITICAL: You MUST double-check all extracted information before returning it. Verify that the order number, total, and date are accurate and match what you see on the receipt. This is essential for preventing system abuse and maintaining data integrity.
-
-EXTRACTION RULES:
-- orderNumber: CRITICAL - Find the number INSIDE the black box with white text that is located directly underneath the word "Nashville" on the receipt. This black box is the ONLY valid source for the order number when a black box is present. On receipts where there is no such black box at all, you MUST follow the paid-online rules described above: only use the bold number immediately next to "Order:" on receipts that clearly say "paid online", and otherwise return an appropriate error without guessing from anywhere else on the receipt.
-- orderTotal: The total amount paid (as a number, e.g. 23.45)
-- orderDate: The date in MM/DD format only (e.g. "12/25")
-- orderTime: The time in HH:MM format only (e.g. "14:30"). This is always located to the right of the date on the receipt.
-
-VISIBILITY & TAMPERING FLAGS:
-- You MUST also return the following boolean flags describing the visibility and tampering status of each key field:
-  - totalVisibleAndClear: true if the TOTAL digits are fully visible, unobscured, and clearly readable. false if any part of the total is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
-  - orderNumberVisibleAndClear: true if the ORDER NUMBER digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
-  - dateVisibleAndClear: true if the DATE digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
-  - timeVisibleAndClear: true if the TIME digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
-- You MUST also return:
-  - keyFieldsTampered: true if you see ANY evidence of scribbles, crossings-out, overwriting, white-out, or manual changes on the ORDER NUMBER, TOTAL, DATE, or TIME. Otherwise false.
-  - tamperingReason: a short string explaining the tampering if keyFieldsTampered is true (for example: "date is scribbled over", "order number crossed out and rewritten", or "heavy marker drawn over total").
-  - orderNumberInBlackBox: true if and only if the orderNumber you returned was read from INSIDE the black box directly under "Nashville". If there is no black box or no number inside it, set this to false.
-  - orderNumberDirectlyUnderNashville: true if and only if the orderNumber you returned was read from the number immediately under the word "Nashville" in the top section (pickup receipts may not show a black box). If you did NOT use that number, set this to false.
-  - paidOnlineReceipt: true if and only if the receipt clearly contains the words "paid online" and you are using the paid-online fallback path (bold number next to "Order:") described above. Otherwise false.
-  - orderNumberFromPaidOnlineSection: true if and only if the orderNumber you returned was read from the bold number immediately next to the label "Order:" on a paid-online receipt. Otherwise false.
+      const location = await resolveLocation(db, req.body?.locationId || req.headers['x-location-id']);
+      if (!location) {
+        await fsPromises.unlink(imagePath).catch(err => logger.error('Failed to delete file:', err));
+        return sendError(res, 400, "LOCATION_INVALID", "Unknown or inactive store location");
+      }
+      const receiptProfile = location.receiptProfile;
 
-IMPORTANT: 
-- CRITICAL LOCATION: The only valid order number is the number inside the black box with white text directly underneath the word "Nashville" on the receipt. Do not use any other number anywhere else on the receipt as the order number.
-- TIME LOCATION: The time is ALWAYS located to the right of the date on the receipt and must be in HH:MM format.
-- If you cannot clearly read the numbers due to poor image quality, DO NOT GUESS. Return an error instead.
-- If the receipt is faded, blurry, or any numbers are unclear, DO NOT ATTEMPT TO READ THEM. Return an error immediately.
-- Order numbers must be between 1-400. Any number over 400 is completely invalid and should not be returned at all.
-- If the only numbers you see are over 400, return {"error": "No valid order number found - order numbers must be under 400"}
-- DOUBLE-CHECK REQUIREMENT: Before returning any data, carefully review the extracted order number, total, date, and time to ensure they are accurate and match the receipt. Also carefully review whether any part of these fields is obscured or tampered with, and set the visibility/tampering flags accordingly. This verification step is crucial for preventing fraud and maintaining system integrity.
-- SAFETY FIRST: It's better to reject a receipt and ask for a clearer photo than to guess and return incorrect information. If you are not highly confident about any of the key fields, treat the receipt as invalid and return an error message instead of guessing.
-
-Respond ONLY as a JSON object with this exact shape:
-{"orderNumber": "...", "orderTotal": ..., "orderDate": "...", "orderTime": "...", "totalVisibleAndClear": true/false, "orderNumberVisibleAndClear": true/false, "dateVisibleAndClear": true/false, "timeVisibleAndClear": true/false, "keyFieldsTampered": true/false, "tamperingReason": "...", "orderNumberInBlackBox": true/false, "orderNumberDirectlyUnderNashville": true/false, "paidOnlineReceipt": true/false, "orderNumberFromPaidOnlineSection": true/false} 
-or {"error": "error message"}.
-If a field is missing, use null.`;
-
-      logger.info('🤖 Sending request to OpenAI for FIRST validation...');
-      logger.info('📊 API Call 1 - Starting at:', new Date().toISOString());
-      
-      // First OpenAI call (with timeout)
-      const response1 = await openaiWithTimeout(openai, {
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              { type: "image_url", image_url: { url: `data:image/jpeg;base64,${imageData}` } }
-            ]
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.1
-      });
+      logger.info(`🤖 Extracting receipt with "${receiptExtractionProvider.name}" provider (location ${location.id})...`);
+      logger.info('📊 Extraction - Starting at:', new Date().toISOString());
 
-      logger.info('✅ First OpenAI response received');
-      logger.info('📊 API Call 1 - Completed at:', new Date().toISOString());
-      
-      logger.info('🤖 Sending request to OpenAI for SECOND validation...');
-      logger.info('📊 API Call 2 - Starting at:', new Date().toISOString());
-      
-      // Second OpenAI call (with timeout)
-      const response2 = await openaiWithTimeout(openai, {
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              { type: "image_url", image_url: { url: `data:image/jpeg;base64,${imageData}` } }
-            ]
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.1
+      const extraction = await receiptExtractionProvider.extract({
+        imageBase64: imageData,
+        mode: 'analyze',
+        ocrText: req.body?.ocrText,
+        profile: receiptProfile
       });
 
-      logger.info('✅ Second OpenAI response received');
-      logger.info('📊 API Call 2 - Completed at:', new Date().toISOString());
+      logger.info('✅ Receipt extraction completed');
+      logger.info('📊 Extraction - Completed at:', new Date().toISOString());
       
       // Clean up the uploaded file
       await fsPromises.unlink(imagePath).catch(err => logger.error('Failed to delete file:', err));
 
+      const [data1, data2] = extraction.passes;
+
       // Parse first response
-      const text1 = response1.choices[0].message.content;
-      logger.info('📝 Raw OpenAI response 1:', text1);
-      
-      const jsonMatch1 = text1.match(/\{[\s\S]*\}/);
-      if (!jsonMatch1) {
+      if (!data1) {
         logger.info('❌ Could not extract JSON from first response');
-        return sendError(res, 422, "AI_JSON_EXTRACT_FAILED", "Could not extract JSON from first response", { raw: text1 });
+        return sendError(res, 422, "AI_JSON_EXTRACT_FAILED", "Could not extract JSON from first response", { raw: extraction.raw[0] });
       }
-      
-      const data1 = JSON.parse(jsonMatch1[0]);
       logger.info('✅ Parsed JSON data 1:', data1);
       
       // Parse second response
-      const text2 = response2.choices[0].message.content;
-      logger.info('📝 Raw OpenAI response 2:', text2);
-      
-      const jsonMatch2 = text2.match(/\{[\s\S]*\}/);
-      if (!jsonMatch2) {
+      if (!data2) {
         logger.info('❌ Could not extract JSON from second response');
-        return sendError(res, 422, "AI_JSON_EXTRACT_FAILED", "Could not extract JSON from second response", { raw: text2 });
+        return sendError(res, 422, "AI_JSON_EXTRACT_FAILED", "Could not extract JSON from second response", { raw: extraction.raw[1] });
       }
-      
-      const data2 = JSON.parse(jsonMatch2[0]);
       logger.info('✅ Parsed JSON data 2:', data2);
       
       // Check if either response contains an error
@@ -2929,33 +3587,6 @@ If a field is missing, use null.`;
 
       // Normalize both responses BEFORE comparing to reduce false mismatches
       // (e.g., "12-21" vs "12/21", whitespace, numeric string formatting).
-      const normalizeOrderDate = (v) => {
-        if (typeof v !== 'string') return v;
-        const s = v.trim().replace(/-/g, '/');
-        return s;
-      };
-      const normalizeOrderTime = (v) => (typeof v === 'string' ? v.trim() : v);
-      const normalizeOrderNumber = (v) => {
-        if (v === null || v === undefined) return v;
-        const s = String(v).trim();
-        if (/^\d+$/.test(s)) return String(parseInt(s, 10));
-        return s;
-      };
-      const normalizeMoney = (v) => {
-        if (v === null || v === undefined) return v;
-        const n = typeof v === 'number' ? v : parseFloat(String(v).trim());
-        if (Number.isNaN(n)) return v;
-        return Math.round(n * 100) / 100;
-      };
-      const normalizeParsedReceipt = (d) => ({
-        ...d,
-        orderNumber: normalizeOrderNumber(d.orderNumber),
-        orderTotal: normalizeMoney(d.orderTotal),
-        tipAmount: normalizeMoney(d.tipAmount),
-        orderDate: normalizeOrderDate(d.orderDate),
-        orderTime: normalizeOrderTime(d.orderTime),
-      });
-
       const norm1 = normalizeParsedReceipt(data1);
       const norm2 = normalizeParsedReceipt(data2);
       
@@ -2965,13 +3596,7 @@ If a field is missing, use null.`;
       logger.info('   Response 2 - Order Number:', norm2.orderNumber, 'Total:', norm2.orderTotal, 'Date:', norm2.orderDate, 'Time:', norm2.orderTime);
       
       // Check if responses match
-      const responsesMatch = 
-        norm1.orderNumber === norm2.orderNumber &&
-        norm1.orderTotal === norm2.orderTotal &&
-        norm1.tipAmount === norm2.tipAmount &&
-        norm1.tipLineVisible === norm2.tipLineVisible &&
-        norm1.orderDate === norm2.orderDate &&
-        norm1.orderTime === norm2.orderTime;
+      const responsesMatch = receiptPassesAgree(norm1, norm2, ANALYZE_AGREEMENT_FIELDS);
       
       logger.info('🔍 COMPARISON DETAILS:');
       logger.info('   Order Number Match:', norm1.orderNumber === norm2.orderNumber, `(${norm1.orderNumber} vs ${norm2.orderNumber})`);
@@ -3015,17 +3640,17 @@ If a field is missing, use null.`;
       const keyFieldsTampered = data.keyFieldsTampered;
       const tamperingReason = data.tamperingReason;
       const orderNumberInBlackBox = data.orderNumberInBlackBox;
-      const orderNumberDirectlyUnderNashville = data.orderNumberDirectlyUnderNashville;
+      const orderNumberDirectlyUnderAnchor = data.orderNumberDirectlyUnderAnchor;
       const paidOnlineReceipt = data.paidOnlineReceipt;
       const orderNumberFromPaidOnlineSection = data.orderNumberFromPaidOnlineSection;
 
       // Determine whether the order number came from a valid source:
-      //  - Either from the black box under "Nashville"
-      //  - Or, directly underneath "Nashville" on pickup receipts with no black box
+      //  - Either from the black box under the store's anchor word (e.g. "Nashville")
+      //  - Or, directly underneath the anchor on pickup receipts with no black box
       //  - Or, on a paid-online receipt with no black box, from the bold number next to "Order:"
       const orderNumberSourceIsValid =
         orderNumberInBlackBox === true ||
-        orderNumberDirectlyUnderNashville === true ||
+        orderNumberDirectlyUnderAnchor === true ||
         orderNumberFromPaidOnlineSection === true;
 
       // If any of the visibility flags are explicitly false, keyFieldsTampered is true,
@@ -3056,7 +3681,7 @@ If a field is missing, use null.`;
           if (paidOnlineReceipt === true) {
             return sendError(res, 400, "ORDER_NUMBER_SOURCE_INVALID", "No valid order number found next to 'Order:' for paid online receipt");
           }
-          return sendError(res, 400, "ORDER_NUMBER_SOURCE_INVALID", "No valid order number found under Nashville");
+          return sendError(res, 400, "ORDER_NUMBER_SOURCE_INVALID", `No valid order number found under ${receiptProfile.orderNumberAnchor}`);
         }
 
         const msg = tamperingReason && typeof tamperingReason === 'string' && tamperingReason.trim().length > 0
@@ -3065,34 +3690,15 @@ If a field is missing, use null.`;
         return sendError(res, 400, "KEY_FIELDS_INVALID", msg, { tamperingReason: tamperingReason || null });
       }
       
-      // Validate order number format (must be 3 digits or less and not exceed 400)
-      const orderNumberStr = data.orderNumber.toString();
-      logger.info('🔍 Validating order number:', orderNumberStr);
-      
-      if (orderNumberStr.length > 3) {
-        logger.info('❌ Order number too long:', orderNumberStr);
-        return sendError(res, 400, "ORDER_NUMBER_INVALID", "Invalid order number format - must be 3 digits or less");
-      }
-      
-      const orderNumber = parseInt(data.orderNumber);
-      logger.info('🔍 Parsed order number:', orderNumber);
-      
-      if (isNaN(orderNumber)) {
-        logger.info('❌ Order number is not a valid number:', data.orderNumber);
-        return sendError(res, 400, "ORDER_NUMBER_INVALID", "Invalid order number - must be a valid number");
-      }
-      
-      if (orderNumber < 1) {
-        logger.info('❌ Order number too small:', orderNumber);
-        return sendError(res, 400, "ORDER_NUMBER_INVALID", "Invalid order number - must be at least 1");
-      }
-      
-      if (orderNumber > 400) {
-        logger.info('❌ Order number too large (over 400):', orderNumber);
-        return sendError(res, 400, "ORDER_NUMBER_INVALID", "Invalid order number - must be 400 or less");
+      // Validate order number against the store's POS range (digits + min/max)
+      logger.info('🔍 Validating order number:', data.orderNumber);
+      const orderNumberProblem = describeOrderNumberProblem(data.orderNumber, receiptProfile);
+      if (orderNumberProblem) {
+        logger.info('❌ Order number validation failed:', data.orderNumber, orderNumberProblem);
+        return sendError(res, 400, "ORDER_NUMBER_INVALID", orderNumberProblem);
       }
       
-      logger.info('✅ Order number validation passed:', orderNumber);
+      logger.info('✅ Order number validation passed:', data.orderNumber);
       
       // Validate date format (must be MM/DD; accept MM-DD but normalized above)
       const dateRegex = /^\d{2}\/\d{2}$/;
@@ -3161,8 +3767,12 @@ If a field is missing, use null.`;
         logger.warn('⚠️ Failed to evaluate admin old-receipt test override:', err.message || err);
       }
 
-      const receiptDateThisYear = new Date(currentDate.getFullYear(), month - 1, day, h, m, 0, 0);
-      const receiptDatePrevYear = new Date(currentDate.getFullYear() - 1, month - 1, day, h, m, 0, 0);
+      const { thisYear: receiptDateThisYear, prevYear: receiptDatePrevYear } =
+        receiptPurchaseCandidates(month, day, h, m, location.timeZone, currentDate);
+      if (!receiptDateThisYear) {
+        logger.info('❌ Receipt date does not exist:', data.orderDate);
+        return sendError(res, 400, "DATE_FORMAT_INVALID", "Invalid receipt date - please take a clearer photo");
+      }
       const hoursDiffThisYear = (currentDate - receiptDateThisYear) / (1000 * 60 * 60);
       const hoursDiffPrevYear = (currentDate - receiptDatePrevYear) / (1000 * 60 * 60);
 
@@ -3205,38 +3815,19 @@ If a field is missing, use null.`;
         const receiptsRef = db.collection('receipts');
         
         // Check for duplicates: if ANY 2 of the 3 fields match (orderNumber, date, time),
-        // OR if date, time, and total ALL match (strong duplicate signal)
-        //
-        // NOTE: Older data may have stored `orderNumber` as a number, while newer code uses a string.
-        // To avoid missing duplicates across that migration, we check both variants when possible.
-        const orderNumberStrForDup = String(data.orderNumber);
-        const orderNumberNumForDup = parseInt(orderNumberStrForDup, 10);
-        const orderNumberVariants = [orderNumberStrForDup];
-        if (!isNaN(orderNumberNumForDup)) orderNumberVariants.push(orderNumberNumForDup);
-
-        const duplicateQueries = [
-          // Same date AND time
-          receiptsRef.where('orderDate', '==', data.orderDate).where('orderTime', '==', data.orderTime),
-          // Same date, time, AND total (even if order number differs)
-          receiptsRef.where('orderDate', '==', data.orderDate).where('orderTime', '==', data.orderTime).where('orderTotal', '==', orderTotal)
-        ];
-
-        for (const variant of orderNumberVariants) {
-          // Same order number AND date
-          duplicateQueries.push(
-            receiptsRef.where('orderNumber', '==', variant).where('orderDate', '==', data.orderDate)
-          );
-          // Same order number AND time
-          duplicateQueries.push(
-            receiptsRef.where('orderNumber', '==', variant).where('orderTime', '==', data.orderTime)
-          );
-        }
+        // OR if date, time, and total ALL match (strong duplicate signal), at this store
+        const duplicateQueries = buildReceiptDuplicateQueries(receiptsRef, {
+          orderNumber: data.orderNumber,
+          orderDate: data.orderDate,
+          orderTime: data.orderTime,
+          orderTotal
+        });
         
         let duplicateFound = false;
         
         for (const query of duplicateQueries) {
-          const snapshot = await query.limit(1).get();
-          if (!snapshot.empty) {
+          const snapshot = await query.get();
+          if (isDuplicateAtLocation(snapshot, location.id)) {
             logger.info('❌ DUPLICATE RECEIPT DETECTED');
             logger.info('   Matching criteria found in existing receipt');
             duplicateFound = true;
@@ -3263,6 +3854,7 @@ If a field is missing, use null.`;
             orderDate: data.orderDate,
             orderTime: data.orderTime,
             orderTotal: orderTotal,
+            locationId: location.id,
             createdAt: admin.firestore.FieldValue.serverTimestamp()
           });
           logger.info('💾 Saved receipt to receipts collection for future duplicate checks');
@@ -3285,6 +3877,431 @@ If a field is missing, use null.`;
     }
   });
 
+  /**
+   * Extract line items from an accepted receipt, match them to the menu catalog,
+   * and store them on the receipt doc. Runs after the award so it can never block
+   * or change a scan result; failures only lose the item detail.
+   */
+  async function extractAndStoreReceiptLineItems(db, receiptId, { imageBase64, ocrText, locationId, profile }) {
+    const [{ provider, items }, menuCatalog] = await Promise.all([
+      receiptExtractionProvider.extractLineItems({ imageBase64, ocrText, profile }),
+      getMenuCatalog(db)
+    ]);
+    const storeMenu = menuCatalog.filter(item => isMenuItemOfferedAt(item, locationId));
+    const lineItems = matchLineItemsToMenu(items, buildMenuIndex(storeMenu));
+    const matchedCount = lineItems.filter(item => item.menuItemId).length;
+
+    await db.collection('receipts').doc(receiptId).update({
+      lineItems,
+      lineItemCount: lineItems.length,
+      lineItemsMatchedCount: matchedCount,
+      lineItemsProvider: provider,
+      lineItemsExtractedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    logger.info(`🧾 Stored ${lineItems.length} line items (${matchedCount} matched to menu) for receipt ${receiptId}`);
+  }
+
+  // Stores can print the same order numbers, so duplicate queries fetch a few docs
+  // and callers keep only those at the scanned store (see isDuplicateAtLocation)
+  const RECEIPT_DUPLICATE_QUERY_LIMIT = 10;
+
+  /**
+   * Duplicate-receipt queries: any 2 of (orderNumber, date, time) match, or date + time + total match.
+   * Older data may have stored `orderNumber` as a number, so both variants are checked.
+   * @returns {Query[]} Run with get() or tx.get(), then filter with isDuplicateAtLocation
+   */
+  function buildReceiptDuplicateQueries(receiptsRef, { orderNumber, orderDate, orderTime, orderTotal }) {
+    const orderNumberStr = String(orderNumber);
+    const orderNumberNum = parseInt(orderNumberStr, 10);
+    const orderNumberVariants = [orderNumberStr];
+    if (!isNaN(orderNumberNum)) orderNumberVariants.push(orderNumberNum);
+
+    const limit = RECEIPT_DUPLICATE_QUERY_LIMIT;
+    const queries = [
+      receiptsRef.where('orderDate', '==', orderDate).where('orderTime', '==', orderTime).limit(limit),
+      receiptsRef.where('orderDate', '==', orderDate).where('orderTime', '==', orderTime).where('orderTotal', '==', orderTotal).limit(limit)
+    ];
+    for (const variant of orderNumberVariants) {
+      queries.push(receiptsRef.where('orderNumber', '==', variant).where('orderDate', '==', orderDate).limit(limit));
+      queries.push(receiptsRef.where('orderNumber', '==', variant).where('orderTime', '==', orderTime).limit(limit));
+    }
+    return queries;
+  }
+
+  /**
+   * Whether a duplicate-query snapshot holds a receipt from the given store
+   * (receipts saved before locations existed belong to the default store)
+   */
+  function isDuplicateAtLocation(snapshot, locationId) {
+    return snapshot.docs.some(doc => locationIdOf(doc.data()) === locationId);
+  }
+
+  /**
+   * Purchase time candidates for a receipt printed without a year, in the store's timezone.
+   * @returns {{thisYear: Date|null, prevYear: Date}} thisYear is null if the date doesn't exist (e.g. 02/30)
+   */
+  function receiptPurchaseCandidates(month, day, hour, minute, timeZone, now = new Date()) {
+    const year = DateTime.fromJSDate(now).setZone(timeZone).year;
+    const thisYear = DateTime.fromObject({ year, month, day, hour, minute }, { zone: timeZone });
+    // Feb 29 on last year's calendar falls back to Feb 28
+    const prevMonth = DateTime.fromObject({ year: year - 1, month, day: 1 }, { zone: timeZone });
+    const prevYear = DateTime.fromObject(
+      { year: year - 1, month, day: Math.min(day, prevMonth.daysInMonth || day), hour, minute },
+      { zone: timeZone }
+    );
+    return {
+      thisYear: thisYear.isValid ? thisYear.toJSDate() : null,
+      prevYear: prevYear.toJSDate()
+    };
+  }
+
+  /**
+   * Award points for an accepted receipt in one transaction: daily scan cap, duplicate
+   * check at the store, receipt + pointsTransactions docs, balance, daily-limit streak,
+   * and loyalty tier upgrade. Points are evaluated here so the member's current tier
+   * multiplier applies. Shared by the photo (/submit-receipt) and POS QR (/submit-receipt-qr) paths.
+   * Throws (err.code) DUPLICATE_RECEIPT, DAILY_RECEIPT_LIMIT_REACHED or USER_NOT_FOUND.
+   * @param {Object} fields - { orderNumber (string), orderDate, orderTime, orderTotal }
+   * @param {Object} earningConfig - Points earning config with the store's timeZone
+   * @param {DateTime} purchasedAt - Purchase time from the receipt
+   * @param {Object} [receiptFields] - Extra fields stored on the receipt doc (source, imageHash, ...)
+   * @returns {Promise<{receiptId: string, earning: Object, previousPoints: number, newPointsBalance: number, newLifetimePoints: number, referredBy: string|null, tierUpgrade: Object|null, shouldUpdateRiskScore: boolean}>}
+   */
+  async function awardReceiptPoints(db, { uid, fields, locationId, earningConfig, purchasedAt, receiptFields = {}, userTimeZone, userLocalDayKey, userLocalYesterdayKey }) {
+    const loyaltyTiersConfig = await getLoyaltyTiersConfig(db);
+    const userRef = db.collection('users').doc(uid);
+    const receiptsRef = db.collection('receipts');
+    const pointsTxId = `receipt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const dailyCounterRef = db
+      .collection(RECEIPT_DAILY_COUNTERS_COLLECTION)
+      .doc(`${uid}_${userLocalDayKey}`);
+
+    let newPointsBalance = null;
+    let newLifetimePoints = null;
+    let savedReceiptId = null;
+    let currentPoints = 0;
+    let referredBy = null;
+    let earning = null;
+    let tierUpgrade = null;
+    let shouldUpdateRiskScore = false;
+
+    await db.runTransaction(async (tx) => {
+      // Load user (needed for admin bypass + streak tracking)
+      const userDoc = await tx.get(userRef);
+      if (!userDoc.exists) {
+        const err = new Error("USER_NOT_FOUND");
+        err.code = "USER_NOT_FOUND";
+        throw err;
+      }
+      const userData = userDoc.data() || {};
+      const isAdminUser = userData.isAdmin === true;
+      referredBy = userData.referredBy || null;
+
+      // Enforce daily successful scan cap atomically (prevents races between devices)
+      // Admins bypass the daily cap (keeps behavior consistent with the pre-check).
+      const dailyCounterDoc = await tx.get(dailyCounterRef);
+      const currentDailyCount = dailyCounterDoc.exists ? (dailyCounterDoc.data()?.count || 0) : 0;
+      if (!isAdminUser && currentDailyCount >= RECEIPT_DAILY_SUCCESS_LIMIT) {
+        const err = new Error("DAILY_RECEIPT_LIMIT_REACHED");
+        err.code = "DAILY_RECEIPT_LIMIT_REACHED";
+        throw err;
+      }
+
+      // Duplicate detection (same logic as analyze endpoint)
+      for (const q of buildReceiptDuplicateQueries(receiptsRef, fields)) {
+        const snap = await tx.get(q);
+        if (isDuplicateAtLocation(snap, locationId)) {
+          const err = new Error("DUPLICATE_RECEIPT");
+          err.code = "DUPLICATE_RECEIPT";
+          throw err;
+        }
+      }
+      earning = evaluateReceiptPoints(earningConfig, {
+        orderTotal: fields.orderTotal,
+        purchasedAt,
+        tier: currentTierOf(loyaltyTiersConfig, userData)
+      });
+      const pointsAwarded = earning.pointsAwarded;
+      currentPoints = userData.points || 0;
+      const currentLifetime = (typeof userData.lifetimePoints === 'number')
+        ? userData.lifetimePoints
+        : currentPoints;
+      newPointsBalance = currentPoints + pointsAwarded;
+      newLifetimePoints = currentLifetime + pointsAwarded;
+      tierUpgrade = evaluateTierUpgrade(loyaltyTiersConfig, userData, newLifetimePoints);
+
+      // Save receipt record (for future duplicate checks + auditing + admin detail)
+      const receiptDocRef = receiptsRef.doc();
+      savedReceiptId = receiptDocRef.id;
+      tx.set(receiptDocRef, {
+        ...fields,
+        locationId,
+        userId: uid,
+        pointsAwarded,
+        earningRuleIds: earning.appliedRules.map(r => r.ruleId),
+        ...receiptFields,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // Save points transaction
+      tx.set(db.collection('pointsTransactions').doc(pointsTxId), {
+        userId: uid,
+        type: 'receipt_scan',
+        amount: pointsAwarded,
+        description: `Receipt Scan - $${fields.orderTotal.toFixed(2)}`,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        metadata: {
+          ...fields,
+          locationId,
+          receiptId: savedReceiptId,
+          ...(receiptFields.source ? { source: receiptFields.source } : {}),
+          basePoints: earning.basePoints,
+          multiplier: earning.multiplier,
+          tierMultiplier: earning.tierMultiplier,
+          bonusPoints: earning.bonusPoints,
+          capped: earning.capped,
+          earningRules: earning.appliedRules
+        }
+      });
+
+      // Increment daily counter inside the same transaction (skip for admins)
+      const newDailyCount = isAdminUser ? currentDailyCount : (currentDailyCount + 1);
+      if (!isAdminUser) {
+        tx.set(
+          dailyCounterRef,
+          {
+            userId: uid,
+            day: userLocalDayKey,
+            timeZone: userTimeZone,
+            count: newDailyCount,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          },
+          { merge: true }
+        );
+      }
+
+      // Update user points (and, if applicable, daily-limit streak fields)
+      const userUpdate = {
+        points: newPointsBalance,
+        lifetimePoints: newLifetimePoints
+      };
+      if (tierUpgrade) {
+        userUpdate.loyaltyTier = tierUpgrade.to.id;
+        userUpdate.loyaltyTierQualifiedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+
+      // If the user just hit the daily cap today, update streak metadata.
+      if (!isAdminUser && newDailyCount === RECEIPT_DAILY_SUCCESS_LIMIT) {
+        const prevLastHitDay = (typeof userData.receiptLimitLastHitDay === 'string')
+          ? userData.receiptLimitLastHitDay
+          : null;
+        const prevStreak = (typeof userData.receiptLimitHitStreak === 'number')
+          ? userData.receiptLimitHitStreak
+          : 0;
+
+        const isConsecutive = (prevLastHitDay === userLocalYesterdayKey);
+        const newStreak = isConsecutive ? (prevStreak > 0 ? prevStreak + 1 : 2) : 1;
+
+        userUpdate.receiptLimitLastHitDay = userLocalDayKey;
+        userUpdate.receiptLimitLastTimeZone = userTimeZone;
+        userUpdate.receiptLimitHitStreak = newStreak;
+
+        // Flag only when they hit the limit 2 days in a row (first time).
+        if (newStreak === 2) {
+          const flagType = 'receipt_daily_limit_2days';
+          const severity = 'medium';
+          const evidence = {
+            day: userLocalDayKey,
+            timeZone: userTimeZone,
+            limit: RECEIPT_DAILY_SUCCESS_LIMIT,
+            streak: newStreak
+          };
+          const riskScore = calculateSuspiciousRiskScore(severity, evidence);
+
+          const flagId = `${flagType}_${uid}_${userLocalDayKey}`;
+          const flagRef = db.collection('suspiciousFlags').doc(flagId);
+
+          tx.set(flagRef, {
+            userId: uid,
+            flagType,
+            severity,
+            riskScore,
+            description: 'Hit daily receipt scan limit on 2 consecutive days',
+            evidence,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            status: 'pending',
+            reviewedBy: null,
+            reviewedAt: null,
+            reviewNotes: null,
+            actionTaken: null
+          }, { merge: true });
+
+          shouldUpdateRiskScore = true;
+        }
+      }
+
+      tx.update(userRef, userUpdate);
+    });
+
+    if (tierUpgrade) {
+      logger.info(`🏅 User ${uid} upgraded ${tierUpgrade.from.id} → ${tierUpgrade.to.id} (lifetime ${newLifetimePoints})`);
+      await notifyLoyaltyTierChange(db, uid, tierUpgrade);
+    }
+
+    return {
+      receiptId: savedReceiptId,
+      earning,
+      previousPoints: currentPoints,
+      newPointsBalance,
+      newLifetimePoints,
+      referredBy,
+      tierUpgrade,
+      shouldUpdateRiskScore
+    };
+  }
+
+  /**
+   * Tell a user their loyalty tier changed (in-app notification + push). Never throws.
+   * @param {{from: Object, to: Object}} change - Tiers from config/loyaltyTiers
+   */
+  async function notifyLoyaltyTierChange(db, uid, { from, to }) {
+    const config = await getLoyaltyTiersConfig(db);
+    const upgraded = tierRank(config, to.id) > tierRank(config, from.id);
+    const type = upgraded ? 'loyalty_tier_upgrade' : 'loyalty_tier_change';
+    const title = upgraded ? `Welcome to ${to.name}!` : 'Membership Tier Updated';
+    const body = upgraded
+      ? `You've reached ${to.name} status${to.multiplier > 1 ? ` and now earn ${to.multiplier}x points on every receipt` : ''}.`
+      : `Your membership is now ${to.name}, based on points earned in the last ${config.requalificationMonths} months.`;
+    try {
+      await db.collection('notifications').add({
+        userId: uid,
+        title,
+        body,
+        type,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        fromTier: from.id,
+        toTier: to.id
+      });
+      await sendUserPush(db, uid, { title, body, data: { type, tier: to.id } });
+    } catch (notifyErr) {
+      logger.warn('⚠️ Failed to notify user about loyalty tier change:', notifyErr.message || notifyErr);
+    }
+  }
+
+  function serializeLoyaltyTier(tier) {
+    return tier ? { id: tier.id, name: tier.name, threshold: tier.threshold, multiplier: tier.multiplier } : null;
+  }
+
+  /**
+   * Award a pending referral when a receipt award takes the referred user past the
+   * threshold of the campaign the referral was accepted under. Only users who accepted a
+   * referral (referredBy) are looked up, so other scans don't query referrals.
+   * Never throws; a failed check only skips the bonus.
+   * @param {{previousPoints: number, newPointsBalance: number, referredBy: string|null}} award - From awardReceiptPoints
+   */
+  async function awardReferralOnThresholdCross(db, uid, { previousPoints, newPointsBalance, referredBy }, via) {
+    if (!referredBy || !(newPointsBalance > previousPoints)) return;
+    try {
+      const referralSnap = await db.collection('referrals')
+        .where('referredUserId', '==', uid)
+        .limit(1)
+        .get();
+
+      if (!referralSnap.empty) {
+        const referralDoc = referralSnap.docs[0];
+        const referralId = referralDoc.id;
+        const referralData = referralDoc.data();
+        const { referralBonusPoints } = await getPointsEarningConfig(db);
+        const { pointsThreshold } = referralTermsOf(referralData, referralBonusPoints);
+
+        if (referralData.status === 'pending' && previousPoints < pointsThreshold && newPointsBalance >= pointsThreshold) {
+          logger.info(`✅ User ${uid} crossed ${pointsThreshold}-point referral threshold via ${via} (${previousPoints} → ${newPointsBalance})`);
+          const awardResult = await awardReferralPoints(db, referralId, referralData.referrerUserId, uid);
+          if (awardResult.success) {
+            logger.info(`🎉 Referral ${referralId} awarded via ${via}! Referrer: +${awardResult.referrerBonus}, Referred: +${awardResult.referredBonus}`);
+          } else {
+            logger.warn(`⚠️ Failed to award referral via ${via}: ${awardResult.error}`);
+          }
+        }
+      }
+    } catch (referralError) {
+      logger.error(`❌ Error checking referral after ${via} (non-blocking):`, referralError);
+    }
+  }
+
+  /**
+   * Queue a borderline scan for manual review instead of awarding or rejecting it.
+   * Keeps the image in Storage until a reviewer resolves it. Throws DUPLICATE_RECEIPT
+   * if the receipt was already awarded or is already waiting in the queue.
+   * @returns {Promise<string>} Review id
+   */
+  async function queueReceiptForReview(db, { uid, data, orderTotal, receiptYear, reasons, passes, imagePath, imageHash, userTimeZone, locationId }) {
+    const reviewRef = db.collection(RECEIPT_REVIEWS_COLLECTION).doc();
+    const receiptsRef = db.collection('receipts');
+    const reviewsRef = db.collection(RECEIPT_REVIEWS_COLLECTION);
+    const fields = {
+      orderNumber: String(data.orderNumber),
+      orderDate: data.orderDate,
+      orderTime: data.orderTime,
+      orderTotal
+    };
+
+    await db.runTransaction(async (tx) => {
+      for (const q of buildReceiptDuplicateQueries(receiptsRef, fields)) {
+        const snap = await tx.get(q);
+        if (isDuplicateAtLocation(snap, locationId)) {
+          const err = new Error("DUPLICATE_RECEIPT");
+          err.code = "DUPLICATE_RECEIPT";
+          throw err;
+        }
+      }
+      const pendingSnap = await tx.get(
+        reviewsRef.where('orderNumber', '==', fields.orderNumber).where('orderDate', '==', fields.orderDate).limit(RECEIPT_DUPLICATE_QUERY_LIMIT)
+      );
+      if (pendingSnap.docs.some(doc => doc.get('status') === 'pending' && locationIdOf(doc.data()) === locationId)) {
+        const err = new Error("DUPLICATE_RECEIPT");
+        err.code = "DUPLICATE_RECEIPT";
+        throw err;
+      }
+
+      tx.set(reviewRef, {
+        userId: uid,
+        status: 'pending',
+        reasons,
+        ...fields,
+        locationId,
+        receiptYear,
+        userTimeZone,
+        imageHash: imageHash || null,
+        passes: passes.map(p => ({
+          orderNumber: p.orderNumber ?? null,
+          orderTotal: p.orderTotal ?? null,
+          orderDate: p.orderDate ?? null,
+          orderTime: p.orderTime ?? null,
+          subtotalAmount: p.subtotalAmount ?? null,
+          taxAmount: p.taxAmount ?? null,
+          totalAmount: p.totalAmount ?? null,
+          tipAmount: p.tipAmount ?? null,
+          feeAmount: p.feeAmount ?? null
+        })),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    // Keep the image for the reviewer (no 48h expiry until the review is resolved)
+    try {
+      const bucket = admin.storage().bucket('dumplinghouseapp.firebasestorage.app');
+      const storagePath = `receipt_review_images/${reviewRef.id}.jpg`;
+      await bucket.file(storagePath).save(await fsPromises.readFile(imagePath), { contentType: 'image/jpeg' });
+      await reviewRef.update({ imageStoragePath: storagePath });
+    } catch (uploadErr) {
+      logger.error('❌ Failed to store review receipt image (non-blocking):', uploadErr.message || uploadErr);
+    }
+
+    return reviewRef.id;
+  }
+
   // Receipt submit endpoint (server-authoritative points awarding)
   // This endpoint validates the receipt and awards points atomically on the server.
   // It does NOT rely on the client to update points, improving integrity.
@@ -3292,6 +4309,10 @@ If a field is missing, use null.`;
     try {
       logger.info('📥 Received receipt SUBMISSION request');
 
+      if (receiptPhotoScansUnconfigured) {
+        return sendError(res, 503, 'AI_NOT_CONFIGURED', 'Receipt scanning is unavailable: OPENAI_API_KEY is not configured');
+      }
+
       const uid = req.auth.uid;
 
       if (!req.file) {
@@ -3351,129 +4372,24 @@ If a field is missing, use null.`;
         );
       }
 
-      // Reuse the same strict prompt as /analyze-receipt (kept in sync).
-      const prompt = `You are a receipt parser for Dumpling House. Follow these STRICT validation rules:
-
-VALIDATION RULES:
-1. If there are NO words stating "Dumpling House" at the top of the receipt, return {"error": "Invalid receipt - must be from Dumpling House"}
-2. If there is anything covering up numbers or text on the receipt, and it affects the ORDER NUMBER, TOTAL, DATE, or TIME, treat this as tampering and do NOT accept the receipt.
-3. TAMPERING DETECTION: Look for signs of obvious tampering or manipulation, especially on the ORDER NUMBER, TOTAL, DATE, or TIME:
-   - If numbers appear to be digitally altered, edited, or photoshopped, return {"error": "Receipt appears to be tampered with - digital manipulation detected"}
-   - If you can see evidence this is a photo of a screen/monitor (pixel patterns, screen glare, moiré effect), return {"error": "Invalid - please scan the original physical receipt, not a photo of a screen"}
-   - If you can see this is a photo of another photo (edges of another photo visible, photo paper texture), return {"error": "Invalid - please scan the original receipt, not a photo of a photo"}
-   - If numbers appear to be written over, crossed out, scribbled on, whited-out, or manually changed on the ORDER NUMBER, TOTAL, DATE, or TIME, return {"error": "Receipt appears to be tampered with - numbers have been altered"}
-   - IMPORTANT: Employee checkmarks, circles, or handwritten notes on items are NORMAL and ALLOWED ONLY if they do NOT cover the digits of the ORDER NUMBER, TOTAL, DATE, or TIME. If any marking crosses through or obscures the digits of these key fields, treat it as tampering.
-   - If the receipt looks artificially brightened or enhanced to hide alterations, return {"error": "Receipt appears to be digitally modified"}
-4. CRITICAL LOCATION: The order number is ALWAYS directly underneath the word "Nashville" on the receipt. Look for "Nashville" and find the number immediately below it.
-5. For DINE-IN orders: The order number is the BIGGER number inside the black box with white text, located directly under "Nashville". IGNORE any smaller numbers below the black box - those are NOT the order number.
-6. For PICKUP orders: The order number is found directly underneath the word "Nashville" and may not be in a black box.
-7. The order number is NEVER found further down on the receipt - it's always in the top section under "Nashville"
-8. PAID ONLINE RECEIPTS (NO BLACK BOX): On the rare chance that there is NO black box at all for the order number anywhere in the top section under "Nashville", look to see if you can find that the receipt indicates it was paid online. This may appear as:
-   - "paid online"
-   - "customer paid online"
-   - "new customer paid online"
-   - or the words "paid" and "online" close together (even if split across lines).
-   - If you do NOT see the words "paid online" anywhere on the receipt, you MUST NOT guess the order number from anywhere else. In this case, return {"error": "No valid order number found under Nashville"}.
-   - If you DO see "paid online" on the receipt, the ONLY valid order number is the number in bold font that appears immediately next to the label "Order:" on the ticket. You MUST:
-     * Read the number that is in bold font right next to "Order:".
-     * Treat this as the order number ONLY if it is clearly readable, not tampered with, and within the valid range (see below).
-     * NOT use any other numbers anywhere else on the receipt as the order number.
-   - If "paid online" is present but there is no clear bold number right next to "Order:", or that number is unclear, obscured, or tampered with, you MUST return {"error": "No valid order number found next to 'Order:' for paid online receipt"} and NOT guess from anywhere else on the receipt.
-9. If the order number is more than 3 digits, it cannot be the order number - look for a smaller number
-10. Order numbers CANNOT be greater than 400 - if you see a number over 400, it's not the order number and should be ignored completely
-10. CRITICAL: If the receipt is faded, blurry, hard to read, or if ANY numbers in the ORDER NUMBER, TOTAL, DATE, or TIME are unclear or difficult to see, return {"error": "Receipt is too faded or unclear - please take a clearer photo"} - DO NOT attempt to guess or estimate any numbers
-11. If the image quality is poor and numbers (especially the ORDER NUMBER, TOTAL, DATE, or TIME) are blurry, unclear, or hard to read, return {"error": "Poor image quality - please take a clearer photo"}
-12. ALWAYS return the date as MM/DD format only (no year, no other format). If the receipt prints the date with a hyphen (MM-DD), convert it to MM/DD in your output.
-13. CRITICAL: You MUST double-check all extracted information before returning it. Verify that the order number, total, and date are accurate and match what you see on the receipt. This is essential for preventing system abuse and maintaining data integrity.
-
-EXTRACTION RULES:
-- orderNumber: CRITICAL - Find the number INSIDE the black box with white text that is located directly underneath the word "Nashville" on the receipt. This black box is the ONLY valid source for the order number when a black box is present. On pickup receipts, the order number may be directly under "Nashville" without a black box. On receipts where there is no such black box at all, you MUST follow the paid-online rules described above: only use the bold number immediately next to "Order:" on receipts that clearly say "paid online", and otherwise return an appropriate error without guessing from anywhere else on the receipt.
-- orderTotal: The total amount paid (as a number, e.g. 23.45)
-- orderDate: The date in MM/DD format only (e.g. "12/25")
-- orderTime: The time in HH:MM format only (e.g. "14:30"). This is always located to the right of the date on the receipt.
-- subtotalAmount: The SUBTOTAL amount as a number (e.g. 15.95) or null if not visible.
-- taxAmount: The TAX amount as a number (e.g. 1.60) or null if not visible.
-- totalAmount: The TOTAL amount as a number (should match orderTotal) or null if not visible.
-- tipAmount: The TIP/GRATUITY amount as a number (e.g. 4.81) or null if not visible.
-- feeAmount: Any CONVENIENCE FEE, SERVICE FEE, DELIVERY FEE, or other additional fees as a number (e.g. 1.00) or null if not visible. Look for fees labeled as "Conv Fee", "Convenience Fee", "Service Fee", "Delivery Fee", or similar charges between tip and total.
-- subtotalLineVisible: true only if the Subtotal line (label + digits) is clearly visible. Otherwise false.
-- taxLineVisible: true only if the Tax line (label + digits) is clearly visible. Otherwise false.
-- totalLineVisible: true only if the Total line (label + digits) is clearly visible. Otherwise false.
-- tipLineVisible: true only if the Tip/Gratuity line (label + digits) is clearly visible. Otherwise false.
-- feeLineVisible: true only if a fee line (Conv Fee, Convenience Fee, Service Fee, Delivery Fee, etc. with label + digits) is clearly visible. Otherwise false.
-
-VISIBILITY & TAMPERING FLAGS:
-- You MUST also return the following boolean flags describing the visibility and tampering status of each key field:
-  - totalVisibleAndClear: true if the TOTAL digits are fully visible, unobscured, and clearly readable. false if any part of the total is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
-  - orderNumberVisibleAndClear: true if the ORDER NUMBER digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
-  - dateVisibleAndClear: true if the DATE digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
-  - timeVisibleAndClear: true if the TIME digits are fully visible, unobscured, and clearly readable. false if any part is blurred, cropped, covered, scribbled on, crossed out, or otherwise unclear.
-- You MUST also return:
-  - keyFieldsTampered: true if you see ANY evidence of scribbles, crossings-out, overwriting, white-out, or manual changes on the ORDER NUMBER, TOTAL, DATE, or TIME. Otherwise false.
-  - tamperingReason: a short string explaining the tampering if keyFieldsTampered is true (for example: "date is scribbled over", "order number crossed out and rewritten", or "heavy marker drawn over total").
-  - orderNumberInBlackBox: true if and only if the orderNumber you returned was read from INSIDE the black box directly under "Nashville". If there is no black box or no number inside it, set this to false.
-  - orderNumberDirectlyUnderNashville: true if and only if the orderNumber you returned was read from the number immediately under the word "Nashville" in the top section (pickup receipts may not show a black box). If you did NOT use that number, set this to false.
-  - paidOnlineReceipt: true if and only if the receipt clearly contains the words "paid online" and you are using the paid-online fallback path (bold number next to "Order:") described above. Otherwise false.
-  - orderNumberFromPaidOnlineSection: true if and only if the orderNumber you returned was read from the bold number immediately next to the label "Order:" on a paid-online receipt. Otherwise false.
-
-IMPORTANT: 
-- CRITICAL LOCATION: The only valid order number is the number inside the black box with white text directly underneath the word "Nashville" on the receipt, OR (for pickup) the number directly underneath "Nashville", OR (paid online fallback) the bold number next to "Order:".
-- TIME LOCATION: The time is ALWAYS located to the right of the date on the receipt and must be in HH:MM format.
-- If you cannot clearly read the numbers due to poor image quality, DO NOT GUESS. Return an error instead.
-- If the receipt is faded, blurry, or any numbers are unclear, DO NOT ATTEMPT TO READ THEM. Return an error immediately.
-- Order numbers must be between 1-400. Any number over 400 is completely invalid and should not be returned at all.
-- If the only numbers you see are over 400, return {"error": "No valid order number found - order numbers must be under 400"}
-- DOUBLE-CHECK REQUIREMENT: Before returning any data, carefully review the extracted order number, total, date, and time to ensure they are accurate and match the receipt. Also carefully review whether any part of these fields is obscured or tampered with, and set the visibility/tampering flags accordingly. This verification step is crucial for preventing fraud and maintaining system integrity.
-- SAFETY FIRST: It's better to reject a receipt and ask for a clearer photo than to guess and return incorrect information. If you are not highly confident about any of the key fields, treat the receipt as invalid and return an error message instead of guessing.
-
-Respond ONLY as a JSON object with this exact shape:
-{"orderNumber": "...", "orderTotal": ..., "orderDate": "...", "orderTime": "...", "subtotalAmount": ..., "taxAmount": ..., "totalAmount": ..., "tipAmount": ..., "feeAmount": ..., "subtotalLineVisible": true/false, "taxLineVisible": true/false, "totalLineVisible": true/false, "tipLineVisible": true/false, "feeLineVisible": true/false, "totalVisibleAndClear": true/false, "orderNumberVisibleAndClear": true/false, "dateVisibleAndClear": true/false, "timeVisibleAndClear": true/false, "keyFieldsTampered": true/false, "tamperingReason": "...", "orderNumberInBlackBox": true/false, "orderNumberDirectlyUnderNashville": true/false, "paidOnlineReceipt": true/false, "orderNumberFromPaidOnlineSection": true/false} 
-or {"error": "error message"}.
-If a field is missing, use null.`;
-
-      logger.info('🤖 Sending request to OpenAI for FIRST validation (submit-receipt)...');
-      const response1 = await openaiWithTimeout(openai, {
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              { type: "image_url", image_url: { url: `data:image/jpeg;base64,${imageData}` } }
-            ]
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.1
-      });
+      // Store the receipt is from (older clients don't send one: the original store)
+      const location = await resolveLocation(db, req.body?.locationId || req.headers['x-location-id']);
+      if (!location) {
+        return sendError(res, 400, "LOCATION_INVALID", "Unknown or inactive store location");
+      }
+      const receiptProfile = location.receiptProfile;
 
-      logger.info('🤖 Sending request to OpenAI for SECOND validation (submit-receipt)...');
-      const response2 = await openaiWithTimeout(openai, {
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              { type: "image_url", image_url: { url: `data:image/jpeg;base64,${imageData}` } }
-            ]
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.1
+      logger.info(`🤖 Extracting receipt with "${receiptExtractionProvider.name}" provider (submit-receipt, location ${location.id})...`);
+      const extraction = await receiptExtractionProvider.extract({
+        imageBase64: imageData,
+        mode: 'submit',
+        ocrText: req.body?.ocrText,
+        profile: receiptProfile
       });
 
       // Do NOT unlink here — keep file for Storage upload after successful transaction (see below).
-      const extractJson = (text) => {
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) return null;
-        return JSON.parse(jsonMatch[0]);
-      };
-
-      const text1 = response1.choices[0].message.content;
-      const text2 = response2.choices[0].message.content;
-      const data1 = extractJson(text1);
-      const data2 = extractJson(text2);
+      const [text1, text2] = extraction.raw;
+      const [data1, data2] = extraction.passes;
       
       if (!data1) {
         await logFailureAndCheckLockout(uid, "AI_JSON_EXTRACT_FAILED", db, ipAddress);
@@ -3494,52 +4410,20 @@ If a field is missing, use null.`;
       }
 
       // Normalize before comparing
-      const normalizeOrderDate = (v) => (typeof v === 'string' ? v.trim().replace(/-/g, '/') : v);
-      const normalizeOrderTime = (v) => (typeof v === 'string' ? v.trim() : v);
-      const normalizeOrderNumber = (v) => {
-        if (v === null || v === undefined) return v;
-        const s = String(v).trim();
-        if (/^\d+$/.test(s)) return String(parseInt(s, 10));
-        return s;
-      };
-      const normalizeMoney = (v) => {
-        if (v === null || v === undefined) return v;
-        const n = typeof v === 'number' ? v : parseFloat(String(v).trim());
-        if (Number.isNaN(n)) return v;
-        return Math.round(n * 100) / 100;
-      };
-      const normalizeParsedReceipt = (d) => ({
-        ...d,
-        orderNumber: normalizeOrderNumber(d.orderNumber),
-        orderTotal: normalizeMoney(d.orderTotal),
-        orderDate: normalizeOrderDate(d.orderDate),
-        orderTime: normalizeOrderTime(d.orderTime),
-        subtotalAmount: normalizeMoney(d.subtotalAmount),
-        taxAmount: normalizeMoney(d.taxAmount),
-        totalAmount: normalizeMoney(d.totalAmount),
-        tipAmount: normalizeMoney(d.tipAmount),
-        feeAmount: normalizeMoney(d.feeAmount),
-      });
       const norm1 = normalizeParsedReceipt(data1);
       const norm2 = normalizeParsedReceipt(data2);
 
-      const responsesMatch =
-        norm1.orderNumber === norm2.orderNumber &&
-        norm1.orderTotal === norm2.orderTotal &&
-        norm1.orderDate === norm2.orderDate &&
-        norm1.orderTime === norm2.orderTime &&
-        norm1.subtotalAmount === norm2.subtotalAmount &&
-        norm1.taxAmount === norm2.taxAmount &&
-        norm1.totalAmount === norm2.totalAmount &&
-        norm1.tipAmount === norm2.tipAmount &&
-        norm1.feeAmount === norm2.feeAmount &&
-        norm1.subtotalLineVisible === norm2.subtotalLineVisible &&
-        norm1.taxLineVisible === norm2.taxLineVisible &&
-        norm1.totalLineVisible === norm2.totalLineVisible &&
-        norm1.tipLineVisible === norm2.tipLineVisible &&
-        norm1.feeLineVisible === norm2.feeLineVisible;
+      const responsesMatch = receiptPassesAgree(norm1, norm2, SUBMIT_AGREEMENT_FIELDS);
+      const disagreeingFields = responsesMatch ? [] : findDisagreeingFields(norm1, norm2, SUBMIT_AGREEMENT_FIELDS);
 
-      if (!responsesMatch) {
+      // Borderline outcomes collected below; if any are present the scan is queued for manual review
+      const reviewReasons = [];
+
+      if (!responsesMatch && RECEIPT_REVIEW_ENABLED && disagreeingFields.length === 1) {
+        const [field] = disagreeingFields;
+        logger.info(`🔎 Double-parse mismatch on a single field (${field}); continuing toward manual review`);
+        reviewReasons.push({ code: 'SINGLE_FIELD_MISMATCH', field, values: [norm1[field] ?? null, norm2[field] ?? null] });
+      } else if (!responsesMatch) {
         logger.info('⚠️ Double-parse mismatch details:', {
           orderNumber1: norm1.orderNumber,
           orderNumber2: norm2.orderNumber,
@@ -3703,13 +4587,13 @@ If a field is missing, use null.`;
       const keyFieldsTampered = data.keyFieldsTampered;
       const tamperingReason = data.tamperingReason;
       const orderNumberInBlackBox = data.orderNumberInBlackBox;
-      const orderNumberDirectlyUnderNashville = data.orderNumberDirectlyUnderNashville;
+      const orderNumberDirectlyUnderAnchor = data.orderNumberDirectlyUnderAnchor;
       const paidOnlineReceipt = data.paidOnlineReceipt;
       const orderNumberFromPaidOnlineSection = data.orderNumberFromPaidOnlineSection;
 
       const orderNumberSourceIsValid =
         orderNumberInBlackBox === true ||
-        orderNumberDirectlyUnderNashville === true ||
+        orderNumberDirectlyUnderAnchor === true ||
         orderNumberFromPaidOnlineSection === true;
 
       if (
@@ -3726,7 +4610,7 @@ If a field is missing, use null.`;
             return sendError(res, 400, "ORDER_NUMBER_SOURCE_INVALID", "No valid order number found next to 'Order:' for paid online receipt");
           }
           await logFailureAndCheckLockout(uid, "ORDER_NUMBER_SOURCE_INVALID", db, ipAddress);
-          return sendError(res, 400, "ORDER_NUMBER_SOURCE_INVALID", "No valid order number found under Nashville");
+          return sendError(res, 400, "ORDER_NUMBER_SOURCE_INVALID", `No valid order number found under ${receiptProfile.orderNumberAnchor}`);
         }
         const failureReason = keyFieldsTampered ? "KEY_FIELDS_TAMPERED" : "KEY_FIELDS_INVALID";
         await logFailureAndCheckLockout(uid, failureReason, db, ipAddress);
@@ -3736,24 +4620,11 @@ If a field is missing, use null.`;
         return sendError(res, 400, "KEY_FIELDS_INVALID", msg, { tamperingReason: tamperingReason || null });
       }
 
-      // Validate order number format (must be 3 digits or less and not exceed 400)
-      const orderNumberStr = data.orderNumber.toString();
-      if (orderNumberStr.length > 3) {
-        await logFailureAndCheckLockout(uid, "ORDER_NUMBER_INVALID", db, ipAddress);
-        return sendError(res, 400, "ORDER_NUMBER_INVALID", "Invalid order number format - must be 3 digits or less");
-      }
-      const orderNumber = parseInt(data.orderNumber);
-      if (isNaN(orderNumber)) {
-        await logFailureAndCheckLockout(uid, "ORDER_NUMBER_INVALID", db, ipAddress);
-        return sendError(res, 400, "ORDER_NUMBER_INVALID", "Invalid order number - must be a valid number");
-      }
-      if (orderNumber < 1) {
+      // Validate order number against the store's POS range (digits + min/max)
+      const orderNumberProblem = describeOrderNumberProblem(data.orderNumber, receiptProfile);
+      if (orderNumberProblem) {
         await logFailureAndCheckLockout(uid, "ORDER_NUMBER_INVALID", db, ipAddress);
-        return sendError(res, 400, "ORDER_NUMBER_INVALID", "Invalid order number - must be at least 1");
-      }
-      if (orderNumber > 400) {
-        await logFailureAndCheckLockout(uid, "ORDER_NUMBER_INVALID", db, ipAddress);
-        return sendError(res, 400, "ORDER_NUMBER_INVALID", "Invalid order number - must be 400 or less");
+        return sendError(res, 400, "ORDER_NUMBER_INVALID", orderNumberProblem);
       }
 
       // Validate date/time formats
@@ -3775,10 +4646,18 @@ If a field is missing, use null.`;
 
       // Validate order total
       const orderTotal = parseFloat(data.orderTotal);
-      if (isNaN(orderTotal) || orderTotal < 1 || orderTotal > 500) {
+      const totalInReviewBand = RECEIPT_REVIEW_ENABLED &&
+        orderTotal > RECEIPT_MAX_AUTO_TOTAL && orderTotal <= RECEIPT_REVIEW_TOTAL_MAX;
+      if (isNaN(orderTotal) || orderTotal < 1 || (orderTotal > RECEIPT_MAX_AUTO_TOTAL && !totalInReviewBand)) {
         await logFailureAndCheckLockout(uid, "TOTAL_INVALID", db, ipAddress);
         return sendError(res, 400, "TOTAL_INVALID", "Invalid order total - must be a reasonable amount between $1 and $500");
       }
+      if (RECEIPT_REVIEW_ENABLED && orderTotal >= RECEIPT_REVIEW_TOTAL_MIN) {
+        reviewReasons.push({
+          code: orderTotal > RECEIPT_MAX_AUTO_TOTAL ? 'TOTAL_ABOVE_LIMIT' : 'TOTAL_NEAR_LIMIT',
+          orderTotal
+        });
+      }
 
       // 48-hour expiration logic (same as analyze endpoint, with admin override)
       const [month, day] = data.orderDate.split('/').map(Number);
@@ -3801,8 +4680,13 @@ If a field is missing, use null.`;
         logger.warn('⚠️ Failed to evaluate admin old-receipt test override (submit-receipt):', err.message || err);
       }
 
-      const receiptDateThisYear = new Date(currentDate.getFullYear(), month - 1, day, h, m, 0, 0);
-      const receiptDatePrevYear = new Date(currentDate.getFullYear() - 1, month - 1, day, h, m, 0, 0);
+      // Receipt wall-clock time is the store's local time
+      const { thisYear: receiptDateThisYear, prevYear: receiptDatePrevYear } =
+        receiptPurchaseCandidates(month, day, h, m, location.timeZone, currentDate);
+      if (!receiptDateThisYear) {
+        await logFailureAndCheckLockout(uid, "DATE_FORMAT_INVALID", db, ipAddress);
+        return sendError(res, 400, "DATE_FORMAT_INVALID", "Invalid receipt date - please take a clearer photo");
+      }
       const hoursDiffThisYear = (currentDate - receiptDateThisYear) / (1000 * 60 * 60);
       const hoursDiffPrevYear = (currentDate - receiptDatePrevYear) / (1000 * 60 * 60);
 
@@ -3831,190 +4715,92 @@ If a field is missing, use null.`;
         await logFailureAndCheckLockout(uid, "EXPIRED_48H", db, ipAddress);
         return sendError(res, 400, "EXPIRED_48H", "Receipt expired - receipts must be scanned within 48 hours of purchase");
       }
+      const purchasedAt = DateTime.fromJSDate(receiptDate).setZone(location.timeZone);
+      const receiptYear = purchasedAt.year;
 
-      // Award points atomically with server-side duplicate prevention
-      const pointsAwarded = Math.floor(orderTotal * 5);
-      const userRef = db.collection('users').doc(uid);
-      const receiptsRef = db.collection('receipts');
-      const pointsTxId = `receipt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const dailyCounterRef = db
-        .collection(RECEIPT_DAILY_COUNTERS_COLLECTION)
-        .doc(`${uid}_${userLocalDayKey}`);
-
-      let newPointsBalance = null;
-      let newLifetimePoints = null;
-      let savedReceiptId = null;
-      let currentPoints = 0; // Capture current points for referral check
-      let shouldUpdateRiskScore = false;
-
-      try {
-        await db.runTransaction(async (tx) => {
-          // Load user (needed for admin bypass + streak tracking)
-          const userDoc = await tx.get(userRef);
-          if (!userDoc.exists) {
-            const err = new Error("USER_NOT_FOUND");
-            err.code = "USER_NOT_FOUND";
-            throw err;
-          }
-          const userData = userDoc.data() || {};
-          const isAdminUser = userData.isAdmin === true;
+      // Perceptual hash of the photo; catches the same paper receipt scanned with different extracted details
+      const imageHash = await computeImageHashInWorker(Buffer.from(imageData, 'base64'));
+      if (!imageHash) {
+        logger.warn('⚠️ Could not compute receipt image hash (image not decodable as JPEG)');
+      }
 
-          // Enforce daily successful scan cap atomically (prevents races between devices)
-          // Admins bypass the daily cap (keeps behavior consistent with the pre-check).
-          const dailyCounterDoc = await tx.get(dailyCounterRef);
-          const currentDailyCount = dailyCounterDoc.exists ? (dailyCounterDoc.data()?.count || 0) : 0;
-          if (!isAdminUser && currentDailyCount >= RECEIPT_DAILY_SUCCESS_LIMIT) {
-            const err = new Error("DAILY_RECEIPT_LIMIT_REACHED");
-            err.code = "DAILY_RECEIPT_LIMIT_REACHED";
-            throw err;
+      if (reviewReasons.length > 0) {
+        try {
+          const reviewId = await queueReceiptForReview(db, {
+            uid,
+            data,
+            orderTotal,
+            receiptYear,
+            reasons: reviewReasons,
+            passes: [norm1, norm2],
+            imagePath,
+            imageHash,
+            userTimeZone,
+            locationId: location.id
+          });
+          logger.info(`🔎 Receipt queued for manual review ${reviewId} (user ${uid}):`, reviewReasons.map(r => r.code).join(', '));
+          if (imageHash) {
+            new SuspiciousBehaviorService(db).checkReceiptImageHash(uid, { imageHash, reviewId }).catch(() => {});
           }
-
-          // Duplicate detection (same logic as analyze endpoint)
-          // Support legacy orderNumber type (string vs number) for duplicate detection
-          const orderNumberStrForDup = String(data.orderNumber);
-          const orderNumberNumForDup = parseInt(orderNumberStrForDup, 10);
-          const orderNumberVariants = [orderNumberStrForDup];
-          if (!isNaN(orderNumberNumForDup)) orderNumberVariants.push(orderNumberNumForDup);
-
-          const duplicateQueries = [
-            receiptsRef.where('orderDate', '==', data.orderDate).where('orderTime', '==', data.orderTime).limit(1),
-            receiptsRef.where('orderDate', '==', data.orderDate).where('orderTime', '==', data.orderTime).where('orderTotal', '==', orderTotal).limit(1)
-          ];
-          for (const variant of orderNumberVariants) {
-            duplicateQueries.push(
-              receiptsRef.where('orderNumber', '==', variant).where('orderDate', '==', data.orderDate).limit(1)
-            );
-            duplicateQueries.push(
-              receiptsRef.where('orderNumber', '==', variant).where('orderTime', '==', data.orderTime).limit(1)
+          return res.status(202).json({
+            status: 'needs_review',
+            needsReview: true,
+            reviewId,
+            message: "Thanks! This receipt needs a quick manual check. We'll notify you as soon as it's reviewed."
+          });
+        } catch (e) {
+          if (e && e.code === "DUPLICATE_RECEIPT") {
+            return sendError(
+              res,
+              409,
+              "DUPLICATE_RECEIPT",
+              "Receipt already submitted - this receipt has already been processed and points will not be awarded",
+              { duplicate: true }
             );
           }
-          for (const q of duplicateQueries) {
-            const snap = await tx.get(q);
-            if (!snap.empty) {
-              const err = new Error("DUPLICATE_RECEIPT");
-              err.code = "DUPLICATE_RECEIPT";
-              throw err;
-            }
-          }
-          currentPoints = userData.points || 0; // Update outer variable
-          const currentLifetime = (typeof userData.lifetimePoints === 'number')
-            ? userData.lifetimePoints
-            : currentPoints;
-          newPointsBalance = currentPoints + pointsAwarded;
-          newLifetimePoints = currentLifetime + pointsAwarded;
+          logger.error('❌ Failed to queue receipt for review:', e);
+          return sendError(res, 500, "SERVER_REVIEW_QUEUE_FAILED", "Server error while submitting receipt - please try again");
+        }
+      }
 
-          // Save receipt record (for future duplicate checks + auditing + admin detail)
-          const receiptDocRef = receiptsRef.doc();
-          savedReceiptId = receiptDocRef.id;
-          const receiptPayload = {
+      // Points come from the configurable earning rules, evaluated at the receipt's
+      // purchase time (wall clock on the receipt, in the store's timezone)
+      const pointsEarningConfig = await getPointsEarningConfig(db);
+
+      // Award points atomically with server-side duplicate prevention
+      const receiptFields = { source: 'photo' };
+      if (imageHash) {
+        receiptFields.imageHash = imageHash;
+        receiptFields.imageHashBands = imageHashBands(imageHash);
+      }
+      // Optional visibility/tampering fields for admin error detection
+      if (data.totalVisibleAndClear !== undefined) receiptFields.totalVisibleAndClear = data.totalVisibleAndClear === true;
+      if (data.orderNumberVisibleAndClear !== undefined) receiptFields.orderNumberVisibleAndClear = data.orderNumberVisibleAndClear === true;
+      if (data.dateVisibleAndClear !== undefined) receiptFields.dateVisibleAndClear = data.dateVisibleAndClear === true;
+      if (data.timeVisibleAndClear !== undefined) receiptFields.timeVisibleAndClear = data.timeVisibleAndClear === true;
+      if (data.keyFieldsTampered !== undefined) receiptFields.keyFieldsTampered = data.keyFieldsTampered === true;
+      if (data.tamperingReason != null && String(data.tamperingReason).trim()) receiptFields.tamperingReason = String(data.tamperingReason).trim().slice(0, 500);
+      if (data.orderNumberInBlackBox !== undefined) receiptFields.orderNumberInBlackBox = data.orderNumberInBlackBox === true;
+      if (data.paidOnlineReceipt !== undefined) receiptFields.paidOnlineReceipt = data.paidOnlineReceipt === true;
+      if (data.orderNumberFromPaidOnlineSection !== undefined) receiptFields.orderNumberFromPaidOnlineSection = data.orderNumberFromPaidOnlineSection === true;
+
+      let award;
+      try {
+        award = await awardReceiptPoints(db, {
+          uid,
+          fields: {
             orderNumber: String(data.orderNumber),
             orderDate: data.orderDate,
             orderTime: data.orderTime,
-            orderTotal: orderTotal,
-            userId: uid,
-            pointsAwarded,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-          };
-          // Optional visibility/tampering fields for admin error detection
-          if (data.totalVisibleAndClear !== undefined) receiptPayload.totalVisibleAndClear = data.totalVisibleAndClear === true;
-          if (data.orderNumberVisibleAndClear !== undefined) receiptPayload.orderNumberVisibleAndClear = data.orderNumberVisibleAndClear === true;
-          if (data.dateVisibleAndClear !== undefined) receiptPayload.dateVisibleAndClear = data.dateVisibleAndClear === true;
-          if (data.timeVisibleAndClear !== undefined) receiptPayload.timeVisibleAndClear = data.timeVisibleAndClear === true;
-          if (data.keyFieldsTampered !== undefined) receiptPayload.keyFieldsTampered = data.keyFieldsTampered === true;
-          if (data.tamperingReason != null && String(data.tamperingReason).trim()) receiptPayload.tamperingReason = String(data.tamperingReason).trim().slice(0, 500);
-          if (data.orderNumberInBlackBox !== undefined) receiptPayload.orderNumberInBlackBox = data.orderNumberInBlackBox === true;
-          if (data.paidOnlineReceipt !== undefined) receiptPayload.paidOnlineReceipt = data.paidOnlineReceipt === true;
-          if (data.orderNumberFromPaidOnlineSection !== undefined) receiptPayload.orderNumberFromPaidOnlineSection = data.orderNumberFromPaidOnlineSection === true;
-          tx.set(receiptDocRef, receiptPayload);
-
-          // Save points transaction
-          tx.set(db.collection('pointsTransactions').doc(pointsTxId), {
-            userId: uid,
-            type: 'receipt_scan',
-            amount: pointsAwarded,
-            description: `Receipt Scan - $${orderTotal.toFixed(2)}`,
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
-            metadata: {
-              orderNumber: String(data.orderNumber),
-              orderDate: data.orderDate,
-              orderTime: data.orderTime,
-              orderTotal: orderTotal
-            }
-          });
-
-          // Increment daily counter inside the same transaction (skip for admins)
-          const newDailyCount = isAdminUser ? currentDailyCount : (currentDailyCount + 1);
-          if (!isAdminUser) {
-            tx.set(
-              dailyCounterRef,
-              {
-                userId: uid,
-                day: userLocalDayKey,
-                timeZone: userTimeZone,
-                count: newDailyCount,
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-              },
-              { merge: true }
-            );
-          }
-
-          // Update user points (and, if applicable, daily-limit streak fields)
-          const userUpdate = {
-            points: newPointsBalance,
-            lifetimePoints: newLifetimePoints
-          };
-
-          // If the user just hit the daily cap today, update streak metadata.
-          if (!isAdminUser && newDailyCount === RECEIPT_DAILY_SUCCESS_LIMIT) {
-            const prevLastHitDay = (typeof userData.receiptLimitLastHitDay === 'string')
-              ? userData.receiptLimitLastHitDay
-              : null;
-            const prevStreak = (typeof userData.receiptLimitHitStreak === 'number')
-              ? userData.receiptLimitHitStreak
-              : 0;
-
-            const isConsecutive = (prevLastHitDay === userLocalYesterdayKey);
-            const newStreak = isConsecutive ? (prevStreak > 0 ? prevStreak + 1 : 2) : 1;
-
-            userUpdate.receiptLimitLastHitDay = userLocalDayKey;
-            userUpdate.receiptLimitLastTimeZone = userTimeZone;
-            userUpdate.receiptLimitHitStreak = newStreak;
-
-            // Flag only when they hit the limit 2 days in a row (first time).
-            if (newStreak === 2) {
-              const flagType = 'receipt_daily_limit_2days';
-              const severity = 'medium';
-              const evidence = {
-                day: userLocalDayKey,
-                timeZone: userTimeZone,
-                limit: RECEIPT_DAILY_SUCCESS_LIMIT,
-                streak: newStreak
-              };
-              const riskScore = calculateSuspiciousRiskScore(severity, evidence);
-
-              const flagId = `${flagType}_${uid}_${userLocalDayKey}`;
-              const flagRef = db.collection('suspiciousFlags').doc(flagId);
-
-              tx.set(flagRef, {
-                userId: uid,
-                flagType,
-                severity,
-                riskScore,
-                description: 'Hit daily receipt scan limit on 2 consecutive days',
-                evidence,
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                status: 'pending',
-                reviewedBy: null,
-                reviewedAt: null,
-                reviewNotes: null,
-                actionTaken: null
-              }, { merge: true });
-
-              shouldUpdateRiskScore = true;
-            }
-          }
-
-          tx.update(userRef, userUpdate);
+            orderTotal
+          },
+          locationId: location.id,
+          earningConfig: { ...pointsEarningConfig, timeZone: location.timeZone },
+          purchasedAt,
+          receiptFields,
+          userTimeZone,
+          userLocalDayKey,
+          userLocalYesterdayKey
         });
       } catch (e) {
         if (e && e.code === "DUPLICATE_RECEIPT") {
@@ -4073,6 +4859,8 @@ If a field is missing, use null.`;
         await logFailureAndCheckLockout(uid, "SERVER_AWARD_FAILED", db, ipAddress);
         return sendError(res, 500, "SERVER_AWARD_FAILED", "Server error while awarding points - please try again");
       }
+      const { receiptId: savedReceiptId, earning, newPointsBalance, newLifetimePoints, shouldUpdateRiskScore } = award;
+      const pointsAwarded = earning.pointsAwarded;
 
       // Persist receipt image for 48h (admin detail view); then clean up temp file
       if (savedReceiptId && imagePath) {
@@ -4094,36 +4882,16 @@ If a field is missing, use null.`;
         }
       }
 
-      // Check if user crossed 50-point threshold and award referral if eligible
-      // Note: currentPoints and newPointsBalance are set inside the transaction
-      if (currentPoints < 50 && newPointsBalance >= 50) {
-        logger.info(`✅ User ${uid} crossed 50-point threshold via receipt scan (${currentPoints} → ${newPointsBalance}), checking referral...`);
-        try {
-          const referralSnap = await db.collection('referrals')
-            .where('referredUserId', '==', uid)
-            .limit(1)
-            .get();
-          
-          if (!referralSnap.empty) {
-            const referralDoc = referralSnap.docs[0];
-            const referralId = referralDoc.id;
-            const referralData = referralDoc.data();
-            
-            if (referralData.status === 'pending') {
-              const awardResult = await awardReferralPoints(db, referralId, referralData.referrerUserId, uid);
-              if (awardResult.success) {
-                logger.info(`🎉 Referral ${referralId} awarded via receipt scan! Referrer: +${awardResult.referrerNewPoints !== null ? 50 : 0}, Referred: +50`);
-              } else {
-                logger.warn(`⚠️ Failed to award referral via receipt scan: ${awardResult.error}`);
-              }
-            }
-          }
-        } catch (referralError) {
-          logger.error('❌ Error checking referral after receipt scan (non-blocking):', referralError);
-          // Don't fail the receipt submission if referral check fails
-        }
+      // Optional item-level extraction (async, don't block response)
+      if (savedReceiptId && RECEIPT_LINE_ITEMS_ENABLED) {
+        extractAndStoreReceiptLineItems(db, savedReceiptId, { imageBase64: imageData, ocrText: req.body?.ocrText, locationId: location.id, profile: receiptProfile }).catch(err => {
+          logger.error('❌ Error extracting receipt line items (non-blocking):', err.message || err);
+        });
       }
 
+      // Check if user crossed the referral threshold and award referral if eligible
+      await awardReferralOnThresholdCross(db, uid, award, 'receipt scan');
+
       // Log successful scan
       await logReceiptScanAttempt(uid, true, null, db, ipAddress);
 
@@ -4140,6 +4908,9 @@ If a field is missing, use null.`;
           orderTime: data.orderTime,
           createdAt: new Date()
         });
+        if (imageHash) {
+          await service.checkReceiptImageHash(uid, { imageHash, receiptId: savedReceiptId });
+        }
         
         // Flag bursty scan attempts that approach rate-limit thresholds
         const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
@@ -4176,8 +4947,11 @@ If a field is missing, use null.`;
           receiptId: savedReceiptId
         },
         pointsAwarded,
+        // Promotions the app can call out ("2x Tuesday!"); the base rate is implied
+        appliedRules: earning.appliedRules.filter(r => r.type !== 'base'),
         newPointsBalance,
-        newLifetimePoints
+        newLifetimePoints,
+        tierUpgrade: award.tierUpgrade ? serializeLoyaltyTier(award.tierUpgrade.to) : null
       });
     } catch (err) {
       logger.error('❌ Error processing submit-receipt:', err);
@@ -4197,6 +4971,173 @@ If a field is missing, use null.`;
     }
   });
 
+  /**
+   * POST /submit-receipt-qr
+   * Award points from the signed QR code the POS prints on the receipt (see receiptQrToken.js).
+   * The signature vouches for the fields, so there is no vision call. Otherwise the same rules
+   * as /submit-receipt apply: scan lockout, 48h window, daily cap, and duplicate detection
+   * (a photo scan of the same receipt counts as a duplicate, and vice versa).
+   * Body: { token }
+   */
+  app.post('/submit-receipt-qr', requireFirebaseAuth, submitReceiptLimiter, validate(receiptQrSchema), async (req, res) => {
+    const uid = req.auth.uid;
+    const db = admin.firestore();
+    const ipAddress = req.ip || req.headers['x-forwarded-for'] || null;
+    try {
+      if (RECEIPT_QR_KEYS.size === 0) {
+        return sendError(res, 503, "QR_RECEIPTS_DISABLED", "Receipt QR codes aren't enabled - please scan a photo of your receipt instead");
+      }
+
+      const userTimeZone = normalizeUserTimeZone(req.headers['x-user-timezone']);
+      const { dayKey: userLocalDayKey, yesterdayKey: userLocalYesterdayKey } = getUserLocalDayKeys(userTimeZone);
+
+      const rateLimitCheck = await checkReceiptScanRateLimit(uid, db);
+      if (!rateLimitCheck.allowed) {
+        logger.info(`🚫 Rate limit triggered for user ${uid} (submit-receipt-qr)`);
+        return sendError(res, 429, "RATE_LIMITED", "Too many failed scan attempts. Please wait a while and try again.");
+      }
+
+      const dailyLimitCheck = await checkDailyReceiptSuccessLimit(uid, db, userTimeZone);
+      if (!dailyLimitCheck.allowed) {
+        logReceiptScanAttempt(uid, false, "DAILY_LIMIT_REACHED", db, ipAddress).catch(() => {});
+        return sendError(
+          res,
+          429,
+          "DAILY_RECEIPT_LIMIT_REACHED",
+          "You've hit your points limit for today. Come back tomorrow.",
+          { day: dailyLimitCheck.dayKey, timeZone: dailyLimitCheck.timeZone, limit: dailyLimitCheck.limit }
+        );
+      }
+
+      const verified = verifyReceiptQrToken(req.body.token, RECEIPT_QR_KEYS);
+      if (!verified.ok) {
+        logger.info(`❌ Receipt QR rejected for user ${uid}: ${verified.reason}`);
+        await logFailureAndCheckLockout(uid, "QR_INVALID", db, ipAddress);
+        if (verified.reason === 'BAD_SIGNATURE') {
+          // A well-formed token with a wrong signature was edited or forged
+          new SuspiciousBehaviorService(db).flagSuspiciousBehavior(uid, {
+            flagType: 'receipt_qr_forged',
+            severity: 'high',
+            description: 'Submitted a receipt QR code with an invalid signature',
+            evidence: { reason: verified.reason, submittedAt: new Date().toISOString() }
+          }).catch(() => {});
+        }
+        return sendError(res, 400, "QR_INVALID", "This receipt code isn't valid - try scanning a photo of the receipt instead");
+      }
+      const { receipt, keyId } = verified;
+
+      const location = await resolveLocation(db, receipt.locationId);
+      if (!location) {
+        return sendError(res, 400, "LOCATION_INVALID", "Unknown or inactive store location");
+      }
+
+      // Date/time on the token are the store's wall clock
+      const purchasedAt = DateTime.fromISO(`${receipt.date}T${receipt.time}`, { zone: location.timeZone });
+      if (!purchasedAt.isValid) {
+        await logFailureAndCheckLockout(uid, "QR_INVALID", db, ipAddress);
+        return sendError(res, 400, "QR_INVALID", "This receipt code isn't valid - try scanning a photo of the receipt instead");
+      }
+      const hoursDiff = (Date.now() - purchasedAt.toMillis()) / (1000 * 60 * 60);
+      if (hoursDiff < -RECEIPT_QR_CLOCK_SKEW_MINUTES / 60) {
+        await logFailureAndCheckLockout(uid, "FUTURE_DATE", db, ipAddress);
+        return sendError(res, 400, "FUTURE_DATE", "Invalid receipt date - receipt appears to be dated in the future");
+      }
+      if (hoursDiff > 48) {
+        await logFailureAndCheckLockout(uid, "EXPIRED_48H", db, ipAddress);
+        return sendError(res, 400, "EXPIRED_48H", "Receipt expired - receipts must be scanned within 48 hours of purchase");
+      }
+
+      // Stored in the printed-receipt format so photo and QR scans dedupe against each other
+      const fields = {
+        orderNumber: receipt.orderNumber,
+        orderDate: purchasedAt.toFormat('MM/dd'),
+        orderTime: receipt.time,
+        orderTotal: receipt.orderTotal
+      };
+
+      const pointsEarningConfig = await getPointsEarningConfig(db);
+
+      let award;
+      try {
+        award = await awardReceiptPoints(db, {
+          uid,
+          fields,
+          locationId: location.id,
+          earningConfig: { ...pointsEarningConfig, timeZone: location.timeZone },
+          purchasedAt,
+          receiptFields: { source: 'pos_qr', qrKeyId: keyId },
+          userTimeZone,
+          userLocalDayKey,
+          userLocalYesterdayKey
+        });
+      } catch (e) {
+        if (e && e.code === "DUPLICATE_RECEIPT") {
+          await logFailureAndCheckLockout(uid, "DUPLICATE_RECEIPT", db, ipAddress);
+          return sendError(
+            res,
+            409,
+            "DUPLICATE_RECEIPT",
+            "Receipt already submitted - this receipt has already been processed and points will not be awarded",
+            { duplicate: true }
+          );
+        }
+        if (e && e.code === "DAILY_RECEIPT_LIMIT_REACHED") {
+          logReceiptScanAttempt(uid, false, "DAILY_LIMIT_REACHED", db, ipAddress).catch(() => {});
+          return sendError(
+            res,
+            429,
+            "DAILY_RECEIPT_LIMIT_REACHED",
+            "You've hit your points limit for today. Come back tomorrow.",
+            { day: userLocalDayKey, timeZone: userTimeZone, limit: RECEIPT_DAILY_SUCCESS_LIMIT }
+          );
+        }
+        if (e && e.code === "USER_NOT_FOUND") {
+          return sendError(res, 404, "USER_NOT_FOUND", "User not found");
+        }
+        logger.error('❌ submit-receipt-qr transaction failed:', e);
+        await logFailureAndCheckLockout(uid, "SERVER_AWARD_FAILED", db, ipAddress);
+        return sendError(res, 500, "SERVER_AWARD_FAILED", "Server error while awarding points - please try again");
+      }
+
+      const { earning } = award;
+      logger.info(`✅ QR receipt ${award.receiptId} (key ${keyId}, ${location.id}) awarded ${earning.pointsAwarded} points to ${uid}`);
+
+      await awardReferralOnThresholdCross(db, uid, award, 'QR receipt scan');
+      await logReceiptScanAttempt(uid, true, null, db, ipAddress);
+
+      try {
+        const service = new SuspiciousBehaviorService(db);
+        if (award.shouldUpdateRiskScore) {
+          service.updateUserRiskScore(uid).catch(() => {});
+        }
+        await service.checkReceiptPatterns(uid, { ...fields, createdAt: new Date() });
+      } catch (detectionError) {
+        logger.error('❌ Error in receipt pattern detection (non-blocking):', detectionError);
+      }
+
+      return res.json({
+        success: true,
+        source: 'pos_qr',
+        receipt: {
+          orderNumber: fields.orderNumber,
+          orderTotal: fields.orderTotal,
+          orderDate: fields.orderDate,
+          orderTime: fields.orderTime,
+          receiptId: award.receiptId
+        },
+        pointsAwarded: earning.pointsAwarded,
+        appliedRules: earning.appliedRules.filter(r => r.type !== 'base'),
+        newPointsBalance: award.newPointsBalance,
+        newLifetimePoints: award.newLifetimePoints,
+        tierUpgrade: award.tierUpgrade ? serializeLoyaltyTier(award.tierUpgrade.to) : null
+      });
+    } catch (err) {
+      logger.error('❌ Error processing submit-receipt-qr:', err);
+      await logFailureAndCheckLockout(uid, "SERVER_ERROR", db, ipAddress).catch(() => {});
+      return sendError(res, 500, "SERVER_ERROR", err.message || "Server error");
+    }
+  });
+
   // Welcome points claim (server-authoritative)
   // Prevents clients from directly incrementing their own points in Firestore.
   // Also checks abusePreventionHashes to prevent users who deleted accounts from re-claiming.
@@ -4208,7 +5149,7 @@ If a field is missing, use null.`;
       const userRef = db.collection('users').doc(uid);
       const txId = `welcome_${uid}`;
       const welcomeTxRef = db.collection('pointsTransactions').doc(txId);
-      const welcomePoints = 5;
+      const { welcomeBonusPoints: welcomePoints } = await getPointsEarningConfig(db);
 
       // First, get the user document to retrieve phone number for hash check
       const userDoc = await userRef.get();
@@ -4323,6 +5264,10 @@ If a field is missing, use null.`;
   app.post('/chat', requireFirebaseAuth, chatPerUserLimiter, chatPerIpLimiter, validate(chatSchema), async (req, res) => {
     try {
       logger.info('💬 Received chat request');
+
+      if (!openai) {
+        return sendError(res, 503, 'AI_NOT_CONFIGURED', 'Chat is unavailable: OPENAI_API_KEY is not configured');
+      }
       
       const { message, conversation_history, userFirstName, userPreferences, userPoints } = req.body;
       // Validation middleware ensures message exists and meets length requirements
@@ -4878,10 +5823,11 @@ LOYALTY/REWARDS CONTEXT:
     }
   });
 
-  // Fetch complete menu from Firestore endpoint
+  // Fetch complete menu from Firestore endpoint (?locationId= limits it to one store's items)
   app.get('/firestore-menu', requireAdminAuth, async (req, res) => {
     try {
       logger.info('🔍 Fetching complete menu from Firestore...');
+      const locationId = (req.query.locationId || '').toString().trim() || null;
       
       if (!admin.apps.length) {
         return res.status(500).json({ 
@@ -4905,6 +5851,7 @@ LOYALTY/REWARDS CONTEXT:
         for (const itemDoc of itemsSnapshot.docs) {
           try {
             const itemData = itemDoc.data();
+            if (!isMenuItemOfferedAt(itemData, locationId)) continue;
             const menuItem = {
               id: itemData.id || itemDoc.id,
               description: itemData.description || '',
@@ -4914,6 +5861,7 @@ LOYALTY/REWARDS CONTEXT:
               paymentLinkID: itemData.paymentLinkID || '',
               isDumpling: itemData.isDumpling || false,
               isDrink: itemData.isDrink || false,
+              locationIds: Array.isArray(itemData.locationIds) ? itemData.locationIds : [],
               category: categoryId
             };
             allMenuItems.push(menuItem);
@@ -4928,6 +5876,7 @@ LOYALTY/REWARDS CONTEXT:
       
       res.json({
         success: true,
+        locationId,
         menuItems: allMenuItems,
         totalItems: allMenuItems.length,
         categories: categoriesSnapshot.docs.map(doc => doc.id)
@@ -4981,10 +5930,7 @@ LOYALTY/REWARDS CONTEXT:
       }
       
       if (!process.env.OPENAI_API_KEY) {
-        return res.status(500).json({ 
-          error: 'OpenAI API key not configured',
-          message: 'Please configure the OPENAI_API_KEY environment variable'
-        });
+        return sendError(res, 503, 'AI_NOT_CONFIGURED', 'Dumpling Hero is unavailable: OPENAI_API_KEY is not configured');
       }
       
       const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -5185,10 +6131,7 @@ If a specific prompt is provided, use it as inspiration but maintain the Dumplin
       }
       
       if (!process.env.OPENAI_API_KEY) {
-        return res.status(500).json({ 
-          error: 'OpenAI API key not configured',
-          message: 'Please configure the OPENAI_API_KEY environment variable'
-        });
+        return sendError(res, 503, 'AI_NOT_CONFIGURED', 'Dumpling Hero is unavailable: OPENAI_API_KEY is not configured');
       }
       
       const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -5439,10 +6382,7 @@ If a specific prompt is provided, use it as inspiration but maintain the Dumplin
       }
       
       if (!process.env.OPENAI_API_KEY) {
-        return res.status(500).json({ 
-          error: 'OpenAI API key not configured',
-          message: 'Please configure the OPENAI_API_KEY environment variable'
-        });
+        return sendError(res, 503, 'AI_NOT_CONFIGURED', 'Dumpling Hero is unavailable: OPENAI_API_KEY is not configured');
       }
       
       const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -5684,10 +6624,7 @@ IMPORTANT:
       }
       
       if (!process.env.OPENAI_API_KEY) {
-        return res.status(500).json({ 
-          error: 'OpenAI API key not configured',
-          message: 'Please configure the OPENAI_API_KEY environment variable'
-        });
+        return sendError(res, 503, 'AI_NOT_CONFIGURED', 'Dumpling Hero is unavailable: OPENAI_API_KEY is not configured');
       }
       
       const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -5928,6 +6865,7 @@ IMPORTANT:
         return res.json({
           pointsRequired,
           tierName: null,
+          requiredLoyaltyTier: null,
           eligibleItems: []
         });
       }
@@ -5940,6 +6878,7 @@ IMPORTANT:
       res.json({
         pointsRequired: tierData.pointsRequired,
         tierName: tierData.tierName || null,
+        requiredLoyaltyTier: tierData.requiredLoyaltyTier || null,
         eligibleItems: tierData.eligibleItems || []
       });
       
@@ -5971,6 +6910,7 @@ IMPORTANT:
           tierId,
           pointsRequired: null,
           tierName: null,
+          requiredLoyaltyTier: null,
           eligibleItems: []
         });
       }
@@ -5982,6 +6922,7 @@ IMPORTANT:
         tierId,
         pointsRequired: tierData.pointsRequired || null,
         tierName: tierData.tierName || null,
+        requiredLoyaltyTier: tierData.requiredLoyaltyTier || null,
         eligibleItems: tierData.eligibleItems || []
       });
       
@@ -6001,25 +6942,15 @@ IMPORTANT:
       logger.info('🎁 Received reward redemption request');
       logger.info('📥 Request body:', JSON.stringify(req.body, null, 2));
       
+      // Item names, toppings, the price, category and description are resolved server-side
+      // from rewardTierItems and the menu; only the IDs and chosen options are taken from the request
       const { 
         userId: requestedUserId, 
-        rewardTitle, 
-        rewardDescription, 
+        tierId,
+        rewardTitle: requestedRewardTitle, 
         pointsRequired, 
-        rewardCategory,
         idempotencyKey,
-        selectedItemId,      // Optional selected item ID
-        selectedItemName,    // Optional selected item name
-        selectedToppingId,   // NEW: Optional topping ID (for drink rewards)
-        selectedToppingName, // NEW: Optional topping name (for drink rewards)
-        selectedItemId2,     // NEW: Optional second item ID (for half-and-half)
-        selectedItemName2,   // NEW: Optional second item name (for half-and-half)
-        cookingMethod,       // NEW: Optional cooking method (for dumpling rewards)
-        drinkType,           // NEW: Optional drink type (Lemonade or Soda)
-        selectedDrinkItemId, // NEW: Optional drink item ID (for Full Combo)
-        selectedDrinkItemName, // NEW: Optional drink item name (for Full Combo)
-        iceLevel,            // Optional ice level (Normal, 75%, 50%, 25%, No Ice)
-        sugarLevel           // Optional sugar level (Normal, 75%, 50%, 25%, No Sugar)
+        selectedItemId       // Optional selected item ID
       } = req.body;
       
       const userId = req.auth.uid;
@@ -6028,11 +6959,11 @@ IMPORTANT:
       }
       
       pointsRequiredNumber = Number(pointsRequired);
-      if (!rewardTitle || !pointsRequiredNumber) {
+      if (!requestedRewardTitle || !pointsRequiredNumber) {
         logger.info('❌ Missing required fields for reward redemption');
         return res.status(400).json({ 
           error: 'Missing required fields: rewardTitle, pointsRequired',
-          received: { rewardTitle: !!rewardTitle, pointsRequired: !!pointsRequiredNumber }
+          received: { rewardTitle: !!requestedRewardTitle, pointsRequired: !!pointsRequiredNumber }
         });
       }
       
@@ -6041,7 +6972,50 @@ IMPORTANT:
       }
       
       const db = admin.firestore();
-      
+
+      // Older app versions don't send tierId; find the tier that lists the picked item instead
+      const [rewardTiersById, selectionCatalog] = await Promise.all([
+        getRewardTiersById(db),
+        getRewardSelectionCatalog(db)
+      ]);
+      const rewardTierId = tierId || findTierIdForItem(rewardTiersById, selectedItemId, pointsRequiredNumber);
+      const rewardTier = rewardTierId ? rewardTiersById.get(rewardTierId) || null : null;
+      const resolved = resolveRewardSelection({ ...req.body, itemId: selectedItemId }, rewardTier, rewardTiersById, selectionCatalog);
+      if (!resolved.ok) {
+        logger.warn(`⚠️ Rejected reward selection from ${userId} (${resolved.code}): ${resolved.message}`);
+        return res.status(resolved.code === 'TIER_NOT_FOUND' ? 404 : 400).json({
+          error: resolved.message,
+          errorCode: resolved.code
+        });
+      }
+      if (resolved.pointsRequired !== pointsRequiredNumber) {
+        logger.warn(`⚠️ Reward price mismatch for tier ${rewardTierId}: client sent ${pointsRequiredNumber}, tier costs ${resolved.pointsRequired}`);
+      }
+      pointsRequiredNumber = resolved.pointsRequired;
+
+      const rewardTitle = rewardTier.tierName || requestedRewardTitle;
+      const rewardCategory = rewardTier.rewardCategory || 'General';
+      const rewardDescription = rewardTier.rewardDescription || '';
+      const {
+        itemName: selectedItemName,
+        selectedToppingId,
+        selectedToppingName,
+        selectedItemId2,
+        selectedItemName2,
+        cookingMethod,
+        drinkType,
+        selectedDrinkItemId,
+        selectedDrinkItemName,
+        iceLevel,
+        sugarLevel
+      } = resolved.selection;
+
+      // Tier-exclusive rewards (rewardTierItems.requiredLoyaltyTier)
+      const requiredLoyaltyTier = rewardTier.requiredLoyaltyTier || null;
+      const loyaltyTiersConfig = requiredLoyaltyTier ? await getLoyaltyTiersConfig(db) : null;
+      const redemptionConfig = await getRewardRedemptionConfig(db);
+      const ttlMinutes = ttlMinutesFor(redemptionConfig, rewardCategory);
+
       const redemptionResult = await db.runTransaction(async (transaction) => {
         const userRef = db.collection('users').doc(userId);
         const redeemedRewardsRef = db.collection('redeemedRewards');
@@ -6072,6 +7046,16 @@ IMPORTANT:
         }
         
         logger.info(`👤 User ${userId} has ${currentPoints} points, needs ${pointsRequiredNumber} for reward`);
+
+        if (requiredLoyaltyTier) {
+          const memberTier = currentTierOf(loyaltyTiersConfig, userData);
+          if (tierRank(loyaltyTiersConfig, memberTier.id) < tierRank(loyaltyTiersConfig, requiredLoyaltyTier)) {
+            const error = new Error('LOYALTY_TIER_REQUIRED');
+            error.code = 'LOYALTY_TIER_REQUIRED';
+            error.memberTier = memberTier.id;
+            throw error;
+          }
+        }
         
         if (currentPoints < pointsRequiredNumber) {
           const error = new Error('INSUFFICIENT_POINTS');
@@ -6090,12 +7074,17 @@ IMPORTANT:
           id: redeemedRewardRef.id,
           userId: userId,
           rewardTitle: rewardTitle,
-          rewardDescription: rewardDescription || '',
-          rewardCategory: rewardCategory || 'General',
+          rewardDescription,
+          rewardCategory,
+          tierId: rewardTierId,
           pointsRequired: pointsRequiredNumber,
           redemptionCode: redemptionCode,
+          ...(REDEMPTION_QR_SECRET && {
+            qrPayload: signRedemptionQr({ rewardId: redeemedRewardRef.id, redemptionCode }, REDEMPTION_QR_SECRET)
+          }),
           redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
-          expiresAt: new Date(Date.now() + 15 * 60 * 1000),
+          expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+          ttlMinutes,
           isExpired: false,
           isUsed: false,
           deletedByAdmin: false,
@@ -6154,6 +7143,7 @@ IMPORTANT:
         
         return {
           redemptionCode,
+          qrPayload: redeemedReward.qrPayload || null,
           newPointsBalance,
           pointsDeducted: pointsRequiredNumber,
           rewardTitle,
@@ -6178,6 +7168,7 @@ IMPORTANT:
         ? {
             success: true,
             redemptionCode: redemptionResult.existingReward.redemptionCode,
+            qrPayload: redemptionResult.existingReward.qrPayload || null,
             newPointsBalance: redemptionResult.currentPoints,
             pointsDeducted: redemptionResult.existingReward.pointsRequired,
             rewardTitle: redemptionResult.existingReward.rewardTitle,
@@ -6196,6 +7187,7 @@ IMPORTANT:
         : {
             success: true,
             redemptionCode: redemptionResult.redemptionCode,
+            qrPayload: redemptionResult.qrPayload,
             newPointsBalance: redemptionResult.newPointsBalance,
             pointsDeducted: redemptionResult.pointsDeducted,
             rewardTitle: redemptionResult.rewardTitle,
@@ -6233,6 +7225,13 @@ IMPORTANT:
       if (error.code === 'USER_NOT_FOUND') {
         return res.status(404).json({ error: 'User not found' });
       }
+
+      if (error.code === 'LOYALTY_TIER_REQUIRED') {
+        return res.status(403).json({
+          error: 'This reward is only available to higher membership tiers',
+          loyaltyTier: error.memberTier
+        });
+      }
       
       res.status(500).json({
         error: 'Failed to redeem reward',
@@ -6241,76 +7240,254 @@ IMPORTANT:
     }
   });
 
-  // ---------------------------------------------------------------------------
-  // Admin-only Receipts Management Endpoints
-  // ---------------------------------------------------------------------------
-
-  // Helper to verify Firebase Auth token and ensure the caller is an admin user
-  async function requireAdmin(req, res) {
+  /**
+   * POST /redeem-reward/cart
+   *
+   * Redeems several tier items at once under a single redemption code. Each item is
+   * resolved and checked like /redeem-reward (names and points come from the tier doc),
+   * the total is deducted in one transaction, and one redeemedRewards doc holds the
+   * cart lines so staff can see and hand over every item.
+   */
+  app.post('/redeem-reward/cart', requireFirebaseAuth, validate(cartRedeemSchema), async (req, res) => {
+    let totalPointsRequired = null;
     try {
-      const authHeader = req.headers.authorization || '';
-      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-      if (!token) {
-        res.status(401).json({ error: 'Missing or invalid Authorization header' });
-        return null;
-      }
+      const userId = req.auth.uid;
+      const { items: requestedItems, idempotencyKey } = req.body;
+      const db = admin.firestore();
 
-      const decoded = await admin.auth().verifyIdToken(token);
-      const uid = decoded.uid;
+      const [tiersById, selectionCatalog] = await Promise.all([
+        getRewardTiersById(db),
+        getRewardSelectionCatalog(db)
+      ]);
 
-      const db = admin.firestore();
-      const userDoc = await db.collection('users').doc(uid).get();
-      if (!userDoc.exists) {
-        res.status(403).json({ error: 'User record not found for admin check' });
-        return null;
+      const lines = [];
+      for (const [index, requested] of requestedItems.entries()) {
+        const built = buildCartLine(requested, tiersById, selectionCatalog, `line_${index + 1}`);
+        if (!built.ok) {
+          logger.warn(`⚠️ Rejected reward cart item ${index} from ${userId} (${built.code}): ${built.message}`);
+          return res.status(400).json({ error: built.message, errorCode: built.code, itemIndex: index });
+        }
+        lines.push(built.line);
       }
+      totalPointsRequired = lines.reduce((sum, line) => sum + line.pointsRequired, 0);
 
-      const userData = userDoc.data() || {};
-      if (userData.isAdmin !== true) {
-        res.status(403).json({ error: 'Admin privileges required' });
-        return null;
-      }
+      // Tier-exclusive rewards (rewardTierItems.requiredLoyaltyTier)
+      const requiredLoyaltyTiers = [...new Set(lines
+        .map(line => tiersById.get(line.tierId).requiredLoyaltyTier)
+        .filter(Boolean))];
+      const loyaltyTiersConfig = requiredLoyaltyTiers.length > 0 ? await getLoyaltyTiersConfig(db) : null;
+      const redemptionConfig = await getRewardRedemptionConfig(db);
+      const ttlMinutes = ttlMinutesFor(redemptionConfig, CART_REWARD_CATEGORY);
 
-      return { uid, userData };
-    } catch (err) {
-      logger.error('❌ Admin auth check failed:', err);
-      res.status(401).json({ error: 'Failed to verify admin credentials' });
-      return null;
-    }
-  }
+      const rewardTitle = lines.length === 1 ? lines[0].itemName : `${lines.length} rewards`;
+      const rewardDescription = lines.map(describeRewardSelection).join(', ');
 
-  // Helper to verify Firebase Auth token and ensure the caller is an admin OR employee user
-  async function requireStaff(req, res) {
-    try {
-      const authHeader = req.headers.authorization || '';
-      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-      if (!token) {
-        res.status(401).json({ error: 'Missing or invalid Authorization header' });
-        return null;
-      }
+      const redemptionResult = await db.runTransaction(async (transaction) => {
+        const userRef = db.collection('users').doc(userId);
+        const redeemedRewardsRef = db.collection('redeemedRewards');
 
-      const decoded = await admin.auth().verifyIdToken(token);
-      const uid = decoded.uid;
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) {
+          const error = new Error('USER_NOT_FOUND');
+          error.code = 'USER_NOT_FOUND';
+          throw error;
+        }
 
-      const db = admin.firestore();
-      const userDoc = await db.collection('users').doc(uid).get();
-      if (!userDoc.exists) {
-        res.status(403).json({ error: 'User record not found for staff check' });
-        return null;
-      }
+        const userData = userDoc.data() || {};
+        const currentPoints = userData.points || 0;
 
-      const userData = userDoc.data() || {};
-      if (userData.isAdmin !== true && userData.isEmployee !== true) {
-        res.status(403).json({ error: 'Staff privileges required' });
-        return null;
-      }
+        if (idempotencyKey) {
+          const existingSnapshot = await transaction.get(redeemedRewardsRef
+            .where('userId', '==', userId)
+            .where('idempotencyKey', '==', idempotencyKey)
+            .limit(1));
+          if (!existingSnapshot.empty) {
+            return { existingReward: existingSnapshot.docs[0].data(), currentPoints };
+          }
+        }
 
-      return { uid, userData };
-    } catch (err) {
-      logger.error('❌ Staff auth check failed:', err);
-      res.status(401).json({ error: 'Failed to verify staff credentials' });
-      return null;
-    }
+        if (loyaltyTiersConfig) {
+          const memberTier = currentTierOf(loyaltyTiersConfig, userData);
+          const memberRank = tierRank(loyaltyTiersConfig, memberTier.id);
+          if (requiredLoyaltyTiers.some(tierId => memberRank < tierRank(loyaltyTiersConfig, tierId))) {
+            const error = new Error('LOYALTY_TIER_REQUIRED');
+            error.code = 'LOYALTY_TIER_REQUIRED';
+            error.memberTier = memberTier.id;
+            throw error;
+          }
+        }
+
+        if (currentPoints < totalPointsRequired) {
+          const error = new Error('INSUFFICIENT_POINTS');
+          error.code = 'INSUFFICIENT_POINTS';
+          error.currentPoints = currentPoints;
+          throw error;
+        }
+
+        const redemptionCode = Math.floor(10000000 + Math.random() * 90000000).toString();
+        const newPointsBalance = currentPoints - totalPointsRequired;
+
+        const redeemedRewardRef = redeemedRewardsRef.doc();
+        const redeemedReward = {
+          id: redeemedRewardRef.id,
+          userId,
+          isCart: true,
+          items: lines,
+          rewardTitle,
+          rewardDescription,
+          rewardCategory: CART_REWARD_CATEGORY,
+          pointsRequired: totalPointsRequired,
+          redemptionCode,
+          ...(REDEMPTION_QR_SECRET && {
+            qrPayload: signRedemptionQr({ rewardId: redeemedRewardRef.id, redemptionCode }, REDEMPTION_QR_SECRET)
+          }),
+          redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+          ttlMinutes,
+          isExpired: false,
+          isUsed: false,
+          partiallyUsed: false,
+          deletedByAdmin: false,
+          pointsBalanceAfter: newPointsBalance,
+          ...(idempotencyKey && { idempotencyKey })
+        };
+
+        const transactionRef = db.collection('pointsTransactions').doc();
+        transaction.update(userRef, { points: newPointsBalance });
+        transaction.set(redeemedRewardRef, redeemedReward);
+        transaction.set(transactionRef, {
+          id: transactionRef.id,
+          userId,
+          type: 'reward_redemption',
+          amount: -totalPointsRequired,
+          description: `Redeemed: ${rewardDescription}`,
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          isEarned: false,
+          redemptionCode,
+          rewardTitle,
+          redeemedRewardId: redeemedRewardRef.id,
+          itemCount: lines.length,
+          ...(idempotencyKey && { idempotencyKey })
+        });
+
+        return { reward: redeemedReward, newPointsBalance };
+      });
+
+      const reward = redemptionResult.existingReward || redemptionResult.reward;
+      const expiresAt = parseFirestoreDate(reward.expiresAt);
+      logger.info(`✅ Reward cart redeemed: ${reward.items?.length || 0} items, ${reward.pointsRequired} points, code ${reward.redemptionCode}`);
+
+      res.json({
+        success: true,
+        rewardId: reward.id,
+        redemptionCode: reward.redemptionCode,
+        qrPayload: reward.qrPayload || null,
+        newPointsBalance: redemptionResult.existingReward ? redemptionResult.currentPoints : redemptionResult.newPointsBalance,
+        pointsDeducted: reward.pointsRequired,
+        rewardTitle: reward.rewardTitle,
+        items: serializeCartItems(reward) || [],
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        message: 'Rewards redeemed successfully! Show the code to your cashier.'
+      });
+    } catch (error) {
+      logger.error('❌ Error redeeming reward cart:', error);
+      if (error.code === 'INSUFFICIENT_POINTS') {
+        return res.status(400).json({
+          error: 'Insufficient points for redemption',
+          currentPoints: error.currentPoints,
+          pointsRequired: totalPointsRequired,
+          pointsNeeded: totalPointsRequired - error.currentPoints
+        });
+      }
+
+      if (error.code === 'USER_NOT_FOUND') {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (error.code === 'LOYALTY_TIER_REQUIRED') {
+        return res.status(403).json({
+          error: 'One or more rewards are only available to higher membership tiers',
+          loyaltyTier: error.memberTier
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to redeem rewards',
+        details: error.message
+      });
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Admin-only Receipts Management Endpoints
+  // ---------------------------------------------------------------------------
+
+  // Helper to verify Firebase Auth token and ensure the caller is an admin user
+  async function requireAdmin(req, res) {
+    try {
+      const authHeader = req.headers.authorization || '';
+      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+      if (!token) {
+        res.status(401).json({ error: 'Missing or invalid Authorization header' });
+        return null;
+      }
+
+      const decoded = await admin.auth().verifyIdToken(token);
+      const uid = decoded.uid;
+
+      const db = admin.firestore();
+      const userDoc = await db.collection('users').doc(uid).get();
+      if (!userDoc.exists) {
+        res.status(403).json({ error: 'User record not found for admin check' });
+        return null;
+      }
+
+      const userData = userDoc.data() || {};
+      if (userData.isAdmin !== true) {
+        res.status(403).json({ error: 'Admin privileges required' });
+        return null;
+      }
+
+      return { uid, userData };
+    } catch (err) {
+      logger.error('❌ Admin auth check failed:', err);
+      res.status(401).json({ error: 'Failed to verify admin credentials' });
+      return null;
+    }
+  }
+
+  // Helper to verify Firebase Auth token and ensure the caller is an admin OR employee user
+  async function requireStaff(req, res) {
+    try {
+      const authHeader = req.headers.authorization || '';
+      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+      if (!token) {
+        res.status(401).json({ error: 'Missing or invalid Authorization header' });
+        return null;
+      }
+
+      const decoded = await admin.auth().verifyIdToken(token);
+      const uid = decoded.uid;
+
+      const db = admin.firestore();
+      const userDoc = await db.collection('users').doc(uid).get();
+      if (!userDoc.exists) {
+        res.status(403).json({ error: 'User record not found for staff check' });
+        return null;
+      }
+
+      const userData = userDoc.data() || {};
+      if (userData.isAdmin !== true && userData.isEmployee !== true) {
+        res.status(403).json({ error: 'Staff privileges required' });
+        return null;
+      }
+
+      return { uid, userData };
+    } catch (err) {
+      logger.error('❌ Staff auth check failed:', err);
+      res.status(401).json({ error: 'Failed to verify staff credentials' });
+      return null;
+    }
   }
 
   // Helper to verify Firebase Auth token for any signed-in user
@@ -6338,20 +7515,22 @@ IMPORTANT:
   /**
    * POST /me/fcmToken
    *
-   * Authenticated user endpoint. Stores (or clears) the caller's FCM token
-   * server-side using Admin SDK (bypasses client Firestore issues).
+   * Authenticated user endpoint. Registers (or removes) this device's FCM token in
+   * users/{uid}/devices server-side using Admin SDK (bypasses client Firestore issues).
+   * Called on every app launch, which also keeps the device's lastSeenAt fresh.
    *
    * Body:
-   * - { fcmToken: string } to set token
-   * - { fcmToken: null } to clear token
+   * - { fcmToken: string, platform?, appVersion?, deviceId? } to register this device
+   * - { fcmToken: null, deviceId? } to remove it (signing out)
    */
-  app.post('/me/fcmToken', requireFirebaseAuth, generalPerUserLimiter, generalPerIpLimiter, async (req, res) => {
+  app.post('/me/fcmToken', requireFirebaseAuth, generalPerUserLimiter, generalPerIpLimiter, validate(fcmTokenSchema), async (req, res) => {
     try {
       const uid = req.auth.uid;
 
-      const { fcmToken } = req.body || {};
+      const { fcmToken, platform, appVersion, deviceId } = req.body;
       const db = admin.firestore();
       const userRef = db.collection('users').doc(uid);
+      const devicesRef = userRef.collection(DEVICES_SUBCOLLECTION);
 
       const userDoc = await userRef.get();
       if (!userDoc.exists) {
@@ -6359,2160 +7538,4481 @@ IMPORTANT:
       }
 
       if (fcmToken === null) {
-        await userRef.set({
-          hasFcmToken: false,
-          fcmToken: admin.firestore.FieldValue.delete(),
-          fcmTokenUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
+        // Older apps don't send a deviceId; fall back to the device holding the mirrored token
+        const currentToken = userDoc.get('fcmToken');
+        const removeId = normalizeDeviceId(deviceId)
+          || (typeof currentToken === 'string' && currentToken ? deviceIdForToken(currentToken) : null);
+        let removedToken = typeof currentToken === 'string' ? currentToken : null;
+        if (removeId) {
+          const deviceDoc = await devicesRef.doc(removeId).get();
+          if (deviceDoc.exists) {
+            removedToken = deviceDoc.get('token');
+            await deviceDoc.ref.delete();
+          }
+        }
+        await syncUserFcmMirror(db, uid, removedToken ? [removedToken] : []);
+        await userRef.update({ fcmTokenUpdatedAt: admin.firestore.FieldValue.serverTimestamp() });
 
-        return res.json({ ok: true, hasFcmToken: false });
+        const remaining = await devicesRef.limit(1).get();
+        return res.json({ ok: true, hasFcmToken: !remaining.empty });
       }
 
-      if (typeof fcmToken !== 'string' || fcmToken.trim().length === 0) {
-        return res.status(400).json({ error: 'fcmToken must be a non-empty string or null' });
+      const registeredId = normalizeDeviceId(deviceId) || deviceIdForToken(fcmToken);
+      const deviceRef = devicesRef.doc(registeredId);
+
+      // A token belongs to one install; drop it from other accounts/devices (shared phone,
+      // reinstall without a stable deviceId) so they stop receiving this user's pushes.
+      const duplicates = await db.collectionGroup(DEVICES_SUBCOLLECTION).where('token', '==', fcmToken).get();
+      const otherUserIds = new Set();
+      for (const doc of duplicates.docs) {
+        if (doc.ref.path === deviceRef.path) continue;
+        await doc.ref.delete();
+        if (doc.get('userId') !== uid) otherUserIds.add(doc.get('userId'));
+      }
+      for (const otherUserId of otherUserIds) {
+        await syncUserFcmMirror(db, otherUserId, [fcmToken]);
       }
 
-      const trimmedToken = fcmToken.trim();
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const existing = await deviceRef.get();
+      await deviceRef.set({
+        userId: uid,
+        token: fcmToken,
+        platform: platform || existing.get('platform') || null,
+        appVersion: appVersion || existing.get('appVersion') || null,
+        lastSeenAt: now,
+        updatedAt: now,
+        ...(existing.exists ? {} : { createdAt: now })
+      }, { merge: true });
+
+      // Mirror the latest registration for older app versions and hasFcmToken queries
       await userRef.set({
         hasFcmToken: true,
-        fcmToken: trimmedToken,
-        fcmTokenUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+        fcmToken: fcmToken,
+        fcmTokenUpdatedAt: now
       }, { merge: true });
 
-      return res.json({ ok: true, hasFcmToken: true });
+      return res.json({ ok: true, hasFcmToken: true, deviceId: registeredId });
     } catch (error) {
       logger.error('❌ Error in /me/fcmToken:', error);
       return res.status(500).json({ error: 'Failed to store FCM token' });
     }
   });
 
-  // ---------------------------------------------------------------------------
-  // Reservations (create = any user; list/update = admin only)
-  // ---------------------------------------------------------------------------
+  /**
+   * GET /me/tier
+   *
+   * The signed-in user's loyalty tier, qualifying points and progress to the next tier.
+   */
+  app.get('/me/tier', requireFirebaseAuth, generalPerUserLimiter, generalPerIpLimiter, async (req, res) => {
+    try {
+      const uid = req.auth.uid;
+      const db = admin.firestore();
+      const [userDoc, config] = await Promise.all([
+        db.collection('users').doc(uid).get(),
+        getLoyaltyTiersConfig(db)
+      ]);
+      if (!userDoc.exists) {
+        return sendError(res, 404, "USER_NOT_FOUND", "User not found");
+      }
 
-  /** Simple health check so you can verify reservations API is deployed (GET /reservations/ok). */
-  app.get('/reservations/ok', (req, res) => {
-    res.status(200).json({ ok: true, reservations: true });
-  });
+      const userData = userDoc.data() || {};
+      const progress = describeTierProgress(config, userData);
+      const qualifiedAt = toDate(userData.loyaltyTierQualifiedAt);
+      const requalifiesAt = qualifiedAt && tierRank(config, progress.tier.id) > 0
+        ? DateTime.fromJSDate(qualifiedAt).plus({ months: config.requalificationMonths }).toJSDate().toISOString()
+        : null;
 
-  /** Returns all user IDs where isAdmin === true (scan users collection). */
-  async function getAdminUids() {
-    const db = admin.firestore();
-    const snapshot = await db.collection('users').get();
-    const uids = [];
-    snapshot.docs.forEach((doc) => {
-      const data = doc.data() || {};
-      if (data.isAdmin === true) uids.push(doc.id);
-    });
-    return uids;
-  }
+      return res.json({
+        tier: serializeLoyaltyTier(progress.tier),
+        qualifyingPoints: progress.qualifyingPoints,
+        lifetimePoints: typeof userData.lifetimePoints === 'number' ? userData.lifetimePoints : (userData.points || 0),
+        nextTier: serializeLoyaltyTier(progress.nextTier),
+        pointsToNextTier: progress.pointsToNextTier,
+        progress: progress.progress,
+        qualifiedAt: qualifiedAt ? qualifiedAt.toISOString() : null,
+        requalifiesAt,
+        requalificationMonths: config.requalificationMonths,
+        tiers: config.tiers.map(serializeLoyaltyTier)
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching loyalty tier:', error);
+      return sendError(res, 500, "SERVER_ERROR", "Failed to fetch loyalty tier");
+    }
+  });
 
-  /** Format YYYY-MM-DD as short display date e.g. "Feb 17", "Oct 3". Returns dateStr on parse failure. */
-  function formatReservationDateShort(dateStr) {
-    if (!dateStr || typeof dateStr !== 'string') return dateStr || '';
-    const d = new Date(dateStr.trim() + 'T12:00:00');
-    if (Number.isNaN(d.getTime())) return dateStr;
-    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  function serializeNotificationPreferences(userData) {
+    const prefs = normalizeNotificationPreferences(userData, process.env.STATS_TIMEZONE || 'America/Chicago');
+    return {
+      ...prefs.categories,
+      quietHours: prefs.quietHours,
+      inQuietHours: quietHoursEndAt(prefs.quietHours, new Date()) !== null
+    };
   }
 
   /**
-   * POST /reservations
-   * Authenticated user. Create a reservation; all admins receive an in-app notification.
-   * Body: customerName, phone, email?, date (YYYY-MM-DD), time, partySize, specialRequests?
+   * GET /me/notification-preferences
+   *
+   * The signed-in user's push categories (promotions, reservations, rewardsExpiring,
+   * referralUpdates, communityReplies) and quiet hours.
    */
-  app.post('/reservations', async (req, res) => {
+  app.get('/me/notification-preferences', requireFirebaseAuth, generalPerUserLimiter, generalPerIpLimiter, async (req, res) => {
     try {
-      const userContext = await requireUser(req, res);
-      if (!userContext) return;
-
-      const { customerName, phone, email, date, time, partySize, specialRequests } = req.body || {};
-
-      if (!customerName || typeof customerName !== 'string' || customerName.trim().length === 0) {
-        return res.status(400).json({ error: 'customerName is required' });
-      }
-      if (!phone || typeof phone !== 'string' || phone.trim().length === 0) {
-        return res.status(400).json({ error: 'phone is required' });
-      }
-      if (!date || typeof date !== 'string' || date.trim().length === 0) {
-        return res.status(400).json({ error: 'date is required (YYYY-MM-DD)' });
-      }
-      if (!time || typeof time !== 'string' || time.trim().length === 0) {
-        return res.status(400).json({ error: 'time is required' });
-      }
-      const partySizeNum = typeof partySize === 'number' ? partySize : parseInt(partySize, 10);
-      if (Number.isNaN(partySizeNum) || partySizeNum < 1 || partySizeNum > 20) {
-        return res.status(400).json({ error: 'partySize must be between 1 and 20' });
-      }
-
-      const dateStr = date.trim();
-      const dateObj = new Date(dateStr + 'T12:00:00');
-      if (Number.isNaN(dateObj.getTime())) {
-        return res.status(400).json({ error: 'Invalid date format; use YYYY-MM-DD' });
-      }
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      if (dateObj < today) {
-        return res.status(400).json({ error: 'Reservation date must be today or in the future' });
+      const userDoc = await admin.firestore().collection('users').doc(req.auth.uid).get();
+      if (!userDoc.exists) {
+        return sendError(res, 404, "USER_NOT_FOUND", "User not found");
       }
+      return res.json({ preferences: serializeNotificationPreferences(userDoc.data() || {}) });
+    } catch (error) {
+      logger.error('❌ Error fetching notification preferences:', error);
+      return sendError(res, 500, "SERVER_ERROR", "Failed to fetch notification preferences");
+    }
+  });
 
+  /**
+   * PATCH /me/notification-preferences
+   *
+   * Update any of the categories and/or quietHours { enabled, start: 'HH:mm', end: 'HH:mm', timeZone }.
+   * Pushes during quiet hours are delivered when they end.
+   */
+  app.patch('/me/notification-preferences', requireFirebaseAuth, generalPerUserLimiter, generalPerIpLimiter, validate(notificationPreferencesSchema), async (req, res) => {
+    try {
+      const uid = req.auth.uid;
       const db = admin.firestore();
-      const now = admin.firestore.FieldValue.serverTimestamp();
-      const ref = db.collection('reservations').doc();
-      await ref.set({
-        userId: userContext.uid,
-        customerName: customerName.trim(),
-        phone: phone.trim(),
-        email: (email && typeof email === 'string') ? email.trim() : null,
-        date: dateStr,
-        time: time.trim(),
-        partySize: partySizeNum,
-        specialRequests: (specialRequests && typeof specialRequests === 'string') ? specialRequests.trim() : null,
-        status: 'pending',
-        createdAt: now,
-        updatedAt: now
-      });
-
-      const reservationId = ref.id;
-      const displayDate = formatReservationDateShort(dateStr);
-      const bodyText = `Party of ${partySizeNum}, ${displayDate} at ${time.trim()} – ${customerName.trim()}`;
+      const userRef = db.collection('users').doc(uid);
+      const userDoc = await userRef.get();
+      if (!userDoc.exists) {
+        return sendError(res, 404, "USER_NOT_FOUND", "User not found");
+      }
 
-      const adminUids = await getAdminUids();
-      const batchSize = 450;
-      for (let i = 0; i < adminUids.length; i += batchSize) {
-        const batch = db.batch();
-        const chunk = adminUids.slice(i, i + batchSize);
-        for (const uid of chunk) {
-          const notifRef = db.collection('notifications').doc();
-          batch.set(notifRef, {
-            userId: uid,
-            title: 'New reservation',
-            body: bodyText,
-            type: 'reservation_new',
-            read: false,
-            createdAt: now,
-            reservationId,
-            phone: phone.trim()
-          });
-        }
-        await batch.commit();
+      const { promotions, quietHours, ...categories } = req.body;
+      if (quietHours?.timeZone && !isValidTimeZone(quietHours.timeZone)) {
+        return sendError(res, 400, "INVALID_TIMEZONE", "timeZone must be an IANA name, e.g. America/Chicago");
       }
 
-      // Send FCM push to each admin with a valid fcmToken (fire-and-forget; do not block response)
-      const pushTitle = 'New reservation';
-      const pushData = { type: 'reservation_new', reservationId };
-      (async () => {
-        try {
-          const userBatchSize = 30;
-          for (let i = 0; i < adminUids.length; i += userBatchSize) {
-            const chunk = adminUids.slice(i, i + userBatchSize);
-            if (chunk.length === 0) continue;
-            const userSnap = await db.collection('users').where(admin.firestore.FieldPath.documentId(), 'in', chunk).get();
-            for (const doc of userSnap.docs) {
-              const data = doc.data() || {};
-              const fcmToken = data.fcmToken;
-              if (typeof fcmToken === 'string' && fcmToken.length > 0) {
-                sendPushNotificationToToken(fcmToken, pushTitle, bodyText, pushData).catch(err => {
-                  logger.warn('Reservation push failed for admin:', doc.id, err.message || err);
-                });
-              }
-            }
-          }
-        } catch (pushErr) {
-          logger.warn('Reservation push send error:', pushErr.message || pushErr);
-        }
-      })();
+      // Promotions stay on the field the app's existing toggle writes
+      const update = { notificationPreferences: { ...categories } };
+      if (quietHours) update.notificationPreferences.quietHours = quietHours;
+      if (promotions !== undefined) update.promotionalNotificationsEnabled = promotions;
+      update.notificationPreferences.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+      await userRef.set(update, { merge: true });
 
-      logger.info(`✅ Reservation ${reservationId} created by ${userContext.uid}; notified ${adminUids.length} admin(s)`);
-      return res.status(201).json({ id: reservationId, status: 'pending' });
+      const updated = await userRef.get();
+      return res.json({ ok: true, preferences: serializeNotificationPreferences(updated.data() || {}) });
     } catch (error) {
-      logger.error('❌ Error creating reservation:', error);
-      return res.status(500).json({ error: 'Failed to create reservation' });
+      logger.error('❌ Error updating notification preferences:', error);
+      return sendError(res, 500, "SERVER_ERROR", "Failed to update notification preferences");
     }
   });
 
   /**
-   * GET /reservations
-   * Admin only. List reservations with optional status, limit, cursor. Sorted by date asc.
+   * POST /me/notifications/:id/opened
+   *
+   * The app reports that the user opened a notification, for open-rate and
+   * click-through reporting. :id is the in-app notification id, or the
+   * sentNotificationId from a push's data when the push itself was tapped.
+   * Body: { source?: 'push' | 'in_app' } (default in_app). Only the first open of each
+   * kind is recorded.
    */
-  app.get('/reservations', async (req, res) => {
+  app.post('/me/notifications/:id/opened', requireFirebaseAuth, generalPerUserLimiter, generalPerIpLimiter, validate(notificationOpenedSchema), async (req, res) => {
     try {
-      const adminContext = await requireAdmin(req, res);
-      if (!adminContext) return;
-
+      const uid = req.auth.uid;
+      const source = req.body.source || 'in_app';
       const db = admin.firestore();
-      const status = (req.query.status || '').toString().trim().toLowerCase();
-      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
-      const cursor = (req.query.cursor || '').toString().trim();
 
-      let query;
-      if (status && ['pending', 'confirmed', 'cancelled'].includes(status)) {
-        query = db.collection('reservations').where('status', '==', status).orderBy('date', 'asc').orderBy('createdAt', 'asc').limit(limit);
-      } else {
-        query = db.collection('reservations').orderBy('date', 'asc').orderBy('createdAt', 'asc').limit(limit);
+      let notificationDoc = await db.collection('notifications').doc(req.params.id).get();
+      if (!notificationDoc.exists || notificationDoc.get('userId') !== uid) {
+        const sentSnap = await db.collection('notifications')
+          .where('userId', '==', uid)
+          .where('sentNotificationId', '==', req.params.id)
+          .limit(1)
+          .get();
+        if (sentSnap.empty) {
+          return sendError(res, 404, "NOTIFICATION_NOT_FOUND", "Notification not found");
+        }
+        notificationDoc = sentSnap.docs[0];
       }
-      if (cursor) {
-        const cursorDoc = await db.collection('reservations').doc(cursor).get();
-        if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+
+      const data = notificationDoc.data() || {};
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const update = {};
+      if (!data.openedAt) {
+        update.openedAt = now;
+        update.openSource = source;
+      }
+      if (source === 'push' && !data.pushOpenedAt) {
+        update.pushOpenedAt = now;
+      }
+      if (Object.keys(update).length > 0) {
+        await notificationDoc.ref.update({ ...update, read: true });
       }
 
-      const snapshot = await query.get();
-      const reservations = (snapshot.docs || []).map((doc) => {
-        const d = doc.data();
-        return {
-          id: doc.id,
-          userId: d.userId,
-          customerName: d.customerName,
-          phone: d.phone,
-          email: d.email || null,
-          date: d.date,
-          time: d.time,
-          partySize: d.partySize,
-          specialRequests: d.specialRequests || null,
-          status: d.status,
-          createdAt: d.createdAt,
-          updatedAt: d.updatedAt,
-          confirmedAt: d.confirmedAt || null,
-          confirmedBy: d.confirmedBy || null
-        };
-      });
-      const nextCursor = snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null;
-      return res.json({ reservations, nextCursor, hasMore: snapshot.docs.length === limit });
+      return res.json({ ok: true, notificationId: notificationDoc.id, alreadyOpened: Object.keys(update).length === 0 });
     } catch (error) {
-      logger.error('❌ Error listing reservations:', error);
-      return res.status(500).json({ error: 'Failed to list reservations' });
+      logger.error('❌ Error recording notification open:', error);
+      return sendError(res, 500, "SERVER_ERROR", "Failed to record notification open");
     }
   });
 
+  // ---------------------------------------------------------------------------
+  // Locations (list = public; edit/backfill = admin only)
+  // ---------------------------------------------------------------------------
+
   /**
-   * GET /reservations/mine
-   * Authenticated user. Returns the caller's own upcoming, non-cancelled reservations.
+   * GET /locations
+   * Public. Active stores for the location picker (receipt scan, reservations, menu).
    */
-  app.get('/reservations/mine', async (req, res) => {
+  app.get('/locations', async (req, res) => {
     try {
-      const userContext = await requireUser(req, res);
-      if (!userContext) return;
-
-      const db = admin.firestore();
-      const today = new Date();
-      today.setUTCHours(0, 0, 0, 0);
-      const todayStr = today.toISOString().slice(0, 10); // YYYY-MM-DD
-
-      // Query by userId only to avoid Firestore composite index requirement
-      const snapshot = await db.collection('reservations')
-        .where('userId', '==', userContext.uid)
-        .limit(50)
-        .get();
+      const locations = await getLocations(admin.firestore());
+      res.json({
+        defaultLocationId: DEFAULT_LOCATION_ID,
+        locations: locations
+          .filter(l => l.active)
+          .map(({ id, name, address, timeZone }) => ({ id, name, address, timeZone }))
+      });
+    } catch (error) {
+      logger.error('❌ Error listing locations:', error);
+      res.status(500).json({ error: 'Failed to list locations' });
+    }
+  });
 
-      const reservations = (snapshot.docs || [])
-        .map((doc) => {
-          const d = doc.data();
-          return {
-            id: doc.id,
-            userId: d.userId,
-            customerName: d.customerName,
-            phone: d.phone,
-            email: d.email || null,
-            date: d.date,
-            time: d.time,
-            partySize: d.partySize,
-            specialRequests: d.specialRequests || null,
-            status: d.status,
-            createdAt: d.createdAt,
-            updatedAt: d.updatedAt,
-            confirmedAt: d.confirmedAt || null,
-            confirmedBy: d.confirmedBy || null
-          };
-        })
-        .filter((r) => r.status !== 'cancelled' && r.date >= todayStr)
-        .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
-        .slice(0, 10);
+  /**
+   * GET /admin/locations
+   * Admin only. All stores (including inactive) with their receipt-validation profiles.
+   */
+  app.get('/admin/locations', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      return res.json({ reservations });
+      const locations = await getLocations(admin.firestore());
+      res.json({ defaultLocationId: DEFAULT_LOCATION_ID, locations });
     } catch (error) {
-      logger.error('❌ Error fetching user reservations:', error?.message || error, error?.stack);
-      return res.status(500).json({ error: 'Failed to fetch reservations' });
+      logger.error('❌ Error listing admin locations:', error);
+      res.status(500).json({ error: 'Failed to list locations' });
     }
   });
 
   /**
-   * PATCH /reservations/mine/:id
-   * Authenticated user. Cancel own reservation only (status: "cancelled"). Ownership required.
+   * PUT /admin/locations/:id
+   * Admin only. Create or replace a store. The id is permanent (stored on receipts and reservations).
+   * Body: { name, address?, timeZone, active?, receiptProfile: { headerText, orderNumberAnchor, orderNumberMin, orderNumberMax } }
    */
-  app.patch('/reservations/mine/:id', async (req, res) => {
+  app.put('/admin/locations/:id', validate(locationSchema), async (req, res) => {
     try {
-      const userContext = await requireUser(req, res);
-      if (!userContext) return;
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
       const id = (req.params.id || '').toString().trim();
-      if (!id) return res.status(400).json({ error: 'Reservation id is required' });
-
-      const { status } = req.body || {};
-      if (!status || typeof status !== 'string' || status.trim().toLowerCase() !== 'cancelled') {
-        return res.status(400).json({ error: 'Only status "cancelled" is allowed for self-service' });
+      if (!/^[a-z0-9][a-z0-9-]{0,62}$/.test(id)) {
+        return res.status(400).json({ error: 'Location id must be lowercase letters, digits and dashes' });
       }
-
-      const db = admin.firestore();
-      const ref = db.collection('reservations').doc(id);
-      const doc = await ref.get();
-      if (!doc.exists) return res.status(404).json({ error: 'Reservation not found' });
-
-      const data = doc.data();
-      if (data.userId !== userContext.uid) {
-        return res.status(403).json({ error: 'Not your reservation' });
+      if (!DateTime.now().setZone(req.body.timeZone).isValid) {
+        return res.status(400).json({ error: `Unknown timeZone: ${req.body.timeZone}` });
       }
-      if (data.status === 'cancelled') {
-        return res.status(400).json({ error: 'Reservation is already cancelled' });
+      if (id === DEFAULT_LOCATION_ID && req.body.active === false) {
+        return res.status(400).json({ error: 'The default location cannot be deactivated' });
       }
 
-      await ref.update({
-        status: 'cancelled',
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      const db = admin.firestore();
+      const location = normalizeLocation(id, req.body);
+      const { orderNumberMaxDigits, ...receiptProfile } = location.receiptProfile;
+      await db.collection(LOCATIONS_COLLECTION).doc(id).set({
+        name: location.name,
+        address: location.address,
+        timeZone: location.timeZone,
+        active: location.active,
+        receiptProfile,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: adminContext.uid
       });
+      invalidateLocationsCache();
 
-      logger.info(`✅ Reservation ${id} cancelled by owner ${userContext.uid}`);
-      return res.status(200).json({ id, status: 'cancelled' });
+      logger.info(`✏️ Location ${id} saved by ${adminContext.uid} (${location.name}, ${location.timeZone}, active=${location.active})`);
+      res.json({ success: true, location });
     } catch (error) {
-      logger.error('❌ Error cancelling reservation (mine):', error);
-      return res.status(500).json({ error: 'Failed to cancel reservation' });
+      logger.error('❌ Error saving location:', error);
+      res.status(500).json({ error: 'Failed to save location' });
     }
   });
 
   /**
-   * PATCH /reservations/:id
-   * Admin only. Update status to confirmed or cancelled; optional notes.
+   * GET /admin/locations/:id/reservation-capacity
+   * Admin only. The store's reservation slots, seating limits, business hours and closures
+   * (defaults are returned if never saved; see reservationCapacity.js).
    */
-  app.patch('/reservations/:id', async (req, res) => {
+  app.get('/admin/locations/:id/reservation-capacity', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const id = (req.params.id || '').toString().trim();
-      if (!id) return res.status(400).json({ error: 'Reservation id is required' });
-
-      const { status, notes } = req.body || {};
-      if (!status || typeof status !== 'string' || !['confirmed', 'cancelled'].includes(status.trim().toLowerCase())) {
-        return res.status(400).json({ error: 'status must be "confirmed" or "cancelled"' });
-      }
-
       const db = admin.firestore();
-      const ref = db.collection('reservations').doc(id);
-      const doc = await ref.get();
-      if (!doc.exists) return res.status(404).json({ error: 'Reservation not found' });
-
-      const update = {
-        status: status.trim().toLowerCase(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      };
-      if (status.trim().toLowerCase() === 'confirmed') {
-        update.confirmedAt = admin.firestore.FieldValue.serverTimestamp();
-        update.confirmedBy = adminContext.uid;
-      }
-      if (notes && typeof notes === 'string' && notes.trim().length > 0) {
-        update.notes = notes.trim();
-      }
-      await ref.update(update);
-
-      // Clear admin "new reservation" notifications for this reservation (v1.1 – they go away once acted on)
-      try {
-        const adminNotifsSnap = await db.collection('notifications').where('reservationId', '==', id).get();
-        const toDelete = adminNotifsSnap.docs.filter(d => (d.data().type || '') === 'reservation_new');
-        const BATCH_SIZE = 500;
-        for (let i = 0; i < toDelete.length; i += BATCH_SIZE) {
-          const batch = db.batch();
-          toDelete.slice(i, i + BATCH_SIZE).forEach(d => batch.delete(d.ref));
-          await batch.commit();
-        }
-        if (toDelete.length > 0) logger.info(`Cleared ${toDelete.length} reservation_new notification(s) for reservation ${id}`);
-      } catch (clearErr) {
-        logger.error('⚠️ Failed to clear admin reservation notifications:', clearErr);
-      }
-
-      // Notify the customer about the status change
-      try {
-        const resData = doc.data();
-        const customerUid = resData.userId;
-        if (customerUid) {
-          const now = admin.firestore.FieldValue.serverTimestamp();
-          const finalStatus = status.trim().toLowerCase();
-          const dateStr = resData.date || '';
-          const displayDate = formatReservationDateShort(dateStr);
-          const timeStr = resData.time || '';
-          const party = resData.partySize || 0;
-
-          let notifTitle, notifBody, notifType;
-          if (finalStatus === 'confirmed') {
-            notifTitle = 'Reservation Confirmed';
-            notifBody = `Your reservation for ${party} on ${displayDate} at ${timeStr} has been confirmed. See you then!`;
-            notifType = 'reservation_confirmed';
-          } else {
-            notifTitle = 'Reservation Update';
-            notifBody = `Your reservation for ${party} on ${displayDate} at ${timeStr} has been cancelled. Please contact us for questions.`;
-            notifType = 'reservation_cancelled';
-          }
-
-          await db.collection('notifications').add({
-            userId: customerUid,
-            title: notifTitle,
-            body: notifBody,
-            type: notifType,
-            read: false,
-            createdAt: now,
-            reservationId: id
-          });
-
-          // Send FCM push to customer so they get notified on their device (confirmed or cancelled)
-          (async () => {
-            try {
-              const userDoc = await db.collection('users').doc(customerUid).get();
-              const data = userDoc.exists ? userDoc.data() : {};
-              const fcmToken = data && typeof data.fcmToken === 'string' && data.fcmToken.length > 0 ? data.fcmToken : null;
-              if (fcmToken) {
-                sendPushNotificationToToken(fcmToken, notifTitle, notifBody, { type: notifType, reservationId: id }).catch(err => {
-                  logger.warn('Customer reservation status push failed:', err.message || err);
-                });
-              }
-            } catch (pushErr) {
-              logger.warn('Customer reservation push error:', pushErr.message || pushErr);
-            }
-          })();
-        }
-      } catch (notifErr) {
-        logger.error('⚠️ Failed to send reservation status notification:', notifErr);
+      const location = await resolveLocation(db, req.params.id, { allowInactive: true });
+      if (!location) {
+        return res.status(404).json({ error: 'Unknown location' });
       }
 
-      logger.info(`✅ Reservation ${id} updated to ${update.status} by admin ${adminContext.uid}`);
-      return res.json({ id, status: update.status });
+      const doc = await db.collection(RESERVATION_CAPACITY_COLLECTION).doc(location.id).get();
+      const stored = doc.exists ? doc.data() : null;
+      res.json({
+        locationId: location.id,
+        timeZone: location.timeZone,
+        config: normalizeReservationCapacity(stored),
+        isDefault: !doc.exists,
+        updatedAt: stored?.updatedAt?.toDate ? stored.updatedAt.toDate().toISOString() : null,
+        updatedBy: stored?.updatedBy || null
+      });
     } catch (error) {
-      logger.error('❌ Error updating reservation:', error);
-      return res.status(500).json({ error: 'Failed to update reservation' });
+      logger.error('❌ Error fetching reservation capacity:', error);
+      res.status(500).json({ error: 'Failed to fetch reservation capacity' });
     }
   });
 
   /**
-   * DELETE /reservations/:id
-   * Admin only. Permanently remove the reservation document. Optionally notify the customer.
+   * PUT /admin/locations/:id/reservation-capacity
+   * Admin only. Replace the store's reservation capacity. Times are in the store's timezone.
+   * Body: { slotMinutes: 15|30, tablesPerSlot, coversPerSlot, maxPartySize?, minNoticeMinutes?,
+   *   maxAdvanceDays?, lastSeatingMinutes?, weeklyHours: { monday: [{ open, close, tablesPerSlot?, coversPerSlot? }], ... },
+   *   closures?: [{ date: 'YYYY-MM-DD', reason? }] }
+   * Existing bookings are kept even if they no longer fit.
    */
-  app.delete('/reservations/:id', async (req, res) => {
+  app.put('/admin/locations/:id/reservation-capacity', validate(reservationCapacitySchema), async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const id = (req.params.id || '').toString().trim();
-      if (!id) return res.status(400).json({ error: 'Reservation id is required' });
-
       const db = admin.firestore();
-      const ref = db.collection('reservations').doc(id);
-      const doc = await ref.get();
-      if (!doc.exists) return res.status(404).json({ error: 'Reservation not found' });
+      const location = await resolveLocation(db, req.params.id, { allowInactive: true });
+      if (!location) {
+        return res.status(404).json({ error: 'Unknown location' });
+      }
 
-      const resData = doc.data();
-      const customerUid = resData.userId;
-      const dateStr = resData.date || '';
-      const displayDate = formatReservationDateShort(dateStr);
-      const timeStr = resData.time || '';
-      const party = resData.partySize || 0;
+      const config = normalizeReservationCapacity(req.body);
+      await db.collection(RESERVATION_CAPACITY_COLLECTION).doc(location.id).set({
+        ...config,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: adminContext.uid
+      });
 
-      await ref.delete();
+      logger.info(`✏️ Reservation capacity for ${location.id} saved by ${adminContext.uid} (${config.slotMinutes}-minute slots, ${config.tablesPerSlot} tables / ${config.coversPerSlot} covers)`);
+      res.json({ success: true, locationId: location.id, config });
+    } catch (error) {
+      logger.error('❌ Error saving reservation capacity:', error);
+      res.status(500).json({ error: 'Failed to save reservation capacity' });
+    }
+  });
 
-      // Clear admin "new reservation" notifications for this reservation (v1.1 – they go away once acted on)
-      try {
-        const adminNotifsSnap = await db.collection('notifications').where('reservationId', '==', id).get();
-        const toDelete = adminNotifsSnap.docs.filter(d => (d.data().type || '') === 'reservation_new');
-        const BATCH_SIZE = 500;
-        for (let i = 0; i < toDelete.length; i += BATCH_SIZE) {
-          const batch = db.batch();
-          toDelete.slice(i, i + BATCH_SIZE).forEach(d => batch.delete(d.ref));
-          await batch.commit();
-        }
-        if (toDelete.length > 0) logger.info(`Cleared ${toDelete.length} reservation_new notification(s) for reservation ${id}`);
-      } catch (clearErr) {
-        logger.error('⚠️ Failed to clear admin reservation notifications:', clearErr);
-      }
+  // Get the reservation no-show policy and attendance points (see reservationLifecycle.js)
+  app.get('/admin/reservations/policy', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      if (customerUid) {
-        try {
-          await db.collection('notifications').add({
-            userId: customerUid,
-            title: 'Reservation Removed',
-            body: `Your reservation for ${party} on ${displayDate} at ${timeStr} has been removed. Please contact us with any questions.`,
-            type: 'reservation_cancelled',
-            read: false,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            reservationId: id
-          });
-        } catch (notifErr) {
-          logger.error('⚠️ Failed to send reservation-deleted notification:', notifErr);
-        }
-      }
+      const db = admin.firestore();
+      const doc = await db.collection('config').doc(RESERVATION_POLICY_CONFIG_DOC).get();
+      const stored = doc.exists ? doc.data() : null;
 
-      logger.info(`✅ Reservation ${id} deleted by admin ${adminContext.uid}`);
-      return res.status(200).json({ id, deleted: true });
+      res.json({
+        config: normalizeReservationPolicy(stored),
+        isDefault: !doc.exists,
+        updatedAt: stored?.updatedAt?.toDate ? stored.updatedAt.toDate().toISOString() : null,
+        updatedBy: stored?.updatedBy || null
+      });
     } catch (error) {
-      logger.error('❌ Error deleting reservation:', error);
-      return res.status(500).json({ error: 'Failed to delete reservation' });
+      logger.error('❌ Error fetching reservation policy:', error);
+      res.status(500).json({ error: 'Failed to fetch reservation policy' });
     }
   });
 
-  /**
-   * POST /cron/auto-confirm-reservations
-   * Cron-only. Auto-confirms pending reservations with partySize < 4 after 5 minutes.
-   * Secured by CRON_SECRET (header X-Cron-Secret or Authorization: Bearer <secret>).
-   */
-  app.post('/cron/auto-confirm-reservations', async (req, res) => {
-    const secret = process.env.CRON_SECRET || '';
-    const headerSecret = req.headers['x-cron-secret'] || '';
-    const authHeader = req.headers.authorization || '';
-    const bearerSecret = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
-    if (!secret || (headerSecret !== secret && bearerSecret !== secret)) {
-      return res.status(401).json({ error: 'Unauthorized' });
+  // Replace the reservation policy (thresholds apply to the next booking; 0 turns one off)
+  app.post('/admin/reservations/policy', validate(reservationPolicySchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const config = normalizeReservationPolicy(req.body);
+      await db.collection('config').doc(RESERVATION_POLICY_CONFIG_DOC).set({
+        ...config,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: adminContext.uid
+      });
+
+      logger.info(`✏️ Reservation policy updated by ${adminContext.uid} (confirm at ${config.noShowConfirmationThreshold}, block at ${config.noShowBlockThreshold} no-shows, ${config.attendancePoints} attendance points)`);
+      res.json({ success: true, config });
+    } catch (error) {
+      logger.error('❌ Error saving reservation policy:', error);
+      res.status(500).json({ error: 'Failed to save reservation policy' });
     }
+  });
 
+  // Whether the admin reservations calendar feed is turned on (the URL itself is only shown when rotated)
+  app.get('/admin/reservations/calendar-feed', async (req, res) => {
     try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
       const db = admin.firestore();
-      const now = new Date();
-      const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
-
-      const pendingSnap = await db.collection('reservations')
-        .where('status', '==', 'pending')
-        .limit(200)
-        .get();
-
-      const toAutoConfirm = [];
-      for (const doc of pendingSnap.docs) {
-        const d = doc.data();
-        const partySize = typeof d.partySize === 'number' ? d.partySize : parseInt(d.partySize, 10) || 0;
-        if (partySize >= 4) continue;
-        const createdAt = d.createdAt;
-        let createdDate = null;
-        if (createdAt) {
-          if (typeof createdAt.toDate === 'function') createdDate = createdAt.toDate();
-          else if (createdAt instanceof Date) createdDate = createdAt;
-          else createdDate = new Date(createdAt);
-        }
-        if (!createdDate || isNaN(createdDate.getTime()) || createdDate > fiveMinutesAgo) continue;
-        toAutoConfirm.push({ ref: doc.ref, id: doc.id, data: d });
-      }
+      const doc = await db.collection('config').doc(RESERVATION_CALENDAR_FEED_CONFIG_DOC).get();
+      const stored = doc.exists ? doc.data() : null;
 
-      let count = 0;
-      for (const { ref, id, data: resData } of toAutoConfirm) {
-        const fresh = await ref.get();
-        if (!fresh.exists || (fresh.data() || {}).status !== 'pending') continue;
-        await ref.update({
-          status: 'confirmed',
-          confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
-          confirmedBy: 'auto',
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
+      res.json({
+        enabled: Boolean(stored?.tokenHash),
+        rotatedAt: stored?.rotatedAt?.toDate ? stored.rotatedAt.toDate().toISOString() : null,
+        rotatedBy: stored?.rotatedBy || null
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching reservation calendar feed:', error);
+      res.status(500).json({ error: 'Failed to fetch calendar feed' });
+    }
+  });
 
-        const adminNotifsSnap = await db.collection('notifications').where('reservationId', '==', id).get();
-        const toUpdate = adminNotifsSnap.docs.filter(d => (d.data().type || '') === 'reservation_new');
-        for (const d of toUpdate) {
-          await d.ref.update({
-            title: 'New reservation (auto confirmed)',
-            autoConfirmed: true
-          });
-        }
+  // Issue a new calendar feed URL; the previous one stops working
+  app.post('/admin/reservations/calendar-feed/rotate', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-        const customerUid = resData.userId;
-        if (customerUid) {
-          const dateStr = resData.date || '';
-          const displayDate = formatReservationDateShort(dateStr);
-          const timeStr = resData.time || '';
-          const party = resData.partySize || 0;
-          const notifTitle = 'Reservation Confirmed';
-          const notifBody = `Your reservation for ${party} on ${displayDate} at ${timeStr} has been confirmed. See you then!`;
-          await db.collection('notifications').add({
-            userId: customerUid,
-            title: notifTitle,
-            body: notifBody,
-            type: 'reservation_confirmed',
-            read: false,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            reservationId: id
-          });
-          (async () => {
-            try {
-              const userDoc = await db.collection('users').doc(customerUid).get();
-              const data = userDoc.exists ? userDoc.data() : {};
-              const fcmToken = data && typeof data.fcmToken === 'string' && data.fcmToken.length > 0 ? data.fcmToken : null;
-              if (fcmToken) {
-                sendPushNotificationToToken(fcmToken, notifTitle, notifBody, { type: 'reservation_confirmed', reservationId: id }).catch(err => {
-                  logger.warn('Customer auto-confirm push failed:', err.message || err);
-                });
-              }
-            } catch (pushErr) {
-              logger.warn('Customer auto-confirm push error:', pushErr.message || pushErr);
-            }
-          })();
-        }
-        count++;
-        logger.info(`Auto-confirmed reservation ${id} (party of ${resData.partySize})`);
-      }
+      const db = admin.firestore();
+      const token = createFeedToken();
+      await db.collection('config').doc(RESERVATION_CALENDAR_FEED_CONFIG_DOC).set({
+        tokenHash: hashFeedToken(token),
+        rotatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        rotatedBy: adminContext.uid
+      });
 
-      return res.status(200).json({ ok: true, autoConfirmedCount: count });
+      const feedPath = `/reservations/calendar-feed/${token}/reservations.ics`;
+      const protocol = (req.get('x-forwarded-proto') || req.protocol || 'https').split(',')[0].trim();
+      logger.info(`🔑 Reservation calendar feed rotated by ${adminContext.uid}`);
+      res.json({ success: true, feedPath, feedUrl: `${protocol}://${req.get('host')}${feedPath}` });
     } catch (error) {
-      logger.error('❌ Error in auto-confirm-reservations cron:', error);
-      return res.status(500).json({ error: 'Failed to run auto-confirm' });
+      logger.error('❌ Error rotating reservation calendar feed:', error);
+      res.status(500).json({ error: 'Failed to rotate calendar feed' });
     }
   });
 
   /**
-   * POST /cron/reservation-reminders
-   * Cron-only. Sends day-before and day-of in-app reminders for reservations.
-   * Secured by CRON_SECRET (header X-Cron-Secret or Authorization: Bearer <secret>).
+   * POST /admin/users/:id/reservation-no-shows/reset
+   * Admin only. Clear a customer's no-show count so they can book online again.
    */
-  app.post('/cron/reservation-reminders', async (req, res) => {
-    const secret = process.env.CRON_SECRET || '';
-    const headerSecret = req.headers['x-cron-secret'] || '';
-    const authHeader = req.headers.authorization || '';
-    const bearerSecret = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
-    if (!secret || (headerSecret !== secret && bearerSecret !== secret)) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
+  app.post('/admin/users/:id/reservation-no-shows/reset', async (req, res) => {
     try {
-      const db = admin.firestore();
-      const now = new Date();
-      const todayStr = now.toISOString().slice(0, 10);
-      const tomorrow = new Date(now);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      const tomorrowStr = tomorrow.toISOString().slice(0, 10);
-
-      let dayBeforeCount = 0;
-      let dayOfCount = 0;
-
-      // Day-before reminders: date === tomorrow, status !== cancelled, reminderDayBeforeSent not set
-      const tomorrowSnap = await db.collection('reservations')
-        .where('date', '==', tomorrowStr)
-        .limit(100)
-        .get();
-
-      for (const doc of tomorrowSnap.docs) {
-        const d = doc.data();
-        if (d.status === 'cancelled' || d.reminderDayBeforeSent === true) continue;
-        const userId = d.userId;
-        if (!userId) continue;
-        await db.collection('notifications').add({
-          userId,
-          title: 'Reservation Reminder',
-          body: `Your table for ${d.partySize || 0} is reserved for tomorrow, ${tomorrowStr} at ${d.time || ''}. See you then!`,
-          type: 'reservation_confirmed',
-          read: false,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          reservationId: doc.id
-        });
-        await doc.ref.update({ reminderDayBeforeSent: true });
-        dayBeforeCount++;
-      }
-
-      // Day-of reminders: date === today, status !== cancelled, reminderDayOfSent not set
-      const todaySnap = await db.collection('reservations')
-        .where('date', '==', todayStr)
-        .limit(100)
-        .get();
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      for (const doc of todaySnap.docs) {
-        const d = doc.data();
-        if (d.status === 'cancelled' || d.reminderDayOfSent === true) continue;
-        const userId = d.userId;
-        if (!userId) continue;
-        await db.collection('notifications').add({
-          userId,
-          title: 'Reservation Today',
-          body: `Your reservation is today at ${d.time || ''} for ${d.partySize || 0}. We look forward to seeing you!`,
-          type: 'reservation_confirmed',
-          read: false,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          reservationId: doc.id
+      const db = admin.firestore();
+      const userRef = db.collection('users').doc(req.params.id);
+      const previousCount = await db.runTransaction(async (tx) => {
+        const userDoc = await tx.get(userRef);
+        if (!userDoc.exists) return null;
+        const count = userDoc.get('reservationNoShowCount') || 0;
+        tx.update(userRef, { reservationNoShowCount: 0 });
+        tx.set(db.collection('adminActions').doc(), {
+          action: 'reservation_no_shows_reset',
+          targetUserId: userRef.id,
+          performedBy: adminContext.uid,
+          previousCount: count,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
         });
-        await doc.ref.update({ reminderDayOfSent: true });
-        dayOfCount++;
+        return count;
+      });
+      if (previousCount === null) {
+        return res.status(404).json({ error: 'User not found' });
       }
 
-      logger.info(`✅ Reservation reminders: ${dayBeforeCount} day-before, ${dayOfCount} day-of`);
-      return res.json({ ok: true, dayBeforeCount, dayOfCount });
+      logger.info(`✏️ Reservation no-shows for ${userRef.id} reset by ${adminContext.uid} (was ${previousCount})`);
+      res.json({ success: true, userId: userRef.id, previousCount, noShowCount: 0 });
     } catch (error) {
-      logger.error('❌ Error sending reservation reminders:', error);
-      return res.status(500).json({ error: 'Failed to send reminders' });
+      logger.error('❌ Error resetting reservation no-shows:', error);
+      res.status(500).json({ error: 'Failed to reset no-shows' });
     }
   });
 
-  // ---------------------------------------------------------------------------
-  // Admin-only Users Listing (server-side paging + search)
-  // ---------------------------------------------------------------------------
-  // ---------------------------------------------------------------------------
-  // Admin-only Debug Endpoints (Firebase wiring + push targeting visibility)
-  // ---------------------------------------------------------------------------
   /**
-   * GET /admin/debug/firebase
-   *
-   * Admin-only. Returns non-secret information about which Firebase project
-   * this server instance is connected to.
+   * POST /admin/locations/backfill
+   * Admin only. Stamps the default locationId on receipts and reservations written before
+   * locations existed, so location-filtered queries (stats, reservation list) include them.
+   * Safe to re-run; docs that already have a locationId are left alone.
    */
-  app.get('/admin/debug/firebase', async (req, res) => {
+  app.post('/admin/locations/backfill', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const appInstance = admin.app();
-      const options = appInstance?.options || {};
+      const db = admin.firestore();
+      const pageSize = 400;
+      const updated = {};
 
-      // Best-effort project id derivation without exposing secrets.
-      let derivedProjectId = options.projectId || process.env.GOOGLE_CLOUD_PROJECT || null;
-      if (!derivedProjectId && process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
-        try {
-          const sa = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
-          if (sa && typeof sa.project_id === 'string') derivedProjectId = sa.project_id;
-        } catch (_) {
-          // ignore parse errors
+      for (const collectionName of ['receipts', 'reservations']) {
+        updated[collectionName] = 0;
+        let lastDoc = null;
+        // Firestore can't query for a missing field, so page through the collection
+        for (;;) {
+          let query = db.collection(collectionName)
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .select('locationId')
+            .limit(pageSize);
+          if (lastDoc) query = query.startAfter(lastDoc);
+          const snap = await query.get();
+          if (snap.empty) break;
+
+          const batch = db.batch();
+          let batchCount = 0;
+          for (const doc of snap.docs) {
+            if (!doc.get('locationId')) {
+              batch.update(doc.ref, { locationId: DEFAULT_LOCATION_ID });
+              batchCount++;
+            }
+          }
+          if (batchCount > 0) await batch.commit();
+          updated[collectionName] += batchCount;
+
+          lastDoc = snap.docs[snap.docs.length - 1];
+          if (snap.size < pageSize) break;
         }
       }
 
-      return res.json({
-        ok: true,
-        firebase: {
-          appName: appInstance?.name || null,
-          optionsProjectId: options.projectId || null,
-          derivedProjectId
-        },
-        env: {
-          FIREBASE_AUTH_TYPE: process.env.FIREBASE_AUTH_TYPE || null,
-          GOOGLE_CLOUD_PROJECT: process.env.GOOGLE_CLOUD_PROJECT || null,
-          NODE_ENV: process.env.NODE_ENV || null
-        }
-      });
+      logger.info(`🏬 Location backfill by ${adminContext.uid}: ${updated.receipts} receipts, ${updated.reservations} reservations`);
+      res.json({ success: true, locationId: DEFAULT_LOCATION_ID, updated });
     } catch (error) {
-      logger.error('❌ Error in /admin/debug/firebase:', error);
-      return res.status(500).json({ error: 'Failed to fetch Firebase debug info' });
+      logger.error('❌ Error backfilling locations:', error);
+      res.status(500).json({ error: 'Failed to backfill locations' });
     }
   });
 
-  /**
-   * GET /admin/debug/pushTargets
-   *
-   * Admin-only. Summarizes how many users are marked as having FCM tokens,
-   * and samples a few documents to confirm fields exist (never returns tokens).
-   */
-  app.get('/admin/debug/pushTargets', async (req, res) => {
-    try {
-      const adminContext = await requireAdmin(req, res);
-      if (!adminContext) return;
+  // ---------------------------------------------------------------------------
+  // Reservations (create = any user; list/update = admin only)
+  // ---------------------------------------------------------------------------
 
-      const db = admin.firestore();
-      const pageSize = 500;
-      const sampleSize = Math.min(parseInt(req.query.sampleSize, 10) || 10, 25);
+  /** Simple health check so you can verify reservations API is deployed (GET /reservations/ok). */
+  app.get('/reservations/ok', (req, res) => {
+    res.status(200).json({ ok: true, reservations: true });
+  });
 
-      let lastDoc = null;
-      let hasFcmTokenTrueCount = 0;
-      let excludedAdminCount = 0;
-      let missingFcmTokenCount = 0;
-      const samples = [];
+  /** Returns all user IDs where isAdmin === true (scan users collection). */
+  async function getAdminUids() {
+    const db = admin.firestore();
+    const snapshot = await db.collection('users').get();
+    const uids = [];
+    snapshot.docs.forEach((doc) => {
+      const data = doc.data() || {};
+      if (data.isAdmin === true) uids.push(doc.id);
+    });
+    return uids;
+  }
 
-      while (true) {
-        let query = db.collection('users')
-          .where('hasFcmToken', '==', true)
-          .limit(pageSize);
+  /** Format YYYY-MM-DD as short display date e.g. "Feb 17", "Oct 3". Returns dateStr on parse failure. */
+  function formatReservationDateShort(dateStr) {
+    if (!dateStr || typeof dateStr !== 'string') return dateStr || '';
+    const d = new Date(dateStr.trim() + 'T12:00:00');
+    if (Number.isNaN(d.getTime())) return dateStr;
+    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  }
 
-        if (lastDoc) query = query.startAfter(lastDoc);
+  /** A store's reservation capacity (defaults until an admin saves one). */
+  async function getReservationCapacity(db, locationId) {
+    const doc = await db.collection(RESERVATION_CAPACITY_COLLECTION).doc(locationId).get();
+    return normalizeReservationCapacity(doc.exists ? doc.data() : null);
+  }
 
-        const page = await query.get();
-        if (!page || page.empty) break;
+  /**
+   * When a reservation starts and the timezone of its store. Reservations made before
+   * startsAt was stored get it from their local date and time.
+   * @param {Array<Object>} locations - From getLocations
+   * @returns {{startsAt: Date|null, timeZone: string}}
+   */
+  function reservationTiming(data, locations) {
+    const location = locations.find(l => l.id === locationIdOf(data));
+    const timeZone = data.timeZone || location?.timeZone || process.env.STATS_TIMEZONE || 'America/Chicago';
+    return { startsAt: toDate(data.startsAt) || reservationStartsAt(data.date, data.time, timeZone), timeZone };
+  }
 
-        for (const doc of page.docs) {
-          hasFcmTokenTrueCount += 1;
-          const data = doc.data() || {};
+  /** Send an .ics document (see reservationCalendar.js). */
+  function sendCalendar(res, ics, filename) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-cache');
+    return res.send(ics);
+  }
 
-          if (data.isAdmin === true) excludedAdminCount += 1;
+  /** No-show handling and attendance points (defaults until an admin saves them). */
+  async function getReservationPolicy(db) {
+    const doc = await db.collection('config').doc(RESERVATION_POLICY_CONFIG_DOC).get();
+    return normalizeReservationPolicy(doc.exists ? doc.data() : null);
+  }
 
-          const fcmToken = data.fcmToken;
-          const isValidToken = (typeof fcmToken === 'string' && fcmToken.length > 0);
-          if (!isValidToken) missingFcmTokenCount += 1;
+  /** A user's standing under the no-show policy (see reservationLifecycle.js). */
+  async function getNoShowStanding(db, uid) {
+    const [policy, userDoc] = await Promise.all([
+      getReservationPolicy(db),
+      db.collection('users').doc(uid).get()
+    ]);
+    return { policy, ...noShowStanding(userDoc.exists ? userDoc.data() : null, policy) };
+  }
 
-          if (samples.length < sampleSize) {
-            samples.push({
-              id: doc.id,
-              isAdmin: data.isAdmin === true,
-              hasFcmToken: data.hasFcmToken === true,
-              fcmTokenLength: isValidToken ? fcmToken.length : 0,
-              hasFcmTokenUpdatedAt: !!data.fcmTokenUpdatedAt
-            });
-          }
-        }
+  /** 403 for customers blocked by the no-show policy. */
+  function sendNoShowBlocked(res, { noShowCount }) {
+    return sendError(res, 403, "RESERVATIONS_BLOCKED", 'Online reservations are unavailable for this account after missed reservations. Please call us to book.', {
+      noShowCount
+    });
+  }
 
-        lastDoc = page.docs[page.docs.length - 1];
-        if (page.docs.length < pageSize) break;
-      }
-
-      return res.json({
-        ok: true,
-        counts: {
-          hasFcmTokenTrueCount,
-          excludedAdminCount,
-          missingFcmTokenCount
-        },
-        samples
-      });
-    } catch (error) {
-      logger.error('❌ Error in /admin/debug/pushTargets:', error);
-      return res.status(500).json({ error: 'Failed to fetch push target debug info' });
-    }
-  });
+  /** Every slot on a date with the tables and covers still open (see describeAvailability). */
+  async function loadReservationAvailability(db, location, capacity, date, partySize) {
+    const usageSnap = await db.collection(RESERVATION_SLOTS_COLLECTION)
+      .where('locationId', '==', location.id)
+      .where('date', '==', date)
+      .get();
+    const usageBySlot = new Map(usageSnap.docs.map(doc => [doc.get('time'), doc.data()]));
+    return describeAvailability(capacity, { date, partySize, timeZone: location.timeZone, now: new Date(), usageBySlot });
+  }
 
   /**
-   * GET /admin/users
-   *
-   * Query params:
-   * - limit: number (default 50, max 200)
-   * - cursor: string (doc id to start after)
-   * - q: string (search query across firstName/email/phone; server-side scan)
-   * - orderBy: optional, e.g. 'dateCreated' (only when q is empty)
-   * - orderDir: optional, 'asc' | 'desc' (only when orderBy is dateCreated)
-   *
-   * NOTE: Do NOT return fcmToken to clients.
+   * Give a reservation's table back to its slot. Call inside the transaction that cancels
+   * or deletes the reservation, after its reads. Reservations made before capacity
+   * tracking (or already released) hold no slot.
+   * @returns {boolean} Whether a slot was released
    */
-  app.get('/admin/users', async (req, res) => {
-    try {
-      const adminContext = await requireAdmin(req, res);
-      if (!adminContext) return;
-
-      const db = admin.firestore();
-      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
-      const cursor = (req.query.cursor || '').toString().trim();
-      const q = (req.query.q || '').toString().trim().toLowerCase();
-      const orderByParam = (req.query.orderBy || '').toString().trim();
-      const orderDirParam = (req.query.orderDir || '').toString().trim().toLowerCase();
-
-      const mapUser = (doc) => {
-        const data = doc.data() || {};
-        // Check both accountCreatedDate and createdAt for backward compatibility
-        const created = data.accountCreatedDate || data.createdAt;
-        const createdDate = created && typeof created.toDate === 'function' ? created.toDate() : null;
-
-        return {
-          id: doc.id,
-          firstName: data.firstName || 'Unknown',
-          email: data.email || 'No email',
-          phone: data.phone || '',
-          points: typeof data.points === 'number' ? data.points : 0,
-          lifetimePoints: typeof data.lifetimePoints === 'number' ? data.lifetimePoints : 0,
-          avatarEmoji: data.avatarEmoji || '👤',
-          avatarColor: data.avatarColor || data.avatarColorName || null,
-          profilePhotoURL: data.profilePhotoURL || null,
-          isVerified: data.isVerified === true,
-          isAdmin: data.isAdmin === true,
-          isEmployee: data.isEmployee === true,
-          accountCreatedDate: createdDate ? createdDate.toISOString() : null,
-          hasFcmToken: data.hasFcmToken === true
-        };
-      };
+  function releaseReservationSlot(db, tx, data) {
+    if (!data.slotId) return false;
+    tx.set(db.collection(RESERVATION_SLOTS_COLLECTION).doc(data.slotId), {
+      tableCount: admin.firestore.FieldValue.increment(-1),
+      coverCount: admin.firestore.FieldValue.increment(-(data.partySize || 0)),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return true;
+  }
 
-      // Fast path: no search query -> simple pagination (optionally ordered by date)
-      if (!q) {
-        // Optional: order by accountCreatedDate (v1.1, backward-compatible when params omitted)
-        if (orderByParam === 'dateCreated' && (orderDirParam === 'desc' || orderDirParam === 'asc')) {
-          try {
-            const dir = orderDirParam === 'desc' ? 'desc' : 'asc';
-            let query = db.collection('users')
-              .orderBy('accountCreatedDate', dir)
-              .limit(limit);
+  /**
+   * Tell every admin about a new reservation: an in-app notification each, plus a push
+   * (fire-and-forget) to those with a device.
+   * @returns {Promise<number>} Admins notified
+   */
+  async function notifyAdminsOfNewReservation(db, { reservationId, bodyText, phone }) {
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const adminUids = await getAdminUids();
+    const batchSize = 450;
+    for (let i = 0; i < adminUids.length; i += batchSize) {
+      const batch = db.batch();
+      const chunk = adminUids.slice(i, i + batchSize);
+      for (const uid of chunk) {
+        const notifRef = db.collection('notifications').doc();
+        batch.set(notifRef, {
+          userId: uid,
+          title: 'New reservation',
+          body: bodyText,
+          type: 'reservation_new',
+          read: false,
+          createdAt: now,
+          reservationId,
+          phone
+        });
+      }
+      await batch.commit();
+    }
 
-            if (cursor) {
-              const cursorDoc = await db.collection('users').doc(cursor).get();
-              if (!cursorDoc.exists) {
-                return res.status(400).json({ error: 'Invalid cursor' });
-              }
-              query = query.startAfter(cursorDoc);
+    // Send FCM push to each admin with a valid fcmToken (fire-and-forget; do not block response)
+    const pushTitle = 'New reservation';
+    const pushData = { type: 'reservation_new', reservationId };
+    (async () => {
+      try {
+        const userBatchSize = 30;
+        for (let i = 0; i < adminUids.length; i += userBatchSize) {
+          const chunk = adminUids.slice(i, i + userBatchSize);
+          if (chunk.length === 0) continue;
+          const userSnap = await db.collection('users').where(admin.firestore.FieldPath.documentId(), 'in', chunk).get();
+          for (const doc of userSnap.docs) {
+            const data = doc.data() || {};
+            const fcmToken = data.fcmToken;
+            if (typeof fcmToken === 'string' && fcmToken.length > 0) {
+              sendUserPush(db, doc.id, { title: pushTitle, body: bodyText, data: pushData, category: 'reservations' }, data).catch(err => {
+                logger.warn('Reservation push failed for admin:', doc.id, err.message || err);
+              });
             }
-
-            const snap = await query.get();
-            const docs = snap.docs || [];
-            const users = docs.map(mapUser);
-            const nextCursor = docs.length > 0 ? docs[docs.length - 1].id : null;
-
-            return res.json({
-              users,
-              nextCursor,
-              hasMore: docs.length === limit
-            });
-          } catch (dateOrderError) {
-            const msg = dateOrderError?.message ?? String(dateOrderError);
-            logger.error({ err: dateOrderError, dateOrderErrorMsg: msg }, '❌ Admin users date-ordered query failed, falling back to doc order');
           }
         }
-
-        // Default: order by document ID only (existing production behavior)
-        let query = db.collection('users')
-          .orderBy(admin.firestore.FieldPath.documentId())
-          .limit(limit);
-
-        if (cursor) {
-          query = query.startAfter(cursor);
-        }
-
-        const snap = await query.get();
-        const docs = snap.docs || [];
-        const users = docs.map(mapUser);
-        const nextCursor = docs.length > 0 ? docs[docs.length - 1].id : null;
-
-        return res.json({
-          users,
-          nextCursor,
-          hasMore: docs.length === limit
-        });
+      } catch (pushErr) {
+        logger.warn('Reservation push send error:', pushErr.message || pushErr);
       }
+    })();
+    return adminUids.length;
+  }
 
-      // Search path: scan in pages, filter server-side, return matches (up to limit)
-      const scanPageSize = 500;
-      const matches = [];
-      let scanCursor = cursor || null;
-      let reachedEnd = false;
-      let lastScannedId = null;
-
-      while (matches.length < limit && !reachedEnd) {
-        let query = db.collection('users')
-          .orderBy(admin.firestore.FieldPath.documentId())
-          .limit(scanPageSize);
+  /**
+   * Offer room freed in a slot to the next waitlisted party that fits (see
+   * reservationWaitlist.js): hold their table and send them an in-app notification and push.
+   * Call after the transaction that released the room. Never throws.
+   * @returns {Promise<string|null>} The waitlist entry offered the slot
+   */
+  async function offerFreedReservationSlot(db, { locationId, date, slotTime }) {
+    try {
+      if (!date || !slotTime) return null;
+      const location = await resolveLocation(db, locationId, { allowInactive: true });
+      if (!location) return null;
+      const capacity = await getReservationCapacity(db, location.id);
+      const slot = slotsForDate(capacity, date, location.timeZone).slots.find(s => s.time === slotTime);
+      if (!slot) return null;
+
+      const slotStartsAt = slotStart(date, slotTime, location.timeZone).toJSDate();
+      const expiresAt = waitlistOfferExpiresAt({ now: new Date(), holdMinutes: WAITLIST_HOLD_MINUTES, slotStartsAt });
+      if (!expiresAt) return null;
+
+      const slotId = reservationSlotId(location.id, date, slotTime);
+      const slotRef = db.collection(RESERVATION_SLOTS_COLLECTION).doc(slotId);
+      const offer = await db.runTransaction(async (tx) => {
+        const slotDoc = await tx.get(slotRef);
+        const waitingSnap = await tx.get(db.collection(RESERVATION_WAITLIST_COLLECTION)
+          .where('slotId', '==', slotId)
+          .where('status', '==', 'waiting')
+          .orderBy('createdAt', 'asc')
+          .limit(25));
+        const entries = waitingSnap.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+        const entry = pickNextWaitlistEntry(entries, slot, slotDoc.exists ? slotDoc.data() : null);
+        if (!entry) return null;
+
+        tx.set(slotRef, {
+          locationId: location.id,
+          date,
+          time: slotTime,
+          tableCount: admin.firestore.FieldValue.increment(1),
+          coverCount: admin.firestore.FieldValue.increment(entry.data.partySize || 0),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        tx.update(db.collection(RESERVATION_WAITLIST_COLLECTION).doc(entry.id), {
+          status: 'offered',
+          offeredAt: admin.firestore.FieldValue.serverTimestamp(),
+          offerExpiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return entry;
+      });
+      if (!offer) return null;
 
-        if (scanCursor) {
-          query = query.startAfter(scanCursor);
-        }
+      const { userId, partySize } = offer.data;
+      const title = 'A table opened up';
+      const body = `A table for ${partySize} on ${formatReservationDateShort(date)} at ${formatSlotLabel(slotTime)} just opened up. We'll hold it for ${WAITLIST_HOLD_MINUTES} minutes – tap to book it.`;
+      await db.collection('notifications').add({
+        userId,
+        title,
+        body,
+        type: 'reservation_waitlist_offer',
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        waitlistId: offer.id
+      });
+      const push = await sendUserPush(db, userId, {
+        title,
+        body,
+        data: { type: 'reservation_waitlist_offer', waitlistId: offer.id },
+        category: 'reservations'
+      });
 
-        const page = await query.get();
-        if (!page || page.empty) {
-          reachedEnd = true;
-          break;
+      // A push held for quiet hours starts the hold when it's delivered
+      if (push.deferredUntil) {
+        const deferredExpiresAt = waitlistOfferExpiresAt({ now: push.deferredUntil, holdMinutes: WAITLIST_HOLD_MINUTES, slotStartsAt });
+        if (deferredExpiresAt && deferredExpiresAt > expiresAt) {
+          await db.collection(RESERVATION_WAITLIST_COLLECTION).doc(offer.id).update({
+            offerExpiresAt: admin.firestore.Timestamp.fromDate(deferredExpiresAt)
+          });
         }
+      }
 
-        for (const doc of page.docs) {
-          lastScannedId = doc.id;
-          const data = doc.data() || {};
+      logger.info(`🪑 Waitlist entry ${offer.id} offered ${location.id} ${date} ${slotTime} (party of ${partySize})`);
+      return offer.id;
+    } catch (error) {
+      logger.warn('⚠️ Failed to offer freed reservation slot:', error.message || error);
+      return null;
+    }
+  }
 
-          const firstName = (data.firstName || '').toString().toLowerCase();
-          const email = (data.email || '').toString().toLowerCase();
-          const phone = (data.phone || '').toString().toLowerCase();
+  /**
+   * End an open waitlist offer (declined or expired) and give the held table back.
+   * @returns {Promise<Object|null>} The entry's data, or null if it wasn't on offer
+   */
+  async function endWaitlistOffer(db, entryRef, status) {
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(entryRef);
+      if (!doc.exists || doc.get('status') !== 'offered') return null;
+      releaseReservationSlot(db, tx, doc.data());
+      tx.update(entryRef, {
+        status,
+        offerEndedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return doc.data();
+    });
+  }
 
-          if (firstName.includes(q) || email.includes(q) || phone.includes(q)) {
-            matches.push(mapUser(doc));
-            if (matches.length >= limit) break;
-          }
-        }
+  /**
+   * GET /reservations/availability?date=YYYY-MM-DD&partySize=N&locationId=
+   * Public. The store's reservation slots on a date and whether each can seat the party.
+   */
+  app.get('/reservations/availability', async (req, res) => {
+    try {
+      const date = (req.query.date || '').toString().trim();
+      const partySize = parseInt(req.query.partySize, 10);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !DateTime.fromISO(date).isValid) {
+        return res.status(400).json({ error: 'date is required (YYYY-MM-DD)' });
+      }
+      if (Number.isNaN(partySize) || partySize < 1) {
+        return res.status(400).json({ error: 'partySize must be a positive number' });
+      }
 
-        // Prepare for next scan page
-        scanCursor = lastScannedId;
-        if (page.docs.length < scanPageSize) {
-          reachedEnd = true;
-        }
+      const db = admin.firestore();
+      const location = await resolveLocation(db, req.query.locationId);
+      if (!location) {
+        return res.status(400).json({ error: 'Unknown or inactive location' });
       }
 
+      const capacity = await getReservationCapacity(db, location.id);
+      const availability = await loadReservationAvailability(db, location, capacity, date, partySize);
       return res.json({
-        users: matches,
-        nextCursor: lastScannedId,
-        hasMore: !reachedEnd
+        locationId: location.id,
+        timeZone: location.timeZone,
+        date,
+        partySize,
+        slotMinutes: capacity.slotMinutes,
+        maxPartySize: capacity.maxPartySize,
+        ...availability
       });
     } catch (error) {
-      logger.error('❌ Error listing admin users:', error);
-      res.status(500).json({ error: 'Failed to list users' });
+      logger.error('❌ Error fetching reservation availability:', error);
+      return res.status(500).json({ error: 'Failed to fetch availability' });
     }
   });
 
   /**
-   * POST /admin/users/update
-   *
-   * Updates a user's account fields and logs an admin audit action.
-   * Body:
-   * - userId: string (required)
-   * - points: number (required, non-negative integer)
-   * - phone: string (optional)
-   * - isAdmin: bool (optional)
-   * - isVerified: bool (optional)
+   * POST /reservations
+   * Authenticated user. Create a reservation; all admins receive an in-app notification.
+   * Customers over the no-show limits are refused (403 RESERVATIONS_BLOCKED) or have the
+   * booking flagged requiresConfirmation so an admin confirms it (reservationLifecycle.js).
+   * Body: customerName, phone, email?, date (YYYY-MM-DD), time ("6:30 PM" or "18:30"), partySize, specialRequests?, locationId?
+   * date and time are the store's local time; the reservation also stores the UTC instant (startsAt).
+   * The time books the slot it falls in (slotTime); time and startsAt keep the requested time.
+   * A full slot is rejected with 409 SLOT_FULL, the nearest open times, and
+   * waitlistAvailable (POST /reservations/waitlist).
    */
-  app.post('/admin/users/update', validate(adminUserUpdateSchema), async (req, res) => {
+  app.post('/reservations', validate(reservationSchema), async (req, res) => {
     try {
-      logger.info('📥 Received admin user update request');
-      logger.info('📦 Request body:', JSON.stringify(req.body, null, 2));
-      
-      const adminContext = await requireAdmin(req, res);
-      if (!adminContext) {
-        logger.info('❌ Admin authentication failed');
-        return; // requireAdmin already sent the response
+      const userContext = await requireUser(req, res);
+      if (!userContext) return;
+
+      const { customerName, phone, email, date, time, partySize: partySizeNum, specialRequests, locationId } = req.body;
+      const slotTime = parseReservationTime(time);
+      if (!slotTime) {
+        return sendError(res, 400, "INVALID_TIME", 'Invalid time format; use e.g. "6:30 PM"');
       }
 
-      logger.info('✅ Admin authenticated:', adminContext.uid);
+      const dateStr = date.trim();
+      const db = admin.firestore();
+      const location = await resolveLocation(db, locationId);
+      if (!location) {
+        return sendError(res, 400, "UNKNOWN_LOCATION", 'Unknown or inactive location');
+      }
 
-      const {
-        userId,
-        points,
-        phone,
-        isAdmin: isAdminFlag,
-        isVerified: isVerifiedFlag
-      } = req.body || {};
-      // Validation middleware ensures userId is present and valid
+      const capacity = await getReservationCapacity(db, location.id);
+      if (partySizeNum > capacity.maxPartySize) {
+        return sendError(res, 400, "PARTY_TOO_LARGE", `partySize must be between 1 and ${capacity.maxPartySize}; please call us for larger groups`);
+      }
+      const standing = await getNoShowStanding(db, userContext.uid);
+      if (standing.standing === 'blocked') {
+        return sendNoShowBlocked(res, standing);
+      }
+      const requiresConfirmation = standing.standing === 'confirmation_required';
+      const resolved = resolveReservationSlot(capacity, { date: dateStr, time: slotTime, timeZone: location.timeZone, now: new Date() });
+      if (resolved.problem) {
+        return sendError(res, 400, resolved.problem.code, resolved.problem.message);
+      }
+      const { slot } = resolved;
+      const timeLabel = formatSlotLabel(slotTime);
 
-      const pointsInt = Number(points);
-      if (!Number.isInteger(pointsInt) || pointsInt < 0) {
-        logger.info('❌ Invalid points value:', points);
-        return res.status(400).json({ 
-          errorCode: 'INVALID_REQUEST',
-          error: 'points must be a non-negative integer' 
+      // Count the party against the slot in the same transaction that creates the reservation
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const ref = db.collection('reservations').doc();
+      const slotId = reservationSlotId(location.id, dateStr, slot.time);
+      const slotRef = db.collection(RESERVATION_SLOTS_COLLECTION).doc(slotId);
+      const booked = await db.runTransaction(async (tx) => {
+        const slotDoc = await tx.get(slotRef);
+        if (!slotAvailability(slot, slotDoc.exists ? slotDoc.data() : null, partySizeNum).available) {
+          return false;
+        }
+        tx.set(slotRef, {
+          locationId: location.id,
+          date: dateStr,
+          time: slot.time,
+          tableCount: admin.firestore.FieldValue.increment(1),
+          coverCount: admin.firestore.FieldValue.increment(partySizeNum),
+          updatedAt: now
+        }, { merge: true });
+        tx.set(ref, {
+          userId: userContext.uid,
+          locationId: location.id,
+          customerName: customerName.trim(),
+          phone: phone.trim(),
+          email: (email && typeof email === 'string') ? email.trim() : null,
+          date: dateStr,
+          time: timeLabel,
+          slotTime: slot.time,
+          slotId,
+          startsAt: admin.firestore.Timestamp.fromDate(slotStart(dateStr, slotTime, location.timeZone).toJSDate()),
+          timeZone: location.timeZone,
+          partySize: partySizeNum,
+          specialRequests: (specialRequests && typeof specialRequests === 'string') ? specialRequests.trim() : null,
+          status: 'pending',
+          ...(requiresConfirmation && { requiresConfirmation: true }),
+          createdAt: now,
+          updatedAt: now
+        });
+        return true;
+      });
+
+      if (!booked) {
+        const availability = await loadReservationAvailability(db, location, capacity, dateStr, partySizeNum);
+        return sendError(res, 409, "SLOT_FULL", `${timeLabel} is fully booked for a party of ${partySizeNum}`, {
+          alternatives: nearestOpenSlots(availability.slots, slot.time),
+          waitlistAvailable: true
         });
       }
 
-      logger.info(`🔄 Updating user ${userId}: points=${pointsInt}, isAdmin=${isAdminFlag}, isVerified=${isVerifiedFlag}`);
+      const reservationId = ref.id;
+      const displayDate = formatReservationDateShort(dateStr);
+      const locations = await getLocations(db);
+      const storeSuffix = locations.length > 1 ? ` (${location.name})` : '';
+      const bodyText = `Party of ${partySizeNum}, ${displayDate} at ${timeLabel} – ${customerName.trim()}${storeSuffix}`;
+      const adminCount = await notifyAdminsOfNewReservation(db, { reservationId, bodyText, phone: phone.trim() });
 
-      const db = admin.firestore();
-      const result = await db.runTransaction(async (transaction) => {
-        const userRef = db.collection('users').doc(userId);
-        const userDoc = await transaction.get(userRef);
-        if (!userDoc.exists) {
-          const error = new Error('USER_NOT_FOUND');
-          error.code = 'USER_NOT_FOUND';
-          throw error;
-        }
+      logger.info(`✅ Reservation ${reservationId} created by ${userContext.uid} for ${dateStr} ${slotTime} (slot ${slot.time}); notified ${adminCount} admin(s)`);
+      return res.status(201).json({ id: reservationId, status: 'pending', date: dateStr, time: timeLabel, slotTime: slot.time, requiresConfirmation });
+    } catch (error) {
+      logger.error('❌ Error creating reservation:', error);
+      return res.status(500).json({ error: 'Failed to create reservation' });
+    }
+  });
 
-        const userData = userDoc.data() || {};
-        const currentPoints = typeof userData.points === 'number' ? userData.points : 0;
-        const currentLifetime = typeof userData.lifetimePoints === 'number'
-          ? userData.lifetimePoints
-          : currentPoints;
-        const delta = pointsInt - currentPoints;
-        const newLifetimePoints = delta > 0 ? currentLifetime + delta : currentLifetime;
-
-        // Handle boolean flags - explicitly set to false if undefined/null
-        const updateData = {
-          points: pointsInt,
-          lifetimePoints: newLifetimePoints,
-          isAdmin: isAdminFlag === true,
-          isVerified: isVerifiedFlag === true,
-          phone: typeof phone === 'string' ? phone : (userData.phone || '')
-        };
-
-        logger.info('📝 Update data:', JSON.stringify(updateData, null, 2));
+  /**
+   * GET /reservations
+   * Admin only. List reservations with optional status, locationId, limit, cursor. Sorted by date asc.
+   * Filtering by location needs legacy reservations backfilled (POST /admin/locations/backfill).
+   */
+  app.get('/reservations', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-        transaction.update(userRef, updateData);
+      const db = admin.firestore();
+      const status = (req.query.status || '').toString().trim().toLowerCase();
+      const locationId = (req.query.locationId || '').toString().trim();
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+      const cursor = (req.query.cursor || '').toString().trim();
 
-        if (delta !== 0) {
-          const transactionRef = db.collection('pointsTransactions').doc();
-          transaction.set(transactionRef, {
-            id: transactionRef.id,
-            userId,
-            type: 'admin_adjustment',
-            amount: delta,
-            description: 'Points adjusted by admin',
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
-            isEarned: delta > 0,
-            performedBy: adminContext.uid,
-            metadata: {
-              previousPoints: currentPoints,
-              newPoints: pointsInt
-            }
-          });
+      let query = db.collection('reservations');
+      if (locationId && locationId !== 'all') {
+        const location = await resolveLocation(db, locationId, { allowInactive: true });
+        if (!location) {
+          return res.status(400).json({ error: 'Unknown location' });
         }
+        query = query.where('locationId', '==', location.id);
+      }
+      if (status && RESERVATION_STATUSES.includes(status)) {
+        query = query.where('status', '==', status);
+      }
+      query = query.orderBy('date', 'asc').orderBy('createdAt', 'asc').limit(limit);
+      if (cursor) {
+        const cursorDoc = await db.collection('reservations').doc(cursor).get();
+        if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+      }
 
-        const actionRef = db.collection('adminActions').doc();
-        transaction.set(actionRef, {
-          action: 'admin_user_update',
-          targetUserId: userId,
-          performedBy: adminContext.uid,
-          changes: {
-            points: pointsInt,
-            phone: typeof phone === 'string' ? phone : (userData.phone || ''),
-            isAdmin: isAdminFlag === true,
-            isVerified: isVerifiedFlag === true
-          },
-          previousPoints: currentPoints,
-          delta,
-          createdAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-
+      const snapshot = await query.get();
+      const locations = await getLocations(db);
+      const reservations = (snapshot.docs || []).map((doc) => {
+        const d = doc.data();
+        const { startsAt, timeZone } = reservationTiming(d, locations);
         return {
-          userId,
-          points: pointsInt,
-          lifetimePoints: newLifetimePoints,
-          phone: updateData.phone,
-          isAdmin: updateData.isAdmin,
-          isVerified: updateData.isVerified,
-          previousPoints: currentPoints,
-          delta
+          id: doc.id,
+          userId: d.userId,
+          locationId: locationIdOf(d),
+          customerName: d.customerName,
+          phone: d.phone,
+          email: d.email || null,
+          date: d.date,
+          time: d.time,
+          startsAt: startsAt ? startsAt.toISOString() : null,
+          timeZone,
+          partySize: d.partySize,
+          specialRequests: d.specialRequests || null,
+          status: d.status,
+          requiresConfirmation: d.requiresConfirmation === true,
+          createdAt: d.createdAt,
+          updatedAt: d.updatedAt,
+          confirmedAt: d.confirmedAt || null,
+          confirmedBy: d.confirmedBy || null,
+          seatedAt: d.seatedAt || null,
+          seatedBy: d.seatedBy || null,
+          completedAt: d.completedAt || null,
+          completedBy: d.completedBy || null,
+          cancelledAt: d.cancelledAt || null,
+          cancelledBy: d.cancelledBy || null,
+          noShowAt: d.noShowAt || null,
+          noShowBy: d.noShowBy || null,
+          statusHistory: d.statusHistory || [],
+          attendancePointsAwarded: d.attendancePointsAwarded || 0
         };
       });
+      const nextCursor = snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null;
+      return res.json({ reservations, nextCursor, hasMore: snapshot.docs.length === limit });
+    } catch (error) {
+      logger.error('❌ Error listing reservations:', error);
+      return res.status(500).json({ error: 'Failed to list reservations' });
+    }
+  });
 
-      logger.info('✅ User update successful:', JSON.stringify(result, null, 2));
-      return res.json({ success: true, ...result });
+  /**
+   * GET /reservations/mine
+   * Authenticated user. Returns the caller's own upcoming, non-cancelled reservations.
+   */
+  app.get('/reservations/mine', async (req, res) => {
+    try {
+      const userContext = await requireUser(req, res);
+      if (!userContext) return;
+
+      const db = admin.firestore();
+      const locations = await getLocations(db);
+      const now = DateTime.now();
+
+      // Query by userId only to avoid Firestore composite index requirement
+      const snapshot = await db.collection('reservations')
+        .where('userId', '==', userContext.uid)
+        .limit(50)
+        .get();
+
+      const reservations = (snapshot.docs || [])
+        .map((doc) => {
+          const d = doc.data();
+          const { startsAt, timeZone } = reservationTiming(d, locations);
+          return {
+            id: doc.id,
+            userId: d.userId,
+            locationId: locationIdOf(d),
+            customerName: d.customerName,
+            phone: d.phone,
+            email: d.email || null,
+            date: d.date,
+            time: d.time,
+            startsAt: startsAt ? startsAt.toISOString() : null,
+            timeZone,
+            partySize: d.partySize,
+            specialRequests: d.specialRequests || null,
+            status: d.status,
+            createdAt: d.createdAt,
+            updatedAt: d.updatedAt,
+            confirmedAt: d.confirmedAt || null,
+            confirmedBy: d.confirmedBy || null
+          };
+        })
+        // Upcoming = today or later in the store's timezone
+        .filter((r) => ACTIVE_RESERVATION_STATUSES.includes(r.status) && r.date >= now.setZone(r.timeZone).toISODate())
+        .sort((a, b) => (a.startsAt || a.date || '').localeCompare(b.startsAt || b.date || ''))
+        .slice(0, 10);
+
+      return res.json({ reservations });
     } catch (error) {
-      logger.error('❌ Error updating admin user:', error);
-      logger.error('❌ Error stack:', error.stack);
-      
-      if (error.code === 'USER_NOT_FOUND') {
-        return res.status(404).json({ 
-          errorCode: 'USER_NOT_FOUND',
-          error: `User with ID '${req.body?.userId || 'unknown'}' not found` 
-        });
-      }
-      
-      // Check for Firestore permission errors
-      if (error.code === 7 || error.message?.includes('permission') || error.message?.includes('PERMISSION_DENIED')) {
-        return res.status(403).json({ 
-          errorCode: 'PERMISSION_DENIED',
-          error: 'Firestore permission denied. Check that the service account has proper permissions.' 
-        });
-      }
-      
-      return res.status(500).json({ 
-        errorCode: 'INTERNAL_ERROR',
-        error: `Failed to update user: ${error.message || 'Unknown error'}`,
-        details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      });
+      logger.error('❌ Error fetching user reservations:', error?.message || error, error?.stack);
+      return res.status(500).json({ error: 'Failed to fetch reservations' });
     }
   });
 
   /**
-   * POST /admin/users/:userId/clear-lockout
-   *
-   * Admin-only endpoint to clear receipt scan lockout for a user.
-   * Useful for testing/debugging when lockouts interfere with development.
-   *
-   * Body: none (userId from URL param)
-   *
-   * Returns:
-   * - success: boolean
-   * - message: string
+   * PATCH /reservations/mine/:id
+   * Authenticated user. Cancel own reservation only (status: "cancelled"). Ownership required.
    */
-  app.post('/admin/users/:userId/clear-lockout', async (req, res) => {
+  app.patch('/reservations/mine/:id', validate(reservationCancelSchema), async (req, res) => {
     try {
-      const adminContext = await requireAdmin(req, res);
-      if (!adminContext) {
-        return; // requireAdmin already sent the response
-      }
+      const userContext = await requireUser(req, res);
+      if (!userContext) return;
 
-      const { userId } = req.params;
-      if (!userId || typeof userId !== 'string') {
-        return res.status(400).json({
-          errorCode: 'INVALID_REQUEST',
-          error: 'userId is required in URL path'
-        });
-      }
+      const id = (req.params.id || '').toString().trim();
+      if (!id) return res.status(400).json({ error: 'Reservation id is required' });
 
       const db = admin.firestore();
-      const userRef = db.collection('users').doc(userId);
-      const userDoc = await userRef.get();
+      const ref = db.collection('reservations').doc(id);
+      const result = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists) return { status: 404, error: 'Reservation not found' };
 
-      if (!userDoc.exists) {
-        return res.status(404).json({
-          errorCode: 'USER_NOT_FOUND',
-          error: `User with ID '${userId}' not found`
+        const data = doc.data();
+        if (data.userId !== userContext.uid) {
+          return { status: 403, error: 'Not your reservation' };
+        }
+        const problem = describeTransitionProblem(data.status, 'cancelled');
+        if (problem) {
+          return { status: 400, error: problem };
+        }
+
+        const released = releaseReservationSlot(db, tx, data);
+        const change = buildStatusChange(data.status, 'cancelled', { by: userContext.uid, at: admin.firestore.Timestamp.now() });
+        tx.update(ref, {
+          ...change.fields,
+          statusHistory: admin.firestore.FieldValue.arrayUnion(change.historyEntry),
+          calendarSequence: admin.firestore.FieldValue.increment(1),
+          ...(released && { slotId: admin.firestore.FieldValue.delete() }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
+        return { released, data };
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      if (result.released) {
+        await offerFreedReservationSlot(db, { locationId: locationIdOf(result.data), date: result.data.date, slotTime: result.data.slotTime });
       }
 
-      const userData = userDoc.data() || {};
-      const hadLockout = !!(userData.receiptScanLockoutUntil || userData.receiptScanLockoutCount);
+      logger.info(`✅ Reservation ${id} cancelled by owner ${userContext.uid}`);
+      return res.status(200).json({ id, status: 'cancelled' });
+    } catch (error) {
+      logger.error('❌ Error cancelling reservation (mine):', error);
+      return res.status(500).json({ error: 'Failed to cancel reservation' });
+    }
+  });
 
-      await userRef.update({
-        receiptScanLockoutUntil: admin.firestore.FieldValue.delete(),
-        receiptScanLockoutCount: admin.firestore.FieldValue.delete()
-      });
+  /**
+   * GET /reservations/mine/:id/calendar.ics
+   * Authenticated user. The caller's reservation as an iCalendar event. Downloading it
+   * again after a change updates the same event (cancelled ones come back as CANCELLED).
+   */
+  app.get('/reservations/mine/:id/calendar.ics', async (req, res) => {
+    try {
+      const userContext = await requireUser(req, res);
+      if (!userContext) return;
 
-      logger.info(`✅ Admin ${adminContext.uid} cleared lockout for user ${userId}`);
+      const id = (req.params.id || '').toString().trim();
+      if (!id) return res.status(400).json({ error: 'Reservation id is required' });
 
-      return res.json({
-        success: true,
-        message: hadLockout
-          ? `Lockout cleared for user ${userId}`
-          : `No lockout found for user ${userId} (already clear)`
+      const db = admin.firestore();
+      const doc = await db.collection('reservations').doc(id).get();
+      if (!doc.exists) return res.status(404).json({ error: 'Reservation not found' });
+      const data = doc.data();
+      if (data.userId !== userContext.uid) {
+        return res.status(403).json({ error: 'Not your reservation' });
+      }
+
+      const locations = await getLocations(db);
+      const { startsAt } = reservationTiming(data, locations);
+      if (!startsAt) {
+        return res.status(422).json({ error: 'Reservation has no valid date and time' });
+      }
+      const location = locations.find(l => l.id === locationIdOf(data)) || null;
+      const storeName = location?.name || 'Dumpling House';
+      const event = buildReservationEvent({
+        id,
+        data,
+        startsAt,
+        location,
+        summary: `${storeName} reservation (party of ${data.partySize || 0})`,
+        description: data.specialRequests ? `Special requests: ${data.specialRequests}` : '',
+        updatedAt: toDate(data.updatedAt),
+        now: new Date()
       });
+      return sendCalendar(res, buildCalendar({ name: storeName, events: [event] }), `reservation-${id}.ics`);
     } catch (error) {
-      logger.error('❌ Error clearing lockout:', error);
-      return res.status(500).json({
-        errorCode: 'INTERNAL_ERROR',
-        error: `Failed to clear lockout: ${error.message || 'Unknown error'}`
-      });
+      logger.error('❌ Error exporting reservation calendar:', error);
+      return res.status(500).json({ error: 'Failed to export reservation' });
     }
   });
 
   /**
-   * POST /admin/users/cleanup-orphans
-   *
-   * Finds and deletes orphaned Firestore user documents (documents without
-   * corresponding Firebase Auth accounts). This helps clean up duplicates
-   * that occur when accounts are deleted and recreated.
-   *
-   * Returns:
-   * - deletedCount: number of orphaned documents deleted
-   * - checkedCount: total number of documents checked
+   * GET /reservations/calendar-feed/:token/reservations.ics
+   * Public, secured by the feed token (POST /admin/reservations/calendar-feed/rotate).
+   * Confirmed and seated reservations from yesterday through FEED_AHEAD_DAYS, plus
+   * confirmed ones since cancelled or marked no-show so subscribed calendars drop them.
+   * Optional ?locationId= limits it to one store.
    */
-  app.post('/admin/users/cleanup-orphans', async (req, res) => {
+  app.get('/reservations/calendar-feed/:token/reservations.ics', async (req, res) => {
     try {
-      const adminContext = await requireAdmin(req, res);
-      if (!adminContext) return;
-
       const db = admin.firestore();
-      const auth = admin.auth();
-      
-      logger.info('🧹 Starting orphaned accounts cleanup...');
-      
-      let checkedCount = 0;
-      let deletedCount = 0;
-      let lastDoc = null;
-      const pageSize = 500;
-      const orphanedUIDs = [];
-      
-      // Scan through all user documents in batches
-      while (true) {
-        let query = db.collection('users')
-          .orderBy(admin.firestore.FieldPath.documentId())
-          .limit(pageSize);
-        
-        if (lastDoc) {
-          query = query.startAfter(lastDoc);
-        }
-        
-        const snapshot = await query.get();
-        if (snapshot.empty) {
-          break;
-        }
-        
-        // Check each document for orphaned status
-        for (const doc of snapshot.docs) {
-          checkedCount++;
-          const uid = doc.id;
-          
-          try {
-            // Check if Firebase Auth account exists for this UID
-            await auth.getUser(uid);
-            // If getUser succeeds, the account exists - not orphaned
-          } catch (error) {
-            // If getUser fails with user-not-found, it's an orphaned document
-            if (error.code === 'auth/user-not-found') {
-              orphanedUIDs.push(uid);
-              logger.info(`🔍 Found orphaned account: ${uid}`);
-            } else {
-              // Other errors (permissions, etc.) - log but don't treat as orphaned
-              logger.warn(`⚠️ Error checking user ${uid}: ${error.code}`);
+      const feedDoc = await db.collection('config').doc(RESERVATION_CALENDAR_FEED_CONFIG_DOC).get();
+      if (!feedTokenMatches(req.params.token, feedDoc.exists ? feedDoc.get('tokenHash') : null)) {
+        return res.status(404).json({ error: 'Calendar feed not found' });
+      }
+
+      const locationId = (req.query.locationId || '').toString().trim();
+      const locations = await getLocations(db);
+      const now = DateTime.utc();
+      const snapshot = await db.collection('reservations')
+        .where('date', '>=', now.minus({ days: FEED_PAST_DAYS + 1 }).toISODate())
+        .where('date', '<=', now.plus({ days: FEED_AHEAD_DAYS }).toISODate())
+        .orderBy('date', 'asc')
+        .limit(1000)
+        .get();
+
+      const events = [];
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        if (locationId && locationIdOf(data) !== locationId) continue;
+        const wasConfirmed = Boolean(data.confirmedAt);
+        const listed = data.status === 'confirmed' || data.status === 'seated'
+          || ((data.status === 'cancelled' || data.status === 'no_show') && wasConfirmed);
+        if (!listed) continue;
+
+        const { startsAt } = reservationTiming(data, locations);
+        if (!startsAt || startsAt.getTime() < now.minus({ days: FEED_PAST_DAYS }).toMillis()) continue;
+        const location = locations.find(l => l.id === locationIdOf(data)) || null;
+        const details = [
+          data.phone ? `Phone: ${data.phone}` : null,
+          data.email ? `Email: ${data.email}` : null,
+          data.specialRequests ? `Special requests: ${data.specialRequests}` : null,
+          data.notes ? `Notes: ${data.notes}` : null
+        ].filter(Boolean);
+        events.push(buildReservationEvent({
+          id: doc.id,
+          data,
+          startsAt,
+          location,
+          summary: `${data.customerName || 'Guest'} – party of ${data.partySize || 0}`,
+          description: details.join('\n'),
+          updatedAt: toDate(data.updatedAt),
+          now: now.toJSDate()
+        }));
+      }
+
+      const storeName = locationId ? locations.find(l => l.id === locationId)?.name : null;
+      return sendCalendar(res, buildCalendar({ name: `${storeName || 'Dumpling House'} reservations`, events }), 'reservations.ics');
+    } catch (error) {
+      logger.error('❌ Error serving reservation calendar feed:', error);
+      return res.status(500).json({ error: 'Failed to load calendar feed' });
+    }
+  });
+
+  /**
+   * PATCH /reservations/:id
+   * Admin only. Move a reservation to confirmed, seated, completed, cancelled or no_show
+   * (allowed moves in reservationLifecycle.js; others are 409); optional notes.
+   * no_show counts against the customer; completing credits attendance points if the
+   * policy sets them.
+   */
+  app.patch('/reservations/:id', validate(reservationStatusSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const id = (req.params.id || '').toString().trim();
+      if (!id) return res.status(400).json({ error: 'Reservation id is required' });
+
+      const { status: nextStatus, notes } = req.body;
+      const db = admin.firestore();
+      const ref = db.collection('reservations').doc(id);
+      const policy = await getReservationPolicy(db);
+
+      let releasedSlot = false;
+      let attendancePoints = 0;
+      let doc;
+      try {
+        doc = await db.runTransaction(async (tx) => {
+          releasedSlot = false;
+          attendancePoints = 0;
+          const current = await tx.get(ref);
+          if (!current.exists) return current;
+          const data = current.data();
+          const problem = describeTransitionProblem(data.status, nextStatus);
+          if (problem) {
+            const err = new Error(problem);
+            err.code = 'INVALID_TRANSITION';
+            throw err;
+          }
+
+          const userRef = data.userId ? db.collection('users').doc(data.userId) : null;
+          const touchesUser = nextStatus === 'no_show' || data.status === 'no_show'
+            || (nextStatus === 'completed' && policy.attendancePoints > 0 && !data.attendancePointsAwarded);
+          const userDoc = userRef && touchesUser ? await tx.get(userRef) : null;
+
+          const change = buildStatusChange(data.status, nextStatus, { by: adminContext.uid, at: admin.firestore.Timestamp.now() });
+          const update = {
+            ...change.fields,
+            statusHistory: admin.firestore.FieldValue.arrayUnion(change.historyEntry),
+            calendarSequence: admin.firestore.FieldValue.increment(1),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          };
+          if (notes) {
+            update.notes = notes;
+          }
+
+          // No-show counter (a late arrival marked seated takes the no-show back) and attendance points
+          if (userDoc?.exists) {
+            const userData = userDoc.data() || {};
+            const noShowCount = typeof userData.reservationNoShowCount === 'number' ? userData.reservationNoShowCount : 0;
+            if (nextStatus === 'no_show') {
+              tx.update(userRef, { reservationNoShowCount: noShowCount + 1, lastReservationNoShowAt: admin.firestore.FieldValue.serverTimestamp() });
+            } else if (data.status === 'no_show') {
+              tx.update(userRef, { reservationNoShowCount: Math.max(0, noShowCount - 1) });
+            } else if (nextStatus === 'completed') {
+              const txRef = db.collection('pointsTransactions').doc();
+              const currentPoints = typeof userData.points === 'number' ? userData.points : 0;
+              const currentLifetime = typeof userData.lifetimePoints === 'number' ? userData.lifetimePoints : currentPoints;
+              const balances = applyPointsDelta({ points: currentPoints, lifetimePoints: currentLifetime }, policy.attendancePoints, { affectsLifetime: true });
+              tx.set(txRef, {
+                id: txRef.id,
+                userId: data.userId,
+                type: ATTENDANCE_POINTS_TX_TYPE,
+                amount: policy.attendancePoints,
+                description: `Thanks for dining with us (reservation on ${data.date})`,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                isEarned: true,
+                performedBy: adminContext.uid,
+                metadata: { reservationId: id, previousPoints: currentPoints, newPoints: balances.points }
+              });
+              tx.update(userRef, balances);
+              update.attendancePointsAwarded = policy.attendancePoints;
+              update.attendanceTransactionId = txRef.id;
+              attendancePoints = policy.attendancePoints;
             }
           }
+
+          // Cancelling frees the slot; confirming a cancelled reservation takes it back
+          // (admins may overbook, so capacity isn't checked)
+          if (nextStatus === 'cancelled') {
+            releasedSlot = releaseReservationSlot(db, tx, data);
+            if (releasedSlot) update.slotId = admin.firestore.FieldValue.delete();
+          } else if (nextStatus === 'confirmed' && data.status === 'cancelled' && data.slotTime) {
+            const slotId = reservationSlotId(locationIdOf(data), data.date, data.slotTime);
+            tx.set(db.collection(RESERVATION_SLOTS_COLLECTION).doc(slotId), {
+              locationId: locationIdOf(data),
+              date: data.date,
+              time: data.slotTime,
+              tableCount: admin.firestore.FieldValue.increment(1),
+              coverCount: admin.firestore.FieldValue.increment(data.partySize || 0),
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            update.slotId = slotId;
+          }
+          tx.update(ref, update);
+          return current;
+        });
+      } catch (e) {
+        if (e && e.code === 'INVALID_TRANSITION') {
+          return sendError(res, 409, "INVALID_TRANSITION", e.message);
         }
-        
-        lastDoc = snapshot.docs[snapshot.docs.length - 1];
-        
-        // If we got fewer docs than pageSize, we've reached the end
-        if (snapshot.docs.length < pageSize) {
-          break;
-        }
+        throw e;
       }
-      
-      // Delete orphaned documents in batches (Firestore batch limit is 500)
-      const batchSize = 450; // Leave some headroom
-      for (let i = 0; i < orphanedUIDs.length; i += batchSize) {
-        const batch = db.batch();
-        const batchUIDs = orphanedUIDs.slice(i, i + batchSize);
-        
-        for (const uid of batchUIDs) {
-          batch.delete(db.collection('users').doc(uid));
-        }
-        
-        try {
+      if (!doc.exists) return res.status(404).json({ error: 'Reservation not found' });
+      if (releasedSlot) {
+        const data = doc.data();
+        await offerFreedReservationSlot(db, { locationId: locationIdOf(data), date: data.date, slotTime: data.slotTime });
+      }
+
+      // Clear admin "new reservation" notifications for this reservation (v1.1 – they go away once acted on)
+      try {
+        const adminNotifsSnap = await db.collection('notifications').where('reservationId', '==', id).get();
+        const toDelete = adminNotifsSnap.docs.filter(d => (d.data().type || '') === 'reservation_new');
+        const BATCH_SIZE = 500;
+        for (let i = 0; i < toDelete.length; i += BATCH_SIZE) {
+          const batch = db.batch();
+          toDelete.slice(i, i + BATCH_SIZE).forEach(d => batch.delete(d.ref));
           await batch.commit();
-          deletedCount += batchUIDs.length;
-          logger.info(`✅ Deleted batch of ${batchUIDs.length} orphaned accounts`);
-        } catch (error) {
-          logger.error(`❌ Error deleting batch: ${error.message}`);
         }
+        if (toDelete.length > 0) logger.info(`Cleared ${toDelete.length} reservation_new notification(s) for reservation ${id}`);
+      } catch (clearErr) {
+        logger.error('⚠️ Failed to clear admin reservation notifications:', clearErr);
       }
-      
-      logger.info(`✅ Cleanup complete: Deleted ${deletedCount} orphaned accounts out of ${checkedCount} checked`);
-      
-      return res.json({
-        deletedCount,
-        checkedCount,
-        message: `Cleaned up ${deletedCount} orphaned account(s) out of ${checkedCount} checked`
-      });
+
+      // Notify the customer about the status change
+      try {
+        const resData = doc.data();
+        const customerUid = resData.userId;
+        const dateStr = resData.date || '';
+        const displayDate = formatReservationDateShort(dateStr);
+        const timeStr = resData.time || '';
+        const party = resData.partySize || 0;
+
+        // Seating and no-shows happen in person; only these reach the customer
+        let notifTitle, notifBody, notifType;
+        if (nextStatus === 'confirmed') {
+          notifTitle = 'Reservation Confirmed';
+          notifBody = `Your reservation for ${party} on ${displayDate} at ${timeStr} has been confirmed. See you then!`;
+          notifType = 'reservation_confirmed';
+        } else if (nextStatus === 'cancelled') {
+          notifTitle = 'Reservation Update';
+          notifBody = `Your reservation for ${party} on ${displayDate} at ${timeStr} has been cancelled. Please contact us for questions.`;
+          notifType = 'reservation_cancelled';
+        } else if (nextStatus === 'completed' && attendancePoints > 0) {
+          notifTitle = 'Thanks for dining with us!';
+          notifBody = `You earned ${attendancePoints} points for your visit on ${displayDate}.`;
+          notifType = 'reservation_completed';
+        }
+
+        if (customerUid && notifType) {
+          const now = admin.firestore.FieldValue.serverTimestamp();
+          await db.collection('notifications').add({
+            userId: customerUid,
+            title: notifTitle,
+            body: notifBody,
+            type: notifType,
+            read: false,
+            createdAt: now,
+            reservationId: id
+          });
+
+          // Send FCM push to customer so they get notified on their device
+          (async () => {
+            try {
+              const result = await sendUserPush(db, customerUid, {
+                title: notifTitle,
+                body: notifBody,
+                data: { type: notifType, reservationId: id },
+                category: 'reservations'
+              });
+              if (result.error) {
+                logger.warn('Customer reservation status push failed:', result.error);
+              }
+            } catch (pushErr) {
+              logger.warn('Customer reservation push error:', pushErr.message || pushErr);
+            }
+          })();
+        }
+      } catch (notifErr) {
+        logger.error('⚠️ Failed to send reservation status notification:', notifErr);
+      }
+
+      logger.info(`✅ Reservation ${id} updated to ${nextStatus} by admin ${adminContext.uid}${attendancePoints ? ` (+${attendancePoints} attendance points)` : ''}`);
+      return res.json({ id, status: nextStatus, attendancePointsAwarded: attendancePoints });
     } catch (error) {
-      logger.error('❌ Error in /admin/users/cleanup-orphans:', error);
-      res.status(500).json({ error: 'Failed to cleanup orphaned accounts' });
+      logger.error('❌ Error updating reservation:', error);
+      return res.status(500).json({ error: 'Failed to update reservation' });
     }
   });
 
   /**
-   * POST /admin/banned-account-archive
-   *
-   * Archives a banned user's data to bannedAccountHistory collection before deletion.
-   * Called by banned users when they delete their account from BannedAccountDeletionView.
-   * 
-   * This endpoint:
-   * 1. Copies user document to bannedAccountHistory (with 24hr expiration)
-   * 2. Anonymizes redeemedRewards, receipts, posts, etc.
-   * 3. Deletes the original users/{uid} document
-   * 4. Returns success so client can delete Firebase Auth user
-   *
-   * Request: Requires Bearer token of the banned user
-   * Response: { success: true, historyId: string } or error
+   * DELETE /reservations/:id
+   * Admin only. Permanently remove the reservation document. Optionally notify the customer.
    */
-  app.post('/admin/banned-account-archive', async (req, res) => {
+  app.delete('/reservations/:id', async (req, res) => {
     try {
-      // Verify the user's token
-      const authHeader = req.headers.authorization || '';
-      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-      if (!token) {
-        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
-      }
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      const decoded = await admin.auth().verifyIdToken(token);
-      const uid = decoded.uid;
-      logger.info(`🗑️ Starting banned account archive for user: ${uid}`);
+      const id = (req.params.id || '').toString().trim();
+      if (!id) return res.status(400).json({ error: 'Reservation id is required' });
 
       const db = admin.firestore();
+      const ref = db.collection('reservations').doc(id);
+      let releasedSlot = false;
+      const doc = await db.runTransaction(async (tx) => {
+        releasedSlot = false;
+        const current = await tx.get(ref);
+        if (!current.exists) return current;
+        if (current.get('status') !== 'cancelled') releasedSlot = releaseReservationSlot(db, tx, current.data());
+        tx.delete(ref);
+        return current;
+      });
+      if (!doc.exists) return res.status(404).json({ error: 'Reservation not found' });
 
-      // Get the user document
-      const userDoc = await db.collection('users').doc(uid).get();
-      if (!userDoc.exists) {
-        return res.status(404).json({ error: 'User document not found' });
+      const resData = doc.data();
+      if (releasedSlot) {
+        await offerFreedReservationSlot(db, { locationId: locationIdOf(resData), date: resData.date, slotTime: resData.slotTime });
       }
-      const userData = userDoc.data();
+      const customerUid = resData.userId;
+      const dateStr = resData.date || '';
+      const displayDate = formatReservationDateShort(dateStr);
+      const timeStr = resData.time || '';
+      const party = resData.partySize || 0;
 
-      // Verify user is banned (extra safety check)
-      const isBanned = userData.isBanned === true;
-      const phone = userData.phone || '';
-      
-      // Also check bannedNumbers collection
-      let banInfo = null;
-      if (phone) {
-        const normalized = normalizePhoneForBannedNumbers(phone) || phone;
-        const digitsOnlyLegacy = (normalized || '').replace('+', '');
-        const hashedId = hashBannedNumbersDocId(normalized);
-        let bannedDoc = null;
-        if (hashedId) {
-          const snap = await db.collection('bannedNumbers').doc(hashedId).get();
-          if (snap.exists) bannedDoc = snap;
-        }
-        if (!bannedDoc) {
-          const snap = await db.collection('bannedNumbers').doc(normalized).get();
-          if (snap.exists) bannedDoc = snap;
-        }
-        if (!bannedDoc && digitsOnlyLegacy) {
-          const snap = await db.collection('bannedNumbers').doc(digitsOnlyLegacy).get();
-          if (snap.exists) bannedDoc = snap;
+      // Clear admin "new reservation" notifications for this reservation (v1.1 – they go away once acted on)
+      try {
+        const adminNotifsSnap = await db.collection('notifications').where('reservationId', '==', id).get();
+        const toDelete = adminNotifsSnap.docs.filter(d => (d.data().type || '') === 'reservation_new');
+        const BATCH_SIZE = 500;
+        for (let i = 0; i < toDelete.length; i += BATCH_SIZE) {
+          const batch = db.batch();
+          toDelete.slice(i, i + BATCH_SIZE).forEach(d => batch.delete(d.ref));
+          await batch.commit();
         }
-        if (bannedDoc) banInfo = bannedDoc.data();
+        if (toDelete.length > 0) logger.info(`Cleared ${toDelete.length} reservation_new notification(s) for reservation ${id}`);
+      } catch (clearErr) {
+        logger.error('⚠️ Failed to clear admin reservation notifications:', clearErr);
       }
 
-      if (!isBanned && !banInfo) {
-        return res.status(403).json({ error: 'User is not banned. Use regular account deletion.' });
+      if (customerUid) {
+        try {
+          await db.collection('notifications').add({
+            userId: customerUid,
+            title: 'Reservation Removed',
+            body: `Your reservation for ${party} on ${displayDate} at ${timeStr} has been removed. Please contact us with any questions.`,
+            type: 'reservation_cancelled',
+            read: false,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            reservationId: id
+          });
+        } catch (notifErr) {
+          logger.error('⚠️ Failed to send reservation-deleted notification:', notifErr);
+        }
       }
 
-      // Get summary counts
-      const [receiptsSnap, redeemedSnap, postsSnap, referralsSnap] = await Promise.all([
-        db.collection('receipts').where('userId', '==', uid).get(),
-        db.collection('redeemedRewards').where('userId', '==', uid).get(),
-        db.collection('posts').where('userId', '==', uid).get(),
-        db.collection('referrals').where('referrerUserId', '==', uid).get()
-      ]);
-
-      const receiptCount = receiptsSnap.size;
-      const redeemedRewardsCount = redeemedSnap.size;
-      const postCount = postsSnap.size;
-      const referralCount = referralsSnap.size;
-
-      // Create the archive document
-      const now = admin.firestore.Timestamp.now();
-      const expiresAt = admin.firestore.Timestamp.fromDate(
-        new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours from now
-      );
-      
-      const historyId = `${uid}_${Date.now()}`;
-      const archiveData = {
-        originalUserId: uid,
-        archivedAt: now,
-        expiresAt: expiresAt,
-        userData: {
-          firstName: userData.firstName || '',
-          lastName: userData.lastName || '',
-          phone: userData.phone || '',
-          points: userData.points || 0,
-          lifetimePoints: userData.lifetimePoints || 0,
-          accountCreatedDate: userData.accountCreatedDate || userData.createdAt || null,
-          avatarEmoji: userData.avatarEmoji || '👤',
-          avatarColor: userData.avatarColor || 'gray',
-          isVerified: userData.isVerified || false,
-          hasCompletedPreferences: userData.hasCompletedPreferences || false
-        },
-        receiptCount,
-        redeemedRewardsCount,
-        postCount,
-        referralCount,
-        banReason: banInfo?.reason || 'Banned',
-        bannedAt: banInfo?.bannedAt || null,
-        bannedBy: banInfo?.bannedBy || null
-      };
-
-      logger.info(`📦 Creating archive document: ${historyId}`);
-      await db.collection('bannedAccountHistory').doc(historyId).set(archiveData);
+      logger.info(`✅ Reservation ${id} deleted by admin ${adminContext.uid}`);
+      return res.status(200).json({ id, deleted: true });
+    } catch (error) {
+      logger.error('❌ Error deleting reservation:', error);
+      return res.status(500).json({ error: 'Failed to delete reservation' });
+    }
+  });
 
-      // Anonymize data (similar to AccountDeletionService)
-      const batch = db.batch();
-      let batchCount = 0;
-      const BATCH_LIMIT = 450;
+  /**
+   * POST /reservations/waitlist
+   * Authenticated user. Join the waitlist for a fully booked slot (see reservationWaitlist.js).
+   * Body: same as POST /reservations. 409 SLOT_AVAILABLE if the slot can be booked now.
+   */
+  app.post('/reservations/waitlist', validate(reservationWaitlistSchema), async (req, res) => {
+    try {
+      const userContext = await requireUser(req, res);
+      if (!userContext) return;
 
-      // Anonymize redeemedRewards
-      for (const doc of redeemedSnap.docs.slice(0, BATCH_LIMIT)) {
-        batch.update(doc.ref, {
-          userName: 'Deleted User',
-          userPhone: ''
-        });
-        batchCount++;
+      const { customerName, phone, email, date, time, partySize, specialRequests, locationId } = req.body;
+      const slotTime = parseReservationTime(time);
+      if (!slotTime) {
+        return sendError(res, 400, "INVALID_TIME", 'Invalid time format; use e.g. "6:30 PM"');
       }
 
-      // Anonymize receipts
-      for (const doc of receiptsSnap.docs.slice(0, BATCH_LIMIT - batchCount)) {
-        if (batchCount >= BATCH_LIMIT) break;
-        batch.update(doc.ref, {
-          userName: 'Deleted User',
-          userPhone: '',
-          userEmail: ''
-        });
-        batchCount++;
+      const db = admin.firestore();
+      const location = await resolveLocation(db, locationId);
+      if (!location) {
+        return sendError(res, 400, "UNKNOWN_LOCATION", 'Unknown or inactive location');
       }
-
-      // Anonymize posts
-      for (const doc of postsSnap.docs.slice(0, BATCH_LIMIT - batchCount)) {
-        if (batchCount >= BATCH_LIMIT) break;
-        batch.update(doc.ref, {
-          userName: 'Deleted User',
-          userDisplayName: 'Deleted User'
-        });
-        batchCount++;
+      const capacity = await getReservationCapacity(db, location.id);
+      if (partySize > capacity.maxPartySize) {
+        return sendError(res, 400, "PARTY_TOO_LARGE", `partySize must be between 1 and ${capacity.maxPartySize}; please call us for larger groups`);
       }
-
-      // Commit anonymization batch
-      if (batchCount > 0) {
-        await batch.commit();
-        logger.info(`✅ Anonymized ${batchCount} documents`);
+      const standing = await getNoShowStanding(db, userContext.uid);
+      if (standing.standing === 'blocked') {
+        return sendNoShowBlocked(res, standing);
       }
-
-      // Delete points transactions
-      const pointsSnap = await db.collection('pointsTransactions').where('userId', '==', uid).get();
-      if (!pointsSnap.empty) {
-        const deleteBatch = db.batch();
-        for (const doc of pointsSnap.docs.slice(0, BATCH_LIMIT)) {
-          deleteBatch.delete(doc.ref);
-        }
-        await deleteBatch.commit();
-        logger.info(`✅ Deleted ${Math.min(pointsSnap.size, BATCH_LIMIT)} points transactions`);
+      const resolved = resolveReservationSlot(capacity, { date, time: slotTime, timeZone: location.timeZone, now: new Date() });
+      if (resolved.problem) {
+        return sendError(res, 400, resolved.problem.code, resolved.problem.message);
       }
+      const { slot } = resolved;
+      const slotId = reservationSlotId(location.id, date, slot.time);
 
-      // Delete referrals (both as referrer and referred)
-      const referredSnap = await db.collection('referrals').where('referredUserId', '==', uid).get();
-      if (!referralsSnap.empty || !referredSnap.empty) {
-        const refBatch = db.batch();
-        let refCount = 0;
-        for (const doc of referralsSnap.docs.slice(0, BATCH_LIMIT / 2)) {
-          refBatch.delete(doc.ref);
-          refCount++;
-        }
-        for (const doc of referredSnap.docs.slice(0, BATCH_LIMIT / 2)) {
-          refBatch.delete(doc.ref);
-          refCount++;
-        }
-        if (refCount > 0) {
-          await refBatch.commit();
-          logger.info(`✅ Deleted ${refCount} referrals`);
-        }
+      const existingSnap = await db.collection(RESERVATION_WAITLIST_COLLECTION)
+        .where('userId', '==', userContext.uid)
+        .where('slotId', '==', slotId)
+        .where('status', 'in', ACTIVE_WAITLIST_STATUSES)
+        .limit(1)
+        .get();
+      if (!existingSnap.empty) {
+        return sendError(res, 409, "ALREADY_WAITLISTED", "You're already on the waitlist for this time", {
+          waitlistId: existingSnap.docs[0].id
+        });
       }
 
-      // Delete notifications
-      const notifSnap = await db.collection('notifications').where('userId', '==', uid).get();
-      if (!notifSnap.empty) {
-        const notifBatch = db.batch();
-        for (const doc of notifSnap.docs.slice(0, BATCH_LIMIT)) {
-          notifBatch.delete(doc.ref);
-        }
-        await notifBatch.commit();
-        logger.info(`✅ Deleted ${Math.min(notifSnap.size, BATCH_LIMIT)} notifications`);
+      const slotDoc = await db.collection(RESERVATION_SLOTS_COLLECTION).doc(slotId).get();
+      if (slotAvailability(slot, slotDoc.exists ? slotDoc.data() : null, partySize).available) {
+        return sendError(res, 409, "SLOT_AVAILABLE", `${formatSlotLabel(slot.time)} still has room – book it directly`);
       }
 
-      // Delete user subcollections (clientState, activity)
-      const clientStateSnap = await db.collection('users').doc(uid).collection('clientState').get();
-      const activitySnap = await db.collection('users').doc(uid).collection('activity').get();
-      
-      if (!clientStateSnap.empty || !activitySnap.empty) {
-        const subBatch = db.batch();
-        for (const doc of clientStateSnap.docs) {
-          subBatch.delete(doc.ref);
-        }
-        for (const doc of activitySnap.docs) {
-          subBatch.delete(doc.ref);
-        }
-        await subBatch.commit();
-        logger.info(`✅ Deleted user subcollections`);
-      }
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const ref = await db.collection(RESERVATION_WAITLIST_COLLECTION).add({
+        userId: userContext.uid,
+        locationId: location.id,
+        date,
+        time: formatSlotLabel(slot.time),
+        slotTime: slot.time,
+        slotId,
+        partySize,
+        customerName,
+        phone,
+        email: email || null,
+        specialRequests: specialRequests || null,
+        status: 'waiting',
+        createdAt: now,
+        updatedAt: now
+      });
+      const created = await ref.get();
+      const position = await getWaitlistPosition(db, created.data());
 
-      // Delete userRiskScore if exists
-      await db.collection('userRiskScores').doc(uid).delete().catch(() => {});
+      logger.info(`🪑 ${userContext.uid} joined the waitlist for ${location.id} ${date} ${slot.time} (party of ${partySize}, #${position})`);
+      return res.status(201).json(serializeWaitlistEntry(ref.id, created.data(), position));
+    } catch (error) {
+      logger.error('❌ Error joining reservation waitlist:', error);
+      return res.status(500).json({ error: 'Failed to join waitlist' });
+    }
+  });
 
-      // Delete the user document
-      await db.collection('users').doc(uid).delete();
-      logger.info(`✅ Deleted user document: ${uid}`);
+  /** 1-based place in line of a waiting entry. */
+  async function getWaitlistPosition(db, data) {
+    const aheadSnap = await db.collection(RESERVATION_WAITLIST_COLLECTION)
+      .where('slotId', '==', data.slotId)
+      .where('status', '==', 'waiting')
+      .where('createdAt', '<', data.createdAt)
+      .count()
+      .get();
+    return aheadSnap.data().count + 1;
+  }
 
-      logger.info(`✅ Banned account archive complete for user: ${uid}`);
-      return res.json({ 
-        success: true, 
-        historyId,
-        message: 'Account archived and data cleaned up. You can now delete your Firebase Auth account.'
-      });
+  /**
+   * GET /reservations/waitlist/mine
+   * Authenticated user. Own waitlist entries that are still waiting or on offer.
+   */
+  app.get('/reservations/waitlist/mine', async (req, res) => {
+    try {
+      const userContext = await requireUser(req, res);
+      if (!userContext) return;
+
+      const db = admin.firestore();
+      const snapshot = await db.collection(RESERVATION_WAITLIST_COLLECTION)
+        .where('userId', '==', userContext.uid)
+        .where('status', 'in', ACTIVE_WAITLIST_STATUSES)
+        .limit(20)
+        .get();
 
+      const entries = await Promise.all(snapshot.docs.map(async (doc) => {
+        const data = doc.data();
+        const position = data.status === 'waiting' ? await getWaitlistPosition(db, data) : null;
+        return serializeWaitlistEntry(doc.id, data, position);
+      }));
+      entries.sort((a, b) => `${a.date} ${a.slotTime}`.localeCompare(`${b.date} ${b.slotTime}`));
+
+      return res.json({ entries, holdMinutes: WAITLIST_HOLD_MINUTES });
     } catch (error) {
-      logger.error('❌ Error in /admin/banned-account-archive:', error);
-      res.status(500).json({ error: 'Failed to archive banned account' });
+      logger.error('❌ Error fetching user waitlist entries:', error);
+      return res.status(500).json({ error: 'Failed to fetch waitlist' });
     }
   });
 
   /**
-   * POST /user/delete-account
-   *
-   * Self-service account deletion endpoint.
-   * Called by regular (non-banned) users to delete their own account.
-   * Uses Firebase Admin SDK to bypass App Check and Firestore permission issues.
-   *
-   * This endpoint:
-   * 1. Verifies user token and extracts UID
-   * 2. Anonymizes PII in: receipts, redeemedRewards, giftedRewardClaims, posts, suspiciousFlags, bannedNumbers
-   * 3. Deletes: pointsTransactions, referrals, notifications, receiptScanAttempts, user subcollections, userRiskScores
-   * 4. Deletes profile photo from Firebase Storage (if exists)
-   * 5. Deletes user document
-   * 6. Deletes Firebase Auth user
-   *
-   * Request: Requires Bearer token of the user requesting deletion
-   * Response: { success: true } or error
+   * POST /reservations/waitlist/mine/:id/accept
+   * Authenticated user. Book the table being held for an offer. Creates a pending
+   * reservation (admins are notified as for POST /reservations). Customers over the
+   * no-show block threshold are refused (403 RESERVATIONS_BLOCKED) and the table is
+   * offered to the next party.
    */
-  app.post('/user/delete-account', async (req, res) => {
+  app.post('/reservations/waitlist/mine/:id/accept', async (req, res) => {
     try {
-      // Verify the user's token
-      const authHeader = req.headers.authorization || '';
-      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-      if (!token) {
-        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+      const userContext = await requireUser(req, res);
+      if (!userContext) return;
+
+      const db = admin.firestore();
+      const entryRef = db.collection(RESERVATION_WAITLIST_COLLECTION).doc(req.params.id);
+      const reservationRef = db.collection('reservations').doc();
+      const noShow = await getNoShowStanding(db, userContext.uid);
+      if (noShow.standing === 'blocked') {
+        const entryDoc = await entryRef.get();
+        if (entryDoc.exists && entryDoc.get('userId') === userContext.uid) {
+          const declined = await endWaitlistOffer(db, entryRef, 'declined');
+          if (declined) await offerFreedReservationSlot(db, { locationId: declined.locationId, date: declined.date, slotTime: declined.slotTime });
+        }
+        return sendNoShowBlocked(res, noShow);
+      }
+      const requiresConfirmation = noShow.standing !== 'ok';
+      const locations = await getLocations(db);
+      const result = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(entryRef);
+        if (!doc.exists) return { status: 404, errorCode: 'NOT_FOUND', error: 'Waitlist entry not found' };
+        const data = doc.data();
+        if (data.userId !== userContext.uid) {
+          return { status: 403, errorCode: 'FORBIDDEN', error: 'Not your waitlist entry' };
+        }
+        if (data.status !== 'offered') {
+          return { status: 409, errorCode: 'NO_OFFER', error: 'There is no table on offer for this entry' };
+        }
+        if (toDate(data.offerExpiresAt) <= new Date()) {
+          return { status: 410, errorCode: 'OFFER_EXPIRED', error: 'This offer has expired' };
+        }
+
+        // The held table becomes the reservation's booking
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const timeZone = locations.find(l => l.id === data.locationId)?.timeZone || process.env.STATS_TIMEZONE || 'America/Chicago';
+        tx.set(reservationRef, {
+          userId: data.userId,
+          locationId: data.locationId,
+          customerName: data.customerName,
+          phone: data.phone,
+          email: data.email || null,
+          date: data.date,
+          time: data.time,
+          slotTime: data.slotTime,
+          slotId: data.slotId,
+          startsAt: admin.firestore.Timestamp.fromDate(slotStart(data.date, data.slotTime, timeZone).toJSDate()),
+          timeZone,
+          partySize: data.partySize,
+          specialRequests: data.specialRequests || null,
+          waitlistId: entryRef.id,
+          status: 'pending',
+          ...(requiresConfirmation && { requiresConfirmation: true }),
+          createdAt: now,
+          updatedAt: now
+        });
+        tx.update(entryRef, { status: 'booked', reservationId: reservationRef.id, bookedAt: now, updatedAt: now });
+        return { data };
+      });
+      if (result.error) {
+        if (result.errorCode === 'OFFER_EXPIRED') {
+          // Don't wait for the cron to pass the table on
+          const ended = await endWaitlistOffer(db, entryRef, 'expired');
+          if (ended) await offerFreedReservationSlot(db, { locationId: ended.locationId, date: ended.date, slotTime: ended.slotTime });
+        }
+        return sendError(res, result.status, result.errorCode, result.error);
       }
 
-      const decoded = await admin.auth().verifyIdToken(token);
-      const uid = decoded.uid;
-      logger.info(`🗑️ Starting account deletion for user: ${uid}`);
+      const { data } = result;
+      const location = locations.find(l => l.id === data.locationId);
+      const storeSuffix = locations.length > 1 && location ? ` (${location.name})` : '';
+      const bodyText = `Party of ${data.partySize}, ${formatReservationDateShort(data.date)} at ${data.time} – ${data.customerName}${storeSuffix} (from waitlist)`;
+      const adminCount = await notifyAdminsOfNewReservation(db, { reservationId: reservationRef.id, bodyText, phone: data.phone });
+
+      logger.info(`✅ Waitlist entry ${entryRef.id} booked as reservation ${reservationRef.id}; notified ${adminCount} admin(s)`);
+      return res.status(201).json({ id: reservationRef.id, status: 'pending', date: data.date, time: data.time, requiresConfirmation });
+    } catch (error) {
+      logger.error('❌ Error accepting waitlist offer:', error);
+      return res.status(500).json({ error: 'Failed to book table' });
+    }
+  });
+
+  /**
+   * DELETE /reservations/waitlist/mine/:id
+   * Authenticated user. Leave the waitlist, or decline a table on offer (it goes to the next party).
+   */
+  app.delete('/reservations/waitlist/mine/:id', async (req, res) => {
+    try {
+      const userContext = await requireUser(req, res);
+      if (!userContext) return;
 
       const db = admin.firestore();
-      const BATCH_LIMIT = 450;
+      const entryRef = db.collection(RESERVATION_WAITLIST_COLLECTION).doc(req.params.id);
+      const doc = await entryRef.get();
+      if (!doc.exists) return sendError(res, 404, "NOT_FOUND", 'Waitlist entry not found');
+      const data = doc.data();
+      if (data.userId !== userContext.uid) {
+        return sendError(res, 403, "FORBIDDEN", 'Not your waitlist entry');
+      }
 
-      // Get the user document to retrieve profile photo URL
-      const userDoc = await db.collection('users').doc(uid).get();
-      if (!userDoc.exists) {
-        // User document already deleted - try to delete Auth user anyway
-        logger.info(`⚠️ User document not found for ${uid}, attempting Auth deletion only`);
-        try {
-          await admin.auth().deleteUser(uid);
-          logger.info(`✅ Auth user deleted: ${uid}`);
-        } catch (authErr) {
-          logger.info(`ℹ️ Auth user may already be deleted: ${authErr.message}`);
+      if (data.status === 'offered') {
+        const declined = await endWaitlistOffer(db, entryRef, 'declined');
+        if (declined) {
+          await offerFreedReservationSlot(db, { locationId: declined.locationId, date: declined.date, slotTime: declined.slotTime });
+          return res.json({ id: entryRef.id, status: 'declined' });
         }
-        return res.json({ success: true, message: 'Account already deleted or cleanup completed' });
       }
-      const userData = userDoc.data();
-      const profilePhotoURL = userData.profilePhotoURL || null;
 
-      // ========== PHASE 1: ANONYMIZATION ==========
-      logger.info(`📝 Phase 1: Anonymizing PII for user ${uid}`);
+      const left = await db.runTransaction(async (tx) => {
+        const current = await tx.get(entryRef);
+        if (current.get('status') !== 'waiting') return false;
+        tx.update(entryRef, { status: 'cancelled', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        return true;
+      });
+      if (!left) {
+        return sendError(res, 409, "NOT_ACTIVE", 'This waitlist entry is no longer active');
+      }
+      return res.json({ id: entryRef.id, status: 'cancelled' });
+    } catch (error) {
+      logger.error('❌ Error leaving reservation waitlist:', error);
+      return res.status(500).json({ error: 'Failed to leave waitlist' });
+    }
+  });
 
-      // Get all documents to anonymize in parallel
-      const [receiptsSnap, redeemedSnap, giftedClaimsSnap, postsSnap, suspiciousFlagsSnap] = await Promise.all([
-        db.collection('receipts').where('userId', '==', uid).get(),
-        db.collection('redeemedRewards').where('userId', '==', uid).get(),
-        db.collection('giftedRewardClaims').where('userId', '==', uid).get(),
-        db.collection('posts').where('userId', '==', uid).get(),
-        db.collection('suspiciousFlags').where('userId', '==', uid).get()
-      ]);
-
-      // Anonymize in batches
-      let batch = db.batch();
-      let batchCount = 0;
+  /**
+   * GET /reservations/waitlist?date=YYYY-MM-DD&locationId=&status=
+   * Admin only. Waitlist entries for a date (default: waiting and offered), by slot then join time.
+   */
+  app.get('/reservations/waitlist', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      // Anonymize receipts
-      for (const doc of receiptsSnap.docs) {
-        if (batchCount >= BATCH_LIMIT) {
-          await batch.commit();
-          batch = db.batch();
-          batchCount = 0;
-        }
-        batch.update(doc.ref, {
-          userName: 'Deleted User',
-          userPhone: '',
-          userEmail: ''
-        });
-        batchCount++;
+      const date = (req.query.date || '').toString().trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'date is required (YYYY-MM-DD)' });
       }
+      const statusFilter = (req.query.status || '').toString().trim();
+      const locationFilter = (req.query.locationId || '').toString().trim();
 
-      // Anonymize redeemedRewards
-      for (const doc of redeemedSnap.docs) {
-        if (batchCount >= BATCH_LIMIT) {
-          await batch.commit();
-          batch = db.batch();
-          batchCount = 0;
+      const db = admin.firestore();
+      const snapshot = await db.collection(RESERVATION_WAITLIST_COLLECTION)
+        .where('date', '==', date)
+        .limit(500)
+        .get();
+
+      const entries = snapshot.docs
+        .filter(doc => statusFilter ? doc.get('status') === statusFilter : ACTIVE_WAITLIST_STATUSES.includes(doc.get('status')))
+        .filter(doc => !locationFilter || doc.get('locationId') === locationFilter)
+        .sort((a, b) => (a.get('slotTime') || '').localeCompare(b.get('slotTime') || '')
+          || (toDate(a.get('createdAt'))?.getTime() || 0) - (toDate(b.get('createdAt'))?.getTime() || 0))
+        .map(doc => ({ ...serializeWaitlistEntry(doc.id, doc.data()), userId: doc.get('userId'), email: doc.get('email') || null, specialRequests: doc.get('specialRequests') || null }));
+
+      return res.json({ date, entries, holdMinutes: WAITLIST_HOLD_MINUTES });
+    } catch (error) {
+      logger.error('❌ Error fetching reservation waitlist:', error);
+      return res.status(500).json({ error: 'Failed to fetch waitlist' });
+    }
+  });
+
+  /**
+   * Cron endpoints are secured by CRON_SECRET (header X-Cron-Secret or Authorization: Bearer <secret>).
+   * Returns false when the secret is unset so a misconfigured deploy can't be triggered by anyone.
+   */
+  function isAuthorizedCronRequest(req) {
+    const secret = process.env.CRON_SECRET || '';
+    const headerSecret = req.headers['x-cron-secret'] || '';
+    const authHeader = req.headers.authorization || '';
+    const bearerSecret = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+    return !!secret && (headerSecret === secret || bearerSecret === secret);
+  }
+
+  /**
+   * POST /cron/auto-confirm-reservations
+   * Cron-only. Auto-confirms pending reservations with partySize < 4 after 5 minutes
+   * (not those flagged requiresConfirmation under the no-show policy).
+   * Secured by CRON_SECRET (header X-Cron-Secret or Authorization: Bearer <secret>).
+   */
+  app.post('/cron/auto-confirm-reservations', async (req, res) => {
+    if (!isAuthorizedCronRequest(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const db = admin.firestore();
+      const now = new Date();
+      const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
+
+      const pendingSnap = await db.collection('reservations')
+        .where('status', '==', 'pending')
+        .limit(200)
+        .get();
+
+      const toAutoConfirm = [];
+      for (const doc of pendingSnap.docs) {
+        const d = doc.data();
+        const partySize = typeof d.partySize === 'number' ? d.partySize : parseInt(d.partySize, 10) || 0;
+        if (partySize >= 4 || d.requiresConfirmation === true) continue;
+        const createdAt = d.createdAt;
+        let createdDate = null;
+        if (createdAt) {
+          if (typeof createdAt.toDate === 'function') createdDate = createdAt.toDate();
+          else if (createdAt instanceof Date) createdDate = createdAt;
+          else createdDate = new Date(createdAt);
         }
-        batch.update(doc.ref, {
-          userName: 'Deleted User',
-          userPhone: ''
-        });
-        batchCount++;
+        if (!createdDate || isNaN(createdDate.getTime()) || createdDate > fiveMinutesAgo) continue;
+        toAutoConfirm.push({ ref: doc.ref, id: doc.id, data: d });
       }
 
-      // Anonymize giftedRewardClaims
-      for (const doc of giftedClaimsSnap.docs) {
-        if (batchCount >= BATCH_LIMIT) {
-          await batch.commit();
-          batch = db.batch();
-          batchCount = 0;
-        }
-        batch.update(doc.ref, {
-          userName: 'Deleted User',
-          userPhone: ''
+      let count = 0;
+      for (const { ref, id, data: resData } of toAutoConfirm) {
+        const fresh = await ref.get();
+        if (!fresh.exists || (fresh.data() || {}).status !== 'pending') continue;
+        const change = buildStatusChange('pending', 'confirmed', { by: 'auto', at: admin.firestore.Timestamp.now() });
+        await ref.update({
+          ...change.fields,
+          statusHistory: admin.firestore.FieldValue.arrayUnion(change.historyEntry),
+          calendarSequence: admin.firestore.FieldValue.increment(1),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
-        batchCount++;
-      }
 
-      // Anonymize posts
-      for (const doc of postsSnap.docs) {
-        if (batchCount >= BATCH_LIMIT) {
-          await batch.commit();
-          batch = db.batch();
-          batchCount = 0;
+        const adminNotifsSnap = await db.collection('notifications').where('reservationId', '==', id).get();
+        const toUpdate = adminNotifsSnap.docs.filter(d => (d.data().type || '') === 'reservation_new');
+        for (const d of toUpdate) {
+          await d.ref.update({
+            title: 'New reservation (auto confirmed)',
+            autoConfirmed: true
+          });
         }
-        batch.update(doc.ref, {
-          userName: 'Deleted User',
-          userDisplayName: 'Deleted User'
-        });
-        batchCount++;
-      }
 
-      // Anonymize suspiciousFlags (anonymize evidence fields)
-      for (const doc of suspiciousFlagsSnap.docs) {
-        if (batchCount >= BATCH_LIMIT) {
-          await batch.commit();
-          batch = db.batch();
-          batchCount = 0;
+        const customerUid = resData.userId;
+        if (customerUid) {
+          const dateStr = resData.date || '';
+          const displayDate = formatReservationDateShort(dateStr);
+          const timeStr = resData.time || '';
+          const party = resData.partySize || 0;
+          const notifTitle = 'Reservation Confirmed';
+          const notifBody = `Your reservation for ${party} on ${displayDate} at ${timeStr} has been confirmed. See you then!`;
+          await db.collection('notifications').add({
+            userId: customerUid,
+            title: notifTitle,
+            body: notifBody,
+            type: 'reservation_confirmed',
+            read: false,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            reservationId: id
+          });
+          (async () => {
+            try {
+              const result = await sendUserPush(db, customerUid, {
+                title: notifTitle,
+                body: notifBody,
+                data: { type: 'reservation_confirmed', reservationId: id },
+                category: 'reservations'
+              });
+              if (result.error) {
+                logger.warn('Customer auto-confirm push failed:', result.error);
+              }
+            } catch (pushErr) {
+              logger.warn('Customer auto-confirm push error:', pushErr.message || pushErr);
+            }
+          })();
         }
-        const data = doc.data();
-        const anonymizedEvidence = { ...(data.evidence || {}) };
-        if (anonymizedEvidence.userName) anonymizedEvidence.userName = 'Deleted User';
-        if (anonymizedEvidence.userPhone) anonymizedEvidence.userPhone = '';
-        if (anonymizedEvidence.userEmail) anonymizedEvidence.userEmail = '';
-        batch.update(doc.ref, { evidence: anonymizedEvidence });
-        batchCount++;
+        count++;
+        logger.info(`Auto-confirmed reservation ${id} (party of ${resData.partySize})`);
       }
 
-      // Anonymize bannedNumbers (if user was banned, just update originalUserName)
-      const userPhone = userData.phone || '';
-      if (userPhone) {
-        const normalized = normalizePhoneForBannedNumbers(userPhone) || userPhone;
-        const digitsOnlyLegacy = (normalized || '').replace('+', '');
-        const hashedId = hashBannedNumbersDocId(normalized);
-        let bannedDoc = null;
-        if (hashedId) {
-          const snap = await db.collection('bannedNumbers').doc(hashedId).get();
-          if (snap.exists) bannedDoc = snap;
-        }
-        if (!bannedDoc) {
-          const snap = await db.collection('bannedNumbers').doc(normalized).get();
-          if (snap.exists) bannedDoc = snap;
-        }
-        if (!bannedDoc && digitsOnlyLegacy) {
-          const snap = await db.collection('bannedNumbers').doc(digitsOnlyLegacy).get();
-          if (snap.exists) bannedDoc = snap;
-        }
-        if (bannedDoc) {
-          if (batchCount >= BATCH_LIMIT) {
-            await batch.commit();
-            batch = db.batch();
-            batchCount = 0;
-          }
-          batch.update(bannedDoc.ref, { originalUserName: 'Deleted User' });
-          batchCount++;
-        }
+      return res.status(200).json({ ok: true, autoConfirmedCount: count });
+    } catch (error) {
+      logger.error('❌ Error in auto-confirm-reservations cron:', error);
+      return res.status(500).json({ error: 'Failed to run auto-confirm' });
+    }
+  });
+
+  /**
+   * POST /cron/reservation-reminders
+   * Cron-only (every 15 minutes). Sends a reminder at each RESERVATION_REMINDER_OFFSETS
+   * before a reservation starts (in-app, plus a push unless the guest turned reservation
+   * notifications off; deferred in quiet hours). See reservationReminders.js.
+   * ?dryRun=true lists what would be sent.
+   * Secured by CRON_SECRET (header X-Cron-Secret or Authorization: Bearer <secret>).
+   */
+  app.post('/cron/reservation-reminders', async (req, res) => {
+    if (!isAuthorizedCronRequest(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const db = admin.firestore();
+      const dryRun = req.query.dryRun === 'true';
+      const now = new Date();
+      const windowEnd = new Date(now.getTime() + RESERVATION_REMINDER_OFFSETS[0] * 60 * 1000);
+      const locations = await getLocations(db);
+
+      const upcomingSnap = await db.collection('reservations')
+        .where('startsAt', '>', admin.firestore.Timestamp.fromDate(now))
+        .where('startsAt', '<=', admin.firestore.Timestamp.fromDate(windowEnd))
+        .limit(500)
+        .get();
+
+      // Reservations made before startsAt was stored, by local date (a day either side
+      // covers every store's timezone)
+      const legacyDates = [];
+      const lastDay = DateTime.fromJSDate(windowEnd).toUTC().plus({ days: 1 });
+      for (let day = DateTime.fromJSDate(now).toUTC().minus({ days: 1 }); day <= lastDay && legacyDates.length < 30; day = day.plus({ days: 1 })) {
+        legacyDates.push(day.toISODate());
       }
+      const legacySnap = await db.collection('reservations')
+        .where('date', 'in', legacyDates)
+        .limit(500)
+        .get();
 
-      // Commit final anonymization batch
-      if (batchCount > 0) {
-        await batch.commit();
-        logger.info(`✅ Anonymized documents (receipts: ${receiptsSnap.size}, redeemedRewards: ${redeemedSnap.size}, giftedRewardClaims: ${giftedClaimsSnap.size}, posts: ${postsSnap.size}, suspiciousFlags: ${suspiciousFlagsSnap.size})`);
+      const docs = new Map(upcomingSnap.docs.map(doc => [doc.id, doc]));
+      for (const doc of legacySnap.docs) {
+        if (doc.get('startsAt') === undefined) docs.set(doc.id, doc);
       }
 
-      // ========== PHASE 2: DELETION ==========
-      logger.info(`🗑️ Phase 2: Deleting user data for ${uid}`);
+      const sent = [];
+      let skippedCount = 0;
+      for (const doc of docs.values()) {
+        const d = doc.data();
+        if (!['pending', 'confirmed'].includes(d.status) || !d.userId) continue;
+        const { startsAt, timeZone } = reservationTiming(d, locations);
+        if (!startsAt) continue;
+
+        const reminder = dueReminder({
+          startsAt,
+          createdAt: toDate(d.createdAt),
+          offsets: RESERVATION_REMINDER_OFFSETS,
+          sentOffsets: sentReminderOffsets(d, RESERVATION_REMINDER_OFFSETS),
+          now
+        });
+        if (!reminder) continue;
+        if (reminder.offset === null) skippedCount++;
+        else sent.push({ reservationId: doc.id, offsetMinutes: reminder.offset, startsAt: startsAt.toISOString() });
+        if (dryRun) continue;
+
+        await doc.ref.update({
+          remindersSent: admin.firestore.FieldValue.arrayUnion(...reminder.markSent),
+          ...(d.startsAt === undefined && { startsAt: admin.firestore.Timestamp.fromDate(startsAt), timeZone })
+        });
+        if (reminder.offset === null) continue;
 
-      // Get all documents to delete in parallel
-      const [pointsSnap, referrerSnap, referredSnap, notifSnap, scanAttemptsSnap] = await Promise.all([
-        db.collection('pointsTransactions').where('userId', '==', uid).get(),
-        db.collection('referrals').where('referrerUserId', '==', uid).get(),
-        db.collection('referrals').where('referredUserId', '==', uid).get(),
-        db.collection('notifications').where('userId', '==', uid).get(),
-        db.collection('receiptScanAttempts').where('userId', '==', uid).get()
-      ]);
+        const title = 'Reservation Reminder';
+        const body = `Your table for ${d.partySize || 0} is reserved for ${describeReservationTiming(startsAt, timeZone, now)}. See you then!`;
+        await db.collection('notifications').add({
+          userId: d.userId,
+          title,
+          body,
+          type: 'reservation_confirmed',
+          read: false,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          reservationId: doc.id
+        });
+        await sendUserPush(db, d.userId, { title, body, data: { type: 'reservation_confirmed', reservationId: doc.id }, category: 'reservations' });
+      }
 
-      // Delete pointsTransactions
-      if (!pointsSnap.empty) {
-        let deleteBatch = db.batch();
-        let deleteCount = 0;
-        for (const doc of pointsSnap.docs) {
-          if (deleteCount >= BATCH_LIMIT) {
-            await deleteBatch.commit();
-            deleteBatch = db.batch();
-            deleteCount = 0;
-          }
-          deleteBatch.delete(doc.ref);
-          deleteCount++;
-        }
-        if (deleteCount > 0) await deleteBatch.commit();
-        logger.info(`✅ Deleted ${pointsSnap.size} pointsTransactions`);
+      if (dryRun) {
+        return res.json({ ok: true, dryRun: true, offsets: RESERVATION_REMINDER_OFFSETS, reminders: sent, skippedCount });
       }
+      logger.info(`✅ Reservation reminders: ${sent.length} sent, ${skippedCount} skipped (booked after the reminder time)`);
+      return res.json({ ok: true, sentCount: sent.length, skippedCount });
+    } catch (error) {
+      logger.error('❌ Error sending reservation reminders:', error);
+      return res.status(500).json({ error: 'Failed to send reminders' });
+    }
+  });
 
-      // Tombstone referrals instead of deleting (keeps referrer/referred counts stable)
-      // 1) Deleting user was the referred: anonymize referred side, keep referrerUserId
-      let tombstoneCount = 0;
-      let refBatch = db.batch();
-      for (const doc of referredSnap.docs) {
-        if (tombstoneCount >= BATCH_LIMIT) {
-          await refBatch.commit();
-          refBatch = db.batch();
-          tombstoneCount = 0;
-        }
-        const data = doc.data();
-        const isAwarded = data.status === 'awarded';
-        const updates = {
-          referredFirstName: 'Deleted User',
-          referredDeleted: true,
-          referredDeletedAt: admin.firestore.FieldValue.serverTimestamp(),
-          referredUserId: admin.firestore.FieldValue.delete()
-        };
-        if (!isAwarded) {
-          updates.status = 'cancelled';
-          updates.pointsTowards50 = 0;
-        }
-        refBatch.update(doc.ref, updates);
-        tombstoneCount++;
-      }
-      if (tombstoneCount > 0) {
-        await refBatch.commit();
-        logger.info(`✅ Tombstoned ${referredSnap.size} referrals (deleted user was referred)`);
-      }
-      // 2) Deleting user was the referrer: anonymize referrer side, keep referredUserId
-      refBatch = db.batch();
-      tombstoneCount = 0;
-      for (const doc of referrerSnap.docs) {
-        if (tombstoneCount >= BATCH_LIMIT) {
-          await refBatch.commit();
-          refBatch = db.batch();
-          tombstoneCount = 0;
-        }
-        const data = doc.data();
-        const isAwarded = data.status === 'awarded';
-        const updates = {
-          referrerFirstName: 'Deleted User',
-          referrerDeleted: true,
-          referrerDeletedAt: admin.firestore.FieldValue.serverTimestamp(),
-          referrerUserId: admin.firestore.FieldValue.delete()
-        };
-        if (!isAwarded) {
-          updates.status = 'cancelled';
-          updates.pointsTowards50 = 0;
-        }
-        refBatch.update(doc.ref, updates);
-        tombstoneCount++;
-      }
-      if (tombstoneCount > 0) {
-        await refBatch.commit();
-        logger.info(`✅ Tombstoned ${referrerSnap.size} referrals (deleted user was referrer)`);
+  /**
+   * POST /cron/reservation-waitlist
+   * Cron-only (every few minutes). Expires waitlist offers whose hold ran out and offers
+   * each table to the next party; closes out entries for past dates. ?dryRun=true counts only.
+   */
+  app.post('/cron/reservation-waitlist', async (req, res) => {
+    if (!isAuthorizedCronRequest(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const db = admin.firestore();
+      const dryRun = req.query.dryRun === 'true';
+      const now = new Date();
+      const todayStr = DateTime.fromJSDate(now).setZone(process.env.STATS_TIMEZONE || 'America/Chicago').toISODate();
+
+      const expiredSnap = await db.collection(RESERVATION_WAITLIST_COLLECTION)
+        .where('status', '==', 'offered')
+        .where('offerExpiresAt', '<=', admin.firestore.Timestamp.fromDate(now))
+        .orderBy('offerExpiresAt', 'asc')
+        .limit(100)
+        .get();
+      const pastSnap = await db.collection(RESERVATION_WAITLIST_COLLECTION)
+        .where('status', '==', 'waiting')
+        .where('date', '<', todayStr)
+        .limit(400)
+        .get();
+
+      if (dryRun) {
+        return res.json({ ok: true, dryRun: true, expiredOfferCount: expiredSnap.size, pastEntryCount: pastSnap.size });
       }
 
-      // Delete notifications
-      if (!notifSnap.empty) {
-        let notifBatch = db.batch();
-        let notifCount = 0;
-        for (const doc of notifSnap.docs) {
-          if (notifCount >= BATCH_LIMIT) {
-            await notifBatch.commit();
-            notifBatch = db.batch();
-            notifCount = 0;
-          }
-          notifBatch.delete(doc.ref);
-          notifCount++;
-        }
-        if (notifCount > 0) await notifBatch.commit();
-        logger.info(`✅ Deleted ${notifSnap.size} notifications`);
+      let expiredOfferCount = 0;
+      let reofferedCount = 0;
+      for (const doc of expiredSnap.docs) {
+        const ended = await endWaitlistOffer(db, doc.ref, 'expired');
+        if (!ended) continue;
+        expiredOfferCount++;
+        const nextId = await offerFreedReservationSlot(db, { locationId: ended.locationId, date: ended.date, slotTime: ended.slotTime });
+        if (nextId) reofferedCount++;
       }
 
-      // Delete receiptScanAttempts
-      if (!scanAttemptsSnap.empty) {
-        let scanBatch = db.batch();
-        let scanCount = 0;
-        for (const doc of scanAttemptsSnap.docs) {
-          if (scanCount >= BATCH_LIMIT) {
-            await scanBatch.commit();
-            scanBatch = db.batch();
-            scanCount = 0;
-          }
-          scanBatch.delete(doc.ref);
-          scanCount++;
-        }
-        if (scanCount > 0) await scanBatch.commit();
-        logger.info(`✅ Deleted ${scanAttemptsSnap.size} receiptScanAttempts`);
+      if (pastSnap.size > 0) {
+        const batch = db.batch();
+        pastSnap.docs.forEach(doc => batch.update(doc.ref, {
+          status: 'expired',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }));
+        await batch.commit();
       }
 
-      // Delete user subcollections (clientState, activity)
-      const [clientStateSnap, activitySnap] = await Promise.all([
-        db.collection('users').doc(uid).collection('clientState').get(),
-        db.collection('users').doc(uid).collection('activity').get()
-      ]);
+      logger.info(`🪑 Reservation waitlist: ${expiredOfferCount} offer(s) expired, ${reofferedCount} re-offered, ${pastSnap.size} past entr(ies) closed`);
+      return res.json({ ok: true, expiredOfferCount, reofferedCount, pastEntryCount: pastSnap.size });
+    } catch (error) {
+      logger.error('❌ Error processing reservation waitlist:', error);
+      return res.status(500).json({ error: 'Failed to process waitlist' });
+    }
+  });
 
-      if (!clientStateSnap.empty || !activitySnap.empty) {
-        const subBatch = db.batch();
-        for (const doc of clientStateSnap.docs) {
-          subBatch.delete(doc.ref);
-        }
-        for (const doc of activitySnap.docs) {
-          subBatch.delete(doc.ref);
-        }
-        await subBatch.commit();
-        logger.info(`✅ Deleted user subcollections (clientState: ${clientStateSnap.size}, activity: ${activitySnap.size})`);
-      }
+  // ---------------------------------------------------------------------------
+  // Points Ledger: Reconciliation & Expiration
+  // ---------------------------------------------------------------------------
 
-      // Delete userRiskScore if exists
-      await db.collection('userRiskScores').doc(uid).delete().catch(() => {});
-      logger.info(`✅ Deleted userRiskScore (if existed)`);
+  const POINTS_RECONCILIATION_RUNS_COLLECTION = 'pointsReconciliationRuns';
+  const POINTS_RECONCILIATION_MAX_DRIFT_ENTRIES = 200;
 
-      // ========== PHASE 3: PROFILE PHOTO DELETION ==========
-      if (profilePhotoURL) {
-        try {
-          const storage = admin.storage();
-          const bucket = storage.bucket();
-          
-          // Extract file path from URL
-          // URL format: https://firebasestorage.googleapis.com/v0/b/BUCKET/o/PATH?token=...
-          // or gs://BUCKET/PATH
-          let filePath = null;
-          if (profilePhotoURL.includes('firebasestorage.googleapis.com')) {
-            const match = profilePhotoURL.match(/\/o\/(.+?)\?/);
-            if (match) {
-              filePath = decodeURIComponent(match[1]);
-            }
-          } else if (profilePhotoURL.startsWith('gs://')) {
-            filePath = profilePhotoURL.replace(/^gs:\/\/[^/]+\//, '');
-          }
+  /**
+   * Page through every user document (by document id) and call fn(userDoc) for each.
+   * Users inside a page are processed sequentially to keep Firestore load predictable.
+   */
+  async function forEachUserDoc(db, fn, pageSize = 300) {
+    let lastDoc = null;
+    while (true) {
+      let query = db.collection('users')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+      if (lastDoc) query = query.startAfter(lastDoc);
+      const snap = await query.get();
+      if (snap.empty) break;
+      for (const doc of snap.docs) {
+        await fn(doc);
+      }
+      lastDoc = snap.docs[snap.docs.length - 1];
+      if (snap.size < pageSize) break;
+    }
+  }
 
-          if (filePath) {
-            await bucket.file(filePath).delete();
-            logger.info(`✅ Deleted profile photo: ${filePath}`);
-          }
-        } catch (storageErr) {
-          // Non-critical - photo may already be deleted or URL invalid
-          logger.info(`ℹ️ Profile photo deletion skipped: ${storageErr.message}`);
-        }
-      }
+  function mapPointsTransactionDocs(snap) {
+    return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
 
-      // ========== PHASE 4: RECORD DELETION FOR RECREATE DETECTION ==========
-      // Record deletion metadata to detect rapid delete→recreate patterns
-      try {
-        const userPhone = userData.phone || '';
-        if (userPhone) {
-          const phoneHash = hashPhoneNumber(userPhone);
-          if (phoneHash) {
-            // Record deletion timestamp for this phone hash
-            const deletionRecordRef = db.collection('accountDeletions').doc(`${phoneHash}_${Date.now()}`);
-            await deletionRecordRef.set({
-              phoneHash,
-              deletedAt: admin.firestore.FieldValue.serverTimestamp(),
-              deletedUserId: uid,
-              // Store device fingerprint if available (from request headers)
-              deviceFingerprint: req.headers['x-device-fingerprint'] || null
-            });
-            
-            // Also update abusePreventionHashes with deletion timestamp
-            const abuseHashRef = db.collection('abusePreventionHashes').doc(phoneHash);
-            await abuseHashRef.set({
-              phoneHash,
-              lastAccountDeletedAt: admin.firestore.FieldValue.serverTimestamp(),
-              lastDeletedUserId: uid
-            }, { merge: true });
-          }
-        }
-      } catch (deletionRecordError) {
-        // Non-critical - log but don't fail deletion
-        logger.error('⚠️ Error recording deletion metadata (non-blocking):', deletionRecordError);
-      }
+  /**
+   * Compare a user's stored balances with the balances rebuilt from pointsTransactions
+   * @returns {{storedPoints, ledgerPoints, pointsDrift, storedLifetimePoints, ledgerLifetimePoints, lifetimeDrift, unbackedDebit, transactionCount, ledger}}
+   */
+  function reconcileUserLedger(userData, transactions) {
+    const ledger = replayLedger(transactions);
+    const storedPoints = typeof userData.points === 'number' ? userData.points : 0;
+    const storedLifetimePoints = typeof userData.lifetimePoints === 'number'
+      ? userData.lifetimePoints
+      : storedPoints;
+    return {
+      storedPoints,
+      ledgerPoints: ledger.balance,
+      pointsDrift: storedPoints - ledger.balance,
+      storedLifetimePoints,
+      ledgerLifetimePoints: ledger.lifetimeEarned,
+      lifetimeDrift: storedLifetimePoints - ledger.lifetimeEarned,
+      unbackedDebit: ledger.unbackedDebit,
+      transactionCount: ledger.transactionCount,
+      ledger
+    };
+  }
 
-      // ========== PHASE 5: USER DOCUMENT DELETION ==========
-      await db.collection('users').doc(uid).delete();
-      logger.info(`✅ Deleted user document: ${uid}`);
+  /**
+   * POST /cron/points-reconciliation
+   * Cron-only. Rebuilds every user's balance from pointsTransactions and records users whose
+   * stored points/lifetimePoints drift from the ledger. Report only; balances are not modified.
+   */
+  app.post('/cron/points-reconciliation', async (req, res) => {
+    if (!isAuthorizedCronRequest(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-      // ========== PHASE 6: FIREBASE AUTH USER DELETION ==========
-      try {
-        await admin.auth().deleteUser(uid);
-        logger.info(`✅ Deleted Firebase Auth user: ${uid}`);
-      } catch (authErr) {
-        // Log but don't fail - Firestore data is already cleaned up
-        logger.error(`⚠️ Error deleting Auth user (data already cleaned): ${authErr.message}`);
-      }
+    try {
+      const db = admin.firestore();
+      const startedAt = new Date();
+      const runRef = db.collection(POINTS_RECONCILIATION_RUNS_COLLECTION).doc();
+
+      let usersScanned = 0;
+      let driftCount = 0;
+      let totalPointsDrift = 0;
+      const drift = [];
+
+      await forEachUserDoc(db, async (userDoc) => {
+        usersScanned++;
+        const txSnap = await db.collection('pointsTransactions').where('userId', '==', userDoc.id).get();
+        const result = reconcileUserLedger(userDoc.data() || {}, mapPointsTransactionDocs(txSnap));
+        if (result.pointsDrift === 0 && result.lifetimeDrift === 0) return;
+
+        driftCount++;
+        totalPointsDrift += result.pointsDrift;
+        if (drift.length < POINTS_RECONCILIATION_MAX_DRIFT_ENTRIES) {
+          drift.push({
+            userId: userDoc.id,
+            storedPoints: result.storedPoints,
+            ledgerPoints: result.ledgerPoints,
+            pointsDrift: result.pointsDrift,
+            storedLifetimePoints: result.storedLifetimePoints,
+            ledgerLifetimePoints: result.ledgerLifetimePoints,
+            lifetimeDrift: result.lifetimeDrift,
+            unbackedDebit: result.unbackedDebit,
+            transactionCount: result.transactionCount
+          });
+        }
+      });
 
-      logger.info(`✅ Account deletion complete for user: ${uid}`);
-      return res.json({ success: true });
+      const finishedAt = new Date();
+      const summary = {
+        usersScanned,
+        driftCount,
+        totalPointsDrift,
+        driftTruncated: driftCount > drift.length,
+        durationMs: finishedAt.getTime() - startedAt.getTime()
+      };
+
+      await runRef.set({
+        ...summary,
+        drift,
+        startedAt,
+        finishedAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
 
+      logger.info(`📒 Points reconciliation ${runRef.id}: ${usersScanned} users, ${driftCount} drifting (net ${totalPointsDrift} pts)`);
+      return res.json({ ok: true, runId: runRef.id, ...summary });
     } catch (error) {
-      logger.error('❌ Error in /user/delete-account:', error);
-      res.status(500).json({ error: 'Failed to delete account' });
+      logger.error('❌ Error in points reconciliation cron:', error);
+      return res.status(500).json({ error: 'Failed to reconcile points ledger' });
     }
   });
 
   /**
-   * POST /admin/cleanup-expired-history
-   *
-   * Cleans up expired bannedAccountHistory records (older than 24 hours).
-   * Can be called by admin or triggered on admin view load.
-   *
-   * Request: Requires admin Bearer token
-   * Response: { deletedCount: number, message: string }
+   * POST /cron/points-expiration
+   * Cron-only. Expires unused points FIFO by earn lot after config/pointsEarning.expirationMonths,
+   * and warns users (in-app notification + FCM) expirationWarningDays ahead.
+   * Pass ?dryRun=true to get the counts without writing anything.
    */
-  app.post('/admin/cleanup-expired-history', async (req, res) => {
-    try {
-      const adminContext = await requireAdmin(req, res);
-      if (!adminContext) return;
+  app.post('/cron/points-expiration', async (req, res) => {
+    if (!isAuthorizedCronRequest(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
+    try {
       const db = admin.firestore();
-      const now = admin.firestore.Timestamp.now();
-
-      logger.info('🧹 Cleaning up expired banned account history...');
-
-      // Query expired records
-      const expiredSnap = await db.collection('bannedAccountHistory')
-        .where('expiresAt', '<=', now)
-        .get();
+      const config = await getPointsEarningConfig(db);
+      const dryRun = req.query.dryRun === 'true';
 
-      if (expiredSnap.empty) {
-        logger.info('✅ No expired history records found');
-        return res.json({ deletedCount: 0, message: 'No expired records to clean up' });
+      if (!config.expirationMonths) {
+        return res.json({ ok: true, enabled: false, message: 'Points expiration is disabled (expirationMonths not set)' });
       }
 
-      // Delete in batches
-      const batch = db.batch();
-      let deletedCount = 0;
-      
-      for (const doc of expiredSnap.docs.slice(0, 450)) {
-        batch.delete(doc.ref);
-        deletedCount++;
-      }
+      const now = new Date();
+      const todayKey = DateTime.fromJSDate(now).setZone(config.timeZone).toFormat('yyyy-LL-dd');
+      const formatExpiry = (date) => DateTime.fromJSDate(date).setZone(config.timeZone).toFormat('LLL d, yyyy');
+      const expirationOptions = {
+        expirationMonths: config.expirationMonths,
+        warningDays: config.expirationWarningDays,
+        now
+      };
 
-      await batch.commit();
-      logger.info(`✅ Deleted ${deletedCount} expired history records`);
+      let usersScanned = 0;
+      let usersExpired = 0;
+      let pointsExpired = 0;
+      let warningsSent = 0;
+      let failures = 0;
 
-      return res.json({ 
-        deletedCount, 
-        message: `Cleaned up ${deletedCount} expired history record(s)` 
-      });
+      await forEachUserDoc(db, async (userDoc) => {
+        const userData = userDoc.data() || {};
+        if (!(typeof userData.points === 'number' && userData.points > 0)) return;
+        usersScanned++;
+        const uid = userDoc.id;
 
+        try {
+          const txSnap = await db.collection('pointsTransactions').where('userId', '==', uid).get();
+          const { lots } = replayLedger(mapPointsTransactionDocs(txSnap));
+          const expiration = summarizeExpiration(lots, expirationOptions);
+
+          // Expire what's past due
+          if (expiration.expiredPoints > 0) {
+            if (dryRun) {
+              usersExpired++;
+              pointsExpired += Math.min(expiration.expiredPoints, userData.points);
+            } else {
+              const userRef = db.collection('users').doc(uid);
+              const expireTxRef = db.collection('pointsTransactions').doc(`expire_${uid}_${todayKey}`);
+              let expiredNow = 0;
+              let newPointsBalance = null;
+
+              await db.runTransaction(async (tx) => {
+                const [freshUserDoc, existingExpireTx, freshTxSnap] = await Promise.all([
+                  tx.get(userRef),
+                  tx.get(expireTxRef),
+                  tx.get(db.collection('pointsTransactions').where('userId', '==', uid))
+                ]);
+                if (!freshUserDoc.exists || existingExpireTx.exists) return;
+
+                const currentPoints = freshUserDoc.data()?.points || 0;
+                const freshExpiration = summarizeExpiration(
+                  replayLedger(mapPointsTransactionDocs(freshTxSnap)).lots,
+                  expirationOptions
+                );
+                // Never take more than the user actually holds (legacy balances may lag the ledger)
+                expiredNow = Math.min(freshExpiration.expiredPoints, currentPoints);
+                if (expiredNow <= 0) return;
+
+                newPointsBalance = currentPoints - expiredNow;
+                tx.set(expireTxRef, {
+                  id: expireTxRef.id,
+                  userId: uid,
+                  type: POINTS_EXPIRATION_TX_TYPE,
+                  amount: -expiredNow,
+                  description: `${expiredNow} unused points expired`,
+                  timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                  isEarned: false,
+                  metadata: {
+                    expirationMonths: config.expirationMonths,
+                    lots: freshExpiration.expiredLots.slice(0, 50).map(lot => ({
+                      txId: lot.txId,
+                      earnedAt: lot.earnedAt ? lot.earnedAt.toISOString() : null,
+                      expiredPoints: lot.remaining
+                    }))
+                  }
+                });
+                tx.update(userRef, { points: newPointsBalance });
+              });
+
+              if (expiredNow > 0) {
+                usersExpired++;
+                pointsExpired += expiredNow;
+                const title = 'Points Expired';
+                const body = `${expiredNow} unused points expired. You now have ${newPointsBalance} points.`;
+                await db.collection('notifications').doc(`pointsExpired_${uid}_${todayKey}`).set({
+                  userId: uid,
+                  title,
+                  body,
+                  type: 'points_expired',
+                  read: false,
+                  createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                  pointsExpired: expiredNow
+                });
+                await sendUserPush(db, uid, { title, body, data: { type: 'points_expired' }, category: 'rewardsExpiring' }, userData);
+              }
+            }
+          }
+
+          // Warn about points expiring soon (once per upcoming expiry date)
+          if (expiration.expiringPoints > 0) {
+            const firstExpiry = expiration.expiringLots.reduce(
+              (min, lot) => (lot.expiresAt < min ? lot.expiresAt : min),
+              expiration.expiringLots[0].expiresAt
+            );
+            const expiryKey = DateTime.fromJSDate(firstExpiry).setZone(config.timeZone).toFormat('yyyy-LL-dd');
+            if (dryRun) {
+              warningsSent++;
+              return;
+            }
+            const title = 'Points Expiring Soon';
+            const body = `${expiration.expiringPoints} of your points expire starting ${formatExpiry(firstExpiry)}. Redeem a reward before then!`;
+            try {
+              await db.collection('notifications').doc(`pointsExpiring_${uid}_${expiryKey}`).create({
+                userId: uid,
+                title,
+                body,
+                type: 'points_expiring',
+                read: false,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                expiringPoints: expiration.expiringPoints,
+                expiresAt: firstExpiry
+              });
+            } catch (err) {
+              // ALREADY_EXISTS: this user was already warned about this expiry date
+              if (err.code === 6) return;
+              throw err;
+            }
+            warningsSent++;
+            await sendUserPush(db, uid, { title, body, data: { type: 'points_expiring' }, category: 'rewardsExpiring' }, userData);
+          }
+        } catch (userError) {
+          failures++;
+          logError(userError, null, { operation: 'points_expiration', userId: uid });
+        }
+      });
+
+      logger.info(`⏳ Points expiration${dryRun ? ' (dry run)' : ''}: ${usersScanned} users with points, ${usersExpired} expired (${pointsExpired} pts), ${warningsSent} warned, ${failures} failed`);
+      return res.json({
+        ok: true,
+        enabled: true,
+        dryRun,
+        expirationMonths: config.expirationMonths,
+        warningDays: config.expirationWarningDays,
+        usersScanned,
+        usersExpired,
+        pointsExpired,
+        warningsSent,
+        failures
+      });
     } catch (error) {
-      logger.error('❌ Error in /admin/cleanup-expired-history:', error);
-      res.status(500).json({ error: 'Failed to cleanup expired history' });
+      logger.error('❌ Error in points expiration cron:', error);
+      return res.status(500).json({ error: 'Failed to run points expiration' });
     }
   });
 
   /**
-   * POST /users/cleanup-orphan-by-phone
-   *
-   * Cleans up orphaned user documents during signup.
-   * When a user signs up with a phone number that has orphaned Firestore docs,
-   * this endpoint deletes those orphans using Admin SDK (bypasses security rules).
-   *
-   * Request body: { phone: string, newUid: string }
-   * Response: { deletedCount: number }
+   * POST /cron/loyalty-tier-requalification
+   * Cron-only (daily). For each member:
+   * - upgrades anyone whose qualifying points passed a threshold outside a receipt scan
+   *   (referral, welcome bonus, admin adjustment)
+   * - every requalificationMonths after qualifying, recounts the points earned in that
+   *   trailing window; the tier is renewed if they still meet it, otherwise lowered
+   * Tier changes are notified in-app and by push. Pass ?dryRun=true to only count.
    */
-  app.post('/users/cleanup-orphan-by-phone', async (req, res) => {
-    try {
-      // Verify the user's token
-      const authHeader = req.headers.authorization || '';
-      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-      if (!token) {
-        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
-      }
-
-      const decoded = await admin.auth().verifyIdToken(token);
-      const callerUid = decoded.uid;
-
-      const { phone, newUid } = req.body;
-      if (!phone) {
-        return res.status(400).json({ error: 'Phone number is required' });
-      }
-
-      // Verify the caller is the new user (for security)
-      if (newUid && newUid !== callerUid) {
-        return res.status(403).json({ error: 'UID mismatch' });
-      }
-
-      logger.info(`🧹 Cleaning up orphaned accounts for phone: ${phone}, newUid: ${callerUid}`);
+  app.post('/cron/loyalty-tier-requalification', async (req, res) => {
+    if (!isAuthorizedCronRequest(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
+    try {
       const db = admin.firestore();
-      const auth = admin.auth();
+      const config = await getLoyaltyTiersConfig(db);
+      const dryRun = req.query.dryRun === 'true';
+      const now = new Date();
+      const windowStart = DateTime.fromJSDate(now).minus({ months: config.requalificationMonths }).toJSDate();
 
-      // Normalize phone number
-      let normalizedPhone = phone.trim();
-      const digits = normalizedPhone.replace(/[^\d]/g, '');
-      if (digits.length === 10) {
-        normalizedPhone = '+1' + digits;
-      } else if (digits.length === 11 && digits.startsWith('1')) {
-        normalizedPhone = '+' + digits;
-      }
+      let usersScanned = 0;
+      let upgraded = 0;
+      let renewed = 0;
+      let downgraded = 0;
+      let failures = 0;
 
-      // Find all user documents with this phone number
-      const usersSnap = await db.collection('users')
-        .where('phone', '==', normalizedPhone)
-        .get();
+      await forEachUserDoc(db, async (userDoc) => {
+        const userData = userDoc.data() || {};
+        const hasTier = typeof userData.loyaltyTier === 'string';
+        if (!hasTier && !(typeof userData.lifetimePoints === 'number' && userData.lifetimePoints > 0)) return;
+        usersScanned++;
+        const uid = userDoc.id;
 
-      if (usersSnap.empty) {
-        logger.info('✅ No orphaned accounts found');
-        
-        // Check for rapid delete→recreate patterns even if no orphans found
         try {
-          const phoneHash = hashPhoneNumber(normalizedPhone);
-          if (phoneHash) {
-            const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-            const recentDeletions = await db.collection('accountDeletions')
-              .where('phoneHash', '==', phoneHash)
-              .where('deletedAt', '>=', admin.firestore.Timestamp.fromDate(oneWeekAgo))
-              .orderBy('deletedAt', 'desc')
-              .get();
-            
-            if (recentDeletions.size >= 2) {
-              const service = new SuspiciousBehaviorService(db);
-              await service.flagSuspiciousBehavior(callerUid, {
-                flagType: 'account_recreation',
-                severity: recentDeletions.size >= 4 ? 'high' : 'medium',
-                description: `Rapid account deletion/recreation pattern: ${recentDeletions.size} deletions in last 7 days for this phone number`,
-                evidence: {
-                  phoneHash,
-                  deletionCount: recentDeletions.size,
-                  timeWindow: '7 days',
-                  lastDeletion: recentDeletions.docs[0]?.data()?.deletedAt?.toDate?.()?.toISOString() || null
-                }
+          const current = currentTierOf(config, userData);
+          const qualifiedAt = toDate(userData.loyaltyTierQualifiedAt);
+          const isDue = tierRank(config, current.id) > 0 && (!qualifiedAt || qualifiedAt <= windowStart);
+
+          if (!isDue) {
+            const earned = tierForPoints(config, qualifyingPointsOf(userData));
+            if (tierRank(config, earned.id) > tierRank(config, current.id)) {
+              upgraded++;
+              if (dryRun) return;
+              await userDoc.ref.update({
+                loyaltyTier: earned.id,
+                loyaltyTierQualifiedAt: admin.firestore.FieldValue.serverTimestamp()
+              });
+              await notifyLoyaltyTierChange(db, uid, { from: current, to: earned });
+            } else if (!hasTier && !dryRun) {
+              // Pin members who predate tiers so the requalification clock starts now
+              await userDoc.ref.update({
+                loyaltyTier: current.id,
+                loyaltyTierQualifiedAt: admin.firestore.FieldValue.serverTimestamp()
               });
             }
+            return;
           }
-        } catch (detectionError) {
-          logger.error('❌ Error checking delete/recreate pattern (non-blocking):', detectionError);
-        }
-        
-        return res.json({ deletedCount: 0 });
-      }
-
-      let deletedCount = 0;
-      const batch = db.batch();
-
-      for (const doc of usersSnap.docs) {
-        const docUid = doc.id;
-        
-        // Skip the current user's document
-        if (docUid === callerUid) {
-          logger.info(`ℹ️ Skipping current user: ${docUid}`);
-          continue;
-        }
 
-        // Check if this UID has a corresponding Firebase Auth account
-        try {
-          await auth.getUser(docUid);
-          // Auth account exists - this is not an orphan, skip it
-          logger.info(`ℹ️ Skipping non-orphan (Auth exists): ${docUid}`);
-        } catch (error) {
-          if (error.code === 'auth/user-not-found') {
-            // This is an orphaned document - delete it
-            logger.info(`🗑️ Deleting orphaned user doc: ${docUid}`);
-            batch.delete(doc.ref);
-            deletedCount++;
-          } else {
-            logger.warn(`⚠️ Error checking user ${docUid}: ${error.code}`);
+          const txSnap = await db.collection('pointsTransactions').where('userId', '==', uid).get();
+          const windowPoints = earnedPointsSince(txSnap.docs.map(doc => doc.data()), windowStart);
+          const earned = tierForPoints(config, windowPoints);
+          const keepsTier = tierRank(config, earned.id) >= tierRank(config, current.id);
+          if (keepsTier) renewed++; else downgraded++;
+          if (dryRun) return;
+
+          const lifetimePoints = typeof userData.lifetimePoints === 'number' ? userData.lifetimePoints : (userData.points || 0);
+          const next = keepsTier ? (tierRank(config, earned.id) > tierRank(config, current.id) ? earned : current) : earned;
+          await userDoc.ref.update({
+            loyaltyTier: next.id,
+            loyaltyTierQualifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+            // From here on, qualifying points = points earned in the window just counted + new earnings
+            loyaltyTierPointsBaseline: Math.max(0, lifetimePoints - windowPoints)
+          });
+          if (next.id !== current.id) {
+            await notifyLoyaltyTierChange(db, uid, { from: current, to: next });
           }
+        } catch (userError) {
+          failures++;
+          logError(userError, null, { operation: 'loyalty_tier_requalification', userId: uid });
         }
-      }
+      });
 
-      if (deletedCount > 0) {
-        await batch.commit();
-        logger.info(`✅ Deleted ${deletedCount} orphaned user document(s)`);
-      }
+      logger.info(`🏅 Loyalty tier requalification${dryRun ? ' (dry run)' : ''}: ${usersScanned} members, ${upgraded} upgraded, ${renewed} renewed, ${downgraded} downgraded, ${failures} failed`);
+      return res.json({
+        ok: true,
+        dryRun,
+        requalificationMonths: config.requalificationMonths,
+        usersScanned,
+        upgraded,
+        renewed,
+        downgraded,
+        failures
+      });
+    } catch (error) {
+      logger.error('❌ Error in loyalty tier requalification cron:', error);
+      return res.status(500).json({ error: 'Failed to requalify loyalty tiers' });
+    }
+  });
 
-      // Check for rapid delete→recreate patterns after cleanup
-      try {
-        const phoneHash = hashPhoneNumber(normalizedPhone);
-        if (phoneHash) {
-          const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-          const recentDeletions = await db.collection('accountDeletions')
-            .where('phoneHash', '==', phoneHash)
-            .where('deletedAt', '>=', admin.firestore.Timestamp.fromDate(oneWeekAgo))
-            .orderBy('deletedAt', 'desc')
-            .get();
-          
-          if (recentDeletions.size >= 2) {
-            const service = new SuspiciousBehaviorService(db);
-            await service.flagSuspiciousBehavior(callerUid, {
-              flagType: 'account_recreation',
-              severity: recentDeletions.size >= 4 ? 'high' : 'medium',
-              description: `Rapid account deletion/recreation pattern: ${recentDeletions.size} deletions in last 7 days for this phone number (${deletedCount} orphaned accounts cleaned up)`,
-              evidence: {
-                phoneHash,
-                deletionCount: recentDeletions.size,
-                orphanedAccountsDeleted: deletedCount,
-                timeWindow: '7 days',
-                lastDeletion: recentDeletions.docs[0]?.data()?.deletedAt?.toDate?.()?.toISOString() || null
-              }
-            });
-          }
-        }
-      } catch (detectionError) {
-        logger.error('❌ Error checking delete/recreate pattern (non-blocking):', detectionError);
-      }
+  /**
+   * GET /admin/points/reconciliation
+   *
+   * Admin-only. Most recent reconciliation runs (summary + drift entries).
+   */
+  app.get('/admin/points/reconciliation', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      return res.json({ deletedCount });
+      const db = admin.firestore();
+      const limit = Math.min(parseInt(req.query.limit, 10) || 5, 25);
+      const snap = await db.collection(POINTS_RECONCILIATION_RUNS_COLLECTION)
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+
+      const runs = snap.docs.map(doc => {
+        const data = doc.data() || {};
+        return {
+          id: doc.id,
+          ...data,
+          startedAt: toDate(data.startedAt)?.toISOString() || null,
+          finishedAt: toDate(data.finishedAt)?.toISOString() || null,
+          createdAt: toDate(data.createdAt)?.toISOString() || null
+        };
+      });
 
+      return res.json({ runs });
     } catch (error) {
-      logger.error('❌ Error in /users/cleanup-orphan-by-phone:', error);
-      res.status(500).json({ error: 'Failed to cleanup orphaned accounts' });
+      logger.error('❌ Error fetching points reconciliation runs:', error);
+      return res.status(500).json({ error: 'Failed to fetch reconciliation runs' });
     }
   });
 
-  // ---------------------------------------------------------------------------
-  // Staff-only Rewards Validation / Consumption (QR scanning)
-  // ---------------------------------------------------------------------------
+  /**
+   * GET /admin/points/ledger/:userId
+   *
+   * Admin-only. Ledger view for one user: stored vs rebuilt balances, open earn lots
+   * (with expiry dates when expiration is enabled), and points expiring soon.
+   */
+  app.get('/admin/points/ledger/:userId', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-  function parseFirestoreDate(value) {
-    if (!value) return null;
-    if (value instanceof Date) return value;
-    if (typeof value.toDate === 'function') return value.toDate(); // Firestore Timestamp
-    return null;
-  }
+      const { userId } = req.params;
+      const db = admin.firestore();
+      const [userDoc, txSnap, config] = await Promise.all([
+        db.collection('users').doc(userId).get(),
+        db.collection('pointsTransactions').where('userId', '==', userId).get(),
+        getPointsEarningConfig(db)
+      ]);
 
-  function pickBestRedeemedRewardDoc(snapshot) {
-    if (!snapshot || snapshot.empty) return null;
-    // Prefer the newest redeemedAt when possible; otherwise just take the first.
-    let bestDoc = snapshot.docs[0];
-    let bestRedeemedAt = parseFirestoreDate(bestDoc.get('redeemedAt')) || new Date(0);
-    for (const doc of snapshot.docs) {
-      const redeemedAt = parseFirestoreDate(doc.get('redeemedAt')) || new Date(0);
-      if (redeemedAt > bestRedeemedAt) {
-        bestRedeemedAt = redeemedAt;
-        bestDoc = doc;
+      if (!userDoc.exists) {
+        return sendError(res, 404, "USER_NOT_FOUND", "User not found");
       }
+
+      const { ledger, ...balances } = reconcileUserLedger(userDoc.data() || {}, mapPointsTransactionDocs(txSnap));
+      const expiration = config.expirationMonths
+        ? summarizeExpiration(ledger.lots, {
+          expirationMonths: config.expirationMonths,
+          warningDays: config.expirationWarningDays
+        })
+        : null;
+      const expiresAtByTx = new Map(
+        (expiration ? [...expiration.expiredLots, ...expiration.expiringLots] : []).map(l => [l.txId, l.expiresAt])
+      );
+
+      return res.json({
+        userId,
+        ...balances,
+        expirationMonths: config.expirationMonths,
+        lots: ledger.lots.map(lot => {
+          const expiresAt = expiresAtByTx.get(lot.txId)
+            || (config.expirationMonths && lot.earnedAt
+              ? DateTime.fromJSDate(lot.earnedAt).plus({ months: config.expirationMonths }).toJSDate()
+              : null);
+          return {
+            txId: lot.txId,
+            type: lot.type,
+            earnedAt: lot.earnedAt ? lot.earnedAt.toISOString() : null,
+            amount: lot.amount,
+            remaining: lot.remaining,
+            expiresAt: expiresAt ? expiresAt.toISOString() : null
+          };
+        }),
+        expiredPoints: expiration ? expiration.expiredPoints : 0,
+        expiringPoints: expiration ? expiration.expiringPoints : 0,
+        nextExpiry: expiration?.nextExpiry ? expiration.nextExpiry.toISOString() : null
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching points ledger:', error);
+      return res.status(500).json({ error: 'Failed to fetch points ledger' });
     }
-    return bestDoc;
+  });
+
+  function serializePointsAdjustment(doc) {
+    const data = doc.data() || {};
+    const reasonCode = data.reasonCode || data.metadata?.reasonCode || null;
+    return {
+      id: doc.id,
+      userId: data.userId,
+      amount: data.amount,
+      description: data.description || null,
+      reasonCode,
+      reasonLabel: reasonCode ? (POINTS_ADJUSTMENT_REASON_CODES[reasonCode] || null) : null,
+      note: data.note || data.metadata?.note || null,
+      performedBy: data.performedBy || null,
+      reversalOf: data.metadata?.reversalOf || null,
+      reversedType: data.metadata?.reversedType || null,
+      reversedBy: data.reversedBy || null,
+      reversedAt: toDate(data.reversedAt)?.toISOString() || null,
+      previousPoints: data.metadata?.previousPoints ?? null,
+      newPoints: data.metadata?.newPoints ?? null,
+      timestamp: toDate(data.timestamp)?.toISOString() || null
+    };
   }
 
-  function rewardStatusFromData(data) {
-    const expiresAt = parseFirestoreDate(data.expiresAt);
-    const isExpired = data.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
-    const isUsed = data.isUsed === true;
+  /**
+   * GET /admin/points/reason-codes
+   *
+   * Admin-only. Reason codes accepted by the adjustment and reversal endpoints.
+   */
+  app.get('/admin/points/reason-codes', async (req, res) => {
+    const adminContext = await requireAdmin(req, res);
+    if (!adminContext) return;
 
-    if (isUsed) return 'already_used';
-    if (isExpired) return 'expired';
-    return 'ok';
-  }
+    return res.json({
+      reasonCodes: Object.entries(POINTS_ADJUSTMENT_REASON_CODES).map(([code, label]) => ({ code, label }))
+    });
+  });
 
-  // Helper function to refund an expired reward
+  /**
+   * POST /admin/points/adjust
+   *
+   * Admin-only. Add (amount > 0) or remove (amount < 0) points with a reason code and note.
+   * Refuses to take the balance below zero unless allowNegativeBalance is set.
+   * Body: { userId, amount, reasonCode, note?, allowNegativeBalance? }
+   */
+  app.post('/admin/points/adjust', validate(pointsAdjustmentSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const { userId, amount, reasonCode, note, allowNegativeBalance } = req.body;
+      const db = admin.firestore();
+      const userRef = db.collection('users').doc(userId);
+      const txRef = db.collection('pointsTransactions').doc();
+
+      let result;
+      try {
+        result = await db.runTransaction(async (tx) => {
+          const userDoc = await tx.get(userRef);
+          if (!userDoc.exists) {
+            const err = new Error('USER_NOT_FOUND');
+            err.code = 'USER_NOT_FOUND';
+            throw err;
+          }
+          const userData = userDoc.data() || {};
+          const currentPoints = typeof userData.points === 'number' ? userData.points : 0;
+          const currentLifetime = typeof userData.lifetimePoints === 'number' ? userData.lifetimePoints : currentPoints;
+          const balances = applyPointsDelta(
+            { points: currentPoints, lifetimePoints: currentLifetime },
+            amount,
+            { affectsLifetime: amount > 0 }
+          );
+          if (balances.points < 0 && allowNegativeBalance !== true) {
+            const err = new Error('INSUFFICIENT_POINTS');
+            err.code = 'INSUFFICIENT_POINTS';
+            err.currentPoints = currentPoints;
+            throw err;
+          }
+
+          tx.set(txRef, {
+            id: txRef.id,
+            userId,
+            type: POINTS_ADJUSTMENT_TX_TYPE,
+            amount,
+            description: `Points adjusted by admin (${POINTS_ADJUSTMENT_REASON_CODES[reasonCode]})`,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            isEarned: amount > 0,
+            performedBy: adminContext.uid,
+            reasonCode,
+            note: note || null,
+            metadata: {
+              previousPoints: currentPoints,
+              newPoints: balances.points,
+              reasonCode,
+              note: note || null
+            }
+          });
+          tx.update(userRef, balances);
+          tx.set(db.collection('adminActions').doc(), {
+            action: 'points_adjustment',
+            targetUserId: userId,
+            performedBy: adminContext.uid,
+            transactionId: txRef.id,
+            delta: amount,
+            reasonCode,
+            note: note || null,
+            previousPoints: currentPoints,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          return { previousPoints: currentPoints, ...balances };
+        });
+      } catch (e) {
+        if (e && e.code === 'USER_NOT_FOUND') {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (e && e.code === 'INSUFFICIENT_POINTS') {
+          return res.status(409).json({
+            error: `User only has ${e.currentPoints} points; set allowNegativeBalance to deduct more`,
+            currentPoints: e.currentPoints
+          });
+        }
+        throw e;
+      }
+
+      logger.info(`✏️ Points adjusted for ${userId} by ${adminContext.uid}: ${amount > 0 ? '+' : ''}${amount} (${reasonCode})`);
+      return res.json({ success: true, transactionId: txRef.id, userId, delta: amount, ...result });
+    } catch (error) {
+      logger.error('❌ Error adjusting points:', error);
+      return res.status(500).json({ error: 'Failed to adjust points' });
+    }
+  });
+
+  /**
+   * POST /admin/points/transactions/:transactionId/reverse
+   *
+   * Admin-only. Cancel an earlier credit (receipt scan, referral, welcome bonus, gift claim,
+   * or an adjustment) with a linked opposite entry. Reversing a receipt marks the receipt
+   * doc but keeps it, so the same receipt still counts as a duplicate. Reversing a gift
+   * claim revokes the gifted reward if it hasn't been used.
+   * Body: { reasonCode, note?, allowNegativeBalance? }
+   */
+  app.post('/admin/points/transactions/:transactionId/reverse', validate(pointsReversalSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const { reasonCode, note, allowNegativeBalance } = req.body;
+      const db = admin.firestore();
+      const originalRef = db.collection('pointsTransactions').doc(req.params.transactionId);
+      const reversalRef = db.collection('pointsTransactions').doc();
+
+      let result;
+      try {
+        result = await db.runTransaction(async (tx) => {
+          const originalDoc = await tx.get(originalRef);
+          if (!originalDoc.exists) {
+            const err = new Error('TRANSACTION_NOT_FOUND');
+            err.code = 'TRANSACTION_NOT_FOUND';
+            throw err;
+          }
+          const original = originalDoc.data() || {};
+          const problem = describeReversalProblem(original);
+          if (problem) {
+            const err = new Error('NOT_REVERSIBLE');
+            err.code = 'NOT_REVERSIBLE';
+            err.detail = problem;
+            throw err;
+          }
+
+          const userRef = db.collection('users').doc(original.userId);
+          const userDoc = await tx.get(userRef);
+          if (!userDoc.exists) {
+            const err = new Error('USER_NOT_FOUND');
+            err.code = 'USER_NOT_FOUND';
+            throw err;
+          }
+
+          // Gift claims carry no points; the reward itself is what gets taken back
+          let revokedRewardRef = null;
+          if (isGiftClaimTransaction(original)) {
+            const rewardSnap = await tx.get(
+              db.collection('redeemedRewards')
+                .where('userId', '==', original.userId)
+                .where('redemptionCode', '==', original.metadata.redemptionCode)
+                .limit(1)
+            );
+            if (!rewardSnap.empty) {
+              if (rewardSnap.docs[0].get('isUsed') === true) {
+                const err = new Error('NOT_REVERSIBLE');
+                err.code = 'NOT_REVERSIBLE';
+                err.detail = 'The gifted reward has already been used';
+                throw err;
+              }
+              revokedRewardRef = rewardSnap.docs[0].ref;
+            }
+          }
+
+          const receiptRef = original.type === 'receipt_scan' && original.metadata?.receiptId
+            ? db.collection('receipts').doc(original.metadata.receiptId)
+            : null;
+
+          const userData = userDoc.data() || {};
+          const currentPoints = typeof userData.points === 'number' ? userData.points : 0;
+          const currentLifetime = typeof userData.lifetimePoints === 'number' ? userData.lifetimePoints : currentPoints;
+          const delta = -(original.amount || 0);
+          const balances = applyPointsDelta(
+            { points: currentPoints, lifetimePoints: currentLifetime },
+            delta,
+            { affectsLifetime: original.amount > 0 }
+          );
+          if (balances.points < 0 && allowNegativeBalance !== true) {
+            const err = new Error('INSUFFICIENT_POINTS');
+            err.code = 'INSUFFICIENT_POINTS';
+            err.currentPoints = currentPoints;
+            err.amount = original.amount;
+            throw err;
+          }
+
+          tx.set(reversalRef, {
+            id: reversalRef.id,
+            userId: original.userId,
+            type: POINTS_ADJUSTMENT_TX_TYPE,
+            amount: delta,
+            description: `Reversed: ${original.description || original.type}`,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            isEarned: delta > 0,
+            performedBy: adminContext.uid,
+            reasonCode,
+            note: note || null,
+            metadata: {
+              reversalOf: originalRef.id,
+              reversedType: original.type,
+              previousPoints: currentPoints,
+              newPoints: balances.points,
+              reasonCode,
+              note: note || null,
+              ...(revokedRewardRef ? { revokedRewardId: revokedRewardRef.id } : {})
+            }
+          });
+          tx.update(originalRef, {
+            reversedBy: reversalRef.id,
+            reversedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          if (delta !== 0) {
+            tx.update(userRef, balances);
+          }
+          if (revokedRewardRef) {
+            tx.update(revokedRewardRef, {
+              isExpired: true,
+              revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+              revokedBy: adminContext.uid,
+              revokeReason: reasonCode
+            });
+          }
+          if (receiptRef) {
+            tx.set(receiptRef, {
+              pointsReversed: true,
+              pointsReversalTxId: reversalRef.id,
+              pointsReversedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+          }
+          tx.set(db.collection('adminActions').doc(), {
+            action: 'points_reversal',
+            targetUserId: original.userId,
+            performedBy: adminContext.uid,
+            transactionId: reversalRef.id,
+            reversalOf: originalRef.id,
+            delta,
+            reasonCode,
+            note: note || null,
+            previousPoints: currentPoints,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+
+          return {
+            userId: original.userId,
+            reversedType: original.type,
+            delta,
+            previousPoints: currentPoints,
+            ...balances,
+            revokedRewardId: revokedRewardRef ? revokedRewardRef.id : null
+          };
+        });
+      } catch (e) {
+        if (e && e.code === 'TRANSACTION_NOT_FOUND') {
+          return res.status(404).json({ error: 'Points transaction not found' });
+        }
+        if (e && e.code === 'USER_NOT_FOUND') {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (e && e.code === 'NOT_REVERSIBLE') {
+          return res.status(409).json({ error: e.detail });
+        }
+        if (e && e.code === 'INSUFFICIENT_POINTS') {
+          return res.status(409).json({
+            error: `User only has ${e.currentPoints} points left; set allowNegativeBalance to reverse all ${e.amount}`,
+            currentPoints: e.currentPoints
+          });
+        }
+        throw e;
+      }
+
+      logger.info(`↩️ Points transaction ${originalRef.id} (${result.reversedType}) reversed by ${adminContext.uid}: ${result.delta} for ${result.userId} (${reasonCode})`);
+      return res.json({ success: true, transactionId: reversalRef.id, reversalOf: originalRef.id, ...result });
+    } catch (error) {
+      logger.error('❌ Error reversing points transaction:', error);
+      return res.status(500).json({ error: 'Failed to reverse points transaction' });
+    }
+  });
+
+  /**
+   * GET /admin/points/adjustments/:userId
+   *
+   * Admin-only. A user's admin adjustments and reversals, newest first.
+   * Query: limit (default 50, max 100), cursor (transaction id from nextCursor)
+   */
+  app.get('/admin/points/adjustments/:userId', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const { userId } = req.params;
+      const db = admin.firestore();
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+      const cursor = (req.query.cursor || '').toString().trim();
+
+      let query = db.collection('pointsTransactions')
+        .where('userId', '==', userId)
+        .where('type', '==', POINTS_ADJUSTMENT_TX_TYPE)
+        .orderBy('timestamp', 'desc')
+        .limit(limit);
+      if (cursor) {
+        const cursorDoc = await db.collection('pointsTransactions').doc(cursor).get();
+        if (cursorDoc.exists) query = query.startAfter(cursorDoc);
+      }
+
+      const snap = await query.get();
+      const adjustments = snap.docs.map(serializePointsAdjustment);
+      const nextCursor = snap.docs.length > 0 ? snap.docs[snap.docs.length - 1].id : null;
+      return res.json({ userId, adjustments, nextCursor, hasMore: snap.docs.length === limit });
+    } catch (error) {
+      logger.error('❌ Error fetching points adjustments:', error);
+      return res.status(500).json({ error: 'Failed to fetch points adjustments' });
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Admin-only Users Listing (server-side paging + search)
+  // ---------------------------------------------------------------------------
+  // ---------------------------------------------------------------------------
+  // Admin-only Debug Endpoints (Firebase wiring + push targeting visibility)
+  // ---------------------------------------------------------------------------
+  /**
+   * GET /admin/debug/firebase
+   *
+   * Admin-only. Returns non-secret information about which Firebase project
+   * this server instance is connected to.
+   */
+  app.get('/admin/debug/firebase', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const appInstance = admin.app();
+      const options = appInstance?.options || {};
+
+      // Best-effort project id derivation without exposing secrets.
+      let derivedProjectId = options.projectId || process.env.GOOGLE_CLOUD_PROJECT || null;
+      if (!derivedProjectId && process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+        try {
+          const sa = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+          if (sa && typeof sa.project_id === 'string') derivedProjectId = sa.project_id;
+        } catch (_) {
+          // ignore parse errors
+        }
+      }
+
+      return res.json({
+        ok: true,
+        firebase: {
+          appName: appInstance?.name || null,
+          optionsProjectId: options.projectId || null,
+          derivedProjectId
+        },
+        env: {
+          FIREBASE_AUTH_TYPE: process.env.FIREBASE_AUTH_TYPE || null,
+          GOOGLE_CLOUD_PROJECT: process.env.GOOGLE_CLOUD_PROJECT || null,
+          NODE_ENV: process.env.NODE_ENV || null
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Error in /admin/debug/firebase:', error);
+      return res.status(500).json({ error: 'Failed to fetch Firebase debug info' });
+    }
+  });
+
+  /**
+   * GET /admin/debug/pushTargets
+   *
+   * Admin-only. Summarizes how many users are marked as having FCM tokens and the
+   * health of the device registry, and samples a few documents to confirm fields
+   * exist (never returns tokens).
+   *
+   * Query params:
+   * - sampleSize: number (default 10, max 25)
+   * - userId: optional, also list that user's registered devices
+   */
+  app.get('/admin/debug/pushTargets', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const pageSize = 500;
+      const sampleSize = Math.min(parseInt(req.query.sampleSize, 10) || 10, 25);
+
+      let lastDoc = null;
+      let hasFcmTokenTrueCount = 0;
+      let excludedAdminCount = 0;
+      let missingFcmTokenCount = 0;
+      const samples = [];
+      const usersWithToken = [];
+
+      while (true) {
+        let query = db.collection('users')
+          .where('hasFcmToken', '==', true)
+          .limit(pageSize);
+
+        if (lastDoc) query = query.startAfter(lastDoc);
+
+        const page = await query.get();
+        if (!page || page.empty) break;
+
+        for (const doc of page.docs) {
+          hasFcmTokenTrueCount += 1;
+          const data = doc.data() || {};
+
+          if (data.isAdmin === true) excludedAdminCount += 1;
+
+          const fcmToken = data.fcmToken;
+          const isValidToken = (typeof fcmToken === 'string' && fcmToken.length > 0);
+          if (!isValidToken) missingFcmTokenCount += 1;
+
+          if (samples.length < sampleSize) {
+            samples.push({
+              id: doc.id,
+              isAdmin: data.isAdmin === true,
+              hasFcmToken: data.hasFcmToken === true,
+              fcmTokenLength: isValidToken ? fcmToken.length : 0,
+              hasFcmTokenUpdatedAt: !!data.fcmTokenUpdatedAt
+            });
+          }
+          if (isValidToken) usersWithToken.push(doc.id);
+        }
+
+        lastDoc = page.docs[page.docs.length - 1];
+        if (page.docs.length < pageSize) break;
+      }
+
+      // Device registry (tokens aren't read)
+      const devices = [];
+      const deviceCountByUser = new Map();
+      let lastDevice = null;
+      while (true) {
+        let query = db.collectionGroup(DEVICES_SUBCOLLECTION)
+          .select('userId', 'platform', 'appVersion', 'lastSeenAt')
+          .limit(pageSize);
+        if (lastDevice) query = query.startAfter(lastDevice);
+
+        const page = await query.get();
+        if (!page || page.empty) break;
+        for (const doc of page.docs) {
+          const data = doc.data() || {};
+          devices.push(data);
+          deviceCountByUser.set(data.userId, (deviceCountByUser.get(data.userId) || 0) + 1);
+        }
+        lastDevice = page.docs[page.docs.length - 1];
+        if (page.docs.length < pageSize) break;
+      }
+      const deviceHealth = summarizeDeviceHealth(devices, new Date());
+      const legacyOnlyUserCount = usersWithToken.filter(id => !deviceCountByUser.has(id)).length;
+      for (const sample of samples) {
+        sample.deviceCount = deviceCountByUser.get(sample.id) || 0;
+      }
+
+      let userDevices;
+      const userId = (req.query.userId || '').toString().trim();
+      if (userId) {
+        const devicesSnap = await db.collection('users').doc(userId).collection(DEVICES_SUBCOLLECTION).get();
+        userDevices = devicesSnap.docs.map(doc => serializeDevice(doc.id, doc.data() || {}));
+      }
+
+      return res.json({
+        ok: true,
+        counts: {
+          hasFcmTokenTrueCount,
+          excludedAdminCount,
+          missingFcmTokenCount,
+          legacyOnlyUserCount
+        },
+        devices: {
+          ...deviceHealth,
+          activeWindowDays: ACTIVE_DEVICE_DAYS,
+          staleAfterDays: STALE_DEVICE_DAYS
+        },
+        ...(userId ? { userId, userDevices } : {}),
+        samples
+      });
+    } catch (error) {
+      logger.error('❌ Error in /admin/debug/pushTargets:', error);
+      return res.status(500).json({ error: 'Failed to fetch push target debug info' });
+    }
+  });
+
+  /**
+   * GET /admin/users
+   *
+   * Query params:
+   * - limit: number (default 50, max 200)
+   * - cursor: string (doc id to start after)
+   * - q: string (search query across firstName/email/phone; server-side scan)
+   * - orderBy: optional, e.g. 'dateCreated' (only when q is empty)
+   * - orderDir: optional, 'asc' | 'desc' (only when orderBy is dateCreated)
+   *
+   * NOTE: Do NOT return fcmToken to clients.
+   */
+  app.get('/admin/users', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const cursor = (req.query.cursor || '').toString().trim();
+      const q = (req.query.q || '').toString().trim().toLowerCase();
+      const orderByParam = (req.query.orderBy || '').toString().trim();
+      const orderDirParam = (req.query.orderDir || '').toString().trim().toLowerCase();
+
+      const mapUser = (doc) => {
+        const data = doc.data() || {};
+        // Check both accountCreatedDate and createdAt for backward compatibility
+        const created = data.accountCreatedDate || data.createdAt;
+        const createdDate = created && typeof created.toDate === 'function' ? created.toDate() : null;
+
+        return {
+          id: doc.id,
+          firstName: data.firstName || 'Unknown',
+          email: data.email || 'No email',
+          phone: data.phone || '',
+          points: typeof data.points === 'number' ? data.points : 0,
+          lifetimePoints: typeof data.lifetimePoints === 'number' ? data.lifetimePoints : 0,
+          avatarEmoji: data.avatarEmoji || '👤',
+          avatarColor: data.avatarColor || data.avatarColorName || null,
+          profilePhotoURL: data.profilePhotoURL || null,
+          isVerified: data.isVerified === true,
+          isAdmin: data.isAdmin === true,
+          isEmployee: data.isEmployee === true,
+          accountCreatedDate: createdDate ? createdDate.toISOString() : null,
+          hasFcmToken: data.hasFcmToken === true
+        };
+      };
+
+      // Fast path: no search query -> simple pagination (optionally ordered by date)
+      if (!q) {
+        // Optional: order by accountCreatedDate (v1.1, backward-compatible when params omitted)
+        if (orderByParam === 'dateCreated' && (orderDirParam === 'desc' || orderDirParam === 'asc')) {
+          try {
+            const dir = orderDirParam === 'desc' ? 'desc' : 'asc';
+            let query = db.collection('users')
+              .orderBy('accountCreatedDate', dir)
+              .limit(limit);
+
+            if (cursor) {
+              const cursorDoc = await db.collection('users').doc(cursor).get();
+              if (!cursorDoc.exists) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+              }
+              query = query.startAfter(cursorDoc);
+            }
+
+            const snap = await query.get();
+            const docs = snap.docs || [];
+            const users = docs.map(mapUser);
+            const nextCursor = docs.length > 0 ? docs[docs.length - 1].id : null;
+
+            return res.json({
+              users,
+              nextCursor,
+              hasMore: docs.length === limit
+            });
+          } catch (dateOrderError) {
+            const msg = dateOrderError?.message ?? String(dateOrderError);
+            logger.error({ err: dateOrderError, dateOrderErrorMsg: msg }, '❌ Admin users date-ordered query failed, falling back to doc order');
+          }
+        }
+
+        // Default: order by document ID only (existing production behavior)
+        let query = db.collection('users')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(limit);
+
+        if (cursor) {
+          query = query.startAfter(cursor);
+        }
+
+        const snap = await query.get();
+        const docs = snap.docs || [];
+        const users = docs.map(mapUser);
+        const nextCursor = docs.length > 0 ? docs[docs.length - 1].id : null;
+
+        return res.json({
+          users,
+          nextCursor,
+          hasMore: docs.length === limit
+        });
+      }
+
+      // Search path: scan in pages, filter server-side, return matches (up to limit)
+      const scanPageSize = 500;
+      const matches = [];
+      let scanCursor = cursor || null;
+      let reachedEnd = false;
+      let lastScannedId = null;
+
+      while (matches.length < limit && !reachedEnd) {
+        let query = db.collection('users')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(scanPageSize);
+
+        if (scanCursor) {
+          query = query.startAfter(scanCursor);
+        }
+
+        const page = await query.get();
+        if (!page || page.empty) {
+          reachedEnd = true;
+          break;
+        }
+
+        for (const doc of page.docs) {
+          lastScannedId = doc.id;
+          const data = doc.data() || {};
+
+          const firstName = (data.firstName || '').toString().toLowerCase();
+          const email = (data.email || '').toString().toLowerCase();
+          const phone = (data.phone || '').toString().toLowerCase();
+
+          if (firstName.includes(q) || email.includes(q) || phone.includes(q)) {
+            matches.push(mapUser(doc));
+            if (matches.length >= limit) break;
+          }
+        }
+
+        // Prepare for next scan page
+        scanCursor = lastScannedId;
+        if (page.docs.length < scanPageSize) {
+          reachedEnd = true;
+        }
+      }
+
+      return res.json({
+        users: matches,
+        nextCursor: lastScannedId,
+        hasMore: !reachedEnd
+      });
+    } catch (error) {
+      logger.error('❌ Error listing admin users:', error);
+      res.status(500).json({ error: 'Failed to list users' });
+    }
+  });
+
+  /**
+   * POST /admin/users/update
+   *
+   * Updates a user's account fields and logs an admin audit action.
+   * Body:
+   * - userId: string (required)
+   * - points: number (required, non-negative integer)
+   * - phone: string (optional)
+   * - isAdmin: bool (optional)
+   * - isVerified: bool (optional)
+   * - reasonCode, note: recorded on the points adjustment (optional, defaults to balance_correction)
+   */
+  app.post('/admin/users/update', validate(adminUserUpdateSchema), async (req, res) => {
+    try {
+      logger.info('📥 Received admin user update request');
+      logger.info('📦 Request body:', JSON.stringify(req.body, null, 2));
+      
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) {
+        logger.info('❌ Admin authentication failed');
+        return; // requireAdmin already sent the response
+      }
+
+      logger.info('✅ Admin authenticated:', adminContext.uid);
+
+      const {
+        userId,
+        points,
+        phone,
+        isAdmin: isAdminFlag,
+        isVerified: isVerifiedFlag,
+        reasonCode = 'balance_correction',
+        note
+      } = req.body || {};
+      // Validation middleware ensures userId is present and valid
+
+      const pointsInt = Number(points);
+      if (!Number.isInteger(pointsInt) || pointsInt < 0) {
+        logger.info('❌ Invalid points value:', points);
+        return res.status(400).json({ 
+          errorCode: 'INVALID_REQUEST',
+          error: 'points must be a non-negative integer' 
+        });
+      }
+
+      logger.info(`🔄 Updating user ${userId}: points=${pointsInt}, isAdmin=${isAdminFlag}, isVerified=${isVerifiedFlag}`);
+
+      const db = admin.firestore();
+      const result = await db.runTransaction(async (transaction) => {
+        const userRef = db.collection('users').doc(userId);
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) {
+          const error = new Error('USER_NOT_FOUND');
+          error.code = 'USER_NOT_FOUND';
+          throw error;
+        }
+
+        const userData = userDoc.data() || {};
+        const currentPoints = typeof userData.points === 'number' ? userData.points : 0;
+        const currentLifetime = typeof userData.lifetimePoints === 'number'
+          ? userData.lifetimePoints
+          : currentPoints;
+        const delta = pointsInt - currentPoints;
+        const newLifetimePoints = delta > 0 ? currentLifetime + delta : currentLifetime;
+
+        // Handle boolean flags - explicitly set to false if undefined/null
+        const updateData = {
+          points: pointsInt,
+          lifetimePoints: newLifetimePoints,
+          isAdmin: isAdminFlag === true,
+          isVerified: isVerifiedFlag === true,
+          phone: typeof phone === 'string' ? phone : (userData.phone || '')
+        };
+
+        logger.info('📝 Update data:', JSON.stringify(updateData, null, 2));
+
+        transaction.update(userRef, updateData);
+
+        if (delta !== 0) {
+          const transactionRef = db.collection('pointsTransactions').doc();
+          transaction.set(transactionRef, {
+            id: transactionRef.id,
+            userId,
+            type: POINTS_ADJUSTMENT_TX_TYPE,
+            amount: delta,
+            description: 'Points adjusted by admin',
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            isEarned: delta > 0,
+            performedBy: adminContext.uid,
+            reasonCode,
+            note: note || null,
+            metadata: {
+              previousPoints: currentPoints,
+              newPoints: pointsInt,
+              reasonCode,
+              note: note || null
+            }
+          });
+        }
+
+        const actionRef = db.collection('adminActions').doc();
+        transaction.set(actionRef, {
+          action: 'admin_user_update',
+          targetUserId: userId,
+          performedBy: adminContext.uid,
+          changes: {
+            points: pointsInt,
+            phone: typeof phone === 'string' ? phone : (userData.phone || ''),
+            isAdmin: isAdminFlag === true,
+            isVerified: isVerifiedFlag === true
+          },
+          previousPoints: currentPoints,
+          delta,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return {
+          userId,
+          points: pointsInt,
+          lifetimePoints: newLifetimePoints,
+          phone: updateData.phone,
+          isAdmin: updateData.isAdmin,
+          isVerified: updateData.isVerified,
+          previousPoints: currentPoints,
+          delta
+        };
+      });
+
+      logger.info('✅ User update successful:', JSON.stringify(result, null, 2));
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('❌ Error updating admin user:', error);
+      logger.error('❌ Error stack:', error.stack);
+      
+      if (error.code === 'USER_NOT_FOUND') {
+        return res.status(404).json({ 
+          errorCode: 'USER_NOT_FOUND',
+          error: `User with ID '${req.body?.userId || 'unknown'}' not found` 
+        });
+      }
+      
+      // Check for Firestore permission errors
+      if (error.code === 7 || error.message?.includes('permission') || error.message?.includes('PERMISSION_DENIED')) {
+        return res.status(403).json({ 
+          errorCode: 'PERMISSION_DENIED',
+          error: 'Firestore permission denied. Check that the service account has proper permissions.' 
+        });
+      }
+      
+      return res.status(500).json({ 
+        errorCode: 'INTERNAL_ERROR',
+        error: `Failed to update user: ${error.message || 'Unknown error'}`,
+        details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    }
+  });
+
+  /**
+   * POST /admin/users/:userId/clear-lockout
+   *
+   * Admin-only endpoint to clear receipt scan lockout for a user.
+   * Useful for testing/debugging when lockouts interfere with development.
+   *
+   * Body: none (userId from URL param)
+   *
+   * Returns:
+   * - success: boolean
+   * - message: string
+   */
+  app.post('/admin/users/:userId/clear-lockout', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) {
+        return; // requireAdmin already sent the response
+      }
+
+      const { userId } = req.params;
+      if (!userId || typeof userId !== 'string') {
+        return res.status(400).json({
+          errorCode: 'INVALID_REQUEST',
+          error: 'userId is required in URL path'
+        });
+      }
+
+      const db = admin.firestore();
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await userRef.get();
+
+      if (!userDoc.exists) {
+        return res.status(404).json({
+          errorCode: 'USER_NOT_FOUND',
+          error: `User with ID '${userId}' not found`
+        });
+      }
+
+      const userData = userDoc.data() || {};
+      const hadLockout = !!(userData.receiptScanLockoutUntil || userData.receiptScanLockoutCount);
+
+      await userRef.update({
+        receiptScanLockoutUntil: admin.firestore.FieldValue.delete(),
+        receiptScanLockoutCount: admin.firestore.FieldValue.delete()
+      });
+
+      logger.info(`✅ Admin ${adminContext.uid} cleared lockout for user ${userId}`);
+
+      return res.json({
+        success: true,
+        message: hadLockout
+          ? `Lockout cleared for user ${userId}`
+          : `No lockout found for user ${userId} (already clear)`
+      });
+    } catch (error) {
+      logger.error('❌ Error clearing lockout:', error);
+      return res.status(500).json({
+        errorCode: 'INTERNAL_ERROR',
+        error: `Failed to clear lockout: ${error.message || 'Unknown error'}`
+      });
+    }
+  });
+
+  /**
+   * POST /admin/users/cleanup-orphans
+   *
+   * Finds and deletes orphaned Firestore user documents (documents without
+   * corresponding Firebase Auth accounts). This helps clean up duplicates
+   * that occur when accounts are deleted and recreated.
+   *
+   * Returns:
+   * - deletedCount: number of orphaned documents deleted
+   * - checkedCount: total number of documents checked
+   */
+  app.post('/admin/users/cleanup-orphans', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const auth = admin.auth();
+      
+      logger.info('🧹 Starting orphaned accounts cleanup...');
+      
+      let checkedCount = 0;
+      let deletedCount = 0;
+      let lastDoc = null;
+      const pageSize = 500;
+      const orphanedUIDs = [];
+      
+      // Scan through all user documents in batches
+      while (true) {
+        let query = db.collection('users')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(pageSize);
+        
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+        
+        const snapshot = await query.get();
+        if (snapshot.empty) {
+          break;
+        }
+        
+        // Check each document for orphaned status
+        for (const doc of snapshot.docs) {
+          checkedCount++;
+          const uid = doc.id;
+          
+          try {
+            // Check if Firebase Auth account exists for this UID
+            await auth.getUser(uid);
+            // If getUser succeeds, the account exists - not orphaned
+          } catch (error) {
+            // If getUser fails with user-not-found, it's an orphaned document
+            if (error.code === 'auth/user-not-found') {
+              orphanedUIDs.push(uid);
+              logger.info(`🔍 Found orphaned account: ${uid}`);
+            } else {
+              // Other errors (permissions, etc.) - log but don't treat as orphaned
+              logger.warn(`⚠️ Error checking user ${uid}: ${error.code}`);
+            }
+          }
+        }
+        
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        
+        // If we got fewer docs than pageSize, we've reached the end
+        if (snapshot.docs.length < pageSize) {
+          break;
+        }
+      }
+      
+      // Delete orphaned documents in batches (Firestore batch limit is 500)
+      const batchSize = 450; // Leave some headroom
+      for (let i = 0; i < orphanedUIDs.length; i += batchSize) {
+        const batch = db.batch();
+        const batchUIDs = orphanedUIDs.slice(i, i + batchSize);
+        
+        for (const uid of batchUIDs) {
+          batch.delete(db.collection('users').doc(uid));
+        }
+        
+        try {
+          await batch.commit();
+          deletedCount += batchUIDs.length;
+          logger.info(`✅ Deleted batch of ${batchUIDs.length} orphaned accounts`);
+        } catch (error) {
+          logger.error(`❌ Error deleting batch: ${error.message}`);
+        }
+      }
+      
+      logger.info(`✅ Cleanup complete: Deleted ${deletedCount} orphaned accounts out of ${checkedCount} checked`);
+      
+      return res.json({
+        deletedCount,
+        checkedCount,
+        message: `Cleaned up ${deletedCount} orphaned account(s) out of ${checkedCount} checked`
+      });
+    } catch (error) {
+      logger.error('❌ Error in /admin/users/cleanup-orphans:', error);
+      res.status(500).json({ error: 'Failed to cleanup orphaned accounts' });
+    }
+  });
+
+  /**
+   * POST /admin/banned-account-archive
+   *
+   * Archives a banned user's data to bannedAccountHistory collection before deletion.
+   * Called by banned users when they delete their account from BannedAccountDeletionView.
+   * 
+   * This endpoint:
+   * 1. Copies user document to bannedAccountHistory (with 24hr expiration)
+   * 2. Anonymizes redeemedRewards, receipts, posts, etc.
+   * 3. Deletes the original users/{uid} document
+   * 4. Returns success so client can delete Firebase Auth user
+   *
+   * Request: Requires Bearer token of the banned user
+   * Response: { success: true, historyId: string } or error
+   */
+  app.post('/admin/banned-account-archive', async (req, res) => {
+    try {
+      // Verify the user's token
+      const authHeader = req.headers.authorization || '';
+      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+      if (!token) {
+        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+      }
+
+      const decoded = await admin.auth().verifyIdToken(token);
+      const uid = decoded.uid;
+      logger.info(`🗑️ Starting banned account archive for user: ${uid}`);
+
+      const db = admin.firestore();
+
+      // Get the user document
+      const userDoc = await db.collection('users').doc(uid).get();
+      if (!userDoc.exists) {
+        return res.status(404).json({ error: 'User document not found' });
+      }
+      const userData = userDoc.data();
+
+      // Verify user is banned (extra safety check)
+      const isBanned = userData.isBanned === true;
+      const phone = userData.phone || '';
+      
+      // Also check bannedNumbers collection
+      let banInfo = null;
+      if (phone) {
+        const normalized = normalizePhoneForBannedNumbers(phone) || phone;
+        const digitsOnlyLegacy = (normalized || '').replace('+', '');
+        const hashedId = hashBannedNumbersDocId(normalized);
+        let bannedDoc = null;
+        if (hashedId) {
+          const snap = await db.collection('bannedNumbers').doc(hashedId).get();
+          if (snap.exists) bannedDoc = snap;
+        }
+        if (!bannedDoc) {
+          const snap = await db.collection('bannedNumbers').doc(normalized).get();
+          if (snap.exists) bannedDoc = snap;
+        }
+        if (!bannedDoc && digitsOnlyLegacy) {
+          const snap = await db.collection('bannedNumbers').doc(digitsOnlyLegacy).get();
+          if (snap.exists) bannedDoc = snap;
+        }
+        if (bannedDoc) banInfo = bannedDoc.data();
+      }
+
+      if (!isBanned && !banInfo) {
+        return res.status(403).json({ error: 'User is not banned. Use regular account deletion.' });
+      }
+
+      // Get summary counts
+      const [receiptsSnap, redeemedSnap, postsSnap, referralsSnap] = await Promise.all([
+        db.collection('receipts').where('userId', '==', uid).get(),
+        db.collection('redeemedRewards').where('userId', '==', uid).get(),
+        db.collection('posts').where('userId', '==', uid).get(),
+        db.collection('referrals').where('referrerUserId', '==', uid).get()
+      ]);
+
+      const receiptCount = receiptsSnap.size;
+      const redeemedRewardsCount = redeemedSnap.size;
+      const postCount = postsSnap.size;
+      const referralCount = referralsSnap.size;
+
+      // Create the archive document
+      const now = admin.firestore.Timestamp.now();
+      const expiresAt = admin.firestore.Timestamp.fromDate(
+        new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours from now
+      );
+      
+      const historyId = `${uid}_${Date.now()}`;
+      const archiveData = {
+        originalUserId: uid,
+        archivedAt: now,
+        expiresAt: expiresAt,
+        userData: {
+          firstName: userData.firstName || '',
+          lastName: userData.lastName || '',
+          phone: userData.phone || '',
+          points: userData.points || 0,
+          lifetimePoints: userData.lifetimePoints || 0,
+          accountCreatedDate: userData.accountCreatedDate || userData.createdAt || null,
+          avatarEmoji: userData.avatarEmoji || '👤',
+          avatarColor: userData.avatarColor || 'gray',
+          isVerified: userData.isVerified || false,
+          hasCompletedPreferences: userData.hasCompletedPreferences || false
+        },
+        receiptCount,
+        redeemedRewardsCount,
+        postCount,
+        referralCount,
+        banReason: banInfo?.reason || 'Banned',
+        bannedAt: banInfo?.bannedAt || null,
+        bannedBy: banInfo?.bannedBy || null
+      };
+
+      logger.info(`📦 Creating archive document: ${historyId}`);
+      await db.collection('bannedAccountHistory').doc(historyId).set(archiveData);
+
+      // Anonymize data (similar to AccountDeletionService)
+      const batch = db.batch();
+      let batchCount = 0;
+      const BATCH_LIMIT = 450;
+
+      // Anonymize redeemedRewards
+      for (const doc of redeemedSnap.docs.slice(0, BATCH_LIMIT)) {
+        batch.update(doc.ref, {
+          userName: 'Deleted User',
+          userPhone: ''
+        });
+        batchCount++;
+      }
+
+      // Anonymize receipts
+      for (const doc of receiptsSnap.docs.slice(0, BATCH_LIMIT - batchCount)) {
+        if (batchCount >= BATCH_LIMIT) break;
+        batch.update(doc.ref, {
+          userName: 'Deleted User',
+          userPhone: '',
+          userEmail: ''
+        });
+        batchCount++;
+      }
+
+      // Anonymize posts
+      for (const doc of postsSnap.docs.slice(0, BATCH_LIMIT - batchCount)) {
+        if (batchCount >= BATCH_LIMIT) break;
+        batch.update(doc.ref, {
+          userName: 'Deleted User',
+          userDisplayName: 'Deleted User'
+        });
+        batchCount++;
+      }
+
+      // Commit anonymization batch
+      if (batchCount > 0) {
+        await batch.commit();
+        logger.info(`✅ Anonymized ${batchCount} documents`);
+      }
+
+      // Delete points transactions
+      const pointsSnap = await db.collection('pointsTransactions').where('userId', '==', uid).get();
+      if (!pointsSnap.empty) {
+        const deleteBatch = db.batch();
+        for (const doc of pointsSnap.docs.slice(0, BATCH_LIMIT)) {
+          deleteBatch.delete(doc.ref);
+        }
+        await deleteBatch.commit();
+        logger.info(`✅ Deleted ${Math.min(pointsSnap.size, BATCH_LIMIT)} points transactions`);
+      }
+
+      // Delete referrals (both as referrer and referred)
+      const referredSnap = await db.collection('referrals').where('referredUserId', '==', uid).get();
+      if (!referralsSnap.empty || !referredSnap.empty) {
+        const refBatch = db.batch();
+        let refCount = 0;
+        for (const doc of referralsSnap.docs.slice(0, BATCH_LIMIT / 2)) {
+          refBatch.delete(doc.ref);
+          refCount++;
+        }
+        for (const doc of referredSnap.docs.slice(0, BATCH_LIMIT / 2)) {
+          refBatch.delete(doc.ref);
+          refCount++;
+        }
+        if (refCount > 0) {
+          await refBatch.commit();
+          logger.info(`✅ Deleted ${refCount} referrals`);
+        }
+      }
+
+      // Delete notifications
+      const notifSnap = await db.collection('notifications').where('userId', '==', uid).get();
+      if (!notifSnap.empty) {
+        const notifBatch = db.batch();
+        for (const doc of notifSnap.docs.slice(0, BATCH_LIMIT)) {
+          notifBatch.delete(doc.ref);
+        }
+        await notifBatch.commit();
+        logger.info(`✅ Deleted ${Math.min(notifSnap.size, BATCH_LIMIT)} notifications`);
+      }
+
+      // Delete user subcollections (clientState, activity, devices)
+      const clientStateSnap = await db.collection('users').doc(uid).collection('clientState').get();
+      const activitySnap = await db.collection('users').doc(uid).collection('activity').get();
+      const devicesSnap = await db.collection('users').doc(uid).collection(DEVICES_SUBCOLLECTION).get();
+      
+      if (!clientStateSnap.empty || !activitySnap.empty || !devicesSnap.empty) {
+        const subBatch = db.batch();
+        for (const doc of clientStateSnap.docs) {
+          subBatch.delete(doc.ref);
+        }
+        for (const doc of activitySnap.docs) {
+          subBatch.delete(doc.ref);
+        }
+        for (const doc of devicesSnap.docs) {
+          subBatch.delete(doc.ref);
+        }
+        await subBatch.commit();
+        logger.info(`✅ Deleted user subcollections`);
+      }
+
+      // Delete userRiskScore if exists
+      await db.collection('userRiskScores').doc(uid).delete().catch(() => {});
+
+      // Delete the user document
+      await db.collection('users').doc(uid).delete();
+      logger.info(`✅ Deleted user document: ${uid}`);
+
+      logger.info(`✅ Banned account archive complete for user: ${uid}`);
+      return res.json({ 
+        success: true, 
+        historyId,
+        message: 'Account archived and data cleaned up. You can now delete your Firebase Auth account.'
+      });
+
+    } catch (error) {
+      logger.error('❌ Error in /admin/banned-account-archive:', error);
+      res.status(500).json({ error: 'Failed to archive banned account' });
+    }
+  });
+
+  /**
+   * POST /user/delete-account
+   *
+   * Self-service account deletion endpoint.
+   * Called by regular (non-banned) users to delete their own account.
+   * Uses Firebase Admin SDK to bypass App Check and Firestore permission issues.
+   *
+   * This endpoint:
+   * 1. Verifies user token and extracts UID
+   * 2. Anonymizes PII in: receipts, redeemedRewards, giftedRewardClaims, posts, suspiciousFlags, bannedNumbers
+   * 3. Deletes: pointsTransactions, referrals, notifications, receiptScanAttempts, user subcollections, userRiskScores
+   * 4. Deletes profile photo from Firebase Storage (if exists)
+   * 5. Deletes user document
+   * 6. Deletes Firebase Auth user
+   *
+   * Request: Requires Bearer token of the user requesting deletion
+   * Response: { success: true } or error
+   */
+  app.post('/user/delete-account', async (req, res) => {
+    try {
+      // Verify the user's token
+      const authHeader = req.headers.authorization || '';
+      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+      if (!token) {
+        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+      }
+
+      const decoded = await admin.auth().verifyIdToken(token);
+      const uid = decoded.uid;
+      logger.info(`🗑️ Starting account deletion for user: ${uid}`);
+
+      const db = admin.firestore();
+      const BATCH_LIMIT = 450;
+
+      // Get the user document to retrieve profile photo URL
+      const userDoc = await db.collection('users').doc(uid).get();
+      if (!userDoc.exists) {
+        // User document already deleted - try to delete Auth user anyway
+        logger.info(`⚠️ User document not found for ${uid}, attempting Auth deletion only`);
+        try {
+          await admin.auth().deleteUser(uid);
+          logger.info(`✅ Auth user deleted: ${uid}`);
+        } catch (authErr) {
+          logger.info(`ℹ️ Auth user may already be deleted: ${authErr.message}`);
+        }
+        return res.json({ success: true, message: 'Account already deleted or cleanup completed' });
+      }
+      const userData = userDoc.data();
+      const profilePhotoURL = userData.profilePhotoURL || null;
+
+      // ========== PHASE 1: ANONYMIZATION ==========
+      logger.info(`📝 Phase 1: Anonymizing PII for user ${uid}`);
+
+      // Get all documents to anonymize in parallel
+      const [receiptsSnap, redeemedSnap, giftedClaimsSnap, postsSnap, suspiciousFlagsSnap] = await Promise.all([
+        db.collection('receipts').where('userId', '==', uid).get(),
+        db.collection('redeemedRewards').where('userId', '==', uid).get(),
+        db.collection('giftedRewardClaims').where('userId', '==', uid).get(),
+        db.collection('posts').where('userId', '==', uid).get(),
+        db.collection('suspiciousFlags').where('userId', '==', uid).get()
+      ]);
+
+      // Anonymize in batches
+      let batch = db.batch();
+      let batchCount = 0;
+
+      // Anonymize receipts
+      for (const doc of receiptsSnap.docs) {
+        if (batchCount >= BATCH_LIMIT) {
+          await batch.commit();
+          batch = db.batch();
+          batchCount = 0;
+        }
+        batch.update(doc.ref, {
+          userName: 'Deleted User',
+          userPhone: '',
+          userEmail: ''
+        });
+        batchCount++;
+      }
+
+      // Anonymize redeemedRewards
+      for (const doc of redeemedSnap.docs) {
+        if (batchCount >= BATCH_LIMIT) {
+          await batch.commit();
+          batch = db.batch();
+          batchCount = 0;
+        }
+        batch.update(doc.ref, {
+          userName: 'Deleted User',
+          userPhone: ''
+        });
+        batchCount++;
+      }
+
+      // Anonymize giftedRewardClaims
+      for (const doc of giftedClaimsSnap.docs) {
+        if (batchCount >= BATCH_LIMIT) {
+          await batch.commit();
+          batch = db.batch();
+          batchCount = 0;
+        }
+        batch.update(doc.ref, {
+          userName: 'Deleted User',
+          userPhone: ''
+        });
+        batchCount++;
+      }
+
+      // Anonymize posts
+      for (const doc of postsSnap.docs) {
+        if (batchCount >= BATCH_LIMIT) {
+          await batch.commit();
+          batch = db.batch();
+          batchCount = 0;
+        }
+        batch.update(doc.ref, {
+          userName: 'Deleted User',
+          userDisplayName: 'Deleted User'
+        });
+        batchCount++;
+      }
+
+      // Anonymize suspiciousFlags (anonymize evidence fields)
+      for (const doc of suspiciousFlagsSnap.docs) {
+        if (batchCount >= BATCH_LIMIT) {
+          await batch.commit();
+          batch = db.batch();
+          batchCount = 0;
+        }
+        const data = doc.data();
+        const anonymizedEvidence = { ...(data.evidence || {}) };
+        if (anonymizedEvidence.userName) anonymizedEvidence.userName = 'Deleted User';
+        if (anonymizedEvidence.userPhone) anonymizedEvidence.userPhone = '';
+        if (anonymizedEvidence.userEmail) anonymizedEvidence.userEmail = '';
+        batch.update(doc.ref, { evidence: anonymizedEvidence });
+        batchCount++;
+      }
+
+      // Anonymize bannedNumbers (if user was banned, just update originalUserName)
+      const userPhone = userData.phone || '';
+      if (userPhone) {
+        const normalized = normalizePhoneForBannedNumbers(userPhone) || userPhone;
+        const digitsOnlyLegacy = (normalized || '').replace('+', '');
+        const hashedId = hashBannedNumbersDocId(normalized);
+        let bannedDoc = null;
+        if (hashedId) {
+          const snap = await db.collection('bannedNumbers').doc(hashedId).get();
+          if (snap.exists) bannedDoc = snap;
+        }
+        if (!bannedDoc) {
+          const snap = await db.collection('bannedNumbers').doc(normalized).get();
+          if (snap.exists) bannedDoc = snap;
+        }
+        if (!bannedDoc && digitsOnlyLegacy) {
+          const snap = await db.collection('bannedNumbers').doc(digitsOnlyLegacy).get();
+          if (snap.exists) bannedDoc = snap;
+        }
+        if (bannedDoc) {
+          if (batchCount >= BATCH_LIMIT) {
+            await batch.commit();
+            batch = db.batch();
+            batchCount = 0;
+          }
+          batch.update(bannedDoc.ref, { originalUserName: 'Deleted User' });
+          batchCount++;
+        }
+      }
+
+      // Commit final anonymization batch
+      if (batchCount > 0) {
+        await batch.commit();
+        logger.info(`✅ Anonymized documents (receipts: ${receiptsSnap.size}, redeemedRewards: ${redeemedSnap.size}, giftedRewardClaims: ${giftedClaimsSnap.size}, posts: ${postsSnap.size}, suspiciousFlags: ${suspiciousFlagsSnap.size})`);
+      }
+
+      // ========== PHASE 2: DELETION ==========
+      logger.info(`🗑️ Phase 2: Deleting user data for ${uid}`);
+
+      // Get all documents to delete in parallel
+      const [pointsSnap, referrerSnap, referredSnap, notifSnap, scanAttemptsSnap] = await Promise.all([
+        db.collection('pointsTransactions').where('userId', '==', uid).get(),
+        db.collection('referrals').where('referrerUserId', '==', uid).get(),
+        db.collection('referrals').where('referredUserId', '==', uid).get(),
+        db.collection('notifications').where('userId', '==', uid).get(),
+        db.collection('receiptScanAttempts').where('userId', '==', uid).get()
+      ]);
+
+      // Delete pointsTransactions
+      if (!pointsSnap.empty) {
+        let deleteBatch = db.batch();
+        let deleteCount = 0;
+        for (const doc of pointsSnap.docs) {
+          if (deleteCount >= BATCH_LIMIT) {
+            await deleteBatch.commit();
+            deleteBatch = db.batch();
+            deleteCount = 0;
+          }
+          deleteBatch.delete(doc.ref);
+          deleteCount++;
+        }
+        if (deleteCount > 0) await deleteBatch.commit();
+        logger.info(`✅ Deleted ${pointsSnap.size} pointsTransactions`);
+      }
+
+      // Tombstone referrals instead of deleting (keeps referrer/referred counts stable)
+      // 1) Deleting user was the referred: anonymize referred side, keep referrerUserId
+      let tombstoneCount = 0;
+      let refBatch = db.batch();
+      for (const doc of referredSnap.docs) {
+        if (tombstoneCount >= BATCH_LIMIT) {
+          await refBatch.commit();
+          refBatch = db.batch();
+          tombstoneCount = 0;
+        }
+        const data = doc.data();
+        const isAwarded = data.status === 'awarded';
+        const updates = {
+          referredFirstName: 'Deleted User',
+          referredDeleted: true,
+          referredDeletedAt: admin.firestore.FieldValue.serverTimestamp(),
+          referredUserId: admin.firestore.FieldValue.delete()
+        };
+        if (!isAwarded) {
+          updates.status = 'cancelled';
+          updates.pointsTowards50 = 0;
+        }
+        refBatch.update(doc.ref, updates);
+        tombstoneCount++;
+      }
+      if (tombstoneCount > 0) {
+        await refBatch.commit();
+        logger.info(`✅ Tombstoned ${referredSnap.size} referrals (deleted user was referred)`);
+      }
+      // 2) Deleting user was the referrer: anonymize referrer side, keep referredUserId
+      refBatch = db.batch();
+      tombstoneCount = 0;
+      for (const doc of referrerSnap.docs) {
+        if (tombstoneCount >= BATCH_LIMIT) {
+          await refBatch.commit();
+          refBatch = db.batch();
+          tombstoneCount = 0;
+        }
+        const data = doc.data();
+        const isAwarded = data.status === 'awarded';
+        const updates = {
+          referrerFirstName: 'Deleted User',
+          referrerDeleted: true,
+          referrerDeletedAt: admin.firestore.FieldValue.serverTimestamp(),
+          referrerUserId: admin.firestore.FieldValue.delete()
+        };
+        if (!isAwarded) {
+          updates.status = 'cancelled';
+          updates.pointsTowards50 = 0;
+        }
+        refBatch.update(doc.ref, updates);
+        tombstoneCount++;
+      }
+      if (tombstoneCount > 0) {
+        await refBatch.commit();
+        logger.info(`✅ Tombstoned ${referrerSnap.size} referrals (deleted user was referrer)`);
+      }
+
+      // Delete notifications
+      if (!notifSnap.empty) {
+        let notifBatch = db.batch();
+        let notifCount = 0;
+        for (const doc of notifSnap.docs) {
+          if (notifCount >= BATCH_LIMIT) {
+            await notifBatch.commit();
+            notifBatch = db.batch();
+            notifCount = 0;
+          }
+          notifBatch.delete(doc.ref);
+          notifCount++;
+        }
+        if (notifCount > 0) await notifBatch.commit();
+        logger.info(`✅ Deleted ${notifSnap.size} notifications`);
+      }
+
+      // Delete receiptScanAttempts
+      if (!scanAttemptsSnap.empty) {
+        let scanBatch = db.batch();
+        let scanCount = 0;
+        for (const doc of scanAttemptsSnap.docs) {
+          if (scanCount >= BATCH_LIMIT) {
+            await scanBatch.commit();
+            scanBatch = db.batch();
+            scanCount = 0;
+          }
+          scanBatch.delete(doc.ref);
+          scanCount++;
+        }
+        if (scanCount > 0) await scanBatch.commit();
+        logger.info(`✅ Deleted ${scanAttemptsSnap.size} receiptScanAttempts`);
+      }
+
+      // Delete user subcollections (clientState, activity, devices)
+      const [clientStateSnap, activitySnap, devicesSnap] = await Promise.all([
+        db.collection('users').doc(uid).collection('clientState').get(),
+        db.collection('users').doc(uid).collection('activity').get(),
+        db.collection('users').doc(uid).collection(DEVICES_SUBCOLLECTION).get()
+      ]);
+
+      if (!clientStateSnap.empty || !activitySnap.empty || !devicesSnap.empty) {
+        const subBatch = db.batch();
+        for (const doc of clientStateSnap.docs) {
+          subBatch.delete(doc.ref);
+        }
+        for (const doc of activitySnap.docs) {
+          subBatch.delete(doc.ref);
+        }
+        for (const doc of devicesSnap.docs) {
+          subBatch.delete(doc.ref);
+        }
+        await subBatch.commit();
+        logger.info(`✅ Deleted user subcollections (clientState: ${clientStateSnap.size}, activity: ${activitySnap.size}, devices: ${devicesSnap.size})`);
+      }
+
+      // Delete userRiskScore if exists
+      await db.collection('userRiskScores').doc(uid).delete().catch(() => {});
+      logger.info(`✅ Deleted userRiskScore (if existed)`);
+
+      // ========== PHASE 3: PROFILE PHOTO DELETION ==========
+      if (profilePhotoURL) {
+        try {
+          const storage = admin.storage();
+          const bucket = storage.bucket();
+          
+          // Extract file path from URL
+          // URL format: https://firebasestorage.googleapis.com/v0/b/BUCKET/o/PATH?token=...
+          // or gs://BUCKET/PATH
+          let filePath = null;
+          if (profilePhotoURL.includes('firebasestorage.googleapis.com')) {
+            const match = profilePhotoURL.match(/\/o\/(.+?)\?/);
+            if (match) {
+              filePath = decodeURIComponent(match[1]);
+            }
+          } else if (profilePhotoURL.startsWith('gs://')) {
+            filePath = profilePhotoURL.replace(/^gs:\/\/[^/]+\//, '');
+          }
+
+          if (filePath) {
+            await bucket.file(filePath).delete();
+            logger.info(`✅ Deleted profile photo: ${filePath}`);
+          }
+        } catch (storageErr) {
+          // Non-critical - photo may already be deleted or URL invalid
+          logger.info(`ℹ️ Profile photo deletion skipped: ${storageErr.message}`);
+        }
+      }
+
+      // ========== PHASE 4: RECORD DELETION FOR RECREATE DETECTION ==========
+      // Record deletion metadata to detect rapid delete→recreate patterns
+      try {
+        const userPhone = userData.phone || '';
+        if (userPhone) {
+          const phoneHash = hashPhoneNumber(userPhone);
+          if (phoneHash) {
+            // Record deletion timestamp for this phone hash
+            const deletionRecordRef = db.collection('accountDeletions').doc(`${phoneHash}_${Date.now()}`);
+            await deletionRecordRef.set({
+              phoneHash,
+              deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+              deletedUserId: uid,
+              // Store device fingerprint if available (from request headers)
+              deviceFingerprint: req.headers['x-device-fingerprint'] || null
+            });
+            
+            // Also update abusePreventionHashes with deletion timestamp
+            const abuseHashRef = db.collection('abusePreventionHashes').doc(phoneHash);
+            await abuseHashRef.set({
+              phoneHash,
+              lastAccountDeletedAt: admin.firestore.FieldValue.serverTimestamp(),
+              lastDeletedUserId: uid
+            }, { merge: true });
+          }
+        }
+      } catch (deletionRecordError) {
+        // Non-critical - log but don't fail deletion
+        logger.error('⚠️ Error recording deletion metadata (non-blocking):', deletionRecordError);
+      }
+
+      // ========== PHASE 5: USER DOCUMENT DELETION ==========
+      await db.collection('users').doc(uid).delete();
+      logger.info(`✅ Deleted user document: ${uid}`);
+
+      // ========== PHASE 6: FIREBASE AUTH USER DELETION ==========
+      try {
+        await admin.auth().deleteUser(uid);
+        logger.info(`✅ Deleted Firebase Auth user: ${uid}`);
+      } catch (authErr) {
+        // Log but don't fail - Firestore data is already cleaned up
+        logger.error(`⚠️ Error deleting Auth user (data already cleaned): ${authErr.message}`);
+      }
+
+      logger.info(`✅ Account deletion complete for user: ${uid}`);
+      return res.json({ success: true });
+
+    } catch (error) {
+      logger.error('❌ Error in /user/delete-account:', error);
+      res.status(500).json({ error: 'Failed to delete account' });
+    }
+  });
+
+  /**
+   * POST /admin/cleanup-expired-history
+   *
+   * Cleans up expired bannedAccountHistory records (older than 24 hours).
+   * Can be called by admin or triggered on admin view load.
+   *
+   * Request: Requires admin Bearer token
+   * Response: { deletedCount: number, message: string }
+   */
+  app.post('/admin/cleanup-expired-history', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const now = admin.firestore.Timestamp.now();
+
+      logger.info('🧹 Cleaning up expired banned account history...');
+
+      // Query expired records
+      const expiredSnap = await db.collection('bannedAccountHistory')
+        .where('expiresAt', '<=', now)
+        .get();
+
+      if (expiredSnap.empty) {
+        logger.info('✅ No expired history records found');
+        return res.json({ deletedCount: 0, message: 'No expired records to clean up' });
+      }
+
+      // Delete in batches
+      const batch = db.batch();
+      let deletedCount = 0;
+      
+      for (const doc of expiredSnap.docs.slice(0, 450)) {
+        batch.delete(doc.ref);
+        deletedCount++;
+      }
+
+      await batch.commit();
+      logger.info(`✅ Deleted ${deletedCount} expired history records`);
+
+      return res.json({ 
+        deletedCount, 
+        message: `Cleaned up ${deletedCount} expired history record(s)` 
+      });
+
+    } catch (error) {
+      logger.error('❌ Error in /admin/cleanup-expired-history:', error);
+      res.status(500).json({ error: 'Failed to cleanup expired history' });
+    }
+  });
+
+  /**
+   * POST /users/cleanup-orphan-by-phone
+   *
+   * Cleans up orphaned user documents during signup.
+   * When a user signs up with a phone number that has orphaned Firestore docs,
+   * this endpoint deletes those orphans using Admin SDK (bypasses security rules).
+   *
+   * Request body: { phone: string, newUid: string }
+   * Response: { deletedCount: number }
+   */
+  app.post('/users/cleanup-orphan-by-phone', async (req, res) => {
+    try {
+      // Verify the user's token
+      const authHeader = req.headers.authorization || '';
+      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+      if (!token) {
+        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+      }
+
+      const decoded = await admin.auth().verifyIdToken(token);
+      const callerUid = decoded.uid;
+
+      const { phone, newUid } = req.body;
+      if (!phone) {
+        return res.status(400).json({ error: 'Phone number is required' });
+      }
+
+      // Verify the caller is the new user (for security)
+      if (newUid && newUid !== callerUid) {
+        return res.status(403).json({ error: 'UID mismatch' });
+      }
+
+      logger.info(`🧹 Cleaning up orphaned accounts for phone: ${phone}, newUid: ${callerUid}`);
+
+      const db = admin.firestore();
+      const auth = admin.auth();
+
+      // Normalize phone number
+      let normalizedPhone = phone.trim();
+      const digits = normalizedPhone.replace(/[^\d]/g, '');
+      if (digits.length === 10) {
+        normalizedPhone = '+1' + digits;
+      } else if (digits.length === 11 && digits.startsWith('1')) {
+        normalizedPhone = '+' + digits;
+      }
+
+      // Find all user documents with this phone number
+      const usersSnap = await db.collection('users')
+        .where('phone', '==', normalizedPhone)
+        .get();
+
+      if (usersSnap.empty) {
+        logger.info('✅ No orphaned accounts found');
+        
+        // Check for rapid delete→recreate patterns even if no orphans found
+        try {
+          const phoneHash = hashPhoneNumber(normalizedPhone);
+          if (phoneHash) {
+            const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+            const recentDeletions = await db.collection('accountDeletions')
+              .where('phoneHash', '==', phoneHash)
+              .where('deletedAt', '>=', admin.firestore.Timestamp.fromDate(oneWeekAgo))
+              .orderBy('deletedAt', 'desc')
+              .get();
+            
+            if (recentDeletions.size >= 2) {
+              const service = new SuspiciousBehaviorService(db);
+              await service.flagSuspiciousBehavior(callerUid, {
+                flagType: 'account_recreation',
+                severity: recentDeletions.size >= 4 ? 'high' : 'medium',
+                description: `Rapid account deletion/recreation pattern: ${recentDeletions.size} deletions in last 7 days for this phone number`,
+                evidence: {
+                  phoneHash,
+                  deletionCount: recentDeletions.size,
+                  timeWindow: '7 days',
+                  lastDeletion: recentDeletions.docs[0]?.data()?.deletedAt?.toDate?.()?.toISOString() || null
+                }
+              });
+            }
+          }
+        } catch (detectionError) {
+          logger.error('❌ Error checking delete/recreate pattern (non-blocking):', detectionError);
+        }
+        
+        return res.json({ deletedCount: 0 });
+      }
+
+      let deletedCount = 0;
+      const batch = db.batch();
+
+      for (const doc of usersSnap.docs) {
+        const docUid = doc.id;
+        
+        // Skip the current user's document
+        if (docUid === callerUid) {
+          logger.info(`ℹ️ Skipping current user: ${docUid}`);
+          continue;
+        }
+
+        // Check if this UID has a corresponding Firebase Auth account
+        try {
+          await auth.getUser(docUid);
+          // Auth account exists - this is not an orphan, skip it
+          logger.info(`ℹ️ Skipping non-orphan (Auth exists): ${docUid}`);
+        } catch (error) {
+          if (error.code === 'auth/user-not-found') {
+            // This is an orphaned document - delete it
+            logger.info(`🗑️ Deleting orphaned user doc: ${docUid}`);
+            batch.delete(doc.ref);
+            deletedCount++;
+          } else {
+            logger.warn(`⚠️ Error checking user ${docUid}: ${error.code}`);
+          }
+        }
+      }
+
+      if (deletedCount > 0) {
+        await batch.commit();
+        logger.info(`✅ Deleted ${deletedCount} orphaned user document(s)`);
+      }
+
+      // Check for rapid delete→recreate patterns after cleanup
+      try {
+        const phoneHash = hashPhoneNumber(normalizedPhone);
+        if (phoneHash) {
+          const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+          const recentDeletions = await db.collection('accountDeletions')
+            .where('phoneHash', '==', phoneHash)
+            .where('deletedAt', '>=', admin.firestore.Timestamp.fromDate(oneWeekAgo))
+            .orderBy('deletedAt', 'desc')
+            .get();
+          
+          if (recentDeletions.size >= 2) {
+            const service = new SuspiciousBehaviorService(db);
+            await service.flagSuspiciousBehavior(callerUid, {
+              flagType: 'account_recreation',
+              severity: recentDeletions.size >= 4 ? 'high' : 'medium',
+              description: `Rapid account deletion/recreation pattern: ${recentDeletions.size} deletions in last 7 days for this phone number (${deletedCount} orphaned accounts cleaned up)`,
+              evidence: {
+                phoneHash,
+                deletionCount: recentDeletions.size,
+                orphanedAccountsDeleted: deletedCount,
+                timeWindow: '7 days',
+                lastDeletion: recentDeletions.docs[0]?.data()?.deletedAt?.toDate?.()?.toISOString() || null
+              }
+            });
+          }
+        }
+      } catch (detectionError) {
+        logger.error('❌ Error checking delete/recreate pattern (non-blocking):', detectionError);
+      }
+
+      return res.json({ deletedCount });
+
+    } catch (error) {
+      logger.error('❌ Error in /users/cleanup-orphan-by-phone:', error);
+      res.status(500).json({ error: 'Failed to cleanup orphaned accounts' });
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Staff-only Rewards Validation / Consumption (QR scanning)
+  // ---------------------------------------------------------------------------
+
+  function parseFirestoreDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate(); // Firestore Timestamp
+    return null;
+  }
+
+  function pickBestRedeemedRewardDoc(snapshot) {
+    if (!snapshot || snapshot.empty) return null;
+    // Prefer the newest redeemedAt when possible; otherwise just take the first.
+    let bestDoc = snapshot.docs[0];
+    let bestRedeemedAt = parseFirestoreDate(bestDoc.get('redeemedAt')) || new Date(0);
+    for (const doc of snapshot.docs) {
+      const redeemedAt = parseFirestoreDate(doc.get('redeemedAt')) || new Date(0);
+      if (redeemedAt > bestRedeemedAt) {
+        bestRedeemedAt = redeemedAt;
+        bestDoc = doc;
+      }
+    }
+    return bestDoc;
+  }
+
+  /**
+   * Find the redeemedRewards doc a staff scan refers to: a signed QR payload names the
+   * exact doc; a typed 8-digit code picks the newest doc with that code.
+   * @param {Object} body - Validated by staffRewardLookupSchema: { qrPayload } or { redemptionCode }
+   * @returns {Promise<{doc: DocumentSnapshot|null, method: 'qr'|'code', errorCode?: string, error?: string}>}
+   */
+  async function findRedeemedRewardForStaff(db, { qrPayload, redemptionCode }) {
+    if (qrPayload) {
+      if (!REDEMPTION_QR_SECRET) {
+        return { doc: null, method: 'qr', errorCode: 'QR_NOT_ENABLED', error: 'QR redemption codes are not enabled. Enter the 8-digit code instead.' };
+      }
+      const verified = verifyRedemptionQr(qrPayload, REDEMPTION_QR_SECRET);
+      if (!verified.ok) {
+        logger.warn(`⚠️ Rejected redemption QR (${verified.reason})`);
+        return { doc: null, method: 'qr', errorCode: 'INVALID_QR', error: 'Invalid QR code. Enter the 8-digit code instead.' };
+      }
+      const doc = await db.collection('redeemedRewards').doc(verified.rewardId).get();
+      const matches = doc.exists && doc.get('redemptionCode') === verified.redemptionCode;
+      return { doc: matches ? doc : null, method: 'qr' };
+    }
+
+    const snapshot = await db
+      .collection('redeemedRewards')
+      .where('redemptionCode', '==', redemptionCode)
+      .limit(10)
+      .get();
+    return { doc: pickBestRedeemedRewardDoc(snapshot), method: 'code' };
+  }
+
+  function rewardStatusFromData(data) {
+    const expiresAt = parseFirestoreDate(data.expiresAt);
+    const isExpired = data.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
+    const isUsed = data.isUsed === true;
+
+    if (isUsed) return 'already_used';
+    if (isExpired) return 'expired';
+    return 'ok';
+  }
+
+  // Helper function to refund an expired reward
   async function refundExpiredReward(rewardRef, rewardData, db) {
     const pointsRefunded = rewardData.pointsRefunded === true;
     
@@ -8520,2545 +12020,4469 @@ IMPORTANT:
     if (pointsRefunded) {
       return { alreadyRefunded: true };
     }
-    
-    const userId = rewardData.userId;
-    const pointsRequired = rewardData.pointsRequired || 0;
-    
-    if (!userId || pointsRequired <= 0) {
-      throw new Error('Invalid reward data for refund');
+    
+    const userId = rewardData.userId;
+    // Carts only refund the lines that were never handed over
+    const pointsRequired = rewardData.isCart === true ? unusedCartPoints(rewardData) : (rewardData.pointsRequired || 0);
+    
+    if (!userId || pointsRequired <= 0) {
+      throw new Error('Invalid reward data for refund');
+    }
+    
+    // Get user's current points
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+    
+    if (!userDoc.exists) {
+      throw new Error('User not found for refund');
+    }
+    
+    const userData = userDoc.data();
+    const currentPoints = userData.points || 0;
+    const newPointsBalance = currentPoints + pointsRequired;
+    
+    // Build transaction description
+    let transactionDescription = `Points refunded - reward expired unused: ${rewardData.rewardTitle || 'Reward'}`;
+    if (rewardData.selectedItemName) {
+      transactionDescription = `Points refunded - reward expired unused: ${rewardData.selectedItemName}`;
+      if (rewardData.selectedToppingName) {
+        transactionDescription += ` with ${rewardData.selectedToppingName}`;
+      }
+      if (rewardData.selectedItemName2) {
+        transactionDescription = `Points refunded - reward expired unused: Half and Half: ${rewardData.selectedItemName} + ${rewardData.selectedItemName2}`;
+        if (rewardData.cookingMethod) {
+          transactionDescription += ` (${rewardData.cookingMethod})`;
+        }
+      }
+    }
+    if (rewardData.isCart === true) {
+      const unusedLines = (rewardData.items || []).filter(line => line.isUsed !== true);
+      transactionDescription = `Points refunded - reward expired unused: ${unusedLines.map(describeRewardSelection).join(', ')}`;
+    }
+    
+    // Create points transaction for refund
+    const pointsTransaction = {
+      id: `refund_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      userId: userId,
+      type: 'reward_expiration_refund',
+      amount: pointsRequired,
+      description: transactionDescription,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      isEarned: true,
+      redemptionCode: rewardData.redemptionCode || null,
+      rewardTitle: rewardData.rewardTitle || null,
+      ...(rewardData.selectedItemName && { selectedItemName: rewardData.selectedItemName }),
+      ...(rewardData.selectedToppingName && { selectedToppingName: rewardData.selectedToppingName }),
+      ...(rewardData.selectedItemName2 && { selectedItemName2: rewardData.selectedItemName2 }),
+      ...(rewardData.cookingMethod && { cookingMethod: rewardData.cookingMethod })
+    };
+    
+    // Perform database operations in a transaction
+    await db.runTransaction(async (tx) => {
+      // Re-check reward status to prevent race conditions
+      const rewardSnapshot = await tx.get(rewardRef);
+      if (!rewardSnapshot.exists) {
+        throw new Error('Reward not found');
+      }
+      
+      const snapshotData = rewardSnapshot.data() || {};
+      if (snapshotData.isUsed === true) {
+        throw new Error('Reward already used');
+      }
+      if (snapshotData.pointsRefunded === true) {
+        throw new Error('Points already refunded');
+      }
+      
+      // Update user points
+      tx.update(userRef, { points: newPointsBalance });
+      
+      // Mark reward as refunded
+      tx.update(rewardRef, { 
+        pointsRefunded: true,
+        refundedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      // Add points transaction
+      const transactionRef = db.collection('pointsTransactions').doc(pointsTransaction.id);
+      tx.set(transactionRef, pointsTransaction);
+    });
+    
+    logger.info(`✅ Auto-refunded expired reward: ${pointsRequired} points to user ${userId}`);
+    
+    return {
+      success: true,
+      pointsRefunded: pointsRequired,
+      newPointsBalance: newPointsBalance
+    };
+  }
+
+  // Refund expired reward endpoint
+  app.post('/refund-expired-reward', validate(refundExpiredRewardSchema), async (req, res) => {
+    try {
+      logger.info('💰 Received refund expired reward request');
+      logger.info('📥 Request body:', JSON.stringify(req.body, null, 2));
+      
+      // Require authenticated user
+      const userContext = await requireUser(req, res);
+      if (!userContext) return;
+      
+      const { rewardId, redemptionCode } = req.body;
+      
+      const db = admin.firestore();
+      let rewardRef;
+      let rewardDoc;
+      
+      // Find reward by ID or redemption code
+      if (rewardId) {
+        rewardRef = db.collection('redeemedRewards').doc(rewardId);
+        rewardDoc = await rewardRef.get();
+      } else {
+        // Find by redemption code
+        const snapshot = await db
+          .collection('redeemedRewards')
+          .where('redemptionCode', '==', redemptionCode)
+          .limit(1)
+          .get();
+        
+        if (snapshot.empty) {
+          logger.info('❌ Reward not found with redemption code:', redemptionCode);
+          return res.status(404).json({ error: 'Reward not found' });
+        }
+        
+        rewardRef = snapshot.docs[0].ref;
+        rewardDoc = snapshot.docs[0];
+      }
+      
+      if (!rewardDoc.exists) {
+        logger.info('❌ Reward document not found');
+        return res.status(404).json({ error: 'Reward not found' });
+      }
+      
+      const data = rewardDoc.data() || {};
+      const expiresAt = parseFirestoreDate(data.expiresAt);
+      const isExpired = data.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
+      const isUsed = data.isUsed === true;
+      const pointsRefunded = data.pointsRefunded === true;
+      
+      // Validate that reward is eligible for refund
+      if (isUsed) {
+        logger.info('❌ Reward already used, cannot refund');
+        return res.status(400).json({ 
+          error: 'Reward already used, cannot refund',
+          status: 'already_used'
+        });
+      }
+      
+      if (!isExpired) {
+        logger.info('❌ Reward not expired yet, cannot refund');
+        return res.status(400).json({ 
+          error: 'Reward not expired yet, cannot refund',
+          status: 'not_expired'
+        });
+      }
+      
+      if (pointsRefunded) {
+        logger.info('✅ Points already refunded for this reward');
+        return res.json({ 
+          success: true,
+          message: 'Points already refunded',
+          alreadyRefunded: true,
+          pointsRefunded: data.pointsRequired || 0
+        });
+      }
+      
+      const userId = data.userId;
+      const pointsRequired = data.pointsRequired || 0;
+      
+      if (!userId || pointsRequired <= 0) {
+        logger.info('❌ Invalid reward data: missing userId or pointsRequired');
+        return res.status(400).json({ error: 'Invalid reward data' });
+      }
+      
+      // Verify user can only refund their own rewards
+      if (userId !== userContext.uid) {
+        logger.info('❌ User attempted to refund another user\'s reward');
+        return res.status(403).json({ error: 'You can only refund your own rewards' });
+      }
+      
+      // Get user's current points
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await userRef.get();
+      
+      if (!userDoc.exists) {
+        logger.info('❌ User not found:', userId);
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      // Use helper function to perform refund
+      const refundResult = await refundExpiredReward(rewardRef, data, db);
+      
+      if (refundResult.alreadyRefunded) {
+        return res.json({ 
+          success: true,
+          message: 'Points already refunded',
+          alreadyRefunded: true,
+          pointsRefunded: data.pointsRequired || 0
+        });
+      }
+      
+      res.json({
+        success: true,
+        pointsRefunded: refundResult.pointsRefunded,
+        newPointsBalance: refundResult.newPointsBalance,
+        rewardTitle: data.rewardTitle || null,
+        message: 'Points refunded successfully'
+      });
+      
+    } catch (error) {
+      logger.error('❌ Error refunding expired reward:', error);
+      res.status(500).json({ 
+        error: 'Failed to refund expired reward',
+        details: error.message 
+      });
+    }
+  });
+
+  // Validate a reward code (no mutation; used to show confirmation UI)
+  app.post('/admin/rewards/validate', validate(staffRewardLookupSchema), async (req, res) => {
+    try {
+      const staffContext = await requireStaff(req, res);
+      if (!staffContext) return;
+
+      const db = admin.firestore();
+      const lookup = await findRedeemedRewardForStaff(db, req.body);
+      if (lookup.error) {
+        return sendError(res, 400, lookup.errorCode, lookup.error);
+      }
+      const bestDoc = lookup.doc;
+      if (!bestDoc) {
+        return res.json({ status: 'not_found' });
+      }
+
+      const data = bestDoc.data() || {};
+      const expiresAt = parseFirestoreDate(data.expiresAt);
+      const redeemedAt = parseFirestoreDate(data.redeemedAt);
+      const status = rewardStatusFromData(data);
+
+      // Auto-refund if expired and not already refunded
+      if (status === 'expired' && data.isUsed !== true && data.pointsRefunded !== true) {
+        try {
+          await refundExpiredReward(bestDoc.ref, data, db);
+        } catch (error) {
+          logger.error('⚠️ Error auto-refunding expired reward during validate:', error);
+          // Continue with response even if refund fails
+        }
+      }
+
+      let customerName = null;
+      if (data.userId) {
+        const userDoc = await db.collection('users').doc(data.userId).get();
+        if (userDoc.exists) {
+          customerName = userDoc.data().firstName || null;
+        }
+      }
+
+      return res.json({
+        status: status,
+        reward: {
+          id: bestDoc.id,
+          userId: data.userId || null,
+          customerName: customerName,
+          rewardTitle: data.rewardTitle || null,
+          rewardDescription: data.rewardDescription || null,
+          rewardCategory: data.rewardCategory || null,
+          pointsRequired: typeof data.pointsRequired === 'number' ? data.pointsRequired : null,
+          redemptionCode: data.redemptionCode || null,
+          redeemedAt: redeemedAt ? redeemedAt.toISOString() : null,
+          expiresAt: expiresAt ? expiresAt.toISOString() : null,
+          isUsed: data.isUsed === true,
+          isExpired: data.isExpired === true || (expiresAt ? expiresAt <= new Date() : false),
+          isPaused: !!data.pausedAt,
+          isCart: data.isCart === true,
+          partiallyUsed: data.partiallyUsed === true,
+          items: serializeCartItems(data),
+          selectedItemId: data.selectedItemId || null,
+          selectedItemName: data.selectedItemName || null,
+          selectedToppingId: data.selectedToppingId || null,    // NEW: For drink rewards
+          selectedToppingName: data.selectedToppingName || null, // NEW: For drink rewards
+          selectedItemId2: data.selectedItemId2 || null,        // NEW: For half-and-half
+          selectedItemName2: data.selectedItemName2 || null,    // NEW: For half-and-half
+          cookingMethod: data.cookingMethod || null,            // NEW: For dumpling rewards
+          drinkType: data.drinkType || null,                     // NEW: For Lemonade/Soda rewards
+          selectedDrinkItemId: data.selectedDrinkItemId || null, // NEW: For Full Combo
+          selectedDrinkItemName: data.selectedDrinkItemName || null, // NEW: For Full Combo
+          iceLevel: data.iceLevel || null,
+          sugarLevel: data.sugarLevel || null
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Error validating reward code:', error);
+      return res.status(500).json({ error: 'Failed to validate reward code' });
+    }
+  });
+
+  // Consume a reward code (atomic: re-check + mark used)
+  app.post('/admin/rewards/consume', validate(staffRewardLookupSchema), async (req, res) => {
+    try {
+      const staffContext = await requireStaff(req, res);
+      if (!staffContext) return;
+
+      const db = admin.firestore();
+      // Find candidate doc (outside transaction); transaction will re-check before mutation.
+      const lookup = await findRedeemedRewardForStaff(db, req.body);
+      if (lookup.error) {
+        return sendError(res, 400, lookup.errorCode, lookup.error);
+      }
+      const bestDoc = lookup.doc;
+      if (!bestDoc) {
+        return res.json({ status: 'not_found' });
+      }
+
+      const rewardRef = bestDoc.ref;
+      const staffUid = staffContext.uid;
+      const staffEmail = staffContext.userData?.email || null;
+      const staffRole = staffContext.userData?.isAdmin === true ? 'admin' : 'employee';
+
+      // Cart rewards can be handed over line by line; without lineIds every remaining line is used
+      const requestedLineIds = req.body.lineIds?.length > 0 ? req.body.lineIds : null;
+
+      const preData = bestDoc.data() || {};
+      let customerName = null;
+      if (preData.userId) {
+        const userDoc = await db.collection('users').doc(preData.userId).get();
+        if (userDoc.exists) {
+          customerName = userDoc.data().firstName || null;
+        }
+      }
+
+      // Staff redemption log is bucketed by the store's business day and shift
+      const redemptionConfig = await getRewardRedemptionConfig(db);
+      const rawLocationId = req.body.locationId || req.headers['x-location-id'];
+      const staffLocation = rawLocationId ? await resolveLocation(db, rawLocationId, { allowInactive: true }) : null;
+      const logTimeZone = staffLocation?.timeZone || process.env.STATS_TIMEZONE || 'America/Chicago';
+      const usedAtDate = new Date();
+
+      const result = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(rewardRef);
+        if (!doc.exists) {
+          return { status: 'not_found' };
+        }
+
+        const data = doc.data() || {};
+        const expiresAt = parseFirestoreDate(data.expiresAt);
+        const redeemedAt = parseFirestoreDate(data.redeemedAt);
+        const status = rewardStatusFromData(data);
+
+        if (status === 'already_used') {
+          return {
+            status,
+            reward: {
+              id: doc.id,
+              userId: data.userId || null,
+              rewardTitle: data.rewardTitle || null,
+              rewardCategory: data.rewardCategory || null,
+              pointsRequired: typeof data.pointsRequired === 'number' ? data.pointsRequired : null,
+              redemptionCode: data.redemptionCode || null,
+              redeemedAt: redeemedAt ? redeemedAt.toISOString() : null,
+              expiresAt: expiresAt ? expiresAt.toISOString() : null,
+              isUsed: true,
+              isExpired: data.isExpired === true || (expiresAt ? expiresAt <= new Date() : false),
+              isCart: data.isCart === true,
+              items: serializeCartItems(data),
+              selectedItemId: data.selectedItemId || null,
+              selectedItemName: data.selectedItemName || null,
+              selectedToppingId: data.selectedToppingId || null,
+              selectedToppingName: data.selectedToppingName || null,
+              selectedItemId2: data.selectedItemId2 || null,
+              selectedItemName2: data.selectedItemName2 || null,
+              cookingMethod: data.cookingMethod || null,
+              drinkType: data.drinkType || null,
+              selectedDrinkItemId: data.selectedDrinkItemId || null,
+              selectedDrinkItemName: data.selectedDrinkItemName || null,
+              iceLevel: data.iceLevel || null,
+              sugarLevel: data.sugarLevel || null
+            }
+          };
+        }
+
+        if (status === 'expired') {
+          // Mark expired for consistency
+          tx.update(rewardRef, { isExpired: true });
+          
+          // Note: Refund will be handled after transaction commits
+          // We can't do async refund inside transaction, so we'll do it after
+          return {
+            status,
+            reward: {
+              id: doc.id,
+              userId: data.userId || null,
+              rewardTitle: data.rewardTitle || null,
+              rewardCategory: data.rewardCategory || null,
+              pointsRequired: typeof data.pointsRequired === 'number' ? data.pointsRequired : null,
+              redemptionCode: data.redemptionCode || null,
+              redeemedAt: redeemedAt ? redeemedAt.toISOString() : null,
+              expiresAt: expiresAt ? expiresAt.toISOString() : null,
+              isUsed: data.isUsed === true,
+              isExpired: true,
+              isCart: data.isCart === true,
+              partiallyUsed: data.partiallyUsed === true,
+              items: serializeCartItems(data),
+              selectedItemId: data.selectedItemId || null,
+              selectedItemName: data.selectedItemName || null,
+              selectedToppingId: data.selectedToppingId || null,
+              selectedToppingName: data.selectedToppingName || null,
+              selectedItemId2: data.selectedItemId2 || null,
+              selectedItemName2: data.selectedItemName2 || null,
+              cookingMethod: data.cookingMethod || null,
+              drinkType: data.drinkType || null,
+              selectedDrinkItemId: data.selectedDrinkItemId || null,
+              selectedDrinkItemName: data.selectedDrinkItemName || null,
+              iceLevel: data.iceLevel || null,
+              sugarLevel: data.sugarLevel || null
+            },
+            needsRefund: data.pointsRefunded !== true // Flag to trigger refund after transaction
+          };
+        }
+
+        // OK -> consume
+        let consumedLines = null;
+        let cartItems = null;
+        if (data.isCart === true) {
+          const remainingLines = (data.items || []).filter(line => line.isUsed !== true);
+          consumedLines = requestedLineIds
+            ? remainingLines.filter(line => requestedLineIds.includes(line.lineId))
+            : remainingLines;
+          if (consumedLines.length === 0 || (requestedLineIds && consumedLines.length !== requestedLineIds.length)) {
+            return {
+              status: 'invalid_lines',
+              error: 'One or more cart items were not found or have already been handed over',
+              reward: { id: doc.id, isCart: true, items: serializeCartItems(data) }
+            };
+          }
+          const consumedLineIds = new Set(consumedLines.map(line => line.lineId));
+          const lineUsedAt = admin.firestore.Timestamp.fromDate(usedAtDate);
+          cartItems = data.items.map(line => (consumedLineIds.has(line.lineId)
+            ? { ...line, isUsed: true, usedAt: lineUsedAt, usedBy: staffUid }
+            : line));
+        }
+        const allLinesUsed = !cartItems || cartItems.every(line => line.isUsed === true);
+
+        const businessDay = businessDayOf(redemptionConfig, usedAtDate, logTimeZone);
+        const shift = shiftOf(redemptionConfig, usedAtDate, logTimeZone);
+        tx.update(rewardRef, {
+          isUsed: allLinesUsed,
+          ...(cartItems && { items: cartItems, partiallyUsed: !allLinesUsed }),
+          usedAt: admin.firestore.FieldValue.serverTimestamp(),
+          usedBy: staffUid,
+          usedByEmail: staffEmail,
+          usedByRole: staffRole,
+          usedBusinessDay: businessDay,
+          usedShift: shift,
+          usedLocationId: staffLocation?.id || null,
+          usedVia: lookup.method
+        });
+        // A cart handed over in several steps gets one log entry per step
+        const logId = consumedLines
+          ? `${rewardRef.id}_${consumedLines.map(line => line.lineId).join('-')}`
+          : rewardRef.id;
+        tx.set(db.collection(REWARD_REDEMPTION_LOG_COLLECTION).doc(logId), {
+          rewardId: rewardRef.id,
+          redemptionCode: data.redemptionCode || null,
+          userId: data.userId || null,
+          customerName,
+          rewardTitle: data.rewardTitle || null,
+          rewardCategory: data.rewardCategory || null,
+          pointsRequired: consumedLines
+            ? consumedLines.reduce((sum, line) => sum + (line.pointsRequired || 0), 0)
+            : (typeof data.pointsRequired === 'number' ? data.pointsRequired : 0),
+          ...(consumedLines && {
+            items: consumedLines.map(line => ({
+              lineId: line.lineId,
+              itemName: line.itemName,
+              description: describeRewardSelection(line),
+              pointsRequired: line.pointsRequired
+            }))
+          }),
+          selectedItemName: data.selectedItemName || null,
+          selectedItemName2: data.selectedItemName2 || null,
+          selectedToppingName: data.selectedToppingName || null,
+          selectedDrinkItemName: data.selectedDrinkItemName || null,
+          isGiftedReward: data.isGiftedReward === true,
+          staffUid,
+          staffEmail,
+          staffRole,
+          method: lookup.method,
+          locationId: staffLocation?.id || null,
+          businessDay,
+          shift,
+          usedAt: admin.firestore.Timestamp.fromDate(usedAtDate)
+        });
+
+        return {
+          status: 'ok',
+          reward: {
+            id: doc.id,
+            userId: data.userId || null,
+            rewardTitle: data.rewardTitle || null,
+            rewardDescription: data.rewardDescription || null,
+            rewardCategory: data.rewardCategory || null,
+            pointsRequired: typeof data.pointsRequired === 'number' ? data.pointsRequired : null,
+            redemptionCode: data.redemptionCode || null,
+            redeemedAt: redeemedAt ? redeemedAt.toISOString() : null,
+            expiresAt: expiresAt ? expiresAt.toISOString() : null,
+            isUsed: allLinesUsed,
+            isExpired: false,
+            isCart: data.isCart === true,
+            partiallyUsed: !allLinesUsed,
+            items: cartItems ? serializeCartItems({ ...data, items: cartItems }) : null,
+            selectedItemId: data.selectedItemId || null,
+            selectedItemName: data.selectedItemName || null,
+            selectedToppingId: data.selectedToppingId || null,
+            selectedToppingName: data.selectedToppingName || null,
+            selectedItemId2: data.selectedItemId2 || null,
+            selectedItemName2: data.selectedItemName2 || null,
+            cookingMethod: data.cookingMethod || null,
+            drinkType: data.drinkType || null,
+            selectedDrinkItemId: data.selectedDrinkItemId || null,
+            selectedDrinkItemName: data.selectedDrinkItemName || null,
+            iceLevel: data.iceLevel || null,
+            sugarLevel: data.sugarLevel || null
+          }
+        };
+      });
+
+      // Auto-refund if expired and not already refunded
+      if (result.status === 'expired' && result.needsRefund) {
+        try {
+          // Re-fetch the reward data after transaction
+          const rewardDoc = await rewardRef.get();
+          if (rewardDoc.exists) {
+            const rewardData = rewardDoc.data() || {};
+            await refundExpiredReward(rewardRef, rewardData, db);
+          }
+        } catch (error) {
+          logger.error('⚠️ Error auto-refunding expired reward during consume:', error);
+          // Continue with response even if refund fails
+        }
+      }
+
+      // Remove needsRefund flag from response
+      if (result.needsRefund) {
+        delete result.needsRefund;
+      }
+
+      if (result.reward) {
+        result.reward.customerName = customerName;
+      }
+      return res.json(result);
+    } catch (error) {
+      logger.error('❌ Error consuming reward code:', error);
+      return res.status(500).json({ error: 'Failed to consume reward code' });
+    }
+  });
+
+  /**
+   * POST /rewards/:rewardId/pause
+   *
+   * Owner-only. Freezes the countdown on an unused code while the customer is still in
+   * line. The code stays valid for pauseMinutes (config/rewardRedemption) plus the time
+   * that was left; resuming restores the time that was left. Limited to maxPauses per code.
+   */
+  app.post('/rewards/:rewardId/pause', requireFirebaseAuth, generalPerUserLimiter, validate(emptyBodySchema), async (req, res) => {
+    try {
+      const uid = req.auth.uid;
+      const db = admin.firestore();
+      const config = await getRewardRedemptionConfig(db);
+      const rewardRef = db.collection('redeemedRewards').doc(req.params.rewardId);
+
+      if (config.maxPauses === 0 || config.pauseMinutes === 0) {
+        return sendError(res, 400, "PAUSE_DISABLED", "Pausing reward codes is turned off");
+      }
+
+      let result;
+      try {
+        result = await db.runTransaction(async (tx) => {
+          const doc = await tx.get(rewardRef);
+          const data = doc.exists ? doc.data() || {} : null;
+          if (!data || data.userId !== uid) {
+            const err = new Error('REWARD_NOT_FOUND');
+            err.code = 'REWARD_NOT_FOUND';
+            throw err;
+          }
+          if (rewardStatusFromData(data) !== 'ok') {
+            const err = new Error('REWARD_NOT_ACTIVE');
+            err.code = 'REWARD_NOT_ACTIVE';
+            throw err;
+          }
+          if (data.pausedAt) {
+            const err = new Error('ALREADY_PAUSED');
+            err.code = 'ALREADY_PAUSED';
+            throw err;
+          }
+          const pauseCount = typeof data.pauseCount === 'number' ? data.pauseCount : 0;
+          if (pauseCount >= config.maxPauses) {
+            const err = new Error('PAUSE_LIMIT_REACHED');
+            err.code = 'PAUSE_LIMIT_REACHED';
+            throw err;
+          }
+
+          const now = Date.now();
+          const remainingMs = Math.max(0, parseFirestoreDate(data.expiresAt).getTime() - now);
+          const expiresAt = new Date(now + remainingMs + config.pauseMinutes * 60 * 1000);
+          tx.update(rewardRef, {
+            pausedAt: admin.firestore.Timestamp.fromMillis(now),
+            pausedRemainingMs: remainingMs,
+            pauseCount: pauseCount + 1,
+            expiresAt: admin.firestore.Timestamp.fromDate(expiresAt)
+          });
+          return { remainingMs, expiresAt, pausesLeft: config.maxPauses - pauseCount - 1 };
+        });
+      } catch (e) {
+        if (e && e.code === 'REWARD_NOT_FOUND') return sendError(res, 404, "REWARD_NOT_FOUND", "Reward not found");
+        if (e && e.code === 'REWARD_NOT_ACTIVE') return sendError(res, 409, "REWARD_NOT_ACTIVE", "This reward code has already been used or has expired");
+        if (e && e.code === 'ALREADY_PAUSED') return sendError(res, 409, "ALREADY_PAUSED", "The timer is already paused");
+        if (e && e.code === 'PAUSE_LIMIT_REACHED') return sendError(res, 409, "PAUSE_LIMIT_REACHED", "The timer can't be paused again for this reward");
+        throw e;
+      }
+
+      return res.json({
+        success: true,
+        paused: true,
+        remainingSeconds: Math.round(result.remainingMs / 1000),
+        // The code lapses at this time if the timer is never resumed
+        expiresAt: result.expiresAt.toISOString(),
+        pausesLeft: result.pausesLeft
+      });
+    } catch (error) {
+      logger.error('❌ Error pausing reward timer:', error);
+      return sendError(res, 500, "SERVER_ERROR", "Failed to pause reward timer");
+    }
+  });
+
+  /**
+   * POST /rewards/:rewardId/resume
+   *
+   * Owner-only. Restarts a paused countdown with the time that was left when it was paused.
+   */
+  app.post('/rewards/:rewardId/resume', requireFirebaseAuth, generalPerUserLimiter, validate(emptyBodySchema), async (req, res) => {
+    try {
+      const uid = req.auth.uid;
+      const db = admin.firestore();
+      const rewardRef = db.collection('redeemedRewards').doc(req.params.rewardId);
+
+      let expiresAt;
+      try {
+        expiresAt = await db.runTransaction(async (tx) => {
+          const doc = await tx.get(rewardRef);
+          const data = doc.exists ? doc.data() || {} : null;
+          if (!data || data.userId !== uid) {
+            const err = new Error('REWARD_NOT_FOUND');
+            err.code = 'REWARD_NOT_FOUND';
+            throw err;
+          }
+          if (rewardStatusFromData(data) !== 'ok') {
+            const err = new Error('REWARD_NOT_ACTIVE');
+            err.code = 'REWARD_NOT_ACTIVE';
+            throw err;
+          }
+          if (!data.pausedAt) {
+            const err = new Error('NOT_PAUSED');
+            err.code = 'NOT_PAUSED';
+            throw err;
+          }
+
+          const pausedUntil = parseFirestoreDate(data.expiresAt);
+          const resumed = new Date(Math.min(Date.now() + (data.pausedRemainingMs || 0), pausedUntil.getTime()));
+          tx.update(rewardRef, {
+            pausedAt: admin.firestore.FieldValue.delete(),
+            pausedRemainingMs: admin.firestore.FieldValue.delete(),
+            expiresAt: admin.firestore.Timestamp.fromDate(resumed)
+          });
+          return resumed;
+        });
+      } catch (e) {
+        if (e && e.code === 'REWARD_NOT_FOUND') return sendError(res, 404, "REWARD_NOT_FOUND", "Reward not found");
+        if (e && e.code === 'REWARD_NOT_ACTIVE') return sendError(res, 409, "REWARD_NOT_ACTIVE", "This reward code has already been used or has expired");
+        if (e && e.code === 'NOT_PAUSED') return sendError(res, 409, "NOT_PAUSED", "The timer isn't paused");
+        throw e;
+      }
+
+      return res.json({ success: true, paused: false, expiresAt: expiresAt.toISOString() });
+    } catch (error) {
+      logger.error('❌ Error resuming reward timer:', error);
+      return sendError(res, 500, "SERVER_ERROR", "Failed to resume reward timer");
     }
-    
-    // Get user's current points
-    const userRef = db.collection('users').doc(userId);
-    const userDoc = await userRef.get();
-    
-    if (!userDoc.exists) {
-      throw new Error('User not found for refund');
+  });
+
+  /**
+   * GET /admin/rewards/redemption-log
+   *
+   * Staff. Codes consumed at the counter, for end-of-night reconciliation.
+   * Query: day (YYYY-MM-DD business day, default today), staffUid, shift, locationId
+   * Employees only see their own redemptions; admins see everyone's.
+   */
+  app.get('/admin/rewards/redemption-log', async (req, res) => {
+    try {
+      const staffContext = await requireStaff(req, res);
+      if (!staffContext) return;
+
+      const db = admin.firestore();
+      const config = await getRewardRedemptionConfig(db);
+      const isAdminUser = staffContext.userData?.isAdmin === true;
+      const locationId = (req.query.locationId || '').toString().trim() || null;
+      const location = locationId ? await resolveLocation(db, locationId, { allowInactive: true }) : null;
+      if (locationId && !location) {
+        return res.status(400).json({ error: 'Unknown location' });
+      }
+      const timeZone = location?.timeZone || process.env.STATS_TIMEZONE || 'America/Chicago';
+
+      const day = (req.query.day || '').toString().trim() || businessDayOf(config, new Date(), timeZone);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+        return res.status(400).json({ error: 'day must be YYYY-MM-DD' });
+      }
+      const shift = (req.query.shift || '').toString().trim() || null;
+      if (shift && !config.shifts.some(s => s.id === shift)) {
+        return res.status(400).json({ error: `Unknown shift. Must be one of: ${config.shifts.map(s => s.id).join(', ')}` });
+      }
+      const requestedStaffUid = (req.query.staffUid || '').toString().trim() || null;
+      const staffUid = isAdminUser ? requestedStaffUid : staffContext.uid;
+
+      let query = db.collection(REWARD_REDEMPTION_LOG_COLLECTION).where('businessDay', '==', day);
+      if (staffUid) query = query.where('staffUid', '==', staffUid);
+      const snap = await query.orderBy('usedAt', 'desc').limit(1000).get();
+
+      const entries = snap.docs
+        .map(doc => {
+          const data = doc.data() || {};
+          return { id: doc.id, ...data, usedAt: toDate(data.usedAt)?.toISOString() || null };
+        })
+        .filter(e => (!shift || e.shift === shift) && (!location || e.locationId === location.id));
+
+      const byStaff = {};
+      for (const e of entries) {
+        const key = e.staffUid || 'unknown';
+        if (!byStaff[key]) byStaff[key] = { staffUid: e.staffUid || null, staffEmail: e.staffEmail || null, count: 0, points: 0 };
+        byStaff[key].count++;
+        byStaff[key].points += e.pointsRequired || 0;
+      }
+
+      return res.json({
+        day,
+        shift,
+        staffUid,
+        locationId: location?.id || null,
+        timeZone,
+        summary: {
+          count: entries.length,
+          points: entries.reduce((acc, e) => acc + (e.pointsRequired || 0), 0),
+          gifted: entries.filter(e => e.isGiftedReward).length,
+          byStaff: Object.values(byStaff)
+        },
+        entries,
+        shifts: config.shifts
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching reward redemption log:', error);
+      return res.status(500).json({ error: 'Failed to fetch redemption log' });
     }
-    
-    const userData = userDoc.data();
-    const currentPoints = userData.points || 0;
-    const newPointsBalance = currentPoints + pointsRequired;
-    
-    // Build transaction description
-    let transactionDescription = `Points refunded - reward expired unused: ${rewardData.rewardTitle || 'Reward'}`;
-    if (rewardData.selectedItemName) {
-      transactionDescription = `Points refunded - reward expired unused: ${rewardData.selectedItemName}`;
-      if (rewardData.selectedToppingName) {
-        transactionDescription += ` with ${rewardData.selectedToppingName}`;
+  });
+
+  // Get the redemption code settings (TTL per category, pause timer, business day/shifts)
+  app.get('/admin/rewards/redemption-settings', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const doc = await db.collection('config').doc(REWARD_REDEMPTION_CONFIG_DOC).get();
+      const stored = doc.exists ? doc.data() : null;
+
+      res.json({
+        config: normalizeRewardRedemptionConfig(stored),
+        isDefault: !doc.exists,
+        qrEnabled: !!REDEMPTION_QR_SECRET,
+        updatedAt: stored?.updatedAt?.toDate ? stored.updatedAt.toDate().toISOString() : null,
+        updatedBy: stored?.updatedBy || null
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching redemption settings:', error);
+      res.status(500).json({ error: 'Failed to fetch redemption settings' });
+    }
+  });
+
+  // Replace the redemption code settings (applies to codes issued from now on)
+  app.post('/admin/rewards/redemption-settings', validate(rewardRedemptionConfigSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const config = normalizeRewardRedemptionConfig(req.body);
+      await db.collection('config').doc(REWARD_REDEMPTION_CONFIG_DOC).set({
+        ...config,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: adminContext.uid
+      });
+      invalidateRewardRedemptionConfigCache();
+
+      logger.info(`✏️ Redemption settings updated by ${adminContext.uid} (default TTL ${config.defaultTtlMinutes}m, ${Object.keys(config.categoryTtlMinutes).length} category overrides)`);
+      res.json({ success: true, config });
+    } catch (error) {
+      logger.error('❌ Error saving redemption settings:', error);
+      res.status(500).json({ error: 'Failed to save redemption settings' });
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Admin Gift Rewards - Send Rewards to Customers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Push a gift to every device of its recipients without waiting for FCM. Gifts can't
+   * be turned off in notification preferences, but users in quiet hours get it later.
+   * @param {Array<{id: string, data: Object}>} userDocs
+   * @returns {Promise<{pushTargetCount: number, deferredCount: number}>}
+   */
+  async function pushGiftToUsers(db, userDocs, { title, body, data }) {
+    const now = new Date();
+    const targetsByUser = await getPushTargetsForUsers(db, userDocs);
+    const targets = [];
+    const deferred = [];
+    for (const user of userDocs) {
+      const userTargets = targetsByUser.get(user.id) || [];
+      if (userTargets.length === 0) continue;
+      const delivery = evaluatePushDelivery(user.data, null, now, process.env.STATS_TIMEZONE || 'America/Chicago');
+      if (delivery.action === 'defer') {
+        deferred.push({ userId: user.id, title, body, data, deliverAt: delivery.deliverAt });
+      } else {
+        targets.push(...userTargets);
       }
-      if (rewardData.selectedItemName2) {
-        transactionDescription = `Points refunded - reward expired unused: Half and Half: ${rewardData.selectedItemName} + ${rewardData.selectedItemName2}`;
-        if (rewardData.cookingMethod) {
-          transactionDescription += ` (${rewardData.cookingMethod})`;
+    }
+
+    if (deferred.length > 0) {
+      await deferUserPushes(db, deferred);
+    }
+    if (targets.length > 0) {
+      sendPushToTargets(db, targets, buildPushMessage(title, body, data)).then(result => {
+        if (result.failureCount > 0) {
+          logger.warn(`⚠️ ${result.failureCount} gift push notifications failed (${result.invalidTokenCount} unregistered tokens pruned)`);
         }
-      }
+      });
     }
-    
-    // Create points transaction for refund
-    const pointsTransaction = {
-      id: `refund_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      userId: userId,
-      type: 'reward_expiration_refund',
-      amount: pointsRequired,
-      description: transactionDescription,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      isEarned: true,
-      redemptionCode: rewardData.redemptionCode || null,
-      rewardTitle: rewardData.rewardTitle || null,
-      ...(rewardData.selectedItemName && { selectedItemName: rewardData.selectedItemName }),
-      ...(rewardData.selectedToppingName && { selectedToppingName: rewardData.selectedToppingName }),
-      ...(rewardData.selectedItemName2 && { selectedItemName2: rewardData.selectedItemName2 }),
-      ...(rewardData.cookingMethod && { cookingMethod: rewardData.cookingMethod })
-    };
-    
-    // Perform database operations in a transaction
-    await db.runTransaction(async (tx) => {
-      // Re-check reward status to prevent race conditions
-      const rewardSnapshot = await tx.get(rewardRef);
-      if (!rewardSnapshot.exists) {
-        throw new Error('Reward not found');
+    return { pushTargetCount: targets.length, deferredCount: deferred.length };
+  }
+
+  /**
+   * POST /admin/rewards/gift
+   * 
+   * Send an existing reward to all customers or specific users.
+   * 
+   * Request body:
+   * {
+   *   rewardTitle: string (required)
+   *   rewardDescription: string (required)
+   *   rewardCategory: string (required)
+   *   imageName: string | null (for existing rewards)
+   *   targetType: 'all' | 'individual' | 'segment' (required)
+   *   userIds: string[] (required if targetType is 'individual')
+   *   segmentId: string (required if targetType is 'segment')
+   *   expiresAt: string | null (ISO date string, optional)
+   * }
+   *
+   * A segment gift goes to whoever matches the segment now; later matches don't get it.
+   */
+  app.post('/admin/rewards/gift', validate(giftRewardSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const { rewardTitle, rewardDescription, rewardCategory, imageName, targetType, userIds, segmentId, expiresAt } = req.body;
+
+      const db = admin.firestore();
+      const trimmedTitle = rewardTitle.trim();
+      const trimmedDescription = rewardDescription.trim();
+
+      // Segment gifts are stored like individual gifts, addressed to the current members
+      let segment = null;
+      let segmentUserDocs = null;
+      if (targetType === 'segment') {
+        segment = await loadAudienceSegment(db, segmentId);
+        if (!segment) {
+          return res.status(404).json({ error: 'Segment not found' });
+        }
+        segmentUserDocs = await resolveSegmentUsers(db, segment.rules);
+        if (segmentUserDocs.length === 0) {
+          return res.status(400).json({ error: 'No users currently match this segment' });
+        }
       }
-      
-      const snapshotData = rewardSnapshot.data() || {};
-      if (snapshotData.isUsed === true) {
-        throw new Error('Reward already used');
+
+      const expiresAtTimestamp = expiresAt ? admin.firestore.Timestamp.fromDate(new Date(expiresAt)) : null;
+
+      // Create gifted reward document
+      const giftedRewardRef = db.collection('giftedRewards').doc();
+      const giftedRewardData = {
+        type: targetType === 'all' ? 'broadcast' : 'individual',
+        targetUserIds: targetType === 'all' ? null : (segmentUserDocs ? segmentUserDocs.map(doc => doc.id) : userIds),
+        ...(segment && { segmentId: segment.id, segmentName: segment.name }),
+        rewardTitle: trimmedTitle,
+        rewardDescription: trimmedDescription,
+        rewardCategory: rewardCategory.trim(),
+        pointsRequired: 0, // Always free
+        imageName: imageName || null,
+        imageURL: null, // Not used for existing rewards
+        isCustom: false,
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        sentByAdminId: adminContext.uid,
+        expiresAt: expiresAtTimestamp,
+        isActive: true
+      };
+
+      await giftedRewardRef.set(giftedRewardData);
+
+      logger.info(`🎁 Admin ${adminContext.uid} sent gift reward: "${trimmedTitle}" to ${targetType === 'all' ? 'all customers' : `${giftedRewardData.targetUserIds.length} users`}`);
+
+      // Get target users
+      let targetUserIds = [];
+      if (targetType === 'all') {
+        // Get all users (excluding employees)
+        // Fetch all users and filter client-side to include those without isEmployee field
+        const pageSize = 500;
+        let lastDoc = null;
+        const allUserDocs = [];
+
+        while (true) {
+          let query = db.collection('users').limit(pageSize);
+          if (lastDoc) {
+            query = query.startAfter(lastDoc);
+          }
+
+          const pageSnapshot = await query.get();
+          if (pageSnapshot.empty) {
+            break;
+          }
+
+          // Filter to exclude employees (include if isEmployee is false or undefined)
+          for (const doc of pageSnapshot.docs) {
+            const userData = doc.data() || {};
+            if (userData.isEmployee !== true) {
+              allUserDocs.push(doc);
+            }
+          }
+
+          lastDoc = pageSnapshot.docs[pageSnapshot.docs.length - 1];
+          if (pageSnapshot.docs.length < pageSize) {
+            break;
+          }
+        }
+
+        targetUserIds = allUserDocs.map(doc => doc.id);
+        logger.info(`📋 Found ${targetUserIds.length} eligible users (excluding employees)`);
+      } else if (targetType === 'individual') {
+        targetUserIds = userIds;
       }
-      if (snapshotData.pointsRefunded === true) {
-        throw new Error('Points already refunded');
+
+      // Create notifications and send FCM push
+      const notificationPromises = [];
+      const userDocs = [];
+      const collectUserDoc = (doc) => {
+        userDocs.push({ id: doc.id, data: doc.data() || {} });
+      };
+
+      // Fetch user documents (segment members were already loaded)
+      if (segmentUserDocs) {
+        segmentUserDocs.forEach(collectUserDoc);
+      }
+      const batchSize = 30;
+      for (let i = 0; i < targetUserIds.length; i += batchSize) {
+        const batch = targetUserIds.slice(i, i + batchSize);
+        const batchSnapshot = await db.collection('users')
+          .where(admin.firestore.FieldPath.documentId(), 'in', batch)
+          .get();
+        batchSnapshot.docs.forEach(collectUserDoc);
+      }
+
+      // Create in-app notifications
+      for (const user of userDocs) {
+        const notifRef = db.collection('notifications').doc();
+        notificationPromises.push(
+          notifRef.set({
+            userId: user.id,
+            title: "You've received a gift!",
+            body: `Dumpling House sent you a free ${trimmedTitle}. Tap to claim!`,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            read: false,
+            type: 'reward_gift',
+            giftedRewardId: giftedRewardRef.id
+          })
+        );
       }
-      
-      // Update user points
-      tx.update(userRef, { points: newPointsBalance });
-      
-      // Mark reward as refunded
-      tx.update(rewardRef, { 
-        pointsRefunded: true,
-        refundedAt: admin.firestore.FieldValue.serverTimestamp()
+
+      // Send FCM push notifications
+      const pushResult = await pushGiftToUsers(db, userDocs, {
+        title: "You've received a gift!",
+        body: `Dumpling House sent you a free ${trimmedTitle}. Tap to claim!`,
+        data: { type: 'reward_gift', giftedRewardId: giftedRewardRef.id }
       });
-      
-      // Add points transaction
-      const transactionRef = db.collection('pointsTransactions').doc(pointsTransaction.id);
-      tx.set(transactionRef, pointsTransaction);
-    });
-    
-    logger.info(`✅ Auto-refunded expired reward: ${pointsRequired} points to user ${userId}`);
-    
-    return {
-      success: true,
-      pointsRefunded: pointsRequired,
-      newPointsBalance: newPointsBalance
-    };
-  }
 
-  // Refund expired reward endpoint
-  app.post('/refund-expired-reward', async (req, res) => {
+      // Wait for notification documents to be created
+      await Promise.all(notificationPromises).catch(err => {
+        logError(err, req, { operation: 'gift_reward_notifications' });
+      });
+
+      logger.info(`✅ Gift reward sent: ${userDocs.length} notifications, ${pushResult.pushTargetCount} push notifications, ${pushResult.deferredCount} deferred`);
+
+      // Return success even if no users found (gift is still created and available)
+      res.json({
+        success: true,
+        giftedRewardId: giftedRewardRef.id,
+        segmentId: segment ? segment.id : undefined,
+        notificationCount: userDocs.length,
+        pushNotificationCount: pushResult.pushTargetCount,
+        deferredPushCount: pushResult.deferredCount,
+        message: userDocs.length === 0 
+          ? 'Gift reward created but no eligible users found. Users will see it when they open the app.'
+          : undefined
+      });
+
+    } catch (error) {
+      logger.error('❌ Error sending gift reward:', error);
+      const errorMessage = error.message || error.toString();
+      res.status(500).json({ error: `Failed to send gift reward: ${errorMessage}` });
+    }
+  });
+
+  /**
+   * POST /admin/rewards/gift/custom
+   * 
+   * Send a custom reward with optional uploaded image to all customers or specific users.
+   * 
+   * Multipart form:
+   * - image: File (optional)
+   * - rewardTitle: string (required)
+   * - rewardDescription: string (required)
+   * - rewardCategory: string (required)
+   * - targetType: 'all' | 'individual' (required)
+   * - userIds: string[] (JSON string, required if targetType is 'individual')
+   * - expiresAt: string | null (ISO date string, optional)
+   */
+  app.post('/admin/rewards/gift/custom', upload.single('image'), validate(customGiftRewardSchema), async (req, res) => {
     try {
-      logger.info('💰 Received refund expired reward request');
-      logger.info('📥 Request body:', JSON.stringify(req.body, null, 2));
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const { rewardTitle, rewardDescription, rewardCategory, targetType, userIds, expiresAt } = req.body;
+      const parsedUserIds = targetType === 'individual' ? JSON.parse(userIds) : [];
+
+      const db = admin.firestore();
+      const storage = admin.storage();
       
-      // Require authenticated user
-      const userContext = await requireUser(req, res);
-      if (!userContext) return;
+      // Create giftedRewardId first (used for both image upload and document creation)
+      const giftedRewardId = db.collection('giftedRewards').doc().id;
       
-      const { rewardId, redemptionCode } = req.body;
+      // Initialize imageURL as null (will be set if image is uploaded)
+      let imageURL = null;
       
-      if (!rewardId && !redemptionCode) {
-        logger.info('❌ Missing required field: rewardId or redemptionCode');
-        return res.status(400).json({ 
-          error: 'Missing required field: rewardId or redemptionCode'
+      // Upload image to Firebase Storage if provided
+      if (req.file) {
+        const bucket = storage.bucket('dumplinghouseapp.firebasestorage.app');
+        const imageFileName = `gifted-rewards/${giftedRewardId}/image.jpg`;
+        const file = bucket.file(imageFileName);
+
+        const imageData = await fsPromises.readFile(req.file.path);
+        await file.save(imageData, {
+          metadata: {
+            contentType: 'image/jpeg',
+            metadata: {
+              uploadedBy: adminContext.uid,
+              uploadedAt: new Date().toISOString()
+            }
+          }
+        });
+
+        // Generate a signed URL that expires far in the future (10 years)
+        // This avoids the "uniform bucket-level access" error from makePublic()
+        const [signedUrl] = await file.getSignedUrl({
+          action: 'read',
+          expires: Date.now() + 10 * 365 * 24 * 60 * 60 * 1000, // 10 years
         });
+        imageURL = signedUrl;
+
+        // Clean up local file
+        await fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
+      }
+
+      const expiresAtTimestamp = expiresAt ? admin.firestore.Timestamp.fromDate(new Date(expiresAt)) : null;
+
+      // Create gifted reward document
+      const giftedRewardRef = db.collection('giftedRewards').doc(giftedRewardId);
+      const trimmedTitle = rewardTitle.trim();
+      const trimmedDescription = rewardDescription.trim();
+
+      const giftedRewardData = {
+        type: targetType === 'all' ? 'broadcast' : 'individual',
+        targetUserIds: targetType === 'all' ? null : parsedUserIds,
+        rewardTitle: trimmedTitle,
+        rewardDescription: trimmedDescription,
+        rewardCategory: rewardCategory.trim(),
+        pointsRequired: 0, // Always free
+        imageName: null, // Not used for custom rewards
+        imageURL: imageURL,
+        isCustom: true,
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        sentByAdminId: adminContext.uid,
+        expiresAt: expiresAtTimestamp,
+        isActive: true
+      };
+
+      await giftedRewardRef.set(giftedRewardData);
+
+      logger.info(`🎁 Admin ${adminContext.uid} sent custom gift reward: "${trimmedTitle}" to ${targetType === 'all' ? 'all customers' : `${parsedUserIds.length} users`}`);
+
+      // Get target users
+      let targetUserIds = [];
+      if (targetType === 'all') {
+        // Get all users (excluding employees)
+        // Fetch all users and filter client-side to include those without isEmployee field
+        const pageSize = 500;
+        let lastDoc = null;
+        const allUserDocs = [];
+
+        while (true) {
+          let query = db.collection('users').limit(pageSize);
+          if (lastDoc) {
+            query = query.startAfter(lastDoc);
+          }
+
+          const pageSnapshot = await query.get();
+          if (pageSnapshot.empty) {
+            break;
+          }
+
+          // Filter to exclude employees (include if isEmployee is false or undefined)
+          for (const doc of pageSnapshot.docs) {
+            const userData = doc.data() || {};
+            if (userData.isEmployee !== true) {
+              allUserDocs.push(doc);
+            }
+          }
+
+          lastDoc = pageSnapshot.docs[pageSnapshot.docs.length - 1];
+          if (pageSnapshot.docs.length < pageSize) {
+            break;
+          }
+        }
+
+        targetUserIds = allUserDocs.map(doc => doc.id);
+        logger.info(`📋 Found ${targetUserIds.length} eligible users (excluding employees)`);
+      } else {
+        targetUserIds = parsedUserIds;
+      }
+
+      // Create notifications and send FCM push
+      const notificationPromises = [];
+      const userDocs = [];
+
+      // Fetch user documents
+      const batchSize = 30;
+      for (let i = 0; i < targetUserIds.length; i += batchSize) {
+        const batch = targetUserIds.slice(i, i + batchSize);
+        const batchSnapshot = await db.collection('users')
+          .where(admin.firestore.FieldPath.documentId(), 'in', batch)
+          .get();
+        
+        for (const doc of batchSnapshot.docs) {
+          userDocs.push({ id: doc.id, data: doc.data() || {} });
+        }
+      }
+
+      // Create in-app notifications
+      for (const user of userDocs) {
+        const notifRef = db.collection('notifications').doc();
+        notificationPromises.push(
+          notifRef.set({
+            userId: user.id,
+            title: "You've received a gift!",
+            body: `Dumpling House sent you a free ${trimmedTitle}. Tap to claim!`,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            read: false,
+            type: 'reward_gift',
+            giftedRewardId: giftedRewardRef.id
+          })
+        );
+      }
+
+      // Send FCM push notifications
+      const pushResult = await pushGiftToUsers(db, userDocs, {
+        title: "You've received a gift!",
+        body: `Dumpling House sent you a free ${trimmedTitle}. Tap to claim!`,
+        data: { type: 'reward_gift', giftedRewardId: giftedRewardRef.id }
+      });
+
+      // Wait for notification documents to be created
+      await Promise.all(notificationPromises).catch(err => {
+        logError(err, req, { operation: 'gift_reward_notifications' });
+      });
+
+      logger.info(`✅ Custom gift reward sent: ${userDocs.length} notifications, ${pushResult.pushTargetCount} push notifications, ${pushResult.deferredCount} deferred`);
+
+      // Return success even if no users found (gift is still created and available)
+      res.json({
+        success: true,
+        giftedRewardId: giftedRewardRef.id,
+        imageURL: imageURL,
+        notificationCount: userDocs.length,
+        pushNotificationCount: pushResult.pushTargetCount,
+        deferredPushCount: pushResult.deferredCount,
+        message: userDocs.length === 0 
+          ? 'Custom gift reward created but no eligible users found. Users will see it when they open the app.'
+          : undefined
+      });
+
+    } catch (error) {
+      logger.error('❌ Error sending custom gift reward:', error);
+      // Clean up uploaded file if it still exists
+      if (req.file && fs.existsSync(req.file.path)) {
+        fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
+      }
+      const errorMessage = error.message || error.toString();
+      res.status(500).json({ error: `Failed to send custom gift reward: ${errorMessage}` });
+    }
+  });
+
+  /**
+   * GET /me/gifted-rewards
+   * 
+   * Get user's available gifted rewards (unclaimed broadcast rewards + individual gifts)
+   */
+  app.get('/me/gifted-rewards', async (req, res) => {
+    try {
+      const authHeader = req.headers.authorization || '';
+      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+      if (!token) {
+        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
       }
-      
+
+      let uid;
+      try {
+        const decoded = await admin.auth().verifyIdToken(token);
+        uid = decoded.uid;
+      } catch (e) {
+        return res.status(401).json({ error: 'Invalid auth token' });
+      }
+
       const db = admin.firestore();
-      let rewardRef;
-      let rewardDoc;
+      const now = admin.firestore.Timestamp.now();
+
+      // Get broadcast gifts (active, not expired, not yet claimed by this user)
+      const broadcastGiftsSnapshot = await db.collection('giftedRewards')
+        .where('type', '==', 'broadcast')
+        .where('isActive', '==', true)
+        .get();
+
+      // Get individual gifts for this user
+      const individualGiftsSnapshot = await db.collection('giftedRewards')
+        .where('type', '==', 'individual')
+        .where('targetUserIds', 'array-contains', uid)
+        .where('isActive', '==', true)
+        .get();
+
+      // Get user's existing claims
+      const claimsSnapshot = await db.collection('giftedRewardClaims')
+        .where('userId', '==', uid)
+        .get();
+
+      // Build a map of giftedRewardId -> array of redeemedRewardIds (handle multiple claims)
+      // Also track gifts with claims that have no redeemedRewardId (treat as claimed to be safe)
+      const claimMap = new Map();
+      const giftsWithInvalidClaims = new Set();
       
-      // Find reward by ID or redemption code
-      if (rewardId) {
-        rewardRef = db.collection('redeemedRewards').doc(rewardId);
-        rewardDoc = await rewardRef.get();
-      } else {
-        // Find by redemption code
-        const snapshot = await db
-          .collection('redeemedRewards')
-          .where('redemptionCode', '==', redemptionCode)
-          .limit(1)
-          .get();
-        
-        if (snapshot.empty) {
-          logger.info('❌ Reward not found with redemption code:', redemptionCode);
-          return res.status(404).json({ error: 'Reward not found' });
+      for (const doc of claimsSnapshot.docs) {
+        const data = doc.data();
+        if (data.giftedRewardId) {
+          if (data.redeemedRewardId) {
+            // Valid claim with redeemedRewardId
+            if (!claimMap.has(data.giftedRewardId)) {
+              claimMap.set(data.giftedRewardId, []);
+            }
+            claimMap.get(data.giftedRewardId).push(data.redeemedRewardId);
+          } else {
+            // Claim exists but no redeemedRewardId - treat as claimed to be safe
+            giftsWithInvalidClaims.add(data.giftedRewardId);
+          }
         }
-        
-        rewardRef = snapshot.docs[0].ref;
-        rewardDoc = snapshot.docs[0];
       }
-      
-      if (!rewardDoc.exists) {
-        logger.info('❌ Reward document not found');
-        return res.status(404).json({ error: 'Reward not found' });
+
+      // Collect all redeemedRewardIds and batch fetch them
+      const allRedeemedRewardIds = [];
+      for (const redeemedRewardIds of claimMap.values()) {
+        allRedeemedRewardIds.push(...redeemedRewardIds);
       }
-      
-      const data = rewardDoc.data() || {};
-      const expiresAt = parseFirestoreDate(data.expiresAt);
-      const isExpired = data.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
-      const isUsed = data.isUsed === true;
-      const pointsRefunded = data.pointsRefunded === true;
-      
-      // Validate that reward is eligible for refund
-      if (isUsed) {
-        logger.info('❌ Reward already used, cannot refund');
-        return res.status(400).json({ 
-          error: 'Reward already used, cannot refund',
-          status: 'already_used'
-        });
+      const redeemedRewardsMap = new Map();
+
+      if (allRedeemedRewardIds.length > 0) {
+        // Firestore 'in' query supports up to 30 items, so batch if needed
+        const batchSize = 30;
+        for (let i = 0; i < allRedeemedRewardIds.length; i += batchSize) {
+          const batch = allRedeemedRewardIds.slice(i, i + batchSize);
+          const redeemedSnapshot = await db.collection('redeemedRewards')
+            .where(admin.firestore.FieldPath.documentId(), 'in', batch)
+            .get();
+          
+          for (const redeemedDoc of redeemedSnapshot.docs) {
+            redeemedRewardsMap.set(redeemedDoc.id, redeemedDoc.data());
+          }
+        }
       }
+
+      // Build claimedGiftIds set - only include gifts where ANY redemption was used OR is still active
+      // Start with gifts that have invalid claims (no redeemedRewardId)
+      const claimedGiftIds = new Set(giftsWithInvalidClaims);
       
-      if (!isExpired) {
-        logger.info('❌ Reward not expired yet, cannot refund');
-        return res.status(400).json({ 
-          error: 'Reward not expired yet, cannot refund',
-          status: 'not_expired'
-        });
+      for (const [giftId, redeemedRewardIds] of claimMap.entries()) {
+        let hasActiveOrUsedRedemption = false;
+        
+        for (const redeemedRewardId of redeemedRewardIds) {
+          const rewardData = redeemedRewardsMap.get(redeemedRewardId);
+          
+          if (!rewardData) {
+            // Reward document doesn't exist - treat as claimed to be safe
+            hasActiveOrUsedRedemption = true;
+            break;
+          }
+          
+          const isUsed = rewardData.isUsed === true;
+          const expiresAt = parseFirestoreDate(rewardData.expiresAt);
+          const isExpired = rewardData.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
+          
+          // If ANY redemption was used OR is still active, mark gift as claimed
+          if (isUsed || !isExpired) {
+            hasActiveOrUsedRedemption = true;
+            break;
+          }
+        }
+        
+        // Only mark as claimed if at least one redemption was used or is still active
+        if (hasActiveOrUsedRedemption) {
+          claimedGiftIds.add(giftId);
+        }
+        // If all redemptions expired unused, the gift will reappear (giftId not added to set)
       }
-      
-      if (pointsRefunded) {
-        logger.info('✅ Points already refunded for this reward');
-        return res.json({ 
-          success: true,
-          message: 'Points already refunded',
-          alreadyRefunded: true,
-          pointsRefunded: data.pointsRequired || 0
+
+      // Filter and combine gifts
+      const availableGifts = [];
+
+      // Process broadcast gifts
+      for (const doc of broadcastGiftsSnapshot.docs) {
+        const data = doc.data();
+        const giftId = doc.id;
+
+        // Skip if already claimed
+        if (claimedGiftIds.has(giftId)) {
+          continue;
+        }
+
+        // Skip if this user was revoked (v1.1 admin revoke)
+        const revokedUserIds = data.revokedUserIds || [];
+        if (revokedUserIds.includes(uid)) {
+          continue;
+        }
+
+        // Check expiration
+        if (data.expiresAt) {
+          const expiresAt = data.expiresAt.toDate();
+          if (expiresAt < new Date()) {
+            continue; // Expired
+          }
+        }
+
+        availableGifts.push({
+          id: giftId,
+          type: data.type || 'broadcast',
+          targetUserIds: data.targetUserIds || null,
+          rewardTitle: data.rewardTitle || '',
+          rewardDescription: data.rewardDescription || '',
+          rewardCategory: data.rewardCategory || '',
+          pointsRequired: data.pointsRequired || 0,
+          imageName: data.imageName || null,
+          imageURL: data.imageURL || null,
+          isCustom: data.isCustom || false,
+          sentByAdminId: data.sentByAdminId || '',
+          isActive: data.isActive !== false,
+          sentAt: data.sentAt ? data.sentAt.toDate().toISOString() : null,
+          expiresAt: data.expiresAt ? data.expiresAt.toDate().toISOString() : null
         });
       }
-      
-      const userId = data.userId;
-      const pointsRequired = data.pointsRequired || 0;
-      
-      if (!userId || pointsRequired <= 0) {
-        logger.info('❌ Invalid reward data: missing userId or pointsRequired');
-        return res.status(400).json({ error: 'Invalid reward data' });
-      }
-      
-      // Verify user can only refund their own rewards
-      if (userId !== userContext.uid) {
-        logger.info('❌ User attempted to refund another user\'s reward');
-        return res.status(403).json({ error: 'You can only refund your own rewards' });
-      }
-      
-      // Get user's current points
-      const userRef = db.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      
-      if (!userDoc.exists) {
-        logger.info('❌ User not found:', userId);
-        return res.status(404).json({ error: 'User not found' });
-      }
-      
-      // Use helper function to perform refund
-      const refundResult = await refundExpiredReward(rewardRef, data, db);
-      
-      if (refundResult.alreadyRefunded) {
-        return res.json({ 
-          success: true,
-          message: 'Points already refunded',
-          alreadyRefunded: true,
-          pointsRefunded: data.pointsRequired || 0
+
+      // Process individual gifts
+      for (const doc of individualGiftsSnapshot.docs) {
+        const data = doc.data();
+        const giftId = doc.id;
+
+        // Skip if already claimed
+        if (claimedGiftIds.has(giftId)) {
+          continue;
+        }
+
+        // Check expiration
+        if (data.expiresAt) {
+          const expiresAt = data.expiresAt.toDate();
+          if (expiresAt < new Date()) {
+            continue; // Expired
+          }
+        }
+
+        availableGifts.push({
+          id: giftId,
+          type: data.type || 'individual',
+          targetUserIds: data.targetUserIds || null,
+          rewardTitle: data.rewardTitle || '',
+          rewardDescription: data.rewardDescription || '',
+          rewardCategory: data.rewardCategory || '',
+          pointsRequired: data.pointsRequired || 0,
+          imageName: data.imageName || null,
+          imageURL: data.imageURL || null,
+          isCustom: data.isCustom || false,
+          sentByAdminId: data.sentByAdminId || '',
+          isActive: data.isActive !== false,
+          sentAt: data.sentAt ? data.sentAt.toDate().toISOString() : null,
+          expiresAt: data.expiresAt ? data.expiresAt.toDate().toISOString() : null
         });
       }
-      
-      res.json({
-        success: true,
-        pointsRefunded: refundResult.pointsRefunded,
-        newPointsBalance: refundResult.newPointsBalance,
-        rewardTitle: data.rewardTitle || null,
-        message: 'Points refunded successfully'
+
+      // Sort by sentAt (newest first)
+      availableGifts.sort((a, b) => {
+        const aTime = a.sentAt ? new Date(a.sentAt).getTime() : 0;
+        const bTime = b.sentAt ? new Date(b.sentAt).getTime() : 0;
+        return bTime - aTime;
       });
-      
+
+      res.json({ gifts: availableGifts });
+
     } catch (error) {
-      logger.error('❌ Error refunding expired reward:', error);
-      res.status(500).json({ 
-        error: 'Failed to refund expired reward',
-        details: error.message 
-      });
+      logger.error('❌ Error fetching gifted rewards:', error);
+      res.status(500).json({ error: 'Failed to fetch gifted rewards' });
     }
   });
 
-  // Validate a reward code (no mutation; used to show confirmation UI)
-  app.post('/admin/rewards/validate', async (req, res) => {
+  /**
+   * GET /admin/users/:userId/gifted-rewards
+   * Admin only. Returns the same gifted-rewards list that the given user would see from /me/gifted-rewards.
+   */
+  app.get('/admin/users/:userId/gifted-rewards', async (req, res) => {
     try {
-      const staffContext = await requireStaff(req, res);
-      if (!staffContext) return;
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      const redemptionCode = (req.body?.redemptionCode || '').toString().trim();
-      if (!/^\d{8}$/.test(redemptionCode)) {
-        return res.status(400).json({ error: 'Invalid redemptionCode. Expected 8 digits.' });
+      const targetUserId = (req.params.userId || '').toString().trim();
+      if (!targetUserId) {
+        return res.status(400).json({ error: 'userId is required' });
       }
 
       const db = admin.firestore();
-      const snapshot = await db
-        .collection('redeemedRewards')
-        .where('redemptionCode', '==', redemptionCode)
-        .limit(10)
+      const uid = targetUserId;
+
+      // Get broadcast gifts (active, not expired)
+      const broadcastGiftsSnapshot = await db.collection('giftedRewards')
+        .where('type', '==', 'broadcast')
+        .where('isActive', '==', true)
         .get();
 
-      const bestDoc = pickBestRedeemedRewardDoc(snapshot);
-      if (!bestDoc) {
-        return res.json({ status: 'not_found' });
+      // Get individual gifts for this user
+      const individualGiftsSnapshot = await db.collection('giftedRewards')
+        .where('type', '==', 'individual')
+        .where('targetUserIds', 'array-contains', uid)
+        .where('isActive', '==', true)
+        .get();
+
+      // Get user's existing claims
+      const claimsSnapshot = await db.collection('giftedRewardClaims')
+        .where('userId', '==', uid)
+        .get();
+
+      const claimMap = new Map();
+      const giftsWithInvalidClaims = new Set();
+      for (const doc of claimsSnapshot.docs) {
+        const data = doc.data();
+        if (data.giftedRewardId) {
+          if (data.redeemedRewardId) {
+            if (!claimMap.has(data.giftedRewardId)) {
+              claimMap.set(data.giftedRewardId, []);
+            }
+            claimMap.get(data.giftedRewardId).push(data.redeemedRewardId);
+          } else {
+            giftsWithInvalidClaims.add(data.giftedRewardId);
+          }
+        }
       }
 
-      const data = bestDoc.data() || {};
-      const expiresAt = parseFirestoreDate(data.expiresAt);
-      const redeemedAt = parseFirestoreDate(data.redeemedAt);
-      const status = rewardStatusFromData(data);
+      const allRedeemedRewardIds = [];
+      for (const redeemedRewardIds of claimMap.values()) {
+        allRedeemedRewardIds.push(...redeemedRewardIds);
+      }
+      const redeemedRewardsMap = new Map();
+      if (allRedeemedRewardIds.length > 0) {
+        const batchSize = 30;
+        for (let i = 0; i < allRedeemedRewardIds.length; i += batchSize) {
+          const batch = allRedeemedRewardIds.slice(i, i + batchSize);
+          const redeemedSnapshot = await db.collection('redeemedRewards')
+            .where(admin.firestore.FieldPath.documentId(), 'in', batch)
+            .get();
+          for (const redeemedDoc of redeemedSnapshot.docs) {
+            redeemedRewardsMap.set(redeemedDoc.id, redeemedDoc.data());
+          }
+        }
+      }
 
-      // Auto-refund if expired and not already refunded
-      if (status === 'expired' && data.isUsed !== true && data.pointsRefunded !== true) {
-        try {
-          await refundExpiredReward(bestDoc.ref, data, db);
-        } catch (error) {
-          logger.error('⚠️ Error auto-refunding expired reward during validate:', error);
-          // Continue with response even if refund fails
+      const claimedGiftIds = new Set(giftsWithInvalidClaims);
+      for (const [giftId, redeemedRewardIds] of claimMap.entries()) {
+        let hasActiveOrUsedRedemption = false;
+        for (const redeemedRewardId of redeemedRewardIds) {
+          const rewardData = redeemedRewardsMap.get(redeemedRewardId);
+          if (!rewardData) {
+            hasActiveOrUsedRedemption = true;
+            break;
+          }
+          const isUsed = rewardData.isUsed === true;
+          const expiresAt = parseFirestoreDate(rewardData.expiresAt);
+          const isExpired = rewardData.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
+          if (isUsed || !isExpired) {
+            hasActiveOrUsedRedemption = true;
+            break;
+          }
+        }
+        if (hasActiveOrUsedRedemption) {
+          claimedGiftIds.add(giftId);
         }
       }
 
-      let customerName = null;
-      if (data.userId) {
-        const userDoc = await db.collection('users').doc(data.userId).get();
-        if (userDoc.exists) {
-          customerName = userDoc.data().firstName || null;
+      const availableGifts = [];
+
+      for (const doc of broadcastGiftsSnapshot.docs) {
+        const data = doc.data();
+        const giftId = doc.id;
+        if (claimedGiftIds.has(giftId)) continue;
+        const revokedUserIds = data.revokedUserIds || [];
+        if (revokedUserIds.includes(uid)) continue;
+        if (data.expiresAt) {
+          const expiresAt = data.expiresAt.toDate();
+          if (expiresAt < new Date()) continue;
         }
+        availableGifts.push({
+          id: giftId,
+          type: data.type || 'broadcast',
+          targetUserIds: data.targetUserIds || null,
+          rewardTitle: data.rewardTitle || '',
+          rewardDescription: data.rewardDescription || '',
+          rewardCategory: data.rewardCategory || '',
+          pointsRequired: data.pointsRequired || 0,
+          imageName: data.imageName || null,
+          imageURL: data.imageURL || null,
+          isCustom: data.isCustom || false,
+          sentByAdminId: data.sentByAdminId || '',
+          isActive: data.isActive !== false,
+          sentAt: data.sentAt ? data.sentAt.toDate().toISOString() : null,
+          expiresAt: data.expiresAt ? data.expiresAt.toDate().toISOString() : null
+        });
       }
 
-      return res.json({
-        status: status,
-        reward: {
-          id: bestDoc.id,
-          userId: data.userId || null,
-          customerName: customerName,
-          rewardTitle: data.rewardTitle || null,
-          rewardDescription: data.rewardDescription || null,
-          rewardCategory: data.rewardCategory || null,
-          pointsRequired: typeof data.pointsRequired === 'number' ? data.pointsRequired : null,
-          redemptionCode: data.redemptionCode || null,
-          redeemedAt: redeemedAt ? redeemedAt.toISOString() : null,
-          expiresAt: expiresAt ? expiresAt.toISOString() : null,
-          isUsed: data.isUsed === true,
-          isExpired: data.isExpired === true || (expiresAt ? expiresAt <= new Date() : false),
-          selectedItemId: data.selectedItemId || null,
-          selectedItemName: data.selectedItemName || null,
-          selectedToppingId: data.selectedToppingId || null,    // NEW: For drink rewards
-          selectedToppingName: data.selectedToppingName || null, // NEW: For drink rewards
-          selectedItemId2: data.selectedItemId2 || null,        // NEW: For half-and-half
-          selectedItemName2: data.selectedItemName2 || null,    // NEW: For half-and-half
-          cookingMethod: data.cookingMethod || null,            // NEW: For dumpling rewards
-          drinkType: data.drinkType || null,                     // NEW: For Lemonade/Soda rewards
-          selectedDrinkItemId: data.selectedDrinkItemId || null, // NEW: For Full Combo
-          selectedDrinkItemName: data.selectedDrinkItemName || null, // NEW: For Full Combo
-          iceLevel: data.iceLevel || null,
-          sugarLevel: data.sugarLevel || null
+      for (const doc of individualGiftsSnapshot.docs) {
+        const data = doc.data();
+        const giftId = doc.id;
+        if (claimedGiftIds.has(giftId)) continue;
+        if (data.expiresAt) {
+          const expiresAt = data.expiresAt.toDate();
+          if (expiresAt < new Date()) continue;
         }
+        availableGifts.push({
+          id: giftId,
+          type: data.type || 'individual',
+          targetUserIds: data.targetUserIds || null,
+          rewardTitle: data.rewardTitle || '',
+          rewardDescription: data.rewardDescription || '',
+          rewardCategory: data.rewardCategory || '',
+          pointsRequired: data.pointsRequired || 0,
+          imageName: data.imageName || null,
+          imageURL: data.imageURL || null,
+          isCustom: data.isCustom || false,
+          sentByAdminId: data.sentByAdminId || '',
+          isActive: data.isActive !== false,
+          sentAt: data.sentAt ? data.sentAt.toDate().toISOString() : null,
+          expiresAt: data.expiresAt ? data.expiresAt.toDate().toISOString() : null
+        });
+      }
+
+      availableGifts.sort((a, b) => {
+        const aTime = a.sentAt ? new Date(a.sentAt).getTime() : 0;
+        const bTime = b.sentAt ? new Date(b.sentAt).getTime() : 0;
+        return bTime - aTime;
       });
+
+      res.json({ gifts: availableGifts });
+    } catch (error) {
+      logger.error('❌ Error fetching admin gifted rewards for user:', error);
+      res.status(500).json({ error: 'Failed to fetch gifted rewards' });
+    }
+  });
+
+  /**
+   * POST /admin/gifted-rewards/:giftedRewardId/revoke
+   * Admin only. Revoke a gifted reward for a specific user (they will no longer see it).
+   * Body: { "userId": "<targetUserId>" }
+   */
+  app.post('/admin/gifted-rewards/:giftedRewardId/revoke', validate(giftRevokeSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const giftedRewardId = (req.params.giftedRewardId || '').toString().trim();
+      if (!giftedRewardId) {
+        return res.status(400).json({ error: 'giftedRewardId is required' });
+      }
+
+      const { userId } = req.body;
+
+      const db = admin.firestore();
+      const giftRef = db.collection('giftedRewards').doc(giftedRewardId);
+      const giftSnap = await giftRef.get();
+      if (!giftSnap.exists) {
+        return res.status(404).json({ error: 'Gift reward not found' });
+      }
+
+      const data = giftSnap.data();
+      const type = (data.type || 'broadcast').toLowerCase();
+
+      if (type === 'individual') {
+        await giftRef.update({
+          targetUserIds: admin.firestore.FieldValue.arrayRemove(userId)
+        });
+      } else {
+        await giftRef.update({
+          revokedUserIds: admin.firestore.FieldValue.arrayUnion(userId)
+        });
+      }
+
+      logger.info(`🎁 Admin ${adminContext.uid} revoked gift ${giftedRewardId} for user ${userId}`);
+      res.status(200).json({ ok: true, message: 'Gift revoked' });
     } catch (error) {
-      logger.error('❌ Error validating reward code:', error);
-      return res.status(500).json({ error: 'Failed to validate reward code' });
+      logger.error('❌ Error revoking gifted reward:', error);
+      res.status(500).json({ error: 'Failed to revoke gift' });
     }
   });
 
-  // Consume a reward code (atomic: re-check + mark used)
-  app.post('/admin/rewards/consume', async (req, res) => {
+  /**
+   * POST /rewards/claim-gift
+   * 
+   * Claim a gifted reward and create a redeemed reward entry
+   * 
+   * Request body:
+   * {
+   *   giftedRewardId: string (required)
+   *   selectedItemId?: string
+   *   selectedItemName?: string
+   *   selectedToppingId?: string
+   *   selectedToppingName?: string
+   *   selectedItemId2?: string
+   *   selectedItemName2?: string
+   *   cookingMethod?: string
+   *   drinkType?: string
+   *   selectedDrinkItemId?: string
+   *   selectedDrinkItemName?: string
+   * }
+   */
+  app.post('/rewards/claim-gift', validate(claimGiftSchema), async (req, res) => {
     try {
-      const staffContext = await requireStaff(req, res);
-      if (!staffContext) return;
+      const authHeader = req.headers.authorization || '';
+      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+      if (!token) {
+        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+      }
 
-      const redemptionCode = (req.body?.redemptionCode || '').toString().trim();
-      if (!/^\d{8}$/.test(redemptionCode)) {
-        return res.status(400).json({ error: 'Invalid redemptionCode. Expected 8 digits.' });
+      let uid;
+      try {
+        const decoded = await admin.auth().verifyIdToken(token);
+        uid = decoded.uid;
+      } catch (e) {
+        return res.status(401).json({ error: 'Invalid auth token' });
       }
 
+      const { giftedRewardId, selectedItemId, selectedItemName, selectedToppingId, selectedToppingName, 
+              selectedItemId2, selectedItemName2, cookingMethod, drinkType, selectedDrinkItemId, selectedDrinkItemName,
+              iceLevel, sugarLevel } = req.body;
+
       const db = admin.firestore();
-      // Find candidate doc (outside transaction); transaction will re-check before mutation.
-      const snapshot = await db
-        .collection('redeemedRewards')
-        .where('redemptionCode', '==', redemptionCode)
-        .limit(10)
-        .get();
 
-      const bestDoc = pickBestRedeemedRewardDoc(snapshot);
-      if (!bestDoc) {
-        return res.json({ status: 'not_found' });
+      // Verify gift exists and is available
+      const giftDoc = await db.collection('giftedRewards').doc(giftedRewardId).get();
+      if (!giftDoc.exists) {
+        return res.status(404).json({ error: 'Gift reward not found' });
       }
 
-      const rewardRef = bestDoc.ref;
-      const staffUid = staffContext.uid;
-      const staffEmail = staffContext.userData?.email || null;
-      const staffRole = staffContext.userData?.isAdmin === true ? 'admin' : 'employee';
-
-      const preData = bestDoc.data() || {};
-      let customerName = null;
-      if (preData.userId) {
-        const userDoc = await db.collection('users').doc(preData.userId).get();
-        if (userDoc.exists) {
-          customerName = userDoc.data().firstName || null;
-        }
+      const giftData = giftDoc.data();
+      
+      // Check if active
+      if (!giftData.isActive) {
+        return res.status(400).json({ error: 'Gift reward is no longer active' });
       }
 
-      const result = await db.runTransaction(async (tx) => {
-        const doc = await tx.get(rewardRef);
-        if (!doc.exists) {
-          return { status: 'not_found' };
+      // Check expiration
+      if (giftData.expiresAt) {
+        const expiresAt = giftData.expiresAt.toDate();
+        if (expiresAt < new Date()) {
+          return res.status(400).json({ error: 'Gift reward has expired' });
         }
+      }
 
-        const data = doc.data() || {};
-        const expiresAt = parseFirestoreDate(data.expiresAt);
-        const redeemedAt = parseFirestoreDate(data.redeemedAt);
-        const status = rewardStatusFromData(data);
+      // Check if already claimed - but allow re-claiming if ALL previous redemptions expired unused
+      const existingClaims = await db.collection('giftedRewardClaims')
+        .where('giftedRewardId', '==', giftedRewardId)
+        .where('userId', '==', uid)
+        .get();
 
-        if (status === 'already_used') {
-          return {
-            status,
-            reward: {
-              id: doc.id,
-              userId: data.userId || null,
-              rewardTitle: data.rewardTitle || null,
-              rewardCategory: data.rewardCategory || null,
-              pointsRequired: typeof data.pointsRequired === 'number' ? data.pointsRequired : null,
-              redemptionCode: data.redemptionCode || null,
-              redeemedAt: redeemedAt ? redeemedAt.toISOString() : null,
-              expiresAt: expiresAt ? expiresAt.toISOString() : null,
-              isUsed: true,
-              isExpired: data.isExpired === true || (expiresAt ? expiresAt <= new Date() : false),
-              selectedItemId: data.selectedItemId || null,
-              selectedItemName: data.selectedItemName || null,
-              selectedToppingId: data.selectedToppingId || null,
-              selectedToppingName: data.selectedToppingName || null,
-              selectedItemId2: data.selectedItemId2 || null,
-              selectedItemName2: data.selectedItemName2 || null,
-              cookingMethod: data.cookingMethod || null,
-              drinkType: data.drinkType || null,
-              selectedDrinkItemId: data.selectedDrinkItemId || null,
-              selectedDrinkItemName: data.selectedDrinkItemName || null,
-              iceLevel: data.iceLevel || null,
-              sugarLevel: data.sugarLevel || null
+      if (!existingClaims.empty) {
+        // Check all existing claims to see if any have an active or used redemption
+        // First, collect all redeemedRewardIds and batch fetch them
+        const redeemedRewardIds = [];
+        const claimsWithoutRedeemedReward = [];
+        
+        for (const claimDoc of existingClaims.docs) {
+          const claimData = claimDoc.data();
+          const redeemedRewardId = claimData.redeemedRewardId;
+          
+          if (!redeemedRewardId) {
+            // No redeemedRewardId - treat as claimed to be safe
+            claimsWithoutRedeemedReward.push(claimDoc);
+          } else {
+            redeemedRewardIds.push(redeemedRewardId);
+          }
+        }
+        
+        // If any claim has no redeemedRewardId, block re-claiming
+        if (claimsWithoutRedeemedReward.length > 0) {
+          return res.status(400).json({ error: 'Gift reward already claimed' });
+        }
+        
+        // Batch fetch all redeemed rewards
+        const redeemedRewardsMap = new Map();
+        if (redeemedRewardIds.length > 0) {
+          // Firestore 'in' query supports up to 30 items
+          const batchSize = 30;
+          for (let i = 0; i < redeemedRewardIds.length; i += batchSize) {
+            const batch = redeemedRewardIds.slice(i, i + batchSize);
+            const redeemedSnapshot = await db.collection('redeemedRewards')
+              .where(admin.firestore.FieldPath.documentId(), 'in', batch)
+              .get();
+            
+            for (const redeemedDoc of redeemedSnapshot.docs) {
+              redeemedRewardsMap.set(redeemedDoc.id, redeemedDoc.data());
             }
-          };
+          }
         }
-
-        if (status === 'expired') {
-          // Mark expired for consistency
-          tx.update(rewardRef, { isExpired: true });
+        
+        // Check each redemption status
+        let hasActiveOrUsedRedemption = false;
+        for (const redeemedRewardId of redeemedRewardIds) {
+          const rewardData = redeemedRewardsMap.get(redeemedRewardId);
           
-          // Note: Refund will be handled after transaction commits
-          // We can't do async refund inside transaction, so we'll do it after
-          return {
-            status,
-            reward: {
-              id: doc.id,
-              userId: data.userId || null,
-              rewardTitle: data.rewardTitle || null,
-              rewardCategory: data.rewardCategory || null,
-              pointsRequired: typeof data.pointsRequired === 'number' ? data.pointsRequired : null,
-              redemptionCode: data.redemptionCode || null,
-              redeemedAt: redeemedAt ? redeemedAt.toISOString() : null,
-              expiresAt: expiresAt ? expiresAt.toISOString() : null,
-              isUsed: data.isUsed === true,
-              isExpired: true,
-              selectedItemId: data.selectedItemId || null,
-              selectedItemName: data.selectedItemName || null,
-              selectedToppingId: data.selectedToppingId || null,
-              selectedToppingName: data.selectedToppingName || null,
-              selectedItemId2: data.selectedItemId2 || null,
-              selectedItemName2: data.selectedItemName2 || null,
-              cookingMethod: data.cookingMethod || null,
-              drinkType: data.drinkType || null,
-              selectedDrinkItemId: data.selectedDrinkItemId || null,
-              selectedDrinkItemName: data.selectedDrinkItemName || null,
-              iceLevel: data.iceLevel || null,
-              sugarLevel: data.sugarLevel || null
-            },
-            needsRefund: data.pointsRefunded !== true // Flag to trigger refund after transaction
-          };
-        }
-
-        // OK -> consume
-        tx.update(rewardRef, {
-          isUsed: true,
-          usedAt: admin.firestore.FieldValue.serverTimestamp(),
-          usedBy: staffUid,
-          usedByEmail: staffEmail,
-          usedByRole: staffRole
-        });
-
-        return {
-          status: 'ok',
-          reward: {
-            id: doc.id,
-            userId: data.userId || null,
-            rewardTitle: data.rewardTitle || null,
-            rewardDescription: data.rewardDescription || null,
-            rewardCategory: data.rewardCategory || null,
-            pointsRequired: typeof data.pointsRequired === 'number' ? data.pointsRequired : null,
-            redemptionCode: data.redemptionCode || null,
-            redeemedAt: redeemedAt ? redeemedAt.toISOString() : null,
-            expiresAt: expiresAt ? expiresAt.toISOString() : null,
-            isUsed: true,
-            isExpired: false,
-            selectedItemId: data.selectedItemId || null,
-            selectedItemName: data.selectedItemName || null,
-            selectedToppingId: data.selectedToppingId || null,
-            selectedToppingName: data.selectedToppingName || null,
-            selectedItemId2: data.selectedItemId2 || null,
-            selectedItemName2: data.selectedItemName2 || null,
-            cookingMethod: data.cookingMethod || null,
-            drinkType: data.drinkType || null,
-            selectedDrinkItemId: data.selectedDrinkItemId || null,
-            selectedDrinkItemName: data.selectedDrinkItemName || null,
-            iceLevel: data.iceLevel || null,
-            sugarLevel: data.sugarLevel || null
+          if (!rewardData) {
+            // Redeemed reward doesn't exist - treat as claimed to be safe
+            hasActiveOrUsedRedemption = true;
+            break;
           }
-        };
-      });
-
-      // Auto-refund if expired and not already refunded
-      if (result.status === 'expired' && result.needsRefund) {
-        try {
-          // Re-fetch the reward data after transaction
-          const rewardDoc = await rewardRef.get();
-          if (rewardDoc.exists) {
-            const rewardData = rewardDoc.data() || {};
-            await refundExpiredReward(rewardRef, rewardData, db);
+          
+          const isUsed = rewardData.isUsed === true;
+          const expiresAt = parseFirestoreDate(rewardData.expiresAt);
+          const isExpired = rewardData.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
+          
+          // If this redemption was used OR is still active, block re-claiming
+          if (isUsed || !isExpired) {
+            hasActiveOrUsedRedemption = true;
+            break;
           }
-        } catch (error) {
-          logger.error('⚠️ Error auto-refunding expired reward during consume:', error);
-          // Continue with response even if refund fails
         }
+        
+        // If any redemption is active or used, block re-claiming
+        if (hasActiveOrUsedRedemption) {
+          return res.status(400).json({ error: 'Gift reward already claimed' });
+        }
+        // If all redemptions expired unused, allow re-claiming (continue)
       }
 
-      // Remove needsRefund flag from response
-      if (result.needsRefund) {
-        delete result.needsRefund;
-      }
-
-      if (result.reward) {
-        result.reward.customerName = customerName;
-      }
-      return res.json(result);
-    } catch (error) {
-      logger.error('❌ Error consuming reward code:', error);
-      return res.status(500).json({ error: 'Failed to consume reward code' });
-    }
-  });
-
-  // ---------------------------------------------------------------------------
-  // Admin Gift Rewards - Send Rewards to Customers
-  // ---------------------------------------------------------------------------
-
-  /**
-   * POST /admin/rewards/gift
-   * 
-   * Send an existing reward to all customers or specific users.
-   * 
-   * Request body:
-   * {
-   *   rewardTitle: string (required)
-   *   rewardDescription: string (required)
-   *   rewardCategory: string (required)
-   *   imageName: string | null (for existing rewards)
-   *   targetType: 'all' | 'individual' (required)
-   *   userIds: string[] (required if targetType is 'individual')
-   *   expiresAt: string | null (ISO date string, optional)
-   * }
-   */
-  app.post('/admin/rewards/gift', async (req, res) => {
-    try {
-      const adminContext = await requireAdmin(req, res);
-      if (!adminContext) return;
-
-      const { rewardTitle, rewardDescription, rewardCategory, imageName, targetType, userIds, expiresAt } = req.body;
-
-      // Validate required fields
-      if (!rewardTitle || typeof rewardTitle !== 'string' || rewardTitle.trim().length === 0) {
-        return res.status(400).json({ error: 'rewardTitle is required' });
-      }
+      // Generate redemption code (8 digits)
+      const redemptionCode = Math.floor(10000000 + Math.random() * 90000000).toString();
 
-      if (!rewardDescription || typeof rewardDescription !== 'string' || rewardDescription.trim().length === 0) {
-        return res.status(400).json({ error: 'rewardDescription is required' });
-      }
+      // Expiration follows the per-category TTL (config/rewardRedemption)
+      const ttlMinutes = ttlMinutesFor(await getRewardRedemptionConfig(db), giftData.rewardCategory);
+      const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
 
-      if (!rewardCategory || typeof rewardCategory !== 'string' || rewardCategory.trim().length === 0) {
-        return res.status(400).json({ error: 'rewardCategory is required' });
-      }
+      // Create redeemed reward entry (same structure as regular redemption)
+      const redeemedRewardRef = db.collection('redeemedRewards').doc();
+      const qrPayload = REDEMPTION_QR_SECRET
+        ? signRedemptionQr({ rewardId: redeemedRewardRef.id, redemptionCode }, REDEMPTION_QR_SECRET)
+        : null;
+      const redeemedReward = {
+        id: redeemedRewardRef.id,
+        userId: uid,
+        rewardTitle: giftData.rewardTitle,
+        rewardDescription: giftData.rewardDescription,
+        rewardCategory: giftData.rewardCategory,
+        pointsRequired: 0, // Free gift
+        redemptionCode: redemptionCode,
+        ...(qrPayload && { qrPayload }),
+        redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+        ttlMinutes,
+        isExpired: false,
+        isUsed: false,
+        deletedByAdmin: false,
+        selectedItemId: selectedItemId || null,
+        selectedItemName: selectedItemName || null,
+        selectedToppingId: selectedToppingId || null,
+        selectedToppingName: selectedToppingName || null,
+        selectedItemId2: selectedItemId2 || null,
+        selectedItemName2: selectedItemName2 || null,
+        cookingMethod: cookingMethod || null,
+        drinkType: drinkType || null,
+        selectedDrinkItemId: selectedDrinkItemId || null,
+        selectedDrinkItemName: selectedDrinkItemName || null,
+        iceLevel: iceLevel || null,
+        sugarLevel: sugarLevel || null,
+        isGiftedReward: true,
+        giftedRewardId: giftedRewardId
+      };
 
-      if (!targetType || !['all', 'individual'].includes(targetType)) {
-        return res.status(400).json({ error: 'targetType must be "all" or "individual"' });
-      }
+      // Create claim record
+      const claimRef = db.collection('giftedRewardClaims').doc();
+      const claim = {
+        giftedRewardId: giftedRewardId,
+        userId: uid,
+        claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+        redeemedRewardId: redeemedRewardRef.id,
+        isUsed: false,
+        usedAt: null
+      };
 
-      if (targetType === 'individual') {
-        if (!Array.isArray(userIds) || userIds.length === 0) {
-          return res.status(400).json({ error: 'userIds array is required for individual targeting' });
+      // Build description for transaction (matching regular reward format)
+      let transactionDescription = `Redeemed gift: ${giftData.rewardTitle}`;
+      if (selectedItemName) {
+        transactionDescription = `Redeemed gift: ${selectedItemName}`;
+        if (selectedToppingName) {
+          transactionDescription += ` with ${selectedToppingName}`;
         }
-      }
-
-      const db = admin.firestore();
-      const trimmedTitle = rewardTitle.trim();
-      const trimmedDescription = rewardDescription.trim();
-
-      // Parse expiration date if provided
-      let expiresAtTimestamp = null;
-      if (expiresAt) {
-        const parsedDate = new Date(expiresAt);
-        if (isNaN(parsedDate.getTime())) {
-          return res.status(400).json({ error: 'Invalid expiresAt date format' });
+        if (selectedItemName2) {
+          transactionDescription = `Redeemed gift: Half and Half: ${selectedItemName} + ${selectedItemName2}`;
+          if (cookingMethod) {
+            transactionDescription += ` (${cookingMethod})`;
+          }
+        } else if (cookingMethod) {
+          transactionDescription += ` (${cookingMethod})`;
         }
-        expiresAtTimestamp = admin.firestore.Timestamp.fromDate(parsedDate);
       }
 
-      // Create gifted reward document
-      const giftedRewardRef = db.collection('giftedRewards').doc();
-      const giftedRewardData = {
-        type: targetType === 'all' ? 'broadcast' : 'individual',
-        targetUserIds: targetType === 'all' ? null : userIds,
-        rewardTitle: trimmedTitle,
-        rewardDescription: trimmedDescription,
-        rewardCategory: rewardCategory.trim(),
-        pointsRequired: 0, // Always free
-        imageName: imageName || null,
-        imageURL: null, // Not used for existing rewards
-        isCustom: false,
-        sentAt: admin.firestore.FieldValue.serverTimestamp(),
-        sentByAdminId: adminContext.uid,
-        expiresAt: expiresAtTimestamp,
-        isActive: true
+      // Create points transaction for history (amount 0 since it's a free gift)
+      const pointsTransactionId = `gift_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const pointsTransaction = {
+        id: pointsTransactionId,
+        userId: uid,
+        type: 'reward_redeemed',
+        amount: 0, // Free gift, no points deducted
+        description: transactionDescription,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        metadata: {
+          rewardTitle: giftData.rewardTitle,
+          isGiftedReward: true,
+          giftedRewardId: giftedRewardId,
+          redemptionCode: redemptionCode,
+          ...(selectedItemName && { selectedItemName }),
+          ...(selectedToppingName && { selectedToppingName }),
+          ...(selectedItemName2 && { selectedItemName2 }),
+          ...(cookingMethod && { cookingMethod }),
+          ...(drinkType && { drinkType }),
+          ...(selectedDrinkItemName && { selectedDrinkItemName }),
+          ...(iceLevel && { iceLevel }),
+          ...(sugarLevel && { sugarLevel })
+        }
       };
 
-      await giftedRewardRef.set(giftedRewardData);
-
-      logger.info(`🎁 Admin ${adminContext.uid} sent gift reward: "${trimmedTitle}" to ${targetType === 'all' ? 'all customers' : `${userIds.length} users`}`);
-
-      // Get target users
-      let targetUserIds = [];
-      if (targetType === 'all') {
-        // Get all users (excluding employees)
-        // Fetch all users and filter client-side to include those without isEmployee field
-        const pageSize = 500;
-        let lastDoc = null;
-        const allUserDocs = [];
+      // Write all three in a batch
+      const batch = db.batch();
+      batch.set(redeemedRewardRef, redeemedReward);
+      batch.set(claimRef, claim);
+      batch.set(db.collection('pointsTransactions').doc(pointsTransactionId), pointsTransaction);
+      await batch.commit();
 
-        while (true) {
-          let query = db.collection('users').limit(pageSize);
-          if (lastDoc) {
-            query = query.startAfter(lastDoc);
-          }
+      logger.info(`✅ User ${uid} claimed gift reward ${giftedRewardId}, redemption code: ${redemptionCode}`);
 
-          const pageSnapshot = await query.get();
-          if (pageSnapshot.empty) {
-            break;
-          }
+      res.json({
+        success: true,
+        redemptionCode: redemptionCode,
+        qrPayload,
+        newPointsBalance: 0, // No points deducted for gifts
+        pointsDeducted: 0,
+        rewardTitle: giftData.rewardTitle,
+        selectedItemName: selectedItemName || null,
+        selectedToppingName: selectedToppingName || null,
+        selectedItemName2: selectedItemName2 || null,
+        cookingMethod: cookingMethod || null,
+        drinkType: drinkType || null,
+        selectedDrinkItemId: selectedDrinkItemId || null,
+        selectedDrinkItemName: selectedDrinkItemName || null,
+        iceLevel: iceLevel || null,
+        sugarLevel: sugarLevel || null,
+        expiresAt: expiresAt.toISOString(),
+        message: 'Gift reward claimed successfully! Show the code to your cashier.',
+        error: null
+      });
 
-          // Filter to exclude employees (include if isEmployee is false or undefined)
-          for (const doc of pageSnapshot.docs) {
-            const userData = doc.data() || {};
-            if (userData.isEmployee !== true) {
-              allUserDocs.push(doc);
-            }
-          }
+    } catch (error) {
+      logger.error('❌ Error claiming gift reward:', error);
+      res.status(500).json({ error: 'Failed to claim gift reward' });
+    }
+  });
 
-          lastDoc = pageSnapshot.docs[pageSnapshot.docs.length - 1];
-          if (pageSnapshot.docs.length < pageSize) {
-            break;
-          }
-        }
+  // ---------------------------------------------------------------------------
+  // Admin Points Earning Rules
+  // ---------------------------------------------------------------------------
 
-        targetUserIds = allUserDocs.map(doc => doc.id);
-        logger.info(`📋 Found ${targetUserIds.length} eligible users (excluding employees)`);
-      } else {
-        targetUserIds = userIds;
-      }
+  // Get the active points earning config (defaults are returned if never saved)
+  app.get('/admin/points-rules', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      // Create notifications and send FCM push
-      const notificationPromises = [];
-      const fcmTokens = [];
-      const userDocs = [];
+      const db = admin.firestore();
+      const doc = await db.collection('config').doc(POINTS_EARNING_CONFIG_DOC).get();
+      const stored = doc.exists ? doc.data() : null;
+      const config = normalizePointsEarningConfig(stored, {
+        timeZone: process.env.STATS_TIMEZONE || 'America/Chicago'
+      });
 
-      // Fetch user documents and FCM tokens
-      const batchSize = 30;
-      for (let i = 0; i < targetUserIds.length; i += batchSize) {
-        const batch = targetUserIds.slice(i, i + batchSize);
-        const batchSnapshot = await db.collection('users')
-          .where(admin.firestore.FieldPath.documentId(), 'in', batch)
-          .get();
-        
-        for (const doc of batchSnapshot.docs) {
-          const userData = doc.data() || {};
-          if (userData.fcmToken && typeof userData.fcmToken === 'string') {
-            fcmTokens.push(userData.fcmToken);
-          }
-          userDocs.push({ id: doc.id, data: userData });
-        }
-      }
+      res.json({
+        config,
+        isDefault: !doc.exists,
+        updatedAt: stored?.updatedAt?.toDate ? stored.updatedAt.toDate().toISOString() : null,
+        updatedBy: stored?.updatedBy || null
+      });
 
-      // Create in-app notifications
-      for (const user of userDocs) {
-        const notifRef = db.collection('notifications').doc();
-        notificationPromises.push(
-          notifRef.set({
-            userId: user.id,
-            title: "You've received a gift!",
-            body: `Dumpling House sent you a free ${trimmedTitle}. Tap to claim!`,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            read: false,
-            type: 'reward_gift',
-            giftedRewardId: giftedRewardRef.id
-          })
-        );
-      }
+    } catch (error) {
+      logger.error('❌ Error fetching points earning rules:', error);
+      res.status(500).json({ error: 'Failed to fetch points earning rules' });
+    }
+  });
 
-      // Send FCM push notifications
-      if (fcmTokens.length > 0) {
-        const messaging = admin.messaging();
-        const giftTitle = "You've received a gift!";
-        const giftBody = `Dumpling House sent you a free ${trimmedTitle}. Tap to claim!`;
-        const message = {
-          notification: {
-            title: giftTitle,
-            body: giftBody
-          },
-          data: {
-            type: 'reward_gift',
-            giftedRewardId: giftedRewardRef.id
-          },
-          apns: {
-            payload: {
-              aps: {
-                alert: { title: giftTitle, body: giftBody },
-                sound: 'default',
-                mutableContent: true
-              }
-            }
-          }
-        };
+  // Update the points earning config (omitted fields keep their saved values)
+  app.post('/admin/points-rules', validate(pointsEarningConfigSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-        // Send in batches (FCM allows up to 500 per batch)
-        const fcmBatchSize = 500;
-        for (let i = 0; i < fcmTokens.length; i += fcmBatchSize) {
-          const batchTokens = fcmTokens.slice(i, i + fcmBatchSize);
-          messaging.sendEachForMulticast({
-            ...message,
-            tokens: batchTokens
-          }).catch(err => {
-            logger.warn('⚠️ Some FCM notifications failed:', err);
-          });
-        }
+      const { timeZone } = req.body;
+      if (timeZone && !DateTime.now().setZone(timeZone).isValid) {
+        return sendError(res, 400, "INVALID_TIMEZONE", `Unknown timeZone: ${timeZone}`);
       }
 
-      // Wait for notification documents to be created
-      await Promise.all(notificationPromises).catch(err => {
-        logError(err, req, { operation: 'gift_reward_notifications' });
+      // Fields left out of the payload keep their saved value instead of resetting to defaults
+      const db = admin.firestore();
+      const configRef = db.collection('config').doc(POINTS_EARNING_CONFIG_DOC);
+      const storedDoc = await configRef.get();
+      const { updatedAt, updatedBy, ...stored } = storedDoc.exists ? storedDoc.data() : {};
+      const config = normalizePointsEarningConfig({ ...stored, ...req.body }, {
+        timeZone: process.env.STATS_TIMEZONE || 'America/Chicago'
+      });
+
+      await configRef.set({
+        ...config,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: adminContext.uid
       });
+      invalidatePointsEarningConfigCache();
 
-      logger.info(`✅ Gift reward sent: ${userDocs.length} notifications, ${fcmTokens.length} push notifications`);
+      logger.info(`✏️ Points earning rules updated by ${adminContext.uid} (${config.rules.length} rules, ${config.basePointsPerDollar} pts/$)`);
+      res.json({ success: true, config });
+
+    } catch (error) {
+      logger.error('❌ Error saving points earning rules:', error);
+      res.status(500).json({ error: 'Failed to save points earning rules' });
+    }
+  });
+
+  // Dry-run a receipt against the saved config (or a draft config) without awarding anything
+  app.post('/admin/points-rules/preview', validate(pointsEarningPreviewSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const { orderTotal, purchasedAt, config: draftConfig } = req.body;
+      const db = admin.firestore();
+      const config = draftConfig
+        ? normalizePointsEarningConfig(draftConfig, { timeZone: process.env.STATS_TIMEZONE || 'America/Chicago' })
+        : await getPointsEarningConfig(db);
+
+      const when = purchasedAt ? DateTime.fromJSDate(purchasedAt) : DateTime.now();
+      const result = evaluateReceiptPoints(config, { orderTotal, purchasedAt: when });
 
-      // Return success even if no users found (gift is still created and available)
       res.json({
-        success: true,
-        giftedRewardId: giftedRewardRef.id,
-        notificationCount: userDocs.length,
-        pushNotificationCount: fcmTokens.length,
-        message: userDocs.length === 0 
-          ? 'Gift reward created but no eligible users found. Users will see it when they open the app.'
-          : undefined
+        orderTotal,
+        purchasedAt: when.setZone(config.timeZone).toISO(),
+        timeZone: config.timeZone,
+        ...result
       });
 
     } catch (error) {
-      logger.error('❌ Error sending gift reward:', error);
-      const errorMessage = error.message || error.toString();
-      res.status(500).json({ error: `Failed to send gift reward: ${errorMessage}` });
+      logger.error('❌ Error previewing points earning rules:', error);
+      res.status(500).json({ error: 'Failed to preview points earning rules' });
     }
   });
 
-  /**
-   * POST /admin/rewards/gift/custom
-   * 
-   * Send a custom reward with optional uploaded image to all customers or specific users.
-   * 
-   * Multipart form:
-   * - image: File (optional)
-   * - rewardTitle: string (required)
-   * - rewardDescription: string (required)
-   * - rewardCategory: string (required)
-   * - targetType: 'all' | 'individual' (required)
-   * - userIds: string[] (JSON string, required if targetType is 'individual')
-   * - expiresAt: string | null (ISO date string, optional)
-   */
-  app.post('/admin/rewards/gift/custom', upload.single('image'), async (req, res) => {
+  // ---------------------------------------------------------------------------
+  // Admin Loyalty Tiers
+  // ---------------------------------------------------------------------------
+
+  // Get the membership tier ladder (defaults are returned if never saved)
+  app.get('/admin/loyalty-tiers', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const { rewardTitle, rewardDescription, rewardCategory, targetType, userIds, expiresAt } = req.body;
+      const db = admin.firestore();
+      const doc = await db.collection('config').doc(LOYALTY_TIERS_CONFIG_DOC).get();
+      const stored = doc.exists ? doc.data() : null;
 
-      // Validate required fields
-      if (!rewardTitle || typeof rewardTitle !== 'string' || rewardTitle.trim().length === 0) {
-        // Clean up uploaded file if it exists
-        if (req.file && fs.existsSync(req.file.path)) {
-          fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
-        }
-        return res.status(400).json({ error: 'rewardTitle is required' });
-      }
+      res.json({
+        config: normalizeLoyaltyTiersConfig(stored),
+        isDefault: !doc.exists,
+        updatedAt: stored?.updatedAt?.toDate ? stored.updatedAt.toDate().toISOString() : null,
+        updatedBy: stored?.updatedBy || null
+      });
 
-      if (!rewardDescription || typeof rewardDescription !== 'string' || rewardDescription.trim().length === 0) {
-        if (req.file && fs.existsSync(req.file.path)) {
-          fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
-        }
-        return res.status(400).json({ error: 'rewardDescription is required' });
-      }
+    } catch (error) {
+      logger.error('❌ Error fetching loyalty tiers:', error);
+      res.status(500).json({ error: 'Failed to fetch loyalty tiers' });
+    }
+  });
 
-      if (!rewardCategory || typeof rewardCategory !== 'string' || rewardCategory.trim().length === 0) {
-        if (req.file && fs.existsSync(req.file.path)) {
-          fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
-        }
-        return res.status(400).json({ error: 'rewardCategory is required' });
-      }
+  // Replace the membership tier ladder. Members keep their stored tier until their
+  // next scan or the requalification job places them on the new ladder.
+  app.post('/admin/loyalty-tiers', validate(loyaltyTiersConfigSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      if (!targetType || !['all', 'individual'].includes(targetType)) {
-        if (req.file && fs.existsSync(req.file.path)) {
-          fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
-        }
-        return res.status(400).json({ error: 'targetType must be "all" or "individual"' });
-      }
+      const db = admin.firestore();
+      const config = normalizeLoyaltyTiersConfig(req.body);
 
-      let parsedUserIds = [];
-      if (targetType === 'individual') {
-        try {
-          parsedUserIds = JSON.parse(userIds || '[]');
-        } catch (e) {
-          if (req.file && fs.existsSync(req.file.path)) {
-            fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
-          }
-          return res.status(400).json({ error: 'userIds must be a valid JSON array' });
-        }
-        if (!Array.isArray(parsedUserIds) || parsedUserIds.length === 0) {
-          if (req.file && fs.existsSync(req.file.path)) {
-            fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
-          }
-          return res.status(400).json({ error: 'userIds array is required for individual targeting' });
-        }
-      }
+      await db.collection('config').doc(LOYALTY_TIERS_CONFIG_DOC).set({
+        ...config,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: adminContext.uid
+      });
+      invalidateLoyaltyTiersConfigCache();
 
-      const db = admin.firestore();
-      const storage = admin.storage();
-      
-      // Create giftedRewardId first (used for both image upload and document creation)
-      const giftedRewardId = db.collection('giftedRewards').doc().id;
-      
-      // Initialize imageURL as null (will be set if image is uploaded)
-      let imageURL = null;
-      
-      // Upload image to Firebase Storage if provided
-      if (req.file) {
-        const bucket = storage.bucket('dumplinghouseapp.firebasestorage.app');
-        const imageFileName = `gifted-rewards/${giftedRewardId}/image.jpg`;
-        const file = bucket.file(imageFileName);
+      logger.info(`✏️ Loyalty tiers updated by ${adminContext.uid}: ${config.tiers.map(t => `${t.id}@${t.threshold}`).join(', ')}`);
+      res.json({ success: true, config });
 
-        const imageData = await fsPromises.readFile(req.file.path);
-        await file.save(imageData, {
-          metadata: {
-            contentType: 'image/jpeg',
-            metadata: {
-              uploadedBy: adminContext.uid,
-              uploadedAt: new Date().toISOString()
-            }
-          }
-        });
+    } catch (error) {
+      logger.error('❌ Error saving loyalty tiers:', error);
+      res.status(500).json({ error: 'Failed to save loyalty tiers' });
+    }
+  });
 
-        // Generate a signed URL that expires far in the future (10 years)
-        // This avoids the "uniform bucket-level access" error from makePublic()
-        const [signedUrl] = await file.getSignedUrl({
-          action: 'read',
-          expires: Date.now() + 10 * 365 * 24 * 60 * 60 * 1000, // 10 years
-        });
-        imageURL = signedUrl;
+  // ---------------------------------------------------------------------------
+  // Admin Referral Campaigns
+  // ---------------------------------------------------------------------------
 
-        // Clean up local file
-        await fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
-      }
+  // Get the referral campaigns, the standard terms used outside them, and which
+  // campaign a referral accepted right now would fall under
+  app.get('/admin/referral-campaigns', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      // Parse expiration date if provided
-      let expiresAtTimestamp = null;
-      if (expiresAt) {
-        const parsedDate = new Date(expiresAt);
-        if (isNaN(parsedDate.getTime())) {
-          return res.status(400).json({ error: 'Invalid expiresAt date format' });
-        }
-        expiresAtTimestamp = admin.firestore.Timestamp.fromDate(parsedDate);
-      }
+      const db = admin.firestore();
+      const doc = await db.collection('config').doc(REFERRAL_CAMPAIGNS_CONFIG_DOC).get();
+      const stored = doc.exists ? doc.data() : null;
+      const config = normalizeReferralCampaignsConfig(stored);
+      const { referralBonusPoints } = await getPointsEarningConfig(db);
 
-      // Create gifted reward document
-      const giftedRewardRef = db.collection('giftedRewards').doc(giftedRewardId);
-      const trimmedTitle = rewardTitle.trim();
-      const trimmedDescription = rewardDescription.trim();
+      res.json({
+        config,
+        standard: standardReferralCampaign(referralBonusPoints),
+        currentCampaignId: selectReferralCampaign(config, { now: new Date(), bonusPoints: referralBonusPoints }).id,
+        isDefault: !doc.exists,
+        updatedAt: stored?.updatedAt?.toDate ? stored.updatedAt.toDate().toISOString() : null,
+        updatedBy: stored?.updatedBy || null
+      });
 
-      const giftedRewardData = {
-        type: targetType === 'all' ? 'broadcast' : 'individual',
-        targetUserIds: targetType === 'all' ? null : parsedUserIds,
-        rewardTitle: trimmedTitle,
-        rewardDescription: trimmedDescription,
-        rewardCategory: rewardCategory.trim(),
-        pointsRequired: 0, // Always free
-        imageName: null, // Not used for custom rewards
-        imageURL: imageURL,
-        isCustom: true,
-        sentAt: admin.firestore.FieldValue.serverTimestamp(),
-        sentByAdminId: adminContext.uid,
-        expiresAt: expiresAtTimestamp,
-        isActive: true
-      };
+    } catch (error) {
+      logger.error('❌ Error fetching referral campaigns:', error);
+      res.status(500).json({ error: 'Failed to fetch referral campaigns' });
+    }
+  });
 
-      await giftedRewardRef.set(giftedRewardData);
+  // Replace the referral campaigns. Referrals already accepted keep the terms they were
+  // accepted under.
+  app.post('/admin/referral-campaigns', validate(referralCampaignsConfigSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      logger.info(`🎁 Admin ${adminContext.uid} sent custom gift reward: "${trimmedTitle}" to ${targetType === 'all' ? 'all customers' : `${parsedUserIds.length} users`}`);
+      const db = admin.firestore();
+      const config = normalizeReferralCampaignsConfig(req.body);
 
-      // Get target users
-      let targetUserIds = [];
-      if (targetType === 'all') {
-        // Get all users (excluding employees)
-        // Fetch all users and filter client-side to include those without isEmployee field
-        const pageSize = 500;
-        let lastDoc = null;
-        const allUserDocs = [];
+      await db.collection('config').doc(REFERRAL_CAMPAIGNS_CONFIG_DOC).set({
+        ...config,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: adminContext.uid
+      });
 
-        while (true) {
-          let query = db.collection('users').limit(pageSize);
-          if (lastDoc) {
-            query = query.startAfter(lastDoc);
-          }
+      logger.info(`✏️ Referral campaigns updated by ${adminContext.uid}: ${config.campaigns.map(c => c.id).join(', ') || '(none)'}`);
+      res.json({ success: true, config });
 
-          const pageSnapshot = await query.get();
-          if (pageSnapshot.empty) {
-            break;
-          }
+    } catch (error) {
+      logger.error('❌ Error saving referral campaigns:', error);
+      res.status(500).json({ error: 'Failed to save referral campaigns' });
+    }
+  });
 
-          // Filter to exclude employees (include if isEmployee is false or undefined)
-          for (const doc of pageSnapshot.docs) {
-            const userData = doc.data() || {};
-            if (userData.isEmployee !== true) {
-              allUserDocs.push(doc);
-            }
-          }
+  // ---------------------------------------------------------------------------
+  // Admin Reward Tier Item Management
+  // ---------------------------------------------------------------------------
 
-          lastDoc = pageSnapshot.docs[pageSnapshot.docs.length - 1];
-          if (pageSnapshot.docs.length < pageSize) {
-            break;
-          }
-        }
+  // Get all reward tiers with their eligible items
+  app.get('/admin/reward-tiers', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-        targetUserIds = allUserDocs.map(doc => doc.id);
-        logger.info(`📋 Found ${targetUserIds.length} eligible users (excluding employees)`);
-      } else {
-        targetUserIds = parsedUserIds;
-      }
+      const db = admin.firestore();
+      const snapshot = await db.collection('rewardTierItems')
+        .orderBy('pointsRequired', 'asc')
+        .get();
 
-      // Create notifications and send FCM push
-      const notificationPromises = [];
-      const fcmTokens = [];
-      const userDocs = [];
+      const tiers = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
 
-      // Fetch user documents and FCM tokens
-      const batchSize = 30;
-      for (let i = 0; i < targetUserIds.length; i += batchSize) {
-        const batch = targetUserIds.slice(i, i + batchSize);
-        const batchSnapshot = await db.collection('users')
-          .where(admin.firestore.FieldPath.documentId(), 'in', batch)
-          .get();
-        
-        for (const doc of batchSnapshot.docs) {
-          const userData = doc.data() || {};
-          if (userData.fcmToken && typeof userData.fcmToken === 'string') {
-            fcmTokens.push(userData.fcmToken);
-          }
-          userDocs.push({ id: doc.id, data: userData });
-        }
-      }
+      logger.info(`📋 Fetched ${tiers.length} reward tiers`);
+      res.json({ tiers });
 
-      // Create in-app notifications
-      for (const user of userDocs) {
-        const notifRef = db.collection('notifications').doc();
-        notificationPromises.push(
-          notifRef.set({
-            userId: user.id,
-            title: "You've received a gift!",
-            body: `Dumpling House sent you a free ${trimmedTitle}. Tap to claim!`,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            read: false,
-            type: 'reward_gift',
-            giftedRewardId: giftedRewardRef.id
-          })
-        );
-      }
+    } catch (error) {
+      logger.error('❌ Error fetching reward tiers:', error);
+      res.status(500).json({ error: 'Failed to fetch reward tiers' });
+    }
+  });
 
-      // Send FCM push notifications
-      if (fcmTokens.length > 0) {
-        const messaging = admin.messaging();
-        const giftTitle = "You've received a gift!";
-        const giftBody = `Dumpling House sent you a free ${trimmedTitle}. Tap to claim!`;
-        const message = {
-          notification: {
-            title: giftTitle,
-            body: giftBody
-          },
-          data: {
-            type: 'reward_gift',
-            giftedRewardId: giftedRewardRef.id
-          },
-          apns: {
-            payload: {
-              aps: {
-                alert: { title: giftTitle, body: giftBody },
-                sound: 'default',
-                mutableContent: true
-              }
-            }
-          }
-        };
+  // Create or update a reward tier with eligible items
+  app.post('/admin/reward-tiers/items', validate(rewardTierItemsSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-        // Send in batches (FCM allows up to 500 per batch)
-        const fcmBatchSize = 500;
-        for (let i = 0; i < fcmTokens.length; i += fcmBatchSize) {
-          const batchTokens = fcmTokens.slice(i, i + fcmBatchSize);
-          messaging.sendEachForMulticast({
-            ...message,
-            tokens: batchTokens
-          }).catch(err => {
-            logger.warn('⚠️ Some FCM notifications failed:', err);
-          });
+      const { pointsRequired, tierName, rewardCategory, rewardDescription, eligibleItems, requiredLoyaltyTier } = req.body;
+
+      const db = admin.firestore();
+
+      // Optional: only members of this loyalty tier (or higher) can redeem
+      if (requiredLoyaltyTier != null) {
+        const loyaltyConfig = await getLoyaltyTiersConfig(db);
+        if (!loyaltyConfig.tiers.some(t => t.id === requiredLoyaltyTier)) {
+          return res.status(400).json({ error: `Unknown requiredLoyaltyTier. Must be one of: ${loyaltyConfig.tiers.map(t => t.id).join(', ')}` });
         }
       }
 
-      // Wait for notification documents to be created
-      await Promise.all(notificationPromises).catch(err => {
-        logError(err, req, { operation: 'gift_reward_notifications' });
-      });
+      // Check if tier already exists
+      const existingSnapshot = await db.collection('rewardTierItems')
+        .where('pointsRequired', '==', pointsRequired)
+        .limit(1)
+        .get();
+
+      const tierData = {
+        pointsRequired,
+        tierName: tierName || `${pointsRequired} Points Tier`,
+        // What /redeem-reward records and which redemption TTL applies (never taken from the client)
+        rewardCategory: rewardCategory || null,
+        rewardDescription: rewardDescription || null,
+        eligibleItems: eligibleItems.map(item => ({
+          itemId: item.itemId,
+          itemName: item.itemName,
+          categoryId: item.categoryId || null,
+          imageURL: item.imageURL || null
+        })),
+        requiredLoyaltyTier: requiredLoyaltyTier || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: adminContext.uid
+      };
 
-      logger.info(`✅ Custom gift reward sent: ${userDocs.length} notifications, ${fcmTokens.length} push notifications`);
+      let docId;
+      if (!existingSnapshot.empty) {
+        // Update existing tier
+        docId = existingSnapshot.docs[0].id;
+        await db.collection('rewardTierItems').doc(docId).update(tierData);
+        logger.info(`✏️ Updated reward tier ${pointsRequired} with ${eligibleItems.length} items`);
+      } else {
+        // Create new tier
+        docId = `tier_${pointsRequired}`;
+        tierData.createdAt = admin.firestore.FieldValue.serverTimestamp();
+        await db.collection('rewardTierItems').doc(docId).set(tierData);
+        logger.info(`➕ Created reward tier ${pointsRequired} with ${eligibleItems.length} items`);
+      }
 
-      // Return success even if no users found (gift is still created and available)
       res.json({
         success: true,
-        giftedRewardId: giftedRewardRef.id,
-        imageURL: imageURL,
-        notificationCount: userDocs.length,
-        pushNotificationCount: fcmTokens.length,
-        message: userDocs.length === 0 
-          ? 'Custom gift reward created but no eligible users found. Users will see it when they open the app.'
-          : undefined
+        tierId: docId,
+        pointsRequired,
+        itemCount: eligibleItems.length,
+        message: existingSnapshot.empty ? 'Reward tier created' : 'Reward tier updated'
       });
 
     } catch (error) {
-      logger.error('❌ Error sending custom gift reward:', error);
-      // Clean up uploaded file if it still exists
-      if (req.file && fs.existsSync(req.file.path)) {
-        fsPromises.unlink(req.file.path).catch(err => logger.error('Failed to delete file:', err));
-      }
-      const errorMessage = error.message || error.toString();
-      res.status(500).json({ error: `Failed to send custom gift reward: ${errorMessage}` });
+      logger.error('❌ Error saving reward tier items:', error);
+      res.status(500).json({ error: 'Failed to save reward tier items' });
     }
   });
 
-  /**
-   * GET /me/gifted-rewards
-   * 
-   * Get user's available gifted rewards (unclaimed broadcast rewards + individual gifts)
-   */
-  app.get('/me/gifted-rewards', async (req, res) => {
+  // Add a single item to a reward tier
+  app.post('/admin/reward-tiers/:tierId/add-item', validate(rewardTierAddItemSchema), async (req, res) => {
     try {
-      const authHeader = req.headers.authorization || '';
-      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-      if (!token) {
-        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
-      }
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      let uid;
-      try {
-        const decoded = await admin.auth().verifyIdToken(token);
-        uid = decoded.uid;
-      } catch (e) {
-        return res.status(401).json({ error: 'Invalid auth token' });
+      const { tierId } = req.params;
+      const { tierName, pointsRequired, itemId, itemName, categoryId, imageURL } = req.body;
+
+      if (!tierId) {
+        return res.status(400).json({ error: 'tierId is required' });
       }
 
       const db = admin.firestore();
-      const now = admin.firestore.Timestamp.now();
-
-      // Get broadcast gifts (active, not expired, not yet claimed by this user)
-      const broadcastGiftsSnapshot = await db.collection('giftedRewards')
-        .where('type', '==', 'broadcast')
-        .where('isActive', '==', true)
-        .get();
 
-      // Get individual gifts for this user
-      const individualGiftsSnapshot = await db.collection('giftedRewards')
-        .where('type', '==', 'individual')
-        .where('targetUserIds', 'array-contains', uid)
-        .where('isActive', '==', true)
-        .get();
+      const newItem = {
+        itemId,
+        itemName,
+        categoryId: categoryId || null,
+        imageURL: imageURL || null
+      };
 
-      // Get user's existing claims
-      const claimsSnapshot = await db.collection('giftedRewardClaims')
-        .where('userId', '==', uid)
-        .get();
+      const tierRef = db.collection('rewardTierItems').doc(tierId);
+      const tierDoc = await tierRef.get();
 
-      // Build a map of giftedRewardId -> array of redeemedRewardIds (handle multiple claims)
-      // Also track gifts with claims that have no redeemedRewardId (treat as claimed to be safe)
-      const claimMap = new Map();
-      const giftsWithInvalidClaims = new Set();
-      
-      for (const doc of claimsSnapshot.docs) {
-        const data = doc.data();
-        if (data.giftedRewardId) {
-          if (data.redeemedRewardId) {
-            // Valid claim with redeemedRewardId
-            if (!claimMap.has(data.giftedRewardId)) {
-              claimMap.set(data.giftedRewardId, []);
-            }
-            claimMap.get(data.giftedRewardId).push(data.redeemedRewardId);
-          } else {
-            // Claim exists but no redeemedRewardId - treat as claimed to be safe
-            giftsWithInvalidClaims.add(data.giftedRewardId);
-          }
+      if (!tierDoc.exists) {
+        if (!pointsRequired) {
+          return res.status(400).json({ error: 'pointsRequired is required to create a new tier' });
+        }
+        // Create new tier with this item
+        await tierRef.set({
+          pointsRequired,
+          tierName: tierName || `${pointsRequired} Points Tier`,
+          eligibleItems: [newItem],
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedBy: adminContext.uid
+        });
+        logger.info(`➕ Created tier ${tierId} with item: ${itemName}`);
+      } else {
+        // Add to existing tier (avoid duplicates)
+        const tierData = tierDoc.data();
+        const existingItems = tierData.eligibleItems || [];
+        
+        // Check if item already exists
+        if (existingItems.some(item => item.itemId === itemId)) {
+          return res.status(400).json({ error: 'Item already exists in this tier' });
         }
+
+        await tierRef.update({
+          eligibleItems: admin.firestore.FieldValue.arrayUnion(newItem),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedBy: adminContext.uid
+        });
+        logger.info(`➕ Added item ${itemName} to tier ${tierId}`);
       }
 
-      // Collect all redeemedRewardIds and batch fetch them
-      const allRedeemedRewardIds = [];
-      for (const redeemedRewardIds of claimMap.values()) {
-        allRedeemedRewardIds.push(...redeemedRewardIds);
+      res.json({
+        success: true,
+        tierId,
+        pointsRequired: pointsRequired || null,
+        itemAdded: itemName,
+        message: 'Item added to reward tier'
+      });
+
+    } catch (error) {
+      logger.error('❌ Error adding item to reward tier:', error);
+      res.status(500).json({ error: 'Failed to add item to reward tier' });
+    }
+  });
+
+  // Remove an item from a reward tier
+  app.delete('/admin/reward-tiers/:tierId/remove-item/:itemId', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const { tierId, itemId } = req.params;
+
+      if (!itemId) {
+        return res.status(400).json({ error: 'itemId is required' });
       }
-      const redeemedRewardsMap = new Map();
 
-      if (allRedeemedRewardIds.length > 0) {
-        // Firestore 'in' query supports up to 30 items, so batch if needed
-        const batchSize = 30;
-        for (let i = 0; i < allRedeemedRewardIds.length; i += batchSize) {
-          const batch = allRedeemedRewardIds.slice(i, i + batchSize);
-          const redeemedSnapshot = await db.collection('redeemedRewards')
-            .where(admin.firestore.FieldPath.documentId(), 'in', batch)
-            .get();
-          
-          for (const redeemedDoc of redeemedSnapshot.docs) {
-            redeemedRewardsMap.set(redeemedDoc.id, redeemedDoc.data());
-          }
-        }
+      const db = admin.firestore();
+
+      const tierRef = db.collection('rewardTierItems').doc(tierId);
+      const tierDoc = await tierRef.get();
+
+      if (!tierDoc.exists) {
+        return res.status(404).json({ error: 'Reward tier not found' });
       }
 
-      // Build claimedGiftIds set - only include gifts where ANY redemption was used OR is still active
-      // Start with gifts that have invalid claims (no redeemedRewardId)
-      const claimedGiftIds = new Set(giftsWithInvalidClaims);
+      const tierData = tierDoc.data();
+      const existingItems = tierData.eligibleItems || [];
       
-      for (const [giftId, redeemedRewardIds] of claimMap.entries()) {
-        let hasActiveOrUsedRedemption = false;
-        
-        for (const redeemedRewardId of redeemedRewardIds) {
-          const rewardData = redeemedRewardsMap.get(redeemedRewardId);
-          
-          if (!rewardData) {
-            // Reward document doesn't exist - treat as claimed to be safe
-            hasActiveOrUsedRedemption = true;
-            break;
-          }
-          
-          const isUsed = rewardData.isUsed === true;
-          const expiresAt = parseFirestoreDate(rewardData.expiresAt);
-          const isExpired = rewardData.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
-          
-          // If ANY redemption was used OR is still active, mark gift as claimed
-          if (isUsed || !isExpired) {
-            hasActiveOrUsedRedemption = true;
-            break;
-          }
-        }
-        
-        // Only mark as claimed if at least one redemption was used or is still active
-        if (hasActiveOrUsedRedemption) {
-          claimedGiftIds.add(giftId);
-        }
-        // If all redemptions expired unused, the gift will reappear (giftId not added to set)
+      const itemToRemove = existingItems.find(item => item.itemId === itemId);
+      if (!itemToRemove) {
+        return res.status(404).json({ error: 'Item not found in this tier' });
       }
 
-      // Filter and combine gifts
-      const availableGifts = [];
+      await tierRef.update({
+        eligibleItems: admin.firestore.FieldValue.arrayRemove(itemToRemove),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: adminContext.uid
+      });
+
+      logger.info(`🗑️ Removed item ${itemId} from tier ${tierId}`);
 
-      // Process broadcast gifts
-      for (const doc of broadcastGiftsSnapshot.docs) {
-        const data = doc.data();
-        const giftId = doc.id;
+      res.json({
+        success: true,
+        tierId,
+        itemRemoved: itemId,
+        message: 'Item removed from reward tier'
+      });
 
-        // Skip if already claimed
-        if (claimedGiftIds.has(giftId)) {
-          continue;
-        }
+    } catch (error) {
+      logger.error('❌ Error removing item from reward tier:', error);
+      res.status(500).json({ error: 'Failed to remove item from reward tier' });
+    }
+  });
 
-        // Skip if this user was revoked (v1.1 admin revoke)
-        const revokedUserIds = data.revokedUserIds || [];
-        if (revokedUserIds.includes(uid)) {
-          continue;
-        }
+  // ---------------------------------------------------------------------------
+  // Receipt Manual Review Queue
+  // Borderline scans (single-field double-parse mismatch, totals near/just above
+  // the $500 cap) land in receiptReviews instead of being auto-rejected.
+  // Registered before /admin/receipts/:id so "review" isn't taken as a receipt id.
+  // ---------------------------------------------------------------------------
 
-        // Check expiration
-        if (data.expiresAt) {
-          const expiresAt = data.expiresAt.toDate();
-          if (expiresAt < new Date()) {
-            continue; // Expired
-          }
-        }
+  function serializeReceiptReview(doc) {
+    const data = doc.data() || {};
+    return {
+      id: doc.id,
+      userId: data.userId || null,
+      status: data.status || 'pending',
+      reasons: Array.isArray(data.reasons) ? data.reasons : [],
+      orderNumber: data.orderNumber || null,
+      orderDate: data.orderDate || null,
+      orderTime: data.orderTime || null,
+      orderTotal: data.orderTotal != null ? data.orderTotal : null,
+      locationId: locationIdOf(data),
+      receiptYear: data.receiptYear || null,
+      createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+      reviewedBy: data.reviewedBy || null,
+      reviewedAt: data.reviewedAt ? data.reviewedAt.toDate().toISOString() : null,
+      rejectionReason: data.rejectionReason || null,
+      receiptId: data.receiptId || null,
+      pointsAwarded: data.pointsAwarded != null ? data.pointsAwarded : null
+    };
+  }
 
-        availableGifts.push({
-          id: giftId,
-          type: data.type || 'broadcast',
-          targetUserIds: data.targetUserIds || null,
-          rewardTitle: data.rewardTitle || '',
-          rewardDescription: data.rewardDescription || '',
-          rewardCategory: data.rewardCategory || '',
-          pointsRequired: data.pointsRequired || 0,
-          imageName: data.imageName || null,
-          imageURL: data.imageURL || null,
-          isCustom: data.isCustom || false,
-          sentByAdminId: data.sentByAdminId || '',
-          isActive: data.isActive !== false,
-          sentAt: data.sentAt ? data.sentAt.toDate().toISOString() : null,
-          expiresAt: data.expiresAt ? data.expiresAt.toDate().toISOString() : null
-        });
-      }
+  async function notifyReceiptReviewOutcome(db, userId, { title, body, type, reviewId }) {
+    try {
+      await db.collection('notifications').add({
+        userId,
+        title,
+        body,
+        type,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        reviewId
+      });
+      await sendUserPush(db, userId, { title, body, data: { type, reviewId } });
+    } catch (notifyErr) {
+      logger.warn('⚠️ Failed to notify user about receipt review:', notifyErr.message || notifyErr);
+    }
+  }
 
-      // Process individual gifts
-      for (const doc of individualGiftsSnapshot.docs) {
-        const data = doc.data();
-        const giftId = doc.id;
+  /**
+   * GET /admin/receipts/review
+   *
+   * Admin-only. Lists queued receipt reviews, oldest first.
+   * Query: status ('pending' default, 'approved', 'rejected', 'all'), limit (default 50, max 200)
+   */
+  app.get('/admin/receipts/review', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-        // Skip if already claimed
-        if (claimedGiftIds.has(giftId)) {
-          continue;
+      const db = admin.firestore();
+      const status = ['pending', 'approved', 'rejected', 'all'].includes(req.query.status) ? req.query.status : 'pending';
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+      let query = db.collection(RECEIPT_REVIEWS_COLLECTION);
+      if (status !== 'all') query = query.where('status', '==', status);
+      const snap = await query.orderBy('createdAt', status === 'pending' ? 'asc' : 'desc').limit(limit).get();
+
+      res.json({ status, reviews: snap.docs.map(serializeReceiptReview) });
+    } catch (error) {
+      logger.error('❌ Error listing receipt reviews:', error);
+      res.status(500).json({ error: 'Failed to load receipt reviews' });
+    }
+  });
+
+  /**
+   * GET /admin/receipts/review/:id
+   *
+   * Admin-only. Review detail: both extraction passes and a signed image URL.
+   */
+  app.get('/admin/receipts/review/:id', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const reviewDoc = await db.collection(RECEIPT_REVIEWS_COLLECTION).doc(req.params.id).get();
+      if (!reviewDoc.exists) {
+        return res.status(404).json({ error: 'Receipt review not found' });
+      }
+
+      const data = reviewDoc.data() || {};
+      let imageUrl = null;
+      if (data.imageStoragePath) {
+        try {
+          const bucket = admin.storage().bucket('dumplinghouseapp.firebasestorage.app');
+          const [signedUrl] = await bucket.file(data.imageStoragePath).getSignedUrl({
+            action: 'read',
+            expires: Date.now() + 15 * 60 * 1000
+          });
+          imageUrl = signedUrl;
+        } catch (signErr) {
+          logger.warn('⚠️ Could not generate signed URL for review image:', signErr.message || signErr);
         }
+      }
 
-        // Check expiration
-        if (data.expiresAt) {
-          const expiresAt = data.expiresAt.toDate();
-          if (expiresAt < new Date()) {
-            continue; // Expired
+      let userName = null;
+      let userPhone = null;
+      if (data.userId) {
+        try {
+          const userDoc = await db.collection('users').doc(data.userId).get();
+          if (userDoc.exists) {
+            const userInfo = userDoc.data() || {};
+            userName = userInfo.firstName || userInfo.name || null;
+            userPhone = userInfo.phone || null;
           }
+        } catch (e) {
+          logger.warn('⚠️ Failed to load user for receipt review:', e.message || e);
         }
-
-        availableGifts.push({
-          id: giftId,
-          type: data.type || 'individual',
-          targetUserIds: data.targetUserIds || null,
-          rewardTitle: data.rewardTitle || '',
-          rewardDescription: data.rewardDescription || '',
-          rewardCategory: data.rewardCategory || '',
-          pointsRequired: data.pointsRequired || 0,
-          imageName: data.imageName || null,
-          imageURL: data.imageURL || null,
-          isCustom: data.isCustom || false,
-          sentByAdminId: data.sentByAdminId || '',
-          isActive: data.isActive !== false,
-          sentAt: data.sentAt ? data.sentAt.toDate().toISOString() : null,
-          expiresAt: data.expiresAt ? data.expiresAt.toDate().toISOString() : null
-        });
       }
 
-      // Sort by sentAt (newest first)
-      availableGifts.sort((a, b) => {
-        const aTime = a.sentAt ? new Date(a.sentAt).getTime() : 0;
-        const bTime = b.sentAt ? new Date(b.sentAt).getTime() : 0;
-        return bTime - aTime;
+      res.json({
+        ...serializeReceiptReview(reviewDoc),
+        userName,
+        userPhone,
+        passes: Array.isArray(data.passes) ? data.passes : [],
+        imageUrl
       });
-
-      res.json({ gifts: availableGifts });
-
     } catch (error) {
-      logger.error('❌ Error fetching gifted rewards:', error);
-      res.status(500).json({ error: 'Failed to fetch gifted rewards' });
+      logger.error('❌ Error fetching receipt review:', error);
+      res.status(500).json({ error: 'Failed to load receipt review' });
     }
   });
 
   /**
-   * GET /admin/users/:userId/gifted-rewards
-   * Admin only. Returns the same gifted-rewards list that the given user would see from /me/gifted-rewards.
+   * POST /admin/receipts/review/:id/approve
+   *
+   * Admin-only. Awards points for a queued receipt. Fields in the body override
+   * the extracted values (e.g. the reviewer reads the total off the image);
+   * points come from the earning rules engine like an automatic scan, and count
+   * towards the customer's daily receipt cap (409 DAILY_RECEIPT_LIMIT_REACHED once hit).
+   * Body: { orderNumber?, orderTotal?, orderDate?, orderTime?, note? }
    */
-  app.get('/admin/users/:userId/gifted-rewards', async (req, res) => {
+  app.post('/admin/receipts/review/:id/approve', validate(receiptReviewApproveSchema), async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const targetUserId = (req.params.userId || '').toString().trim();
-      if (!targetUserId) {
-        return res.status(400).json({ error: 'userId is required' });
-      }
-
       const db = admin.firestore();
-      const uid = targetUserId;
-
-      // Get broadcast gifts (active, not expired)
-      const broadcastGiftsSnapshot = await db.collection('giftedRewards')
-        .where('type', '==', 'broadcast')
-        .where('isActive', '==', true)
-        .get();
+      const reviewRef = db.collection(RECEIPT_REVIEWS_COLLECTION).doc(req.params.id);
+      const receiptsRef = db.collection('receipts');
+      const pointsEarningConfig = await getPointsEarningConfig(db);
+      const loyaltyTiersConfig = await getLoyaltyTiersConfig(db);
+      const locations = await getLocations(db);
 
-      // Get individual gifts for this user
-      const individualGiftsSnapshot = await db.collection('giftedRewards')
-        .where('type', '==', 'individual')
-        .where('targetUserIds', 'array-contains', uid)
-        .where('isActive', '==', true)
-        .get();
+      let result = null;
+      try {
+        await db.runTransaction(async (tx) => {
+          const reviewDoc = await tx.get(reviewRef);
+          if (!reviewDoc.exists) {
+            const err = new Error('REVIEW_NOT_FOUND');
+            err.code = 'REVIEW_NOT_FOUND';
+            throw err;
+          }
+          const review = reviewDoc.data() || {};
+          if (review.status !== 'pending') {
+            const err = new Error('REVIEW_ALREADY_RESOLVED');
+            err.code = 'REVIEW_ALREADY_RESOLVED';
+            err.status = review.status;
+            throw err;
+          }
 
-      // Get user's existing claims
-      const claimsSnapshot = await db.collection('giftedRewardClaims')
-        .where('userId', '==', uid)
-        .get();
+          const fields = {
+            orderNumber: String(req.body.orderNumber ?? review.orderNumber),
+            orderDate: req.body.orderDate || review.orderDate,
+            orderTime: req.body.orderTime || review.orderTime,
+            orderTotal: req.body.orderTotal != null ? Number(req.body.orderTotal) : review.orderTotal
+          };
+          // Approving for a store that has since been deactivated is still allowed
+          const location = locations.find(l => l.id === locationIdOf(review)) || locations[0];
+
+          if (req.body.orderNumber != null) {
+            const orderNumberProblem = describeOrderNumberProblem(fields.orderNumber, location.receiptProfile);
+            if (orderNumberProblem) {
+              const err = new Error('ORDER_NUMBER_INVALID');
+              err.code = 'ORDER_NUMBER_INVALID';
+              err.detail = orderNumberProblem;
+              throw err;
+            }
+          }
 
-      const claimMap = new Map();
-      const giftsWithInvalidClaims = new Set();
-      for (const doc of claimsSnapshot.docs) {
-        const data = doc.data();
-        if (data.giftedRewardId) {
-          if (data.redeemedRewardId) {
-            if (!claimMap.has(data.giftedRewardId)) {
-              claimMap.set(data.giftedRewardId, []);
+          for (const q of buildReceiptDuplicateQueries(receiptsRef, fields)) {
+            const snap = await tx.get(q);
+            if (isDuplicateAtLocation(snap, location.id)) {
+              const err = new Error('DUPLICATE_RECEIPT');
+              err.code = 'DUPLICATE_RECEIPT';
+              throw err;
             }
-            claimMap.get(data.giftedRewardId).push(data.redeemedRewardId);
-          } else {
-            giftsWithInvalidClaims.add(data.giftedRewardId);
           }
-        }
-      }
 
-      const allRedeemedRewardIds = [];
-      for (const redeemedRewardIds of claimMap.values()) {
-        allRedeemedRewardIds.push(...redeemedRewardIds);
-      }
-      const redeemedRewardsMap = new Map();
-      if (allRedeemedRewardIds.length > 0) {
-        const batchSize = 30;
-        for (let i = 0; i < allRedeemedRewardIds.length; i += batchSize) {
-          const batch = allRedeemedRewardIds.slice(i, i + batchSize);
-          const redeemedSnapshot = await db.collection('redeemedRewards')
-            .where(admin.firestore.FieldPath.documentId(), 'in', batch)
-            .get();
-          for (const redeemedDoc of redeemedSnapshot.docs) {
-            redeemedRewardsMap.set(redeemedDoc.id, redeemedDoc.data());
+          const userRef = db.collection('users').doc(review.userId);
+          const userDoc = await tx.get(userRef);
+          if (!userDoc.exists) {
+            const err = new Error('USER_NOT_FOUND');
+            err.code = 'USER_NOT_FOUND';
+            throw err;
           }
-        }
-      }
+          const userData = userDoc.data() || {};
 
-      const claimedGiftIds = new Set(giftsWithInvalidClaims);
-      for (const [giftId, redeemedRewardIds] of claimMap.entries()) {
-        let hasActiveOrUsedRedemption = false;
-        for (const redeemedRewardId of redeemedRewardIds) {
-          const rewardData = redeemedRewardsMap.get(redeemedRewardId);
-          if (!rewardData) {
-            hasActiveOrUsedRedemption = true;
-            break;
+          // Approved receipts count towards the customer's daily scan cap like automatic ones
+          // (on the day they're approved, in the timezone the receipt was submitted from)
+          const { dayKey } = getUserLocalDayKeys(normalizeUserTimeZone(review.userTimeZone));
+          const dailyCounterRef = db.collection(RECEIPT_DAILY_COUNTERS_COLLECTION).doc(`${review.userId}_${dayKey}`);
+          const dailyCounterDoc = await tx.get(dailyCounterRef);
+          const currentDailyCount = dailyCounterDoc.exists ? (dailyCounterDoc.data()?.count || 0) : 0;
+          if (userData.isAdmin !== true && currentDailyCount >= RECEIPT_DAILY_SUCCESS_LIMIT) {
+            const err = new Error('DAILY_RECEIPT_LIMIT_REACHED');
+            err.code = 'DAILY_RECEIPT_LIMIT_REACHED';
+            throw err;
           }
-          const isUsed = rewardData.isUsed === true;
-          const expiresAt = parseFirestoreDate(rewardData.expiresAt);
-          const isExpired = rewardData.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
-          if (isUsed || !isExpired) {
-            hasActiveOrUsedRedemption = true;
-            break;
+
+          const [month, day] = fields.orderDate.split('/').map(n => parseInt(n, 10));
+          const [hour, minute] = fields.orderTime.split(':').map(n => parseInt(n, 10));
+          const purchasedAt = DateTime.fromObject(
+            { year: review.receiptYear || DateTime.now().setZone(location.timeZone).year, month, day, hour, minute },
+            { zone: location.timeZone }
+          );
+          const earning = evaluateReceiptPoints(
+            { ...pointsEarningConfig, timeZone: location.timeZone },
+            { orderTotal: fields.orderTotal, purchasedAt, tier: currentTierOf(loyaltyTiersConfig, userData) }
+          );
+          const pointsAwarded = earning.pointsAwarded;
+
+          const currentPoints = userData.points || 0;
+          const currentLifetime = (typeof userData.lifetimePoints === 'number') ? userData.lifetimePoints : currentPoints;
+          const tierUpgrade = evaluateTierUpgrade(loyaltyTiersConfig, userData, currentLifetime + pointsAwarded);
+
+          const receiptDocRef = receiptsRef.doc();
+          const receiptPayload = {
+            ...fields,
+            locationId: location.id,
+            userId: review.userId,
+            pointsAwarded,
+            earningRuleIds: earning.appliedRules.map(r => r.ruleId),
+            reviewId: reviewRef.id,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          };
+          if (review.imageHash) {
+            receiptPayload.imageHash = review.imageHash;
+            receiptPayload.imageHashBands = imageHashBands(review.imageHash);
+          }
+          if (review.imageStoragePath) {
+            receiptPayload.imageStoragePath = review.imageStoragePath;
+            receiptPayload.imageExpiresAt = admin.firestore.Timestamp.fromDate(new Date(Date.now() + 48 * 60 * 60 * 1000));
+          }
+          tx.set(receiptDocRef, receiptPayload);
+
+          const pointsTxId = `receipt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+          tx.set(db.collection('pointsTransactions').doc(pointsTxId), {
+            userId: review.userId,
+            type: 'receipt_scan',
+            amount: pointsAwarded,
+            description: `Receipt Scan - $${fields.orderTotal.toFixed(2)}`,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            metadata: {
+              ...fields,
+              locationId: location.id,
+              receiptId: receiptDocRef.id,
+              basePoints: earning.basePoints,
+              multiplier: earning.multiplier,
+              tierMultiplier: earning.tierMultiplier,
+              bonusPoints: earning.bonusPoints,
+              capped: earning.capped,
+              earningRules: earning.appliedRules,
+              reviewId: reviewRef.id,
+              reviewedBy: adminContext.uid
+            }
+          });
+
+          if (userData.isAdmin !== true) {
+            tx.set(dailyCounterRef, {
+              userId: review.userId,
+              day: dayKey,
+              timeZone: normalizeUserTimeZone(review.userTimeZone),
+              count: currentDailyCount + 1,
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
           }
-        }
-        if (hasActiveOrUsedRedemption) {
-          claimedGiftIds.add(giftId);
-        }
-      }
 
-      const availableGifts = [];
+          tx.update(userRef, {
+            points: currentPoints + pointsAwarded,
+            lifetimePoints: currentLifetime + pointsAwarded,
+            ...(tierUpgrade ? {
+              loyaltyTier: tierUpgrade.to.id,
+              loyaltyTierQualifiedAt: admin.firestore.FieldValue.serverTimestamp()
+            } : {})
+          });
 
-      for (const doc of broadcastGiftsSnapshot.docs) {
-        const data = doc.data();
-        const giftId = doc.id;
-        if (claimedGiftIds.has(giftId)) continue;
-        const revokedUserIds = data.revokedUserIds || [];
-        if (revokedUserIds.includes(uid)) continue;
-        if (data.expiresAt) {
-          const expiresAt = data.expiresAt.toDate();
-          if (expiresAt < new Date()) continue;
-        }
-        availableGifts.push({
-          id: giftId,
-          type: data.type || 'broadcast',
-          targetUserIds: data.targetUserIds || null,
-          rewardTitle: data.rewardTitle || '',
-          rewardDescription: data.rewardDescription || '',
-          rewardCategory: data.rewardCategory || '',
-          pointsRequired: data.pointsRequired || 0,
-          imageName: data.imageName || null,
-          imageURL: data.imageURL || null,
-          isCustom: data.isCustom || false,
-          sentByAdminId: data.sentByAdminId || '',
-          isActive: data.isActive !== false,
-          sentAt: data.sentAt ? data.sentAt.toDate().toISOString() : null,
-          expiresAt: data.expiresAt ? data.expiresAt.toDate().toISOString() : null
-        });
-      }
+          tx.update(reviewRef, {
+            status: 'approved',
+            reviewedBy: adminContext.uid,
+            reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+            reviewNote: req.body.note || null,
+            approvedValues: fields,
+            receiptId: receiptDocRef.id,
+            pointsAwarded
+          });
 
-      for (const doc of individualGiftsSnapshot.docs) {
-        const data = doc.data();
-        const giftId = doc.id;
-        if (claimedGiftIds.has(giftId)) continue;
-        if (data.expiresAt) {
-          const expiresAt = data.expiresAt.toDate();
-          if (expiresAt < new Date()) continue;
-        }
-        availableGifts.push({
-          id: giftId,
-          type: data.type || 'individual',
-          targetUserIds: data.targetUserIds || null,
-          rewardTitle: data.rewardTitle || '',
-          rewardDescription: data.rewardDescription || '',
-          rewardCategory: data.rewardCategory || '',
-          pointsRequired: data.pointsRequired || 0,
-          imageName: data.imageName || null,
-          imageURL: data.imageURL || null,
-          isCustom: data.isCustom || false,
-          sentByAdminId: data.sentByAdminId || '',
-          isActive: data.isActive !== false,
-          sentAt: data.sentAt ? data.sentAt.toDate().toISOString() : null,
-          expiresAt: data.expiresAt ? data.expiresAt.toDate().toISOString() : null
+          result = {
+            userId: review.userId,
+            receiptId: receiptDocRef.id,
+            pointsAwarded,
+            newPointsBalance: currentPoints + pointsAwarded,
+            appliedRules: earning.appliedRules,
+            orderTotal: fields.orderTotal,
+            tierUpgrade
+          };
         });
+      } catch (e) {
+        if (e && e.code === 'REVIEW_NOT_FOUND') {
+          return res.status(404).json({ error: 'Receipt review not found' });
+        }
+        if (e && e.code === 'REVIEW_ALREADY_RESOLVED') {
+          return res.status(409).json({ error: `Receipt review already ${e.status}` });
+        }
+        if (e && e.code === 'ORDER_NUMBER_INVALID') {
+          return res.status(400).json({ error: e.detail });
+        }
+        if (e && e.code === 'DUPLICATE_RECEIPT') {
+          return res.status(409).json({ error: 'A matching receipt has already been awarded points' });
+        }
+        if (e && e.code === 'DAILY_RECEIPT_LIMIT_REACHED') {
+          return res.status(409).json({
+            errorCode: 'DAILY_RECEIPT_LIMIT_REACHED',
+            error: `The customer already has ${RECEIPT_DAILY_SUCCESS_LIMIT} receipts awarded today; approve this one tomorrow`
+          });
+        }
+        if (e && e.code === 'USER_NOT_FOUND') {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        throw e;
       }
 
-      availableGifts.sort((a, b) => {
-        const aTime = a.sentAt ? new Date(a.sentAt).getTime() : 0;
-        const bTime = b.sentAt ? new Date(b.sentAt).getTime() : 0;
-        return bTime - aTime;
+      logger.info(`✅ Receipt review ${reviewRef.id} approved by admin ${adminContext.uid}: +${result.pointsAwarded} points for ${result.userId}`);
+
+      await notifyReceiptReviewOutcome(db, result.userId, {
+        title: 'Receipt Approved',
+        body: `Your $${result.orderTotal.toFixed(2)} receipt was approved. You earned ${result.pointsAwarded} points!`,
+        type: 'receipt_review_approved',
+        reviewId: reviewRef.id
       });
+      if (result.tierUpgrade) {
+        await notifyLoyaltyTierChange(db, result.userId, result.tierUpgrade);
+      }
 
-      res.json({ gifts: availableGifts });
+      res.json({
+        success: true,
+        reviewId: reviewRef.id,
+        receiptId: result.receiptId,
+        pointsAwarded: result.pointsAwarded,
+        newPointsBalance: result.newPointsBalance,
+        appliedRules: result.appliedRules
+      });
     } catch (error) {
-      logger.error('❌ Error fetching admin gifted rewards for user:', error);
-      res.status(500).json({ error: 'Failed to fetch gifted rewards' });
+      logger.error('❌ Error approving receipt review:', error);
+      res.status(500).json({ error: 'Failed to approve receipt review' });
     }
   });
 
   /**
-   * POST /admin/gifted-rewards/:giftedRewardId/revoke
-   * Admin only. Revoke a gifted reward for a specific user (they will no longer see it).
-   * Body: { "userId": "<targetUserId>" }
+   * POST /admin/receipts/review/:id/reject
+   *
+   * Admin-only. Rejects a queued receipt; the reason is shown to the user.
+   * Body: { reason, note? }
    */
-  app.post('/admin/gifted-rewards/:giftedRewardId/revoke', async (req, res) => {
+  app.post('/admin/receipts/review/:id/reject', validate(receiptReviewRejectSchema), async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const giftedRewardId = (req.params.giftedRewardId || '').toString().trim();
-      if (!giftedRewardId) {
-        return res.status(400).json({ error: 'giftedRewardId is required' });
-      }
+      const db = admin.firestore();
+      const reviewRef = db.collection(RECEIPT_REVIEWS_COLLECTION).doc(req.params.id);
+      const reason = req.body.reason;
 
-      const body = req.body || {};
-      const userId = typeof body.userId === 'string' ? body.userId.trim() : '';
-      if (!userId) {
-        return res.status(400).json({ error: 'userId is required' });
+      let review = null;
+      try {
+        await db.runTransaction(async (tx) => {
+          const reviewDoc = await tx.get(reviewRef);
+          if (!reviewDoc.exists) {
+            const err = new Error('REVIEW_NOT_FOUND');
+            err.code = 'REVIEW_NOT_FOUND';
+            throw err;
+          }
+          review = reviewDoc.data() || {};
+          if (review.status !== 'pending') {
+            const err = new Error('REVIEW_ALREADY_RESOLVED');
+            err.code = 'REVIEW_ALREADY_RESOLVED';
+            throw err;
+          }
+          tx.update(reviewRef, {
+            status: 'rejected',
+            reviewedBy: adminContext.uid,
+            reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+            rejectionReason: reason,
+            reviewNote: req.body.note || null
+          });
+        });
+      } catch (e) {
+        if (e && e.code === 'REVIEW_NOT_FOUND') {
+          return res.status(404).json({ error: 'Receipt review not found' });
+        }
+        if (e && e.code === 'REVIEW_ALREADY_RESOLVED') {
+          return res.status(409).json({ error: `Receipt review already ${review.status}` });
+        }
+        throw e;
       }
 
-      const db = admin.firestore();
-      const giftRef = db.collection('giftedRewards').doc(giftedRewardId);
-      const giftSnap = await giftRef.get();
-      if (!giftSnap.exists) {
-        return res.status(404).json({ error: 'Gift reward not found' });
-      }
+      logger.info(`🚫 Receipt review ${reviewRef.id} rejected by admin ${adminContext.uid}: ${reason}`);
 
-      const data = giftSnap.data();
-      const type = (data.type || 'broadcast').toLowerCase();
+      await notifyReceiptReviewOutcome(db, review.userId, {
+        title: 'Receipt Not Approved',
+        body: `We couldn't approve your receipt: ${reason}`,
+        type: 'receipt_review_rejected',
+        reviewId: reviewRef.id
+      });
 
-      if (type === 'individual') {
-        await giftRef.update({
-          targetUserIds: admin.firestore.FieldValue.arrayRemove(userId)
-        });
-      } else {
-        await giftRef.update({
-          revokedUserIds: admin.firestore.FieldValue.arrayUnion(userId)
+      // Rejected images aren't needed anymore
+      if (review.imageStoragePath) {
+        admin.storage().bucket('dumplinghouseapp.firebasestorage.app').file(review.imageStoragePath).delete().catch(err => {
+          logger.warn('⚠️ Failed to delete rejected review image:', err.message || err);
         });
       }
 
-      logger.info(`🎁 Admin ${adminContext.uid} revoked gift ${giftedRewardId} for user ${userId}`);
-      res.status(200).json({ ok: true, message: 'Gift revoked' });
+      res.json({ success: true, reviewId: reviewRef.id, status: 'rejected' });
     } catch (error) {
-      logger.error('❌ Error revoking gifted reward:', error);
-      res.status(500).json({ error: 'Failed to revoke gift' });
+      logger.error('❌ Error rejecting receipt review:', error);
+      res.status(500).json({ error: 'Failed to reject receipt review' });
     }
   });
 
   /**
-   * POST /rewards/claim-gift
-   * 
-   * Claim a gifted reward and create a redeemed reward entry
-   * 
-   * Request body:
-   * {
-   *   giftedRewardId: string (required)
-   *   selectedItemId?: string
-   *   selectedItemName?: string
-   *   selectedToppingId?: string
-   *   selectedToppingName?: string
-   *   selectedItemId2?: string
-   *   selectedItemName2?: string
-   *   cookingMethod?: string
-   *   drinkType?: string
-   *   selectedDrinkItemId?: string
-   *   selectedDrinkItemName?: string
-   * }
+   * GET /admin/analytics/receipt-items
+   *
+   * Admin-only. Item-level analytics from receipts with extracted line items:
+   * top items, attach rates (per category and "also bought"), and average basket
+   * overall and per customer.
+   *
+   * Query: days (default 30, max 365), topN (default 20, max 100)
    */
-  app.post('/rewards/claim-gift', async (req, res) => {
+  app.get('/admin/analytics/receipt-items', async (req, res) => {
     try {
-      const authHeader = req.headers.authorization || '';
-      const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-      if (!token) {
-        return res.status(401).json({ error: 'Missing or invalid Authorization header' });
-      }
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      let uid;
-      try {
-        const decoded = await admin.auth().verifyIdToken(token);
-        uid = decoded.uid;
-      } catch (e) {
-        return res.status(401).json({ error: 'Invalid auth token' });
-      }
+      const db = admin.firestore();
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+      const topN = Math.min(Math.max(parseInt(req.query.topN, 10) || 20, 1), 100);
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const maxReceipts = 5000;
 
-      const { giftedRewardId, selectedItemId, selectedItemName, selectedToppingId, selectedToppingName, 
-              selectedItemId2, selectedItemName2, cookingMethod, drinkType, selectedDrinkItemId, selectedDrinkItemName,
-              iceLevel, sugarLevel } = req.body;
+      const snap = await db.collection('receipts')
+        .where('createdAt', '>=', since)
+        .orderBy('createdAt', 'desc')
+        .limit(maxReceipts)
+        .select('userId', 'orderTotal', 'lineItems')
+        .get();
 
-      if (!giftedRewardId || typeof giftedRewardId !== 'string') {
-        return res.status(400).json({ error: 'giftedRewardId is required' });
-      }
+      const stats = aggregateReceiptItemStats(snap.docs.map(doc => doc.data()), { topN });
+
+      logger.info(`📊 Receipt item analytics: ${stats.receiptsWithItems}/${stats.receiptsScanned} receipts with items over ${days}d`);
+      res.json({
+        days,
+        since: since.toISOString(),
+        truncated: snap.size >= maxReceipts,
+        lineItemsEnabled: RECEIPT_LINE_ITEMS_ENABLED,
+        ...stats
+      });
+    } catch (error) {
+      logger.error('❌ Error computing receipt item analytics:', error);
+      res.status(500).json({ error: 'Failed to compute receipt item analytics' });
+    }
+  });
+
+  // List scanned receipts for Admin Office
+  app.get('/admin/receipts', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
       const db = admin.firestore();
 
-      // Verify gift exists and is available
-      const giftDoc = await db.collection('giftedRewards').doc(giftedRewardId).get();
-      if (!giftDoc.exists) {
-        return res.status(404).json({ error: 'Gift reward not found' });
+      // Basic pagination: limit + optional startAfter cursor (createdAt ISO string + docId)
+      const pageSize = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      let startAfterCursor = null;
+      if (req.query.startAfter) {
+        try {
+          // Parse cursor: "timestampISO|docId" format
+          const parts = req.query.startAfter.split('|');
+          if (parts.length === 2) {
+            const timestamp = admin.firestore.Timestamp.fromDate(new Date(parts[0]));
+            const docId = parts[1];
+            // Get the document reference to use as cursor
+            const cursorDoc = await db.collection('receipts').doc(docId).get();
+            if (cursorDoc.exists) {
+              startAfterCursor = cursorDoc;
+            }
+          }
+        } catch (e) {
+          logger.warn('⚠️ Invalid pagination cursor, ignoring:', e.message);
+        }
       }
 
-      const giftData = giftDoc.data();
-      
-      // Check if active
-      if (!giftData.isActive) {
-        return res.status(400).json({ error: 'Gift reward is no longer active' });
+      // Use compound ordering for stable pagination (createdAt desc, then docId desc)
+      // This prevents skipping/duplicating receipts with identical timestamps
+      let query = db.collection('receipts')
+        .orderBy('createdAt', 'desc')
+        .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+        .limit(pageSize);
+
+      if (startAfterCursor) {
+        query = query.startAfter(startAfterCursor);
       }
 
-      // Check expiration
-      if (giftData.expiresAt) {
-        const expiresAt = giftData.expiresAt.toDate();
-        if (expiresAt < new Date()) {
-          return res.status(400).json({ error: 'Gift reward has expired' });
-        }
+      let snapshot;
+      try {
+        snapshot = await query.get();
+        logger.info(`📋 Admin receipts query returned ${snapshot.size} documents`);
+      } catch (queryError) {
+        logger.error('❌ Error executing receipts query:', queryError);
+        // If orderBy fails, try without it (fallback)
+        logger.info('⚠️ Attempting fallback query without orderBy...');
+        const fallbackQuery = db.collection('receipts').limit(pageSize);
+        snapshot = await fallbackQuery.get();
+        logger.info(`📋 Fallback query returned ${snapshot.size} documents`);
       }
 
-      // Check if already claimed - but allow re-claiming if ALL previous redemptions expired unused
-      const existingClaims = await db.collection('giftedRewardClaims')
-        .where('giftedRewardId', '==', giftedRewardId)
-        .where('userId', '==', uid)
-        .get();
+      const receipts = [];
+      const userIds = new Set();
 
-      if (!existingClaims.empty) {
-        // Check all existing claims to see if any have an active or used redemption
-        // First, collect all redeemedRewardIds and batch fetch them
-        const redeemedRewardIds = [];
-        const claimsWithoutRedeemedReward = [];
-        
-        for (const claimDoc of existingClaims.docs) {
-          const claimData = claimDoc.data();
-          const redeemedRewardId = claimData.redeemedRewardId;
-          
-          if (!redeemedRewardId) {
-            // No redeemedRewardId - treat as claimed to be safe
-            claimsWithoutRedeemedReward.push(claimDoc);
-          } else {
-            redeemedRewardIds.push(redeemedRewardId);
-          }
+      snapshot.forEach(doc => {
+        const data = doc.data() || {};
+        if (data.userId) {
+          userIds.add(data.userId);
         }
-        
-        // If any claim has no redeemedRewardId, block re-claiming
-        if (claimsWithoutRedeemedReward.length > 0) {
-          return res.status(400).json({ error: 'Gift reward already claimed' });
+      });
+
+      // Fetch basic user info for all involved users (batched for efficiency)
+      const usersMap = {};
+      if (userIds.size > 0) {
+        const userIdArray = Array.from(userIds);
+        // Firestore getAll() is limited to 30 items, so batch them
+        const batchSize = 30;
+        const userBatches = [];
+        for (let i = 0; i < userIdArray.length; i += batchSize) {
+          const batch = userIdArray.slice(i, i + batchSize);
+          // Use getAll() for efficient batch reads (Admin SDK supports this)
+          const userRefs = batch.map(userId => db.collection('users').doc(userId));
+          userBatches.push(db.getAll(...userRefs));
         }
         
-        // Batch fetch all redeemed rewards
-        const redeemedRewardsMap = new Map();
-        if (redeemedRewardIds.length > 0) {
-          // Firestore 'in' query supports up to 30 items
-          const batchSize = 30;
-          for (let i = 0; i < redeemedRewardIds.length; i += batchSize) {
-            const batch = redeemedRewardIds.slice(i, i + batchSize);
-            const redeemedSnapshot = await db.collection('redeemedRewards')
-              .where(admin.firestore.FieldPath.documentId(), 'in', batch)
-              .get();
-            
-            for (const redeemedDoc of redeemedSnapshot.docs) {
-              redeemedRewardsMap.set(redeemedDoc.id, redeemedDoc.data());
+        const allUserDocs = await Promise.all(userBatches);
+        for (const userDocs of allUserDocs) {
+          for (const userDoc of userDocs) {
+            if (userDoc.exists) {
+              usersMap[userDoc.id] = userDoc.data() || {};
             }
           }
         }
-        
-        // Check each redemption status
-        let hasActiveOrUsedRedemption = false;
-        for (const redeemedRewardId of redeemedRewardIds) {
-          const rewardData = redeemedRewardsMap.get(redeemedRewardId);
-          
-          if (!rewardData) {
-            // Redeemed reward doesn't exist - treat as claimed to be safe
-            hasActiveOrUsedRedemption = true;
-            break;
-          }
-          
-          const isUsed = rewardData.isUsed === true;
-          const expiresAt = parseFirestoreDate(rewardData.expiresAt);
-          const isExpired = rewardData.isExpired === true || (expiresAt ? expiresAt <= new Date() : false);
-          
-          // If this redemption was used OR is still active, block re-claiming
-          if (isUsed || !isExpired) {
-            hasActiveOrUsedRedemption = true;
-            break;
-          }
-        }
-        
-        // If any redemption is active or used, block re-claiming
-        if (hasActiveOrUsedRedemption) {
-          return res.status(400).json({ error: 'Gift reward already claimed' });
-        }
-        // If all redemptions expired unused, allow re-claiming (continue)
       }
 
-      // Generate redemption code (8 digits)
-      const redemptionCode = Math.floor(10000000 + Math.random() * 90000000).toString();
+      snapshot.forEach(doc => {
+        const data = doc.data() || {};
+        const userInfo = data.userId ? (usersMap[data.userId] || {}) : {};
 
-      // Calculate expiration (15 minutes from now)
-      const expiresAt = new Date();
-      expiresAt.setMinutes(expiresAt.getMinutes() + 15);
+        // Use stored userName/userPhone if present (for deleted users), otherwise lookup from user
+        receipts.push({
+          id: doc.id,
+          orderNumber: data.orderNumber || null,
+          orderDate: data.orderDate || null,
+          timestamp: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+          userId: data.userId || null,
+          userName: data.userName || userInfo.firstName || userInfo.name || null,
+          userPhone: data.userPhone || userInfo.phone || null
+        });
+      });
 
-      // Create redeemed reward entry (same structure as regular redemption)
-      const redeemedRewardRef = db.collection('redeemedRewards').doc();
-      const redeemedReward = {
-        id: redeemedRewardRef.id,
-        userId: uid,
-        rewardTitle: giftData.rewardTitle,
-        rewardDescription: giftData.rewardDescription,
-        rewardCategory: giftData.rewardCategory,
-        pointsRequired: 0, // Free gift
-        redemptionCode: redemptionCode,
-        redeemedAt: admin.firestore.FieldValue.serverTimestamp(),
-        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
-        isExpired: false,
-        isUsed: false,
-        deletedByAdmin: false,
-        selectedItemId: selectedItemId || null,
-        selectedItemName: selectedItemName || null,
-        selectedToppingId: selectedToppingId || null,
-        selectedToppingName: selectedToppingName || null,
-        selectedItemId2: selectedItemId2 || null,
-        selectedItemName2: selectedItemName2 || null,
-        cookingMethod: cookingMethod || null,
-        drinkType: drinkType || null,
-        selectedDrinkItemId: selectedDrinkItemId || null,
-        selectedDrinkItemName: selectedDrinkItemName || null,
-        iceLevel: iceLevel || null,
-        sugarLevel: sugarLevel || null,
-        isGiftedReward: true,
-        giftedRewardId: giftedRewardId
-      };
+      // Generate pagination token: "createdAtISO|docId" format for stable cursor
+      const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      const nextPageToken = lastDoc && lastDoc.get('createdAt')
+        ? `${lastDoc.get('createdAt').toDate().toISOString()}|${lastDoc.id}`
+        : null;
 
-      // Create claim record
-      const claimRef = db.collection('giftedRewardClaims').doc();
-      const claim = {
-        giftedRewardId: giftedRewardId,
-        userId: uid,
-        claimedAt: admin.firestore.FieldValue.serverTimestamp(),
-        redeemedRewardId: redeemedRewardRef.id,
-        isUsed: false,
-        usedAt: null
-      };
+      res.json({
+        receipts,
+        nextPageToken
+      });
+    } catch (error) {
+      logger.error('❌ Error listing admin receipts:', error);
+      res.status(500).json({ error: 'Failed to load receipts for admin' });
+    }
+  });
 
-      // Build description for transaction (matching regular reward format)
-      let transactionDescription = `Redeemed gift: ${giftData.rewardTitle}`;
-      if (selectedItemName) {
-        transactionDescription = `Redeemed gift: ${selectedItemName}`;
-        if (selectedToppingName) {
-          transactionDescription += ` with ${selectedToppingName}`;
-        }
-        if (selectedItemName2) {
-          transactionDescription = `Redeemed gift: Half and Half: ${selectedItemName} + ${selectedItemName2}`;
-          if (cookingMethod) {
-            transactionDescription += ` (${cookingMethod})`;
+  // Get a single receipt by id (admin detail view; includes signed image URL if within 48h)
+  app.get('/admin/receipts/:id', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const receiptId = req.params.id;
+
+      const receiptRef = db.collection('receipts').doc(receiptId);
+      const receiptDoc = await receiptRef.get();
+
+      if (!receiptDoc.exists) {
+        return res.status(404).json({ error: 'Receipt not found' });
+      }
+
+      const data = receiptDoc.data() || {};
+      let userName = data.userName || null;
+      let userPhone = data.userPhone || null;
+      if (data.userId) {
+        try {
+          const userDoc = await db.collection('users').doc(data.userId).get();
+          if (userDoc.exists) {
+            const userInfo = userDoc.data() || {};
+            if (userName == null) userName = userInfo.firstName || userInfo.name || null;
+            if (userPhone == null) userPhone = userInfo.phone || null;
           }
-        } else if (cookingMethod) {
-          transactionDescription += ` (${cookingMethod})`;
+        } catch (e) {
+          logger.warn('⚠️ Failed to load user for receipt detail:', e.message || e);
         }
       }
 
-      // Create points transaction for history (amount 0 since it's a free gift)
-      const pointsTransactionId = `gift_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const pointsTransaction = {
-        id: pointsTransactionId,
-        userId: uid,
-        type: 'reward_redeemed',
-        amount: 0, // Free gift, no points deducted
-        description: transactionDescription,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        metadata: {
-          rewardTitle: giftData.rewardTitle,
-          isGiftedReward: true,
-          giftedRewardId: giftedRewardId,
-          redemptionCode: redemptionCode,
-          ...(selectedItemName && { selectedItemName }),
-          ...(selectedToppingName && { selectedToppingName }),
-          ...(selectedItemName2 && { selectedItemName2 }),
-          ...(cookingMethod && { cookingMethod }),
-          ...(drinkType && { drinkType }),
-          ...(selectedDrinkItemName && { selectedDrinkItemName }),
-          ...(iceLevel && { iceLevel }),
-          ...(sugarLevel && { sugarLevel })
+      const createdAt = data.createdAt ? data.createdAt.toDate().toISOString() : null;
+      const imageExpiresAt = data.imageExpiresAt ? data.imageExpiresAt.toDate() : null;
+      const now = new Date();
+      let imageUrl = null;
+      let imageExpired = true;
+      if (data.imageStoragePath && imageExpiresAt && imageExpiresAt > now) {
+        try {
+          const storage = admin.storage();
+          const bucket = storage.bucket('dumplinghouseapp.firebasestorage.app');
+          const file = bucket.file(data.imageStoragePath);
+          const [signedUrl] = await file.getSignedUrl({
+            action: 'read',
+            expires: Date.now() + 15 * 60 * 1000
+          });
+          imageUrl = signedUrl;
+          imageExpired = false;
+        } catch (signErr) {
+          logger.warn('⚠️ Could not generate signed URL for receipt image:', signErr.message || signErr);
+        }
+      }
+
+      res.json({
+        id: receiptDoc.id,
+        orderNumber: data.orderNumber || null,
+        orderDate: data.orderDate || null,
+        orderTime: data.orderTime || null,
+        orderTotal: data.orderTotal != null ? data.orderTotal : null,
+        userId: data.userId || null,
+        userName,
+        userPhone,
+        pointsAwarded: data.pointsAwarded != null ? data.pointsAwarded : null,
+        timestamp: createdAt,
+        imageUrl,
+        imageExpired,
+        totalVisibleAndClear: data.totalVisibleAndClear,
+        orderNumberVisibleAndClear: data.orderNumberVisibleAndClear,
+        dateVisibleAndClear: data.dateVisibleAndClear,
+        timeVisibleAndClear: data.timeVisibleAndClear,
+        keyFieldsTampered: data.keyFieldsTampered,
+        tamperingReason: data.tamperingReason || null,
+        orderNumberInBlackBox: data.orderNumberInBlackBox,
+        paidOnlineReceipt: data.paidOnlineReceipt,
+        orderNumberFromPaidOnlineSection: data.orderNumberFromPaidOnlineSection,
+        lineItems: Array.isArray(data.lineItems) ? data.lineItems : null
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching admin receipt detail:', error);
+      res.status(500).json({ error: 'Failed to load receipt for admin' });
+    }
+  });
+
+  // Delete a scanned receipt so it can be rescanned
+  app.delete('/admin/receipts/:id', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const receiptId = req.params.id;
+
+      const receiptRef = db.collection('receipts').doc(receiptId);
+      const receiptDoc = await receiptRef.get();
+
+      if (!receiptDoc.exists) {
+        return res.status(404).json({ error: 'Receipt not found' });
+      }
+
+      const receiptData = receiptDoc.data() || {};
+      const { orderNumber, orderDate, userId, imageStoragePath } = receiptData;
+
+      if (imageStoragePath && typeof imageStoragePath === 'string') {
+        try {
+          const storage = admin.storage();
+          const bucket = storage.bucket('dumplinghouseapp.firebasestorage.app');
+          await bucket.file(imageStoragePath).delete();
+          logger.info('🗑️ Deleted receipt image from Storage:', imageStoragePath);
+        } catch (storageErr) {
+          logger.warn('⚠️ Could not delete receipt image (may already be expired):', storageErr.message || storageErr);
         }
-      };
+      }
 
-      // Write all three in a batch
       const batch = db.batch();
-      batch.set(redeemedRewardRef, redeemedReward);
-      batch.set(claimRef, claim);
-      batch.set(db.collection('pointsTransactions').doc(pointsTransactionId), pointsTransaction);
-      await batch.commit();
 
-      logger.info(`✅ User ${uid} claimed gift reward ${giftedRewardId}, redemption code: ${redemptionCode}`);
+      // Delete the receipt entry
+      batch.delete(receiptRef);
 
-      res.json({
-        success: true,
-        redemptionCode: redemptionCode,
-        newPointsBalance: 0, // No points deducted for gifts
-        pointsDeducted: 0,
-        rewardTitle: giftData.rewardTitle,
-        selectedItemName: selectedItemName || null,
-        selectedToppingName: selectedToppingName || null,
-        selectedItemName2: selectedItemName2 || null,
-        cookingMethod: cookingMethod || null,
-        drinkType: drinkType || null,
-        selectedDrinkItemId: selectedDrinkItemId || null,
-        selectedDrinkItemName: selectedDrinkItemName || null,
-        iceLevel: iceLevel || null,
-        sugarLevel: sugarLevel || null,
-        expiresAt: expiresAt.toISOString(),
-        message: 'Gift reward claimed successfully! Show the code to your cashier.',
-        error: null
+      // Log admin action for audit
+      const actionRef = db.collection('adminActions').doc();
+      batch.set(actionRef, {
+        type: 'deleteReceipt',
+        performedBy: adminContext.uid,
+        receiptDocId: receiptId,
+        orderNumber: orderNumber || null,
+        orderDate: orderDate || null,
+        userId: userId || null,
+        reason: req.body && req.body.reason ? String(req.body.reason).slice(0, 500) : null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await batch.commit();
+
+      logger.info('🗑️ Admin deleted receipt and related records:', {
+        receiptId,
+        orderNumber,
+        orderDate,
+        userId,
+        adminId: adminContext.uid
       });
 
+      res.json({ success: true });
     } catch (error) {
-      logger.error('❌ Error claiming gift reward:', error);
-      res.status(500).json({ error: 'Failed to claim gift reward' });
+      logger.error('❌ Error deleting admin receipt:', error);
+      res.status(500).json({ error: 'Failed to delete receipt for admin' });
     }
   });
 
   // ---------------------------------------------------------------------------
-  // Admin Reward Tier Item Management
+  // Audience Segments (see audienceSegments.js)
   // ---------------------------------------------------------------------------
 
-  // Get all reward tiers with their eligible items
-  app.get('/admin/reward-tiers', async (req, res) => {
+  /**
+   * Load what a segment's rules need beyond the user document: who scanned a receipt
+   * recently, whose referral bonus is still pending, and the tier config
+   * @returns {Promise<Object>} context for userMatchesSegment
+   */
+  async function buildSegmentContext(db, rules, now = new Date()) {
+    const timeZone = process.env.STATS_TIMEZONE || 'America/Chicago';
+    const lookups = segmentLookupsFor(rules);
+    const context = { month: DateTime.fromJSDate(now).setZone(timeZone).month };
+
+    if (lookups.receipts) {
+      const cutoff = new Date(now.getTime() - rules.noReceiptInDays * 24 * 60 * 60 * 1000);
+      const receiptsSnap = await db.collection('receipts')
+        .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(cutoff))
+        .select('userId')
+        .get();
+      context.recentReceiptUserIds = new Set(receiptsSnap.docs.map(doc => doc.get('userId')).filter(Boolean));
+    }
+    if (lookups.referrals) {
+      const referralsSnap = await db.collection('referrals')
+        .where('status', '==', 'pending')
+        .select('referredUserId')
+        .get();
+      context.pendingReferralUserIds = new Set(referralsSnap.docs.map(doc => doc.get('referredUserId')).filter(Boolean));
+    }
+    if (lookups.tiers) {
+      context.tiersConfig = await getLoyaltyTiersConfig(db);
+    }
+    return context;
+  }
+
+  /**
+   * Everyone currently in a segment
+   * @param {Firestore} db
+   * @param {Object} rules - segment rules
+   * @returns {Promise<Array>} users DocumentSnapshots
+   */
+  async function resolveSegmentUsers(db, rules) {
+    const context = await buildSegmentContext(db, rules);
+    const userDocs = [];
+    await forEachUserDoc(db, async (doc) => {
+      if (userMatchesSegment(doc.data(), rules, context, doc.id)) userDocs.push(doc);
+    }, 500);
+    return userDocs;
+  }
+
+  /**
+   * Load a saved segment
+   * @returns {Promise<Object|null>} { id, name, rules } or null if it doesn't exist
+   */
+  async function loadAudienceSegment(db, segmentId) {
+    if (!segmentId || typeof segmentId !== 'string') return null;
+    const doc = await db.collection(AUDIENCE_SEGMENTS_COLLECTION).doc(segmentId).get();
+    if (!doc.exists) return null;
+    const data = doc.data() || {};
+    return { id: doc.id, name: data.name || '', rules: data.rules || {} };
+  }
+
+  /**
+   * Tier ids in the rules that the loyalty tier config doesn't have
+   * @returns {Promise<string[]>}
+   */
+  async function unknownSegmentTierIds(db, rules) {
+    if (!Array.isArray(rules.loyaltyTierIds) || rules.loyaltyTierIds.length === 0) return [];
+    const tiersConfig = await getLoyaltyTiersConfig(db);
+    return rules.loyaltyTierIds.filter(id => !tiersConfig.tiers.some(t => t.id === id));
+  }
+
+  /**
+   * Recipient counts for a segment preview
+   */
+  function summarizeSegmentUsers(userDocs) {
+    let withPushTokenCount = 0;
+    let promotionalOptInCount = 0;
+    for (const doc of userDocs) {
+      const userData = doc.data() || {};
+      if (typeof userData.fcmToken === 'string' && userData.fcmToken.length > 0) withPushTokenCount += 1;
+      if (userData.promotionalNotificationsEnabled === true) promotionalOptInCount += 1;
+    }
+    return {
+      recipientCount: userDocs.length,
+      withPushTokenCount,
+      promotionalOptInCount,
+      sampleUsers: userDocs.slice(0, 10).map(doc => ({
+        id: doc.id,
+        firstName: doc.get('firstName') || null,
+        points: doc.get('points') || 0
+      }))
+    };
+  }
+
+  /**
+   * POST /admin/segments
+   *
+   * Save a segment. Body: { name, description?, rules } where rules holds any of:
+   *   noReceiptInDays: number - no receipt scanned in the last N days (or ever)
+   *   pointsMin, pointsMax: number - current points balance, inclusive
+   *   birthdayThisMonth: true
+   *   referralPending: true - referred users whose referral is still pending (threshold not reached)
+   *   loyaltyTierIds: string[] - current loyalty tier is one of these
+   */
+  app.post('/admin/segments', validate(audienceSegmentSchema), async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
       const db = admin.firestore();
-      const snapshot = await db.collection('rewardTierItems')
-        .orderBy('pointsRequired', 'asc')
-        .get();
-
-      const tiers = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-
-      logger.info(`📋 Fetched ${tiers.length} reward tiers`);
-      res.json({ tiers });
+      const { name, description, rules } = req.body;
+      const unknownTiers = await unknownSegmentTierIds(db, rules);
+      if (unknownTiers.length > 0) {
+        return res.status(400).json({ error: `Unknown loyalty tier: ${unknownTiers.join(', ')}` });
+      }
+
+      const segmentRef = db.collection(AUDIENCE_SEGMENTS_COLLECTION).doc();
+      const data = {
+        name,
+        description: description || '',
+        rules,
+        createdBy: adminContext.uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      await segmentRef.set(data);
 
+      logger.info(`👥 Admin ${adminContext.uid} created segment ${segmentRef.id} ("${name}")`);
+      res.json({
+        success: true,
+        segment: serializeSegment(segmentRef.id, { ...data, createdAt: new Date(), updatedAt: new Date() }),
+        summary: describeSegmentRules(rules, await getLoyaltyTiersConfig(db))
+      });
     } catch (error) {
-      logger.error('❌ Error fetching reward tiers:', error);
-      res.status(500).json({ error: 'Failed to fetch reward tiers' });
+      logger.error('❌ Error creating audience segment:', error);
+      res.status(500).json({ error: 'Failed to create segment' });
     }
   });
 
-  // Create or update a reward tier with eligible items
-  app.post('/admin/reward-tiers/items', async (req, res) => {
+  /**
+   * GET /admin/segments
+   *
+   * Saved segments, most recently edited first.
+   */
+  app.get('/admin/segments', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const { pointsRequired, tierName, eligibleItems } = req.body;
-
-      if (!pointsRequired || typeof pointsRequired !== 'number' || pointsRequired <= 0) {
-        return res.status(400).json({ error: 'Invalid pointsRequired. Must be a positive number.' });
-      }
-
-      if (!Array.isArray(eligibleItems)) {
-        return res.status(400).json({ error: 'eligibleItems must be an array.' });
-      }
-
-      // Validate eligible items structure
-      for (const item of eligibleItems) {
-        if (!item.itemId || !item.itemName) {
-          return res.status(400).json({ error: 'Each eligible item must have itemId and itemName.' });
-        }
-      }
-
       const db = admin.firestore();
+      const [snapshot, tiersConfig] = await Promise.all([
+        db.collection(AUDIENCE_SEGMENTS_COLLECTION).orderBy('updatedAt', 'desc').limit(200).get(),
+        getLoyaltyTiersConfig(db)
+      ]);
 
-      // Check if tier already exists
-      const existingSnapshot = await db.collection('rewardTierItems')
-        .where('pointsRequired', '==', pointsRequired)
-        .limit(1)
-        .get();
+      res.json({
+        segments: snapshot.docs.map(doc => {
+          const data = doc.data() || {};
+          return { ...serializeSegment(doc.id, data), summary: describeSegmentRules(data.rules || {}, tiersConfig) };
+        })
+      });
+    } catch (error) {
+      logger.error('❌ Error listing audience segments:', error);
+      res.status(500).json({ error: 'Failed to list segments' });
+    }
+  });
 
-      const tierData = {
-        pointsRequired,
-        tierName: tierName || `${pointsRequired} Points Tier`,
-        eligibleItems: eligibleItems.map(item => ({
-          itemId: item.itemId,
-          itemName: item.itemName,
-          categoryId: item.categoryId || null,
-          imageURL: item.imageURL || null
-        })),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedBy: adminContext.uid
-      };
+  /**
+   * POST /admin/segments/preview
+   *
+   * Count who unsaved rules would reach. Body: { rules }
+   */
+  app.post('/admin/segments/preview', validate(audienceSegmentPreviewSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      let docId;
-      if (!existingSnapshot.empty) {
-        // Update existing tier
-        docId = existingSnapshot.docs[0].id;
-        await db.collection('rewardTierItems').doc(docId).update(tierData);
-        logger.info(`✏️ Updated reward tier ${pointsRequired} with ${eligibleItems.length} items`);
-      } else {
-        // Create new tier
-        docId = `tier_${pointsRequired}`;
-        tierData.createdAt = admin.firestore.FieldValue.serverTimestamp();
-        await db.collection('rewardTierItems').doc(docId).set(tierData);
-        logger.info(`➕ Created reward tier ${pointsRequired} with ${eligibleItems.length} items`);
+      const db = admin.firestore();
+      const { rules } = req.body;
+      const unknownTiers = await unknownSegmentTierIds(db, rules);
+      if (unknownTiers.length > 0) {
+        return res.status(400).json({ error: `Unknown loyalty tier: ${unknownTiers.join(', ')}` });
       }
 
+      const userDocs = await resolveSegmentUsers(db, rules);
       res.json({
-        success: true,
-        tierId: docId,
-        pointsRequired,
-        itemCount: eligibleItems.length,
-        message: existingSnapshot.empty ? 'Reward tier created' : 'Reward tier updated'
+        summary: describeSegmentRules(rules, await getLoyaltyTiersConfig(db)),
+        ...summarizeSegmentUsers(userDocs)
       });
-
     } catch (error) {
-      logger.error('❌ Error saving reward tier items:', error);
-      res.status(500).json({ error: 'Failed to save reward tier items' });
+      logger.error('❌ Error previewing audience segment:', error);
+      res.status(500).json({ error: 'Failed to preview segment' });
     }
   });
 
-  // Add a single item to a reward tier
-  app.post('/admin/reward-tiers/:tierId/add-item', async (req, res) => {
+  /**
+   * GET /admin/segments/:id
+   */
+  app.get('/admin/segments/:id', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const { tierId } = req.params;
-      const { tierName, pointsRequired, itemId, itemName, categoryId, imageURL } = req.body;
-
-      if (!tierId) {
-        return res.status(400).json({ error: 'tierId is required' });
-      }
-
-      if (!itemId || !itemName) {
-        return res.status(400).json({ error: 'itemId and itemName are required' });
-      }
-
       const db = admin.firestore();
+      const doc = await db.collection(AUDIENCE_SEGMENTS_COLLECTION).doc(req.params.id).get();
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+      const data = doc.data() || {};
+      res.json({
+        segment: serializeSegment(doc.id, data),
+        summary: describeSegmentRules(data.rules || {}, await getLoyaltyTiersConfig(db))
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching audience segment:', error);
+      res.status(500).json({ error: 'Failed to fetch segment' });
+    }
+  });
 
-      const newItem = {
-        itemId,
-        itemName,
-        categoryId: categoryId || null,
-        imageURL: imageURL || null
-      };
-
-      const tierRef = db.collection('rewardTierItems').doc(tierId);
-      const tierDoc = await tierRef.get();
-
-      if (!tierDoc.exists) {
-        if (!pointsRequired || typeof pointsRequired !== 'number' || pointsRequired <= 0) {
-          return res.status(400).json({ error: 'pointsRequired is required to create a new tier' });
-        }
-        // Create new tier with this item
-        await tierRef.set({
-          pointsRequired,
-          tierName: tierName || `${pointsRequired} Points Tier`,
-          eligibleItems: [newItem],
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-          updatedBy: adminContext.uid
-        });
-        logger.info(`➕ Created tier ${tierId} with item: ${itemName}`);
-      } else {
-        // Add to existing tier (avoid duplicates)
-        const tierData = tierDoc.data();
-        const existingItems = tierData.eligibleItems || [];
-        
-        // Check if item already exists
-        if (existingItems.some(item => item.itemId === itemId)) {
-          return res.status(400).json({ error: 'Item already exists in this tier' });
-        }
+  /**
+   * POST /admin/segments/:id/preview
+   *
+   * Count who the saved segment reaches right now; the count is kept on the segment
+   * so the list can show it without re-evaluating.
+   */
+  app.post('/admin/segments/:id/preview', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-        await tierRef.update({
-          eligibleItems: admin.firestore.FieldValue.arrayUnion(newItem),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-          updatedBy: adminContext.uid
-        });
-        logger.info(`➕ Added item ${itemName} to tier ${tierId}`);
+      const db = admin.firestore();
+      const segment = await loadAudienceSegment(db, req.params.id);
+      if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
       }
 
-      res.json({
-        success: true,
-        tierId,
-        pointsRequired: pointsRequired || null,
-        itemAdded: itemName,
-        message: 'Item added to reward tier'
+      const userDocs = await resolveSegmentUsers(db, segment.rules);
+      const preview = summarizeSegmentUsers(userDocs);
+      await db.collection(AUDIENCE_SEGMENTS_COLLECTION).doc(segment.id).update({
+        lastRecipientCount: preview.recipientCount,
+        lastPreviewedAt: admin.firestore.FieldValue.serverTimestamp()
       });
 
+      res.json({
+        segmentId: segment.id,
+        summary: describeSegmentRules(segment.rules, await getLoyaltyTiersConfig(db)),
+        ...preview
+      });
     } catch (error) {
-      logger.error('❌ Error adding item to reward tier:', error);
-      res.status(500).json({ error: 'Failed to add item to reward tier' });
+      logger.error('❌ Error previewing audience segment:', error);
+      res.status(500).json({ error: 'Failed to preview segment' });
     }
   });
 
-  // Remove an item from a reward tier
-  app.delete('/admin/reward-tiers/:tierId/remove-item/:itemId', async (req, res) => {
+  /**
+   * PATCH /admin/segments/:id
+   *
+   * Rename a segment or change its rules. Scheduled campaigns that target it pick up
+   * the new rules on their next run.
+   */
+  app.patch('/admin/segments/:id', validate(audienceSegmentUpdateSchema), async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const { tierId, itemId } = req.params;
-
-      if (!itemId) {
-        return res.status(400).json({ error: 'itemId is required' });
-      }
-
       const db = admin.firestore();
-
-      const tierRef = db.collection('rewardTierItems').doc(tierId);
-      const tierDoc = await tierRef.get();
-
-      if (!tierDoc.exists) {
-        return res.status(404).json({ error: 'Reward tier not found' });
+      const segmentRef = db.collection(AUDIENCE_SEGMENTS_COLLECTION).doc(req.params.id);
+      const doc = await segmentRef.get();
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'Segment not found' });
       }
 
-      const tierData = tierDoc.data();
-      const existingItems = tierData.eligibleItems || [];
-      
-      const itemToRemove = existingItems.find(item => item.itemId === itemId);
-      if (!itemToRemove) {
-        return res.status(404).json({ error: 'Item not found in this tier' });
+      const updates = {};
+      for (const field of ['name', 'description', 'rules']) {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
       }
+      if (updates.rules) {
+        const unknownTiers = await unknownSegmentTierIds(db, updates.rules);
+        if (unknownTiers.length > 0) {
+          return res.status(400).json({ error: `Unknown loyalty tier: ${unknownTiers.join(', ')}` });
+        }
+        // The stored count was for the old rules
+        updates.lastRecipientCount = null;
+        updates.lastPreviewedAt = null;
+      }
+      updates.updatedBy = adminContext.uid;
+      updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+      await segmentRef.update(updates);
 
-      await tierRef.update({
-        eligibleItems: admin.firestore.FieldValue.arrayRemove(itemToRemove),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedBy: adminContext.uid
-      });
-
-      logger.info(`🗑️ Removed item ${itemId} from tier ${tierId}`);
-
+      const merged = { ...(doc.data() || {}), ...updates, updatedAt: new Date() };
       res.json({
         success: true,
-        tierId,
-        itemRemoved: itemId,
-        message: 'Item removed from reward tier'
+        segment: serializeSegment(doc.id, merged),
+        summary: describeSegmentRules(merged.rules || {}, await getLoyaltyTiersConfig(db))
       });
-
     } catch (error) {
-      logger.error('❌ Error removing item from reward tier:', error);
-      res.status(500).json({ error: 'Failed to remove item from reward tier' });
+      logger.error('❌ Error updating audience segment:', error);
+      res.status(500).json({ error: 'Failed to update segment' });
     }
   });
 
-  // List scanned receipts for Admin Office
-  app.get('/admin/receipts', async (req, res) => {
+  /**
+   * DELETE /admin/segments/:id
+   *
+   * Refused while a scheduled campaign still targets the segment.
+   */
+  app.delete('/admin/segments/:id', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
       const db = admin.firestore();
+      const segmentRef = db.collection(AUDIENCE_SEGMENTS_COLLECTION).doc(req.params.id);
+      const doc = await segmentRef.get();
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
 
-      // Basic pagination: limit + optional startAfter cursor (createdAt ISO string + docId)
-      const pageSize = Math.min(parseInt(req.query.limit, 10) || 50, 200);
-      let startAfterCursor = null;
-      if (req.query.startAfter) {
-        try {
-          // Parse cursor: "timestampISO|docId" format
-          const parts = req.query.startAfter.split('|');
-          if (parts.length === 2) {
-            const timestamp = admin.firestore.Timestamp.fromDate(new Date(parts[0]));
-            const docId = parts[1];
-            // Get the document reference to use as cursor
-            const cursorDoc = await db.collection('receipts').doc(docId).get();
-            if (cursorDoc.exists) {
-              startAfterCursor = cursorDoc;
-            }
-          }
-        } catch (e) {
-          logger.warn('⚠️ Invalid pagination cursor, ignoring:', e.message);
-        }
+      const campaignsSnap = await db.collection(NOTIFICATION_CAMPAIGNS_COLLECTION)
+        .where('segmentId', '==', doc.id)
+        .get();
+      const activeCampaignIds = campaignsSnap.docs
+        .filter(campaignDoc => EDITABLE_CAMPAIGN_STATUSES.includes(campaignDoc.get('status')) || campaignDoc.get('status') === 'sending')
+        .map(campaignDoc => campaignDoc.id);
+      if (activeCampaignIds.length > 0) {
+        return res.status(409).json({
+          error: 'Segment is used by scheduled campaigns; cancel or retarget them first',
+          campaignIds: activeCampaignIds
+        });
       }
 
-      // Use compound ordering for stable pagination (createdAt desc, then docId desc)
-      // This prevents skipping/duplicating receipts with identical timestamps
-      let query = db.collection('receipts')
-        .orderBy('createdAt', 'desc')
-        .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
-        .limit(pageSize);
+      await segmentRef.delete();
+      logger.info(`👥 Admin ${adminContext.uid} deleted segment ${doc.id}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('❌ Error deleting audience segment:', error);
+      res.status(500).json({ error: 'Failed to delete segment' });
+    }
+  });
 
-      if (startAfterCursor) {
-        query = query.startAfter(startAfterCursor);
-      }
+  // ---------------------------------------------------------------------------
+  // Admin Notifications - Send Push & In-App Notifications to Customers
+  // ---------------------------------------------------------------------------
 
-      let snapshot;
-      try {
-        snapshot = await query.get();
-        logger.info(`📋 Admin receipts query returned ${snapshot.size} documents`);
-      } catch (queryError) {
-        logger.error('❌ Error executing receipts query:', queryError);
-        // If orderBy fails, try without it (fallback)
-        logger.info('⚠️ Attempting fallback query without orderBy...');
-        const fallbackQuery = db.collection('receipts').limit(pageSize);
-        snapshot = await fallbackQuery.get();
-        logger.info(`📋 Fallback query returned ${snapshot.size} documents`);
-      }
+  /**
+   * Deliver an admin notification: an in-app notification for every targeted user, an FCM
+   * push to those with a token, and an audit record in sentNotifications.
+   * Shared by POST /admin/notifications/send and scheduled campaigns.
+   * @param {Firestore} db
+   * @param {Object} options - { title, body, targetType: 'all'|'individual'|'segment', userIds, segmentId,
+   *   includeAdmins, isPromotional, sentBy, campaignId?, campaignRun? }
+   * Pushes to users in their quiet hours are queued in deferredPushes (deferredCount).
+   * Delivery counts are kept on the sentNotifications record (see notificationAnalytics.js).
+   * @returns {Promise<Object>} { successCount, failureCount, invalidTokenCount, deferredCount, deferredUntil, notificationId, totalTargeted, totalInAppNotified },
+   *   or { noRecipients: true, diagnostics, hint, notificationId, totalInAppNotified } when nobody has a push token
+   */
+  async function sendAdminNotification(db, { title, body, targetType, userIds, segmentId = null, includeAdmins, isPromotional, sentBy, campaignId = null, campaignRun = null }) {
+    // includeAdmins defaults to false for backward compatibility
+    const shouldIncludeAdmins = includeAdmins === true;
+    
+    // Admin notifications are promotional unless explicitly marked otherwise, so they
+    // only reach users who opted in (compliance)
+    const isPromotionalNotification = isPromotional !== false;
+
+    const trimmedTitle = title.trim();
+    const trimmedBody = body.trim();
+
+    const recipientDescription = targetType === 'all' 
+      ? (shouldIncludeAdmins ? 'all users (including admins)' : 'all users')
+      : (targetType === 'segment' ? `segment ${segmentId}` : `${userIds.length} users`);
+    const notificationTypeDescription = isPromotionalNotification ? 'promotional' : 'transactional';
+    logger.info(`📨 ${campaignId ? `Campaign ${campaignId}` : `Admin ${sentBy}`} sending ${notificationTypeDescription} notification: "${trimmedTitle}" to ${recipientDescription}`);
+
+    // Fetch FCM tokens based on target type
+    let usersSnapshot;
+    let segment = null;
+    if (targetType === 'all') {
+      // Get all users with FCM tokens (excluding admins)
+      const pageSize = 500;
+      let lastDoc = null;
+      const allDocs = [];
 
-      const receipts = [];
-      const userIds = new Set();
+      while (true) {
+        let query = db.collection('users')
+          .where('hasFcmToken', '==', true)
+          .limit(pageSize);
 
-      snapshot.forEach(doc => {
-        const data = doc.data() || {};
-        if (data.userId) {
-          userIds.add(data.userId);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
         }
-      });
 
-      // Fetch basic user info for all involved users (batched for efficiency)
-      const usersMap = {};
-      if (userIds.size > 0) {
-        const userIdArray = Array.from(userIds);
-        // Firestore getAll() is limited to 30 items, so batch them
-        const batchSize = 30;
-        const userBatches = [];
-        for (let i = 0; i < userIdArray.length; i += batchSize) {
-          const batch = userIdArray.slice(i, i + batchSize);
-          // Use getAll() for efficient batch reads (Admin SDK supports this)
-          const userRefs = batch.map(userId => db.collection('users').doc(userId));
-          userBatches.push(db.getAll(...userRefs));
+        const pageSnapshot = await query.get();
+        if (pageSnapshot.empty) {
+          break;
         }
-        
-        const allUserDocs = await Promise.all(userBatches);
-        for (const userDocs of allUserDocs) {
-          for (const userDoc of userDocs) {
-            if (userDoc.exists) {
-              usersMap[userDoc.id] = userDoc.data() || {};
-            }
-          }
+
+        allDocs.push(...pageSnapshot.docs);
+        lastDoc = pageSnapshot.docs[pageSnapshot.docs.length - 1];
+
+        if (pageSnapshot.docs.length < pageSize) {
+          break;
         }
       }
 
-      snapshot.forEach(doc => {
-        const data = doc.data() || {};
-        const userInfo = data.userId ? (usersMap[data.userId] || {}) : {};
+      usersSnapshot = { docs: allDocs, empty: allDocs.length === 0 };
+    } else if (targetType === 'segment') {
+      // Segments are evaluated at send time (admins and employees never match)
+      segment = await loadAudienceSegment(db, segmentId);
+      if (!segment) {
+        throw new Error(`Segment ${segmentId} not found`);
+      }
+      const segmentDocs = await resolveSegmentUsers(db, segment.rules);
+      usersSnapshot = { docs: segmentDocs, empty: segmentDocs.length === 0 };
+    } else {
+      // Get specific users
+      // Firestore 'in' queries are limited to 30 items, so we batch if needed
+      const batchSize = 30;
+      const userBatches = [];
+      for (let i = 0; i < userIds.length; i += batchSize) {
+        userBatches.push(userIds.slice(i, i + batchSize));
+      }
 
-        // Use stored userName/userPhone if present (for deleted users), otherwise lookup from user
-        receipts.push({
-          id: doc.id,
-          orderNumber: data.orderNumber || null,
-          orderDate: data.orderDate || null,
-          timestamp: data.createdAt ? data.createdAt.toDate().toISOString() : null,
-          userId: data.userId || null,
-          userName: data.userName || userInfo.firstName || userInfo.name || null,
-          userPhone: data.userPhone || userInfo.phone || null
+      const allDocs = [];
+      for (const batch of userBatches) {
+        const batchSnapshot = await db.collection('users')
+          .where(admin.firestore.FieldPath.documentId(), 'in', batch)
+          .get();
+        allDocs.push(...batchSnapshot.docs);
+      }
+      usersSnapshot = { docs: allDocs, empty: allDocs.length === 0 };
+    }
+
+    // Filter to users with valid FCM tokens (conditionally exclude admins for broadcast)
+    // Also filter by promotional preference if this is a promotional notification
+    const pushCandidates = []; // { id, data, delivery } for users who get a push
+    const pushTargets = []; // Every device of every recipient
+    const targetUserIdsForInApp = []; // All targeted users (with or without token) for in-app notifications
+    const deferredUserIds = []; // In their quiet hours: pushed by /cron/deferred-pushes instead
+    let deferredUntil = null;
+    let excludedAdminCount = 0;
+    let missingFcmTokenCount = 0;
+    let excludedPromotionalOptOutCount = 0;
+    const evaluatedAt = new Date();
+    const defaultTimeZone = process.env.STATS_TIMEZONE || 'America/Chicago';
+
+    for (const doc of usersSnapshot.docs) {
+      const userData = doc.data() || {};
+      
+      // Skip admin users for broadcast unless includeAdmins is true
+      if (targetType === 'all' && userData.isAdmin === true && !shouldIncludeAdmins) {
+        excludedAdminCount += 1;
+        continue;
+      }
+
+      // For promotional notifications, only send to users who have opted in
+      // (promotions are opt-in by default for compliance; see notificationPreferences.js)
+      const delivery = evaluatePushDelivery(userData, isPromotionalNotification ? 'promotions' : null, evaluatedAt, defaultTimeZone);
+      if (delivery.action === 'skip') {
+        excludedPromotionalOptOutCount += 1;
+        continue;
+      }
+
+      targetUserIdsForInApp.push(doc.id);
+      pushCandidates.push({ id: doc.id, data: userData, delivery });
+    }
+
+    // Fan out to every device each recipient has registered
+    const pushTargetsByUser = await getPushTargetsForUsers(db, pushCandidates);
+    for (const candidate of pushCandidates) {
+      const targets = pushTargetsByUser.get(candidate.id) || [];
+      if (targets.length === 0) {
+        missingFcmTokenCount += 1;
+      } else if (candidate.delivery.action === 'defer') {
+        deferredUserIds.push({ userId: candidate.id, deliverAt: candidate.delivery.deliverAt });
+        if (!deferredUntil || candidate.delivery.deliverAt > deferredUntil) deferredUntil = candidate.delivery.deliverAt;
+      } else {
+        pushTargets.push(...targets);
+      }
+    }
+
+    // Log the sent notification for admin audit (non-fatal - notification was delivered).
+    // Written before the pushes go out so opens can be attributed right away, then
+    // updated with the FCM results.
+    const sentNotifRef = db.collection('sentNotifications').doc();
+    const recordsSend = !!campaignId || pushTargets.length > 0 || deferredUserIds.length > 0;
+    let sentNotificationRecorded = false;
+    async function recordSentNotification(counts) {
+      try {
+        if (sentNotificationRecorded) {
+          await sentNotifRef.update(counts);
+        } else {
+          await sentNotifRef.set({
+            title: trimmedTitle,
+            body: trimmedBody,
+            targetType,
+            targetUserIds: targetType === 'individual' ? userIds : null,
+            ...(segment && { segmentId: segment.id, segmentName: segment.name }),
+            includeAdmins: shouldIncludeAdmins,
+            isPromotional: isPromotionalNotification,
+            sentBy,
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            ...counts,
+            deferredCount: deferredUserIds.length,
+            totalInAppNotified: targetUserIdsForInApp.length,
+            excludedPromotionalOptOutCount: isPromotionalNotification ? excludedPromotionalOptOutCount : undefined,
+            ...(campaignId && { campaignId, campaignRun })
+          });
+          sentNotificationRecorded = true;
+        }
+      } catch (auditError) {
+        logger.error('Failed to save notification audit record (notification was still sent):', auditError);
+      }
+      return sentNotifRef.id;
+    }
+
+    // Create in-app notifications for all targeted users (including those without FCM token)
+    // so they see the message and badge in More when they return to the app
+    const notificationType = targetType === 'individual' ? 'admin_individual' : 'admin_broadcast';
+    const sentNotificationId = recordsSend ? sentNotifRef.id : null;
+    const inAppBatchSize = 450;
+    for (let i = 0; i < targetUserIdsForInApp.length; i += inAppBatchSize) {
+      const batch = db.batch();
+      const batchIds = targetUserIdsForInApp.slice(i, i + inAppBatchSize);
+      for (const userId of batchIds) {
+        const notifRef = db.collection('notifications').doc();
+        batch.set(notifRef, {
+          userId,
+          title: trimmedTitle,
+          body: trimmedBody,
+          type: notificationType,
+          ...(sentNotificationId && { sentNotificationId }),
+          read: false,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
         });
+      }
+      await batch.commit();
+    }
+
+    // Pushes carry the send id so a tap can be reported to /me/notifications/:id/opened
+    const pushData = { type: notificationType, ...(sentNotificationId && { sentNotificationId }) };
+
+    if (deferredUserIds.length > 0) {
+      await deferUserPushes(db, deferredUserIds.map(({ userId, deliverAt }) => ({
+        userId,
+        title: trimmedTitle,
+        body: trimmedBody,
+        data: pushData,
+        category: isPromotionalNotification ? 'promotions' : null,
+        deliverAt
+      })));
+      logger.info(`🌙 Deferred ${deferredUserIds.length} pushes until quiet hours end`);
+    }
+
+    if (pushTargets.length === 0 && deferredUserIds.length > 0) {
+      // Everyone with a device is in quiet hours; the pushes go out later
+      const notificationId = await recordSentNotification({ successCount: 0, failureCount: 0, invalidTokenCount: 0, deliveredUserCount: 0, totalTargeted: 0 });
+      return {
+        successCount: 0,
+        failureCount: 0,
+        invalidTokenCount: 0,
+        deferredCount: deferredUserIds.length,
+        deferredUntil: deferredUntil.toISOString(),
+        notificationId,
+        totalTargeted: 0,
+        totalInAppNotified: targetUserIdsForInApp.length
+      };
+    }
+
+    if (pushTargets.length === 0) {
+      logger.info('⚠️ No valid FCM tokens found for notification');
+      const diagnostics = (targetType === 'all')
+        ? {
+            targetType,
+            matchedHasFcmTokenCount: usersSnapshot.docs.length,
+            excludedAdminCount,
+            excludedPromotionalOptOutCount: isPromotionalNotification ? excludedPromotionalOptOutCount : undefined,
+            missingFcmTokenCount
+          }
+        : targetType === 'segment'
+          ? {
+              targetType,
+              segmentId,
+              matchedSegmentCount: usersSnapshot.docs.length,
+              excludedPromotionalOptOutCount: isPromotionalNotification ? excludedPromotionalOptOutCount : undefined,
+              missingFcmTokenCount
+            }
+          : {
+            targetType,
+            requestedCount: Array.isArray(userIds) ? userIds.length : 0,
+            foundUserDocsCount: usersSnapshot.docs.length,
+            excludedPromotionalOptOutCount: isPromotionalNotification ? excludedPromotionalOptOutCount : undefined,
+            missingFcmTokenCount
+          };
+
+      const hint = (targetType === 'all' && usersSnapshot.docs.length === 0)
+        ? 'No users matched hasFcmToken==true. Ensure devices store tokens (e.g. POST /me/fcmToken) and that the backend and client are using the same Firebase project.'
+        : (targetType === 'segment' && usersSnapshot.docs.length === 0)
+          ? 'No users currently match this segment. Preview it with POST /admin/segments/:id/preview.'
+          : 'Ensure targeted users have a non-empty fcmToken stored on their user document.';
+
+      // Scheduled campaigns record empty runs too, so the campaign history shows them
+      const notificationId = campaignId
+        ? await recordSentNotification({ successCount: 0, failureCount: 0, invalidTokenCount: 0, deliveredUserCount: 0, totalTargeted: 0 })
+        : null;
+      return { noRecipients: true, diagnostics, hint, notificationId, totalInAppNotified: targetUserIdsForInApp.length };
+    }
+
+    logger.info(`📱 Sending to ${pushTargets.length} devices...`);
+    await recordSentNotification({ successCount: 0, failureCount: 0, invalidTokenCount: 0, deliveredUserCount: 0, totalTargeted: pushTargets.length });
+
+    // Send push notifications via FCM (unregistered tokens are pruned)
+    const { successCount, failureCount, invalidTokenCount, deliveredUserCount } = await sendPushToTargets(
+      db,
+      pushTargets,
+      buildPushMessage(trimmedTitle, trimmedBody, pushData)
+    );
+
+    // Increments, since deferred pushes may already be landing on the same record
+    const notificationId = await recordSentNotification({
+      successCount: admin.firestore.FieldValue.increment(successCount),
+      failureCount: admin.firestore.FieldValue.increment(failureCount),
+      invalidTokenCount: admin.firestore.FieldValue.increment(invalidTokenCount),
+      deliveredUserCount: admin.firestore.FieldValue.increment(deliveredUserCount)
+    });
+    logger.info(`✅ Notification sent: ${successCount} success, ${failureCount} failed, ${invalidTokenCount} invalid tokens`);
+
+    return {
+      successCount,
+      failureCount,
+      deferredCount: deferredUserIds.length,
+      deferredUntil: deferredUntil ? deferredUntil.toISOString() : null,
+      invalidTokenCount,
+      notificationId,
+      totalTargeted: pushTargets.length,
+      totalInAppNotified: targetUserIdsForInApp.length
+    };
+  }
+
+  /**
+   * POST /admin/notifications/send
+   * 
+   * Send push notifications to all customers or specific users.
+   * 
+   * Request body:
+   * {
+   *   title: string (required) - Notification title
+   *   body: string (required) - Notification message body
+   *   targetType: 'all' | 'individual' | 'segment' (required) - Target audience
+   *   userIds: string[] (required if targetType is 'individual') - Specific user IDs
+   *   segmentId: string (required if targetType is 'segment') - Saved audience segment
+   * }
+   * 
+   * Response:
+   * {
+   *   success: true,
+   *   successCount: number,
+   *   failureCount: number,
+   *   invalidTokenCount: number - unregistered tokens (pruned from the device registry)
+   *   notificationId: string
+   * }
+   */
+  app.post('/admin/notifications/send', validate(adminNotificationSendSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const { title, body, targetType, userIds, segmentId, includeAdmins, isPromotional } = req.body;
+
+      const db = admin.firestore();
+      if (targetType === 'segment' && !(await loadAudienceSegment(db, segmentId))) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+
+      const result = await sendAdminNotification(db, {
+        title,
+        body,
+        targetType,
+        userIds,
+        segmentId: targetType === 'segment' ? segmentId : null,
+        includeAdmins,
+        isPromotional,
+        sentBy: adminContext.uid
       });
 
-      // Generate pagination token: "createdAtISO|docId" format for stable cursor
-      const lastDoc = snapshot.docs[snapshot.docs.length - 1];
-      const nextPageToken = lastDoc && lastDoc.get('createdAt')
-        ? `${lastDoc.get('createdAt').toDate().toISOString()}|${lastDoc.id}`
-        : null;
+      if (result.noRecipients) {
+        return res.status(400).json({
+          error: 'No users with push notifications enabled found',
+          successCount: 0,
+          failureCount: 0,
+          diagnostics: result.diagnostics,
+          hint: result.hint
+        });
+      }
 
       res.json({
-        receipts,
-        nextPageToken
+        success: true,
+        successCount: result.successCount,
+        failureCount: result.failureCount,
+        invalidTokenCount: result.invalidTokenCount || 0,
+        deferredCount: result.deferredCount,
+        deferredUntil: result.deferredUntil,
+        notificationId: result.notificationId,
+        totalTargeted: result.totalTargeted,
+        totalInAppNotified: result.totalInAppNotified
       });
+
     } catch (error) {
-      logger.error('❌ Error listing admin receipts:', error);
-      res.status(500).json({ error: 'Failed to load receipts for admin' });
+      logger.error('Error sending admin notification:', {
+        message: error?.message,
+        stack: error?.stack,
+        code: error?.code
+      });
+      res.status(500).json({ error: 'Failed to send notification' });
     }
   });
 
-  // Get a single receipt by id (admin detail view; includes signed image URL if within 48h)
-  app.get('/admin/receipts/:id', async (req, res) => {
+  /**
+   * How many of a send's recipients opened it, and how many tapped the push to do so
+   * @returns {Promise<{openCount: number, pushOpenCount: number}>}
+   */
+  async function countNotificationOpens(db, sentNotificationId) {
+    const recipientsQuery = db.collection('notifications').where('sentNotificationId', '==', sentNotificationId);
+    const [openSnap, pushOpenSnap] = await Promise.all([
+      recipientsQuery.where('openedAt', '!=', null).count().get(),
+      recipientsQuery.where('pushOpenedAt', '!=', null).count().get()
+    ]);
+    return { openCount: openSnap.data().count, pushOpenCount: pushOpenSnap.data().count };
+  }
+
+  /**
+   * Receipts scanned by a send's recipients in the SCAN_ATTRIBUTION_HOURS after it
+   * (see notificationAnalytics.js). Saved on the send once the window has closed, so
+   * opens after that don't move it.
+   * @param {DocumentSnapshot} sentDoc - sentNotifications document
+   * @returns {Promise<Object|null>} null when the send has no sentAt yet
+   */
+  async function getSendScanAttribution(db, sentDoc) {
+    const data = sentDoc.data() || {};
+    if (data.scanAttribution?.complete) return data.scanAttribution;
+    const sentAt = toDate(data.sentAt);
+    if (!sentAt) return null;
+
+    const windowEndsAt = new Date(sentAt.getTime() + SCAN_ATTRIBUTION_HOURS * 60 * 60 * 1000);
+    const [recipientsSnap, receiptsSnap] = await Promise.all([
+      db.collection('notifications')
+        .where('sentNotificationId', '==', sentDoc.id)
+        .select('userId', 'openedAt')
+        .get(),
+      db.collection('receipts')
+        .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(sentAt))
+        .where('createdAt', '<', admin.firestore.Timestamp.fromDate(windowEndsAt))
+        .select('userId', 'createdAt')
+        .get()
+    ]);
+
+    const attribution = attributeReceiptScans({
+      sentAt,
+      recipients: recipientsSnap.docs.map(doc => ({ userId: doc.get('userId'), openedAt: toDate(doc.get('openedAt')) })),
+      scans: receiptsSnap.docs
+        .map(doc => ({ userId: doc.get('userId'), createdAt: toDate(doc.get('createdAt')) }))
+        .filter(scan => scan.userId && scan.createdAt),
+      now: new Date()
+    });
+    if (attribution.complete) {
+      await sentDoc.ref.update({ scanAttribution: attribution }).catch(err => {
+        logger.warn('⚠️ Failed to save notification scan attribution:', err.message);
+      });
+    }
+    return attribution;
+  }
+
+  /**
+   * A sentNotifications record for the admin endpoints, with delivery and open stats
+   */
+  async function serializeSentNotification(db, doc) {
+    const data = doc.data() || {};
+    const opens = await countNotificationOpens(db, doc.id);
+    return {
+      id: doc.id,
+      title: data.title,
+      body: data.body,
+      targetType: data.targetType,
+      targetUserIds: data.targetUserIds,
+      isPromotional: data.isPromotional !== false,
+      sentBy: data.sentBy,
+      sentAt: data.sentAt?.toDate()?.toISOString() || null,
+      successCount: data.successCount || 0,
+      failureCount: data.failureCount || 0,
+      totalTargeted: data.totalTargeted || 0,
+      deferredCount: data.deferredCount || 0,
+      segmentId: data.segmentId || null,
+      segmentName: data.segmentName || null,
+      campaignId: data.campaignId || null,
+      campaignRun: data.campaignRun || null,
+      stats: summarizeDeliveryStats(data, opens)
+    };
+  }
+
+  /**
+   * GET /admin/notifications/history
+   * 
+   * Get history of sent notifications (for admin audit), each with delivery stats
+   * (FCM success/failure/invalid-token counts), open rate and click-through rate.
+   */
+  app.get('/admin/notifications/history', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
       const db = admin.firestore();
-      const receiptId = req.params.id;
-
-      const receiptRef = db.collection('receipts').doc(receiptId);
-      const receiptDoc = await receiptRef.get();
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
 
-      if (!receiptDoc.exists) {
-        return res.status(404).json({ error: 'Receipt not found' });
-      }
+      const snapshot = await db.collection('sentNotifications')
+        .orderBy('sentAt', 'desc')
+        .limit(limit)
+        .get();
 
-      const data = receiptDoc.data() || {};
-      let userName = data.userName || null;
-      let userPhone = data.userPhone || null;
-      if (data.userId) {
-        try {
-          const userDoc = await db.collection('users').doc(data.userId).get();
-          if (userDoc.exists) {
-            const userInfo = userDoc.data() || {};
-            if (userName == null) userName = userInfo.firstName || userInfo.name || null;
-            if (userPhone == null) userPhone = userInfo.phone || null;
-          }
-        } catch (e) {
-          logger.warn('⚠️ Failed to load user for receipt detail:', e.message || e);
-        }
-      }
+      const notifications = await Promise.all(snapshot.docs.map(doc => serializeSentNotification(db, doc)));
 
-      const createdAt = data.createdAt ? data.createdAt.toDate().toISOString() : null;
-      const imageExpiresAt = data.imageExpiresAt ? data.imageExpiresAt.toDate() : null;
-      const now = new Date();
-      let imageUrl = null;
-      let imageExpired = true;
-      if (data.imageStoragePath && imageExpiresAt && imageExpiresAt > now) {
-        try {
-          const storage = admin.storage();
-          const bucket = storage.bucket('dumplinghouseapp.firebasestorage.app');
-          const file = bucket.file(data.imageStoragePath);
-          const [signedUrl] = await file.getSignedUrl({
-            action: 'read',
-            expires: Date.now() + 15 * 60 * 1000
-          });
-          imageUrl = signedUrl;
-          imageExpired = false;
-        } catch (signErr) {
-          logger.warn('⚠️ Could not generate signed URL for receipt image:', signErr.message || signErr);
-        }
-      }
+      res.json({ notifications });
 
-      res.json({
-        id: receiptDoc.id,
-        orderNumber: data.orderNumber || null,
-        orderDate: data.orderDate || null,
-        orderTime: data.orderTime || null,
-        orderTotal: data.orderTotal != null ? data.orderTotal : null,
-        userId: data.userId || null,
-        userName,
-        userPhone,
-        pointsAwarded: data.pointsAwarded != null ? data.pointsAwarded : null,
-        timestamp: createdAt,
-        imageUrl,
-        imageExpired,
-        totalVisibleAndClear: data.totalVisibleAndClear,
-        orderNumberVisibleAndClear: data.orderNumberVisibleAndClear,
-        dateVisibleAndClear: data.dateVisibleAndClear,
-        timeVisibleAndClear: data.timeVisibleAndClear,
-        keyFieldsTampered: data.keyFieldsTampered,
-        tamperingReason: data.tamperingReason || null,
-        orderNumberInBlackBox: data.orderNumberInBlackBox,
-        paidOnlineReceipt: data.paidOnlineReceipt,
-        orderNumberFromPaidOnlineSection: data.orderNumberFromPaidOnlineSection
-      });
     } catch (error) {
-      logger.error('❌ Error fetching admin receipt detail:', error);
-      res.status(500).json({ error: 'Failed to load receipt for admin' });
+      logger.error('❌ Error fetching notification history:', error);
+      res.status(500).json({ error: 'Failed to fetch notification history' });
     }
   });
 
-  // Delete a scanned receipt so it can be rescanned
-  app.delete('/admin/receipts/:id', async (req, res) => {
+  /**
+   * GET /admin/notifications/history/:id
+   *
+   * One send with its delivery stats and the receipts its recipients scanned in the
+   * 48 hours after it, split by whether they opened it.
+   */
+  app.get('/admin/notifications/history/:id', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
       const db = admin.firestore();
-      const receiptId = req.params.id;
-
-      const receiptRef = db.collection('receipts').doc(receiptId);
-      const receiptDoc = await receiptRef.get();
-
-      if (!receiptDoc.exists) {
-        return res.status(404).json({ error: 'Receipt not found' });
+      const doc = await db.collection('sentNotifications').doc(req.params.id).get();
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'Notification not found' });
       }
 
-      const receiptData = receiptDoc.data() || {};
-      const { orderNumber, orderDate, userId, imageStoragePath } = receiptData;
+      const [notification, scanAttribution] = await Promise.all([
+        serializeSentNotification(db, doc),
+        getSendScanAttribution(db, doc)
+      ]);
+      res.json({ notification, scanAttribution });
+    } catch (error) {
+      logger.error('❌ Error fetching notification analytics:', error);
+      res.status(500).json({ error: 'Failed to fetch notification analytics' });
+    }
+  });
 
-      if (imageStoragePath && typeof imageStoragePath === 'string') {
-        try {
-          const storage = admin.storage();
-          const bucket = storage.bucket('dumplinghouseapp.firebasestorage.app');
-          await bucket.file(imageStoragePath).delete();
-          logger.info('🗑️ Deleted receipt image from Storage:', imageStoragePath);
-        } catch (storageErr) {
-          logger.warn('⚠️ Could not delete receipt image (may already be expired):', storageErr.message || storageErr);
-        }
-      }
+  // ---------------------------------------------------------------------------
+  // Scheduled Notification Campaigns (see notificationCampaigns.js)
+  // ---------------------------------------------------------------------------
 
-      const batch = db.batch();
+  /**
+   * Resolve a campaign's timezone and first send time
+   * @returns {{timeZone: string, nextRunAt: Date} | {error: string}}
+   */
+  function scheduleCampaign(campaign, now) {
+    const timeZone = campaign.timeZone || process.env.STATS_TIMEZONE || 'America/Chicago';
+    if (!isValidTimeZone(timeZone)) {
+      return { error: 'timeZone must be an IANA name, e.g. America/Chicago' };
+    }
+    if (!parseCampaignSendAt(campaign.sendAt, timeZone)) {
+      return { error: 'sendAt must be a date-time, e.g. 2026-11-03T10:00' };
+    }
+    const nextRunAt = nextCampaignRunAt({ ...campaign, timeZone }, now);
+    if (!nextRunAt) {
+      return { error: 'The campaign has no send time in the future' };
+    }
+    return { timeZone, nextRunAt };
+  }
 
-      // Delete the receipt entry
-      batch.delete(receiptRef);
+  /**
+   * POST /admin/notifications/campaigns
+   *
+   * Schedule a notification for later, optionally repeating. Takes the same audience
+   * fields as /admin/notifications/send plus:
+   *   sendAt: 'YYYY-MM-DDTHH:mm' - local time in timeZone (default: restaurant timezone)
+   *   recurrence: { frequency: 'daily'|'weekly'|'monthly', interval?, until?: 'YYYY-MM-DD', maxRuns? }
+   */
+  app.post('/admin/notifications/campaigns', validate(notificationCampaignSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      // Log admin action for audit
-      const actionRef = db.collection('adminActions').doc();
-      batch.set(actionRef, {
-        type: 'deleteReceipt',
-        performedBy: adminContext.uid,
-        receiptDocId: receiptId,
-        orderNumber: orderNumber || null,
-        orderDate: orderDate || null,
-        userId: userId || null,
-        reason: req.body && req.body.reason ? String(req.body.reason).slice(0, 500) : null,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      const { title, body, targetType, userIds, segmentId, includeAdmins, isPromotional, sendAt, timeZone, recurrence } = req.body;
+      const campaign = {
+        title,
+        body,
+        targetType,
+        userIds: targetType === 'individual' ? userIds : null,
+        segmentId: targetType === 'segment' ? segmentId : null,
+        includeAdmins: includeAdmins === true,
+        isPromotional: isPromotional !== false,
+        sendAt,
+        timeZone: timeZone || null,
+        recurrence: recurrence || null,
+        runCount: 0
+      };
+      const schedule = scheduleCampaign(campaign, new Date());
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error });
+      }
 
-      await batch.commit();
+      const db = admin.firestore();
+      if (campaign.segmentId && !(await loadAudienceSegment(db, campaign.segmentId))) {
+        return res.status(400).json({ error: 'Segment not found' });
+      }
 
-      logger.info('🗑️ Admin deleted receipt and related records:', {
-        receiptId,
-        orderNumber,
-        orderDate,
-        userId,
-        adminId: adminContext.uid
-      });
+      const campaignRef = db.collection(NOTIFICATION_CAMPAIGNS_COLLECTION).doc();
+      const data = {
+        ...campaign,
+        timeZone: schedule.timeZone,
+        status: 'scheduled',
+        nextRunAt: admin.firestore.Timestamp.fromDate(schedule.nextRunAt),
+        createdBy: adminContext.uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      await campaignRef.set(data);
 
-      res.json({ success: true });
+      logger.info(`🗓️ Admin ${adminContext.uid} scheduled campaign ${campaignRef.id} for ${schedule.nextRunAt.toISOString()}`);
+      res.json({ success: true, campaign: serializeCampaign(campaignRef.id, { ...data, createdAt: new Date(), updatedAt: new Date() }) });
     } catch (error) {
-      logger.error('❌ Error deleting admin receipt:', error);
-      res.status(500).json({ error: 'Failed to delete receipt for admin' });
+      logger.error('❌ Error scheduling notification campaign:', error);
+      res.status(500).json({ error: 'Failed to schedule notification campaign' });
     }
   });
 
-  // ---------------------------------------------------------------------------
-  // Admin Notifications - Send Push & In-App Notifications to Customers
-  // ---------------------------------------------------------------------------
-
   /**
-   * POST /admin/notifications/send
-   * 
-   * Send push notifications to all customers or specific users.
-   * 
-   * Request body:
-   * {
-   *   title: string (required) - Notification title
-   *   body: string (required) - Notification message body
-   *   targetType: 'all' | 'individual' (required) - Target audience
-   *   userIds: string[] (required if targetType is 'individual') - Specific user IDs
-   * }
-   * 
-   * Response:
-   * {
-   *   success: true,
-   *   successCount: number,
-   *   failureCount: number,
-   *   notificationId: string
-   * }
+   * GET /admin/notifications/campaigns
+   *
+   * Query: status (optional), limit (default 50, max 200). Soonest first for scheduled
+   * campaigns, newest first otherwise.
    */
-  app.post('/admin/notifications/send', async (req, res) => {
+  app.get('/admin/notifications/campaigns', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
-      const { title, body, targetType, userIds, includeAdmins, isPromotional } = req.body;
-
-      // Validate required fields
-      if (!title || typeof title !== 'string' || title.trim().length === 0) {
-        return res.status(400).json({ error: 'Notification title is required' });
+      const status = req.query.status ? String(req.query.status) : null;
+      if (status && !CAMPAIGN_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${CAMPAIGN_STATUSES.join(', ')}` });
       }
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
 
-      if (!body || typeof body !== 'string' || body.trim().length === 0) {
-        return res.status(400).json({ error: 'Notification body is required' });
-      }
+      const db = admin.firestore();
+      let query = db.collection(NOTIFICATION_CAMPAIGNS_COLLECTION);
+      query = status === 'scheduled'
+        ? query.where('status', '==', status).orderBy('nextRunAt', 'asc')
+        : (status ? query.where('status', '==', status) : query).orderBy('createdAt', 'desc');
+      const snapshot = await query.limit(limit).get();
 
-      if (!targetType || !['all', 'individual'].includes(targetType)) {
-        return res.status(400).json({ error: 'targetType must be "all" or "individual"' });
-      }
+      res.json({ campaigns: snapshot.docs.map(doc => serializeCampaign(doc.id, doc.data() || {})) });
+    } catch (error) {
+      logger.error('❌ Error listing notification campaigns:', error);
+      res.status(500).json({ error: 'Failed to list notification campaigns' });
+    }
+  });
 
-      if (targetType === 'individual') {
-        if (!Array.isArray(userIds) || userIds.length === 0) {
-          return res.status(400).json({ error: 'userIds array is required for individual targeting' });
-        }
+  /**
+   * GET /admin/notifications/campaigns/:id
+   *
+   * The campaign plus its recent sends from sentNotifications.
+   */
+  app.get('/admin/notifications/campaigns/:id', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
+
+      const db = admin.firestore();
+      const doc = await db.collection(NOTIFICATION_CAMPAIGNS_COLLECTION).doc(req.params.id).get();
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'Campaign not found' });
       }
 
-      // Parse includeAdmins (optional, defaults to false for backward compatibility)
-      const shouldIncludeAdmins = includeAdmins === true;
-      
-      // Parse isPromotional (optional, defaults to true for backward compatibility - admin notifications are promotional by default)
-      // If not provided, assume promotional to maintain compliance (opt-in required)
-      const isPromotionalNotification = isPromotional !== false;
+      const runsSnap = await db.collection('sentNotifications')
+        .where('campaignId', '==', doc.id)
+        .orderBy('sentAt', 'desc')
+        .limit(20)
+        .get();
+      const runs = runsSnap.docs.map(runDoc => {
+        const run = runDoc.data() || {};
+        return {
+          id: runDoc.id,
+          campaignRun: run.campaignRun || null,
+          sentAt: run.sentAt?.toDate()?.toISOString() || null,
+          successCount: run.successCount || 0,
+          failureCount: run.failureCount || 0,
+          totalTargeted: run.totalTargeted || 0
+        };
+      });
+
+      res.json({ campaign: serializeCampaign(doc.id, doc.data() || {}), runs });
+    } catch (error) {
+      logger.error('❌ Error fetching notification campaign:', error);
+      res.status(500).json({ error: 'Failed to fetch notification campaign' });
+    }
+  });
+
+  /**
+   * GET /admin/notifications/campaigns/:id/analytics
+   *
+   * Delivery, open rate, click-through rate and 48-hour receipt scan attribution for
+   * each of the campaign's recent runs, plus totals across them.
+   * Query: limit (runs, default 20, max 50)
+   */
+  app.get('/admin/notifications/campaigns/:id/analytics', async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
       const db = admin.firestore();
-      const trimmedTitle = title.trim();
-      const trimmedBody = body.trim();
-
-      const recipientDescription = targetType === 'all' 
-        ? (shouldIncludeAdmins ? 'all users (including admins)' : 'all users')
-        : `${userIds.length} users`;
-      const notificationTypeDescription = isPromotionalNotification ? 'promotional' : 'transactional';
-      logger.info(`📨 Admin ${adminContext.uid} sending ${notificationTypeDescription} notification: "${trimmedTitle}" to ${recipientDescription}`);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+      const doc = await db.collection(NOTIFICATION_CAMPAIGNS_COLLECTION).doc(req.params.id).get();
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-      // Fetch FCM tokens based on target type
-      let usersSnapshot;
-      if (targetType === 'all') {
-        // Get all users with FCM tokens (excluding admins)
-        const pageSize = 500;
-        let lastDoc = null;
-        const allDocs = [];
+      const runsSnap = await db.collection('sentNotifications')
+        .where('campaignId', '==', doc.id)
+        .orderBy('sentAt', 'desc')
+        .limit(limit)
+        .get();
+      const runs = await Promise.all(runsSnap.docs.map(async runDoc => {
+        const [run, scanAttribution] = await Promise.all([
+          serializeSentNotification(db, runDoc),
+          getSendScanAttribution(db, runDoc)
+        ]);
+        return {
+          id: run.id,
+          campaignRun: run.campaignRun,
+          sentAt: run.sentAt,
+          stats: run.stats,
+          scanAttribution
+        };
+      }));
 
-        while (true) {
-          let query = db.collection('users')
-            .where('hasFcmToken', '==', true)
-            .limit(pageSize);
+      res.json({
+        campaign: serializeCampaign(doc.id, doc.data() || {}),
+        totals: {
+          runCount: runs.length,
+          ...aggregateDeliveryStats(runs.map(run => run.stats)),
+          scanAttribution: aggregateScanAttribution(runs.map(run => run.scanAttribution).filter(Boolean))
+        },
+        runs
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching notification campaign analytics:', error);
+      res.status(500).json({ error: 'Failed to fetch campaign analytics' });
+    }
+  });
 
-          if (lastDoc) {
-            query = query.startAfter(lastDoc);
-          }
+  /**
+   * PATCH /admin/notifications/campaigns/:id
+   *
+   * Edit a campaign that hasn't gone out (or the upcoming runs of a repeating one).
+   * Changing sendAt, timeZone or recurrence reschedules it; a failed campaign is
+   * rescheduled by editing it.
+   */
+  app.patch('/admin/notifications/campaigns/:id', validate(notificationCampaignUpdateSchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-          const pageSnapshot = await query.get();
-          if (pageSnapshot.empty) {
-            break;
-          }
+      const db = admin.firestore();
+      const campaignRef = db.collection(NOTIFICATION_CAMPAIGNS_COLLECTION).doc(req.params.id);
 
-          allDocs.push(...pageSnapshot.docs);
-          lastDoc = pageSnapshot.docs[pageSnapshot.docs.length - 1];
+      const result = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(campaignRef);
+        if (!doc.exists) {
+          return { status: 404, error: 'Campaign not found' };
+        }
+        const current = doc.data() || {};
+        if (!EDITABLE_CAMPAIGN_STATUSES.includes(current.status)) {
+          return { status: 409, error: `A ${current.status} campaign can't be edited` };
+        }
 
-          if (pageSnapshot.docs.length < pageSize) {
-            break;
+        const updates = {};
+        for (const field of ['title', 'body', 'targetType', 'includeAdmins', 'isPromotional', 'sendAt', 'timeZone', 'recurrence']) {
+          if (req.body[field] !== undefined) updates[field] = req.body[field];
+        }
+        if (req.body.userIds !== undefined) updates.userIds = req.body.userIds;
+        if (req.body.segmentId !== undefined) updates.segmentId = req.body.segmentId;
+        const merged = { ...current, ...updates };
+        if (merged.targetType === 'individual' && (!Array.isArray(merged.userIds) || merged.userIds.length === 0)) {
+          return { status: 400, error: 'userIds array is required for individual targeting' };
+        }
+        if (merged.targetType === 'segment') {
+          const segmentDoc = merged.segmentId
+            ? await tx.get(db.collection(AUDIENCE_SEGMENTS_COLLECTION).doc(merged.segmentId))
+            : null;
+          if (!segmentDoc || !segmentDoc.exists) {
+            return { status: 400, error: 'Segment not found' };
           }
         }
+        if (merged.targetType !== 'individual') updates.userIds = null;
+        if (merged.targetType !== 'segment') updates.segmentId = null;
 
-        usersSnapshot = { docs: allDocs, empty: allDocs.length === 0 };
-      } else {
-        // Get specific users
-        // Firestore 'in' queries are limited to 30 items, so we batch if needed
-        const batchSize = 30;
-        const userBatches = [];
-        for (let i = 0; i < userIds.length; i += batchSize) {
-          userBatches.push(userIds.slice(i, i + batchSize));
+        const schedule = scheduleCampaign(merged, new Date());
+        if (schedule.error) {
+          return { status: 400, error: schedule.error };
         }
 
-        const allDocs = [];
-        for (const batch of userBatches) {
-          const batchSnapshot = await db.collection('users')
-            .where(admin.firestore.FieldPath.documentId(), 'in', batch)
-            .get();
-          allDocs.push(...batchSnapshot.docs);
-        }
-        usersSnapshot = { docs: allDocs, empty: allDocs.length === 0 };
+        Object.assign(updates, {
+          timeZone: schedule.timeZone,
+          status: 'scheduled',
+          nextRunAt: admin.firestore.Timestamp.fromDate(schedule.nextRunAt),
+          lastError: null,
+          updatedBy: adminContext.uid,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        tx.update(campaignRef, updates);
+        return { campaign: { ...merged, ...updates, updatedAt: new Date() } };
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
       }
+      res.json({ success: true, campaign: serializeCampaign(campaignRef.id, result.campaign) });
+    } catch (error) {
+      logger.error('❌ Error updating notification campaign:', error);
+      res.status(500).json({ error: 'Failed to update notification campaign' });
+    }
+  });
 
-      // Filter to users with valid FCM tokens (conditionally exclude admins for broadcast)
-      // Also filter by promotional preference if this is a promotional notification
-      const tokensToSend = [];
-      const targetUserIdsForLog = [];
-      const targetUserIdsForInApp = []; // All targeted users (with or without token) for in-app notifications
-      let excludedAdminCount = 0;
-      let missingFcmTokenCount = 0;
-      let excludedPromotionalOptOutCount = 0;
+  /**
+   * POST /admin/notifications/campaigns/:id/cancel
+   *
+   * Stop a campaign before its next send. Sends already made are unaffected.
+   */
+  app.post('/admin/notifications/campaigns/:id/cancel', validate(emptyBodySchema), async (req, res) => {
+    try {
+      const adminContext = await requireAdmin(req, res);
+      if (!adminContext) return;
 
-      for (const doc of usersSnapshot.docs) {
-        const userData = doc.data() || {};
-        
-        // Skip admin users for broadcast unless includeAdmins is true
-        if (targetType === 'all' && userData.isAdmin === true && !shouldIncludeAdmins) {
-          excludedAdminCount += 1;
-          continue;
-        }
+      const db = admin.firestore();
+      const campaignRef = db.collection(NOTIFICATION_CAMPAIGNS_COLLECTION).doc(req.params.id);
 
-        // For promotional notifications, only send to users who have opted in
-        // Default to false if field doesn't exist (opt-in by default for compliance)
-        if (isPromotionalNotification) {
-          const hasOptedIn = userData.promotionalNotificationsEnabled === true;
-          if (!hasOptedIn) {
-            excludedPromotionalOptOutCount += 1;
-            continue;
-          }
+      const result = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(campaignRef);
+        if (!doc.exists) {
+          return { status: 404, error: 'Campaign not found' };
         }
-
-        targetUserIdsForInApp.push(doc.id);
-        const fcmToken = userData.fcmToken;
-        if (fcmToken && typeof fcmToken === 'string' && fcmToken.length > 0) {
-          tokensToSend.push(fcmToken);
-          targetUserIdsForLog.push(doc.id);
-        } else {
-          missingFcmTokenCount += 1;
+        const current = doc.data() || {};
+        if (!EDITABLE_CAMPAIGN_STATUSES.includes(current.status)) {
+          return { status: 409, error: `A ${current.status} campaign can't be cancelled` };
         }
-      }
+        const updates = {
+          status: 'cancelled',
+          nextRunAt: null,
+          cancelledBy: adminContext.uid,
+          cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        tx.update(campaignRef, updates);
+        return { campaign: { ...current, ...updates, cancelledAt: new Date(), updatedAt: new Date() } };
+      });
 
-      // Create in-app notifications for all targeted users (including those without FCM token)
-      // so they see the message and badge in More when they return to the app
-      const notificationType = targetType === 'all' ? 'admin_broadcast' : 'admin_individual';
-      const inAppBatchSize = 450;
-      for (let i = 0; i < targetUserIdsForInApp.length; i += inAppBatchSize) {
-        const batch = db.batch();
-        const batchIds = targetUserIdsForInApp.slice(i, i + inAppBatchSize);
-        for (const userId of batchIds) {
-          const notifRef = db.collection('notifications').doc();
-          batch.set(notifRef, {
-            userId,
-            title: trimmedTitle,
-            body: trimmedBody,
-            type: notificationType,
-            read: false,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-          });
-        }
-        await batch.commit();
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
       }
+      logger.info(`🗓️ Admin ${adminContext.uid} cancelled campaign ${campaignRef.id}`);
+      res.json({ success: true, campaign: serializeCampaign(campaignRef.id, result.campaign) });
+    } catch (error) {
+      logger.error('❌ Error cancelling notification campaign:', error);
+      res.status(500).json({ error: 'Failed to cancel notification campaign' });
+    }
+  });
 
-      if (tokensToSend.length === 0) {
-        logger.info('⚠️ No valid FCM tokens found for notification');
-        const diagnostics = (targetType === 'all')
-          ? {
-              targetType,
-              matchedHasFcmTokenCount: usersSnapshot.docs.length,
-              excludedAdminCount,
-              excludedPromotionalOptOutCount: isPromotionalNotification ? excludedPromotionalOptOutCount : undefined,
-              missingFcmTokenCount
-            }
-          : {
-              targetType,
-              requestedCount: Array.isArray(userIds) ? userIds.length : 0,
-              foundUserDocsCount: usersSnapshot.docs.length,
-              excludedPromotionalOptOutCount: isPromotionalNotification ? excludedPromotionalOptOutCount : undefined,
-              missingFcmTokenCount
-            };
+  // A campaign stuck in 'sending' this long was interrupted (e.g. instance restart)
+  const CAMPAIGN_SENDING_TIMEOUT_MS = 30 * 60 * 1000;
 
-        const hint = (targetType === 'all' && usersSnapshot.docs.length === 0)
-          ? 'No users matched hasFcmToken==true. Ensure devices store tokens (e.g. POST /me/fcmToken) and that the backend and client are using the same Firebase project.'
-          : 'Ensure targeted users have a non-empty fcmToken stored on their user document.';
+  /**
+   * POST /cron/notification-campaigns
+   * Cron-only (every few minutes). Sends campaigns whose nextRunAt has passed and
+   * schedules the next run of repeating ones. Each run is recorded in sentNotifications
+   * (campaignId, campaignRun, successCount = delivered, failureCount = failed).
+   * Secured by CRON_SECRET (header X-Cron-Secret or Authorization: Bearer <secret>).
+   * Query: dryRun=true lists due campaigns without sending.
+   */
+  app.post('/cron/notification-campaigns', async (req, res) => {
+    if (!isAuthorizedCronRequest(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-        return res.status(400).json({
-          error: 'No users with push notifications enabled found',
-          successCount: 0,
-          failureCount: 0,
-          diagnostics,
-          hint
-        });
-      }
+    try {
+      const db = admin.firestore();
+      const dryRun = req.query.dryRun === 'true';
+      const now = new Date();
+      const campaignsRef = db.collection(NOTIFICATION_CAMPAIGNS_COLLECTION);
 
-      logger.info(`📱 Sending to ${tokensToSend.length} devices...`);
+      const dueSnap = await campaignsRef
+        .where('status', '==', 'scheduled')
+        .where('nextRunAt', '<=', admin.firestore.Timestamp.fromDate(now))
+        .orderBy('nextRunAt', 'asc')
+        .limit(20)
+        .get();
 
-      // Send push notifications via FCM
-      let successCount = 0;
-      let failureCount = 0;
+      if (dryRun) {
+        return res.json({
+          ok: true,
+          dryRun: true,
+          due: dueSnap.docs.map(doc => serializeCampaign(doc.id, doc.data() || {}))
+        });
+      }
 
-      // FCM sendEachForMulticast is limited to 500 tokens per call
-      const fcmBatchSize = 500;
-      for (let i = 0; i < tokensToSend.length; i += fcmBatchSize) {
-        const batchTokens = tokensToSend.slice(i, i + fcmBatchSize);
-        
-        const message = {
-          notification: {
-            title: trimmedTitle,
-            body: trimmedBody
-          },
-          data: {
-            type: targetType === 'all' ? 'admin_broadcast' : 'admin_individual',
-            timestamp: new Date().toISOString()
-          },
-          apns: {
-            payload: {
-              aps: {
-                alert: { title: trimmedTitle, body: trimmedBody },
-                sound: 'default',
-                mutableContent: true
-              }
-            }
-          },
-          tokens: batchTokens
-        };
+      // Runs interrupted mid-send are marked failed rather than resent, so nobody gets a
+      // duplicate; an admin can reschedule them by editing
+      const staleSnap = await campaignsRef
+        .where('status', '==', 'sending')
+        .where('sendingStartedAt', '<=', admin.firestore.Timestamp.fromDate(new Date(now.getTime() - CAMPAIGN_SENDING_TIMEOUT_MS)))
+        .limit(20)
+        .get();
+      for (const doc of staleSnap.docs) {
+        await doc.ref.update({ status: 'failed', lastError: 'Interrupted while sending', nextRunAt: null });
+        logger.warn(`⚠️ Campaign ${doc.id} was interrupted while sending; marked failed`);
+      }
+
+      const results = [];
+      for (const doc of dueSnap.docs) {
+        // Claim the campaign so overlapping cron runs don't both send it
+        const claimed = await db.runTransaction(async (tx) => {
+          const fresh = await tx.get(doc.ref);
+          const data = fresh.data() || {};
+          const nextRunAt = data.nextRunAt?.toDate ? data.nextRunAt.toDate() : null;
+          if (data.status !== 'scheduled' || !nextRunAt || nextRunAt > now) return null;
+          tx.update(doc.ref, { status: 'sending', sendingStartedAt: admin.firestore.FieldValue.serverTimestamp() });
+          return data;
+        });
+        if (!claimed) continue;
 
+        const campaignRun = (claimed.runCount || 0) + 1;
         try {
-          const response = await admin.messaging().sendEachForMulticast(message);
-          successCount += response.successCount;
-          failureCount += response.failureCount;
-
-          // Log any failures for debugging
-          if (response.failureCount > 0) {
-            response.responses.forEach((resp, idx) => {
-              if (!resp.success) {
-                let details;
-                try {
-                  details = resp.error?.toJSON ? resp.error.toJSON() : undefined;
-                } catch (_) {
-                  details = String(resp.error);
-                }
-                logger.warn(`FCM send failed for token index ${idx}:`, {
-                  code: resp.error?.code,
-                  message: resp.error?.message,
-                  details
-                });
-              }
-            });
-          }
-        } catch (fcmError) {
-          logger.error('❌ FCM batch send error:', fcmError);
-          failureCount += batchTokens.length;
+          const sent = await sendAdminNotification(db, {
+            title: claimed.title,
+            body: claimed.body,
+            targetType: claimed.targetType,
+            userIds: claimed.userIds || [],
+            segmentId: claimed.segmentId || null,
+            includeAdmins: claimed.includeAdmins,
+            isPromotional: claimed.isPromotional,
+            sentBy: claimed.createdBy || 'campaign',
+            campaignId: doc.id,
+            campaignRun
+          });
+          const lastResult = {
+            successCount: sent.successCount || 0,
+            failureCount: sent.failureCount || 0,
+            totalTargeted: sent.totalTargeted || 0,
+            totalInAppNotified: sent.totalInAppNotified || 0,
+            deferredCount: sent.deferredCount || 0,
+            noRecipients: sent.noRecipients === true
+          };
+          const nextRunAt = nextCampaignRunAt({ ...claimed, runCount: campaignRun }, new Date());
+          await doc.ref.update({
+            status: nextRunAt ? 'scheduled' : 'completed',
+            nextRunAt: nextRunAt ? admin.firestore.Timestamp.fromDate(nextRunAt) : null,
+            runCount: campaignRun,
+            lastRunAt: admin.firestore.FieldValue.serverTimestamp(),
+            lastResult,
+            lastSentNotificationId: sent.notificationId || null,
+            lastError: null
+          });
+          results.push({ campaignId: doc.id, campaignRun, ...lastResult, nextRunAt: nextRunAt ? nextRunAt.toISOString() : null });
+        } catch (sendError) {
+          logger.error(`❌ Campaign ${doc.id} failed to send:`, sendError);
+          await doc.ref.update({ status: 'failed', lastError: sendError.message || String(sendError), nextRunAt: null });
+          results.push({ campaignId: doc.id, campaignRun, error: sendError.message || String(sendError) });
         }
       }
 
-      // Log the sent notification for admin audit (non-fatal - notification was delivered)
-      const sentNotifRef = db.collection('sentNotifications').doc();
-      try {
-        await sentNotifRef.set({
-          title: trimmedTitle,
-          body: trimmedBody,
-          targetType,
-          targetUserIds: targetType === 'individual' ? userIds : null,
-          includeAdmins: shouldIncludeAdmins,
-          isPromotional: isPromotionalNotification,
-          sentBy: adminContext.uid,
-          sentAt: admin.firestore.FieldValue.serverTimestamp(),
-          successCount,
-          failureCount,
-          totalTargeted: tokensToSend.length,
-          excludedPromotionalOptOutCount: isPromotionalNotification ? excludedPromotionalOptOutCount : undefined
-        });
-        logger.info(`✅ Notification sent: ${successCount} success, ${failureCount} failed`);
-      } catch (auditError) {
-        logger.error('Failed to save notification audit record (notification was still sent):', auditError);
-        // Fall through to return 200 - delivery succeeded
-      }
-
-      res.json({
-        success: true,
-        successCount,
-        failureCount,
-        notificationId: sentNotifRef.id,
-        totalTargeted: tokensToSend.length,
-        totalInAppNotified: targetUserIdsForInApp.length
-      });
-
+      logger.info(`✅ Notification campaigns: ${results.length} sent, ${staleSnap.size} interrupted`);
+      return res.json({ ok: true, sentCount: results.length, interruptedCount: staleSnap.size, results });
     } catch (error) {
-      logger.error('Error sending admin notification:', {
-        message: error?.message,
-        stack: error?.stack,
-        code: error?.code
-      });
-      res.status(500).json({ error: 'Failed to send notification' });
+      logger.error('❌ Error dispatching notification campaigns:', error);
+      return res.status(500).json({ error: 'Failed to dispatch notification campaigns' });
     }
   });
 
   /**
-   * GET /admin/notifications/history
-   * 
-   * Get history of sent notifications (for admin audit).
+   * POST /cron/deferred-pushes
+   * Cron-only (every few minutes). Sends pushes that were held back for users' quiet
+   * hours (see notificationPreferences.js). Preferences are checked again at send time,
+   * so a category turned off in the meantime is skipped and changed quiet hours move
+   * the push again.
+   * Secured by CRON_SECRET (header X-Cron-Secret or Authorization: Bearer <secret>).
+   * Query: dryRun=true counts due pushes without sending.
    */
-  app.get('/admin/notifications/history', async (req, res) => {
-    try {
-      const adminContext = await requireAdmin(req, res);
-      if (!adminContext) return;
+  app.post('/cron/deferred-pushes', async (req, res) => {
+    if (!isAuthorizedCronRequest(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
+    try {
       const db = admin.firestore();
-      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const dryRun = req.query.dryRun === 'true';
+      const now = new Date();
 
-      const snapshot = await db.collection('sentNotifications')
-        .orderBy('sentAt', 'desc')
-        .limit(limit)
+      const dueSnap = await db.collection(DEFERRED_PUSHES_COLLECTION)
+        .where('status', '==', 'pending')
+        .where('deliverAt', '<=', admin.firestore.Timestamp.fromDate(now))
+        .orderBy('deliverAt', 'asc')
+        .limit(300)
         .get();
 
-      const notifications = snapshot.docs.map(doc => {
-        const data = doc.data();
-        return {
-          id: doc.id,
-          title: data.title,
-          body: data.body,
-          targetType: data.targetType,
-          targetUserIds: data.targetUserIds,
-          sentBy: data.sentBy,
-          sentAt: data.sentAt?.toDate()?.toISOString() || null,
-          successCount: data.successCount || 0,
-          failureCount: data.failureCount || 0,
-          totalTargeted: data.totalTargeted || 0
-        };
-      });
+      if (dryRun) {
+        return res.json({ ok: true, dryRun: true, dueCount: dueSnap.size });
+      }
 
-      res.json({ notifications });
+      const counts = { sent: 0, failed: 0, skipped: 0, rescheduled: 0 };
+      for (const doc of dueSnap.docs) {
+        const push = doc.data() || {};
+        try {
+          // Claim it (fails if an overlapping run already did)
+          await doc.ref.update({ status: 'sending' }, { lastUpdateTime: doc.updateTime });
+        } catch (claimError) {
+          continue;
+        }
+
+        const userDoc = await db.collection('users').doc(push.userId).get();
+        if (!userDoc.exists) {
+          await doc.ref.update({ status: 'skipped', skipReason: 'user_not_found' });
+          counts.skipped++;
+          continue;
+        }
+        const userData = userDoc.data() || {};
+        const delivery = evaluatePushDelivery(userData, push.category || null, new Date(), process.env.STATS_TIMEZONE || 'America/Chicago');
+        if (delivery.action === 'skip') {
+          await doc.ref.update({ status: 'skipped', skipReason: delivery.reason });
+          counts.skipped++;
+          continue;
+        }
+        if (delivery.action === 'defer') {
+          await doc.ref.update({ status: 'pending', deliverAt: admin.firestore.Timestamp.fromDate(delivery.deliverAt) });
+          counts.rescheduled++;
+          continue;
+        }
+
+        const result = await sendPushToUserDevices(db, push.userId, push.title, push.body, push.data || {}, userData);
+        await doc.ref.update({
+          status: result.success ? 'sent' : 'failed',
+          sentAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...(result.error && { lastError: result.error })
+        });
+        counts[result.success ? 'sent' : 'failed']++;
+
+        // Admin notifications: count the delayed delivery toward the original send
+        const sentNotificationId = push.data?.sentNotificationId;
+        if (sentNotificationId && (result.successCount || result.failureCount)) {
+          await db.collection('sentNotifications').doc(sentNotificationId).update({
+            totalTargeted: admin.firestore.FieldValue.increment((result.successCount || 0) + (result.failureCount || 0)),
+            successCount: admin.firestore.FieldValue.increment(result.successCount || 0),
+            failureCount: admin.firestore.FieldValue.increment(result.failureCount || 0),
+            invalidTokenCount: admin.firestore.FieldValue.increment(result.invalidTokenCount || 0),
+            deliveredUserCount: admin.firestore.FieldValue.increment(result.success ? 1 : 0)
+          }).catch(statsError => {
+            logger.warn('⚠️ Failed to update delivery stats for deferred push:', statsError.message);
+          });
+        }
+      }
 
+      logger.info(`🌙 Deferred pushes: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} skipped, ${counts.rescheduled} rescheduled`);
+      return res.json({ ok: true, ...counts });
     } catch (error) {
-      logger.error('❌ Error fetching notification history:', error);
-      res.status(500).json({ error: 'Failed to fetch notification history' });
+      logger.error('❌ Error sending deferred pushes:', error);
+      return res.status(500).json({ error: 'Failed to send deferred pushes' });
     }
   });
 
@@ -11067,9 +16491,17 @@ IMPORTANT:
    * 
    * Get aggregated statistics for admin overview dashboard.
    * Returns counts of users, receipts, rewards, and points.
+   *
+   * Query: locationId=all (default) | <locationId>
+   *   all  - receipt counts across stores in STATS_TIMEZONE, plus a per-store `locations` breakdown
+   *   <id> - receipt counts for that store, with "today" in the store's timezone.
+   *          User, reward and points totals are account-wide either way.
+   *   Per-store counts only include legacy receipts after POST /admin/locations/backfill.
    * 
    * Response:
    * {
+   *   locationId: string,
+   *   timeZone: string,
    *   totalUsers: number,
    *   newUsersToday: number,
    *   newUsersThisWeek: number,
@@ -11078,36 +16510,60 @@ IMPORTANT:
    *   receiptsThisWeek: number,
    *   totalRewardsRedeemed: number,
    *   rewardsRedeemedToday: number,
-   *   totalPointsDistributed: number
+   *   totalPointsDistributed: number,
+   *   locations?: [{ locationId, name, timeZone, totalReceipts, receiptsToday, receiptsThisWeek }]
    * }
    */
   
-  // Cache for admin stats to reduce Firestore reads (2 minute TTL)
+  // Cache for admin stats to reduce Firestore reads (2 minute TTL), one entry per location scope
   const adminStatsCache = {
-    data: null,
-    timestamp: null,
+    entries: new Map(), // scope -> { data, timestamp }
     ttl: 2 * 60 * 1000 // 2 minutes in milliseconds
   };
+
+  /**
+   * Receipt counts for one store, with day boundaries in the store's timezone
+   */
+  async function getLocationReceiptCounts(db, location, safeCount) {
+    const now = DateTime.now().setZone(location.timeZone);
+    const todayStart = now.startOf('day').toJSDate();
+    const weekAgo = now.startOf('day').minus({ days: 7 }).toJSDate();
+    const receiptsRef = db.collection('receipts').where('locationId', '==', location.id);
+    const [totalReceipts, receiptsToday, receiptsThisWeek] = await Promise.all([
+      safeCount(receiptsRef.count().get(), `receipts total (${location.id})`),
+      safeCount(receiptsRef.where('createdAt', '>=', todayStart).count().get(), `receipts today (${location.id})`),
+      safeCount(receiptsRef.where('createdAt', '>=', weekAgo).count().get(), `receipts this week (${location.id})`)
+    ]);
+    return { totalReceipts, receiptsToday, receiptsThisWeek };
+  }
   
   app.get('/admin/stats', async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
+      const db = admin.firestore();
+      const requestedLocationId = (req.query.locationId || '').toString().trim() || 'all';
+      let statsLocation = null;
+      if (requestedLocationId !== 'all') {
+        statsLocation = await resolveLocation(db, requestedLocationId, { allowInactive: true });
+        if (!statsLocation) {
+          return res.status(400).json({ error: 'Unknown location' });
+        }
+      }
+      const cacheScope = statsLocation ? statsLocation.id : 'all';
+
       // Check cache first
       const cacheNow = Date.now();
-      if (adminStatsCache.data && adminStatsCache.timestamp && 
-          (cacheNow - adminStatsCache.timestamp) < adminStatsCache.ttl) {
-        logger.info('📊 Admin stats served from cache');
-        return res.json(adminStatsCache.data);
+      const cached = adminStatsCache.entries.get(cacheScope);
+      if (cached && (cacheNow - cached.timestamp) < adminStatsCache.ttl) {
+        logger.info(`📊 Admin stats (${cacheScope}) served from cache`);
+        return res.json(cached.data);
       }
-
-      const db = admin.firestore();
       
-      // Calculate date boundaries in Central Time (America/Chicago) for consistent local day tracking
-      // This ensures "today" aligns with the restaurant's local calendar day
-      // Can be overridden with STATS_TIMEZONE environment variable
-      const statsTimezone = process.env.STATS_TIMEZONE || 'America/Chicago';
+      // Calculate date boundaries in the restaurant's local timezone for consistent local day tracking.
+      // All-locations stats use STATS_TIMEZONE (default America/Chicago); a single store uses its own.
+      const statsTimezone = statsLocation ? statsLocation.timeZone : (process.env.STATS_TIMEZONE || 'America/Chicago');
       const now = DateTime.now().setZone(statsTimezone);
       const todayStart = now.startOf('day').toJSDate();
       const tomorrowStart = now.startOf('day').plus({ days: 1 }).toJSDate();
@@ -11153,12 +16609,13 @@ IMPORTANT:
           db.collection('users').where('accountCreatedDate', '>=', weekAgo).count().get(),
           'users this week'
         ),
-        safeCount(db.collection('receipts').count().get(), 'receipts total'),
-        safeCount(
+        // A single store's receipt counts are filled in below
+        statsLocation ? 0 : safeCount(db.collection('receipts').count().get(), 'receipts total'),
+        statsLocation ? 0 : safeCount(
           db.collection('receipts').where('createdAt', '>=', todayStart).count().get(),
           'receipts today'
         ),
-        safeCount(
+        statsLocation ? 0 : safeCount(
           db.collection('receipts').where('createdAt', '>=', weekAgo).count().get(),
           'receipts this week'
         ),
@@ -11198,6 +16655,8 @@ IMPORTANT:
       }
 
       const stats = {
+        locationId: cacheScope,
+        timeZone: statsTimezone,
         totalUsers: usersCount || 0,
         newUsersToday: usersTodayCount || 0,
         newUsersThisWeek: usersWeekCount || 0,
@@ -11209,11 +16668,23 @@ IMPORTANT:
         totalPointsDistributed
       };
 
+      if (statsLocation) {
+        Object.assign(stats, await getLocationReceiptCounts(db, statsLocation, safeCount));
+      } else {
+        const locations = await getLocations(db);
+        stats.locations = await Promise.all(locations.map(async (location) => ({
+          locationId: location.id,
+          name: location.name,
+          timeZone: location.timeZone,
+          active: location.active,
+          ...(await getLocationReceiptCounts(db, location, safeCount))
+        })));
+      }
+
       // Update cache
-      adminStatsCache.data = stats;
-      adminStatsCache.timestamp = cacheNow;
+      adminStatsCache.entries.set(cacheScope, { data: stats, timestamp: cacheNow });
 
-      logger.info('📊 Admin stats fetched and cached:', stats);
+      logger.info(`📊 Admin stats (${cacheScope}) fetched and cached:`, stats);
       res.json(stats);
 
     } catch (error) {
@@ -12181,15 +17652,12 @@ IMPORTANT:
    *   phone: string
    * }
    */
-  app.post('/admin/ban-user', async (req, res) => {
+  app.post('/admin/ban-user', validate(banUserSchema), async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
       const { userId, reason } = req.body;
-      if (!userId || typeof userId !== 'string') {
-        return res.status(400).json({ error: 'userId is required' });
-      }
 
       const db = admin.firestore();
       
@@ -12276,15 +17744,12 @@ IMPORTANT:
    *   bannedUserName: string | null
    * }
    */
-  app.post('/admin/ban-phone', async (req, res) => {
+  app.post('/admin/ban-phone', validate(banPhoneSchema), async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
       const { phone, reason } = req.body;
-      if (!phone || typeof phone !== 'string') {
-        return res.status(400).json({ error: 'phone is required' });
-      }
 
       const db = admin.firestore();
       
@@ -12379,15 +17844,12 @@ IMPORTANT:
    *   success: true
    * }
    */
-  app.post('/admin/unban-number', async (req, res) => {
+  app.post('/admin/unban-number', validate(unbanNumberSchema), async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
 
       const { phone } = req.body;
-      if (!phone || typeof phone !== 'string') {
-        return res.status(400).json({ error: 'Phone number is required' });
-      }
 
       const normalizedPhone = normalizePhoneForBannedNumbers(phone) || (phone.startsWith('+') ? phone : `+${phone}`);
       const digitsOnlyLegacy = normalizedPhone.replace('+', '');
@@ -12701,7 +18163,7 @@ IMPORTANT:
    * - action: 'dismiss' | 'watch' | 'restrict' | 'ban'
    * - notes: optional review notes
    */
-  app.post('/admin/suspicious-flags/:id/review', async (req, res) => {
+  app.post('/admin/suspicious-flags/:id/review', validate(suspiciousFlagReviewSchema), async (req, res) => {
     try {
       const adminContext = await requireAdmin(req, res);
       if (!adminContext) return;
@@ -12709,10 +18171,6 @@ IMPORTANT:
       const { id } = req.params;
       const { action, notes } = req.body;
 
-      if (!['dismiss', 'watch', 'restrict', 'ban'].includes(action)) {
-        return res.status(400).json({ error: 'Invalid action. Must be: dismiss, watch, restrict, or ban' });
-      }
-
       const db = admin.firestore();
       const flagRef = db.collection('suspiciousFlags').doc(id);
       const flagDoc = await flagRef.get();
@@ -13074,6 +18532,88 @@ class SuspiciousBehaviorService {
     }
   }
 
+  /**
+   * Compare a receipt photo's perceptual hash against recent receipts from all users.
+   * Catches one paper receipt scanned by several accounts, or re-cropped re-submissions
+   * whose extracted fields differ enough to slip past the field-based duplicate check.
+   */
+  async checkReceiptImageHash(userId, { imageHash, receiptId = null, reviewId = null }) {
+    try {
+      const cutoff = new Date(Date.now() - RECEIPT_IMAGE_HASH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      const bands = imageHashBands(imageHash);
+      const candidates = new Map();
+
+      // array-contains-any accepts at most 30 values, so the bands are queried in halves.
+      // Each half is capped at 100 candidates, so a match can be missed when more
+      // recent receipts than that share a band with this photo.
+      const half = Math.ceil(bands.length / 2);
+      for (const chunk of [bands.slice(0, half), bands.slice(half)]) {
+        const snap = await this.db.collection('receipts')
+          .where('imageHashBands', 'array-contains-any', chunk)
+          .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(cutoff))
+          .limit(100)
+          .get();
+        snap.docs.forEach(doc => candidates.set(doc.id, doc));
+      }
+
+      const matches = [...candidates.values()]
+        .filter(doc => doc.id !== receiptId)
+        .map(doc => ({ doc, distance: hammingDistance(imageHash, doc.get('imageHash')) }))
+        .filter(m => m.distance <= MAX_IMAGE_HASH_DISTANCE)
+        .sort((a, b) => a.distance - b.distance);
+
+      if (matches.length === 0) return 0;
+
+      const matchEvidence = matches.slice(0, 5).map(({ doc, distance }) => ({
+        receiptId: doc.id,
+        userId: doc.get('userId') || null,
+        distance,
+        orderNumber: doc.get('orderNumber') || null,
+        orderDate: doc.get('orderDate') || null,
+        orderTotal: doc.get('orderTotal') ?? null,
+        createdAt: doc.get('createdAt')?.toDate()?.toISOString() || null
+      }));
+      const otherAccounts = [...new Set(matches.map(m => m.doc.get('userId')).filter(id => id && id !== userId))];
+
+      await this.flagSuspiciousBehavior(userId, {
+        flagType: 'receipt_image_reuse',
+        severity: otherAccounts.length > 0 ? 'high' : 'medium',
+        description: otherAccounts.length > 0
+          ? `Receipt photo matches receipts scanned by ${otherAccounts.length} other account(s)`
+          : 'Receipt photo matches an earlier receipt with different details',
+        evidence: {
+          imageHash,
+          receiptId,
+          reviewId,
+          maxDistance: MAX_IMAGE_HASH_DISTANCE,
+          matches: matchEvidence,
+          otherAccounts
+        }
+      });
+
+      // Also flag the accounts that scanned the original photo
+      for (const otherUserId of otherAccounts) {
+        await this.flagSuspiciousBehavior(otherUserId, {
+          flagType: 'receipt_image_reuse',
+          severity: 'high',
+          description: 'Receipt photo was re-scanned by another account',
+          evidence: {
+            imageHash,
+            matchedBy: userId,
+            receiptId,
+            reviewId,
+            matches: matchEvidence.filter(m => m.userId === otherUserId)
+          }
+        });
+      }
+
+      return matches.length;
+    } catch (error) {
+      logger.error('❌ Error checking receipt image hash:', error);
+      return 0;
+    }
+  }
+
   /**
    * Check referral abuse patterns
    */
@@ -13477,6 +19017,7 @@ server = app.listen(port, '0.0.0.0', async () => {
   logger.info('📊 Service Status:');
   logger.info(`  ${admin.apps.length ? '✅' : '❌'} Firebase: ${admin.apps.length ? 'Initialized' : 'Not initialized'}`);
   logger.info(`  ${process.env.OPENAI_API_KEY ? '✅' : '❌'} OpenAI: ${process.env.OPENAI_API_KEY ? 'Configured' : 'Not configured'}`);
+  logger.info(`  ${receiptPhotoScansUnconfigured ? '❌' : RECEIPT_EXTRACTION_PROVIDER === 'openai' ? '✅' : '⚠️'} Receipt extraction: ${RECEIPT_EXTRACTION_PROVIDER}${receiptPhotoScansUnconfigured ? ' (photo scans disabled)' : ''}`);
   
   const redisHealth = await checkRedisHealth();
   logger.info(`  ${redisHealth.connected ? '✅' : redisClient ? '⚠️' : 'ℹ️'} Redis: ${redisHealth.status || 'Not configured'}`);
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SHARED_MODULES, BACKEND_DIR, FUNCTIONS_SHARED_DIR } = require('../scripts/sync-functions-shared');
+
+for (const file of SHARED_MODULES) {
+  test(`functions/shared/${file} matches backend-deploy/${file}`, () => {
+    const source = fs.readFileSync(path.join(BACKEND_DIR, file), 'utf8');
+    const copyPath = path.join(FUNCTIONS_SHARED_DIR, file);
+    assert.ok(fs.existsSync(copyPath), `missing copy; run node backend-deploy/scripts/sync-functions-shared.js`);
+    assert.equal(fs.readFileSync(copyPath, 'utf8'), source, 'stale copy; run node backend-deploy/scripts/sync-functions-shared.js');
+  });
+}
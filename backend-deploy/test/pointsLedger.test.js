@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { replayLedger, summarizeExpiration } = require('../pointsLedger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const tx = (id, type, amount, timestamp, metadata) => ({ id, type, amount, timestamp, ...(metadata && { metadata }) });
+
+test('a redemption consumes the oldest lots first', () => {
+  const ledger = replayLedger([
+    tx('c', 'receipt_scan', 40, '2026-03-01T12:00:00Z'),
+    tx('a', 'receipt_scan', 30, '2026-01-01T12:00:00Z'),
+    tx('b', 'welcome', 5, '2026-02-01T12:00:00Z'),
+    tx('r', 'reward_redeemed', -50, '2026-04-01T12:00:00Z')
+  ]);
+  assert.equal(ledger.balance, 25);
+  assert.equal(ledger.lifetimeEarned, 75);
+  assert.equal(ledger.unbackedDebit, 0);
+  assert.deepEqual(ledger.lots.map(l => [l.txId, l.remaining]), [['c', 25]]);
+});
+
+test('a refund opens a fresh lot and is not counted as earned', () => {
+  const ledger = replayLedger([
+    tx('a', 'receipt_scan', 100, '2026-01-01T12:00:00Z'),
+    tx('r', 'reward_redeemed', -100, '2026-02-01T12:00:00Z'),
+    tx('f', 'reward_expiration_refund', 100, '2026-02-02T12:00:00Z')
+  ]);
+  assert.equal(ledger.balance, 100);
+  assert.equal(ledger.lifetimeEarned, 100);
+  assert.equal(ledger.lots.length, 1);
+  assert.equal(ledger.lots[0].txId, 'f');
+  assert.equal(ledger.lots[0].earnedAt.toISOString(), '2026-02-02T12:00:00.000Z');
+});
+
+test('reversing a credit lowers lifetime earnings; undoing a deduction does not raise them', () => {
+  const ledger = replayLedger([
+    tx('a', 'receipt_scan', 80, '2026-01-01T12:00:00Z'),
+    tx('rev', 'admin_adjustment', -80, '2026-01-02T12:00:00Z', { reversalOf: 'a' }),
+    tx('d', 'admin_adjustment', -20, '2026-01-03T12:00:00Z'),
+    tx('undo', 'admin_adjustment', 20, '2026-01-04T12:00:00Z', { reversalOf: 'd' })
+  ]);
+  assert.equal(ledger.lifetimeEarned, 0);
+  assert.equal(ledger.balance, 0);
+});
+
+test('debits with no earlier credits are reported as unbacked', () => {
+  const ledger = replayLedger([
+    tx('r', 'reward_redeemed', -60, '2026-01-01T12:00:00Z'),
+    tx('a', 'receipt_scan', 50, '2026-02-01T12:00:00Z')
+  ]);
+  assert.equal(ledger.unbackedDebit, 60);
+  assert.equal(ledger.balance, -10);
+  assert.deepEqual(ledger.lots.map(l => [l.txId, l.remaining]), [['a', 50]]);
+});
+
+test('undated entries replay first, and zero amounts are skipped', () => {
+  const ledger = replayLedger([
+    tx('dated', 'receipt_scan', 10, '2026-01-01T12:00:00Z'),
+    tx('legacy', 'receipt_scan', 10),
+    tx('zero', 'receipt_scan', 0, '2026-01-02T12:00:00Z'),
+    tx('r', 'reward_redeemed', -5, '2026-01-03T12:00:00Z')
+  ]);
+  assert.equal(ledger.transactionCount, 3);
+  assert.deepEqual(ledger.lots.map(l => [l.txId, l.remaining]), [['legacy', 5], ['dated', 10]]);
+});
+
+test('createdAt is used when a transaction has no timestamp', () => {
+  const ledger = replayLedger([{ id: 'a', type: 'receipt_scan', amount: 10, createdAt: { toDate: () => new Date('2026-01-01T12:00:00Z') } }]);
+  assert.equal(ledger.lots[0].earnedAt.toISOString(), '2026-01-01T12:00:00.000Z');
+});
+
+test('lots past their lifetime are expired and lots inside the warning window are expiring', () => {
+  const now = new Date('2026-07-01T12:00:00Z');
+  const lot = (txId, earnedAt, remaining) => ({ txId, earnedAt: earnedAt && new Date(earnedAt), amount: remaining, remaining });
+  const summary = summarizeExpiration([
+    lot('old', '2026-01-01T12:00:00Z', 10),
+    lot('edge', '2026-01-31T12:00:00Z', 20),
+    lot('outside', '2026-02-02T12:00:00Z', 40),
+    lot('legacy', null, 80)
+  ], { expirationMonths: 6, warningDays: 30, now });
+
+  assert.deepEqual(summary.expiredLots.map(l => l.txId), ['old']);
+  assert.equal(summary.expiredPoints, 10);
+  assert.deepEqual(summary.expiringLots.map(l => l.txId), ['edge']);
+  assert.equal(summary.expiringPoints, 20);
+  assert.equal(summary.nextExpiry.toISOString(), '2026-07-31T12:00:00.000Z');
+});
+
+test('a lot that expires exactly at the warning boundary is expiring, one that expires exactly now is expired', () => {
+  const now = new Date('2026-07-01T12:00:00Z');
+  const earnedAt = new Date('2026-06-01T12:00:00Z');
+  const atBoundary = summarizeExpiration([{ txId: 'a', earnedAt, remaining: 5 }], {
+    expirationMonths: 1,
+    warningDays: 0,
+    now
+  });
+  assert.equal(atBoundary.expiredPoints, 5);
+
+  const warned = summarizeExpiration([{ txId: 'b', earnedAt, remaining: 5 }], {
+    expirationMonths: 1,
+    warningDays: 1,
+    now: new Date(now.getTime() - DAY_MS)
+  });
+  assert.equal(warned.expiringPoints, 5);
+  assert.equal(warned.expiredPoints, 0);
+});
+
+test('January 31 plus one month expires at the end of February', () => {
+  const summary = summarizeExpiration([{ txId: 'a', earnedAt: new Date('2027-01-31T12:00:00Z'), remaining: 5 }], {
+    expirationMonths: 1,
+    warningDays: 0,
+    now: new Date('2027-01-31T12:00:00Z')
+  });
+  assert.equal(summary.nextExpiry.toISOString().slice(0, 10), '2027-02-28');
+});
+
+test('nothing expires when expiration is off', () => {
+  const summary = summarizeExpiration([{ txId: 'a', earnedAt: new Date('2020-01-01T00:00:00Z'), remaining: 5 }], {
+    expirationMonths: null,
+    warningDays: 30,
+    now: new Date('2026-01-01T00:00:00Z')
+  });
+  assert.equal(summary.expiredPoints, 0);
+  assert.equal(summary.nextExpiry, null);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+
+const { normalizePointsEarningConfig, ruleMatches, evaluateReceiptPoints } = require('../pointsRules');
+
+const tuesdayDouble = { id: 'tuesday', name: 'Double Tuesday', type: 'multiplier', multiplier: 2, daysOfWeek: [2] };
+const happyHour = { id: 'happy_hour', name: 'Happy hour', type: 'multiplier', multiplier: 1.5, startTime: '14:00', endTime: '17:00' };
+const bigOrderBonus = { id: 'big_order', name: 'Big order', type: 'bonus', bonusPoints: 25, minimumSpend: 30 };
+
+function config(overrides = {}) {
+  return normalizePointsEarningConfig({ basePointsPerDollar: 5, ...overrides });
+}
+
+// Tuesday 3:30 PM in Chicago
+const tuesdayAfternoon = DateTime.fromISO('2026-03-03T15:30:00', { zone: 'America/Chicago' });
+
+test('without rules a receipt earns the base rate, rounded down', () => {
+  const result = evaluateReceiptPoints(config(), { orderTotal: 12.99, purchasedAt: tuesdayAfternoon });
+  assert.equal(result.pointsAwarded, 64);
+  assert.equal(result.multiplier, 1);
+});
+
+test('"highest" stacking applies only the strongest multiplier', () => {
+  const result = evaluateReceiptPoints(config({ rules: [tuesdayDouble, happyHour] }), { orderTotal: 10, purchasedAt: tuesdayAfternoon });
+  assert.equal(result.multiplier, 2);
+  assert.equal(result.pointsAwarded, 100);
+  assert.deepEqual(result.appliedRules.filter(r => r.type === 'multiplier').map(r => r.ruleId), ['tuesday']);
+});
+
+test('"multiply" stacking multiplies every matching multiplier', () => {
+  const result = evaluateReceiptPoints(
+    config({ multiplierStacking: 'multiply', rules: [tuesdayDouble, happyHour] }),
+    { orderTotal: 10, purchasedAt: tuesdayAfternoon }
+  );
+  assert.equal(result.multiplier, 3);
+  assert.equal(result.pointsAwarded, 150);
+});
+
+test('a window that wraps past midnight matches late evening and early morning, end exclusive', () => {
+  const lateNight = { id: 'late', type: 'multiplier', multiplier: 2, startTime: '22:00', endTime: '02:00' };
+  const at = time => ({ orderTotal: 10, purchasedAt: DateTime.fromISO(`2026-03-03T${time}`, { zone: 'America/Chicago' }) });
+  assert.equal(ruleMatches(lateNight, at('23:15:00')), true);
+  assert.equal(ruleMatches(lateNight, at('01:59:00')), true);
+  assert.equal(ruleMatches(lateNight, at('02:00:00')), false);
+  assert.equal(ruleMatches(lateNight, at('21:59:00')), false);
+});
+
+test('rules use the purchase time in the restaurant timezone, not the scan time or UTC', () => {
+  // Tuesday 11 PM in Chicago is already Wednesday in UTC
+  const purchasedAt = DateTime.fromISO('2026-03-04T05:00:00Z', { zone: 'utc' });
+  const result = evaluateReceiptPoints(config({ rules: [tuesdayDouble] }), { orderTotal: 10, purchasedAt });
+  assert.equal(result.multiplier, 2);
+
+  const otherZone = evaluateReceiptPoints(config({ timeZone: 'Asia/Tokyo', rules: [tuesdayDouble] }), { orderTotal: 10, purchasedAt });
+  assert.equal(otherZone.multiplier, 1);
+});
+
+test('receipts under the minimum spend earn nothing', () => {
+  const result = evaluateReceiptPoints(config({ minimumSpend: 5, rules: [tuesdayDouble] }), { orderTotal: 4.99, purchasedAt: tuesdayAfternoon });
+  assert.equal(result.pointsAwarded, 0);
+  assert.equal(result.appliedRules.at(-1).ruleId, 'minimum_spend');
+});
+
+test('a rule with its own minimum spend only fires above it', () => {
+  const small = evaluateReceiptPoints(config({ rules: [bigOrderBonus] }), { orderTotal: 29.99, purchasedAt: tuesdayAfternoon });
+  assert.equal(small.bonusPoints, 0);
+  const big = evaluateReceiptPoints(config({ rules: [bigOrderBonus] }), { orderTotal: 30, purchasedAt: tuesdayAfternoon });
+  assert.equal(big.bonusPoints, 25);
+  assert.equal(big.pointsAwarded, 175);
+});
+
+test('the tier multiplier stacks on promotions and bonuses are added after multiplying', () => {
+  const result = evaluateReceiptPoints(config({ rules: [tuesdayDouble, bigOrderBonus] }), {
+    orderTotal: 40,
+    purchasedAt: tuesdayAfternoon,
+    tier: { id: 'gold', name: 'Gold', multiplier: 1.5 }
+  });
+  assert.equal(result.tierMultiplier, 1.5);
+  assert.equal(result.pointsAwarded, 40 * 5 * 2 * 1.5 + 25);
+  assert.equal(result.capped, false);
+});
+
+test('the per-receipt cap applies after the tier multiplier and bonuses', () => {
+  const result = evaluateReceiptPoints(config({ maxPointsPerReceipt: 500, rules: [tuesdayDouble, bigOrderBonus] }), {
+    orderTotal: 40,
+    purchasedAt: tuesdayAfternoon,
+    tier: { id: 'gold', name: 'Gold', multiplier: 1.5 }
+  });
+  assert.equal(result.pointsAwarded, 500);
+  assert.equal(result.capped, true);
+  assert.equal(result.appliedRules.at(-1).ruleId, 'per_receipt_cap');
+});
+
+test('disabled rules and rules outside their date range are skipped', () => {
+  const purchase = { orderTotal: 10, purchasedAt: tuesdayAfternoon };
+  assert.equal(ruleMatches({ ...tuesdayDouble, enabled: false }, purchase), false);
+  assert.equal(ruleMatches({ ...tuesdayDouble, startDate: '2026-03-04' }, purchase), false);
+  assert.equal(ruleMatches({ ...tuesdayDouble, endDate: '2026-03-03' }, purchase), true);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const {
+  ANALYZE_AGREEMENT_FIELDS,
+  SUBMIT_AGREEMENT_FIELDS,
+  FixtureReceiptProvider,
+  createReceiptExtractionProvider,
+  normalizeParsedReceipt,
+  receiptPassesAgree,
+  findDisagreeingFields,
+  buildLineItemsPrompt,
+  parseReceiptOcrLineItems
+} = require('../receiptExtraction');
+
+const FIXTURES_PATH = path.join(__dirname, 'fixtures', 'receipts.json');
+const imageOf = (text) => Buffer.from(text).toString('base64');
+
+test('createReceiptExtractionProvider builds the fixture provider from a fixtures file', async () => {
+  const provider = createReceiptExtractionProvider({ name: ' Fixture ', fixturesPath: FIXTURES_PATH });
+  assert.equal(provider.name, 'fixture');
+
+  const result = await provider.extract({ imageBase64: imageOf('receipt-a'), mode: 'submit' });
+  assert.equal(result.passes.length, 2);
+  assert.deepEqual(result.passes[0], result.passes[1]);
+  assert.notEqual(result.passes[0], result.passes[1]);
+});
+
+test('fixture provider reports a miss in both passes for unknown images', async () => {
+  const provider = new FixtureReceiptProvider({ fixturesPath: FIXTURES_PATH });
+  const result = await provider.extract({ imageBase64: imageOf('unknown') });
+  assert.match(result.passes[0].error, /No receipt fixture registered/);
+  assert.equal(result.passes[1].error, result.passes[0].error);
+});
+
+test('fixture provider falls back to the default entry', async () => {
+  const provider = new FixtureReceiptProvider({ fixtures: { default: { orderNumber: '7' } } });
+  const result = await provider.extract({ imageBase64: imageOf('anything') });
+  assert.equal(result.passes[0].orderNumber, '7');
+});
+
+test('normalizeParsedReceipt cleans up formatting differences', async () => {
+  const provider = new FixtureReceiptProvider({ fixturesPath: FIXTURES_PATH });
+  const { passes } = await provider.extract({ imageBase64: imageOf('receipt-a') });
+  const normalized = normalizeParsedReceipt(passes[0]);
+
+  assert.equal(normalized.orderNumber, '42');
+  assert.equal(normalized.orderTotal, 23.5);
+  assert.equal(normalized.taxAmount, 2);
+  assert.equal(normalized.orderDate, '12/21');
+  assert.equal(normalized.orderTime, '18:42');
+  assert.equal(normalized.tipAmount, null);
+  assert.equal(normalized.orderNumberDirectlyUnderAnchor, true);
+});
+
+test('normalizeParsedReceipt leaves values it cannot parse alone', () => {
+  const normalized = normalizeParsedReceipt({ orderNumber: 'A-12', orderTotal: 'n/a', orderDate: null });
+  assert.equal(normalized.orderNumber, 'A-12');
+  assert.equal(normalized.orderTotal, 'n/a');
+  assert.equal(normalized.orderDate, null);
+});
+
+test('identical fixture passes agree on every submit field', async () => {
+  const provider = new FixtureReceiptProvider({ fixturesPath: FIXTURES_PATH });
+  const { passes } = await provider.extract({ imageBase64: imageOf('receipt-a') });
+  const [a, b] = passes.map(normalizeParsedReceipt);
+  assert.equal(receiptPassesAgree(a, b, SUBMIT_AGREEMENT_FIELDS), true);
+  assert.deepEqual(findDisagreeingFields(a, b, SUBMIT_AGREEMENT_FIELDS), []);
+});
+
+test('a two-pass fixture exercises the mismatch path', async () => {
+  const provider = new FixtureReceiptProvider({ fixturesPath: FIXTURES_PATH });
+  const { passes } = await provider.extract({ imageBase64: imageOf('receipt-b') });
+  const [a, b] = passes.map(normalizeParsedReceipt);
+  assert.equal(receiptPassesAgree(a, b, ANALYZE_AGREEMENT_FIELDS), false);
+  assert.deepEqual(findDisagreeingFields(a, b, ANALYZE_AGREEMENT_FIELDS), ['orderTotal']);
+  assert.equal(receiptPassesAgree(a, b, ['orderNumber', 'orderDate', 'orderTime']), true);
+});
+
+test('passes that only differ in formatting agree once normalized', () => {
+  const a = normalizeParsedReceipt({ orderNumber: '007', orderTotal: '12.50', orderDate: '1-5', orderTime: '9:05 ' });
+  const b = normalizeParsedReceipt({ orderNumber: 7, orderTotal: 12.5, orderDate: '1/5', orderTime: '9:05' });
+  assert.equal(receiptPassesAgree(a, b, ['orderNumber', 'orderTotal', 'orderDate', 'orderTime']), true);
+});
+
+test('fixture provider returns normalized line items', async () => {
+  const provider = new FixtureReceiptProvider({ fixturesPath: FIXTURES_PATH });
+  const { items } = await provider.extractLineItems({ imageBase64: imageOf('receipt-a') });
+  assert.equal(items.length, 2);
+  assert.equal(items[1].name, 'Milk Tea');
+  assert.equal(items[1].quantity, 1);
+  assert.equal(items[1].price, 4.5);
+  assert.deepEqual(items[1].modifiers, ['Less Ice']);
+});
+
+const memphisProfile = { headerText: 'Dumpling House Memphis', orderNumberAnchor: 'Memphis Pickup' };
+
+test('OCR line items start after the order number under the location anchor when the date is unreadable', () => {
+  const text = [
+    'Dumpling House Memphis',
+    'Memphis Pickup',
+    '57',
+    '2 Pork Dumplings 12.99',
+    'Pan-fried',
+    'Milk Tea 4.50',
+    'Subtotal 17.49'
+  ].join('\n');
+  const items = parseReceiptOcrLineItems(text, memphisProfile);
+  assert.deepEqual(items.map(i => [i.name, i.quantity, i.price]), [['Pork Dumplings', 2, 12.99], ['Milk Tea', 1, 4.5]]);
+  assert.deepEqual(items[0].modifiers, ['Pan-fried']);
+});
+
+test('OCR line items start after the header when there is no anchor line', () => {
+  const text = ['Dumpling House Memphis', 'Chicken Dumplings 11.99', 'Total 11.99'].join('\n');
+  assert.deepEqual(parseReceiptOcrLineItems(text, memphisProfile).map(i => i.name), ['Chicken Dumplings']);
+});
+
+test('the line items prompt names the location header', () => {
+  assert.match(buildLineItemsPrompt(memphisProfile), /ITEMS section of a Dumpling House Memphis receipt/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jpeg = require('jpeg-js');
+
+const {
+  HASH_BAND_COUNT,
+  computeImageHash,
+  computeImageHashInWorker,
+  imageHashBands,
+  hammingDistance
+} = require('../receiptImageHash');
+
+function gradientJpeg(width, height, shift = 0) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const value = ((x + shift) * 255 / width + Math.sin(y / 9) * 60) & 255;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return jpeg.encode({ data, width, height }, 85).data;
+}
+
+test('the worker computes the same hash as the main thread', async () => {
+  const image = gradientJpeg(300, 400);
+  const hash = await computeImageHashInWorker(image);
+  assert.equal(hash, computeImageHash(image));
+  assert.equal(hash.length, 64);
+});
+
+test('undecodable images hash to null', async () => {
+  assert.equal(computeImageHash(Buffer.from('not a jpeg')), null);
+  assert.equal(await computeImageHashInWorker(Buffer.from('not a jpeg')), null);
+});
+
+test('a recompressed copy stays within matching distance', () => {
+  const original = gradientJpeg(300, 400);
+  const { data, width, height } = jpeg.decode(original, { useTArray: true });
+  const recompressed = jpeg.encode({ data, width, height }, 40).data;
+  assert.ok(hammingDistance(computeImageHash(original), computeImageHash(recompressed)) <= 24);
+});
+
+test('imageHashBands splits a hash into indexed bands', () => {
+  const hash = 'ab'.repeat(32);
+  const bands = imageHashBands(hash);
+  assert.equal(bands.length, HASH_BAND_COUNT);
+  assert.equal(bands[0], '0:ab');
+  assert.equal(bands[HASH_BAND_COUNT - 1], `${HASH_BAND_COUNT - 1}:ab`);
+});
+
+test('hammingDistance counts differing bits and rejects mismatched lengths', () => {
+  assert.equal(hammingDistance('00', '00'), 0);
+  assert.equal(hammingDistance('0f', '00'), 4);
+  assert.equal(hammingDistance('ff', 'f'), Infinity);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  STANDARD_REFERRAL_CAMPAIGN_ID,
+  DEFAULT_REFERRAL_POINTS_THRESHOLD,
+  normalizeReferralReward,
+  normalizeReferralCampaignsConfig,
+  selectReferralCampaign,
+  buildReferralTerms,
+  referralTermsOf,
+  referralExpired,
+  referrerRewardDue,
+  buildReferralGift,
+  describeReferralReward
+} = require('../referralCampaigns');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-12-10T18:00:00Z');
+const giftReward = {
+  type: 'gift',
+  rewardTitle: 'Free Bao',
+  rewardDescription: 'One pork bao',
+  rewardCategory: 'Bao',
+  imageName: 'pork_bao',
+  expiresInDays: 30
+};
+
+function config(campaigns) {
+  return normalizeReferralCampaignsConfig({ campaigns });
+}
+
+test('with no campaign running the standard terms use the configured bonus', () => {
+  const campaign = selectReferralCampaign(config([]), { now, bonusPoints: 75 });
+  assert.equal(campaign.id, STANDARD_REFERRAL_CAMPAIGN_ID);
+  assert.equal(campaign.pointsThreshold, DEFAULT_REFERRAL_POINTS_THRESHOLD);
+  assert.deepEqual(campaign.referrerReward, { type: 'points', points: 75 });
+  assert.deepEqual(campaign.refereeReward, { type: 'points', points: 75 });
+});
+
+test('inactive, not yet started and ended campaigns are skipped', () => {
+  const campaigns = config([
+    { id: 'off', active: false },
+    { id: 'later', startsAt: '2026-12-20T00:00:00Z' },
+    { id: 'over', endsAt: '2026-12-01T00:00:00Z' }
+  ]);
+  assert.equal(selectReferralCampaign(campaigns, { now, bonusPoints: 50 }).id, STANDARD_REFERRAL_CAMPAIGN_ID);
+});
+
+test('when campaigns overlap the one that started last wins', () => {
+  const campaigns = config([
+    { id: 'always' },
+    { id: 'winter', startsAt: '2026-11-01T00:00:00Z' },
+    { id: 'december', startsAt: '2026-12-01T00:00:00Z', endsAt: '2027-01-01T00:00:00Z' }
+  ]);
+  assert.equal(selectReferralCampaign(campaigns, { now, bonusPoints: 50 }).id, 'december');
+});
+
+test('a campaign named "standard" is ignored', () => {
+  assert.deepEqual(config([{ id: STANDARD_REFERRAL_CAMPAIGN_ID }]).campaigns, []);
+});
+
+test('unusable rewards normalize to 0 points and gifts keep one image', () => {
+  assert.deepEqual(normalizeReferralReward({ type: 'points', points: -5 }), { type: 'points', points: 0 });
+  assert.deepEqual(normalizeReferralReward({ type: 'gift' }), { type: 'points', points: 0 });
+  const gift = normalizeReferralReward({ ...giftReward, imageURL: 'https://example.com/bao.png' });
+  assert.equal(gift.imageName, 'pork_bao');
+  assert.equal(gift.imageURL, null);
+});
+
+test('terms carry a qualifyBy deadline only when the campaign has one', () => {
+  const acceptedAt = new Date('2026-12-01T00:00:00Z');
+  const [december] = config([{ id: 'december', qualifyWithinDays: 14, referrerGoal: 3 }]).campaigns;
+  const terms = buildReferralTerms(december, acceptedAt);
+  assert.equal(terms.qualifyBy.toISOString(), '2026-12-15T00:00:00.000Z');
+  assert.equal(terms.referrerGoal, 3);
+
+  const [open] = config([{ id: 'open' }]).campaigns;
+  assert.equal(buildReferralTerms(open, acceptedAt).qualifyBy, null);
+});
+
+test('referrals made before campaigns get the standard terms', () => {
+  const terms = referralTermsOf({ status: 'pending' }, 60);
+  assert.equal(terms.campaignId, STANDARD_REFERRAL_CAMPAIGN_ID);
+  assert.equal(terms.pointsThreshold, DEFAULT_REFERRAL_POINTS_THRESHOLD);
+  assert.deepEqual(terms.refereeReward, { type: 'points', points: 60 });
+  assert.equal(terms.qualifyBy, null);
+});
+
+test('stored terms are read back from the referral doc', () => {
+  const qualifyBy = new Date('2026-12-15T00:00:00Z');
+  const terms = referralTermsOf({
+    campaignId: 'december',
+    pointsThreshold: 100,
+    referrerReward: { type: 'points', points: 200 },
+    refereeReward: giftReward,
+    referrerGoal: 3,
+    qualifyBy: { toDate: () => qualifyBy }
+  }, 50);
+  assert.equal(terms.campaignName, 'december');
+  assert.equal(terms.pointsThreshold, 100);
+  assert.equal(terms.refereeReward.rewardTitle, 'Free Bao');
+  assert.equal(terms.qualifyBy.getTime(), qualifyBy.getTime());
+});
+
+test('a referral expires only after its qualifyBy', () => {
+  const qualifyBy = new Date('2026-12-15T00:00:00Z');
+  assert.equal(referralExpired({ qualifyBy }, new Date(qualifyBy.getTime() - 1)), false);
+  assert.equal(referralExpired({ qualifyBy }, new Date(qualifyBy.getTime() + 1)), true);
+  assert.equal(referralExpired({ qualifyBy: null }, now), false);
+});
+
+test('the referrer is rewarded for every referrerGoal-th friend', () => {
+  assert.equal(referrerRewardDue(1, 1), true);
+  assert.equal(referrerRewardDue(2, 3), false);
+  assert.equal(referrerRewardDue(3, 3), true);
+  assert.equal(referrerRewardDue(6, 3), true);
+  assert.equal(referrerRewardDue(0, 3), false);
+});
+
+test('a gift is addressed to one customer and expires after expiresInDays', () => {
+  const gift = buildReferralGift(normalizeReferralReward(giftReward), {
+    userId: 'friend1',
+    referralId: 'ref1',
+    role: 'referred',
+    campaignId: 'december',
+    now
+  });
+  assert.deepEqual(gift.targetUserIds, ['friend1']);
+  assert.equal(gift.rewardTitle, 'Free Bao');
+  assert.equal(gift.pointsRequired, 0);
+  assert.equal(gift.isCustom, false);
+  assert.equal(gift.sentByAdminId, 'system');
+  assert.equal(gift.referralCampaignId, 'december');
+  assert.equal(gift.expiresAt.getTime(), now.getTime() + 30 * DAY_MS);
+});
+
+test('an imageURL gift is custom and may not expire', () => {
+  const reward = normalizeReferralReward({ type: 'gift', rewardTitle: 'Mystery dumpling', imageURL: 'https://example.com/m.png' });
+  const gift = buildReferralGift(reward, { userId: 'u1', referralId: 'ref1', role: 'referrer', campaignId: 'december', now });
+  assert.equal(gift.isCustom, true);
+  assert.equal(gift.imageURL, 'https://example.com/m.png');
+  assert.equal(gift.expiresAt, null);
+});
+
+test('rewards read as points or the gift title, and 0 points as nothing', () => {
+  assert.equal(describeReferralReward({ type: 'points', points: 50 }), '+50 bonus points');
+  assert.equal(describeReferralReward({ type: 'points', points: 0 }), null);
+  assert.equal(describeReferralReward(normalizeReferralReward(giftReward)), 'the "Free Bao" reward');
+});
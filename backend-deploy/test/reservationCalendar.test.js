@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  reservationEventUid,
+  buildReservationEvent,
+  buildCalendar,
+  createFeedToken,
+  hashFeedToken,
+  feedTokenMatches
+} = require('../reservationCalendar');
+
+const now = new Date('2026-03-01T12:00:00Z');
+const startsAt = new Date('2026-03-06T00:30:00Z');
+
+function event(data, extra = {}) {
+  return buildReservationEvent({
+    id: 'abc123',
+    data,
+    startsAt,
+    location: { name: 'Dumpling House', address: '1 Main St, Springfield' },
+    summary: 'Table for 4',
+    now,
+    ...extra
+  });
+}
+
+test('an event keeps the same UID and carries the reservation sequence', () => {
+  const lines = event({ status: 'confirmed', calendarSequence: 3 });
+  assert.ok(lines.includes(`UID:${reservationEventUid('abc123')}`));
+  assert.ok(lines.includes('SEQUENCE:3'));
+  assert.ok(lines.includes('STATUS:CONFIRMED'));
+  assert.ok(lines.includes('DTSTART:20260306T003000Z'));
+  assert.ok(lines.includes('DTEND:20260306T020000Z'));
+  assert.ok(lines.includes('DTSTAMP:20260301T120000Z'));
+});
+
+test('a reservation without a sequence starts at 0 and pending is tentative', () => {
+  const lines = event({ status: 'pending' });
+  assert.ok(lines.includes('SEQUENCE:0'));
+  assert.ok(lines.includes('STATUS:TENTATIVE'));
+});
+
+test('cancelled and no-show reservations are exported as cancelled events', () => {
+  assert.ok(event({ status: 'cancelled' }).includes('STATUS:CANCELLED'));
+  assert.ok(event({ status: 'no_show' }).includes('STATUS:CANCELLED'));
+});
+
+test('text values are escaped', () => {
+  const lines = event({ status: 'pending' }, { description: 'Window seat; high chair\nThanks' });
+  assert.ok(lines.includes('LOCATION:Dumpling House\\, 1 Main St\\, Springfield'));
+  assert.ok(lines.includes('DESCRIPTION:Window seat\\; high chair\\nThanks'));
+});
+
+test('the calendar uses CRLF and folds long lines at 75 octets without splitting characters', () => {
+  const ics = buildCalendar({ name: 'Reservations', events: [event({ status: 'pending' }, { description: '🥟'.repeat(40) })] });
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(!line.includes('�'));
+  }
+  const unfolded = ics.replace(/\r\n /g, '');
+  assert.ok(unfolded.includes(`DESCRIPTION:${'🥟'.repeat(40)}`));
+});
+
+test('feed tokens match only their own hash', () => {
+  const token = createFeedToken();
+  const storedHash = hashFeedToken(token);
+  assert.equal(feedTokenMatches(token, storedHash), true);
+  assert.equal(feedTokenMatches(createFeedToken(), storedHash), false);
+  assert.equal(feedTokenMatches(token, null), false);
+  assert.equal(feedTokenMatches('', storedHash), false);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_RESERVATION_POLICY,
+  normalizeReservationPolicy,
+  describeTransitionProblem,
+  buildStatusChange,
+  noShowStanding
+} = require('../reservationLifecycle');
+
+test('allowed moves have no problem', () => {
+  assert.equal(describeTransitionProblem('pending', 'confirmed'), null);
+  assert.equal(describeTransitionProblem('confirmed', 'seated'), null);
+  assert.equal(describeTransitionProblem('seated', 'completed'), null);
+  assert.equal(describeTransitionProblem('cancelled', 'confirmed'), null);
+  assert.equal(describeTransitionProblem('no_show', 'seated'), null);
+});
+
+test('a missing status is treated as pending', () => {
+  assert.equal(describeTransitionProblem(undefined, 'seated'), null);
+  assert.equal(describeTransitionProblem(null, 'pending'), 'Reservation is already pending');
+});
+
+test('moves outside the lifecycle are described', () => {
+  assert.equal(describeTransitionProblem('completed', 'cancelled'), "A completed reservation can't be marked cancelled");
+  assert.equal(describeTransitionProblem('seated', 'no_show'), "A seated reservation can't be marked no-show");
+  assert.equal(describeTransitionProblem('confirmed', 'confirmed'), 'Reservation is already confirmed');
+  assert.match(describeTransitionProblem('pending', 'arrived'), /^status must be one of: pending, confirmed/);
+});
+
+test('a status change stamps <status>At / <status>By and records history', () => {
+  const at = new Date('2026-03-01T18:00:00Z');
+  const { fields, historyEntry } = buildStatusChange('pending', 'no_show', { by: 'admin1', at });
+  assert.deepEqual(fields, { status: 'no_show', noShowAt: at, noShowBy: 'admin1' });
+  assert.deepEqual(historyEntry, { from: 'pending', to: 'no_show', at, by: 'admin1' });
+});
+
+test('pending has no stamp fields', () => {
+  const { fields, historyEntry } = buildStatusChange(undefined, 'pending', { by: 'auto', at: 1 });
+  assert.deepEqual(fields, { status: 'pending' });
+  assert.equal(historyEntry.from, 'pending');
+});
+
+test('policy defaults fill in missing or invalid values, and 0 is kept', () => {
+  assert.deepEqual(normalizeReservationPolicy(null), DEFAULT_RESERVATION_POLICY);
+  assert.deepEqual(
+    normalizeReservationPolicy({ noShowConfirmationThreshold: 0, noShowBlockThreshold: -1, attendancePoints: 2.5 }),
+    { noShowConfirmationThreshold: 0, noShowBlockThreshold: DEFAULT_RESERVATION_POLICY.noShowBlockThreshold, attendancePoints: 0 }
+  );
+});
+
+test('no-show standing follows the thresholds', () => {
+  const policy = { noShowConfirmationThreshold: 1, noShowBlockThreshold: 3, attendancePoints: 0 };
+  assert.deepEqual(noShowStanding(null, policy), { noShowCount: 0, standing: 'ok' });
+  assert.equal(noShowStanding({ reservationNoShowCount: 1 }, policy).standing, 'confirmation_required');
+  assert.equal(noShowStanding({ reservationNoShowCount: 3 }, policy).standing, 'blocked');
+});
+
+test('a threshold of 0 turns that consequence off', () => {
+  const policy = { noShowConfirmationThreshold: 0, noShowBlockThreshold: 0, attendancePoints: 0 };
+  assert.equal(noShowStanding({ reservationNoShowCount: 10 }, policy).standing, 'ok');
+  assert.equal(noShowStanding({ reservationNoShowCount: 10 }, { ...policy, noShowConfirmationThreshold: 2 }).standing, 'confirmation_required');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseReminderOffsets,
+  sentReminderOffsets,
+  dueReminder,
+  describeReservationTiming
+} = require('../reservationReminders');
+
+const HOUR = 60 * 60 * 1000;
+const startsAt = new Date('2026-03-06T00:30:00Z'); // Thu Mar 5, 6:30 PM in Chicago
+const offsets = [24 * 60, 2 * 60];
+
+test('offsets parse to minutes, largest first, without duplicates', () => {
+  assert.deepEqual(parseReminderOffsets('2h, 1d,90m,24h'), [1440, 120, 90]);
+});
+
+test('unusable offsets fall back to the default', () => {
+  assert.deepEqual(parseReminderOffsets(undefined), [1440, 120]);
+  assert.deepEqual(parseReminderOffsets('soon, 0h'), [1440, 120]);
+});
+
+test('the legacy day-before / day-of flags count as sent offsets', () => {
+  assert.deepEqual(sentReminderOffsets({ reminderDayBeforeSent: true }, offsets), [1440]);
+  assert.deepEqual(sentReminderOffsets({ remindersSent: [1440], reminderDayOfSent: true }, offsets).sort((a, b) => a - b), [120, 1440]);
+  assert.deepEqual(sentReminderOffsets({}, offsets), []);
+});
+
+test('nothing is due before the first offset or once the reservation started', () => {
+  const createdAt = new Date(startsAt.getTime() - 72 * HOUR);
+  assert.equal(dueReminder({ startsAt, createdAt, offsets, sentOffsets: [], now: new Date(startsAt.getTime() - 25 * HOUR) }), null);
+  assert.equal(dueReminder({ startsAt, createdAt, offsets, sentOffsets: [], now: startsAt }), null);
+});
+
+test('the due offset is sent once', () => {
+  const createdAt = new Date(startsAt.getTime() - 72 * HOUR);
+  const now = new Date(startsAt.getTime() - 23 * HOUR);
+  assert.deepEqual(dueReminder({ startsAt, createdAt, offsets, sentOffsets: [], now }), { offset: 1440, markSent: [1440] });
+  assert.equal(dueReminder({ startsAt, createdAt, offsets, sentOffsets: [1440], now }), null);
+});
+
+test('when the cron falls behind only the latest due reminder is sent', () => {
+  const createdAt = new Date(startsAt.getTime() - 72 * HOUR);
+  const now = new Date(startsAt.getTime() - 1 * HOUR);
+  assert.deepEqual(dueReminder({ startsAt, createdAt, offsets, sentOffsets: [], now }), { offset: 120, markSent: [1440, 120] });
+});
+
+test('reminders already past when the table was booked are skipped', () => {
+  const createdAt = new Date(startsAt.getTime() - 5 * HOUR);
+  const now = new Date(startsAt.getTime() - 4 * HOUR);
+  assert.deepEqual(dueReminder({ startsAt, createdAt, offsets, sentOffsets: [], now }), { offset: null, markSent: [1440] });
+});
+
+test('timing reads today / tomorrow / a date in the store timezone', () => {
+  const zone = 'America/Chicago';
+  assert.equal(describeReservationTiming(startsAt, zone, new Date('2026-03-05T20:00:00Z')), 'today at 6:30 PM');
+  // Still Wednesday evening in Chicago, though already Thursday in UTC
+  assert.equal(describeReservationTiming(startsAt, zone, new Date('2026-03-05T02:00:00Z')), 'tomorrow at 6:30 PM');
+  assert.equal(describeReservationTiming(startsAt, zone, new Date('2026-03-02T20:00:00Z')), 'Thu, Mar 5 at 6:30 PM');
+});
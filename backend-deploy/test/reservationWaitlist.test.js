@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  pickNextWaitlistEntry,
+  waitlistOfferExpiresAt,
+  serializeWaitlistEntry
+} = require('../reservationWaitlist');
+
+const slot = { time: '18:30', tablesPerSlot: 4, coversPerSlot: 12 };
+const entry = (id, partySize) => ({ id, data: { partySize } });
+
+test('the longest-waiting party that fits gets the freed slot', () => {
+  const entries = [entry('first', 2), entry('second', 2)];
+  assert.equal(pickNextWaitlistEntry(entries, slot, { tableCount: 3, coverCount: 8 }).id, 'first');
+});
+
+test('a party too large for the remaining covers keeps its place', () => {
+  const entries = [entry('big', 6), entry('small', 3)];
+  assert.equal(pickNextWaitlistEntry(entries, slot, { tableCount: 3, coverCount: 8 }).id, 'small');
+});
+
+test('nothing is offered when no table or no fitting party is left', () => {
+  assert.equal(pickNextWaitlistEntry([entry('a', 2)], slot, { tableCount: 4, coverCount: 8 }), null);
+  assert.equal(pickNextWaitlistEntry([entry('a', 6)], slot, { tableCount: 3, coverCount: 8 }), null);
+  assert.equal(pickNextWaitlistEntry([], slot, null), null);
+});
+
+test('an empty slot counts as fully free', () => {
+  assert.equal(pickNextWaitlistEntry([entry('a', 12)], slot, null).id, 'a');
+});
+
+test('an offer is held for holdMinutes', () => {
+  const now = new Date('2026-03-01T17:00:00Z');
+  const expiresAt = waitlistOfferExpiresAt({ now, holdMinutes: 30, slotStartsAt: new Date('2026-03-01T23:30:00Z') });
+  assert.equal(expiresAt.toISOString(), '2026-03-01T17:30:00.000Z');
+});
+
+test('a hold never runs past the slot start', () => {
+  const now = new Date('2026-03-01T23:15:00Z');
+  const slotStartsAt = new Date('2026-03-01T23:30:00Z');
+  assert.equal(waitlistOfferExpiresAt({ now, holdMinutes: 30, slotStartsAt }).toISOString(), slotStartsAt.toISOString());
+});
+
+test('no offer once the slot has started', () => {
+  const slotStartsAt = new Date('2026-03-01T23:30:00Z');
+  assert.equal(waitlistOfferExpiresAt({ now: slotStartsAt, holdMinutes: 30, slotStartsAt }), null);
+});
+
+test('entries serialize timestamps as ISO strings and fill defaults', () => {
+  const offeredAt = new Date('2026-03-01T17:00:00Z');
+  const serialized = serializeWaitlistEntry('w1', {
+    locationId: 'main',
+    date: '2026-03-01',
+    time: '6:30 PM',
+    slotTime: '18:30',
+    partySize: 4,
+    status: 'offered',
+    offeredAt: { toDate: () => offeredAt },
+    offerExpiresAt: new Date('2026-03-01T17:30:00Z')
+  }, 2);
+
+  assert.equal(serialized.offeredAt, '2026-03-01T17:00:00.000Z');
+  assert.equal(serialized.offerExpiresAt, '2026-03-01T17:30:00.000Z');
+  assert.equal(serialized.createdAt, null);
+  assert.equal(serialized.position, 2);
+  assert.equal(serialized.customerName, '');
+  assert.equal(serialized.reservationId, null);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  findTierIdForItem,
+  buildSelectionCatalog,
+  resolveRewardSelection,
+  buildCartLine
+} = require('../rewardSelections');
+
+const item = (itemId, itemName, categoryId) => ({ itemId, itemName, categoryId });
+
+const tiersById = new Map([
+  ['tier_drinks_milk_tea_450', {
+    pointsRequired: 450,
+    tierName: 'Milk Tea',
+    eligibleItems: [item('Brown Sugar Milk Tea', 'Brown Sugar Milk Tea', 'Milk Tea'), item('Taro Milk Tea', 'Taro Milk Tea', 'Milk Tea')]
+  }],
+  ['tier_large_appetizer_650', {
+    pointsRequired: 650,
+    tierName: 'Larger Appetizer',
+    eligibleItems: [item('Pork', 'Pork Dumplings', 'Dumplings')]
+  }],
+  ['tier_12piece_1500', {
+    pointsRequired: 1500,
+    tierName: '12-Piece Dumplings',
+    eligibleItems: [item('Pork', 'Pork Dumplings', 'Dumplings'), item('Chicken', 'Chicken Dumplings', 'Dumplings')],
+    requiredLoyaltyTier: 'gold'
+  }]
+]);
+
+const catalog = buildSelectionCatalog({
+  menuCategories: [
+    {
+      id: 'Dumplings',
+      data: {},
+      items: [{ id: 'Pork', data: {} }, { id: 'Chicken', data: { isAvailable: false } }]
+    },
+    {
+      id: 'Milk Tea',
+      data: { isDrinks: true },
+      items: [{ id: 'Brown Sugar Milk Tea', data: {} }, { id: 'Taro Milk Tea', data: {} }]
+    }
+  ],
+  drinkToppings: [
+    { id: 'boba', data: { name: 'Boba' } },
+    { id: 'pudding', data: { name: 'Pudding', isAvailable: false } }
+  ]
+});
+
+function resolve(request, tierId) {
+  return resolveRewardSelection(request, tiersById.get(tierId) || null, tiersById, catalog);
+}
+
+test('a tier is found by the item only one tier lists, whatever price was sent', () => {
+  assert.equal(findTierIdForItem(tiersById, 'Taro Milk Tea', 1), 'tier_drinks_milk_tea_450');
+});
+
+test('the sent price only picks between tiers that list the item', () => {
+  assert.equal(findTierIdForItem(tiersById, 'Pork', 1500), 'tier_12piece_1500');
+  assert.equal(findTierIdForItem(tiersById, 'Pork', 650), 'tier_large_appetizer_650');
+  assert.equal(findTierIdForItem(tiersById, 'Pork', 1), null);
+});
+
+test('no tier is found without a listed item', () => {
+  assert.equal(findTierIdForItem(tiersById, 'Made Up', 450), null);
+  assert.equal(findTierIdForItem(tiersById, undefined, 450), null);
+});
+
+test('a missing tier is TIER_NOT_FOUND', () => {
+  assert.equal(resolve({ itemId: 'Pork' }, 'tier_made_up').code, 'TIER_NOT_FOUND');
+});
+
+test('the price and names come from the tier', () => {
+  const resolved = resolve({ itemId: 'Taro Milk Tea', selectedToppingId: 'boba', iceLevel: '50%' }, 'tier_drinks_milk_tea_450');
+  assert.equal(resolved.ok, true);
+  assert.equal(resolved.pointsRequired, 450);
+  assert.deepEqual(resolved.selection, {
+    itemId: 'Taro Milk Tea',
+    itemName: 'Taro Milk Tea',
+    categoryId: 'Milk Tea',
+    selectedToppingId: 'boba',
+    selectedToppingName: 'Boba',
+    iceLevel: '50%'
+  });
+});
+
+test('an item from a more expensive tier is not eligible', () => {
+  assert.equal(resolve({ itemId: 'Pork' }, 'tier_drinks_milk_tea_450').code, 'ITEM_NOT_ELIGIBLE');
+});
+
+test('an item from a cheaper tier is eligible', () => {
+  const resolved = resolve({ itemId: 'Taro Milk Tea', selectedDrinkItemId: 'Brown Sugar Milk Tea' }, 'tier_large_appetizer_650');
+  assert.equal(resolved.ok, true);
+  assert.equal(resolved.pointsRequired, 650);
+});
+
+test('unavailable items and toppings are rejected', () => {
+  assert.equal(resolve({ itemId: 'Chicken' }, 'tier_12piece_1500').code, 'ITEM_UNAVAILABLE');
+  assert.equal(resolve({ itemId: 'Taro Milk Tea', selectedToppingId: 'pudding' }, 'tier_drinks_milk_tea_450').code, 'TOPPING_UNAVAILABLE');
+  assert.equal(resolve({ itemId: 'Taro Milk Tea', selectedToppingId: 'cheese' }, 'tier_drinks_milk_tea_450').code, 'TOPPING_NOT_FOUND');
+});
+
+test('options must fit the item', () => {
+  assert.equal(resolve({ itemId: 'Pork', selectedToppingId: 'boba' }, 'tier_12piece_1500').code, 'INVALID_COMBINATION');
+  assert.equal(resolve({ itemId: 'Taro Milk Tea', cookingMethod: 'Steamed' }, 'tier_drinks_milk_tea_450').code, 'INVALID_COMBINATION');
+  assert.equal(resolve({ itemId: 'Taro Milk Tea', drinkType: 'Soda' }, 'tier_drinks_milk_tea_450').code, 'INVALID_COMBINATION');
+});
+
+test('half and half needs two different items', () => {
+  assert.equal(resolve({ itemId: 'Pork', selectedItemId2: 'Pork' }, 'tier_12piece_1500').code, 'INVALID_COMBINATION');
+  assert.equal(resolve({ selectedItemId2: 'Pork' }, 'tier_12piece_1500').code, 'INVALID_COMBINATION');
+});
+
+test('a cart line carries its tier and price', () => {
+  const built = buildCartLine({ tierId: 'tier_large_appetizer_650', itemId: 'Pork', cookingMethod: 'Pan-fried' }, tiersById, catalog, 'line1');
+  assert.equal(built.ok, true);
+  assert.equal(built.line.tierName, 'Larger Appetizer');
+  assert.equal(built.line.pointsRequired, 650);
+  assert.equal(built.line.cookingMethod, 'Pan-fried');
+  assert.equal(built.line.isUsed, false);
+  assert.equal(buildCartLine({ tierId: 'nope', itemId: 'Pork' }, tiersById, catalog, 'line2').code, 'TIER_NOT_FOUND');
+});
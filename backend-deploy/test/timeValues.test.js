@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { minutesOfDay, toDate, toIsoString } = require('../timeValues');
+
+test('minutesOfDay reads two-digit 24-hour times only', () => {
+  assert.equal(minutesOfDay('00:00'), 0);
+  assert.equal(minutesOfDay('22:30'), 1350);
+  assert.equal(minutesOfDay('9:30'), null);
+  assert.equal(minutesOfDay('24:00'), null);
+  assert.equal(minutesOfDay('12:60'), null);
+  assert.equal(minutesOfDay(undefined), null);
+});
+
+test('toDate accepts Timestamps, Dates, ISO strings and serialized Timestamps', () => {
+  const at = new Date('2026-03-03T15:30:00Z');
+  assert.equal(toDate({ toDate: () => at }), at);
+  assert.equal(toDate(at), at);
+  assert.equal(toDate('2026-03-03T15:30:00Z').getTime(), at.getTime());
+  assert.equal(toDate({ _seconds: at.getTime() / 1000 }).getTime(), at.getTime());
+  assert.equal(toDate('not a date'), null);
+  assert.equal(toDate(new Date(NaN)), null);
+  assert.equal(toDate(null), null);
+});
+
+test('toIsoString is null for anything that is not a date', () => {
+  assert.equal(toIsoString({ toDate: () => new Date('2026-03-03T15:30:00Z') }), '2026-03-03T15:30:00.000Z');
+  assert.equal(toIsoString(undefined), null);
+  assert.equal(toIsoString({}), null);
+});
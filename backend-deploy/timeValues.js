@@ -0,0 +1,57 @@
+/**
+ * Time Values
+ *
+ * Small conversions shared by the config, ledger and serializer modules: "HH:MM"
+ * wall-clock times from admin config, and the Firestore Timestamp / Date / ISO
+ * string values stored on documents.
+ *
+ * Shared with Cloud Functions (scripts/sync-functions-shared.js), so it must stay
+ * dependency-free.
+ */
+
+// 24-hour "HH:MM", two-digit hours ("09:30", not "9:30")
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Minutes since midnight for an "HH:MM" time
+ * @param {string} hhmm
+ * @returns {number|null} null unless hhmm matches HHMM
+ */
+function minutesOfDay(hhmm) {
+  if (typeof hhmm !== 'string' || !HHMM.test(hhmm)) return null;
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Best-effort conversion of a Firestore Timestamp / Date / ISO string to a Date
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (typeof value === 'string' || typeof value === 'number') {
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? null : d;
+  }
+  if (typeof value._seconds === 'number') return new Date(value._seconds * 1000);
+  return null;
+}
+
+/**
+ * ISO string for API responses, or null when the value isn't a usable date
+ * @param {*} value - Anything toDate accepts
+ * @returns {string|null}
+ */
+function toIsoString(value) {
+  return toDate(value)?.toISOString() || null;
+}
+
+module.exports = {
+  HHMM,
+  minutesOfDay,
+  toDate,
+  toIsoString
+};
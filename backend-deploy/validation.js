@@ -9,7 +9,21 @@
  * - Sanitization (trim, normalize)
  */
 
+const fs = require('fs');
 const Joi = require('joi');
+const { POINTS_ADJUSTMENT_REASON_CODES } = require('./pointsAdjustments');
+const { REWARD_COOKING_METHODS, REWARD_DRINK_TYPES, REWARD_ICE_LEVELS, REWARD_SUGAR_LEVELS } = require('./rewardSelections');
+const { CAMPAIGN_FREQUENCIES } = require('./notificationCampaigns');
+const { SLOT_MINUTE_OPTIONS, WEEKDAYS } = require('./reservationCapacity');
+const { RESERVATION_STATUSES } = require('./reservationLifecycle');
+const { DEVICE_PLATFORMS } = require('./pushDevices');
+const { HHMM } = require('./timeValues');
+
+const pointsReasonCode = Joi.string().valid(...Object.keys(POINTS_ADJUSTMENT_REASON_CODES));
+const rewardCookingMethod = Joi.string().valid(...REWARD_COOKING_METHODS).allow('', null).optional();
+const rewardDrinkType = Joi.string().valid(...REWARD_DRINK_TYPES).allow('', null).optional();
+const rewardIceLevel = Joi.string().valid(...REWARD_ICE_LEVELS).allow('', null).optional();
+const rewardSugarLevel = Joi.string().valid(...REWARD_SUGAR_LEVELS).allow('', null).optional();
 
 // =============================================================================
 // Validation Schemas
@@ -58,7 +72,8 @@ const comboSchema = Joi.object({
     noSeafood: Joi.boolean().optional()
   }).unknown(true).optional(),
   menuItems: Joi.array().optional(),
-  previousRecommendations: Joi.array().max(50).optional()
+  previousRecommendations: Joi.array().max(50).optional(),
+  locationId: Joi.string().trim().max(64).optional()
 });
 
 /**
@@ -89,15 +104,48 @@ const adminUserUpdateSchema = Joi.object({
   points: Joi.number().integer().min(0).max(1000000).optional(),
   phone: Joi.string().max(20).allow('', null).optional(),
   isAdmin: Joi.boolean().optional(),
-  isVerified: Joi.boolean().optional()
+  isVerified: Joi.boolean().optional(),
+  // Recorded on the admin_adjustment entry when points change
+  reasonCode: pointsReasonCode.optional(),
+  note: Joi.string().trim().max(500).allow('', null).optional()
+});
+
+/**
+ * Admin points adjustment schema
+ * POST /admin/points/adjust
+ */
+const pointsAdjustmentSchema = Joi.object({
+  userId: Joi.string().trim().min(1).max(128).required()
+    .messages({ 'any.required': 'User ID is required' }),
+  amount: Joi.number().integer().min(-100000).max(100000).invalid(0).required()
+    .messages({ 'any.invalid': 'amount must be non-zero' }),
+  reasonCode: pointsReasonCode.required()
+    .messages({ 'any.only': 'Unknown reasonCode', 'any.required': 'reasonCode is required' }),
+  note: Joi.string().trim().max(500).allow('', null).optional(),
+  allowNegativeBalance: Joi.boolean().optional()
+});
+
+/**
+ * Admin points reversal schema
+ * POST /admin/points/transactions/:transactionId/reverse
+ */
+const pointsReversalSchema = Joi.object({
+  reasonCode: pointsReasonCode.required()
+    .messages({ 'any.only': 'Unknown reasonCode', 'any.required': 'reasonCode is required' }),
+  note: Joi.string().trim().max(500).allow('', null).optional(),
+  allowNegativeBalance: Joi.boolean().optional()
 });
 
 /**
  * Reward redemption schema
  * POST /redeem-reward
+ * The reward is resolved from rewardTierItems by tierId (or, for older app versions, by the
+ * tier that lists selectedItemId); client-sent titles, names, prices, categories and
+ * descriptions are not trusted
  */
 const redeemRewardSchema = Joi.object({
   userId: Joi.string().max(128).allow('', null).optional(),
+  tierId: Joi.string().trim().max(128).allow('', null).optional(),
   rewardTitle: Joi.string().trim().max(200).required()
     .messages({
       'string.empty': 'Reward title is required',
@@ -117,12 +165,193 @@ const redeemRewardSchema = Joi.object({
   selectedToppingName: Joi.string().max(200).allow('', null).optional(),
   selectedItemId2: Joi.string().max(100).allow('', null).optional(),
   selectedItemName2: Joi.string().max(200).allow('', null).optional(),
-  cookingMethod: Joi.string().max(50).allow('', null).optional(),
-  drinkType: Joi.string().max(50).allow('', null).optional(),
+  cookingMethod: rewardCookingMethod,
+  drinkType: rewardDrinkType,
+  selectedDrinkItemId: Joi.string().max(100).allow('', null).optional(),
+  selectedDrinkItemName: Joi.string().max(200).allow('', null).optional(),
+  iceLevel: rewardIceLevel,
+  sugarLevel: rewardSugarLevel
+});
+
+/**
+ * Reward cart redemption schema
+ * POST /redeem-reward/cart
+ * Item names and points come from rewardTierItems; the client only sends IDs and options
+ */
+const cartRedeemItemSchema = Joi.object({
+  tierId: Joi.string().trim().max(128).required()
+    .messages({ 'any.required': 'tierId is required for each item' }),
+  itemId: Joi.string().trim().max(100).required()
+    .messages({ 'any.required': 'itemId is required for each item' }),
+  selectedItemId2: Joi.string().max(100).allow('', null).optional(),
+  selectedToppingId: Joi.string().max(100).allow('', null).optional(),
+  cookingMethod: rewardCookingMethod,
+  drinkType: rewardDrinkType,
+  selectedDrinkItemId: Joi.string().max(100).allow('', null).optional(),
+  iceLevel: rewardIceLevel,
+  sugarLevel: rewardSugarLevel
+});
+
+const cartRedeemSchema = Joi.object({
+  items: Joi.array().items(cartRedeemItemSchema).min(1).max(10).required()
+    .messages({
+      'array.min': 'Cart must contain at least one item',
+      'array.max': 'Cart can contain at most 10 items',
+      'any.required': 'items is required'
+    }),
+  idempotencyKey: Joi.string().max(100).allow('', null).optional()
+});
+
+const redemptionCode = Joi.string().trim().pattern(/^\d{8}$/)
+  .messages({ 'string.pattern.base': 'Invalid redemptionCode. Expected 8 digits.' });
+
+/**
+ * Staff lookup of a redeemed reward: a signed QR payload or the typed 8-digit code
+ * POST /admin/rewards/validate, POST /admin/rewards/consume
+ * lineIds (consume only) hands over just those cart lines; locationId buckets the staff log.
+ */
+const staffRewardLookupSchema = Joi.object({
+  qrPayload: Joi.string().trim().min(1).max(2048),
+  redemptionCode,
+  lineIds: Joi.array().items(Joi.string().trim().min(1).max(64)).max(10).unique().optional(),
+  locationId: Joi.string().trim().max(128).allow('', null).optional()
+}).xor('qrPayload', 'redemptionCode')
+  .messages({
+    'object.missing': 'qrPayload or redemptionCode is required',
+    'object.xor': 'Send either qrPayload or redemptionCode, not both'
+  });
+
+/**
+ * Refund an expired reward
+ * POST /refund-expired-reward
+ */
+const refundExpiredRewardSchema = Joi.object({
+  rewardId: Joi.string().trim().min(1).max(128),
+  redemptionCode
+}).or('rewardId', 'redemptionCode')
+  .messages({ 'object.missing': 'Missing required field: rewardId or redemptionCode' });
+
+const giftRewardFields = {
+  rewardTitle: Joi.string().trim().min(1).max(200).required()
+    .messages({ 'any.required': 'rewardTitle is required', 'string.empty': 'rewardTitle is required' }),
+  rewardDescription: Joi.string().trim().min(1).max(1000).required()
+    .messages({ 'any.required': 'rewardDescription is required', 'string.empty': 'rewardDescription is required' }),
+  rewardCategory: Joi.string().trim().min(1).max(50).required()
+    .messages({ 'any.required': 'rewardCategory is required', 'string.empty': 'rewardCategory is required' }),
+  expiresAt: Joi.string().trim().isoDate().allow('', null).optional()
+    .messages({ 'string.isoDate': 'Invalid expiresAt date format' })
+};
+
+/**
+ * Gift an existing reward
+ * POST /admin/rewards/gift
+ */
+const giftRewardSchema = Joi.object({
+  ...giftRewardFields,
+  imageName: Joi.string().trim().max(200).allow('', null).optional(),
+  targetType: Joi.string().valid('all', 'individual', 'segment').required()
+    .messages({ 'any.only': 'targetType must be "all", "individual" or "segment"' }),
+  userIds: Joi.array().items(Joi.string().trim().min(1).max(128)).max(1000)
+    .when('targetType', { is: 'individual', then: Joi.array().min(1).required(), otherwise: Joi.optional().allow(null) })
+    .messages({
+      'any.required': 'userIds array is required for individual targeting',
+      'array.min': 'userIds array is required for individual targeting'
+    }),
+  segmentId: Joi.string().trim().max(128)
+    .when('targetType', { is: 'segment', then: Joi.required(), otherwise: Joi.optional().allow('', null) })
+    .messages({ 'any.required': 'segmentId is required for segment targeting' })
+});
+
+/**
+ * Gift a custom reward (multipart form, so userIds arrives as a JSON string)
+ * POST /admin/rewards/gift/custom
+ */
+const customGiftRewardSchema = Joi.object({
+  ...giftRewardFields,
+  targetType: Joi.string().valid('all', 'individual').required()
+    .messages({ 'any.only': 'targetType must be "all" or "individual"' }),
+  userIds: Joi.string().allow('').optional()
+    .when('targetType', { is: 'individual', then: Joi.string().required() })
+    .custom((value, helpers) => {
+      if (!value) return value;
+      let parsed;
+      try {
+        parsed = JSON.parse(value);
+      } catch (e) {
+        return helpers.message('userIds must be a valid JSON array');
+      }
+      if (!Array.isArray(parsed) || !parsed.every(id => typeof id === 'string' && id.length > 0 && id.length <= 128)) {
+        return helpers.message('userIds must be a valid JSON array');
+      }
+      if (helpers.state.ancestors[0].targetType === 'individual' && parsed.length === 0) {
+        return helpers.message('userIds array is required for individual targeting');
+      }
+      return value;
+    })
+    .messages({ 'any.required': 'userIds array is required for individual targeting' })
+});
+
+/**
+ * Take back a gift from one customer
+ * POST /admin/gifted-rewards/:giftedRewardId/revoke
+ */
+const giftRevokeSchema = Joi.object({
+  userId: Joi.string().trim().min(1).max(128).required()
+    .messages({ 'any.required': 'userId is required', 'string.empty': 'userId is required' })
+});
+
+/**
+ * Claim a gifted reward (same item choices as a points redemption)
+ * POST /rewards/claim-gift
+ */
+const claimGiftSchema = Joi.object({
+  giftedRewardId: Joi.string().trim().min(1).max(128).required()
+    .messages({ 'any.required': 'giftedRewardId is required', 'string.empty': 'giftedRewardId is required' }),
+  selectedItemId: Joi.string().max(100).allow('', null).optional(),
+  selectedItemName: Joi.string().max(200).allow('', null).optional(),
+  selectedToppingId: Joi.string().max(100).allow('', null).optional(),
+  selectedToppingName: Joi.string().max(200).allow('', null).optional(),
+  selectedItemId2: Joi.string().max(100).allow('', null).optional(),
+  selectedItemName2: Joi.string().max(200).allow('', null).optional(),
+  cookingMethod: rewardCookingMethod,
+  drinkType: rewardDrinkType,
   selectedDrinkItemId: Joi.string().max(100).allow('', null).optional(),
   selectedDrinkItemName: Joi.string().max(200).allow('', null).optional(),
-  iceLevel: Joi.string().max(50).allow('', null).optional(),
-  sugarLevel: Joi.string().max(50).allow('', null).optional()
+  iceLevel: rewardIceLevel,
+  sugarLevel: rewardSugarLevel
+});
+
+const rewardTierItemFields = {
+  itemId: Joi.string().trim().min(1).max(100).required(),
+  itemName: Joi.string().trim().min(1).max(200).required(),
+  categoryId: Joi.string().trim().max(100).allow('', null).optional(),
+  imageURL: Joi.string().trim().max(2048).allow('', null).optional()
+};
+
+/**
+ * Create or replace a reward tier's eligible items
+ * POST /admin/reward-tiers/items
+ */
+const rewardTierItemsSchema = Joi.object({
+  pointsRequired: Joi.number().integer().min(1).max(100000).required()
+    .messages({ 'any.required': 'Invalid pointsRequired. Must be a positive number.' }),
+  tierName: Joi.string().trim().max(100).allow('', null).optional(),
+  rewardCategory: Joi.string().trim().max(50).allow('', null).optional(),
+  rewardDescription: Joi.string().trim().max(500).allow('', null).optional(),
+  eligibleItems: Joi.array().items(Joi.object(rewardTierItemFields)
+    .messages({ 'any.required': 'Each eligible item must have itemId and itemName.' })).max(200).required()
+    .messages({ 'any.required': 'eligibleItems must be an array.', 'array.base': 'eligibleItems must be an array.' }),
+  requiredLoyaltyTier: Joi.string().trim().max(64).allow(null).optional()
+});
+
+/**
+ * Add one item to a reward tier (pointsRequired is needed when the tier doesn't exist yet)
+ * POST /admin/reward-tiers/:tierId/add-item
+ */
+const rewardTierAddItemSchema = Joi.object({
+  ...rewardTierItemFields,
+  tierName: Joi.string().trim().max(100).allow('', null).optional(),
+  pointsRequired: Joi.number().integer().min(1).max(100000).allow(null).optional()
 });
 
 /**
@@ -184,12 +413,527 @@ const dumplingHeroCommentPreviewSchema = Joi.object({
   postContext: postContextSchema
 });
 
+const YMD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Single points earning rule (multiplier or flat bonus with optional conditions)
+ * Part of POST /admin/points-rules
+ */
+const pointsEarningRuleSchema = Joi.object({
+  id: Joi.string().trim().pattern(/^[a-zA-Z0-9_-]+$/).max(64).required(),
+  name: Joi.string().trim().max(100).allow('', null).optional(),
+  enabled: Joi.boolean().optional(),
+  type: Joi.string().valid('multiplier', 'bonus').required(),
+  multiplier: Joi.when('type', {
+    is: 'multiplier',
+    then: Joi.number().greater(0).max(10).required(),
+    otherwise: Joi.forbidden()
+  }),
+  bonusPoints: Joi.when('type', {
+    is: 'bonus',
+    then: Joi.number().integer().min(1).max(10000).required(),
+    otherwise: Joi.forbidden()
+  }),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(1).max(7)).unique().max(7).optional(),
+  startTime: Joi.string().pattern(HHMM).optional()
+    .messages({ 'string.pattern.base': 'startTime must be HH:MM (24h)' }),
+  endTime: Joi.string().pattern(HHMM).optional()
+    .messages({ 'string.pattern.base': 'endTime must be HH:MM (24h)' }),
+  startDate: Joi.string().pattern(YMD_PATTERN).optional()
+    .messages({ 'string.pattern.base': 'startDate must be YYYY-MM-DD' }),
+  endDate: Joi.string().pattern(YMD_PATTERN).optional()
+    .messages({ 'string.pattern.base': 'endDate must be YYYY-MM-DD' }),
+  minimumSpend: Joi.number().min(0).max(500).optional()
+}).and('startTime', 'endTime');
+
+/**
+ * Points earning config schema (stored at config/pointsEarning)
+ * POST /admin/points-rules
+ */
+const pointsEarningConfigSchema = Joi.object({
+  timeZone: Joi.string().trim().max(64).optional(),
+  basePointsPerDollar: Joi.number().min(0).max(100).required(),
+  minimumSpend: Joi.number().min(0).max(500).optional(),
+  maxPointsPerReceipt: Joi.number().integer().min(1).max(100000).allow(null).optional(),
+  multiplierStacking: Joi.string().valid('highest', 'multiply').optional(),
+  welcomeBonusPoints: Joi.number().integer().min(0).max(1000).optional(),
+  referralBonusPoints: Joi.number().integer().min(0).max(1000).optional(),
+  expirationMonths: Joi.number().integer().min(1).max(120).allow(null).optional(),
+  expirationWarningDays: Joi.number().integer().min(0).max(90).optional(),
+  rules: Joi.array().items(pointsEarningRuleSchema).max(50).unique('id').optional()
+});
+
+/**
+ * Points earning preview schema
+ * POST /admin/points-rules/preview
+ */
+const pointsEarningPreviewSchema = Joi.object({
+  orderTotal: Joi.number().min(0).max(1000).required(),
+  purchasedAt: Joi.date().iso().optional(),
+  config: pointsEarningConfigSchema.optional()
+});
+
+/**
+ * One membership tier (part of POST /admin/loyalty-tiers)
+ */
+const loyaltyTierSchema = Joi.object({
+  id: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).max(32).required(),
+  name: Joi.string().trim().min(1).max(40).required(),
+  threshold: Joi.number().integer().min(0).max(10000000).required(),
+  multiplier: Joi.number().min(1).max(5).required()
+});
+
+/**
+ * Loyalty tier config schema (stored at config/loyaltyTiers)
+ * POST /admin/loyalty-tiers
+ */
+const loyaltyTiersConfigSchema = Joi.object({
+  requalificationMonths: Joi.number().integer().min(1).max(60).optional(),
+  tiers: Joi.array().items(loyaltyTierSchema).min(1).max(10).unique('id').unique('threshold').required()
+});
+
+/**
+ * A referral reward: bonus points, or a gift described inline (part of POST /admin/referral-campaigns).
+ * imageName makes it an existing menu reward, imageURL a custom one.
+ */
+const referralRewardSchema = Joi.object({
+  type: Joi.string().valid('points', 'gift').required()
+    .messages({ 'any.only': 'reward type must be "points" or "gift"' }),
+  points: Joi.number().integer().min(1).max(10000)
+    .when('type', { is: 'points', then: Joi.required(), otherwise: Joi.forbidden() }),
+  rewardTitle: giftRewardFields.rewardTitle.when('type', { not: 'gift', then: Joi.forbidden() }),
+  rewardDescription: giftRewardFields.rewardDescription.when('type', { not: 'gift', then: Joi.forbidden() }),
+  rewardCategory: giftRewardFields.rewardCategory.when('type', { not: 'gift', then: Joi.forbidden() }),
+  imageName: Joi.string().trim().min(1).max(200)
+    .when('type', { is: 'gift', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  imageURL: Joi.string().trim().uri().max(2048)
+    .when('type', { is: 'gift', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  expiresInDays: Joi.number().integer().min(1).max(365).allow(null)
+    .when('type', { is: 'gift', then: Joi.optional(), otherwise: Joi.forbidden() })
+}).oxor('imageName', 'imageURL')
+  .messages({ 'object.oxor': 'a gift reward has an imageName or an imageURL, not both' });
+
+/**
+ * Referral campaigns (stored at config/referralCampaigns)
+ * POST /admin/referral-campaigns
+ * referrerGoal is how many friends have to qualify for each referrer reward.
+ */
+const referralCampaignSchema = Joi.object({
+  id: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).max(64).invalid('standard').required()
+    .messages({ 'any.invalid': '"standard" is reserved for the default referral terms' }),
+  name: Joi.string().trim().min(1).max(80).required(),
+  active: Joi.boolean().optional(),
+  startsAt: Joi.date().iso().allow(null).optional(),
+  endsAt: Joi.date().iso().allow(null).optional()
+    .when('startsAt', { is: Joi.date().required(), then: Joi.date().greater(Joi.ref('startsAt')) })
+    .messages({ 'date.greater': 'endsAt must be after startsAt' }),
+  pointsThreshold: Joi.number().integer().min(1).max(100000).required(),
+  referrerReward: referralRewardSchema.required(),
+  refereeReward: referralRewardSchema.required(),
+  referrerGoal: Joi.number().integer().min(1).max(10).optional(),
+  qualifyWithinDays: Joi.number().integer().min(1).max(365).allow(null).optional()
+});
+
+const referralCampaignsConfigSchema = Joi.object({
+  campaigns: Joi.array().items(referralCampaignSchema).max(20).unique('id').required()
+});
+
+/**
+ * Redemption code settings (stored at config/rewardRedemption)
+ * POST /admin/rewards/redemption-settings
+ */
+const rewardRedemptionConfigSchema = Joi.object({
+  defaultTtlMinutes: Joi.number().integer().min(1).max(1440).required(),
+  categoryTtlMinutes: Joi.object().pattern(
+    Joi.string().trim().min(1).max(100),
+    Joi.number().integer().min(1).max(1440)
+  ).max(50).optional(),
+  pauseMinutes: Joi.number().integer().min(0).max(60).optional(),
+  maxPauses: Joi.number().integer().min(0).max(5).optional(),
+  businessDayStartTime: Joi.string().pattern(HHMM).optional()
+    .messages({ 'string.pattern.base': 'businessDayStartTime must be HH:MM (24h)' }),
+  shifts: Joi.array().items(Joi.object({
+    id: Joi.string().trim().pattern(/^[a-zA-Z0-9_-]+$/).max(32).required(),
+    name: Joi.string().trim().max(40).optional(),
+    startTime: Joi.string().pattern(HHMM).required()
+      .messages({ 'string.pattern.base': 'startTime must be HH:MM (24h)' }),
+    endTime: Joi.string().pattern(HHMM).required()
+      .messages({ 'string.pattern.base': 'endTime must be HH:MM (24h)' })
+  })).max(10).unique('id').optional()
+});
+
+/**
+ * Scheduled notification campaign fields
+ * POST /admin/notifications/campaigns, PATCH /admin/notifications/campaigns/:id
+ * sendAt is a wall-clock time in timeZone (defaults to the restaurant's timezone)
+ */
+const campaignRecurrenceSchema = Joi.object({
+  frequency: Joi.string().valid(...CAMPAIGN_FREQUENCIES).required()
+    .messages({ 'any.only': 'frequency must be daily, weekly or monthly' }),
+  interval: Joi.number().integer().min(1).max(12).optional(),
+  until: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null).optional()
+    .messages({ 'string.pattern.base': 'until must be YYYY-MM-DD' }),
+  maxRuns: Joi.number().integer().min(1).max(520).allow(null).optional()
+});
+
+const notificationCampaignFields = {
+  title: Joi.string().trim().min(1).max(200),
+  body: Joi.string().trim().min(1).max(2000),
+  targetType: Joi.string().valid('all', 'individual', 'segment')
+    .messages({ 'any.only': 'targetType must be "all", "individual" or "segment"' }),
+  userIds: Joi.array().items(Joi.string().max(128)).min(1).max(1000)
+    .when('targetType', { is: 'individual', then: Joi.required(), otherwise: Joi.optional().allow(null) })
+    .messages({ 'any.required': 'userIds array is required for individual targeting' }),
+  segmentId: Joi.string().trim().max(128)
+    .when('targetType', { is: 'segment', then: Joi.required(), otherwise: Joi.optional().allow(null) })
+    .messages({ 'any.required': 'segmentId is required for segment targeting' }),
+  includeAdmins: Joi.boolean().optional(),
+  isPromotional: Joi.boolean().optional(),
+  sendAt: Joi.string().trim().max(40)
+    .messages({ 'string.base': 'sendAt must be a date-time string (e.g. 2026-11-03T10:00)' }),
+  timeZone: Joi.string().trim().max(64).optional(),
+  recurrence: campaignRecurrenceSchema.allow(null).optional()
+};
+
+const notificationCampaignSchema = Joi.object({
+  ...notificationCampaignFields,
+  title: notificationCampaignFields.title.required(),
+  body: notificationCampaignFields.body.required(),
+  targetType: notificationCampaignFields.targetType.required(),
+  sendAt: notificationCampaignFields.sendAt.required()
+});
+
+const notificationCampaignUpdateSchema = Joi.object({
+  ...notificationCampaignFields,
+  title: notificationCampaignFields.title.optional(),
+  body: notificationCampaignFields.body.optional(),
+  targetType: notificationCampaignFields.targetType.optional(),
+  sendAt: notificationCampaignFields.sendAt.optional()
+}).min(1);
+
+// The admin app sends userIds: [] when targeting everyone
+const targetUserIds = Joi.array().items(Joi.string().trim().min(1).max(128)).max(1000)
+  .when('targetType', {
+    is: 'individual',
+    then: Joi.array().min(1).required(),
+    otherwise: Joi.optional().allow(null)
+  })
+  .messages({
+    'any.required': 'userIds array is required for individual targeting',
+    'array.min': 'userIds array is required for individual targeting'
+  });
+
+/**
+ * Send a push + in-app notification right away
+ * POST /admin/notifications/send
+ */
+const adminNotificationSendSchema = Joi.object({
+  title: notificationCampaignFields.title.required()
+    .messages({ 'any.required': 'Notification title is required', 'string.empty': 'Notification title is required' }),
+  body: notificationCampaignFields.body.required()
+    .messages({ 'any.required': 'Notification body is required', 'string.empty': 'Notification body is required' }),
+  targetType: notificationCampaignFields.targetType.required(),
+  userIds: targetUserIds,
+  segmentId: notificationCampaignFields.segmentId,
+  includeAdmins: Joi.boolean().optional(),
+  isPromotional: Joi.boolean().optional()
+});
+
+/**
+ * Audience segment rules; every rule present must match
+ * POST /admin/segments, PATCH /admin/segments/:id, POST /admin/segments/preview
+ */
+const audienceSegmentRulesSchema = Joi.object({
+  noReceiptInDays: Joi.number().integer().min(1).max(365).optional(),
+  pointsMin: Joi.number().integer().min(0).optional(),
+  pointsMax: Joi.number().integer().min(0).optional(),
+  birthdayThisMonth: Joi.boolean().valid(true).optional(),
+  referralPending: Joi.boolean().valid(true).optional(),
+  loyaltyTierIds: Joi.array().items(Joi.string().trim().max(64)).min(1).max(20).unique().optional()
+}).min(1).custom((rules, helpers) => {
+  if (rules.pointsMin !== undefined && rules.pointsMax !== undefined && rules.pointsMin > rules.pointsMax) {
+    return helpers.message('pointsMin cannot be greater than pointsMax');
+  }
+  return rules;
+}).messages({ 'object.min': 'A segment needs at least one rule' });
+
+const audienceSegmentSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  rules: audienceSegmentRulesSchema.required()
+});
+
+const audienceSegmentUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  rules: audienceSegmentRulesSchema.optional()
+}).min(1);
+
+const audienceSegmentPreviewSchema = Joi.object({
+  rules: audienceSegmentRulesSchema.required()
+});
+
+/**
+ * Notification preferences (every field optional; quiet hours are in the user's timezone)
+ * PATCH /me/notification-preferences
+ */
+const notificationPreferencesSchema = Joi.object({
+  promotions: Joi.boolean().optional(),
+  reservations: Joi.boolean().optional(),
+  rewardsExpiring: Joi.boolean().optional(),
+  referralUpdates: Joi.boolean().optional(),
+  communityReplies: Joi.boolean().optional(),
+  quietHours: Joi.object({
+    enabled: Joi.boolean().optional(),
+    start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional()
+      .messages({ 'string.pattern.base': 'start must be HH:mm (24h)' }),
+    end: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional()
+      .messages({ 'string.pattern.base': 'end must be HH:mm (24h)' }),
+    timeZone: Joi.string().trim().max(64).optional()
+  }).min(1).optional()
+}).min(1);
+
+/**
+ * Register this device's push token, or remove it with fcmToken: null
+ * POST /me/fcmToken
+ */
+const fcmTokenSchema = Joi.object({
+  fcmToken: Joi.string().trim().min(1).max(4096).allow(null).required()
+    .messages({
+      'any.required': 'fcmToken must be a non-empty string or null',
+      'string.empty': 'fcmToken must be a non-empty string or null',
+      'string.base': 'fcmToken must be a non-empty string or null'
+    }),
+  platform: Joi.string().valid(...DEVICE_PLATFORMS).optional()
+    .messages({ 'any.only': `platform must be one of: ${DEVICE_PLATFORMS.join(', ')}` }),
+  appVersion: Joi.string().max(32).optional()
+    .messages({ 'string.max': 'appVersion must be a string of at most 32 characters' }),
+  deviceId: Joi.string().trim().max(128).allow('', null).optional()
+});
+
+/**
+ * Report that the user opened a notification (source defaults to in_app)
+ * POST /me/notifications/:id/opened
+ */
+const notificationOpenedSchema = Joi.object({
+  source: Joi.string().valid('push', 'in_app').optional()
+});
+
+/**
+ * Approve a queued receipt review (optional corrections to the extracted fields)
+ * POST /admin/receipts/review/:id/approve
+ */
+const receiptReviewApproveSchema = Joi.object({
+  // Range is checked against the receipt's store profile in the route
+  orderNumber: Joi.alternatives().try(
+    Joi.string().trim().pattern(/^\d{1,6}$/),
+    Joi.number().integer().min(0).max(999999)
+  ).optional(),
+  orderTotal: Joi.number().min(1).max(1000).optional(),
+  orderDate: Joi.string().trim().pattern(/^\d{2}\/\d{2}$/).optional()
+    .messages({ 'string.pattern.base': 'orderDate must be MM/DD' }),
+  orderTime: Joi.string().trim().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional()
+    .messages({ 'string.pattern.base': 'orderTime must be HH:MM (24h)' }),
+  note: Joi.string().trim().max(500).allow('', null).optional()
+});
+
+/**
+ * Reject a queued receipt review (reason is shown to the customer)
+ * POST /admin/receipts/review/:id/reject
+ */
+const receiptReviewRejectSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(300).required()
+    .messages({
+      'any.required': 'A rejection reason is required',
+      'string.empty': 'A rejection reason is required'
+    }),
+  note: Joi.string().trim().max(500).allow('', null).optional()
+});
+
+/**
+ * Signed receipt QR code scanned in the app
+ * POST /submit-receipt-qr
+ */
+const receiptQrSchema = Joi.object({
+  token: Joi.string().trim().max(2048).required()
+    .messages({ 'any.required': 'Receipt QR token is required' })
+});
+
+/**
+ * Create or update a store location
+ * PUT /admin/locations/:id
+ */
+const locationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({ 'any.required': 'Location name is required' }),
+  address: Joi.string().trim().max(200).allow('', null).optional(),
+  timeZone: Joi.string().trim().max(64).required()
+    .messages({ 'any.required': 'timeZone is required (IANA name, e.g. America/Chicago)' }),
+  active: Joi.boolean().optional(),
+  receiptProfile: Joi.object({
+    headerText: Joi.string().trim().min(1).max(100).required(),
+    orderNumberAnchor: Joi.string().trim().min(1).max(100).required(),
+    orderNumberMin: Joi.number().integer().min(0).max(999999).required(),
+    orderNumberMax: Joi.number().integer().min(Joi.ref('orderNumberMin')).max(999999).required()
+  }).required()
+});
+
+/**
+ * Reservation capacity, business hours and closures for a store
+ * PUT /admin/locations/:id/reservation-capacity
+ */
+const reservationPeriodSchema = Joi.object({
+  open: Joi.string().pattern(HHMM).required()
+    .messages({ 'string.pattern.base': 'open must be HH:MM (24h)' }),
+  close: Joi.string().pattern(HHMM).required()
+    .messages({ 'string.pattern.base': 'close must be HH:MM (24h)' }),
+  tablesPerSlot: Joi.number().integer().min(0).max(500).optional(),
+  coversPerSlot: Joi.number().integer().min(0).max(2000).optional()
+}).custom((value, helpers) => {
+  if (value.close <= value.open) {
+    return helpers.message('close must be after open (overnight hours are not supported)');
+  }
+  return value;
+});
+
+const reservationCapacitySchema = Joi.object({
+  slotMinutes: Joi.number().valid(...SLOT_MINUTE_OPTIONS).required()
+    .messages({ 'any.only': 'slotMinutes must be 15 or 30' }),
+  tablesPerSlot: Joi.number().integer().min(0).max(500).required(),
+  coversPerSlot: Joi.number().integer().min(0).max(2000).required(),
+  maxPartySize: Joi.number().integer().min(1).max(100).optional(),
+  minNoticeMinutes: Joi.number().integer().min(0).max(7 * 24 * 60).optional(),
+  maxAdvanceDays: Joi.number().integer().min(1).max(365).optional(),
+  lastSeatingMinutes: Joi.number().integer().min(0).max(240).optional(),
+  weeklyHours: Joi.object(Object.fromEntries(
+    WEEKDAYS.map(day => [day, Joi.array().items(reservationPeriodSchema).max(4).optional()])
+  )).required(),
+  closures: Joi.array().items(Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+      .messages({ 'string.pattern.base': 'closure date must be YYYY-MM-DD' }),
+    reason: Joi.string().trim().max(100).allow('', null).optional()
+  })).max(366).unique('date').optional()
+});
+
+const reservationRequestFields = {
+  customerName: Joi.string().trim().min(1).max(100).required()
+    .messages({ 'any.required': 'customerName is required' }),
+  phone: Joi.string().trim().min(1).max(30).required()
+    .messages({ 'any.required': 'phone is required' }),
+  email: Joi.string().trim().email().max(254).allow('', null).optional(),
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+    .messages({ 'string.pattern.base': 'date must be YYYY-MM-DD', 'any.required': 'date is required (YYYY-MM-DD)' }),
+  time: Joi.string().trim().min(1).max(20).required()
+    .messages({ 'any.required': 'time is required' }),
+  partySize: Joi.number().integer().min(1).max(100).required()
+    .messages({ 'any.required': 'partySize is required' }),
+  specialRequests: Joi.string().trim().max(500).allow('', null).optional(),
+  locationId: Joi.string().trim().max(64).allow('', null).optional()
+};
+
+/**
+ * Book a table (the store's maxPartySize and opening hours are checked in the route)
+ * POST /reservations
+ */
+const reservationSchema = Joi.object(reservationRequestFields);
+
+/**
+ * Join the waitlist for a fully booked reservation slot
+ * POST /reservations/waitlist
+ */
+const reservationWaitlistSchema = Joi.object(reservationRequestFields);
+
+/**
+ * Customer cancelling their own reservation
+ * PATCH /reservations/mine/:id
+ */
+const reservationCancelSchema = Joi.object({
+  status: Joi.string().trim().lowercase().valid('cancelled').required()
+    .messages({
+      'any.only': 'Only status "cancelled" is allowed for self-service',
+      'any.required': 'Only status "cancelled" is allowed for self-service'
+    })
+});
+
+/**
+ * Move a reservation through its lifecycle (see reservationLifecycle.js)
+ * PATCH /reservations/:id
+ */
+const reservationStatusSchema = Joi.object({
+  status: Joi.string().trim().lowercase().valid(...RESERVATION_STATUSES).required()
+    .messages({ 'any.only': `status must be one of: ${RESERVATION_STATUSES.join(', ')}` }),
+  notes: Joi.string().trim().max(500).allow('', null).optional()
+});
+
+/**
+ * No-show handling and attendance points for reservations
+ * POST /admin/reservations/policy
+ */
+const reservationPolicySchema = Joi.object({
+  noShowConfirmationThreshold: Joi.number().integer().min(0).max(100).required(),
+  noShowBlockThreshold: Joi.number().integer().min(0).max(100).required(),
+  attendancePoints: Joi.number().integer().min(0).max(10000).required()
+});
+
+const banReason = Joi.string().trim().max(500).allow('', null).optional();
+
+/**
+ * Ban a user's phone number
+ * POST /admin/ban-user
+ */
+const banUserSchema = Joi.object({
+  userId: Joi.string().trim().min(1).max(128).required()
+    .messages({ 'any.required': 'userId is required', 'string.empty': 'userId is required' }),
+  reason: banReason
+});
+
+/**
+ * Ban a phone number directly
+ * POST /admin/ban-phone
+ */
+const banPhoneSchema = Joi.object({
+  phone: Joi.string().trim().min(1).max(30).required()
+    .messages({ 'any.required': 'phone is required', 'string.empty': 'phone is required' }),
+  reason: banReason
+});
+
+/**
+ * Lift a phone number ban
+ * POST /admin/unban-number
+ */
+const unbanNumberSchema = Joi.object({
+  phone: Joi.string().trim().min(1).max(30).required()
+    .messages({ 'any.required': 'Phone number is required', 'string.empty': 'Phone number is required' })
+});
+
+/**
+ * Review a suspicious activity flag
+ * POST /admin/suspicious-flags/:id/review
+ */
+const suspiciousFlagReviewSchema = Joi.object({
+  action: Joi.string().valid('dismiss', 'watch', 'restrict', 'ban').required()
+    .messages({
+      'any.only': 'Invalid action. Must be: dismiss, watch, restrict, or ban',
+      'any.required': 'Invalid action. Must be: dismiss, watch, restrict, or ban'
+    }),
+  notes: Joi.string().trim().max(1000).allow('', null).optional()
+});
+
+/**
+ * Actions that take no body
+ * POST /referrals/create, /rewards/:rewardId/pause, /rewards/:rewardId/resume,
+ * /admin/notifications/campaigns/:id/cancel
+ */
+const emptyBodySchema = Joi.object({});
+
 // =============================================================================
 // Validation Middleware
 // =============================================================================
 
 /**
  * Creates validation middleware for a given schema
+ * Rejected requests get 400 { errorCode: 'VALIDATION_ERROR', error, details: [{ field, message }] }.
+ * On multipart routes it goes after the upload middleware; a rejected upload is deleted.
  * @param {Joi.Schema} schema - Joi schema to validate against
  * @returns {Function} Express middleware function
  */
@@ -203,11 +947,15 @@ function validate(schema) {
 
     if (error) {
       const messages = error.details.map(d => d.message).join(', ');
+      if (req.file && req.file.path) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+      }
       // Note: Using console.log here as logger may not be available in this module
       // The structured logger in server.js will capture the 400 response
       return res.status(400).json({
         errorCode: 'VALIDATION_ERROR',
-        error: `Validation failed: ${messages}`
+        error: `Validation failed: ${messages}`,
+        details: error.details.map(d => ({ field: d.path.join('.'), message: d.message }))
       });
     }
 
@@ -268,10 +1016,50 @@ module.exports = {
   comboSchema,
   referralAcceptSchema,
   adminUserUpdateSchema,
+  pointsAdjustmentSchema,
+  pointsReversalSchema,
   redeemRewardSchema,
+  cartRedeemSchema,
+  staffRewardLookupSchema,
+  refundExpiredRewardSchema,
+  fcmTokenSchema,
+  emptyBodySchema,
   dumplingHeroPostSchema,
   dumplingHeroCommentSchema,
   dumplingHeroCommentPreviewSchema,
+  pointsEarningConfigSchema,
+  pointsEarningPreviewSchema,
+  loyaltyTiersConfigSchema,
+  referralCampaignsConfigSchema,
+  rewardRedemptionConfigSchema,
+  notificationCampaignSchema,
+  notificationCampaignUpdateSchema,
+  audienceSegmentSchema,
+  audienceSegmentUpdateSchema,
+  audienceSegmentPreviewSchema,
+  notificationPreferencesSchema,
+  notificationOpenedSchema,
+  receiptReviewApproveSchema,
+  receiptReviewRejectSchema,
+  locationSchema,
+  reservationCapacitySchema,
+  reservationSchema,
+  reservationWaitlistSchema,
+  reservationCancelSchema,
+  reservationStatusSchema,
+  reservationPolicySchema,
+  receiptQrSchema,
+  adminNotificationSendSchema,
+  giftRewardSchema,
+  customGiftRewardSchema,
+  giftRevokeSchema,
+  claimGiftSchema,
+  rewardTierItemsSchema,
+  rewardTierAddItemSchema,
+  banUserSchema,
+  banPhoneSchema,
+  unbanNumberSchema,
+  suspiciousFlagReviewSchema,
   
   // Middleware
   validate,
@@ -12,6 +12,18 @@ if (process.env.NODE_ENV !== 'production') {
 }
 const { onCall, onRequest } = require("firebase-functions/v2/https");
 const { onDocumentWritten } = require("firebase-functions/v2/firestore");
+const { DEFERRED_PUSHES_COLLECTION, evaluatePushDelivery } = require('./shared/notificationPreferences');
+const { DEVICES_SUBCOLLECTION, isPrunableTokenError } = require('./shared/pushDevices');
+const { POINTS_EARNING_CONFIG_DOC, normalizePointsEarningConfig } = require('./shared/pointsRules');
+const { applyPointsDelta } = require('./shared/pointsAdjustments');
+const {
+  REFERRAL_CAMPAIGN_PROGRESS_COLLECTION,
+  referralTermsOf,
+  referralExpired,
+  referrerRewardDue,
+  buildReferralGift,
+  describeReferralReward
+} = require('./shared/referralCampaigns');
 
 // Initialize the Firebase Admin SDK
 admin.initializeApp();
@@ -176,9 +188,98 @@ exports.syncMenuItemsArray = onDocumentWritten(
 );
 
 /**
- * Firestore trigger: maintain referral progress and award bonus when user reaches 50 points.
+ * Referral pushes honor the user's notification preferences with the backend's own
+ * notificationPreferences.js (copied into ./shared): skipped when "referralUpdates" is off,
+ * and during quiet hours queued in deferredPushes for the backend's /cron/deferred-pushes.
+ */
+const DEFAULT_PREFERENCES_TIMEZONE = process.env.STATS_TIMEZONE || 'America/Chicago';
+
+/**
+ * A user's push targets, like the backend's getUserPushTargets: every registered device
+ * (users/{uid}/devices) plus the legacy users.fcmToken when no device has it
+ */
+async function getReferralPushTargets(db, userId, legacyToken) {
+  const devicesSnap = await db.collection('users').doc(userId).collection(DEVICES_SUBCOLLECTION).get();
+  const targets = devicesSnap.docs
+    .filter(doc => typeof doc.get('token') === 'string' && doc.get('token'))
+    .map(doc => ({ deviceId: doc.id, token: doc.get('token') }));
+  if (typeof legacyToken === 'string' && legacyToken && !targets.some(t => t.token === legacyToken)) {
+    targets.push({ deviceId: null, token: legacyToken });
+  }
+  return targets;
+}
+
+/**
+ * Delete tokens FCM reported as unregistered and repoint users.fcmToken / hasFcmToken at
+ * the most recently seen remaining device, like the backend's pruneStalePushTargets
+ */
+async function pruneReferralPushTargets(db, userId, staleTargets) {
+  const userRef = db.collection('users').doc(userId);
+  const devicesRef = userRef.collection(DEVICES_SUBCOLLECTION);
+  await Promise.all(staleTargets.filter(t => t.deviceId).map(t => devicesRef.doc(t.deviceId).delete()));
+
+  const [userDoc, latestSnap] = await Promise.all([
+    userRef.get(),
+    devicesRef.orderBy('lastSeenAt', 'desc').limit(1).get()
+  ]);
+  if (!userDoc.exists) return;
+  const currentToken = userDoc.get('fcmToken');
+  if (currentToken && !staleTargets.some(t => t.token === currentToken)) return;
+  if (!latestSnap.empty) {
+    await userRef.update({ fcmToken: latestSnap.docs[0].get('token'), hasFcmToken: true });
+  } else {
+    await userRef.update({ fcmToken: admin.firestore.FieldValue.delete(), hasFcmToken: false });
+  }
+}
+
+/**
+ * Send (or defer) a referral push to all of the user's devices. Never throws.
+ */
+async function sendReferralPush(db, { userId, legacyToken, preferences, title, body, data }) {
+  const delivery = evaluatePushDelivery({ notificationPreferences: preferences }, 'referralUpdates', new Date(), DEFAULT_PREFERENCES_TIMEZONE);
+  if (delivery.action === 'skip') {
+    console.log(`ℹ️ [awardReferralOnPointsCross] ${userId} turned referral notifications off, skipping push`);
+    return;
+  }
+  try {
+    if (delivery.action === 'defer') {
+      await db.collection(DEFERRED_PUSHES_COLLECTION).add({
+        userId,
+        title,
+        body,
+        data,
+        category: 'referralUpdates',
+        deliverAt: admin.firestore.Timestamp.fromDate(delivery.deliverAt),
+        status: 'pending',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return;
+    }
+    const targets = await getReferralPushTargets(db, userId, legacyToken);
+    if (targets.length === 0) return;
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens: targets.map(t => t.token),
+      notification: { title, body },
+      data
+    });
+    const staleTargets = targets.filter((target, i) => isPrunableTokenError(response.responses[i]?.error));
+    if (staleTargets.length > 0) {
+      await pruneReferralPushTargets(db, userId, staleTargets);
+      console.log(`🧹 [awardReferralOnPointsCross] Pruned ${staleTargets.length} unregistered push tokens for ${userId}`);
+    }
+  } catch (err) {
+    console.warn(`⚠️ [awardReferralOnPointsCross] Push to ${userId} failed:`, err?.message || err);
+  }
+}
+
+/**
+ * Firestore trigger: maintain referral progress and award the referral rewards when the
+ * referred user reaches the threshold of the campaign the referral was accepted under.
  * This makes referral awarding reliable for admin adjustments, receipt scans, etc.
- * Also updates pointsTowards50 on referral docs so clients can display progress without cross-user reads.
+ * Also updates pointsTowards50 (progress towards pointsThreshold) on referral docs so clients
+ * can display progress without cross-user reads, and expires referrals past qualifyBy.
+ * Terms, gifts and balances come from the backend's referralCampaigns.js and
+ * pointsAdjustments.js (copied into ./shared), so both award paths grant the same thing.
  *
  * Trigger: fires on any users/{userId} write where points field changes
  */
@@ -204,15 +305,8 @@ exports.awardReferralOnPointsCross = onDocumentWritten(
       // This prevents extra referral queries on unrelated writes (FCM token, profile updates, etc.).
       if (beforePoints === afterPoints) return null;
 
-      // Only run the awarding logic when it can matter:
-      // - points cross the 50 threshold upward (award), OR
-      // - points are below 50 (progress tracking).
-      const crossedUpTo50 = beforePoints < 50 && afterPoints >= 50;
-      const progressRangeRelevant = afterPoints < 50 || beforePoints < 50;
-      if (!crossedUpTo50 && !progressRangeRelevant) return null;
-
-      // Clamp points towards 50 (0-50 range)
-      const pointsTowards50 = Math.max(0, Math.min(50, afterPoints));
+      // Only users who accepted a referral (POST /referrals/accept sets referredBy) have one to track.
+      if (!afterData.referredBy) return null;
 
       const db = admin.firestore();
 
@@ -232,28 +326,62 @@ exports.awardReferralOnPointsCross = onDocumentWritten(
       const referralId = referralDoc.id;
       const referralData = referralDoc.data() || {};
 
-      const BONUS = 50;
+      // Awarded, cancelled (tombstoned) and expired referrals are settled
+      if (['awarded', 'cancelled', 'expired'].includes(referralData.status)) return null;
 
-      // Deterministic IDs (safe if trigger runs twice)
-      const txIdReferred = `referral_${referralId}_referred`;
-      const txIdReferrer = `referral_${referralId}_referrer`;
-      const notifIdReferred = `referralAward_${referralId}_referred`;
-      const notifIdReferrer = `referralAward_${referralId}_referrer`;
+      const now = new Date();
+      const progressTerms = referralTermsOf(referralData, 0);
+      const { pointsThreshold } = progressTerms;
+
+      // Too late: the friend had until qualifyBy to reach the threshold
+      if (referralExpired(progressTerms, now)) {
+        await referralRef.update({
+          status: 'expired',
+          expiredAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.log(`⌛ [awardReferralOnPointsCross] Referral ${referralId} expired before ${userId} reached ${pointsThreshold} points`);
+        return null;
+      }
+
+      // Clamp points towards the threshold (0-pointsThreshold range)
+      const pointsTowards50 = Math.max(0, Math.min(pointsThreshold, afterPoints));
+      const canAward = afterPoints >= pointsThreshold;
+      if (!canAward && referralData.pointsTowards50 === pointsTowards50) return null;
+
+      // Standard bonus is admin-configurable (config/pointsEarning, same doc the API server reads).
+      // Only fetched when an award is possible so progress-only updates stay at one read.
+      let { referralBonusPoints } = normalizePointsEarningConfig(null);
+      if (canAward) {
+        try {
+          const earningConfigSnap = await db.collection('config').doc(POINTS_EARNING_CONFIG_DOC).get();
+          ({ referralBonusPoints } = normalizePointsEarningConfig(earningConfigSnap.exists ? earningConfigSnap.data() : null));
+        } catch (err) {
+          console.warn('⚠️ [awardReferralOnPointsCross] Failed to read config/pointsEarning, using default bonus:', err?.message || err);
+        }
+      }
+      const terms = referralTermsOf(referralData, referralBonusPoints);
 
       let referrerId = null;
       let referrerNewPoints = null;
       let referredNewPoints = null;
       let referrerFcmToken = null;
       let referredFcmToken = null;
+      let referrerPreferences = null;
+      let referredPreferences = null;
       let referrerName = 'Friend';
       let referredName = 'Friend';
+      let referrerGrant = null;
+      let referredGrant = null;
+      let referrerQualifiedCount = null;
       let didAward = false;
       let needsProgressUpdate = false;
 
       await db.runTransaction(async (tx) => {
+        // All reads happen before any writes (Firestore transaction requirement)
         const referralSnapTx = await tx.get(referralRef);
         if (!referralSnapTx.exists) return;
         const referralDataTx = referralSnapTx.data() || {};
+        if (['awarded', 'cancelled', 'expired'].includes(referralDataTx.status)) return;
 
         // Get current progress value from referral doc (if exists)
         const currentProgress = typeof referralDataTx.pointsTowards50 === 'number' 
@@ -261,15 +389,10 @@ exports.awardReferralOnPointsCross = onDocumentWritten(
           : 0;
 
         // Update progress if it changed (avoid unnecessary writes)
-        if (currentProgress !== pointsTowards50) {
-          needsProgressUpdate = true;
-        }
+        needsProgressUpdate = currentProgress !== pointsTowards50;
 
-        // Check if we should award: afterPoints >= 50 AND referral still pending
-        const shouldAward = afterPoints >= 50 && referralDataTx.status !== 'awarded';
-
-        if (!shouldAward && !needsProgressUpdate) {
-          // Nothing to do
+        if (!canAward) {
+          if (needsProgressUpdate) tx.update(referralRef, { pointsTowards50 });
           return;
         }
 
@@ -279,160 +402,206 @@ exports.awardReferralOnPointsCross = onDocumentWritten(
 
         referrerId = referralDataTx.referrerUserId || null;
 
-        // Update progress on referral doc
-        if (needsProgressUpdate) {
-          const updateData = { pointsTowards50 };
-          tx.update(referralRef, updateData);
+        const referredUserRef = db.collection('users').doc(userId);
+        const referredUserSnap = await tx.get(referredUserRef);
+        if (!referredUserSnap.exists) return;
+        const referredUserData = referredUserSnap.data() || {};
+        referredFcmToken = referredUserData.fcmToken || null;
+        referredPreferences = referredUserData.notificationPreferences || null;
+
+        // Prefer denormalized name, but fallback to user doc if missing
+        if (referredName === 'Friend') {
+          referredName = referredUserData.firstName || referredUserData.name?.split?.(' ')?.[0] || 'Friend';
         }
 
-        // Award logic (only if shouldAward is true)
-        if (shouldAward) {
-          const referredUserRef = db.collection('users').doc(userId);
-          const referredUserSnap = await tx.get(referredUserRef);
-          if (!referredUserSnap.exists) return;
-
-          const referredUserData = referredUserSnap.data() || {};
-          const currentReferredPoints = referredUserData.points || 0;
-          const currentReferredLifetime = (typeof referredUserData.lifetimePoints === 'number')
-            ? referredUserData.lifetimePoints
-            : currentReferredPoints;
-
-          referredFcmToken = referredUserData.fcmToken || null;
-          
-          // Prefer denormalized name, but fallback to user doc if missing
-          if (referredName === 'Friend') {
-            referredName = referredUserData.firstName || referredUserData.name?.split?.(' ')?.[0] || 'Friend';
+        const referrerUserRef = referrerId ? db.collection('users').doc(referrerId) : null;
+        let referrerUserData = null;
+        if (referrerUserRef) {
+          const referrerUserSnap = await tx.get(referrerUserRef);
+          if (referrerUserSnap.exists) {
+            referrerUserData = referrerUserSnap.data() || {};
+            referrerFcmToken = referrerUserData.fcmToken || null;
+            referrerPreferences = referrerUserData.notificationPreferences || null;
+
+            // Prefer denormalized name, but fallback to user doc if missing
+            if (referrerName === 'Friend') {
+              referrerName = referrerUserData.firstName || referrerUserData.name?.split?.(' ')?.[0] || 'Friend';
+            }
+          } else {
+            console.warn(`⚠️ [awardReferralOnPointsCross] Referrer ${referrerId} missing; awarding referred only`);
           }
+        }
 
-          // Award referred user
-          referredNewPoints = currentReferredPoints + BONUS;
-          const referredNewLifetime = currentReferredLifetime + BONUS;
+        // Referrers working towards a multi-friend goal have a running count per campaign
+        const progressRef = referrerUserData && terms.referrerGoal > 1
+          ? db.collection(REFERRAL_CAMPAIGN_PROGRESS_COLLECTION).doc(`${terms.campaignId}_${referrerId}`)
+          : null;
+        let referrerRewardEarned = Boolean(referrerUserData);
+        if (progressRef) {
+          const progressSnap = await tx.get(progressRef);
+          referrerQualifiedCount = (progressSnap.exists ? progressSnap.data()?.qualifiedCount || 0 : 0) + 1;
+          referrerRewardEarned = referrerRewardDue(referrerQualifiedCount, terms.referrerGoal);
+        }
 
-          tx.update(referredUserRef, {
-            points: referredNewPoints,
-            lifetimePoints: referredNewLifetime
-          });
+        // Deterministic IDs (safe if trigger runs twice, and shared with the API server)
+        const grant = (reward, { grantUserId, userRef, userData, role, description }) => {
+          if (reward.type === 'gift') {
+            const gift = buildReferralGift(reward, {
+              userId: grantUserId,
+              referralId,
+              role,
+              campaignId: terms.campaignId,
+              now
+            });
+            tx.set(db.collection('giftedRewards').doc(`referral_${referralId}_${role}`), {
+              ...gift,
+              sentAt: admin.firestore.FieldValue.serverTimestamp(),
+              expiresAt: gift.expiresAt ? admin.firestore.Timestamp.fromDate(gift.expiresAt) : null
+            });
+            return { newPoints: userData.points || 0, text: describeReferralReward(reward) };
+          }
+
+          const amount = reward.points;
+          const currentPoints = userData.points || 0;
+          if (amount <= 0) return { newPoints: currentPoints, text: null };
+          const balances = applyPointsDelta(
+            {
+              points: currentPoints,
+              lifetimePoints: typeof userData.lifetimePoints === 'number' ? userData.lifetimePoints : currentPoints
+            },
+            amount,
+            { affectsLifetime: true }
+          );
 
-          // Points transaction for referred
-          tx.set(db.collection('pointsTransactions').doc(txIdReferred), {
-            userId: userId,
+          tx.update(userRef, balances);
+          tx.set(db.collection('pointsTransactions').doc(`referral_${referralId}_${role}`), {
+            userId: grantUserId,
             type: 'referral',
-            amount: BONUS,
-            description: 'Referral bonus - reached 50 points!',
+            amount,
+            description,
             timestamp: admin.firestore.FieldValue.serverTimestamp(),
-            metadata: { referralId, role: 'referred' }
+            metadata: {
+              referralId,
+              role,
+              campaignId: terms.campaignId,
+              ...(role === 'referrer' && { referredUserId: userId })
+            }
           }, { merge: true });
+          return { newPoints: balances.points, text: describeReferralReward({ type: 'points', points: amount }) };
+        };
+
+        referredGrant = grant(terms.refereeReward, {
+          grantUserId: userId,
+          userRef: referredUserRef,
+          userData: referredUserData,
+          role: 'referred',
+          description: `Referral bonus - reached ${terms.pointsThreshold} points!`
+        });
+        referredNewPoints = referredGrant.newPoints;
+
+        if (referrerUserData) {
+          referrerNewPoints = referrerUserData.points || 0;
+          if (referrerRewardEarned) {
+            referrerGrant = grant(terms.referrerReward, {
+              grantUserId: referrerId,
+              userRef: referrerUserRef,
+              userData: referrerUserData,
+              role: 'referrer',
+              description: terms.referrerGoal > 1
+                ? `Referral bonus - ${terms.referrerGoal} friends reached ${terms.pointsThreshold} points!`
+                : `Referral bonus - ${referredName} reached ${terms.pointsThreshold} points!`
+            });
+            referrerNewPoints = referrerGrant.newPoints;
+          }
+        }
 
-          // Notification doc for referred
-          tx.set(db.collection('notifications').doc(notifIdReferred), {
-            userId: userId,
-            title: 'Referral Bonus Awarded! 🎉',
-            body: `You reached 50 points! You and ${referrerName} each earned +${BONUS} bonus points.`,
-            type: 'referral',
-            read: false,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            metadata: { referralId, role: 'referred' }
+        if (progressRef) {
+          tx.set(progressRef, {
+            campaignId: terms.campaignId,
+            referrerUserId: referrerId,
+            qualifiedCount: referrerQualifiedCount,
+            referralIds: admin.firestore.FieldValue.arrayUnion(referralId),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
           }, { merge: true });
+        }
 
-          // Award referrer if present and exists
-          if (referrerId) {
-            const referrerUserRef = db.collection('users').doc(referrerId);
-            const referrerUserSnap = await tx.get(referrerUserRef);
-            if (referrerUserSnap.exists) {
-              const referrerUserData = referrerUserSnap.data() || {};
-              const currentReferrerPoints = referrerUserData.points || 0;
-              const currentReferrerLifetime = (typeof referrerUserData.lifetimePoints === 'number')
-                ? referrerUserData.lifetimePoints
-                : currentReferrerPoints;
-
-              referrerFcmToken = referrerUserData.fcmToken || null;
-              
-              // Prefer denormalized name, but fallback to user doc if missing
-              if (referrerName === 'Friend') {
-                referrerName = referrerUserData.firstName || referrerUserData.name?.split?.(' ')?.[0] || 'Friend';
-              }
-
-              referrerNewPoints = currentReferrerPoints + BONUS;
-              const referrerNewLifetime = currentReferrerLifetime + BONUS;
-
-              tx.update(referrerUserRef, {
-                points: referrerNewPoints,
-                lifetimePoints: referrerNewLifetime
-              });
-
-              // Points transaction for referrer
-              tx.set(db.collection('pointsTransactions').doc(txIdReferrer), {
-                userId: referrerId,
-                type: 'referral',
-                amount: BONUS,
-                description: `Referral bonus - ${referredName} reached 50 points!`,
-                timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                metadata: { referralId, role: 'referrer', referredUserId: userId }
-              }, { merge: true });
-
-              // Notification doc for referrer
-              tx.set(db.collection('notifications').doc(notifIdReferrer), {
-                userId: referrerId,
-                title: 'Referral Bonus Awarded! 🎉',
-                body: `${referredName} reached 50 points! You earned +${BONUS} bonus points.`,
-                type: 'referral',
-                read: false,
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                metadata: { referralId, role: 'referrer' }
-              }, { merge: true });
-            } else {
-              console.warn(`⚠️ [awardReferralOnPointsCross] Referrer ${referrerId} missing; awarding referred only`);
-            }
-          }
-
-          // Mark referral as awarded and set progress to 50
-          tx.update(referralRef, {
-            status: 'awarded',
-            awardedAt: admin.firestore.FieldValue.serverTimestamp(),
-            pointsTowards50: 50
-          });
+        // Mark referral as awarded and set progress to the threshold
+        tx.update(referralRef, {
+          status: 'awarded',
+          awardedAt: admin.firestore.FieldValue.serverTimestamp(),
+          pointsTowards50: terms.pointsThreshold,
+          referrerRewarded: referrerGrant !== null
+        });
 
-          didAward = true;
-        }
+        didAward = true;
       });
 
-      // Send push notifications (best-effort, only if we awarded)
+      // Notify both sides (best-effort, only if we awarded)
       if (didAward) {
-        const pushPromises = [];
-        if (referrerFcmToken) {
-          pushPromises.push(
-            admin.messaging().send({
-              token: referrerFcmToken,
-              notification: {
-                title: 'Referral Bonus Awarded! 🎉',
-                body: `${referredName} reached 50 points! You earned +${BONUS} bonus points.`
-              },
-              data: { type: 'referral_awarded', role: 'referrer', referralId }
-            }).catch(err => {
-              console.warn('⚠️ [awardReferralOnPointsCross] Referrer push failed:', err?.message || err);
-            })
-          );
+        const messages = [];
+        if (referrerGrant?.text) {
+          messages.push({
+            userId: referrerId,
+            token: referrerFcmToken,
+            preferences: referrerPreferences,
+            role: 'referrer',
+            type: 'referral_awarded',
+            title: 'Referral Bonus Awarded! 🎉',
+            body: terms.referrerGoal > 1
+              ? `${referredName} reached ${terms.pointsThreshold} points - that's ${terms.referrerGoal} friends! You earned ${referrerGrant.text}.`
+              : `${referredName} reached ${terms.pointsThreshold} points! You earned ${referrerGrant.text}.`
+          });
+        } else if (!referrerGrant && referrerQualifiedCount !== null) {
+          messages.push({
+            userId: referrerId,
+            token: referrerFcmToken,
+            preferences: referrerPreferences,
+            role: 'referrer',
+            type: 'referral_progress',
+            title: 'Referral Progress',
+            body: `${referredName} reached ${terms.pointsThreshold} points! ${referrerQualifiedCount % terms.referrerGoal} of ${terms.referrerGoal} friends towards your next referral reward.`
+          });
         }
-        if (referredFcmToken) {
-          pushPromises.push(
-            admin.messaging().send({
-              token: referredFcmToken,
-              notification: {
-                title: 'Referral Bonus Awarded! 🎉',
-                body: `You reached 50 points! You and ${referrerName} each earned +${BONUS} bonus points.`
-              },
-              data: { type: 'referral_awarded', role: 'referred', referralId }
-            }).catch(err => {
-              console.warn('⚠️ [awardReferralOnPointsCross] Referred push failed:', err?.message || err);
-            })
-          );
+        if (referredGrant?.text) {
+          messages.push({
+            userId,
+            token: referredFcmToken,
+            preferences: referredPreferences,
+            role: 'referred',
+            type: 'referral_awarded',
+            title: 'Referral Bonus Awarded! 🎉',
+            body: `You reached ${terms.pointsThreshold} points! You earned ${referredGrant.text} for joining through ${referrerName}.`
+          });
         }
 
-        await Promise.all(pushPromises);
+        await Promise.all(messages.map(async (message) => {
+          try {
+            // Deterministic IDs (safe if trigger runs twice)
+            await db.collection('notifications').doc(`referralAward_${referralId}_${message.role}`).set({
+              userId: message.userId,
+              title: message.title,
+              body: message.body,
+              type: 'referral',
+              read: false,
+              createdAt: admin.firestore.FieldValue.serverTimestamp(),
+              metadata: { referralId, role: message.role }
+            }, { merge: true });
+          } catch (err) {
+            console.warn(`⚠️ [awardReferralOnPointsCross] Notification for ${message.userId} failed:`, err?.message || err);
+          }
+          await sendReferralPush(db, {
+            userId: message.userId,
+            legacyToken: message.token,
+            preferences: message.preferences,
+            title: message.title,
+            body: message.body,
+            data: { type: message.type, role: message.role, referralId }
+          });
+        }));
 
-        console.log(`🎉 [awardReferralOnPointsCross] Awarded referral ${referralId} via trigger. ReferrerNewPoints=${referrerNewPoints}, ReferredNewPoints=${referredNewPoints}`);
+        console.log(`🎉 [awardReferralOnPointsCross] Awarded referral ${referralId} (${terms.campaignId}) via trigger. ReferrerNewPoints=${referrerNewPoints}, ReferredNewPoints=${referredNewPoints}`);
       } else if (needsProgressUpdate) {
-        console.log(`📊 [awardReferralOnPointsCross] Updated progress for referral ${referralId}: ${pointsTowards50}/50`);
+        console.log(`📊 [awardReferralOnPointsCross] Updated progress for referral ${referralId}: ${pointsTowards50}/${pointsThreshold}`);
       }
 
       return null;
@@ -0,0 +1,108 @@
+/**
+ * Notification Preferences
+ *
+ * Per-user push settings, stored on the user doc as notificationPreferences:
+ *
+ *   { reservations, rewardsExpiring, referralUpdates, communityReplies: boolean,
+ *     quietHours: { enabled, start: 'HH:mm', end: 'HH:mm', timeZone } }
+ *
+ * Promotions stay on the existing promotionalNotificationsEnabled field (opt-in; the
+ * app's settings toggle writes it directly). The other categories default to on.
+ *
+ * A category that is turned off stops the push; the in-app notification is still
+ * written, except for promotions, which skip opted-out users entirely. Pushes without a
+ * category (gifts, tier changes, receipt reviews) can't be turned off but still respect
+ * quiet hours. A push that lands in quiet hours is queued in deferredPushes and sent
+ * when they end (POST /cron/deferred-pushes). Cloud Functions use this file for referral
+ * awards through a copy in functions/shared/ (scripts/sync-functions-shared.js).
+ */
+
+const { DateTime } = require('luxon');
+const { HHMM, minutesOfDay } = require('./timeValues');
+
+const NOTIFICATION_CATEGORIES = ['promotions', 'reservations', 'rewardsExpiring', 'referralUpdates', 'communityReplies'];
+const DEFERRED_PUSHES_COLLECTION = 'deferredPushes';
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '08:00' };
+
+/**
+ * A user's preferences with defaults filled in
+ * @param {Object} userData - users document data
+ * @param {string} defaultTimeZone - Used when the user hasn't set one (restaurant timezone)
+ * @returns {{categories: Object, quietHours: {enabled: boolean, start: string, end: string, timeZone: string}}}
+ */
+function normalizeNotificationPreferences(userData, defaultTimeZone) {
+  const data = userData || {};
+  const stored = data.notificationPreferences && typeof data.notificationPreferences === 'object'
+    ? data.notificationPreferences
+    : {};
+
+  const categories = {};
+  for (const category of NOTIFICATION_CATEGORIES) {
+    categories[category] = category === 'promotions'
+      ? data.promotionalNotificationsEnabled === true
+      : stored[category] !== false;
+  }
+
+  const quiet = stored.quietHours && typeof stored.quietHours === 'object' ? stored.quietHours : {};
+  const timeZone = typeof quiet.timeZone === 'string' && DateTime.now().setZone(quiet.timeZone).isValid
+    ? quiet.timeZone
+    : defaultTimeZone;
+
+  return {
+    categories,
+    quietHours: {
+      enabled: quiet.enabled === true,
+      start: HHMM.test(quiet.start) ? quiet.start : DEFAULT_QUIET_HOURS.start,
+      end: HHMM.test(quiet.end) ? quiet.end : DEFAULT_QUIET_HOURS.end,
+      timeZone
+    }
+  };
+}
+
+/**
+ * When the quiet hours covering a moment end (windows may wrap past midnight; end is exclusive)
+ * @param {Object} quietHours - Normalized quietHours
+ * @param {Date} at
+ * @returns {Date|null} null when `at` is outside quiet hours
+ */
+function quietHoursEndAt(quietHours, at) {
+  if (!quietHours || !quietHours.enabled) return null;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  if (start === null || end === null || start === end) return null;
+
+  const local = DateTime.fromJSDate(at).setZone(quietHours.timeZone);
+  const now = local.hour * 60 + local.minute;
+  const inWindow = start < end ? (now >= start && now < end) : (now >= start || now < end);
+  if (!inWindow) return null;
+
+  let endsAt = local.set({ hour: Math.floor(end / 60), minute: end % 60, second: 0, millisecond: 0 });
+  if (endsAt <= local) endsAt = endsAt.plus({ days: 1 });
+  return endsAt.toJSDate();
+}
+
+/**
+ * Decide what to do with a push for this user right now
+ * @param {Object} userData
+ * @param {string|null} category - One of NOTIFICATION_CATEGORIES, or null for pushes that can't be turned off
+ * @param {Date} at
+ * @param {string} defaultTimeZone
+ * @returns {{action: 'send'} | {action: 'skip', reason: 'opted_out'} | {action: 'defer', deliverAt: Date}}
+ */
+function evaluatePushDelivery(userData, category, at, defaultTimeZone) {
+  const prefs = normalizeNotificationPreferences(userData, defaultTimeZone);
+  if (category && prefs.categories[category] === false) {
+    return { action: 'skip', reason: 'opted_out' };
+  }
+  const deliverAt = quietHoursEndAt(prefs.quietHours, at);
+  return deliverAt ? { action: 'defer', deliverAt } : { action: 'send' };
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  DEFERRED_PUSHES_COLLECTION,
+  normalizeNotificationPreferences,
+  quietHoursEndAt,
+  evaluatePushDelivery
+};
@@ -0,0 +1,182 @@
+/**
+ * Points Earning Rules Engine
+ *
+ * Computes how many points a receipt earns from the admin-editable config stored
+ * at config/pointsEarning, so promotions ("double points Tuesdays", happy hour,
+ * date-bounded specials) no longer need a deploy.
+ *
+ * Rules are evaluated against the receipt's purchase time in the restaurant
+ * timezone (not the scan time), so a Tuesday receipt scanned on Wednesday still
+ * earns the Tuesday multiplier.
+ */
+
+const { DateTime } = require('luxon');
+const { minutesOfDay } = require('./timeValues');
+
+const POINTS_EARNING_CONFIG_DOC = 'pointsEarning';
+
+// Matches the behavior that was hard-coded before the engine existed
+const DEFAULT_POINTS_EARNING_CONFIG = {
+  timeZone: 'America/Chicago',
+  basePointsPerDollar: 5,
+  minimumSpend: 0,
+  maxPointsPerReceipt: null,
+  multiplierStacking: 'highest', // 'highest' | 'multiply'
+  welcomeBonusPoints: 5,
+  referralBonusPoints: 50,
+  // Unused points expire FIFO this many months after they were earned (null = never)
+  expirationMonths: null,
+  expirationWarningDays: 30,
+  rules: []
+};
+
+function toNumberOr(value, fallback) {
+  const n = typeof value === 'number' ? value : parseFloat(String(value ?? ''));
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Merge a stored config over the defaults and coerce field types
+ * @param {Object|null} raw - config/pointsEarning document data
+ * @param {Object} [overrides] - Defaults that depend on the environment (e.g. timeZone)
+ * @returns {Object} Normalized config
+ */
+function normalizePointsEarningConfig(raw, overrides = {}) {
+  const base = { ...DEFAULT_POINTS_EARNING_CONFIG, ...overrides };
+  const data = raw && typeof raw === 'object' ? raw : {};
+
+  const timeZone = typeof data.timeZone === 'string' && DateTime.now().setZone(data.timeZone).isValid
+    ? data.timeZone
+    : base.timeZone;
+  const maxPointsPerReceipt = data.maxPointsPerReceipt === null || data.maxPointsPerReceipt === undefined
+    ? base.maxPointsPerReceipt
+    : Math.max(0, Math.floor(toNumberOr(data.maxPointsPerReceipt, 0))) || null;
+  const expirationMonths = data.expirationMonths === null || data.expirationMonths === undefined
+    ? base.expirationMonths
+    : Math.max(0, Math.floor(toNumberOr(data.expirationMonths, 0))) || null;
+
+  return {
+    timeZone,
+    basePointsPerDollar: Math.max(0, toNumberOr(data.basePointsPerDollar, base.basePointsPerDollar)),
+    minimumSpend: Math.max(0, toNumberOr(data.minimumSpend, base.minimumSpend)),
+    maxPointsPerReceipt,
+    multiplierStacking: data.multiplierStacking === 'multiply' ? 'multiply' : base.multiplierStacking,
+    welcomeBonusPoints: Math.max(0, Math.floor(toNumberOr(data.welcomeBonusPoints, base.welcomeBonusPoints))),
+    referralBonusPoints: Math.max(0, Math.floor(toNumberOr(data.referralBonusPoints, base.referralBonusPoints))),
+    expirationMonths,
+    expirationWarningDays: Math.max(0, Math.floor(toNumberOr(data.expirationWarningDays, base.expirationWarningDays))),
+    rules: Array.isArray(data.rules) ? data.rules.filter(r => r && typeof r === 'object' && r.id) : []
+  };
+}
+
+/**
+ * Check a single rule's conditions against a purchase
+ * @param {Object} rule - Rule from config.rules
+ * @param {Object} context
+ * @param {number} context.orderTotal - Validated receipt total in dollars
+ * @param {DateTime} context.purchasedAt - Purchase time in the restaurant timezone
+ * @returns {boolean}
+ */
+function ruleMatches(rule, { orderTotal, purchasedAt }) {
+  if (rule.enabled === false) return false;
+
+  if (Array.isArray(rule.daysOfWeek) && rule.daysOfWeek.length > 0) {
+    // ISO weekday: 1 = Monday ... 7 = Sunday
+    if (!rule.daysOfWeek.includes(purchasedAt.weekday)) return false;
+  }
+
+  const start = minutesOfDay(rule.startTime);
+  const end = minutesOfDay(rule.endTime);
+  if (start !== null && end !== null) {
+    const now = purchasedAt.hour * 60 + purchasedAt.minute;
+    // End is exclusive; a window like 22:00-02:00 wraps past midnight
+    const inWindow = start <= end
+      ? (now >= start && now < end)
+      : (now >= start || now < end);
+    if (!inWindow) return false;
+  }
+
+  const day = purchasedAt.toFormat('yyyy-LL-dd');
+  if (typeof rule.startDate === 'string' && day < rule.startDate) return false;
+  if (typeof rule.endDate === 'string' && day > rule.endDate) return false;
+
+  if (rule.minimumSpend !== undefined && rule.minimumSpend !== null && orderTotal < toNumberOr(rule.minimumSpend, 0)) {
+    return false;
+  }
+
+  return true;
+}
+
+function describeRule(rule) {
+  const entry = { ruleId: String(rule.id), name: rule.name || String(rule.id), type: rule.type };
+  if (rule.type === 'multiplier') entry.multiplier = toNumberOr(rule.multiplier, 1);
+  if (rule.type === 'bonus') entry.bonusPoints = Math.floor(toNumberOr(rule.bonusPoints, 0));
+  return entry;
+}
+
+/**
+ * Compute the points a receipt earns
+ * @param {Object} config - Normalized config (see normalizePointsEarningConfig)
+ * @param {Object} purchase
+ * @param {number} purchase.orderTotal - Validated receipt total in dollars
+ * @param {DateTime} purchase.purchasedAt - Purchase time (converted to config.timeZone here)
+ * @param {Object} [purchase.tier] - Member's loyalty tier ({id, name, multiplier}); its
+ *   multiplier stacks on top of promotions, before bonuses and the per-receipt cap
+ * @returns {{pointsAwarded: number, basePoints: number, multiplier: number, tierMultiplier: number, bonusPoints: number, capped: boolean, appliedRules: Object[]}}
+ */
+function evaluateReceiptPoints(config, { orderTotal, purchasedAt, tier = null }) {
+  const localPurchase = purchasedAt.setZone(config.timeZone);
+  const appliedRules = [
+    { ruleId: 'base_rate', name: 'Base rate', type: 'base', pointsPerDollar: config.basePointsPerDollar }
+  ];
+  const basePoints = Math.floor(orderTotal * config.basePointsPerDollar);
+
+  if (orderTotal < config.minimumSpend) {
+    appliedRules.push({ ruleId: 'minimum_spend', name: 'Minimum spend not met', type: 'minimum_spend', minimumSpend: config.minimumSpend });
+    return { pointsAwarded: 0, basePoints, multiplier: 1, tierMultiplier: 1, bonusPoints: 0, capped: false, appliedRules };
+  }
+
+  const context = { orderTotal, purchasedAt: localPurchase };
+  const matched = config.rules.filter(rule => ruleMatches(rule, context));
+
+  const multiplierRules = matched.filter(r => r.type === 'multiplier' && toNumberOr(r.multiplier, 1) > 0);
+  let multiplier = 1;
+  if (multiplierRules.length > 0) {
+    if (config.multiplierStacking === 'multiply') {
+      multiplier = multiplierRules.reduce((acc, r) => acc * toNumberOr(r.multiplier, 1), 1);
+      multiplierRules.forEach(r => appliedRules.push(describeRule(r)));
+    } else {
+      // Only the strongest multiplier fires; the others are not recorded as applied
+      const best = multiplierRules.reduce((a, b) => (toNumberOr(b.multiplier, 1) > toNumberOr(a.multiplier, 1) ? b : a));
+      multiplier = toNumberOr(best.multiplier, 1);
+      appliedRules.push(describeRule(best));
+    }
+  }
+
+  const tierMultiplier = tier && toNumberOr(tier.multiplier, 1) > 1 ? toNumberOr(tier.multiplier, 1) : 1;
+  if (tierMultiplier > 1) {
+    appliedRules.push({ ruleId: `tier_${tier.id}`, name: `${tier.name} member`, type: 'tier', multiplier: tierMultiplier });
+  }
+
+  const bonusRules = matched.filter(r => r.type === 'bonus');
+  const bonusPoints = bonusRules.reduce((acc, r) => acc + Math.max(0, Math.floor(toNumberOr(r.bonusPoints, 0))), 0);
+  bonusRules.forEach(r => appliedRules.push(describeRule(r)));
+
+  let pointsAwarded = Math.floor(orderTotal * config.basePointsPerDollar * multiplier * tierMultiplier) + bonusPoints;
+  let capped = false;
+  if (config.maxPointsPerReceipt && pointsAwarded > config.maxPointsPerReceipt) {
+    pointsAwarded = config.maxPointsPerReceipt;
+    capped = true;
+    appliedRules.push({ ruleId: 'per_receipt_cap', name: 'Per-receipt cap', type: 'cap', maxPointsPerReceipt: config.maxPointsPerReceipt });
+  }
+
+  return { pointsAwarded, basePoints, multiplier, tierMultiplier, bonusPoints, capped, appliedRules };
+}
+
+module.exports = {
+  POINTS_EARNING_CONFIG_DOC,
+  DEFAULT_POINTS_EARNING_CONFIG,
+  normalizePointsEarningConfig,
+  ruleMatches,
+  evaluateReceiptPoints
+};
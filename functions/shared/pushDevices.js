@@ -0,0 +1,125 @@
+/**
+ * Push Devices
+ *
+ * Every signed-in app install registers its FCM token (POST /me/fcmToken) in
+ * users/{uid}/devices/{deviceId}:
+ *
+ *   { userId, token, platform, appVersion, lastSeenAt, createdAt, updatedAt }
+ *
+ * deviceId is the install id the app sends (identifierForVendor on iOS), so a rotated
+ * token replaces the old one; without it the id is derived from the token. Pushes go
+ * to all of a user's devices, and tokens FCM reports as unregistered are deleted.
+ * users.fcmToken / hasFcmToken still mirror the most recently registered device for
+ * older app versions and the hasFcmToken broadcast query. Cloud Functions push referral
+ * awards the same way, using a copy of this file in functions/shared/.
+ */
+
+const crypto = require('crypto');
+const { toDate, toIsoString } = require('./timeValues');
+
+const DEVICES_SUBCOLLECTION = 'devices';
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+
+// Devices not seen in this long probably uninstalled without FCM telling us yet
+const STALE_DEVICE_DAYS = 60;
+const ACTIVE_DEVICE_DAYS = 30;
+
+// FCM errors that mean the token will never work again
+const PRUNABLE_TOKEN_ERROR_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * Device doc id for a token when the app didn't send an install id
+ * @param {string} token
+ * @returns {string}
+ */
+function deviceIdForToken(token) {
+  return `tok_${crypto.createHash('sha256').update(token).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Validate an app-provided install id
+ * @returns {string|null} null when missing or not usable as a document id
+ */
+function normalizeDeviceId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId.trim()) ? deviceId.trim() : null;
+}
+
+/**
+ * Whether an FCM send error means the token should be removed
+ * @param {Error|Object} error - FirebaseMessagingError (or its toJSON)
+ */
+function isPrunableTokenError(error) {
+  return !!error && PRUNABLE_TOKEN_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Registry health for /admin/debug/pushTargets
+ * @param {Array<Object>} devices - Device document data
+ * @param {Date} now
+ * @returns {{deviceCount, userCount, activeCount, staleCount, neverSeenCount, byPlatform, byAppVersion}}
+ */
+function summarizeDeviceHealth(devices, now) {
+  const activeCutoff = now.getTime() - ACTIVE_DEVICE_DAYS * 24 * 60 * 60 * 1000;
+  const staleCutoff = now.getTime() - STALE_DEVICE_DAYS * 24 * 60 * 60 * 1000;
+  const users = new Set();
+  const byPlatform = {};
+  const byAppVersion = {};
+  let activeCount = 0;
+  let staleCount = 0;
+  let neverSeenCount = 0;
+
+  for (const device of devices) {
+    if (device.userId) users.add(device.userId);
+    const platform = device.platform || 'unknown';
+    const appVersion = device.appVersion || 'unknown';
+    byPlatform[platform] = (byPlatform[platform] || 0) + 1;
+    byAppVersion[appVersion] = (byAppVersion[appVersion] || 0) + 1;
+
+    const lastSeenAt = toDate(device.lastSeenAt);
+    if (!lastSeenAt) neverSeenCount += 1;
+    else if (lastSeenAt.getTime() >= activeCutoff) activeCount += 1;
+    else if (lastSeenAt.getTime() < staleCutoff) staleCount += 1;
+  }
+
+  return {
+    deviceCount: devices.length,
+    userCount: users.size,
+    activeCount,
+    staleCount,
+    neverSeenCount,
+    byPlatform,
+    byAppVersion
+  };
+}
+
+/**
+ * Device as returned by the API (never includes the token)
+ * @param {string} id
+ * @param {Object} data - Device document data
+ */
+function serializeDevice(id, data) {
+  return {
+    id,
+    platform: data.platform || null,
+    appVersion: data.appVersion || null,
+    lastSeenAt: toIsoString(data.lastSeenAt),
+    createdAt: toIsoString(data.createdAt)
+  };
+}
+
+module.exports = {
+  DEVICES_SUBCOLLECTION,
+  DEVICE_PLATFORMS,
+  STALE_DEVICE_DAYS,
+  ACTIVE_DEVICE_DAYS,
+  deviceIdForToken,
+  normalizeDeviceId,
+  isPrunableTokenError,
+  summarizeDeviceHealth,
+  serializeDevice
+};